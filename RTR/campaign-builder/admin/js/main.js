@@ -87,7 +87,7 @@ class CampaignBuilder {
             this.managers.state.updateState({
                 clientId: client.id,
                 clientName: client.name
-            });
+            }, { label: `Select client "${client.name}"`, coalesceKey: 'select-client' });
             
             // Update breadcrumb
             this.managers.workflow?.updateBreadcrumbText('client', client.name);
@@ -115,7 +115,7 @@ class CampaignBuilder {
                 campaignId: campaign.id,
                 campaignName: campaign.campaign_name,
                 utmCampaign: campaign.utm_campaign
-            });
+            }, { label: `Select campaign "${campaign.campaign_name}"`, coalesceKey: 'select-campaign' });
             
             // Update breadcrumb
             this.managers.workflow?.updateBreadcrumbText('campaign', campaign.campaign_name);
@@ -314,6 +314,13 @@ class CampaignBuilder {
                     await this.managers.state.forceSave();
                     this.showNotification('Draft saved successfully', 'success');
                 } catch (error) {
+                    if (error.code === 'workflow_conflict') {
+                        return;
+                    }
+                    if (error.code === 'api_offline') {
+                        this.showNotification(error.message, 'warning');
+                        return;
+                    }
                     console.error('Failed to save draft:', error);
                     this.showNotification('Failed to save draft', 'error');
                 }
@@ -13,11 +13,14 @@
  * @subpackage CampaignBuilder\Admin\JS
  */
 
+import APIClient from '../utils/api-client.js';
+
 class AISettingsManager {
     constructor(config) {
         this.config = config;
         this.apiUrl = config.apiUrl;
         this.nonce = config.nonce;
+        this.api = new APIClient(config.apiUrl, config.nonce);
         this.strings = config.strings || {};
         
         // State
@@ -591,31 +594,13 @@ class AISettingsManager {
     }
     
     /**
-     * Make API request
+     * Make API request through the shared client
      */
     async apiRequest(method, endpoint, data = null) {
-        const url = this.apiUrl + endpoint;
-        
-        const options = {
+        return this.api.request(endpoint, {
             method: method,
-            headers: {
-                'Content-Type': 'application/json',
-                'X-WP-Nonce': this.nonce
-            }
-        };
-        
-        if (data && (method === 'POST' || method === 'PUT')) {
-            options.body = JSON.stringify(data);
-        }
-        
-        const response = await fetch(url, options);
-        
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        return await response.json();
+            body: data && (method === 'POST' || method === 'PUT') ? JSON.stringify(data) : undefined
+        });
     }
 }
 
@@ -0,0 +1,596 @@
+/**
+ * Campaign Clone Wizard
+ *
+ * Three-step modal for cloning a campaign: new details (name, UTM,
+ * dates, target client), what to bring over (content links,
+ * campaign templates, client overrides) and a final review.
+ *
+ * @package DirectReach_Campaign_Builder
+ * @since 2.0.0
+ */
+
+import EventEmitter from '../utils/event-emitter.js';
+import APIClient from '../utils/api-client.js';
+
+const STEPS = ['details', 'pieces', 'review'];
+
+export default class CampaignCloneWizard extends EventEmitter {
+    /**
+     * Constructor
+     *
+     * @param {Object} config - Configuration object
+     */
+    constructor(config) {
+        super();
+
+        this.config = config;
+        this.api = new APIClient(config.apiUrl, config.nonce);
+
+        this.source = null;
+        this.overlay = null;
+        this.step = 'details';
+        this.clients = [];
+        this.counts = { links: 0, templates: 0 };
+        this.utmCheck = { value: null, available: false };
+        this.utmCheckTimeout = null;
+        this.isSubmitting = false;
+    }
+
+    /**
+     * Open the wizard for a campaign
+     *
+     * @param {Object} campaign - Source campaign (as returned by the API)
+     */
+    async open(campaign) {
+        this.close();
+
+        this.source = campaign;
+        this.step = 'details';
+        this.utmCheck = { value: null, available: false };
+        this.values = {
+            client_id: campaign.client_id,
+            campaign_name: `${campaign.campaign_name} (Copy)`,
+            utm_campaign: this.suggestUtm(campaign.utm_campaign),
+            campaign_description: campaign.campaign_description || '',
+            start_date: new Date().toISOString().split('T')[0],
+            end_date: '',
+            include_content_links: true,
+            include_templates: true,
+            include_overrides: false
+        };
+
+        this.render();
+
+        // Counts and client list fill in once loaded
+        await this.loadSourceDetails();
+        this.renderStep();
+        this.checkUtm();
+    }
+
+    /**
+     * Close and remove the wizard
+     */
+    close() {
+        clearTimeout(this.utmCheckTimeout);
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    /**
+     * Suggest a UTM for the copy ("spring-2025" -> "spring-2025-copy")
+     *
+     * @param {string} utm - Source UTM
+     * @returns {string}
+     */
+    suggestUtm(utm) {
+        return `${utm}-copy`.slice(0, 255);
+    }
+
+    /**
+     * Load what can be copied: link and template counts, client list
+     */
+    async loadSourceDetails() {
+        const id = this.source.id;
+
+        const [links, templates, clients] = await Promise.allSettled([
+            this.api.get(`/campaigns/${id}/content-links`),
+            this.api.get(`/campaigns/${id}/templates`),
+            this.api.get('/clients')
+        ]);
+
+        if (links.status === 'fulfilled' && links.value.success) {
+            this.counts.links = Object.values(links.value.data || {})
+                .reduce((total, room) => total + room.length, 0);
+        }
+
+        if (templates.status === 'fulfilled' && templates.value.success) {
+            this.counts.templates = (templates.value.data || []).filter(t => !t.is_global).length;
+        }
+
+        if (clients.status === 'fulfilled') {
+            this.clients = clients.value.data || [];
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // RENDERING
+    // ------------------------------------------------------------------
+
+    /**
+     * Build the modal shell
+     */
+    render() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay clone-wizard-overlay';
+        this.overlay.innerHTML = `
+            <div class="modal clone-wizard" role="dialog" aria-modal="true" aria-labelledby="clone-wizard-title">
+                <div class="modal-header">
+                    <h2 class="modal-title" id="clone-wizard-title">
+                        <i class="fas fa-clone"></i>
+                        Clone "${this.escapeHtml(this.source.campaign_name)}"
+                    </h2>
+                    <button type="button" class="modal-close" data-action="close" aria-label="Close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <ol class="clone-wizard-steps">
+                    <li data-step="details">1. Details</li>
+                    <li data-step="pieces">2. What to copy</li>
+                    <li data-step="review">3. Review</li>
+                </ol>
+                <div class="modal-body"></div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-ghost" data-action="close">Cancel</button>
+                    <button type="button" class="btn btn-secondary" data-action="back">
+                        <i class="fas fa-arrow-left"></i> Back
+                    </button>
+                    <button type="button" class="btn btn-primary" data-action="next">
+                        Next <i class="fas fa-arrow-right"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+
+        this.overlay.addEventListener('click', (e) => this.handleClick(e));
+        this.overlay.addEventListener('input', (e) => this.handleInput(e));
+        this.overlay.addEventListener('change', (e) => this.handleInput(e));
+
+        document.body.appendChild(this.overlay);
+        this.renderStep();
+    }
+
+    /**
+     * Render the current step's body and footer state
+     */
+    renderStep() {
+        if (!this.overlay) return;
+
+        const body = this.overlay.querySelector('.modal-body');
+        const renderers = {
+            details: () => this.renderDetails(),
+            pieces: () => this.renderPieces(),
+            review: () => this.renderReview()
+        };
+        body.innerHTML = renderers[this.step]();
+
+        const index = STEPS.indexOf(this.step);
+        this.overlay.querySelectorAll('.clone-wizard-steps li').forEach((li, i) => {
+            li.classList.toggle('active', i === index);
+            li.classList.toggle('completed', i < index);
+        });
+
+        const backBtn = this.overlay.querySelector('[data-action="back"]');
+        const nextBtn = this.overlay.querySelector('[data-action="next"]');
+        backBtn.style.display = index === 0 ? 'none' : '';
+        nextBtn.innerHTML = this.step === 'review'
+            ? '<i class="fas fa-clone"></i> Clone Campaign'
+            : 'Next <i class="fas fa-arrow-right"></i>';
+
+        if (this.step === 'details') {
+            this.renderUtmStatus();
+        }
+    }
+
+    /**
+     * Step 1: details of the new campaign
+     *
+     * @returns {string} HTML
+     */
+    renderDetails() {
+        const v = this.values;
+        const clientOptions = this.clients.length
+            ? this.clients.map(client => `
+                <option value="${client.id}" ${client.id === v.client_id ? 'selected' : ''}>
+                    ${this.escapeHtml(client.name)}
+                </option>
+            `).join('')
+            : `<option value="${v.client_id}" selected>Current client</option>`;
+
+        return `
+            <div class="form-group">
+                <label for="clone_campaign_name">Campaign Name <span class="required">*</span></label>
+                <input type="text" id="clone_campaign_name" name="campaign_name" class="form-control"
+                    value="${this.escapeHtml(v.campaign_name)}" maxlength="255" required />
+            </div>
+            <div class="form-group">
+                <label for="clone_utm_campaign">UTM Campaign <span class="required">*</span></label>
+                <input type="text" id="clone_utm_campaign" name="utm_campaign" class="form-control"
+                    value="${this.escapeHtml(v.utm_campaign)}" maxlength="255" required />
+                <span class="field-hint">Must be unique for the target client.</span>
+                <div class="utm-validation">
+                    <span class="validation-message"></span>
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="clone_start_date">Start Date</label>
+                    <input type="date" id="clone_start_date" name="start_date" class="form-control"
+                        value="${this.escapeHtml(v.start_date)}" />
+                </div>
+                <div class="form-group">
+                    <label for="clone_end_date">End Date</label>
+                    <input type="date" id="clone_end_date" name="end_date" class="form-control"
+                        value="${this.escapeHtml(v.end_date)}" />
+                    <span class="field-hint">Leave empty for no end date.</span>
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="clone_client_id">Client</label>
+                <select id="clone_client_id" name="client_id" class="form-control">
+                    ${clientOptions}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="clone_campaign_description">Description</label>
+                <textarea id="clone_campaign_description" name="campaign_description" class="form-control"
+                    rows="2">${this.escapeHtml(v.campaign_description)}</textarea>
+            </div>
+        `;
+    }
+
+    /**
+     * Step 2: choose what to bring over
+     *
+     * @returns {string} HTML
+     */
+    renderPieces() {
+        const v = this.values;
+        const settings = this.source.settings || {};
+        const sameClient = v.client_id === this.source.client_id;
+        const hasOverrides = Boolean(settings.has_client_overrides);
+
+        const overridesHint = sameClient
+            ? 'The new campaign uses this client\'s thresholds and scoring rules automatically.'
+            : hasOverrides
+                ? `Replaces the target client's thresholds and scoring rules with ${this.escapeHtml(settings.source_name)}'s. This affects all of that client's campaigns.`
+                : 'The source client uses global defaults, so there is nothing to copy.';
+
+        return `
+            <div class="clone-pieces">
+                <label class="clone-piece">
+                    <input type="checkbox" name="include_content_links" ${v.include_content_links ? 'checked' : ''}
+                        ${this.counts.links ? '' : 'disabled'} />
+                    <span class="clone-piece-info">
+                        <strong>Content links</strong>
+                        <span class="field-hint">${this.counts.links} link${this.counts.links === 1 ? '' : 's'} across all rooms, with order and status</span>
+                    </span>
+                </label>
+                <label class="clone-piece">
+                    <input type="checkbox" name="include_templates" ${v.include_templates ? 'checked' : ''}
+                        ${this.counts.templates ? '' : 'disabled'} />
+                    <span class="clone-piece-info">
+                        <strong>Campaign templates</strong>
+                        <span class="field-hint">${this.counts.templates} campaign-specific template${this.counts.templates === 1 ? '' : 's'}; global templates are always available</span>
+                    </span>
+                </label>
+                <label class="clone-piece">
+                    <input type="checkbox" name="include_overrides" ${v.include_overrides && !sameClient ? 'checked' : ''}
+                        ${sameClient || !hasOverrides ? 'disabled' : ''} />
+                    <span class="clone-piece-info">
+                        <strong>Threshold &amp; scoring overrides</strong>
+                        <span class="field-hint">${overridesHint}</span>
+                    </span>
+                </label>
+            </div>
+        `;
+    }
+
+    /**
+     * Step 3: summary before cloning
+     *
+     * @returns {string} HTML
+     */
+    renderReview() {
+        const v = this.values;
+        const client = this.clients.find(c => c.id === v.client_id);
+        const pieces = this.getSelectedPieces();
+
+        return `
+            <dl class="clone-review">
+                <dt>Name</dt><dd>${this.escapeHtml(v.campaign_name)}</dd>
+                <dt>UTM</dt><dd><code>${this.escapeHtml(v.utm_campaign)}</code></dd>
+                <dt>Client</dt><dd>${this.escapeHtml(client ? client.name : 'Current client')}</dd>
+                <dt>Dates</dt><dd>${this.escapeHtml(v.start_date || 'Today')} – ${this.escapeHtml(v.end_date || 'No end date')}</dd>
+                <dt>Copying</dt><dd>${pieces.length ? pieces.map(p => this.escapeHtml(p)).join(', ') : 'Campaign details only'}</dd>
+            </dl>
+        `;
+    }
+
+    /**
+     * Show the UTM availability message
+     */
+    renderUtmStatus() {
+        const message = this.overlay?.querySelector('.utm-validation .validation-message');
+        if (!message) return;
+
+        const error = this.validateUtmFormat(this.values.utm_campaign);
+        let type = '';
+        let text = '';
+
+        if (error) {
+            type = 'error';
+            text = error;
+        } else if (this.utmCheck.value !== this.utmCheckKey()) {
+            text = 'Checking…';
+        } else if (this.utmCheck.available) {
+            type = 'success';
+            text = '✓ Available';
+        } else {
+            type = 'error';
+            text = `UTM "${this.values.utm_campaign}" is already used by this client`;
+        }
+
+        message.textContent = text;
+        message.className = `validation-message ${type}`;
+    }
+
+    // ------------------------------------------------------------------
+    // EVENTS
+    // ------------------------------------------------------------------
+
+    /**
+     * Button clicks
+     *
+     * @param {Event} e - Click event
+     */
+    async handleClick(e) {
+        if (e.target === this.overlay) {
+            this.close();
+            return;
+        }
+
+        const action = e.target.closest('[data-action]')?.dataset.action;
+
+        if (action === 'close') {
+            this.close();
+        } else if (action === 'back') {
+            this.step = STEPS[Math.max(0, STEPS.indexOf(this.step) - 1)];
+            this.renderStep();
+        } else if (action === 'next') {
+            await this.next();
+        }
+    }
+
+    /**
+     * Keep values in sync with the form
+     *
+     * @param {Event} e - Input/change event
+     */
+    handleInput(e) {
+        const { name, type, value, checked } = e.target;
+        if (!name || !(name in this.values)) return;
+
+        if (type === 'checkbox') {
+            this.values[name] = checked;
+        } else if (name === 'client_id') {
+            this.values[name] = parseInt(value, 10);
+        } else {
+            this.values[name] = value;
+        }
+
+        if (name === 'utm_campaign') {
+            this.values.utm_campaign = value.trim().toLowerCase();
+        }
+
+        if (name === 'utm_campaign' || name === 'client_id') {
+            this.renderUtmStatus();
+            clearTimeout(this.utmCheckTimeout);
+            this.utmCheckTimeout = setTimeout(() => this.checkUtm(), 400);
+        }
+    }
+
+    /**
+     * Advance, validating the step being left
+     */
+    async next() {
+        if (this.step === 'details') {
+            if (!this.values.campaign_name.trim()) {
+                this.notify('error', 'Campaign name is required');
+                return;
+            }
+
+            // Re-validate against the server before moving on
+            if (!await this.checkUtm()) {
+                this.notify('error', this.validateUtmFormat(this.values.utm_campaign)
+                    || 'Choose a UTM campaign that is not already used by this client');
+                return;
+            }
+        }
+
+        if (this.step === 'review') {
+            await this.submit();
+            return;
+        }
+
+        this.step = STEPS[STEPS.indexOf(this.step) + 1];
+        this.renderStep();
+    }
+
+    // ------------------------------------------------------------------
+    // UTM VALIDATION
+    // ------------------------------------------------------------------
+
+    /**
+     * Client-side UTM format rules (mirrors validate_utm_campaign)
+     *
+     * @param {string} utm - UTM value
+     * @returns {string|null} Error message
+     */
+    validateUtmFormat(utm) {
+        if (!utm) return 'UTM campaign is required';
+        if (!/^[a-z0-9_-]+$/.test(utm)) return 'Use lowercase letters, numbers, hyphens and underscores only';
+        if (utm.length < 3) return 'UTM must be at least 3 characters';
+        return null;
+    }
+
+    /**
+     * Cache key for a UTM check (value + target client)
+     *
+     * @returns {string}
+     */
+    utmCheckKey() {
+        return `${this.values.client_id}:${this.values.utm_campaign}`;
+    }
+
+    /**
+     * Check UTM availability through /campaigns/check-utm
+     *
+     * @returns {Promise<boolean>} Whether the UTM can be used
+     */
+    async checkUtm() {
+        if (this.validateUtmFormat(this.values.utm_campaign)) {
+            this.renderUtmStatus();
+            return false;
+        }
+
+        const key = this.utmCheckKey();
+
+        try {
+            const data = await this.api.get('/campaigns/check-utm', {
+                utm_campaign: this.values.utm_campaign,
+                client_id: this.values.client_id
+            });
+
+            // Ignore answers for a value the user has since changed
+            if (key !== this.utmCheckKey()) {
+                return false;
+            }
+
+            this.utmCheck = { value: key, available: !data.exists };
+        } catch (error) {
+            console.error('Error checking UTM:', error);
+            this.utmCheck = { value: null, available: false };
+        }
+
+        this.renderUtmStatus();
+        return this.utmCheck.value === key && this.utmCheck.available;
+    }
+
+    // ------------------------------------------------------------------
+    // SUBMIT
+    // ------------------------------------------------------------------
+
+    /**
+     * Labels of the pieces that will be copied
+     *
+     * @returns {Array<string>}
+     */
+    getSelectedPieces() {
+        const v = this.values;
+        const pieces = [];
+
+        if (v.include_content_links && this.counts.links) {
+            pieces.push(`${this.counts.links} content link${this.counts.links === 1 ? '' : 's'}`);
+        }
+        if (v.include_templates && this.counts.templates) {
+            pieces.push(`${this.counts.templates} template${this.counts.templates === 1 ? '' : 's'}`);
+        }
+        if (v.include_overrides && v.client_id !== this.source.client_id) {
+            pieces.push('threshold & scoring overrides');
+        }
+
+        return pieces;
+    }
+
+    /**
+     * Create the clone
+     */
+    async submit() {
+        if (this.isSubmitting) return;
+
+        const nextBtn = this.overlay.querySelector('[data-action="next"]');
+        const originalText = nextBtn.innerHTML;
+
+        this.isSubmitting = true;
+        nextBtn.disabled = true;
+        nextBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Cloning...';
+
+        const v = this.values;
+
+        try {
+            const response = await this.api.post(`/campaigns/${this.source.id}/clone`, {
+                client_id: v.client_id,
+                campaign_name: v.campaign_name.trim(),
+                utm_campaign: v.utm_campaign,
+                campaign_description: v.campaign_description.trim(),
+                start_date: v.start_date || null,
+                end_date: v.end_date || null,
+                include_content_links: v.include_content_links,
+                include_templates: v.include_templates,
+                include_overrides: v.include_overrides && v.client_id !== this.source.client_id
+            });
+
+            const client = this.clients.find(c => c.id === v.client_id);
+
+            this.close();
+            this.emit('campaign:cloned', {
+                campaign: response.data,
+                copied: response.copied || {},
+                source: this.source,
+                clientName: client ? client.name : null
+            });
+
+        } catch (error) {
+            console.error('Failed to clone campaign:', error);
+
+            // Someone took the UTM in the meantime - send the user back to fix it
+            if (error.code === 'duplicate_utm') {
+                this.utmCheck = { value: this.utmCheckKey(), available: false };
+                this.step = 'details';
+                this.renderStep();
+            }
+
+            this.notify('error', error.message || 'Failed to clone campaign');
+        } finally {
+            this.isSubmitting = false;
+            if (nextBtn.isConnected) {
+                nextBtn.disabled = false;
+                nextBtn.innerHTML = originalText;
+            }
+        }
+    }
+
+    /**
+     * Show a notification through the owning manager
+     *
+     * @param {string} type - Notification type
+     * @param {string} message - Message
+     */
+    notify(type, message) {
+        this.emit('notification', { type, message });
+    }
+
+    /**
+     * Escape HTML
+     *
+     * @param {string} text - Text to escape
+     * @return {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
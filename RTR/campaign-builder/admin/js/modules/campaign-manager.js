@@ -9,6 +9,7 @@
 
 import EventEmitter from '../utils/event-emitter.js';
 import APIClient from '../utils/api-client.js';
+import CampaignCloneWizard from './campaign-clone-wizard.js';
 
 export default class CampaignManager extends EventEmitter {
     /**
@@ -30,6 +31,7 @@ export default class CampaignManager extends EventEmitter {
         this.editingCampaignId = null;
         this.isLoading = false;
         this.utmValidationTimeout = null;
+        this.cloneWizard = null;
         
         this.elements = {
             stepContainer: document.getElementById('campaign-step'),
@@ -283,6 +285,15 @@ export default class CampaignManager extends EventEmitter {
             });
         });
         
+        // Attach clone handlers
+        this.elements.campaignList.querySelectorAll('.clone-campaign-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const campaignId = parseInt(btn.closest('.campaign-card').dataset.campaignId);
+                this.cloneCampaign(campaignId);
+            });
+        });
+        
         // Attach delete handlers
         this.elements.campaignList.querySelectorAll('.delete-campaign-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -314,6 +325,9 @@ export default class CampaignManager extends EventEmitter {
                         <button type="button" class="btn-icon edit-campaign-btn" title="Edit campaign">
                             <i class="fas fa-edit"></i>
                         </button>
+                        <button type="button" class="btn-icon clone-campaign-btn" title="Clone campaign">
+                            <i class="fas fa-clone"></i>
+                        </button>
                         <button type="button" class="btn-icon delete-campaign-btn" title="Delete campaign">
                             <i class="fas fa-trash"></i>
                         </button>
@@ -388,7 +402,7 @@ export default class CampaignManager extends EventEmitter {
                 campaignId: campaign.id,
                 campaignName: campaign.campaign_name,
                 utmCampaign: campaign.utm_campaign
-            });
+            }, { label: `Select campaign ${campaign.campaign_name}`, coalesceKey: 'select-campaign' });
         }
         
         // Emit selection event
@@ -476,6 +490,53 @@ export default class CampaignManager extends EventEmitter {
         }
     }
     
+    /**
+     * Open the clone wizard for a campaign
+     * 
+     * @param {number} campaignId - Campaign ID
+     */
+    cloneCampaign(campaignId) {
+        const campaign = this.campaigns.find(c => c.id === campaignId);
+        if (!campaign) return;
+        
+        if (!this.cloneWizard) {
+            this.cloneWizard = new CampaignCloneWizard(this.config);
+            this.cloneWizard.on('notification', (notification) => this.emit('notification', notification));
+            this.cloneWizard.on('campaign:cloned', (result) => this.handleCampaignCloned(result));
+        }
+        
+        this.cloneWizard.open(campaign);
+    }
+    
+    /**
+     * Add a freshly cloned campaign to the list
+     * 
+     * Clones made for another client only show up once that client is selected.
+     * 
+     * @param {Object} result - { campaign, copied, source, clientName }
+     */
+    handleCampaignCloned({ campaign, copied, source, clientName }) {
+        const sameClient = campaign.client_id === source.client_id;
+        
+        if (sameClient) {
+            this.campaigns.push(campaign);
+            this.emit('campaign:created', campaign);
+            this.selectCampaign(campaign.id);
+        }
+        
+        const parts = [];
+        if (copied.content_links) parts.push(`${copied.content_links} content link${copied.content_links === 1 ? '' : 's'}`);
+        if (copied.templates) parts.push(`${copied.templates} template${copied.templates === 1 ? '' : 's'}`);
+        if (copied.overrides) parts.push('client overrides');
+        
+        this.emit('notification', {
+            type: 'success',
+            message: `Cloned "${source.campaign_name}" as "${campaign.campaign_name}"`
+                + (parts.length ? ` with ${parts.join(', ')}` : '')
+                + (sameClient ? '' : ` for ${clientName || 'another client'}`)
+        });
+    }
+    
     /**
      * Delete campaign
      * 
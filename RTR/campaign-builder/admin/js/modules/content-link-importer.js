@@ -0,0 +1,822 @@
+/**
+ * Content Link Importer Module
+ *
+ * Bulk import of content links from a pasted/uploaded CSV or a
+ * sitemap.xml (fetched by URL through the API, or uploaded). Rows are
+ * previewed in a grid where each one can be assigned a room, and
+ * duplicates are flagged using the same URL normalization as
+ * Campaign_Matcher::normalize_url on the server.
+ *
+ * @package DirectReach_Campaign_Builder
+ * @since 2.0.0
+ */
+
+import EventEmitter from '../utils/event-emitter.js';
+import APIClient from '../utils/api-client.js';
+
+const ROOMS = ['problem', 'solution', 'offer'];
+
+const ROOM_LABELS = {
+    problem: 'Problem',
+    solution: 'Solution',
+    offer: 'Offer'
+};
+
+/**
+ * CSV header aliases -> link field
+ */
+const CSV_COLUMNS = {
+    title: 'link_title',
+    link_title: 'link_title',
+    name: 'link_title',
+    url: 'link_url',
+    link_url: 'link_url',
+    link: 'link_url',
+    room: 'room_type',
+    room_type: 'room_type',
+    description: 'link_description',
+    link_description: 'link_description',
+    summary: 'url_summary',
+    url_summary: 'url_summary'
+};
+
+/**
+ * Normalize a URL for duplicate detection
+ *
+ * Port of Campaign_Matcher::normalize_url: lowercase scheme and host,
+ * drop port, credentials, query and fragment, strip trailing slashes.
+ *
+ * @param {string} url - URL to normalize
+ * @returns {string|null} Normalized URL, or null when it has no host
+ */
+export function normalizeUrl(url) {
+    url = (url || '').trim();
+    if (!url) {
+        return null;
+    }
+
+    const match = url.match(/^(?:([a-z][a-z0-9+.-]*):)?\/\/([^/?#]*)([^?#]*)/i);
+    if (!match) {
+        return null;
+    }
+
+    const host = match[2].replace(/^.*@/, '').replace(/:\d*$/, '').toLowerCase();
+    if (!host) {
+        return null;
+    }
+
+    const scheme = match[1] ? match[1].toLowerCase() : 'https';
+    const path = match[3].replace(/\/+$/, '') || '/';
+
+    return `${scheme}://${host}${path}`;
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting, comma or tab separated)
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell);
+    rows.push(row);
+
+    return rows
+        .map(cells => cells.map(c => c.trim()))
+        .filter(cells => cells.some(c => c !== ''));
+}
+
+export default class ContentLinkImporter extends EventEmitter {
+    /**
+     * Constructor
+     *
+     * @param {Object} config - Configuration object
+     */
+    constructor(config) {
+        super();
+
+        this.config = config;
+        this.api = new APIClient(config.apiUrl, config.nonce);
+
+        this.overlay = null;
+        this.campaignId = null;
+        this.existing = new Map();
+        this.defaultRoom = 'problem';
+        this.rows = [];
+        this.stage = 'source';
+        this.fetchController = null;
+        this.isImporting = false;
+    }
+
+    /**
+     * Open the importer
+     *
+     * @param {Object} options
+     * @param {number} options.campaignId - Campaign to import into
+     * @param {Object} options.links - Current links grouped by room
+     * @param {string} options.room - Room for rows that do not name one
+     */
+    open({ campaignId, links, room }) {
+        this.close();
+
+        this.campaignId = campaignId;
+        this.defaultRoom = room || 'problem';
+        this.rows = [];
+        this.stage = 'source';
+
+        // Normalized URL -> room, for flagging links the campaign already has
+        this.existing = new Map();
+        ROOMS.forEach(r => {
+            (links[r] || []).forEach(link => {
+                const key = normalizeUrl(link.link_url);
+                if (key) this.existing.set(key, r);
+            });
+        });
+
+        this.render();
+    }
+
+    /**
+     * Close and remove the importer
+     */
+    close() {
+        this.fetchController?.abort();
+        this.fetchController = null;
+
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // RENDERING
+    // ------------------------------------------------------------------
+
+    /**
+     * Build the modal shell
+     */
+    render() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay link-import-overlay';
+        this.overlay.innerHTML = `
+            <div class="modal link-import-modal" role="dialog" aria-modal="true" aria-labelledby="link-import-title">
+                <div class="modal-header">
+                    <h2 class="modal-title" id="link-import-title">
+                        <i class="fas fa-file-import"></i>
+                        Import Content Links
+                    </h2>
+                    <button type="button" class="modal-close" data-action="close" aria-label="Close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body"></div>
+                <div class="modal-footer">
+                    <span class="link-import-summary"></span>
+                    <button type="button" class="btn btn-ghost" data-action="close">Cancel</button>
+                    <button type="button" class="btn btn-secondary" data-action="back">
+                        <i class="fas fa-arrow-left"></i> Back
+                    </button>
+                    <button type="button" class="btn btn-primary" data-action="primary"></button>
+                </div>
+            </div>
+        `;
+
+        this.overlay.addEventListener('click', (e) => this.handleClick(e));
+        this.overlay.addEventListener('change', (e) => this.handleChange(e));
+        this.overlay.addEventListener('input', (e) => this.handleRowInput(e));
+
+        document.body.appendChild(this.overlay);
+        this.renderStage();
+    }
+
+    /**
+     * Render the current stage (source picker or preview grid)
+     */
+    renderStage() {
+        if (!this.overlay) return;
+
+        const body = this.overlay.querySelector('.modal-body');
+        body.innerHTML = this.stage === 'source' ? this.renderSource() : this.renderPreview();
+
+        this.overlay.querySelector('[data-action="back"]').style.display = this.stage === 'source' ? 'none' : '';
+        this.updateFooter();
+    }
+
+    /**
+     * Source stage: paste CSV, fetch a sitemap or upload a file
+     *
+     * @returns {string} HTML
+     */
+    renderSource() {
+        return `
+            <div class="link-import-sources">
+                <div class="form-group">
+                    <label for="link_import_csv">Paste CSV</label>
+                    <textarea id="link_import_csv" class="form-control link-import-csv" rows="8"
+                        placeholder="title,url,room,description&#10;Marketing ROI Guide,https://example.com/roi-guide,problem,Our 2025 guide"></textarea>
+                    <span class="field-hint">
+                        Columns: title, URL, room (problem, solution or offer), description.
+                        A header row is optional; an extra "summary" column is used as the AI summary.
+                    </span>
+                </div>
+
+                <div class="link-import-divider"><span>or</span></div>
+
+                <div class="form-group">
+                    <label for="link_import_sitemap">Sitemap URL</label>
+                    <div class="link-import-inline">
+                        <input type="url" id="link_import_sitemap" class="form-control"
+                            placeholder="https://example.com/sitemap.xml" />
+                        <button type="button" class="btn btn-secondary" data-action="fetch-sitemap">
+                            <i class="fas fa-cloud-download-alt"></i> Fetch
+                        </button>
+                    </div>
+                    <span class="field-hint">Sitemap indexes are followed one level deep.</span>
+                </div>
+
+                <div class="link-import-divider"><span>or</span></div>
+
+                <div class="form-group">
+                    <label for="link_import_file">Upload a .csv or sitemap .xml file</label>
+                    <input type="file" id="link_import_file" class="form-control" accept=".csv,.txt,.xml,text/csv,text/xml,application/xml" />
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Preview stage: one editable row per link
+     *
+     * @returns {string} HTML
+     */
+    renderPreview() {
+        const roomOptions = (selected) => ROOMS.map(room => `
+            <option value="${room}" ${room === selected ? 'selected' : ''}>${ROOM_LABELS[room]}</option>
+        `).join('');
+
+        return `
+            <div class="link-import-toolbar">
+                <label class="link-import-select-all">
+                    <input type="checkbox" data-action="select-all" ${this.rows.every(r => r.selected || r.error) ? 'checked' : ''} />
+                    Select all
+                </label>
+                <label>
+                    Move selected to
+                    <select class="form-control link-import-bulk-room">
+                        <option value="">Room…</option>
+                        ${roomOptions(null)}
+                    </select>
+                </label>
+            </div>
+            <div class="link-import-grid-wrapper">
+                <table class="link-import-grid">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>Title</th>
+                            <th>URL</th>
+                            <th>Room</th>
+                            <th>Summary for AI</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.rows.map((row, index) => `
+                            <tr class="link-import-row ${row.error ? 'invalid' : ''} ${row.duplicate ? 'duplicate' : ''}" data-index="${index}">
+                                <td>
+                                    <input type="checkbox" data-field="selected" ${row.selected ? 'checked' : ''} ${row.error ? 'disabled' : ''} />
+                                </td>
+                                <td>
+                                    <input type="text" class="form-control" data-field="link_title" maxlength="255"
+                                        value="${this.escapeHtml(row.link_title)}" />
+                                </td>
+                                <td class="link-import-url">
+                                    <span title="${this.escapeHtml(row.link_url)}">${this.escapeHtml(row.link_url)}</span>
+                                    ${this.renderRowFlag(row)}
+                                </td>
+                                <td>
+                                    <select class="form-control" data-field="room_type">${roomOptions(row.room_type)}</select>
+                                </td>
+                                <td>
+                                    <input type="text" class="form-control" data-field="url_summary"
+                                        value="${this.escapeHtml(row.url_summary)}" />
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Badge explaining why a row is flagged
+     *
+     * @param {Object} row - Preview row
+     * @returns {string} HTML
+     */
+    renderRowFlag(row) {
+        if (row.error) {
+            return `<span class="link-import-flag error"><i class="fas fa-times-circle"></i> ${this.escapeHtml(row.error)}</span>`;
+        }
+        if (row.duplicate === 'existing') {
+            return `<span class="link-import-flag warning"><i class="fas fa-clone"></i> Already in ${ROOM_LABELS[row.existingRoom]} room</span>`;
+        }
+        if (row.duplicate === 'import') {
+            return '<span class="link-import-flag warning"><i class="fas fa-clone"></i> Duplicate of an earlier row</span>';
+        }
+        return '';
+    }
+
+    /**
+     * Update the footer summary and primary button
+     */
+    updateFooter() {
+        if (!this.overlay) return;
+
+        const summary = this.overlay.querySelector('.link-import-summary');
+        const primary = this.overlay.querySelector('[data-action="primary"]');
+
+        if (this.stage === 'source') {
+            summary.textContent = '';
+            primary.disabled = false;
+            primary.innerHTML = 'Preview <i class="fas fa-arrow-right"></i>';
+            return;
+        }
+
+        const selected = this.getSelectedRows();
+        const flagged = this.rows.filter(r => r.error || r.duplicate).length;
+
+        summary.textContent = `${selected.length} of ${this.rows.length} selected`
+            + (flagged ? ` · ${flagged} flagged` : '');
+        primary.disabled = !selected.length || this.isImporting;
+        primary.innerHTML = `<i class="fas fa-file-import"></i> Import ${selected.length} Link${selected.length === 1 ? '' : 's'}`;
+    }
+
+    // ------------------------------------------------------------------
+    // EVENTS
+    // ------------------------------------------------------------------
+
+    /**
+     * Button clicks
+     *
+     * @param {Event} e - Click event
+     */
+    handleClick(e) {
+        if (e.target === this.overlay) {
+            this.close();
+            return;
+        }
+
+        const action = e.target.closest('[data-action]')?.dataset.action;
+
+        switch (action) {
+            case 'close':
+                this.close();
+                break;
+            case 'back':
+                this.stage = 'source';
+                this.renderStage();
+                break;
+            case 'fetch-sitemap':
+                this.fetchSitemap();
+                break;
+            case 'primary':
+                if (this.stage === 'source') {
+                    this.previewCsv();
+                } else {
+                    this.importSelected();
+                }
+                break;
+        }
+    }
+
+    /**
+     * File uploads, room selects and checkboxes
+     *
+     * @param {Event} e - Change event
+     */
+    handleChange(e) {
+        const target = e.target;
+
+        if (target.id === 'link_import_file') {
+            this.readFile(target.files[0]);
+            return;
+        }
+
+        if (target.dataset.action === 'select-all') {
+            this.rows.forEach(row => {
+                if (!row.error) row.selected = target.checked;
+            });
+            this.renderStage();
+            return;
+        }
+
+        if (target.classList.contains('link-import-bulk-room') && target.value) {
+            this.rows.forEach(row => {
+                if (row.selected) row.room_type = target.value;
+            });
+            this.renderStage();
+            return;
+        }
+
+        this.handleRowInput(e);
+    }
+
+    /**
+     * Keep row data in sync with the grid inputs
+     *
+     * @param {Event} e - Input/change event
+     */
+    handleRowInput(e) {
+        const field = e.target.dataset.field;
+        const tr = e.target.closest('.link-import-row');
+        if (!field || !tr) return;
+
+        const row = this.rows[parseInt(tr.dataset.index, 10)];
+        row[field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+
+        this.updateFooter();
+    }
+
+    // ------------------------------------------------------------------
+    // SOURCES
+    // ------------------------------------------------------------------
+
+    /**
+     * Preview the pasted CSV
+     */
+    previewCsv() {
+        const text = this.overlay.querySelector('.link-import-csv')?.value.trim();
+
+        if (!text) {
+            this.notify('error', 'Paste CSV rows, fetch a sitemap or upload a file first');
+            return;
+        }
+
+        this.showPreview(this.rowsFromCsv(text));
+    }
+
+    /**
+     * Fetch a sitemap through the API (browsers cannot read other origins)
+     */
+    async fetchSitemap() {
+        const input = this.overlay.querySelector('#link_import_sitemap');
+        const url = input?.value.trim();
+
+        if (!url) {
+            this.notify('error', 'Enter a sitemap URL');
+            return;
+        }
+
+        const button = this.overlay.querySelector('[data-action="fetch-sitemap"]');
+        const originalText = button.innerHTML;
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Fetching...';
+
+        this.fetchController?.abort();
+        this.fetchController = new AbortController();
+
+        try {
+            const response = await this.api.get(
+                `/campaigns/${this.campaignId}/content-links/sitemap`,
+                { url },
+                { signal: this.fetchController.signal, timeout: 60000 }
+            );
+
+            if (response.truncated) {
+                this.notify('warning', `Sitemap is large; only the first ${response.data.length} URLs were loaded`);
+            }
+
+            this.showPreview(this.rowsFromUrls(response.data || []));
+        } catch (error) {
+            if (error.isAborted) return;
+
+            console.error('Failed to fetch sitemap:', error);
+            this.notify('error', error.message || 'Failed to fetch sitemap');
+        } finally {
+            if (button.isConnected) {
+                button.disabled = false;
+                button.innerHTML = originalText;
+            }
+        }
+    }
+
+    /**
+     * Read an uploaded CSV or sitemap file
+     *
+     * @param {File} file - Uploaded file
+     */
+    async readFile(file) {
+        if (!file) return;
+
+        const text = (await file.text()).trim();
+
+        if (!text.startsWith('<')) {
+            this.showPreview(this.rowsFromCsv(text));
+            return;
+        }
+
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+
+        if (doc.querySelector('parsererror')) {
+            this.notify('error', 'The file is not valid XML');
+            return;
+        }
+
+        if (doc.documentElement.localName === 'sitemapindex') {
+            this.notify('error', 'This is a sitemap index; fetch it by URL so its sitemaps can be followed');
+            return;
+        }
+
+        const urls = Array.from(doc.getElementsByTagNameNS('*', 'url')).map(entry => ({
+            url: entry.getElementsByTagNameNS('*', 'loc')[0]?.textContent.trim() || '',
+            lastmod: entry.getElementsByTagNameNS('*', 'lastmod')[0]?.textContent.trim() || null
+        })).filter(entry => entry.url);
+
+        this.showPreview(this.rowsFromUrls(urls));
+    }
+
+    // ------------------------------------------------------------------
+    // ROWS
+    // ------------------------------------------------------------------
+
+    /**
+     * Turn CSV text into preview rows
+     *
+     * @param {string} text - CSV text
+     * @returns {Array<Object>} Rows
+     */
+    rowsFromCsv(text) {
+        const cells = parseCsv(text);
+        if (!cells.length) return [];
+
+        // A header row is recognised by a cell naming the URL column
+        const header = cells[0].map(c => CSV_COLUMNS[c.toLowerCase().replace(/\s+/g, '_')] || null);
+        const hasHeader = header.includes('link_url');
+        const columns = hasHeader ? header : ['link_title', 'link_url', 'room_type', 'link_description'];
+
+        return (hasHeader ? cells.slice(1) : cells).map(rowCells => {
+            const raw = {};
+            columns.forEach((field, i) => {
+                if (field && rowCells[i] !== undefined) raw[field] = rowCells[i];
+            });
+
+            return this.buildRow({
+                link_title: raw.link_title || this.titleFromUrl(raw.link_url),
+                link_url: raw.link_url || '',
+                room_type: this.parseRoom(raw.room_type),
+                link_description: raw.link_description || '',
+                url_summary: raw.url_summary || raw.link_description || raw.link_title || ''
+            });
+        });
+    }
+
+    /**
+     * Turn sitemap entries into preview rows
+     *
+     * @param {Array<Object>} entries - [{ url, lastmod }]
+     * @returns {Array<Object>} Rows
+     */
+    rowsFromUrls(entries) {
+        return entries.map(({ url }) => {
+            const title = this.titleFromUrl(url);
+
+            return this.buildRow({
+                link_title: title,
+                link_url: url,
+                room_type: this.defaultRoom,
+                link_description: '',
+                url_summary: title
+            });
+        });
+    }
+
+    /**
+     * Validate a row and flag it
+     *
+     * @param {Object} fields - Link fields
+     * @returns {Object} Row with selected/error flags
+     */
+    buildRow(fields) {
+        const row = { ...fields, selected: true, error: null, duplicate: null, key: null };
+
+        if (!fields.link_url) {
+            row.error = 'Missing URL';
+        } else if (!/^https?:\/\//i.test(fields.link_url)) {
+            row.error = 'URL must start with http:// or https://';
+        } else if (fields.link_url.length > 500) {
+            row.error = 'URL is longer than 500 characters';
+        } else {
+            try {
+                new URL(fields.link_url);
+                row.key = normalizeUrl(fields.link_url);
+            } catch (e) {
+                row.error = 'Invalid URL';
+            }
+        }
+
+        if (row.error) {
+            row.selected = false;
+        }
+
+        return row;
+    }
+
+    /**
+     * Flag duplicates (against the campaign and within the import)
+     * and switch to the preview grid
+     *
+     * @param {Array<Object>} rows - Rows to preview
+     */
+    showPreview(rows) {
+        if (!rows.length) {
+            this.notify('error', 'No links found to import');
+            return;
+        }
+
+        const seen = new Set();
+
+        rows.forEach(row => {
+            if (!row.key) return;
+
+            if (this.existing.has(row.key)) {
+                row.duplicate = 'existing';
+                row.existingRoom = this.existing.get(row.key);
+            } else if (seen.has(row.key)) {
+                row.duplicate = 'import';
+            }
+
+            if (row.duplicate) {
+                row.selected = false;
+            }
+            seen.add(row.key);
+        });
+
+        this.rows = rows;
+        this.stage = 'preview';
+        this.renderStage();
+    }
+
+    /**
+     * Map a CSV room cell to a room type
+     *
+     * @param {string} value - "Problem", "solution room"...
+     * @returns {string} Room type
+     */
+    parseRoom(value) {
+        const text = (value || '').toLowerCase();
+        return ROOMS.find(room => text.includes(room)) || this.defaultRoom;
+    }
+
+    /**
+     * Readable title from a URL slug ("/blog/marketing-roi/" -> "Marketing Roi")
+     *
+     * @param {string} url - Link URL
+     * @returns {string} Title
+     */
+    titleFromUrl(url) {
+        const match = (url || '').match(/^[a-z]+:\/\/([^/?#]+)([^?#]*)/i);
+        if (!match) return '';
+
+        const slug = match[2].split('/').filter(Boolean).pop();
+        if (!slug) return match[1];
+
+        let words = slug;
+        try {
+            words = decodeURIComponent(slug);
+        } catch (e) {
+            // Keep the raw slug
+        }
+
+        return words
+            .replace(/\.[a-z0-9]+$/i, '')
+            .replace(/[-_+]+/g, ' ')
+            .replace(/\b\w/g, c => c.toUpperCase())
+            .trim()
+            .slice(0, 255);
+    }
+
+    /**
+     * Rows ready to import
+     *
+     * @returns {Array<Object>}
+     */
+    getSelectedRows() {
+        return this.rows.filter(row => row.selected && !row.error);
+    }
+
+    // ------------------------------------------------------------------
+    // IMPORT
+    // ------------------------------------------------------------------
+
+    /**
+     * Create the selected links in one batch
+     */
+    async importSelected() {
+        if (this.isImporting) return;
+
+        const rows = this.getSelectedRows();
+
+        const incomplete = rows.find(row => !row.link_title.trim() || !row.url_summary.trim());
+        if (incomplete) {
+            this.notify('error', `"${incomplete.link_url}" needs a title and a summary`);
+            return;
+        }
+
+        const primary = this.overlay.querySelector('[data-action="primary"]');
+        this.isImporting = true;
+        primary.disabled = true;
+        primary.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Importing...';
+
+        try {
+            const response = await this.api.post(`/campaigns/${this.campaignId}/content-links/batch`, {
+                links: rows.map(row => ({
+                    room_type: row.room_type,
+                    link_title: row.link_title.trim(),
+                    link_url: row.link_url,
+                    url_summary: row.url_summary.trim(),
+                    link_description: row.link_description,
+                    is_active: true
+                }))
+            });
+
+            this.close();
+            this.emit('links:imported', response.data || []);
+
+        } catch (error) {
+            console.error('Failed to import links:', error);
+
+            // Point at the rows the server rejected
+            (error.data?.errors || []).forEach(({ index, message }) => {
+                if (rows[index]) rows[index].error = message;
+            });
+            if (error.data?.errors) {
+                this.renderStage();
+            }
+
+            this.notify('error', error.message || 'Failed to import links');
+        } finally {
+            this.isImporting = false;
+            this.updateFooter();
+        }
+    }
+
+    /**
+     * Show a notification through the owning manager
+     *
+     * @param {string} type - Notification type
+     * @param {string} message - Message
+     */
+    notify(type, message) {
+        this.emit('notification', { type, message });
+    }
+
+    /**
+     * Escape HTML
+     *
+     * @param {string} text - Text to escape
+     * @return {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
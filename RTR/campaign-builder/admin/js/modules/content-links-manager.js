@@ -10,6 +10,21 @@
 
 import EventEmitter from '../utils/event-emitter.js';
 import APIClient from '../utils/api-client.js';
+import ContentLinkImporter from './content-link-importer.js';
+
+const HEALTH_LABELS = {
+    healthy: 'Healthy',
+    redirected: 'Redirected',
+    broken: 'Broken',
+    unchecked: 'Not checked'
+};
+
+const HEALTH_ICONS = {
+    healthy: 'fa-heartbeat',
+    redirected: 'fa-random',
+    broken: 'fa-unlink',
+    unchecked: 'fa-question-circle'
+};
 
 export default class ContentLinksManager extends EventEmitter {
     /**
@@ -39,6 +54,15 @@ export default class ContentLinksManager extends EventEmitter {
         this.editingLinkId = null;
         this.isFormVisible = false;
         this.draggedItem = null;
+        this.importer = null;
+        
+        // Link health: '' shows every link, otherwise a health status
+        this.healthFilter = '';
+        this.healthFailureThreshold = null;
+        
+        // Restoring a deleted link gives it a new ID; older history
+        // entries look their link up through this map
+        this.linkIdMap = new Map();
         
         this.elements = {};
         
@@ -69,7 +93,9 @@ export default class ContentLinksManager extends EventEmitter {
             saveBtn: this.containerElement.querySelector('#save-link-btn'),
             backBtn: this.containerElement.querySelector('.btn-back-to-list'),
             loadingState: this.containerElement.querySelector('#links-loading'),
-            errorState: this.containerElement.querySelector('#links-error')
+            errorState: this.containerElement.querySelector('#links-error'),
+            healthFilter: this.containerElement.querySelector('#link-health-filter'),
+            checkAllBtn: this.containerElement.querySelector('#check-all-links-btn')
         };
         
         this.attachEventListeners();
@@ -94,6 +120,20 @@ export default class ContentLinksManager extends EventEmitter {
             });
         }
         
+        // Link health filter
+        if (this.elements.healthFilter) {
+            this.elements.healthFilter.addEventListener('change', (e) => {
+                this.healthFilter = e.target.value;
+                this.renderAllRooms();
+            });
+        }
+        
+        if (this.elements.checkAllBtn) {
+            this.elements.checkAllBtn.addEventListener('click', () => {
+                this.checkAllLinks();
+            });
+        }
+        
         // Form submission
         if (this.elements.form) {
             this.elements.form.addEventListener('submit', (e) => {
@@ -135,11 +175,14 @@ export default class ContentLinksManager extends EventEmitter {
             
             if (response.success) {
                 this.links = response.data;
+                this.healthFailureThreshold = response.meta?.health_failure_threshold ?? null;
                 this.renderAllRooms();
                 this.updateTabCounts();
                 this.hideLoadingState();
                 
                 this.emit('links:loaded', this.links);
+                
+                await this.deactivateFailingLinks();
             }
         } catch (error) {
             console.error('Failed to load content links:', error);
@@ -197,22 +240,37 @@ export default class ContentLinksManager extends EventEmitter {
         const container = this.containerElement?.querySelector(`.link-list-container[data-room="${room}"]`);
         if (!container) return;
         
-        const links = this.links[room] || [];
+        const allLinks = this.links[room] || [];
+        const links = this.healthFilter
+            ? allLinks.filter(link => this.getHealthStatus(link) === this.healthFilter)
+            : allLinks;
         
         let html = `
             <div class="link-list-header">
                 <h3>
                     <i class="fas fa-link"></i>
-                    ${links.length} Link${links.length !== 1 ? 's' : ''}
+                    ${this.healthFilter ? `${links.length} of ${allLinks.length}` : links.length} Link${allLinks.length !== 1 ? 's' : ''}
                 </h3>
-                <button class="btn btn-primary create-link-btn" data-room="${room}">
-                    <i class="fas fa-plus"></i> Add Link
-                </button>
+                <div class="link-list-actions">
+                    <button class="btn btn-secondary import-links-btn" data-room="${room}">
+                        <i class="fas fa-file-import"></i> Import
+                    </button>
+                    <button class="btn btn-primary create-link-btn" data-room="${room}">
+                        <i class="fas fa-plus"></i> Add Link
+                    </button>
+                </div>
             </div>
         `;
         
-        if (links.length === 0) {
+        if (allLinks.length === 0) {
             html += this.renderEmptyState(room);
+        } else if (links.length === 0) {
+            html += `
+                <div class="empty-state link-health-empty">
+                    <i class="fas fa-filter"></i>
+                    <h4>No ${HEALTH_LABELS[this.healthFilter].toLowerCase()} links in this room</h4>
+                </div>
+            `;
         } else {
             html += '<div class="link-list" data-room="' + room + '">';
             links.forEach(link => {
@@ -225,7 +283,11 @@ export default class ContentLinksManager extends EventEmitter {
         
         // Re-attach event listeners for this room
         this.attachCardListeners(room);
-        this.initializeDragAndDrop(room);
+        
+        // A filtered list is partial, so its order cannot be saved
+        if (!this.healthFilter) {
+            this.initializeDragAndDrop(room);
+        }
     }
     
     /**
@@ -246,6 +308,9 @@ export default class ContentLinksManager extends EventEmitter {
                 <button class="btn btn-primary create-link-btn" data-room="${room}">
                     <i class="fas fa-plus"></i> Add First Link
                 </button>
+                <button class="btn btn-secondary import-links-btn" data-room="${room}">
+                    <i class="fas fa-file-import"></i> Import from CSV or Sitemap
+                </button>
             </div>
         `;
     }
@@ -261,7 +326,7 @@ export default class ContentLinksManager extends EventEmitter {
         return `
             <div class="link-card ${activeClass}" 
                  data-link-id="${link.id}"
-                 draggable="true">
+                 draggable="${!this.healthFilter}">
                 <div class="drag-handle">
                     <i class="fas fa-grip-vertical"></i>
                 </div>
@@ -275,6 +340,7 @@ export default class ContentLinksManager extends EventEmitter {
                             <span class="badge badge-${link.is_active ? 'success' : 'inactive'}">
                                 <i class="fas ${activeIcon}"></i> ${activeLabel}
                             </span>
+                            ${this.renderHealthBadge(link)}
                         </div>
                     </div>
                     <div class="link-card-body">
@@ -307,6 +373,10 @@ export default class ContentLinksManager extends EventEmitter {
                             <i class="fas fa-${link.is_active ? 'eye-slash' : 'eye'}"></i>
                             ${link.is_active ? 'Deactivate' : 'Activate'}
                         </button>
+                        <button class="btn btn-secondary btn-sm check-health-btn" 
+                                data-link-id="${link.id}">
+                            <i class="fas fa-heartbeat"></i> Check
+                        </button>
                         <button class="btn btn-danger btn-sm delete-link-btn" 
                                 data-link-id="${link.id}">
                             <i class="fas fa-trash"></i> Delete
@@ -331,6 +401,13 @@ export default class ContentLinksManager extends EventEmitter {
             });
         });
         
+        // Import buttons
+        container.querySelectorAll('.import-links-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.showImporter(room);
+            });
+        });
+        
         // Edit buttons
         container.querySelectorAll('.edit-link-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -350,6 +427,15 @@ export default class ContentLinksManager extends EventEmitter {
             });
         });
         
+        // Health check buttons
+        container.querySelectorAll('.check-health-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const linkId = parseInt(btn.dataset.linkId);
+                this.checkLinkHealth(linkId, btn);
+            });
+        });
+        
         // Delete buttons
         container.querySelectorAll('.delete-link-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -410,8 +496,11 @@ export default class ContentLinksManager extends EventEmitter {
     
     /**
      * Save new order after drag and drop
+     * 
+     * @param {string} room - Room type
+     * @param {Object} options - { record, notify } (both default true)
      */
-    async saveNewOrder(room) {
+    async saveNewOrder(room, { record = true, notify = true } = {}) {
         const linkList = this.containerElement?.querySelector(`.link-list[data-room="${room}"]`);
         if (!linkList) return;
         
@@ -426,11 +515,24 @@ export default class ContentLinksManager extends EventEmitter {
             });
         });
         
+        const previousOrder = this.links[room].map(link => ({
+            id: link.id,
+            link_order: link.link_order
+        }));
+        
         try {
             await this.api.put('/content-links/reorder', {
                 links: updates
             });
             
+            if (record) {
+                this.recordHistory({
+                    label: `Reorder ${room} links`,
+                    undo: () => this.applyOrder(previousOrder),
+                    redo: () => this.applyOrder(updates)
+                });
+            }
+            
             // Update local order
             this.links[room].forEach(link => {
                 const update = updates.find(u => u.id === link.id);
@@ -442,10 +544,12 @@ export default class ContentLinksManager extends EventEmitter {
             // Re-sort
             this.links[room].sort((a, b) => a.link_order - b.link_order);
             
-            this.emit('notification', {
-                type: 'success',
-                message: 'Link order saved'
-            });
+            if (notify) {
+                this.emit('notification', {
+                    type: 'success',
+                    message: 'Link order saved'
+                });
+            }
         } catch (error) {
             console.error('Failed to save order:', error);
             this.emit('notification', {
@@ -482,6 +586,64 @@ export default class ContentLinksManager extends EventEmitter {
         this.showForm();
     }
     
+    /**
+     * Open the bulk importer
+     * 
+     * @param {string} room - Room used for rows that do not name one
+     */
+    showImporter(room) {
+        const campaignId = this.stateManager?.getState()?.campaignId;
+        if (!campaignId) {
+            this.emit('notification', {
+                type: 'error',
+                message: 'No campaign selected'
+            });
+            return;
+        }
+        
+        if (!this.importer) {
+            this.importer = new ContentLinkImporter(this.config);
+            this.importer.on('notification', (notification) => this.emit('notification', notification));
+            this.importer.on('links:imported', (created) => this.handleLinksImported(created));
+        }
+        
+        this.importer.open({ campaignId, links: this.links, room });
+    }
+    
+    /**
+     * Refresh after a bulk import
+     * 
+     * The batch endpoint appends links after the existing ones; one
+     * reorder per affected room then saves the list exactly as shown.
+     * 
+     * @param {Array<Object>} created - Links returned by the batch endpoint
+     */
+    async handleLinksImported(created) {
+        if (!created.length) return;
+        
+        await this.loadLinks();
+        
+        const rooms = [...new Set(created.map(link => link.room_type))];
+        for (const room of rooms) {
+            await this.saveNewOrder(room, { record: false, notify: false });
+        }
+        
+        const snapshots = created.map(link => ({ ...link }));
+        this.recordHistory({
+            label: `Import ${created.length} link${created.length === 1 ? '' : 's'}`,
+            undo: () => this.removeLinks(snapshots.map(link => link.id)),
+            redo: () => this.restoreLinks(snapshots)
+        });
+        
+        this.switchRoom(rooms.includes(this.currentRoom) ? this.currentRoom : rooms[0]);
+        
+        this.emit('links:imported', created);
+        this.emit('notification', {
+            type: 'success',
+            message: `Imported ${created.length} link${created.length === 1 ? '' : 's'}`
+        });
+    }
+    
     /**
      * Show edit form
      */
@@ -591,6 +753,9 @@ export default class ContentLinksManager extends EventEmitter {
         saveBtn.disabled = true;
         saveBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
         
+        const editingLinkId = this.editingLinkId;
+        const previous = editingLinkId ? { ...this.findLinkById(editingLinkId) } : null;
+        
         try {
             let response;
             
@@ -609,6 +774,22 @@ export default class ContentLinksManager extends EventEmitter {
             }
             
             if (response.success) {
+                if (editingLinkId) {
+                    const before = this.pickLinkFields(previous);
+                    this.recordHistory({
+                        label: `Edit link "${formData.link_title}"`,
+                        undo: () => this.applyLinkUpdate(editingLinkId, before),
+                        redo: () => this.applyLinkUpdate(editingLinkId, formData)
+                    });
+                } else if (response.data) {
+                    const created = response.data;
+                    this.recordHistory({
+                        label: `Add link "${created.link_title}"`,
+                        undo: () => this.removeLink(created.id),
+                        redo: () => this.restoreLink(created)
+                    });
+                }
+                
                 this.emit('notification', {
                     type: 'success',
                     message: this.editingLinkId 
@@ -692,8 +873,12 @@ export default class ContentLinksManager extends EventEmitter {
     
     /**
      * Toggle link active status
+     * 
+     * @param {number} linkId - Link ID
+     * @param {boolean} isActive - New status
+     * @param {Object} options - { reason } shown in the notification and history
      */
-    async toggleLinkActive(linkId, isActive) {
+    async toggleLinkActive(linkId, isActive, { reason = null } = {}) {
         try {
             const response = await this.api.put(`/content-links/${linkId}`, {
                 is_active: isActive
@@ -706,13 +891,22 @@ export default class ContentLinksManager extends EventEmitter {
                     link.is_active = isActive;
                 }
                 
+                this.recordHistory({
+                    label: `${isActive ? 'Activate' : 'Deactivate'} link "${link?.link_title || linkId}"${reason ? ` (${reason})` : ''}`,
+                    undo: () => this.applyLinkUpdate(linkId, { is_active: !isActive }),
+                    redo: () => this.applyLinkUpdate(linkId, { is_active: isActive })
+                });
+                
                 // Re-render room
                 const link_obj = this.findLinkById(linkId);
                 if (link_obj) {
                     this.renderRoom(link_obj.room_type);
                 }
                 
-                this.emit('notification', {
+                this.emit('notification', reason ? {
+                    type: 'warning',
+                    message: `"${link?.link_title || linkId}" was deactivated: ${reason}`
+                } : {
                     type: 'success',
                     message: `Link ${isActive ? 'activated' : 'deactivated'}`
                 });
@@ -733,7 +927,7 @@ export default class ContentLinksManager extends EventEmitter {
         const link = this.findLinkById(linkId);
         if (!link) return;
         
-        const confirmed = confirm(`Delete "${link.link_title}"? This cannot be undone.`);
+        const confirmed = confirm(`Delete "${link.link_title}"? You can restore it with Undo (Ctrl+Z).`);
         if (!confirmed) return;
         
         try {
@@ -745,6 +939,13 @@ export default class ContentLinksManager extends EventEmitter {
                     l => l.id !== linkId
                 );
                 
+                const snapshot = { ...link };
+                this.recordHistory({
+                    label: `Delete link "${link.link_title}"`,
+                    undo: () => this.restoreLink(snapshot),
+                    redo: () => this.removeLink(snapshot.id)
+                });
+                
                 // Re-render room
                 this.renderRoom(link.room_type);
                 this.updateTabCounts();
@@ -763,6 +964,201 @@ export default class ContentLinksManager extends EventEmitter {
         }
     }
     
+    // ------------------------------------------------------------------
+    // LINK HEALTH
+    // ------------------------------------------------------------------
+    
+    /**
+     * Health status of a link
+     * 
+     * @param {Object} link - Link object
+     * @returns {string} healthy, redirected, broken or unchecked
+     */
+    getHealthStatus(link) {
+        return link.health?.status || 'unchecked';
+    }
+    
+    /**
+     * Health badge with the last check's details as tooltip
+     * 
+     * @param {Object} link - Link object
+     * @returns {string} HTML
+     */
+    renderHealthBadge(link) {
+        const status = this.getHealthStatus(link);
+        const health = link.health;
+        const details = [];
+        
+        if (health) {
+            if (health.http_status) details.push(`HTTP ${health.http_status}`);
+            if (health.error_message) details.push(health.error_message);
+            health.redirect_chain.forEach(hop => details.push(`${hop.status} ${hop.url} →`));
+            if (health.redirect_chain.length) details.push(health.final_url);
+            if (health.page_title) details.push(`Title: ${health.page_title}`);
+            if (health.consecutive_failures > 1) details.push(`Failed ${health.consecutive_failures} checks in a row`);
+            details.push(`Checked ${new Date(health.last_checked_at.replace(' ', 'T') + 'Z').toLocaleString()}`);
+        } else {
+            details.push('Not checked yet');
+        }
+        
+        return `
+            <span class="badge link-health-badge health-${status}" title="${this.escapeHtml(details.join('\n'))}">
+                <i class="fas ${HEALTH_ICONS[status]}"></i> ${HEALTH_LABELS[status]}
+            </span>
+        `;
+    }
+    
+    /**
+     * Check one link now
+     * 
+     * @param {number} linkId - Link ID
+     * @param {HTMLElement} button - Button to show progress on
+     */
+    async checkLinkHealth(linkId, button = null) {
+        const originalText = button?.innerHTML;
+        if (button) {
+            button.disabled = true;
+            button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Checking...';
+        }
+        
+        try {
+            const response = await this.api.post(`/content-links/${linkId}/check`, {}, { timeout: 90000 });
+            const link = this.findLinkById(linkId);
+            
+            if (link) {
+                link.health = response.data;
+                this.renderRoom(link.room_type);
+                this.updateTabCounts();
+                
+                this.emit('notification', {
+                    type: response.data.status === 'broken' ? 'error' : 'success',
+                    message: `"${link.link_title}": ${HEALTH_LABELS[response.data.status].toLowerCase()}`
+                        + (response.data.http_status ? ` (HTTP ${response.data.http_status})` : '')
+                });
+            }
+            
+            await this.deactivateFailingLinks();
+        } catch (error) {
+            console.error('Failed to check link:', error);
+            this.emit('notification', {
+                type: 'error',
+                message: 'Failed to check link: ' + error.message
+            });
+        } finally {
+            if (button?.isConnected) {
+                button.disabled = false;
+                button.innerHTML = originalText;
+            }
+        }
+    }
+    
+    /**
+     * Check every link of the campaign now
+     */
+    async checkAllLinks() {
+        const campaignId = this.stateManager?.getState()?.campaignId;
+        if (!campaignId) return;
+        
+        const button = this.elements.checkAllBtn;
+        const originalText = button?.innerHTML;
+        if (button) {
+            button.disabled = true;
+            button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Checking...';
+        }
+        
+        try {
+            // The server checks a couple of links per request; ask for
+            // the next batch until it says there are none left
+            let afterId = 0;
+            let checked = 0;
+            let broken = 0;
+            
+            while (afterId !== null) {
+                const response = await this.api.post(
+                    `/campaigns/${campaignId}/content-links/check`,
+                    { after_id: afterId },
+                    { timeout: 90000 }
+                );
+                
+                Object.entries(response.data || {}).forEach(([linkId, health]) => {
+                    const link = this.findLinkById(parseInt(linkId));
+                    if (link) link.health = health;
+                });
+                
+                checked += response.checked;
+                broken += Object.values(response.data || {}).filter(h => h.status === 'broken').length;
+                afterId = response.next_after_id ?? null;
+                
+                if (button && afterId !== null) {
+                    button.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Checking ${checked}/${response.total}...`;
+                }
+            }
+            
+            this.renderAllRooms();
+            this.updateTabCounts();
+            
+            this.emit('notification', {
+                type: broken ? 'warning' : 'success',
+                message: `Checked ${checked} link${checked === 1 ? '' : 's'}`
+                    + (broken ? `, ${broken} broken` : ', all reachable')
+            });
+            
+            await this.deactivateFailingLinks();
+        } catch (error) {
+            console.error('Failed to check links:', error);
+            this.emit('notification', {
+                type: 'error',
+                message: 'Failed to check links: ' + error.message
+            });
+        } finally {
+            if (button) {
+                button.disabled = false;
+                button.innerHTML = originalText;
+            }
+        }
+    }
+    
+    /**
+     * Show links that failed too many checks in a row as deactivated
+     * 
+     * The server switches them off when a check reaches the threshold;
+     * this records that in the undo history and tells the user. Links
+     * still active and over the threshold (failing before the server
+     * did this) go through toggleLinkActive. Re-activating a link resets
+     * its failure count on the server, so it is not switched off again
+     * straight away.
+     */
+    async deactivateFailingLinks() {
+        const links = ['problem', 'solution', 'offer'].flatMap(room => this.links[room] || []);
+        
+        links
+            .filter(link => link.health?.deactivated)
+            .forEach(link => {
+                const reason = `failed ${link.health.consecutive_failures} health checks in a row`;
+                
+                link.is_active = false;
+                link.health.deactivated = false;
+                
+                this.recordHistory({
+                    label: `Deactivate link "${link.link_title}" (${reason})`,
+                    undo: () => this.applyLinkUpdate(link.id, { is_active: true }),
+                    redo: () => this.applyLinkUpdate(link.id, { is_active: false })
+                });
+                
+                this.renderRoom(link.room_type);
+                this.emit('notification', {
+                    type: 'warning',
+                    message: `"${link.link_title}" was deactivated: ${reason}`
+                });
+            });
+        
+        for (const link of links.filter(link => link.is_active && link.health?.should_deactivate)) {
+            await this.toggleLinkActive(link.id, false, {
+                reason: `failed ${link.health.consecutive_failures} health checks in a row`
+            });
+        }
+    }
+    
     /**
      * Update tab counts
      */
@@ -780,6 +1176,11 @@ export default class ContentLinksManager extends EventEmitter {
                 } else {
                     countSpan.classList.remove('has-items');
                 }
+                
+                // Flag rooms with broken links
+                const broken = this.links[room].filter(link => this.getHealthStatus(link) === 'broken').length;
+                countSpan.classList.toggle('has-broken', broken > 0);
+                countSpan.title = broken ? `${broken} broken link${broken === 1 ? '' : 's'}` : '';
             }
         });
     }
@@ -830,10 +1231,152 @@ export default class ContentLinksManager extends EventEmitter {
         }
     }
     
+    // ------------------------------------------------------------------
+    // UNDO / REDO
+    // ------------------------------------------------------------------
+    
+    /**
+     * Add an entry to the shared undo history (if this page has one)
+     * 
+     * @param {Object} entry - { label, undo, redo }
+     */
+    recordHistory(entry) {
+        this.stateManager?.history?.record(entry);
+    }
+    
+    /**
+     * Current ID of a link that may have been deleted and restored
+     * 
+     * @param {number} linkId - ID at the time the history entry was made
+     * @returns {number}
+     */
+    resolveLinkId(linkId) {
+        while (this.linkIdMap.has(linkId)) {
+            linkId = this.linkIdMap.get(linkId);
+        }
+        return linkId;
+    }
+    
+    /**
+     * Editable fields of a link, as accepted by the REST API
+     * 
+     * @param {Object} link - Link object
+     * @returns {Object}
+     */
+    pickLinkFields(link) {
+        return {
+            room_type: link.room_type,
+            link_title: link.link_title,
+            link_url: link.link_url,
+            url_summary: link.url_summary,
+            link_description: link.link_description,
+            is_active: link.is_active
+        };
+    }
+    
+    /**
+     * Recreate a deleted link at its old position
+     * 
+     * The API always appends new links and creates them active, so the
+     * status and order are restored with follow-up calls.
+     * 
+     * @param {Object} link - Snapshot of the deleted link
+     */
+    async restoreLink(link) {
+        const response = await this.api.post(
+            `/campaigns/${link.campaign_id}/content-links`,
+            this.pickLinkFields(link)
+        );
+        const restored = response.data;
+        
+        this.linkIdMap.set(this.resolveLinkId(link.id), restored.id);
+        
+        if (!link.is_active) {
+            await this.api.put(`/content-links/${restored.id}`, { is_active: false });
+        }
+        
+        // Put it back where it was among its siblings
+        const siblings = this.links[link.room_type]
+            .filter(l => l.id !== restored.id)
+            .map(l => l.id);
+        siblings.splice(Math.min(link.link_order, siblings.length), 0, restored.id);
+        
+        await this.api.put('/content-links/reorder', {
+            links: siblings.map((id, index) => ({ id, link_order: index }))
+        });
+        
+        await this.loadLinks();
+    }
+    
+    /**
+     * Delete a link without confirmation (undo of "add", redo of "delete")
+     * 
+     * @param {number} linkId - Link ID when the entry was recorded
+     */
+    async removeLink(linkId) {
+        await this.api.delete(`/content-links/${this.resolveLinkId(linkId)}`);
+        await this.loadLinks();
+    }
+    
+    /**
+     * Delete several links (undo of an import)
+     * 
+     * @param {Array<number>} linkIds - Link IDs when the entry was recorded
+     */
+    async removeLinks(linkIds) {
+        for (const linkId of linkIds) {
+            await this.api.delete(`/content-links/${this.resolveLinkId(linkId)}`);
+        }
+        await this.loadLinks();
+    }
+    
+    /**
+     * Recreate imported links in one batch (redo of an import)
+     * 
+     * @param {Array<Object>} links - Snapshots of the imported links
+     */
+    async restoreLinks(links) {
+        const response = await this.api.post(
+            `/campaigns/${links[0].campaign_id}/content-links/batch`,
+            { links: links.map(link => this.pickLinkFields(link)) }
+        );
+        
+        // The batch returns links in request order
+        response.data.forEach((restored, index) => {
+            this.linkIdMap.set(this.resolveLinkId(links[index].id), restored.id);
+        });
+        
+        await this.loadLinks();
+    }
+    
+    /**
+     * Write link fields back (undo/redo of edits and status toggles)
+     * 
+     * @param {number} linkId - Link ID when the entry was recorded
+     * @param {Object} fields - Fields to write
+     */
+    async applyLinkUpdate(linkId, fields) {
+        await this.api.put(`/content-links/${this.resolveLinkId(linkId)}`, fields);
+        await this.loadLinks();
+    }
+    
+    /**
+     * Write a saved link order back (undo/redo of drag and drop)
+     * 
+     * @param {Array<Object>} order - [{ id, link_order }]
+     */
+    async applyOrder(order) {
+        await this.api.put('/content-links/reorder', {
+            links: order.map(({ id, link_order }) => ({ id: this.resolveLinkId(id), link_order }))
+        });
+        await this.loadLinks();
+    }
+    
     /**
      * Find link by ID
      */
     findLinkById(linkId) {
+        linkId = this.resolveLinkId(linkId);
         for (const room in this.links) {
             const link = this.links[room].find(l => l.id === linkId);
             if (link) return link;
@@ -0,0 +1,423 @@
+/**
+ * Prompt Variable Editor
+ *
+ * Adds merge-variable support to the prompt section textareas:
+ * highlighting of `{{variables}}` (unknown names in red), an
+ * autocomplete menu that opens after typing `{{`, and a reference list
+ * that inserts a variable at the cursor.
+ *
+ * Highlighting uses a backdrop behind a transparent textarea so the
+ * fields stay plain textareas for the rest of the form code.
+ *
+ * @package DirectReach_Campaign_Builder
+ * @since 2.5.0
+ */
+
+import { findVariables } from '../utils/prompt-variables.js';
+
+/**
+ * Options shown in the autocomplete menu
+ */
+const MAX_OPTIONS = 8;
+
+/**
+ * Styles the backdrop copies from its textarea
+ */
+const MIRRORED_STYLES = [
+    'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+    'tabSize'
+];
+
+export default class PromptVariableEditor {
+    /**
+     * Constructor
+     *
+     * @param {Array<HTMLTextAreaElement>} textareas - Prompt section fields
+     */
+    constructor(textareas) {
+        this.variables = [];
+        this.samples = {};
+        this.room = 'problem';
+
+        this.fields = textareas.map(textarea => this.wrap(textarea));
+        this.lastField = this.fields[0] || null;
+
+        this.menu = null;
+        this.menuField = null;
+        this.options = [];
+        this.activeIndex = 0;
+
+        this.resizeObserver = typeof ResizeObserver !== 'undefined'
+            ? new ResizeObserver(() => this.refresh())
+            : null;
+        this.fields.forEach(field => this.resizeObserver?.observe(field.textarea));
+
+        this.handleWindowScroll = () => this.closeMenu();
+        window.addEventListener('scroll', this.handleWindowScroll, true);
+    }
+
+    /**
+     * Set the variable definitions and sample values
+     *
+     * @param {Array} variables - [{ name, group, label, description }]
+     * @param {Object} samples - { room: { name: value } }
+     */
+    setVariables(variables, samples = {}) {
+        this.variables = variables;
+        this.samples = samples;
+        this.refresh();
+    }
+
+    /**
+     * Room whose sample values the menu shows
+     *
+     * @param {string} room - Room type
+     */
+    setRoom(room) {
+        this.room = room;
+        this.refresh();
+    }
+
+    /**
+     * Known variable names
+     *
+     * @returns {Array<string>}
+     */
+    getNames() {
+        return this.variables.map(v => v.name);
+    }
+
+    /**
+     * Sample values for the current room
+     *
+     * @returns {Object} name => value
+     */
+    getSamples() {
+        return this.samples[this.room] || {};
+    }
+
+    /**
+     * Re-render every backdrop (after values are set from code)
+     */
+    refresh() {
+        this.fields.forEach(field => this.render(field));
+    }
+
+    // ------------------------------------------------------------------
+    // HIGHLIGHTING
+    // ------------------------------------------------------------------
+
+    /**
+     * Wrap a textarea with a highlight backdrop
+     *
+     * @param {HTMLTextAreaElement} textarea - Field
+     * @returns {Object} { textarea, backdrop }
+     */
+    wrap(textarea) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'prompt-variable-field';
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'prompt-variable-backdrop';
+        backdrop.setAttribute('aria-hidden', 'true');
+
+        textarea.parentNode.insertBefore(wrapper, textarea);
+        wrapper.appendChild(backdrop);
+        wrapper.appendChild(textarea);
+        textarea.classList.add('prompt-variable-input');
+
+        const field = { textarea, backdrop };
+
+        textarea.addEventListener('input', () => {
+            this.render(field);
+            this.updateMenu(field);
+        });
+        textarea.addEventListener('scroll', () => {
+            backdrop.scrollTop = textarea.scrollTop;
+        });
+        textarea.addEventListener('keydown', (e) => this.handleKeydown(e, field));
+        textarea.addEventListener('click', () => this.updateMenu(field));
+        textarea.addEventListener('focus', () => {
+            this.lastField = field;
+        });
+        textarea.addEventListener('blur', () => this.closeMenu());
+
+        return field;
+    }
+
+    /**
+     * Render a field's backdrop
+     *
+     * @param {Object} field - { textarea, backdrop }
+     * @param {number|null} caret - Index to place the caret marker at
+     */
+    render(field, caret = null) {
+        const { textarea, backdrop } = field;
+        const text = textarea.value;
+        const names = this.getNames();
+        const computed = window.getComputedStyle(textarea);
+
+        MIRRORED_STYLES.forEach(prop => {
+            backdrop.style[prop] = computed[prop];
+        });
+        backdrop.style.width = `${textarea.clientWidth + parseFloat(computed.borderLeftWidth) + parseFloat(computed.borderRightWidth)}px`;
+        backdrop.style.height = `${textarea.offsetHeight}px`;
+
+        const segment = (from, to) => {
+            if (caret === null || caret < from || caret >= to) {
+                return this.escapeHtml(text.slice(from, to));
+            }
+            return this.escapeHtml(text.slice(from, caret))
+                + '<span class="prompt-variable-caret"></span>'
+                + this.escapeHtml(text.slice(caret, to));
+        };
+
+        let html = '';
+        let position = 0;
+
+        findVariables(text).forEach(variable => {
+            const known = !names.length || names.includes(variable.name);
+            html += segment(position, variable.start);
+            html += `<mark class="prompt-variable ${known ? 'known' : 'unknown'}">${segment(variable.start, variable.end)}</mark>`;
+            position = variable.end;
+        });
+
+        html += segment(position, text.length);
+        if (caret === text.length) {
+            html += '<span class="prompt-variable-caret"></span>';
+        }
+
+        // Trailing space keeps a final empty line the same height as in the textarea
+        backdrop.innerHTML = html + ' ';
+        backdrop.scrollTop = textarea.scrollTop;
+    }
+
+    // ------------------------------------------------------------------
+    // AUTOCOMPLETE
+    // ------------------------------------------------------------------
+
+    /**
+     * Open `{{` before the caret, if any
+     *
+     * @param {HTMLTextAreaElement} textarea - Field
+     * @returns {Object|null} { start, query }
+     */
+    getQuery(textarea) {
+        if (textarea.selectionStart !== textarea.selectionEnd) return null;
+
+        const before = textarea.value.slice(0, textarea.selectionStart);
+        const match = before.match(/\{\{\s*([a-zA-Z_.]*)$/);
+
+        return match ? { start: match.index, query: match[1].toLowerCase() } : null;
+    }
+
+    /**
+     * Open, filter or close the menu for the caret position
+     *
+     * @param {Object} field - { textarea, backdrop }
+     */
+    updateMenu(field) {
+        const query = this.getQuery(field.textarea);
+
+        if (!query || !this.variables.length) {
+            this.closeMenu();
+            return;
+        }
+
+        this.options = this.variables
+            .filter(v => v.name.toLowerCase().includes(query.query) || v.label.toLowerCase().includes(query.query))
+            .sort((a, b) => Number(!a.name.startsWith(query.query)) - Number(!b.name.startsWith(query.query)))
+            .slice(0, MAX_OPTIONS);
+
+        if (!this.options.length) {
+            this.closeMenu();
+            return;
+        }
+
+        this.activeIndex = 0;
+        this.menuField = field;
+        this.renderMenu();
+
+        // Position under the caret using a marker in the backdrop
+        this.render(field, field.textarea.selectionStart);
+        const marker = field.backdrop.querySelector('.prompt-variable-caret');
+        const rect = marker.getBoundingClientRect();
+        const lineHeight = parseFloat(window.getComputedStyle(field.textarea).lineHeight) || 20;
+
+        this.menu.style.left = `${Math.min(rect.left, window.innerWidth - this.menu.offsetWidth - 8)}px`;
+        this.menu.style.top = `${rect.top + lineHeight}px`;
+    }
+
+    /**
+     * Render the menu options
+     */
+    renderMenu() {
+        if (!this.menu) {
+            this.menu = document.createElement('ul');
+            this.menu.className = 'prompt-variable-menu';
+            this.menu.setAttribute('role', 'listbox');
+
+            // mousedown keeps focus in the textarea
+            this.menu.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                const option = e.target.closest('[data-index]');
+                if (option) {
+                    this.insert(this.menuField, this.options[parseInt(option.dataset.index, 10)].name);
+                }
+            });
+
+            document.body.appendChild(this.menu);
+        }
+
+        const samples = this.getSamples();
+
+        this.menu.innerHTML = this.options.map((variable, index) => `
+            <li class="prompt-variable-option ${index === this.activeIndex ? 'active' : ''}" role="option"
+                data-index="${index}" title="${this.escapeHtml(variable.description)}">
+                <code>{{${variable.name}}}</code>
+                <span>${this.escapeHtml(variable.label)}</span>
+                ${samples[variable.name] ? `<small>${this.escapeHtml(samples[variable.name])}</small>` : ''}
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Close the menu
+     */
+    closeMenu() {
+        if (this.menu) {
+            this.menu.remove();
+            this.menu = null;
+        }
+        this.menuField = null;
+    }
+
+    /**
+     * Menu keyboard navigation
+     *
+     * @param {KeyboardEvent} e - Keydown event
+     * @param {Object} field - { textarea, backdrop }
+     */
+    handleKeydown(e, field) {
+        if (!this.menu || this.menuField !== field) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                e.preventDefault();
+                this.activeIndex = (this.activeIndex + (e.key === 'ArrowDown' ? 1 : -1) + this.options.length) % this.options.length;
+                this.renderMenu();
+                break;
+            case 'Enter':
+            case 'Tab':
+                e.preventDefault();
+                this.insert(field, this.options[this.activeIndex].name);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                e.stopPropagation();
+                this.closeMenu();
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight':
+            case 'Home':
+            case 'End':
+                // Caret moves after keydown
+                setTimeout(() => this.updateMenu(field));
+                break;
+        }
+    }
+
+    /**
+     * Insert a variable at the caret
+     *
+     * Completes an open `{{` (and any partial name or closing braces
+     * after the caret) or inserts a new `{{name}}`.
+     *
+     * @param {Object} field - { textarea, backdrop }
+     * @param {string} name - Variable name
+     */
+    insert(field, name) {
+        const { textarea } = field;
+        const caret = textarea.selectionStart;
+        const query = this.getQuery(textarea);
+
+        let start = textarea.selectionStart;
+        let end = textarea.selectionEnd;
+
+        if (query) {
+            const rest = textarea.value.slice(caret).match(/^[a-zA-Z_.]*\s*(\}\})?/);
+            start = query.start;
+            end = caret + (rest && rest[1] ? rest[0].length : 0);
+        }
+
+        textarea.focus();
+        textarea.setRangeText(`{{${name}}}`, start, end, 'end');
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+
+        this.closeMenu();
+    }
+
+    /**
+     * Insert a variable into the last focused field
+     *
+     * @param {string} name - Variable name
+     */
+    insertIntoLastField(name) {
+        if (this.lastField) {
+            this.insert(this.lastField, name);
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // REFERENCE
+    // ------------------------------------------------------------------
+
+    /**
+     * Variable reference grouped by source, with sample values
+     *
+     * @returns {string} HTML
+     */
+    renderReference() {
+        if (!this.variables.length) return '';
+
+        const samples = this.getSamples();
+        const groups = {};
+
+        this.variables.forEach(variable => {
+            (groups[variable.group] = groups[variable.group] || []).push(variable);
+        });
+
+        return Object.entries(groups).map(([group, variables]) => `
+            <div class="prompt-variables-group">
+                <h5>${this.escapeHtml(group)}</h5>
+                <ul>
+                    ${variables.map(variable => `
+                        <li>
+                            <button type="button" class="prompt-variable-insert" data-variable="${this.escapeHtml(variable.name)}"
+                                    title="Insert at cursor">
+                                <code>{{${this.escapeHtml(variable.name)}}}</code>
+                            </button>
+                            <span>${this.escapeHtml(variable.description)}</span>
+                            ${samples[variable.name] ? `<small>e.g. ${this.escapeHtml(samples[variable.name])}</small>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Escape HTML
+     *
+     * @param {string} text - Text to escape
+     * @return {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -1,118 +1,554 @@
 /**
  * State Manager Module
  * Handles state persistence (localStorage + database)
- * 
+ *
+ * Drafts are scoped per WordPress user and per client, so two admins
+ * sharing a browser, or two tabs on different clients, never write to
+ * the same key. Every draft carries the server revision it was based on;
+ * saves go through a persistent queue that survives reloads and is
+ * flushed again when connectivity returns. A 409 from the server is
+ * handed to the conflict handler (WorkflowManager's merge dialog).
+ *
  * @package DirectReach_Campaign_Builder
  * @since 2.0.0
  */
 
+import APIClient, { ApiError } from '../utils/api-client.js';
+import CommandHistory from '../utils/command-history.js';
+
+/**
+ * State keys that are navigation or derived data, not user edits
+ */
+const HISTORY_IGNORED_KEYS = ['currentStep', 'completedSteps', 'contentLinks'];
+
 export default class StateManager {
     constructor(config) {
         this.config = config;
-        this.storageKey = 'dr_campaign_builder_state';
+        this.api = new APIClient(config.apiUrl, config.nonce);
+        this.storagePrefix = 'dr_campaign_builder_state';
+        this.userId = config.userId || 0;
+        this.clientScope = this.readActiveScope();
         this.saveTimeout = null;
+        this.retryTimeout = null;
         this.autoSaveInterval = 30000; // 30 seconds
         this.lastSaved = null;
         this.isDirty = false;
+        this.isFlushing = false;
+        this.flushPromise = null;
+        this.syncStatus = 'saved'; // saved | pending | saving | offline | conflict
+        this.conflictHandler = null;
+        this.history = new CommandHistory();
+        this.listeners = {};
+
+        this.migrateLegacyState();
     }
-    
+
     /**
      * Initialize state manager
      */
     init() {
         this.startAutoSave();
         window.addEventListener('beforeunload', (e) => this.handleBeforeUnload(e));
+        window.addEventListener('online', () => this.flushQueue());
+        window.addEventListener('storage', (e) => this.handleStorageEvent(e));
+
+        // Saves left over from a previous session (closed tab, lost connection)
+        if (this.getQueue().length > 0) {
+            this.setSyncStatus('pending');
+            this.flushQueue();
+        }
     }
-    
+
+    // ------------------------------------------------------------------
+    // STORAGE KEYS & SCOPE
+    // ------------------------------------------------------------------
+
     /**
-     * Get current state from localStorage
-     * 
-     * @returns {Object} Current workflow state
+     * Scope name for a client ID ('new' before a client is picked)
+     *
+     * @param {number|null} clientId - Client ID
+     * @returns {string}
      */
-    getState() {
+    scopeFor(clientId) {
+        return clientId ? String(clientId) : 'new';
+    }
+
+    /**
+     * localStorage key holding the draft envelope for a scope
+     *
+     * @param {string} scope - Client scope
+     * @returns {string}
+     */
+    getStorageKey(scope = this.clientScope) {
+        return `${this.storagePrefix}:${this.userId}:${scope}`;
+    }
+
+    /**
+     * Key for the pending-save queue (shared by all tabs of this user)
+     *
+     * @returns {string}
+     */
+    getQueueKey() {
+        return `${this.storagePrefix}:${this.userId}:queue`;
+    }
+
+    /**
+     * Key remembering which client this user / tab is working on
+     *
+     * @returns {string}
+     */
+    getActiveKey() {
+        return `${this.storagePrefix}:${this.userId}:active`;
+    }
+
+    /**
+     * Active scope for this tab: sessionStorage first (per tab), then the
+     * last client this user worked on in any tab
+     *
+     * @returns {string}
+     */
+    readActiveScope() {
         try {
-            const stored = localStorage.getItem(this.storageKey);
+            return sessionStorage.getItem(this.getActiveKey())
+                || localStorage.getItem(this.getActiveKey())
+                || 'new';
+        } catch (error) {
+            return 'new';
+        }
+    }
+
+    /**
+     * Switch this tab to another client's draft
+     *
+     * @param {string} scope - Client scope
+     */
+    setActiveScope(scope) {
+        this.clientScope = scope;
+        try {
+            sessionStorage.setItem(this.getActiveKey(), scope);
+            localStorage.setItem(this.getActiveKey(), scope);
+        } catch (error) {
+            console.error('Error saving active draft scope:', error);
+        }
+    }
+
+    /**
+     * Move the pre-versioning global draft into this user's scoped keys
+     */
+    migrateLegacyState() {
+        try {
+            const legacy = localStorage.getItem(this.storagePrefix);
+            if (!legacy) {
+                return;
+            }
+
+            const state = JSON.parse(legacy);
+            const scope = this.scopeFor(state.clientId);
+            if (!localStorage.getItem(this.getStorageKey(scope))) {
+                this.writeEnvelope(scope, { state, revision: null });
+            }
+            localStorage.removeItem(this.storagePrefix);
+        } catch (error) {
+            console.error('Error migrating legacy workflow state:', error);
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // LOCAL DRAFTS
+    // ------------------------------------------------------------------
+
+    /**
+     * Read a draft envelope ({ state, revision, savedAt })
+     *
+     * @param {string} scope - Client scope
+     * @returns {Object|null}
+     */
+    readEnvelope(scope = this.clientScope) {
+        try {
+            const stored = localStorage.getItem(this.getStorageKey(scope));
             if (stored) {
                 return JSON.parse(stored);
             }
         } catch (error) {
             console.error('Error reading state from localStorage:', error);
         }
-        
-        return this.getDefaultState();
+
+        return null;
     }
-    
+
     /**
-     * Save state to localStorage
-     * 
-     * @param {Object} state - Workflow state to save
+     * Write a draft envelope
+     *
+     * @param {string} scope - Client scope
+     * @param {Object} envelope - { state, revision }
+     * @returns {boolean}
      */
-    saveToLocalStorage(state) {
+    writeEnvelope(scope, envelope) {
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify(state));
-            this.isDirty = false;
+            localStorage.setItem(this.getStorageKey(scope), JSON.stringify({
+                ...envelope,
+                savedAt: new Date().toISOString()
+            }));
             return true;
         } catch (error) {
             console.error('Error saving state to localStorage:', error);
             return false;
         }
     }
-    
+
+    /**
+     * Get current state from localStorage
+     *
+     * @returns {Object} Current workflow state
+     */
+    getState() {
+        const envelope = this.readEnvelope();
+        return envelope?.state || this.getDefaultState();
+    }
+
+    /**
+     * Server revision the current draft is based on
+     *
+     * @returns {number|null} null when the draft has never been saved
+     */
+    getRevision() {
+        return this.readEnvelope()?.revision ?? null;
+    }
+
+    /**
+     * Save state to localStorage
+     *
+     * @param {Object} state - Workflow state to save
+     */
+    saveToLocalStorage(state) {
+        return this.writeEnvelope(this.clientScope, {
+            state,
+            revision: this.getRevision()
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // SAVE QUEUE
+    // ------------------------------------------------------------------
+
+    /**
+     * Pending saves, at most one per scope (later edits replace earlier ones)
+     *
+     * @returns {Array<Object>} [{ scope, state, queuedAt }]
+     */
+    getQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(this.getQueueKey())) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Persist the queue
+     *
+     * @param {Array<Object>} queue - Queue entries
+     */
+    setQueue(queue) {
+        try {
+            if (queue.length) {
+                localStorage.setItem(this.getQueueKey(), JSON.stringify(queue));
+            } else {
+                localStorage.removeItem(this.getQueueKey());
+            }
+        } catch (error) {
+            console.error('Error saving pending saves queue:', error);
+        }
+    }
+
+    /**
+     * Add or replace the pending save for a scope
+     *
+     * @param {string} scope - Client scope
+     * @param {Object} state - State to save
+     */
+    enqueueSave(scope, state) {
+        const queue = this.getQueue().filter(entry => entry.scope !== scope);
+        queue.push({ scope, state, queuedAt: Date.now() });
+        this.setQueue(queue);
+        this.setSyncStatus('pending');
+    }
+
+    /**
+     * Drop a scope's pending save, unless it was replaced after `queuedAt`
+     *
+     * @param {string} scope - Client scope
+     * @param {number} queuedAt - Timestamp of the entry that was saved
+     */
+    dequeueSave(scope, queuedAt = Infinity) {
+        this.setQueue(this.getQueue().filter(entry => {
+            return entry.scope !== scope || entry.queuedAt > queuedAt;
+        }));
+    }
+
+    /**
+     * Whether a scope has local edits not yet on the server
+     *
+     * @param {string} scope - Client scope
+     * @returns {boolean}
+     */
+    hasPendingSave(scope = this.clientScope) {
+        return this.getQueue().some(entry => entry.scope === scope);
+    }
+
+    /**
+     * Send every pending save to the server, oldest first
+     *
+     * Network failures leave entries queued and schedule a retry;
+     * conflicts are handed to the conflict handler.
+     *
+     * @returns {Promise<void>}
+     */
+    async flushQueue() {
+        // Callers arriving mid-flush wait for the run in progress
+        if (this.flushPromise) {
+            return this.flushPromise;
+        }
+
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            this.setSyncStatus('offline');
+            return;
+        }
+
+        clearTimeout(this.retryTimeout);
+        this.isFlushing = true;
+        this.flushPromise = this.sendQueue();
+
+        try {
+            await this.flushPromise;
+        } catch (error) {
+            if (error.isNetworkError || error.isTimeout || error.isRetryable) {
+                this.setSyncStatus('offline');
+                this.retryTimeout = setTimeout(() => {
+                    this.flushQueue().catch(() => {});
+                }, this.autoSaveInterval);
+            } else if (error.code !== 'workflow_conflict') {
+                this.setSyncStatus('pending');
+            }
+            throw error;
+        } finally {
+            this.isFlushing = false;
+            this.flushPromise = null;
+        }
+
+        if (!this.getQueue().length) {
+            this.setSyncStatus('saved');
+        }
+    }
+
+    /**
+     * Save queued entries oldest first, stopping at the first failure
+     *
+     * @returns {Promise<void>}
+     */
+    async sendQueue() {
+        const queue = this.getQueue().sort((a, b) => a.queuedAt - b.queuedAt);
+
+        for (const entry of queue) {
+            await this.saveEntry(entry);
+        }
+    }
+
+    /**
+     * Save one queued entry with its base revision as precondition
+     *
+     * @param {Object} entry - Queue entry
+     * @returns {Promise<Object>} Server response
+     */
+    async saveEntry(entry) {
+        const envelope = this.readEnvelope(entry.scope);
+        const revision = envelope?.revision ?? null;
+        const headers = revision
+            ? { 'If-Match': `"${revision}"` }
+            : { 'If-None-Match': '*' };
+
+        this.setSyncStatus('saving');
+
+        try {
+            const data = await this.api.put('/workflow', entry.state, { headers });
+
+            // Keep any edits made while the request was in flight
+            const latest = this.readEnvelope(entry.scope);
+            this.writeEnvelope(entry.scope, {
+                state: latest?.state || entry.state,
+                revision: data.revision
+            });
+            this.dequeueSave(entry.scope, entry.queuedAt);
+
+            this.lastSaved = new Date();
+            if (entry.scope === this.clientScope) {
+                this.isDirty = this.hasPendingSave();
+            }
+            this.emit('state:saved', { scope: entry.scope, revision: data.revision });
+
+            return data;
+
+        } catch (error) {
+            if (error.code === 'workflow_conflict') {
+                this.setSyncStatus('conflict');
+                await this.handleConflict(entry, error.data || {});
+            }
+            throw error;
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // CONFLICTS
+    // ------------------------------------------------------------------
+
+    /**
+     * Register the function that resolves conflicts
+     *
+     * It receives { local, server, serverRevision, serverUpdatedAt } and
+     * resolves to { action: 'local'|'server'|'merge', state }.
+     *
+     * @param {Function} handler - Async conflict handler
+     */
+    setConflictHandler(handler) {
+        this.conflictHandler = handler;
+    }
+
+    /**
+     * Resolve a conflict between a queued save and the server copy
+     *
+     * @param {Object} entry - Queue entry that was rejected
+     * @param {Object} server - Conflict data { revision, updated_at, state }
+     * @returns {Promise<void>}
+     */
+    async handleConflict(entry, server) {
+        const resolution = this.conflictHandler
+            ? await this.conflictHandler({
+                local: entry.state,
+                server: server.state || {},
+                serverRevision: server.revision,
+                serverUpdatedAt: server.updated_at
+            })
+            : { action: 'server', state: server.state };
+
+        if (resolution.action === 'server') {
+            this.writeEnvelope(entry.scope, { state: server.state, revision: server.revision });
+            this.dequeueSave(entry.scope);
+            // Undo entries were recorded against the discarded draft
+            this.history.clear();
+            this.emit('state:replaced', { scope: entry.scope, state: server.state });
+            this.setSyncStatus(this.getQueue().length ? 'pending' : 'saved');
+            return;
+        }
+
+        // Keep mine / merged: rebase onto the server revision and save again
+        const state = { ...resolution.state, lastModified: new Date().toISOString() };
+        this.writeEnvelope(entry.scope, { state, revision: server.revision });
+        this.enqueueSave(entry.scope, state);
+
+        if (entry.scope === this.clientScope) {
+            this.emit('state:replaced', { scope: entry.scope, state });
+        }
+
+        setTimeout(() => this.flushQueue().catch(() => {}), 0);
+    }
+
+    // ------------------------------------------------------------------
+    // DATABASE
+    // ------------------------------------------------------------------
+
     /**
      * Save state to database via REST API
-     * 
+     *
      * @param {Object} state - Workflow state to save
      * @returns {Promise}
      */
     async saveToDatabase(state) {
         try {
-            const response = await fetch(`${this.config.apiUrl}/workflow`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.config.nonce
-                },
-                body: JSON.stringify(state)
-            });
-            
-            if (!response.ok) {
-                throw new Error('Failed to save to database');
+            const scope = this.scopeFor(state.clientId);
+            this.enqueueSave(scope, state);
+            await this.flushQueue();
+
+            // A flush already in flight may have started before this entry was queued
+            if (this.hasPendingSave(scope) && this.syncStatus !== 'offline') {
+                await this.flushQueue();
             }
-            
-            const data = await response.json();
-            this.lastSaved = new Date();
-            this.isDirty = false;
-            
-            return data;
+
+            if (this.hasPendingSave(scope)) {
+                throw new ApiError('Draft kept in this browser until the connection returns', {
+                    code: 'api_offline'
+                });
+            }
+
+            return { success: true, revision: this.getRevision() };
         } catch (error) {
             console.error('Error saving state to database:', error);
             throw error;
         }
     }
-    
+
     /**
      * Update state (saves to localStorage immediately, queues database save)
-     * 
+     *
      * @param {Object} updates - Partial state updates
+     * @param {Object} options - History options
+     * @param {boolean} options.record - Add to undo history (default true)
+     * @param {string} options.label - History label
+     * @param {string} options.coalesceKey - Merge with the previous entry sharing this key
      * @returns {Object} Updated state
      */
-    updateState(updates) {
+    updateState(updates, options = {}) {
         const currentState = this.getState();
-        const newState = { ...currentState, ...updates };
-        
-        // Save to localStorage immediately
-        this.saveToLocalStorage(newState);
+        const newState = { ...currentState, ...updates, lastModified: new Date().toISOString() };
+
+        if (options.record !== false) {
+            this.history.recordPatch(currentState, updates, patch => this.applyHistoryPatch(patch), {
+                label: options.label,
+                coalesceKey: options.coalesceKey,
+                ignore: HISTORY_IGNORED_KEYS
+            });
+        }
+
+        // Picking another client moves this tab onto that client's draft
+        const scope = this.scopeFor(newState.clientId);
+        if (scope !== this.clientScope) {
+            const previousScope = this.clientScope;
+            const existing = this.readEnvelope(scope);
+
+            this.setActiveScope(scope);
+            this.writeEnvelope(scope, { state: newState, revision: existing?.revision ?? null });
+
+            // The unscoped draft only lives until a client is chosen
+            if (previousScope === 'new') {
+                localStorage.removeItem(this.getStorageKey('new'));
+                this.dequeueSave('new');
+            }
+        } else {
+            // Save to localStorage immediately
+            this.saveToLocalStorage(newState);
+        }
+
         this.isDirty = true;
-        
+        this.enqueueSave(scope, newState);
+
         // Queue database save (debounced)
         this.queueDatabaseSave(newState);
-        
+
         return newState;
     }
-    
+
+    /**
+     * Apply an undo/redo patch and let the UI redraw from it
+     *
+     * @param {Object} patch - State keys to restore
+     */
+    applyHistoryPatch(patch) {
+        const state = this.updateState(patch, { record: false });
+        this.emit('state:replaced', { scope: this.clientScope, state });
+    }
+
     /**
      * Queue database save with debouncing
-     * 
+     *
      * @param {Object} state - State to save
      */
     queueDatabaseSave(state) {
@@ -120,90 +556,153 @@ export default class StateManager {
         if (this.saveTimeout) {
             clearTimeout(this.saveTimeout);
         }
-        
+
         // Set new timeout (debounce 2 seconds)
         this.saveTimeout = setTimeout(() => {
-            this.saveToDatabase(state);
+            this.flushQueue().catch(error => {
+                console.error('Queued save failed:', error);
+            });
         }, 2000);
     }
-    
+
     /**
      * Force immediate save to database
-     * 
+     *
      * @returns {Promise}
      */
     async forceSave() {
         const state = this.getState();
         return await this.saveToDatabase(state);
     }
-    
+
     /**
      * Start auto-save interval
      */
     startAutoSave() {
         setInterval(() => {
-            if (this.isDirty) {
-                const state = this.getState();
-                this.saveToDatabase(state).catch(error => {
+            if (this.getQueue().length > 0) {
+                this.flushQueue().catch(error => {
                     console.error('Auto-save failed:', error);
                 });
             }
         }, this.autoSaveInterval);
     }
-    
+
     /**
      * Clear all state
      */
     clearState() {
-        localStorage.removeItem(this.storageKey);
+        localStorage.removeItem(this.getStorageKey());
+        this.dequeueSave(this.clientScope);
+        this.setActiveScope('new');
+        this.history.clear();
         this.isDirty = false;
     }
-    
+
     /**
      * Load state from database
-     * 
+     *
+     * The server copy wins unless this browser holds unsaved edits. If it
+     * does and the server moved past the revision they were based on,
+     * the conflict handler decides.
+     *
      * @returns {Promise<Object>}
      */
     async loadFromDatabase() {
         try {
-            const response = await fetch(`${this.config.apiUrl}/workflow`, {
-                method: 'GET',
-                headers: {
-                    'X-WP-Nonce': this.config.nonce
+            const params = this.clientScope !== 'new' ? { client_id: this.clientScope } : {};
+            const data = await this.api.get('/workflow', params);
+
+            const serverState = data.data || this.getDefaultState();
+            const serverRevision = data.revision || 0;
+            const scope = this.scopeFor(serverState.clientId);
+
+            if (scope !== this.clientScope) {
+                this.setActiveScope(scope);
+            }
+
+            const local = this.readEnvelope(scope);
+
+            if (local?.state && this.hasPendingSave(scope)) {
+                if (serverRevision && serverRevision !== local.revision) {
+                    const entry = this.getQueue().find(e => e.scope === scope);
+                    await this.handleConflict(entry, {
+                        state: serverState,
+                        revision: serverRevision,
+                        updated_at: data.updated_at
+                    });
+                    return this.getState();
                 }
-            });
-            
-            if (!response.ok) {
-                throw new Error('Failed to load from database');
+
+                // Server has not moved on - keep the local edits and push them
+                this.flushQueue().catch(() => {});
+                return local.state;
             }
-            
-            const data = await response.json();
-            
-            // Merge with localStorage (localStorage takes precedence if newer)
-            const localState = this.getState();
-            const dbState = data.data || this.getDefaultState();
-            
-            // Use whichever is newer
-            if (localState.lastModified && dbState.lastModified) {
-                const state = new Date(localState.lastModified) > new Date(dbState.lastModified) 
-                    ? localState 
-                    : dbState;
-                this.saveToLocalStorage(state);
-                return state;
+
+            if (!serverRevision && local?.state) {
+                return local.state;
             }
-            
-            this.saveToLocalStorage(dbState);
-            return dbState;
-            
+
+            this.writeEnvelope(scope, { state: serverState, revision: serverRevision || null });
+            return serverState;
+
         } catch (error) {
             console.error('Error loading state from database:', error);
             return this.getState();
         }
     }
-    
+
+    /**
+     * Another tab wrote to localStorage
+     *
+     * @param {StorageEvent} e - Storage event
+     */
+    handleStorageEvent(e) {
+        if (e.key !== this.getStorageKey() || !e.newValue) {
+            return;
+        }
+
+        let envelope;
+        try {
+            envelope = JSON.parse(e.newValue);
+        } catch (error) {
+            // Written by something else; ignore it like readEnvelope does
+            console.error('Error reading state from storage event:', error);
+            return;
+        }
+
+        if (envelope && envelope.state) {
+            this.emit('state:external-change', envelope.state);
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // SYNC STATUS
+    // ------------------------------------------------------------------
+
+    /**
+     * Update and broadcast the sync status
+     *
+     * @param {string} status - saved | pending | saving | offline | conflict
+     */
+    setSyncStatus(status) {
+        if (this.syncStatus === status) {
+            return;
+        }
+        this.syncStatus = status;
+        this.emit('sync:status', status);
+    }
+
+    /**
+     * @returns {string} Current sync status
+     */
+    getSyncStatus() {
+        return this.syncStatus;
+    }
+
     /**
      * Get default state structure
-     * 
+     *
      * @returns {Object}
      */
     getDefaultState() {
@@ -227,35 +726,61 @@ export default class StateManager {
             lastModified: new Date().toISOString()
         };
     }
-    
+
     /**
      * Handle before unload event
-     * 
+     *
      * @param {Event} e - Before unload event
      */
     handleBeforeUnload(e) {
-        if (this.isDirty) {
+        // Queued saves survive the reload, so only warn while one is in flight
+        if (this.isFlushing) {
             e.preventDefault();
             e.returnValue = 'You have unsaved changes. Are you sure you want to leave?';
             return e.returnValue;
         }
     }
-    
+
     /**
      * Get last saved timestamp
-     * 
+     *
      * @returns {Date|null}
      */
     getLastSaved() {
         return this.lastSaved;
     }
-    
+
     /**
      * Check if state has unsaved changes
-     * 
+     *
      * @returns {boolean}
      */
     hasUnsavedChanges() {
         return this.isDirty;
     }
-}
\ No newline at end of file
+
+    /**
+     * Event emitter - register listener
+     *
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    }
+
+    /**
+     * Event emitter - trigger event
+     *
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
+    }
+}
@@ -0,0 +1,352 @@
+/**
+ * Template Edits Drawer
+ *
+ * Side drawer showing what reps change in a template's generated emails
+ * before copying or sending them: how often emails are edited, how often
+ * each part (subject, opening, body, closing) is rewritten, and the
+ * recent edits as side-by-side diffs of the AI version and the version
+ * that went out.
+ *
+ * @package DirectReach_Campaign_Builder
+ * @since 2.5.0
+ */
+
+import EventEmitter from '../utils/event-emitter.js';
+import APIClient from '../utils/api-client.js';
+import { diffLines } from '../utils/text-diff.js';
+
+/**
+ * Email parts in reading order
+ */
+const PARTS = [
+    { key: 'subject', label: 'Subject' },
+    { key: 'opening', label: 'Opening' },
+    { key: 'body', label: 'Body' },
+    { key: 'closing', label: 'Closing' }
+];
+
+export default class TemplateEditsDrawer extends EventEmitter {
+    /**
+     * Constructor
+     *
+     * @param {Object} config - Configuration object
+     */
+    constructor(config) {
+        super();
+
+        this.config = config;
+        this.api = new APIClient(config.apiUrl, config.nonce);
+
+        this.template = null;
+        this.overlay = null;
+        this.summary = null;
+        this.selectedId = null;
+        this.keyHandler = (e) => {
+            if (e.key === 'Escape') this.close();
+        };
+    }
+
+    /**
+     * Open the drawer for a template
+     *
+     * @param {Object} template - Template (as returned by the API)
+     */
+    async open(template) {
+        this.close();
+
+        this.template = template;
+        this.summary = null;
+        this.selectedId = null;
+
+        this.render();
+        document.addEventListener('keydown', this.keyHandler);
+
+        await this.loadEdits();
+    }
+
+    /**
+     * Close and remove the drawer
+     */
+    close() {
+        document.removeEventListener('keydown', this.keyHandler);
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    /**
+     * Fetch the edit summary and recent edits
+     */
+    async loadEdits() {
+        const body = this.overlay?.querySelector('.template-history-body');
+
+        try {
+            const response = await this.api.get(`/templates/${this.template.id}/edits`);
+            if (!this.overlay) return;
+
+            this.summary = response.data;
+            this.selectedId = this.summary.recent[0]?.id ?? null;
+            this.renderBody();
+        } catch (error) {
+            if (!body || !this.overlay) return;
+            body.innerHTML = `
+                <div class="template-history-empty">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <p>Failed to load edits: ${this.escapeHtml(error.message)}</p>
+                </div>
+            `;
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // RENDERING
+    // ------------------------------------------------------------------
+
+    /**
+     * Build the drawer shell
+     */
+    render() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay template-history-overlay';
+        this.overlay.innerHTML = `
+            <aside class="template-history-drawer" role="dialog" aria-modal="true" aria-labelledby="template-edits-title">
+                <div class="modal-header">
+                    <h2 class="modal-title" id="template-edits-title">
+                        <i class="fas fa-user-edit"></i>
+                        Rep Edits: ${this.escapeHtml(this.template.template_name)}
+                    </h2>
+                    <button type="button" class="modal-close" data-action="close" aria-label="Close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="template-history-body">
+                    <div class="loading-state">
+                        <div class="spinner"></div>
+                        <p>Loading edits...</p>
+                    </div>
+                </div>
+            </aside>
+        `;
+
+        this.overlay.addEventListener('click', (e) => this.handleClick(e));
+
+        document.body.appendChild(this.overlay);
+    }
+
+    /**
+     * Render the edit list, the summary and the selected edit's diff
+     */
+    renderBody() {
+        const body = this.overlay?.querySelector('.template-history-body');
+        if (!body) return;
+
+        if (!this.summary.recent.length) {
+            body.innerHTML = `
+                <div class="template-history-empty">
+                    <i class="fas fa-user-edit"></i>
+                    <p>${this.summary.generated
+                        ? `None of the ${this.summary.generated} emails generated from this template have been edited.`
+                        : 'No emails have been generated from this template yet.'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        body.innerHTML = `
+            <ol class="template-history-list">
+                ${this.summary.recent.map(edit => this.renderEditItem(edit)).join('')}
+            </ol>
+            <div class="template-history-detail">
+                ${this.renderSummary()}
+                ${this.renderDetail()}
+            </div>
+        `;
+    }
+
+    /**
+     * Edit rate and how often each part is rewritten
+     *
+     * @returns {string} HTML
+     */
+    renderSummary() {
+        const { generated, edited, edit_rate: editRate, avg_change_ratio: avgChange, parts } = this.summary;
+
+        return `
+            <div class="template-edits-summary">
+                <p>
+                    <strong>${edited}</strong> of ${generated} generated emails edited
+                    (${this.formatPercent(editRate)}), changing ${this.formatPercent(avgChange)} of the words on average.
+                </p>
+                <ul class="template-edits-parts">
+                    ${PARTS.map(part => {
+                        const stats = parts[part.key] || { edited: 0, rate: 0 };
+                        return `
+                            <li title="${stats.edited} of ${edited} edited emails">
+                                <span class="template-edits-part-label">${part.label}</span>
+                                <span class="template-edits-bar"><span style="width: ${Math.round(stats.rate * 100)}%"></span></span>
+                                <span class="template-edits-part-rate">${this.formatPercent(stats.rate)}</span>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * One entry in the edit list
+     *
+     * @param {Object} edit - Edit
+     * @returns {string} HTML
+     */
+    renderEditItem(edit) {
+        const selected = edit.id === this.selectedId;
+
+        return `
+            <li>
+                <button type="button" class="template-history-item ${selected ? 'selected' : ''}"
+                        data-edit-id="${edit.id}" aria-pressed="${selected}">
+                    <span class="template-history-item-title">${this.escapeHtml(edit.edited_subject)}</span>
+                    <span class="template-history-item-note">${this.formatPercent(edit.change_ratio)} of words changed</span>
+                    <span class="template-history-item-meta">
+                        <i class="fas fa-user"></i> ${this.escapeHtml(edit.edited_by?.name || 'Unknown')}
+                        &middot; ${this.formatDateTime(edit.updated_at)}
+                    </span>
+                </button>
+            </li>
+        `;
+    }
+
+    /**
+     * Diff of the selected edit
+     *
+     * @returns {string} HTML
+     */
+    renderDetail() {
+        const edit = this.summary.recent.find(e => e.id === this.selectedId);
+        if (!edit) return '';
+
+        return `
+            <div class="template-diff-columns">
+                <span>Generated</span>
+                <span>Edited by ${this.escapeHtml(edit.edited_by?.name || 'rep')}</span>
+            </div>
+            ${this.renderDiff('Subject', edit.original_subject, edit.edited_subject)}
+            ${this.renderDiff('Body', edit.original_text, edit.edited_text)}
+        `;
+    }
+
+    /**
+     * Side-by-side diff of one field
+     *
+     * @param {string} label - Field label
+     * @param {string} before - Generated text
+     * @param {string} after - Edited text
+     * @returns {string} HTML
+     */
+    renderDiff(label, before, after) {
+        const changed = before !== after;
+        const rows = diffLines(before || '', after || '');
+
+        const cell = (side, type) => {
+            if (!side) {
+                return '<td class="diff-cell diff-empty"></td>';
+            }
+            const content = side.parts
+                ? side.parts.map(part => part.changed
+                    ? `<mark>${this.escapeHtml(part.text)}</mark>`
+                    : this.escapeHtml(part.text)).join('')
+                : this.escapeHtml(side.text);
+            return `<td class="diff-cell diff-${type}">${content || '&nbsp;'}</td>`;
+        };
+
+        return `
+            <section class="template-diff-section ${changed ? 'changed' : ''}">
+                <h4>
+                    ${label}
+                    ${changed ? '' : '<span class="template-diff-unchanged">Unchanged</span>'}
+                </h4>
+                <table class="template-diff template-edits-diff">
+                    <colgroup><col /><col /></colgroup>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                ${cell(row.left, row.type === 'equal' ? 'equal' : 'remove')}
+                                ${cell(row.right, row.type === 'equal' ? 'equal' : 'add')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </section>
+        `;
+    }
+
+    // ------------------------------------------------------------------
+    // EVENTS
+    // ------------------------------------------------------------------
+
+    /**
+     * Delegated click handler
+     *
+     * @param {Event} e - Click event
+     */
+    handleClick(e) {
+        if (e.target === this.overlay) {
+            this.close();
+            return;
+        }
+
+        const item = e.target.closest('[data-edit-id]');
+        if (item) {
+            this.selectedId = parseInt(item.dataset.editId, 10);
+            this.renderBody();
+            return;
+        }
+
+        if (e.target.closest('[data-action]')?.dataset.action === 'close') {
+            this.close();
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // UTILITIES
+    // ------------------------------------------------------------------
+
+    /**
+     * @param {number} ratio - 0..1
+     * @returns {string}
+     */
+    formatPercent(ratio) {
+        return `${Math.round((ratio || 0) * 100)}%`;
+    }
+
+    /**
+     * Format an edit timestamp (site time)
+     *
+     * @param {string} dateString - MySQL datetime
+     * @returns {string}
+     */
+    formatDateTime(dateString) {
+        const date = new Date(dateString.replace(' ', 'T'));
+        return date.toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Escape HTML
+     *
+     * @param {string} text - Text to escape
+     * @return {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
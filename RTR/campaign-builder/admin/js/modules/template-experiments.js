@@ -0,0 +1,489 @@
+/**
+ * Template Experiments
+ *
+ * A/B tests between the templates of a campaign room. Renders the
+ * experiment panel above each room's template list (per-variant copy
+ * and open results, promote/stop actions), the variant badges on
+ * template cards, and the modal used to start a test.
+ *
+ * Campaign mode only; global templates are tested through the
+ * campaigns that fall back to them.
+ *
+ * @package DirectReach_Campaign_Builder
+ * @since 2.5.0
+ */
+
+import EventEmitter from '../utils/event-emitter.js';
+import APIClient from '../utils/api-client.js';
+
+/**
+ * Copied emails each variant needs before a leader is called
+ */
+const MIN_SAMPLE = 20;
+
+export default class TemplateExperiments extends EventEmitter {
+    /**
+     * Constructor
+     *
+     * @param {Object} config - Configuration object
+     */
+    constructor(config) {
+        super();
+
+        this.config = config;
+        this.api = new APIClient(config.apiUrl, config.nonce);
+
+        this.campaignId = null;
+        this.experiments = { problem: null, solution: null, offer: null };
+        this.overlay = null;
+        this.isSaving = false;
+    }
+
+    /**
+     * Load the current experiment of each room
+     *
+     * @param {number} campaignId - Campaign ID
+     */
+    async load(campaignId) {
+        this.campaignId = campaignId;
+
+        try {
+            const response = await this.api.get(`/campaigns/${campaignId}/template-experiments`);
+            this.experiments = { problem: null, solution: null, offer: null, ...response.data };
+        } catch (error) {
+            // Templates stay usable without experiment data
+            console.warn('TemplateExperiments: Failed to load experiments:', error);
+            this.experiments = { problem: null, solution: null, offer: null };
+        }
+    }
+
+    /**
+     * Templates generation picks from: campaign templates if the room has
+     * any, otherwise the global ones (mirrors Template_Resolver)
+     *
+     * @param {Array} templates - Templates shown for the room
+     * @returns {Array}
+     */
+    getEligibleTemplates(templates) {
+        const campaignTemplates = templates.filter(t => !t.is_global);
+        return campaignTemplates.length ? campaignTemplates : templates;
+    }
+
+    /**
+     * Variant letter of a template in an experiment ("A", "B", ...)
+     *
+     * @param {Object} experiment - Experiment
+     * @param {number} templateId - Template ID
+     * @returns {string|null}
+     */
+    getVariantLabel(experiment, templateId) {
+        const index = experiment.variants.findIndex(v => v.template_id === templateId);
+        return index === -1 ? null : String.fromCharCode(65 + index);
+    }
+
+    // ------------------------------------------------------------------
+    // RENDERING
+    // ------------------------------------------------------------------
+
+    /**
+     * Badge for a template card
+     *
+     * @param {Object} template - Template
+     * @returns {string} HTML
+     */
+    renderCardBadge(template) {
+        const experiment = this.experiments[template.room_type];
+        if (!experiment) return '';
+
+        if (experiment.status === 'running') {
+            const variant = experiment.variants.find(v => v.template_id === template.id);
+            if (!variant) return '';
+
+            return `
+                <span class="badge-variant" title="A/B test variant, ${this.getTrafficShare(experiment, variant)}% of prospects">
+                    <i class="fas fa-flask"></i> Variant ${this.getVariantLabel(experiment, template.id)}
+                </span>
+            `;
+        }
+
+        return experiment.winner_template_id === template.id
+            ? '<span class="badge-winner" title="Used for all new emails in this room"><i class="fas fa-trophy"></i> Winner</span>'
+            : '';
+    }
+
+    /**
+     * Experiment panel shown above a room's template list
+     *
+     * @param {string} room - Room type
+     * @param {Array} templates - Templates shown for the room
+     * @returns {string} HTML
+     */
+    renderPanel(room, templates) {
+        const experiment = this.experiments[room];
+
+        if (experiment?.status === 'running') {
+            return `
+                <div class="template-experiment-panel running">
+                    <div class="template-experiment-header">
+                        <h4>
+                            <i class="fas fa-flask"></i>
+                            A/B test running since ${this.formatDate(experiment.started_at)}
+                        </h4>
+                        <button type="button" class="btn btn-ghost btn-sm" data-experiment-action="stop">
+                            <i class="fas fa-stop"></i> Stop Test
+                        </button>
+                    </div>
+                    ${this.renderResults(experiment, templates, true)}
+                </div>
+            `;
+        }
+
+        const winner = experiment?.winner_template_id
+            ? templates.find(t => t.id === experiment.winner_template_id)
+            : null;
+        const canStart = this.getEligibleTemplates(templates).length >= 2;
+
+        if (winner) {
+            return `
+                <div class="template-experiment-panel completed">
+                    <div class="template-experiment-header">
+                        <h4>
+                            <i class="fas fa-trophy"></i>
+                            "${this.escapeHtml(winner.template_name)}" won the last A/B test and is used for all new emails in this room
+                        </h4>
+                        ${canStart ? `
+                            <button type="button" class="btn btn-secondary btn-sm" data-experiment-action="setup">
+                                <i class="fas fa-flask"></i> New A/B Test
+                            </button>
+                        ` : ''}
+                    </div>
+                    <details>
+                        <summary>Results (${this.formatDate(experiment.started_at)} – ${this.formatDate(experiment.ended_at)})</summary>
+                        ${this.renderResults(experiment, templates, false)}
+                    </details>
+                </div>
+            `;
+        }
+
+        if (!canStart) return '';
+
+        return `
+            <div class="template-experiment-panel idle">
+                <span>
+                    <i class="fas fa-flask"></i>
+                    Split prospects between templates to see which one gets more copies and opens.
+                </span>
+                <button type="button" class="btn btn-secondary btn-sm" data-experiment-action="setup">
+                    Start A/B Test
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Per-variant results table
+     *
+     * @param {Object} experiment - Experiment
+     * @param {Array} templates - Templates shown for the room
+     * @param {boolean} canPromote - Show promote buttons
+     * @returns {string} HTML
+     */
+    renderResults(experiment, templates, canPromote) {
+        const leader = this.getLeader(experiment);
+
+        const rows = experiment.variants.map(variant => {
+            const template = templates.find(t => t.id === variant.template_id);
+            const isLeader = leader === variant.template_id;
+            const isWinner = experiment.winner_template_id === variant.template_id;
+
+            return `
+                <tr class="${isLeader ? 'leading' : ''} ${isWinner ? 'winner' : ''}">
+                    <td>
+                        <strong>${this.getVariantLabel(experiment, variant.template_id)}</strong>
+                        ${template ? this.escapeHtml(template.template_name) : '<em>Deleted template</em>'}
+                        ${isLeader ? '<span class="badge-leading">Leading</span>' : ''}
+                    </td>
+                    <td>${this.getTrafficShare(experiment, variant)}%</td>
+                    <td>${variant.prospects}</td>
+                    <td>${variant.emails}</td>
+                    <td>${variant.copied} <small>(${variant.copy_rate}%)</small></td>
+                    <td>${variant.opened} <small>(${variant.open_rate}%)</small></td>
+                    ${canPromote ? `
+                        <td>
+                            <button type="button" class="btn btn-secondary btn-sm" data-experiment-action="promote"
+                                    data-template-id="${variant.template_id}" ${template ? '' : 'disabled'}>
+                                <i class="fas fa-trophy"></i> Promote
+                            </button>
+                        </td>
+                    ` : ''}
+                </tr>
+            `;
+        }).join('');
+
+        const needsData = !leader && experiment.status === 'running';
+
+        return `
+            <table class="template-experiment-results">
+                <thead>
+                    <tr>
+                        <th>Variant</th>
+                        <th>Traffic</th>
+                        <th>Prospects</th>
+                        <th>Emails</th>
+                        <th title="Share of generated emails that were copied">Copied</th>
+                        <th title="Share of copied emails that were opened">Opened</th>
+                        ${canPromote ? '<th></th>' : ''}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${needsData ? `
+                <p class="template-experiment-note">
+                    <i class="fas fa-info-circle"></i>
+                    A leader is shown once every variant has at least ${MIN_SAMPLE} copied emails.
+                </p>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Setup modal: pick variants and traffic weights
+     *
+     * @param {string} room - Room type
+     * @param {Array} templates - Templates shown for the room
+     */
+    openSetup(room, templates) {
+        this.closeSetup();
+
+        const eligible = this.getEligibleTemplates(templates);
+        const weight = Math.floor(100 / eligible.length);
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay';
+        this.overlay.innerHTML = `
+            <div class="modal template-experiment-modal" role="dialog" aria-modal="true" aria-labelledby="template-experiment-title">
+                <div class="modal-header">
+                    <h2 class="modal-title" id="template-experiment-title">
+                        <i class="fas fa-flask"></i>
+                        A/B Test: ${room.charAt(0).toUpperCase() + room.slice(1)} Room
+                    </h2>
+                    <button type="button" class="modal-close" data-action="close" aria-label="Close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <p class="description">
+                        Each prospect is assigned one variant by weight and keeps it for every email in this room.
+                        Results use the existing copy and open tracking.
+                    </p>
+                    <table class="template-experiment-setup">
+                        <thead>
+                            <tr>
+                                <th>Include</th>
+                                <th>Template</th>
+                                <th>Weight</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${eligible.map(template => `
+                                <tr>
+                                    <td>
+                                        <input type="checkbox" data-template-id="${template.id}" checked
+                                               aria-label="Include ${this.escapeHtml(template.template_name)}" />
+                                    </td>
+                                    <td>${this.escapeHtml(template.template_name)}</td>
+                                    <td>
+                                        <input type="number" class="form-control" data-weight-for="${template.id}"
+                                               value="${weight}" min="1" max="100" step="1" />
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-ghost" data-action="close">Cancel</button>
+                    <button type="button" class="btn btn-primary" data-action="start">
+                        <i class="fas fa-play"></i> Start Test
+                    </button>
+                </div>
+            </div>
+        `;
+
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay || e.target.closest('[data-action="close"]')) {
+                this.closeSetup();
+            } else if (e.target.closest('[data-action="start"]')) {
+                this.submitSetup(room);
+            }
+        });
+
+        document.body.appendChild(this.overlay);
+    }
+
+    /**
+     * Close the setup modal
+     */
+    closeSetup() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // ACTIONS
+    // ------------------------------------------------------------------
+
+    /**
+     * Wire panel buttons inside a room container
+     *
+     * @param {HTMLElement} container - Room list container
+     * @param {string} room - Room type
+     * @param {Array} templates - Templates shown for the room
+     */
+    attach(container, room, templates) {
+        container.querySelectorAll('[data-experiment-action]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const action = e.currentTarget.dataset.experimentAction;
+                const experiment = this.experiments[room];
+
+                if (action === 'setup') {
+                    this.openSetup(room, templates);
+                } else if (action === 'stop') {
+                    this.complete(room, experiment, null);
+                } else if (action === 'promote') {
+                    const templateId = parseInt(e.currentTarget.dataset.templateId, 10);
+                    this.complete(room, experiment, templates.find(t => t.id === templateId));
+                }
+            });
+        });
+    }
+
+    /**
+     * Start the experiment configured in the setup modal
+     *
+     * @param {string} room - Room type
+     */
+    async submitSetup(room) {
+        if (this.isSaving) return;
+
+        const variants = [...this.overlay.querySelectorAll('input[type="checkbox"][data-template-id]:checked')]
+            .map(checkbox => ({
+                template_id: parseInt(checkbox.dataset.templateId, 10),
+                weight: parseInt(this.overlay.querySelector(`[data-weight-for="${checkbox.dataset.templateId}"]`).value, 10)
+            }));
+
+        if (variants.length < 2) {
+            this.emit('notification', { type: 'error', message: 'Select at least two templates to compare' });
+            return;
+        }
+
+        if (variants.some(v => !(v.weight >= 1 && v.weight <= 100))) {
+            this.emit('notification', { type: 'error', message: 'Weights must be between 1 and 100' });
+            return;
+        }
+
+        this.isSaving = true;
+
+        try {
+            const response = await this.api.post(`/campaigns/${this.campaignId}/template-experiments`, {
+                room_type: room,
+                variants
+            });
+
+            this.experiments[room] = response.data;
+            this.closeSetup();
+            this.emit('notification', { type: 'success', message: `A/B test started with ${variants.length} variants` });
+            this.emit('experiment:changed', { room });
+        } catch (error) {
+            this.emit('notification', { type: 'error', message: 'Failed to start A/B test: ' + error.message });
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    /**
+     * End the running experiment, promoting a winner or not
+     *
+     * @param {string} room - Room type
+     * @param {Object} experiment - Running experiment
+     * @param {Object|null} winner - Template to promote
+     */
+    async complete(room, experiment, winner) {
+        const question = winner
+            ? `Promote "${winner.template_name}"? It will be used for all new emails in this room and the test will end.`
+            : 'Stop this A/B test? New emails go back to the first template in the room.';
+
+        if (!experiment || !confirm(question)) return;
+
+        try {
+            const response = await this.api.post(`/template-experiments/${experiment.id}/complete`,
+                winner ? { winner_template_id: winner.id } : {});
+
+            this.experiments[room] = response.data;
+            this.emit('notification', {
+                type: 'success',
+                message: winner ? `"${winner.template_name}" promoted` : 'A/B test stopped'
+            });
+            this.emit('experiment:changed', { room });
+        } catch (error) {
+            this.emit('notification', { type: 'error', message: 'Failed to end A/B test: ' + error.message });
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // UTILITIES
+    // ------------------------------------------------------------------
+
+    /**
+     * Variant with the best open rate, once every variant has enough data
+     *
+     * @param {Object} experiment - Experiment
+     * @returns {number|null} Template ID
+     */
+    getLeader(experiment) {
+        if (experiment.variants.some(v => v.copied < MIN_SAMPLE)) return null;
+
+        const sorted = [...experiment.variants].sort((a, b) => b.open_rate - a.open_rate || b.copy_rate - a.copy_rate);
+        return sorted[0].open_rate > sorted[1].open_rate ? sorted[0].template_id : null;
+    }
+
+    /**
+     * Share of prospects a variant gets, in percent
+     *
+     * @param {Object} experiment - Experiment
+     * @param {Object} variant - Variant
+     * @returns {number}
+     */
+    getTrafficShare(experiment, variant) {
+        const total = experiment.variants.reduce((sum, v) => sum + v.weight, 0);
+        return Math.round(variant.weight / total * 100);
+    }
+
+    /**
+     * Format date
+     *
+     * @param {string} dateString - MySQL datetime
+     * @returns {string}
+     */
+    formatDate(dateString) {
+        return new Date(dateString).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric'
+        });
+    }
+
+    /**
+     * Escape HTML
+     *
+     * @param {string} text - Text to escape
+     * @return {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,433 @@
+/**
+ * Template History Drawer
+ *
+ * Side drawer listing a template's saved revisions. Selecting one shows
+ * a side-by-side diff of each prompt section, either against the
+ * revision before it or against the current template, and offers a
+ * rollback that makes it the current version again.
+ *
+ * @package DirectReach_Campaign_Builder
+ * @since 2.5.0
+ */
+
+import EventEmitter from '../utils/event-emitter.js';
+import APIClient from '../utils/api-client.js';
+import { diffLines } from '../utils/text-diff.js';
+
+/**
+ * Prompt sections in form order, with their form labels
+ */
+const SECTIONS = [
+    { key: 'persona', label: 'Persona' },
+    { key: 'style', label: 'Style Rules' },
+    { key: 'output', label: 'Output Specification' },
+    { key: 'personalization', label: 'Personalization Guidelines' },
+    { key: 'constraints', label: 'Constraints' },
+    { key: 'examples', label: 'Examples' },
+    { key: 'context', label: 'Context Instructions' }
+];
+
+export default class TemplateHistoryDrawer extends EventEmitter {
+    /**
+     * Constructor
+     *
+     * @param {Object} config - Configuration object
+     */
+    constructor(config) {
+        super();
+
+        this.config = config;
+        this.api = new APIClient(config.apiUrl, config.nonce);
+
+        this.template = null;
+        this.overlay = null;
+        this.revisions = [];
+        this.selectedId = null;
+        this.compareTo = 'previous';
+        this.showUnchanged = false;
+        this.isRestoring = false;
+        this.keyHandler = (e) => {
+            if (e.key === 'Escape') this.close();
+        };
+    }
+
+    /**
+     * Open the drawer for a template
+     *
+     * @param {Object} template - Template (as returned by the API)
+     */
+    async open(template) {
+        this.close();
+
+        this.template = template;
+        this.revisions = [];
+        this.selectedId = null;
+        this.compareTo = 'previous';
+        this.showUnchanged = false;
+
+        this.render();
+        document.addEventListener('keydown', this.keyHandler);
+
+        await this.loadRevisions();
+    }
+
+    /**
+     * Close and remove the drawer
+     */
+    close() {
+        document.removeEventListener('keydown', this.keyHandler);
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    /**
+     * Fetch the revision list (newest first)
+     */
+    async loadRevisions() {
+        const body = this.overlay?.querySelector('.template-history-body');
+
+        try {
+            const response = await this.api.get(`/templates/${this.template.id}/revisions`);
+            if (!this.overlay) return;
+
+            this.revisions = response.data || [];
+            this.selectedId = this.revisions[0]?.id ?? null;
+            this.renderBody();
+        } catch (error) {
+            if (!body || !this.overlay) return;
+            body.innerHTML = `
+                <div class="template-history-empty">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <p>Failed to load history: ${this.escapeHtml(error.message)}</p>
+                </div>
+            `;
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // RENDERING
+    // ------------------------------------------------------------------
+
+    /**
+     * Build the drawer shell
+     */
+    render() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay template-history-overlay';
+        this.overlay.innerHTML = `
+            <aside class="template-history-drawer" role="dialog" aria-modal="true" aria-labelledby="template-history-title">
+                <div class="modal-header">
+                    <h2 class="modal-title" id="template-history-title">
+                        <i class="fas fa-history"></i>
+                        History: ${this.escapeHtml(this.template.template_name)}
+                    </h2>
+                    <button type="button" class="modal-close" data-action="close" aria-label="Close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="template-history-body">
+                    <div class="loading-state">
+                        <div class="spinner"></div>
+                        <p>Loading history...</p>
+                    </div>
+                </div>
+            </aside>
+        `;
+
+        this.overlay.addEventListener('click', (e) => this.handleClick(e));
+        this.overlay.addEventListener('change', (e) => this.handleChange(e));
+
+        document.body.appendChild(this.overlay);
+    }
+
+    /**
+     * Render the revision list and the selected revision's diff
+     */
+    renderBody() {
+        const body = this.overlay?.querySelector('.template-history-body');
+        if (!body) return;
+
+        if (!this.revisions.length) {
+            body.innerHTML = `
+                <div class="template-history-empty">
+                    <i class="fas fa-history"></i>
+                    <p>No revisions saved yet.</p>
+                </div>
+            `;
+            return;
+        }
+
+        body.innerHTML = `
+            <ol class="template-history-list">
+                ${this.revisions.map((revision, index) => this.renderRevisionItem(revision, index === 0)).join('')}
+            </ol>
+            <div class="template-history-detail">
+                ${this.renderDetail()}
+            </div>
+        `;
+    }
+
+    /**
+     * One entry in the revision list
+     *
+     * @param {Object} revision - Revision
+     * @param {boolean} isCurrent - Whether this is the latest revision
+     * @returns {string} HTML
+     */
+    renderRevisionItem(revision, isCurrent) {
+        const selected = revision.id === this.selectedId;
+
+        return `
+            <li>
+                <button type="button" class="template-history-item ${selected ? 'selected' : ''}"
+                        data-revision-id="${revision.id}" aria-pressed="${selected}">
+                    <span class="template-history-item-title">
+                        Revision ${revision.revision_number}
+                        ${isCurrent ? '<span class="badge-current">Current</span>' : ''}
+                    </span>
+                    <span class="template-history-item-note">${this.escapeHtml(revision.note || '')}</span>
+                    <span class="template-history-item-meta">
+                        <i class="fas fa-user"></i> ${this.escapeHtml(revision.author?.name || 'Unknown')}
+                        &middot; ${this.formatDateTime(revision.created_at)}
+                    </span>
+                </button>
+            </li>
+        `;
+    }
+
+    /**
+     * Diff view for the selected revision
+     *
+     * @returns {string} HTML
+     */
+    renderDetail() {
+        const index = this.revisions.findIndex(r => r.id === this.selectedId);
+        const revision = this.revisions[index];
+        if (!revision) return '';
+
+        const isCurrent = index === 0;
+        const previous = this.revisions[index + 1] || null;
+
+        // "previous": what this revision changed. "current": what restoring it would change.
+        const comparingCurrent = this.compareTo === 'current' && !isCurrent;
+        const from = comparingCurrent ? this.revisions[0] : previous;
+        const to = revision;
+
+        const sections = [{ key: 'template_name', label: 'Template Name' }, ...SECTIONS].map(section => {
+            const before = this.getSectionText(from, section.key);
+            const after = this.getSectionText(to, section.key);
+            return { ...section, before, after, changed: before !== after };
+        });
+        const unchanged = sections.filter(s => !s.changed);
+        const visible = this.showUnchanged ? sections : sections.filter(s => s.changed);
+
+        return `
+            <div class="template-history-toolbar">
+                <label>
+                    Compare with
+                    <select class="form-control" data-field="compare-to" ${isCurrent ? 'disabled' : ''}>
+                        <option value="previous" ${!comparingCurrent ? 'selected' : ''}>Previous revision</option>
+                        <option value="current" ${comparingCurrent ? 'selected' : ''}>Current version</option>
+                    </select>
+                </label>
+                <label class="template-history-toggle">
+                    <input type="checkbox" data-field="show-unchanged" ${this.showUnchanged ? 'checked' : ''} />
+                    Show unchanged sections (${unchanged.length})
+                </label>
+                <button type="button" class="btn btn-primary btn-sm" data-action="restore"
+                        ${isCurrent || this.isRestoring ? 'disabled' : ''}
+                        title="${isCurrent ? 'This is the current version' : 'Make this revision the current version'}">
+                    <i class="fas ${this.isRestoring ? 'fa-spinner fa-spin' : 'fa-undo'}"></i>
+                    Restore Revision ${revision.revision_number}
+                </button>
+            </div>
+            <div class="template-diff-columns">
+                <span>${from ? `Revision ${from.revision_number}${comparingCurrent ? ' (current)' : ''}` : 'Before'}</span>
+                <span>Revision ${to.revision_number}</span>
+            </div>
+            ${visible.length
+                ? visible.map(section => this.renderSectionDiff(section)).join('')
+                : `<p class="template-history-no-changes">
+                        <i class="fas fa-equals"></i>
+                        ${from ? 'No differences in name or prompt sections.' : 'First revision.'}
+                   </p>`}
+        `;
+    }
+
+    /**
+     * Side-by-side diff of one section
+     *
+     * @param {Object} section - { label, before, after, changed }
+     * @returns {string} HTML
+     */
+    renderSectionDiff(section) {
+        const rows = diffLines(section.before, section.after);
+
+        const cell = (side, type) => {
+            if (!side) {
+                return '<td class="diff-cell diff-empty"></td>';
+            }
+            const content = side.parts
+                ? side.parts.map(part => part.changed
+                    ? `<mark>${this.escapeHtml(part.text)}</mark>`
+                    : this.escapeHtml(part.text)).join('')
+                : this.escapeHtml(side.text);
+            return `<td class="diff-cell diff-${type}">${content || '&nbsp;'}</td>`;
+        };
+
+        const body = rows.length
+            ? rows.map(row => `
+                <tr>
+                    ${cell(row.left, row.type === 'equal' ? 'equal' : 'remove')}
+                    ${cell(row.right, row.type === 'equal' ? 'equal' : 'add')}
+                </tr>
+            `).join('')
+            : '<tr><td class="diff-cell diff-empty" colspan="2"><em>Empty</em></td></tr>';
+
+        return `
+            <section class="template-diff-section ${section.changed ? 'changed' : ''}">
+                <h4>
+                    ${this.escapeHtml(section.label)}
+                    ${section.changed ? '' : '<span class="template-diff-unchanged">Unchanged</span>'}
+                </h4>
+                <table class="template-diff">
+                    <colgroup><col /><col /></colgroup>
+                    <tbody>${body}</tbody>
+                </table>
+            </section>
+        `;
+    }
+
+    // ------------------------------------------------------------------
+    // EVENTS
+    // ------------------------------------------------------------------
+
+    /**
+     * Delegated click handler
+     *
+     * @param {Event} e - Click event
+     */
+    handleClick(e) {
+        if (e.target === this.overlay) {
+            this.close();
+            return;
+        }
+
+        const item = e.target.closest('[data-revision-id]');
+        if (item) {
+            this.selectedId = parseInt(item.dataset.revisionId, 10);
+            this.renderBody();
+            return;
+        }
+
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        if (action === 'close') {
+            this.close();
+        } else if (action === 'restore') {
+            this.restoreSelected();
+        }
+    }
+
+    /**
+     * Compare mode and unchanged-section toggle
+     *
+     * @param {Event} e - Change event
+     */
+    handleChange(e) {
+        const field = e.target.dataset.field;
+
+        if (field === 'compare-to') {
+            this.compareTo = e.target.value;
+        } else if (field === 'show-unchanged') {
+            this.showUnchanged = e.target.checked;
+        } else {
+            return;
+        }
+
+        const detail = this.overlay.querySelector('.template-history-detail');
+        if (detail) detail.innerHTML = this.renderDetail();
+    }
+
+    /**
+     * Make the selected revision the current version
+     */
+    async restoreSelected() {
+        const revision = this.revisions.find(r => r.id === this.selectedId);
+        if (!revision || this.isRestoring) return;
+
+        const previous = this.template;
+        this.isRestoring = true;
+        this.renderBody();
+
+        try {
+            const response = await this.api.post(
+                `/templates/${this.template.id}/revisions/${revision.id}/restore`
+            );
+
+            this.template = response.data;
+            this.emit('revision:restored', {
+                template: response.data,
+                previous,
+                revision
+            });
+
+            this.isRestoring = false;
+            await this.loadRevisions();
+        } catch (error) {
+            this.isRestoring = false;
+            this.renderBody();
+            this.emit('notification', {
+                type: 'error',
+                message: 'Failed to restore revision: ' + error.message
+            });
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // UTILITIES
+    // ------------------------------------------------------------------
+
+    /**
+     * Text of a section (or the name) in a revision
+     *
+     * @param {Object|null} revision - Revision
+     * @param {string} key - Section key, or 'template_name'
+     * @returns {string}
+     */
+    getSectionText(revision, key) {
+        if (!revision) return '';
+        if (key === 'template_name') return revision.template_name || '';
+        return revision.prompt_template?.[key] || '';
+    }
+
+    /**
+     * Format a revision timestamp (stored in UTC)
+     *
+     * @param {string} dateString - MySQL datetime
+     * @returns {string}
+     */
+    formatDateTime(dateString) {
+        const date = new Date(`${dateString.replace(' ', 'T')}Z`);
+        return date.toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Escape HTML
+     *
+     * @param {string} text - Text to escape
+     * @return {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
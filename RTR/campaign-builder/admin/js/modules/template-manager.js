@@ -10,6 +10,12 @@
 
 import EventEmitter from '../utils/event-emitter.js';
 import APIClient from '../utils/api-client.js';
+import TemplateHistoryDrawer from './template-history-drawer.js';
+import TemplateEditsDrawer from './template-edits-drawer.js';
+import TemplateExperiments from './template-experiments.js';
+import TemplateTestBench from './template-test-bench.js';
+import PromptVariableEditor from './prompt-variable-editor.js';
+import { findUnknownVariables, replaceVariables } from '../utils/prompt-variables.js';
 
 export default class TemplateManager extends EventEmitter {
     constructor(config, stateManager, options = {}) {  
@@ -35,6 +41,35 @@ export default class TemplateManager extends EventEmitter {
         this.editingGlobalTemplate = false;
         this.isFormVisible = false;
         
+        // Merge variables, loaded per campaign for real sample values
+        this.variableEditor = null;
+        this.variablesCampaignId = null;
+        this.sampleProspect = null;
+        
+        // Restored templates get new IDs; older history entries resolve through this
+        this.templateIdMap = new Map();
+        
+        this.historyDrawer = new TemplateHistoryDrawer(config);
+        this.historyDrawer.on('notification', (data) => this.emit('notification', data));
+        this.historyDrawer.on('revision:restored', (data) => this.handleRevisionRestored(data));
+
+        this.editsDrawer = new TemplateEditsDrawer(config);
+        
+        // A/B tests are per campaign room
+        this.experiments = null;
+        if (!this.isGlobal) {
+            this.experiments = new TemplateExperiments(config);
+            this.experiments.on('notification', (data) => this.emit('notification', data));
+            this.experiments.on('experiment:changed', ({ room }) => this.renderRoom(room));
+        }
+        
+        // Test bench runs drafts against the campaign's prospects
+        this.testBench = null;
+        if (!this.isGlobal) {
+            this.testBench = new TemplateTestBench(config);
+            this.testBench.on('notification', (data) => this.emit('notification', data));
+        }
+        
         this.init();
     }
     
@@ -52,6 +87,7 @@ export default class TemplateManager extends EventEmitter {
         }
         
         this.attachEventListeners();
+        this.initVariableEditor();
         
         const retryBtn = this.containerElement.querySelector('#retry-load-templates');
         if (retryBtn) {
@@ -119,6 +155,15 @@ export default class TemplateManager extends EventEmitter {
             testBtn.addEventListener('click', () => this.handleTestPrompt());
         }
         
+        const benchBtn = this.containerElement.querySelector('#open-test-bench-btn');
+        if (benchBtn) {
+            if (this.testBench) {
+                benchBtn.addEventListener('click', () => this.openTestBench());
+            } else {
+                benchBtn.style.display = 'none';
+            }
+        }
+        
         const generateBtn = this.containerElement.querySelector('#generate-test-email-btn');
         if (generateBtn) {
             generateBtn.addEventListener('click', () => this.handleGenerateTestEmail());
@@ -152,6 +197,8 @@ export default class TemplateManager extends EventEmitter {
             return;
         }
         
+        this.loadVariables(targetCampaignId);
+        
         const loadingDiv = this.containerElement.querySelector('#templates-loading');
         const contentDiv = this.containerElement.querySelector('#templates-content');
         const errorDiv = this.containerElement.querySelector('#templates-error');
@@ -181,6 +228,10 @@ export default class TemplateManager extends EventEmitter {
                     }
                 });
                 
+                if (this.experiments) {
+                    await this.experiments.load(targetCampaignId);
+                }
+                
                 if (loadingDiv) loadingDiv.style.display = 'none';
                 if (contentDiv) contentDiv.style.display = 'block';
                 
@@ -276,6 +327,10 @@ export default class TemplateManager extends EventEmitter {
             </div>
         `;
         
+        if (this.experiments) {
+            html += this.experiments.renderPanel(room, templates);
+        }
+        
         if (templates.length === 0) {
             html += this.renderEmptyState(room);
         } else {
@@ -338,6 +393,19 @@ export default class TemplateManager extends EventEmitter {
                 <i class="fas fa-copy"></i> Duplicate
             </button>`;
         
+        // Revisions can only be restored onto templates editable from this view
+        const historyButtonHtml = isGlobalInCampaignMode
+            ? ''
+            : `<button class="btn btn-secondary btn-sm template-history-btn" 
+                    data-template-id="${template.id}">
+                <i class="fas fa-history"></i> History
+            </button>`;
+        
+        const editsButtonHtml = `<button class="btn btn-secondary btn-sm template-edits-btn" 
+                    data-template-id="${template.id}" title="What reps change in this template's emails">
+                <i class="fas fa-user-edit"></i> Rep Edits
+            </button>`;
+        
         const deleteDisabled = isGlobalInCampaignMode ? 'disabled' : '';
         
         return `
@@ -348,6 +416,7 @@ export default class TemplateManager extends EventEmitter {
                         ${this.escapeHtml(template.template_name)}
                     </h4>
                     <div class="template-badges">
+                        ${this.experiments ? this.experiments.renderCardBadge(template) : ''}
                         ${template.template_order >= 0 ? `
                             <span class="badge-default">Order: ${template.template_order}</span>
                         ` : ''}
@@ -373,6 +442,8 @@ export default class TemplateManager extends EventEmitter {
                 <div class="template-card-actions">
                     ${editButtonHtml}
                     ${duplicateButtonHtml}
+                    ${historyButtonHtml}
+                    ${editsButtonHtml}
                     <button class="btn btn-danger btn-sm delete-template-btn" 
                             data-template-id="${template.id}"
                             ${deleteDisabled}>
@@ -394,6 +465,10 @@ export default class TemplateManager extends EventEmitter {
             btn.addEventListener('click', () => this.showCreateForm(room));
         });
         
+        if (this.experiments) {
+            this.experiments.attach(container, room, this.templates[room]);
+        }
+        
         container.querySelectorAll('.edit-template-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const templateId = parseInt(e.currentTarget.dataset.templateId);
@@ -409,6 +484,20 @@ export default class TemplateManager extends EventEmitter {
             });
         });
         
+        container.querySelectorAll('.template-history-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const templateId = parseInt(e.currentTarget.dataset.templateId);
+                this.showHistory(templateId);
+            });
+        });
+        
+        container.querySelectorAll('.template-edits-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const templateId = parseInt(e.currentTarget.dataset.templateId);
+                this.showRepEdits(templateId);
+            });
+        });
+        
         container.querySelectorAll('.delete-template-btn').forEach(btn => {
             if (!btn.disabled) {
                 btn.addEventListener('click', (e) => {
@@ -505,6 +594,9 @@ export default class TemplateManager extends EventEmitter {
             this.isFormVisible = true;
         }
         
+        // Backdrops need the visible textarea size
+        this.setVariableRoom(this.containerElement.querySelector('#room_type')?.value || this.currentRoom);
+        
         // Hide all list containers by removing active class
         listContainers.forEach(container => {
             container.classList.remove('active');
@@ -544,6 +636,9 @@ export default class TemplateManager extends EventEmitter {
             form.reset();
         }
         
+        this.variableEditor?.closeMenu();
+        this.variableEditor?.refresh();
+        
         this.editingTemplateId = null;
         this.editingGlobalTemplate = false;
     }
@@ -605,6 +700,11 @@ export default class TemplateManager extends EventEmitter {
             return;
         }
         
+        const isUpdate = this.editingTemplateId && !this.editingGlobalTemplate;
+        const editingTemplateId = this.editingTemplateId;
+        const previous = isUpdate ? this.findTemplateById(editingTemplateId) : null;
+        const before = previous ? this.pickTemplateFields(previous) : null;
+        
         try {
             let response;
             
@@ -626,6 +726,16 @@ export default class TemplateManager extends EventEmitter {
             }
             
             if (response.success) {
+                if (isUpdate) {
+                    this.recordHistory({
+                        label: `Edit template "${formData.template_name}"`,
+                        undo: () => this.applyTemplateUpdate(editingTemplateId, before),
+                        redo: () => this.applyTemplateUpdate(editingTemplateId, formData)
+                    });
+                } else if (response.data) {
+                    this.recordCreated(response.data, `Add template "${response.data.template_name}"`);
+                }
+                
                 const message = this.editingGlobalTemplate
                     ? 'Campaign template created from global template'
                     : this.editingTemplateId 
@@ -691,6 +801,19 @@ export default class TemplateManager extends EventEmitter {
             return false;
         }
         
+        const knownVariables = this.variableEditor?.getNames() || [];
+        if (knownVariables.length) {
+            const unknown = findUnknownVariables(Object.values(data.prompt_template).join('\n'), knownVariables);
+            
+            if (unknown.length) {
+                this.emit('notification', {
+                    type: 'error',
+                    message: `Unknown variables: ${unknown.map(name => `{{${name}}}`).join(', ')}`
+                });
+                return false;
+            }
+        }
+        
         return true;
     }
     
@@ -739,12 +862,97 @@ export default class TemplateManager extends EventEmitter {
         });
         
         if (assembly) {
-            preview.innerHTML = `<pre class="prompt-assembly">${this.escapeHtml(assembly)}</pre>`;
+            // Show variables with the values the model will receive
+            const samples = this.variableEditor?.getSamples() || {};
+            const rendered = replaceVariables(this.escapeHtml(assembly), (name, raw) => {
+                if (!(name in samples)) {
+                    return `<mark class="prompt-variable-value unknown" title="Unknown variable">${raw}</mark>`;
+                }
+                return `<mark class="prompt-variable-value" title="{{${name}}}">${this.escapeHtml(samples[name]) || '<em>empty</em>'}</mark>`;
+            });
+            
+            const source = this.sampleProspect
+                ? `Variables show values for ${this.escapeHtml(this.sampleProspect.company_name || this.sampleProspect.contact_name || 'prospect #' + this.sampleProspect.id)} (score ${this.sampleProspect.lead_score}), the campaign's top prospect.`
+                : 'Variables show example values.';
+            
+            preview.innerHTML = `
+                <p class="prompt-variables-source"><i class="fas fa-info-circle"></i> ${source}</p>
+                <pre class="prompt-assembly">${rendered}</pre>
+            `;
         } else {
             preview.innerHTML = '<p class="text-muted">Fill out the prompt sections above to see the assembled prompt.</p>';
         }
     }
     
+    /**
+     * Set up variable highlighting and autocomplete on the prompt sections
+     */
+    initVariableEditor() {
+        const textareas = [...this.containerElement.querySelectorAll('.form-section-prompts textarea')];
+        if (!textareas.length) return;
+        
+        this.variableEditor = new PromptVariableEditor(textareas);
+        
+        const roomSelect = this.containerElement.querySelector('#room_type');
+        if (roomSelect) {
+            roomSelect.addEventListener('change', () => this.setVariableRoom(roomSelect.value));
+        }
+        
+        const reference = this.containerElement.querySelector('#prompt-variables-reference');
+        if (reference) {
+            reference.addEventListener('click', (e) => {
+                const button = e.target.closest('.prompt-variable-insert');
+                if (button) {
+                    this.variableEditor.insertIntoLastField(button.dataset.variable);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Load variable definitions and sample values for a campaign
+     * 
+     * @param {number} campaignId - Campaign ID (0 for global templates)
+     */
+    async loadVariables(campaignId) {
+        if (!this.variableEditor || this.variablesCampaignId === campaignId) return;
+        this.variablesCampaignId = campaignId;
+        
+        try {
+            const response = await this.api.get(`/templates/variables?campaign_id=${campaignId}`);
+            
+            this.sampleProspect = response.data.sample_prospect;
+            this.variableEditor.setVariables(response.data.variables, response.data.samples);
+            this.renderVariableReference();
+        } catch (error) {
+            // Templates stay editable without variable support
+            console.warn('TemplateManager: Failed to load prompt variables:', error);
+            this.variablesCampaignId = null;
+        }
+    }
+    
+    /**
+     * Show sample values for the room the template is written for
+     * 
+     * @param {string} room - Room type
+     */
+    setVariableRoom(room) {
+        if (!this.variableEditor) return;
+        
+        this.variableEditor.setRoom(room);
+        this.renderVariableReference();
+    }
+    
+    /**
+     * Render the merge variable reference below the prompt header
+     */
+    renderVariableReference() {
+        const list = this.containerElement.querySelector('#prompt-variables-reference .prompt-variables-list');
+        if (list && this.variableEditor.getNames().length) {
+            list.innerHTML = this.variableEditor.renderReference();
+        }
+    }
+    
     /**
      * Handle generate test email - calls Gemini API
      */
@@ -891,6 +1099,10 @@ export default class TemplateManager extends EventEmitter {
             const response = await this.api.post(`/templates`, duplicateData);
             
             if (response.success) {
+                if (response.data) {
+                    this.recordCreated(response.data, `Duplicate template "${template.template_name}"`);
+                }
+                
                 this.emit('notification', {
                     type: 'success',
                     message: 'Template duplicated successfully'
@@ -910,14 +1122,25 @@ export default class TemplateManager extends EventEmitter {
      * Delete template
      */
     async deleteTemplate(templateId) {
-        if (!confirm('Are you sure you want to delete this template? This action cannot be undone.')) {
+        if (!confirm('Are you sure you want to delete this template? You can restore it with Undo (Ctrl+Z).')) {
             return;
         }
         
+        const template = this.findTemplateById(templateId);
+        
         try {
             const response = await this.api.delete(`/templates/${templateId}`);
             
             if (response.success) {
+                if (template) {
+                    const snapshot = { ...template };
+                    this.recordHistory({
+                        label: `Delete template "${template.template_name}"`,
+                        undo: () => this.restoreTemplate(snapshot),
+                        redo: () => this.removeTemplate(snapshot.id)
+                    });
+                }
+                
                 this.emit('notification', {
                     type: 'success',
                     message: 'Template deleted successfully'
@@ -933,6 +1156,73 @@ export default class TemplateManager extends EventEmitter {
         }
     }
     
+    /**
+     * Open the test bench with the draft currently in the form
+     */
+    openTestBench() {
+        const campaignId = this.stateManager?.getState()?.campaignId;
+        
+        if (!this.testBench || !campaignId) {
+            this.emit('notification', {
+                type: 'error',
+                message: 'No campaign selected'
+            });
+            return;
+        }
+        
+        const data = this.gatherFormData();
+        
+        this.testBench.open({
+            campaignId,
+            roomType: data.room_type || this.currentRoom,
+            templateName: data.template_name,
+            promptTemplate: data.prompt_template
+        });
+    }
+    
+    /**
+     * Open the revision history drawer for a template
+     */
+    showHistory(templateId) {
+        const template = this.findTemplateById(templateId);
+        if (!template) return;
+        
+        this.historyDrawer.open(template);
+    }
+    
+    /**
+     * Open the drawer showing what reps change in a template's emails
+     */
+    showRepEdits(templateId) {
+        const template = this.findTemplateById(templateId);
+        if (!template) return;
+        
+        this.editsDrawer.open(template);
+    }
+    
+    /**
+     * A revision was restored from the history drawer
+     * 
+     * @param {Object} data - { template, previous, revision }
+     */
+    async handleRevisionRestored({ template, previous, revision }) {
+        const before = this.pickTemplateFields(previous);
+        const after = this.pickTemplateFields(template);
+        
+        this.recordHistory({
+            label: `Restore revision ${revision.revision_number} of "${template.template_name}"`,
+            undo: () => this.applyTemplateUpdate(template.id, before),
+            redo: () => this.applyTemplateUpdate(template.id, after)
+        });
+        
+        this.emit('notification', {
+            type: 'success',
+            message: `Restored revision ${revision.revision_number} of "${template.template_name}"`
+        });
+        
+        await this.loadTemplates();
+    }
+    
     /**
      * Update tab statuses
      */
@@ -954,10 +1244,103 @@ export default class TemplateManager extends EventEmitter {
         });
     }
     
+    // ------------------------------------------------------------------
+    // UNDO / REDO
+    // ------------------------------------------------------------------
+    
+    /**
+     * Add an entry to the shared undo history (campaign mode only)
+     * 
+     * @param {Object} entry - { label, undo, redo }
+     */
+    recordHistory(entry) {
+        this.stateManager?.history?.record(entry);
+    }
+    
+    /**
+     * Record a template that was just created (add or duplicate)
+     * 
+     * @param {Object} created - Template returned by the API
+     * @param {string} label - History label
+     */
+    recordCreated(created, label) {
+        this.recordHistory({
+            label,
+            undo: () => this.removeTemplate(created.id),
+            redo: () => this.restoreTemplate(created)
+        });
+    }
+    
+    /**
+     * Current ID of a template that may have been deleted and restored
+     * 
+     * @param {number} templateId - ID at the time the history entry was made
+     * @returns {number}
+     */
+    resolveTemplateId(templateId) {
+        while (this.templateIdMap.has(templateId)) {
+            templateId = this.templateIdMap.get(templateId);
+        }
+        return templateId;
+    }
+    
+    /**
+     * Fields accepted by PUT /templates/{id}
+     * 
+     * @param {Object} template - Template object
+     * @returns {Object}
+     */
+    pickTemplateFields(template) {
+        return {
+            template_name: template.template_name,
+            room_type: template.room_type,
+            template_order: template.template_order,
+            prompt_template: template.prompt_template
+        };
+    }
+    
+    /**
+     * Recreate a deleted template
+     * 
+     * @param {Object} template - Snapshot of the deleted template
+     */
+    async restoreTemplate(template) {
+        const response = await this.api.post(`/templates`, {
+            ...this.pickTemplateFields(template),
+            campaign_id: template.campaign_id,
+            is_global: template.is_global ? 1 : 0
+        });
+        
+        this.templateIdMap.set(this.resolveTemplateId(template.id), response.data.id);
+        await this.loadTemplates();
+    }
+    
+    /**
+     * Delete a template without confirmation (undo of "add", redo of "delete")
+     * 
+     * @param {number} templateId - Template ID when the entry was recorded
+     */
+    async removeTemplate(templateId) {
+        await this.api.delete(`/templates/${this.resolveTemplateId(templateId)}`);
+        await this.loadTemplates();
+    }
+    
+    /**
+     * Write template fields back (undo/redo of edits)
+     * 
+     * @param {number} templateId - Template ID when the entry was recorded
+     * @param {Object} fields - Fields to write
+     */
+    async applyTemplateUpdate(templateId, fields) {
+        await this.api.put(`/templates/${this.resolveTemplateId(templateId)}`, fields);
+        await this.loadTemplates();
+    }
+    
     /**
      * Find template by ID
      */
     findTemplateById(templateId) {
+        templateId = this.resolveTemplateId(templateId);
         for (const room in this.templates) {
             const template = this.templates[room].find(t => t.id === templateId);
             if (template) return template;
@@ -0,0 +1,756 @@
+/**
+ * Template Test Bench
+ *
+ * Runs a draft prompt template against a handful of real campaign
+ * prospects and shows the generated emails side by side with token
+ * usage and latency. Any output can be pinned as the golden reference
+ * for its prospect; later drafts are compared against the pinned emails
+ * and flagged when they drift too far.
+ *
+ * Campaign mode only; global templates have no prospects of their own.
+ *
+ * @package DirectReach_Campaign_Builder
+ * @since 2.5.0
+ */
+
+import EventEmitter from '../utils/event-emitter.js';
+import APIClient from '../utils/api-client.js';
+
+/**
+ * Prospects per run
+ */
+const MIN_PROSPECTS = 3;
+const MAX_PROSPECTS = 10;
+
+/**
+ * Prospects picked when the bench opens
+ */
+const DEFAULT_PICK = 6;
+
+/**
+ * Generations in flight at once (the rate limiter counts each one)
+ */
+const CONCURRENCY = 2;
+
+/**
+ * Word similarity to the golden output below which a result is flagged
+ */
+const DRIFT_THRESHOLD = 0.5;
+
+const ROOMS = ['problem', 'solution', 'offer'];
+
+export default class TemplateTestBench extends EventEmitter {
+    /**
+     * Constructor
+     *
+     * @param {Object} config - Configuration object
+     */
+    constructor(config) {
+        super();
+
+        this.config = config;
+        this.api = new APIClient(config.apiUrl, config.nonce);
+
+        this.overlay = null;
+        this.draft = null;
+        this.prospects = [];
+        this.selected = new Set();
+        this.golden = new Map();
+        this.results = new Map();
+        this.isRunning = false;
+
+        this.handleKeydown = (e) => {
+            if (e.key === 'Escape' && !this.isRunning) this.close();
+        };
+    }
+
+    /**
+     * Open the bench for a template draft
+     *
+     * @param {Object} draft - { campaignId, roomType, templateName, promptTemplate }
+     */
+    async open(draft) {
+        this.close();
+
+        this.draft = draft;
+        this.prospects = [];
+        this.selected = new Set();
+        this.golden = new Map();
+        this.results = new Map();
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay';
+        this.overlay.innerHTML = `
+            <div class="modal template-test-bench-modal" role="dialog" aria-modal="true" aria-labelledby="template-test-bench-title">
+                <div class="modal-header">
+                    <h2 class="modal-title" id="template-test-bench-title">
+                        <i class="fas fa-vials"></i>
+                        Test Bench: ${this.escapeHtml(draft.templateName || 'Untitled template')}
+                        <span class="template-test-bench-room">${this.formatRoom(draft.roomType)} Room</span>
+                    </h2>
+                    <button type="button" class="modal-close" data-action="close" aria-label="Close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <div class="loading-state">
+                        <i class="fas fa-spinner fa-spin"></i> Loading prospects...
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <span class="template-test-bench-count"></span>
+                    <button type="button" class="btn btn-ghost" data-action="close">Close</button>
+                    <button type="button" class="btn btn-primary" data-action="run" disabled>
+                        <i class="fas fa-play"></i> Run Test
+                    </button>
+                </div>
+            </div>
+        `;
+
+        this.overlay.addEventListener('click', (e) => this.handleClick(e));
+        this.overlay.addEventListener('change', (e) => {
+            if (e.target.matches('input[data-prospect-id]')) {
+                this.toggleProspect(parseInt(e.target.dataset.prospectId, 10), e.target.checked);
+            }
+        });
+
+        document.body.appendChild(this.overlay);
+        document.addEventListener('keydown', this.handleKeydown);
+
+        try {
+            const [prospects, golden] = await Promise.all([
+                this.api.get(`/campaigns/${draft.campaignId}/test-bench/prospects`),
+                this.api.get(`/campaigns/${draft.campaignId}/test-bench/golden?room_type=${encodeURIComponent(draft.roomType)}`)
+            ]);
+
+            if (!this.overlay) return;
+
+            this.prospects = prospects.data || [];
+            (golden.data || []).forEach(output => this.golden.set(output.prospect_id, output));
+
+            // Prospects with a pinned output come first so drift can be checked
+            const pinned = this.prospects.filter(p => this.golden.has(p.id)).slice(0, MAX_PROSPECTS);
+            const picked = pinned.length >= MIN_PROSPECTS ? pinned : this.autoPick(DEFAULT_PICK, pinned);
+            picked.forEach(p => this.selected.add(p.id));
+
+            this.render();
+        } catch (error) {
+            if (!this.overlay) return;
+
+            this.overlay.querySelector('.modal-body').innerHTML = `
+                <div class="template-test-bench-empty">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    Failed to load prospects: ${this.escapeHtml(error.message)}
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Close the bench
+     */
+    close() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+
+        document.removeEventListener('keydown', this.handleKeydown);
+    }
+
+    // ------------------------------------------------------------------
+    // RENDERING
+    // ------------------------------------------------------------------
+
+    /**
+     * Render picker and results
+     */
+    render() {
+        const body = this.overlay.querySelector('.modal-body');
+
+        if (!this.prospects.length) {
+            body.innerHTML = `
+                <div class="template-test-bench-empty">
+                    <i class="fas fa-users-slash"></i>
+                    This campaign has no prospects yet. Use Test Prompt to try the draft on sample data.
+                </div>
+            `;
+            this.updateControls();
+            return;
+        }
+
+        body.innerHTML = `
+            <div class="template-test-bench-layout">
+                <div class="template-test-bench-picker">
+                    <div class="template-test-bench-picker-header">
+                        <h4>Prospects</h4>
+                        <button type="button" class="btn btn-ghost btn-sm" data-action="auto-pick"
+                                title="Pick prospects across rooms and lead scores">
+                            <i class="fas fa-magic"></i> Auto-pick
+                        </button>
+                    </div>
+                    <ul class="template-test-bench-prospects">
+                        ${this.prospects.map(prospect => this.renderProspect(prospect)).join('')}
+                    </ul>
+                </div>
+                <div class="template-test-bench-output">
+                    <div class="template-test-bench-summary"></div>
+                    <div class="template-test-bench-results"></div>
+                </div>
+            </div>
+        `;
+
+        this.renderResults();
+        this.updateControls();
+    }
+
+    /**
+     * Picker row
+     *
+     * @param {Object} prospect - Prospect
+     * @returns {string} HTML
+     */
+    renderProspect(prospect) {
+        const name = prospect.contact_name || prospect.company_name || `Prospect #${prospect.id}`;
+
+        return `
+            <li>
+                <label>
+                    <input type="checkbox" data-prospect-id="${prospect.id}" ${this.selected.has(prospect.id) ? 'checked' : ''} />
+                    <span class="template-test-bench-prospect-name">
+                        ${this.escapeHtml(name)}
+                        ${prospect.company_name && prospect.contact_name ? `<small>${this.escapeHtml(prospect.company_name)}</small>` : ''}
+                    </span>
+                    ${this.golden.has(prospect.id) ? '<i class="fas fa-star template-test-bench-golden-icon" title="Has a golden output"></i>' : ''}
+                    ${this.renderRoomBadge(prospect.current_room)}
+                    <span class="template-test-bench-score" title="Lead score">${prospect.lead_score}</span>
+                </label>
+            </li>
+        `;
+    }
+
+    /**
+     * Result cards of the selected prospects, in picker order
+     */
+    renderResults() {
+        const grid = this.overlay?.querySelector('.template-test-bench-results');
+        if (!grid) return;
+
+        const selected = this.prospects.filter(p => this.selected.has(p.id));
+
+        grid.innerHTML = selected.length
+            ? selected.map(prospect => this.renderResultCard(prospect)).join('')
+            : '<div class="template-test-bench-empty">Select prospects to test the draft against.</div>';
+
+        this.renderSummary();
+    }
+
+    /**
+     * Result card for one prospect
+     *
+     * @param {Object} prospect - Prospect
+     * @returns {string} HTML
+     */
+    renderResultCard(prospect) {
+        const result = this.results.get(prospect.id);
+        const golden = this.golden.get(prospect.id);
+        const name = prospect.contact_name || prospect.company_name || `Prospect #${prospect.id}`;
+
+        let content;
+
+        if (!result) {
+            content = `
+                <div class="template-test-bench-placeholder">
+                    ${golden ? 'Golden output pinned. Run the test to compare.' : 'Not run yet'}
+                </div>
+            `;
+        } else if (result.status === 'pending') {
+            content = `
+                <div class="template-test-bench-placeholder">
+                    <i class="fas fa-spinner fa-spin"></i> ${result.started ? 'Generating...' : 'Queued'}
+                </div>
+            `;
+        } else if (result.status === 'error') {
+            content = `
+                <div class="template-test-bench-error">
+                    <i class="fas fa-exclamation-circle"></i> ${this.escapeHtml(result.error)}
+                </div>
+            `;
+        } else {
+            content = this.renderEmail(prospect, result, golden);
+        }
+
+        const similarity = result?.status === 'done' && golden ? this.getSimilarity(result.data, golden) : null;
+        const drifted = similarity !== null && similarity < DRIFT_THRESHOLD;
+
+        return `
+            <div class="template-test-bench-card ${drifted ? 'drifted' : ''}" data-prospect-id="${prospect.id}">
+                <div class="template-test-bench-card-header">
+                    <div>
+                        <strong>${this.escapeHtml(name)}</strong>
+                        ${prospect.job_title ? `<small>${this.escapeHtml(prospect.job_title)}</small>` : ''}
+                    </div>
+                    <div class="template-test-bench-card-meta">
+                        ${this.renderRoomBadge(prospect.current_room)}
+                        <span class="template-test-bench-score" title="Lead score">${prospect.lead_score}</span>
+                    </div>
+                </div>
+                ${content}
+            </div>
+        `;
+    }
+
+    /**
+     * Generated email with usage, drift and pin controls
+     *
+     * @param {Object} prospect - Prospect
+     * @param {Object} result - { data, meta }
+     * @param {Object|undefined} golden - Pinned output of the prospect
+     * @returns {string} HTML
+     */
+    renderEmail(prospect, result, golden) {
+        const { data, meta } = result;
+        const usage = data.usage || {};
+        const similarity = golden ? this.getSimilarity(data, golden) : null;
+        const isPinned = golden && golden.subject === data.subject && golden.body_text === data.body_text;
+
+        return `
+            ${similarity !== null ? `
+                <div class="template-test-bench-drift ${similarity < DRIFT_THRESHOLD ? 'warning' : 'ok'}">
+                    <i class="fas ${similarity < DRIFT_THRESHOLD ? 'fa-exclamation-triangle' : 'fa-check-circle'}"></i>
+                    ${Math.round(similarity * 100)}% similar to the golden output
+                    ${similarity < DRIFT_THRESHOLD ? ' (drifted)' : ''}
+                </div>
+            ` : ''}
+            <div class="template-test-bench-subject">${this.escapeHtml(data.subject)}</div>
+            <div class="template-test-bench-body">${data.body_html}</div>
+            <div class="template-test-bench-stats">
+                <span title="Prompt / completion tokens">
+                    <i class="fas fa-coins"></i> ${usage.prompt_tokens ?? 0} / ${usage.completion_tokens ?? 0}
+                </span>
+                <span title="Total tokens">${usage.total_tokens ?? 0} total</span>
+                <span title="Cost">$${Number(usage.cost || 0).toFixed(4)}</span>
+                <span title="Latency">
+                    <i class="fas fa-stopwatch"></i> ${this.formatLatency(meta?.generation_time_ms)}
+                </span>
+            </div>
+            ${golden && !isPinned ? `
+                <details class="template-test-bench-golden">
+                    <summary>Golden output${golden.template_name ? ` from "${this.escapeHtml(golden.template_name)}"` : ''}</summary>
+                    <div class="template-test-bench-subject">${this.escapeHtml(golden.subject)}</div>
+                    <div class="template-test-bench-body">${golden.body_html}</div>
+                </details>
+            ` : ''}
+            <div class="template-test-bench-card-actions">
+                ${isPinned ? `
+                    <span class="badge-golden"><i class="fas fa-star"></i> Golden</span>
+                    <button type="button" class="btn btn-ghost btn-sm" data-action="unpin" data-prospect-id="${prospect.id}">
+                        Unpin
+                    </button>
+                ` : `
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="pin" data-prospect-id="${prospect.id}">
+                        <i class="far fa-star"></i> ${golden ? 'Replace Golden' : 'Pin as Golden'}
+                    </button>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Drift summary above the results
+     */
+    renderSummary() {
+        const summary = this.overlay?.querySelector('.template-test-bench-summary');
+        if (!summary) return;
+
+        const compared = [...this.results.entries()]
+            .filter(([id, result]) => result.status === 'done' && this.selected.has(id) && this.golden.has(id))
+            .map(([id, result]) => this.getSimilarity(result.data, this.golden.get(id)));
+
+        if (!compared.length || this.isRunning) {
+            summary.innerHTML = '';
+            return;
+        }
+
+        const drifted = compared.filter(similarity => similarity < DRIFT_THRESHOLD).length;
+
+        summary.innerHTML = drifted
+            ? `
+                <div class="template-test-bench-banner warning">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    This draft drifts from the golden output for ${drifted} of ${compared.length} pinned prospect${compared.length === 1 ? '' : 's'}.
+                    Review the flagged emails before saving.
+                </div>
+            `
+            : `
+                <div class="template-test-bench-banner ok">
+                    <i class="fas fa-check-circle"></i>
+                    Output stays close to the golden references for all ${compared.length} pinned prospect${compared.length === 1 ? '' : 's'}.
+                </div>
+            `;
+    }
+
+    /**
+     * Room badge
+     *
+     * @param {string} room - Room type
+     * @returns {string} HTML
+     */
+    renderRoomBadge(room) {
+        return ROOMS.includes(room)
+            ? `<span class="template-test-bench-room-badge room-${room}">${this.formatRoom(room)}</span>`
+            : '';
+    }
+
+    /**
+     * Selection count and run button state
+     */
+    updateControls() {
+        if (!this.overlay) return;
+
+        const count = this.selected.size;
+        const valid = count >= MIN_PROSPECTS && count <= MAX_PROSPECTS;
+        const label = this.overlay.querySelector('.template-test-bench-count');
+        const runBtn = this.overlay.querySelector('[data-action="run"]');
+
+        label.textContent = `${count} selected (${MIN_PROSPECTS}–${MAX_PROSPECTS})`;
+        label.classList.toggle('invalid', !valid);
+
+        runBtn.disabled = !valid || this.isRunning;
+        runBtn.innerHTML = this.isRunning
+            ? '<i class="fas fa-spinner fa-spin"></i> Running...'
+            : '<i class="fas fa-play"></i> Run Test';
+
+        this.overlay.querySelectorAll('input[data-prospect-id], [data-action="auto-pick"]').forEach(input => {
+            input.disabled = this.isRunning;
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // ACTIONS
+    // ------------------------------------------------------------------
+
+    /**
+     * Delegated clicks inside the modal
+     *
+     * @param {Event} e - Click event
+     */
+    handleClick(e) {
+        const button = e.target.closest('[data-action]');
+
+        if (e.target === this.overlay || button?.dataset.action === 'close') {
+            if (!this.isRunning) this.close();
+            return;
+        }
+
+        if (!button) return;
+
+        const prospectId = parseInt(button.dataset.prospectId, 10);
+
+        switch (button.dataset.action) {
+            case 'auto-pick':
+                this.selected = new Set(this.autoPick(DEFAULT_PICK).map(p => p.id));
+                this.render();
+                break;
+            case 'run':
+                this.run();
+                break;
+            case 'pin':
+                this.pin(prospectId);
+                break;
+            case 'unpin':
+                this.unpin(prospectId);
+                break;
+        }
+    }
+
+    /**
+     * Select or deselect a prospect
+     *
+     * @param {number} prospectId - Prospect ID
+     * @param {boolean} checked - Selected
+     */
+    toggleProspect(prospectId, checked) {
+        if (checked && this.selected.size >= MAX_PROSPECTS) {
+            this.overlay.querySelector(`input[data-prospect-id="${prospectId}"]`).checked = false;
+            this.emit('notification', { type: 'warning', message: `Test against at most ${MAX_PROSPECTS} prospects` });
+            return;
+        }
+
+        if (checked) {
+            this.selected.add(prospectId);
+        } else {
+            this.selected.delete(prospectId);
+        }
+
+        this.renderResults();
+        this.updateControls();
+    }
+
+    /**
+     * Generate the draft for every selected prospect
+     */
+    async run() {
+        if (this.isRunning) return;
+
+        const prompt = this.draft.promptTemplate;
+        if (!Object.values(prompt).some(v => v && v.length > 0)) {
+            this.emit('notification', { type: 'error', message: 'Please fill out at least one prompt section' });
+            return;
+        }
+
+        const queue = this.prospects.filter(p => this.selected.has(p.id));
+        queue.forEach(prospect => this.results.set(prospect.id, { status: 'pending', started: false }));
+
+        this.isRunning = true;
+        this.updateControls();
+        this.renderResults();
+
+        const worker = async () => {
+            while (queue.length && this.overlay) {
+                const prospect = queue.shift();
+                this.results.set(prospect.id, { status: 'pending', started: true });
+                this.renderCard(prospect.id);
+
+                try {
+                    const response = await this.api.post('/emails/test-prompt', {
+                        prompt_template: prompt,
+                        campaign_id: this.draft.campaignId,
+                        room_type: this.draft.roomType,
+                        prospect_id: prospect.id
+                    });
+
+                    this.results.set(prospect.id, { status: 'done', data: response.data, meta: response.meta });
+                } catch (error) {
+                    this.results.set(prospect.id, { status: 'error', error: error.message });
+                }
+
+                this.renderCard(prospect.id);
+            }
+        };
+
+        await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+        this.isRunning = false;
+        this.updateControls();
+        this.renderSummary();
+
+        const failed = [...this.results.values()].filter(r => r.status === 'error').length;
+        if (failed) {
+            this.emit('notification', { type: 'warning', message: `${failed} test generation${failed === 1 ? '' : 's'} failed` });
+        }
+    }
+
+    /**
+     * Pin a prospect's current output as golden
+     *
+     * @param {number} prospectId - Prospect ID
+     */
+    async pin(prospectId) {
+        const result = this.results.get(prospectId);
+        if (result?.status !== 'done') return;
+
+        try {
+            const response = await this.api.post(`/campaigns/${this.draft.campaignId}/test-bench/golden`, {
+                room_type: this.draft.roomType,
+                prospect_id: prospectId,
+                template_name: this.draft.templateName || '',
+                subject: result.data.subject,
+                body_html: result.data.body_html,
+                body_text: result.data.body_text || ''
+            });
+
+            // Keep the generated text so the card recognizes itself as pinned
+            this.golden.set(prospectId, {
+                ...response.data,
+                subject: result.data.subject,
+                body_text: result.data.body_text || response.data.body_text
+            });
+            this.refreshProspect(prospectId);
+            this.emit('notification', { type: 'success', message: 'Output pinned as golden' });
+        } catch (error) {
+            this.emit('notification', { type: 'error', message: 'Failed to pin output: ' + error.message });
+        }
+    }
+
+    /**
+     * Remove a prospect's golden output
+     *
+     * @param {number} prospectId - Prospect ID
+     */
+    async unpin(prospectId) {
+        const golden = this.golden.get(prospectId);
+        if (!golden) return;
+
+        try {
+            await this.api.delete(`/test-bench/golden/${golden.id}`);
+
+            this.golden.delete(prospectId);
+            this.refreshProspect(prospectId);
+            this.emit('notification', { type: 'success', message: 'Golden output removed' });
+        } catch (error) {
+            this.emit('notification', { type: 'error', message: 'Failed to unpin output: ' + error.message });
+        }
+    }
+
+    /**
+     * Re-render a prospect's picker row and card after its golden changed
+     *
+     * @param {number} prospectId - Prospect ID
+     */
+    refreshProspect(prospectId) {
+        const prospect = this.prospects.find(p => p.id === prospectId);
+        const row = this.overlay?.querySelector(`input[data-prospect-id="${prospectId}"]`)?.closest('li');
+
+        if (prospect && row) {
+            row.outerHTML = this.renderProspect(prospect);
+        }
+
+        this.renderCard(prospectId);
+        this.renderSummary();
+    }
+
+    /**
+     * Replace one result card in place
+     *
+     * @param {number} prospectId - Prospect ID
+     */
+    renderCard(prospectId) {
+        const card = this.overlay?.querySelector(`.template-test-bench-card[data-prospect-id="${prospectId}"]`);
+        const prospect = this.prospects.find(p => p.id === prospectId);
+
+        if (card && prospect) {
+            card.outerHTML = this.renderResultCard(prospect);
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // UTILITIES
+    // ------------------------------------------------------------------
+
+    /**
+     * Pick prospects spread across rooms and lead scores
+     *
+     * Takes turns between rooms; within a room the highest, lowest and
+     * then in-between scores are taken first.
+     *
+     * @param {number} count - Prospects to pick
+     * @param {Array} preferred - Prospects to keep in the pick
+     * @returns {Array} Prospects
+     */
+    autoPick(count, preferred = []) {
+        const picked = [...preferred];
+        const queues = ROOMS.map(room => this.spreadOrder(
+            this.prospects
+                .filter(p => p.current_room === room && !picked.includes(p))
+                .sort((a, b) => b.lead_score - a.lead_score)
+        ));
+
+        while (picked.length < count && queues.some(queue => queue.length)) {
+            queues.forEach(queue => {
+                if (queue.length && picked.length < count) {
+                    picked.push(queue.shift());
+                }
+            });
+        }
+
+        return picked;
+    }
+
+    /**
+     * Reorder a sorted list so the ends come first, then the midpoints
+     *
+     * @param {Array} list - Sorted list
+     * @returns {Array}
+     */
+    spreadOrder(list) {
+        if (list.length <= 2) return list;
+
+        const last = list.length - 1;
+        const order = [0, last];
+        const seen = new Set(order);
+
+        for (let parts = 2; order.length < list.length; parts *= 2) {
+            for (let i = 1; i < parts; i += 2) {
+                const index = Math.round(i * last / parts);
+                if (!seen.has(index)) {
+                    seen.add(index);
+                    order.push(index);
+                }
+            }
+        }
+
+        return order.map(index => list[index]);
+    }
+
+    /**
+     * Cosine similarity of word counts between an output and its golden
+     *
+     * @param {Object} output - { subject, body_text }
+     * @param {Object} golden - { subject, body_text }
+     * @returns {number} 0–1
+     */
+    getSimilarity(output, golden) {
+        const a = this.countWords(`${output.subject} ${output.body_text || ''}`);
+        const b = this.countWords(`${golden.subject} ${golden.body_text || ''}`);
+
+        let dot = 0;
+        a.forEach((count, word) => {
+            dot += count * (b.get(word) || 0);
+        });
+
+        const norm = (counts) => Math.sqrt([...counts.values()].reduce((sum, c) => sum + c * c, 0));
+        const denominator = norm(a) * norm(b);
+
+        return denominator ? dot / denominator : 0;
+    }
+
+    /**
+     * Word counts of a text
+     *
+     * @param {string} text - Text
+     * @returns {Map<string, number>}
+     */
+    countWords(text) {
+        const counts = new Map();
+
+        (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []).forEach(word => {
+            counts.set(word, (counts.get(word) || 0) + 1);
+        });
+
+        return counts;
+    }
+
+    /**
+     * Format latency
+     *
+     * @param {number} ms - Milliseconds
+     * @returns {string}
+     */
+    formatLatency(ms) {
+        if (!ms && ms !== 0) return '—';
+        return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`;
+    }
+
+    /**
+     * Capitalized room name
+     *
+     * @param {string} room - Room type
+     * @returns {string}
+     */
+    formatRoom(room) {
+        return room ? room.charAt(0).toUpperCase() + room.slice(1) : '';
+    }
+
+    /**
+     * Escape HTML
+     *
+     * @param {string} text - Text to escape
+     * @return {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -6,9 +6,12 @@
  * @since 2.0.0
  */
 
+import APIClient from '../utils/api-client.js';
+
 export default class WorkflowManager {
     constructor(config, stateManager, clientManager, campaignManager, contentLinksManager, templateManager) {
         this.config = config;
+        this.api = new APIClient(config.apiUrl, config.nonce);
         this.stateManager = stateManager;
         this.clientManager = clientManager;
         this.campaignManager = campaignManager;
@@ -25,6 +28,10 @@ export default class WorkflowManager {
      */
     async init() {
         try {
+            // Draft sync: conflicts open the merge dialog, status drives the indicator
+            this.setupDraftSync();
+            this.setupHistory();
+
             // Load saved workflow state
             await this.loadState();
             
@@ -160,7 +167,7 @@ export default class WorkflowManager {
                     campaignId: null,
                     campaignName: null,
                     utmCampaign: ''
-                });
+                }, { label: `Select client "${client.client_name}"`, coalesceKey: 'select-client' });
                 
                 // Update UI
                 this.updateBreadcrumbText();
@@ -179,7 +186,7 @@ export default class WorkflowManager {
                     campaignName: campaign.campaign_name,
                     utmCampaign: campaign.utm_campaign,
                     settings: campaign.settings || {}
-                });
+                }, { label: `Select campaign "${campaign.campaign_name}"`, coalesceKey: 'select-campaign' });
                 
                 // Update UI
                 this.updateBreadcrumbText();
@@ -196,7 +203,7 @@ export default class WorkflowManager {
                     campaignName: campaign.campaign_name,
                     utmCampaign: campaign.utm_campaign,
                     settings: campaign.settings || {}
-                });
+                }, { label: `Select campaign "${campaign.campaign_name}"`, coalesceKey: 'select-campaign' });
                 
                 // Update UI
                 this.updateBreadcrumbText();
@@ -628,8 +635,204 @@ export default class WorkflowManager {
             this.showNotification('Draft saved successfully', 'success');
             this.updateSaveIndicator();
         } catch (error) {
-            this.showNotification('Failed to save draft', 'error');
+            if (error.code === 'workflow_conflict') {
+                return; // Resolved through the conflict dialog
+            }
+            if (error.code === 'api_offline' || error.isNetworkError || error.isTimeout) {
+                this.showNotification('You are offline. Your draft is kept in this browser and will sync when the connection returns.', 'warning');
+                return;
+            }
+            this.showNotification(`Failed to save draft: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Wire the state manager's sync events into the UI
+     */
+    setupDraftSync() {
+        this.stateManager.setConflictHandler(conflict => this.showConflictDialog(conflict));
+
+        this.stateManager.on('sync:status', () => this.updateSaveIndicator());
+        this.stateManager.on('state:saved', () => this.updateSaveIndicator());
+
+        // The draft was swapped for the saved or merged copy - redraw from it
+        this.stateManager.on('state:replaced', ({ state }) => {
+            const step = this.steps.includes(state?.currentStep) ? state.currentStep : 'client';
+            this.currentStep = step;
+            this.renderCurrentStep();
+            this.updateBreadcrumbClasses();
+            this.updateBreadcrumbText();
+            this.emit('state:loaded', state);
+        });
+    }
+
+    /**
+     * Undo/redo: keyboard shortcuts, toolbar buttons and history list
+     */
+    setupHistory() {
+        const history = this.stateManager.history;
+
+        history.bindKeyboard();
+        history.attachControls(document.querySelector('.history-controls'));
+
+        history.on('undo', entry => this.showNotification(`Undone: ${entry.label}`, 'info'));
+        history.on('redo', entry => this.showNotification(`Redone: ${entry.label}`, 'info'));
+        history.on('error', ({ entry, direction, error }) => {
+            this.showNotification(`Could not ${direction} "${entry.label}": ${error.message}`, 'error');
+        });
+    }
+
+    /**
+     * Ask the user how to resolve a draft conflict
+     *
+     * Lists every top-level field that differs between this browser's
+     * draft and the saved copy, with a choice per field.
+     *
+     * @param {Object} conflict - { local, server, serverRevision, serverUpdatedAt }
+     * @returns {Promise<Object>} { action: 'local'|'server'|'merge', state }
+     */
+    showConflictDialog({ local, server, serverUpdatedAt }) {
+        document.querySelector('.draft-conflict-overlay')?.remove();
+
+        const ignored = ['lastModified'];
+        const fields = [...new Set([...Object.keys(local || {}), ...Object.keys(server || {})])]
+            .filter(key => !ignored.includes(key))
+            .filter(key => JSON.stringify(local?.[key]) !== JSON.stringify(server?.[key]));
+
+        const updatedAt = serverUpdatedAt ? new Date(serverUpdatedAt.replace(' ', 'T') + 'Z') : null;
+
+        const rows = fields.map(key => `
+            <tr>
+                <th scope="row">${this.escapeHtml(this.getFieldLabel(key))}</th>
+                <td>
+                    <label>
+                        <input type="radio" name="conflict-${this.escapeHtml(key)}" value="local" checked />
+                        ${this.escapeHtml(this.formatFieldValue(local?.[key]))}
+                    </label>
+                </td>
+                <td>
+                    <label>
+                        <input type="radio" name="conflict-${this.escapeHtml(key)}" value="server" />
+                        ${this.escapeHtml(this.formatFieldValue(server?.[key]))}
+                    </label>
+                </td>
+            </tr>
+        `).join('');
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay draft-conflict-overlay';
+        overlay.innerHTML = `
+            <div class="modal draft-conflict-modal" role="dialog" aria-modal="true" aria-labelledby="draft-conflict-title">
+                <div class="modal-header">
+                    <h2 class="modal-title" id="draft-conflict-title">
+                        <i class="fas fa-code-branch"></i>
+                        Draft changed elsewhere
+                    </h2>
+                </div>
+                <div class="modal-body">
+                    <p>
+                        This draft was saved from another tab or session
+                        ${updatedAt && !isNaN(updatedAt) ? `(${this.escapeHtml(this.formatTime(updatedAt))})` : ''}
+                        while you were editing. Choose which version of each field to keep.
+                    </p>
+                    ${fields.length ? `
+                        <table class="draft-conflict-table">
+                            <thead>
+                                <tr><th>Field</th><th>Your changes</th><th>Saved copy</th></tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    ` : '<p>Both versions contain the same data.</p>'}
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-ghost" data-resolve="server">Use saved copy</button>
+                    <button type="button" class="btn btn-secondary" data-resolve="local">Keep mine</button>
+                    <button type="button" class="btn btn-primary" data-resolve="merge" ${fields.length ? '' : 'disabled'}>Merge selected</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+
+        return new Promise(resolve => {
+            overlay.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-resolve]');
+                if (!button) {
+                    return;
+                }
+
+                const action = button.dataset.resolve;
+                let state = action === 'server' ? server : local;
+
+                if (action === 'merge') {
+                    state = { ...server };
+                    fields.forEach(key => {
+                        const choice = overlay.querySelector(`input[name="conflict-${CSS.escape(key)}"]:checked`);
+                        if (choice?.value === 'local') {
+                            state[key] = local[key];
+                        }
+                    });
+                }
+
+                overlay.remove();
+                this.showNotification(
+                    action === 'server' ? 'Loaded the saved copy of this draft' : 'Draft conflict resolved',
+                    'info'
+                );
+                resolve({ action, state });
+            });
+        });
+    }
+
+    /**
+     * Human label for a workflow state field
+     *
+     * @param {string} key - State key
+     * @returns {string}
+     */
+    getFieldLabel(key) {
+        const labels = {
+            currentStep: 'Current step',
+            clientId: 'Client',
+            clientName: 'Client name',
+            campaignId: 'Campaign',
+            campaignName: 'Campaign name',
+            utmCampaign: 'UTM campaign',
+            templates: 'Templates',
+            settings: 'Settings',
+            completedSteps: 'Completed steps'
+        };
+        return labels[key] || key;
+    }
+
+    /**
+     * Short, readable preview of a state value
+     *
+     * @param {*} value - State value
+     * @returns {string}
+     */
+    formatFieldValue(value) {
+        if (value === null || value === undefined || value === '') {
+            return '(empty)';
         }
+        if (typeof value !== 'object') {
+            return this.steps.includes(value) ? this.getStepTitle(value) : String(value);
+        }
+
+        const text = JSON.stringify(value);
+        return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+    }
+
+    /**
+     * Escape HTML
+     *
+     * @param {string} text - Text to escape
+     * @return {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
 
     /**
@@ -693,20 +896,7 @@ export default class WorkflowManager {
             this.showNotification('Publishing campaign...', 'info');
             
             // Call complete endpoint
-            const response = await fetch(`${this.config.apiUrl}/workflow/complete`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.config.nonce
-                },
-                body: JSON.stringify(state)
-            });
-            
-            if (!response.ok) {
-                throw new Error('Failed to complete workflow');
-            }
-            
-            const data = await response.json();
+            await this.api.post('/workflow/complete', state);
             
             this.showNotification('Campaign published successfully!', 'success');
             this.stateManager.clearState();
@@ -718,7 +908,7 @@ export default class WorkflowManager {
             
         } catch (error) {
             console.error('Error completing workflow:', error);
-            this.showNotification('Failed to publish campaign', 'error');
+            this.showNotification(`Failed to publish campaign: ${error.message}`, 'error');
         }
     }
     
@@ -731,19 +921,12 @@ export default class WorkflowManager {
      */
     async checkUtmExists(utmCampaign, excludeId = null) {
         try {
-            const url = new URL(`${this.config.apiUrl}/campaigns/check-utm`);
-            url.searchParams.append('utm_campaign', utmCampaign);
+            const params = { utm_campaign: utmCampaign };
             if (excludeId) {
-                url.searchParams.append('exclude_id', excludeId);
+                params.exclude_id = excludeId;
             }
             
-            const response = await fetch(url, {
-                headers: {
-                    'X-WP-Nonce': this.config.nonce
-                }
-            });
-            
-            const data = await response.json();
+            const data = await this.api.get('/campaigns/check-utm', params);
             return data.exists || false;
             
         } catch (error) {
@@ -778,13 +961,26 @@ export default class WorkflowManager {
      */
     updateSaveIndicator() {
         const indicator = document.querySelector('.save-indicator');
-        if (indicator) {
-            const lastSaved = this.stateManager.getLastSaved();
-            if (lastSaved) {
-                indicator.textContent = `Last saved: ${this.formatTime(lastSaved)}`;
-                indicator.classList.add('saved');
-            }
+        if (!indicator) {
+            return;
         }
+
+        const status = this.stateManager.getSyncStatus();
+        const lastSaved = this.stateManager.getLastSaved();
+        const states = {
+            saved: ['fa-check-circle', lastSaved ? `Last saved: ${this.formatTime(lastSaved)}` : 'All changes saved'],
+            pending: ['fa-circle', 'Unsaved changes'],
+            saving: ['fa-spinner fa-spin', 'Saving...'],
+            offline: ['fa-cloud', 'Offline - saved in this browser'],
+            conflict: ['fa-exclamation-triangle', 'Draft changed elsewhere']
+        };
+        const [icon, label] = states[status] || states.saved;
+
+        indicator.innerHTML = `<i class="fas ${icon}"></i><span>${this.escapeHtml(label)}</span>`;
+        indicator.classList.toggle('saved', status === 'saved');
+        indicator.classList.toggle('unsaved', status === 'pending' || status === 'saving');
+        indicator.classList.toggle('offline', status === 'offline');
+        indicator.classList.toggle('conflict', status === 'conflict');
     }
     
     /**
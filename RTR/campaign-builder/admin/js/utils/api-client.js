@@ -1,78 +1,449 @@
 /**
  * API Client
- * 
+ *
+ * Shared REST client for every RTR admin app (Campaign Builder, Reading
+ * the Room, Scoring System, AI Settings and Journey Circle).
+ *
+ * - AbortController cancellation (per request or all in-flight requests)
+ * - Exponential-backoff retries for idempotent calls
+ * - Nonce refresh and replay on 403 rest_cookie_invalid_nonce
+ * - Typed ApiError carrying the WP error code, message and data
+ *
+ * Classic (non-module) scripts such as the Journey Circle modules reach
+ * the same classes through window.DRApiClient and window.DRApiError.
+ *
  * @package DirectReach_Campaign_Builder
  * @since 2.0.0
  */
 
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Error thrown for every failed request
+ *
+ * Mirrors the WP_Error shape returned by the REST API:
+ * { code, message, data: { status, ... } }
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - Human readable message (from the server when available)
+     * @param {Object} details
+     * @param {string} details.code - WP error code, or a client code (network_error, request_aborted, request_timeout)
+     * @param {number} details.status - HTTP status (0 when no response was received)
+     * @param {*} details.data - WP error data / raw response body
+     */
+    constructor(message, { code = 'unknown_error', status = 0, data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status;
+        this.data = data;
+    }
+
+    get isAborted() {
+        return this.code === 'request_aborted';
+    }
+
+    get isTimeout() {
+        return this.code === 'request_timeout';
+    }
+
+    get isNetworkError() {
+        return this.code === 'network_error';
+    }
+
+    get isInvalidNonce() {
+        return this.status === 403 && this.code === 'rest_cookie_invalid_nonce';
+    }
+
+    get isRetryable() {
+        return this.isNetworkError || this.isTimeout || RETRYABLE_STATUSES.includes(this.status);
+    }
+
+    /**
+     * Build an ApiError from a failed fetch Response
+     *
+     * @param {Response} response - Fetch response
+     * @param {*} body - Parsed body (object, string or null)
+     * @return {ApiError}
+     */
+    static fromResponse(response, body) {
+        const payload = body && typeof body === 'object' ? body : {};
+        const text = typeof body === 'string' ? body.trim() : '';
+
+        // Some endpoints return { success: false, error: '...' } instead of a WP_Error
+        const message = payload.message
+            || payload.error
+            || (text && text.length < 300 ? text : '')
+            || `HTTP ${response.status}: ${response.statusText || 'Request failed'}`;
+
+        return new ApiError(message, {
+            code: payload.code || `http_${response.status}`,
+            status: response.status,
+            data: payload.data !== undefined ? payload.data : (body || null)
+        });
+    }
+}
+
 export default class APIClient {
-    constructor(baseUrl, nonce) {
+    /**
+     * @param {string} baseUrl - REST namespace URL (e.g. .../wp-json/directreach/v2)
+     * @param {string} nonce - wp_rest nonce
+     * @param {Object} options
+     * @param {number} options.retries - Retry attempts for idempotent calls (default 2)
+     * @param {number} options.retryDelay - Base backoff delay in ms (default 500)
+     * @param {number} options.maxRetryDelay - Backoff ceiling in ms (default 8000)
+     * @param {number} options.timeout - Per-attempt timeout in ms, 0 to disable (default 0)
+     * @param {string} options.nonceRefreshUrl - admin-ajax.php URL used to renew the nonce
+     */
+    constructor(baseUrl, nonce, options = {}) {
         this.baseUrl = baseUrl;
         this.nonce = nonce;
+        this.options = {
+            retries: 2,
+            retryDelay: 500,
+            maxRetryDelay: 8000,
+            timeout: 0,
+            nonceRefreshUrl: APIClient.getDefaultNonceRefreshUrl(),
+            ...options
+        };
+
+        this.controllers = new Set();
+
+        // Pick up nonces renewed by any other client on the page
+        if (typeof window !== 'undefined') {
+            window.addEventListener('dr:nonce-refreshed', (e) => {
+                if (e.detail?.nonce) {
+                    this.nonce = e.detail.nonce;
+                }
+            });
+        }
+    }
+
+    /**
+     * Resolve the full URL for an endpoint
+     *
+     * @param {string} endpoint - Endpoint path (e.g. /campaigns)
+     * @return {string}
+     */
+    buildUrl(endpoint) {
+        return `${this.baseUrl}${endpoint}`;
     }
-    
+
+    /**
+     * Perform a request
+     *
+     * Accepts the usual fetch options plus:
+     * - signal: AbortSignal to cancel the request
+     * - timeout: per-attempt timeout in ms
+     * - retries: retry attempts (only used for idempotent calls)
+     * - idempotent: force retry behaviour on/off (e.g. for safe POSTs)
+     * - raw: resolve with the fetch Response instead of the parsed body
+     *   (e.g. file downloads); failed responses still throw ApiError
+     *
+     * A FormData body is sent as multipart (no JSON Content-Type).
+     *
+     * @param {string} endpoint - Endpoint path
+     * @param {Object} options - Request options
+     * @return {Promise<*>} Parsed response body
+     * @throws {ApiError}
+     */
     async request(endpoint, options = {}) {
-        const url = `${this.baseUrl}${endpoint}`;
-        
-        const defaultOptions = {
-            headers: {
-                'Content-Type': 'application/json',
-                'X-WP-Nonce': this.nonce
-            },
-            credentials: 'same-origin'
-        };
-        
+        const {
+            signal,
+            timeout = this.options.timeout,
+            retries = this.options.retries,
+            idempotent,
+            raw = false,
+            ...fetchOptions
+        } = options;
+
+        const method = (fetchOptions.method || 'GET').toUpperCase();
+        const canRetry = idempotent !== undefined ? idempotent : IDEMPOTENT_METHODS.includes(method);
+        const maxAttempts = canRetry ? retries + 1 : 1;
+
+        let nonceRefreshed = false;
+        let attempt = 0;
+
+        while (true) {
+            attempt++;
+
+            try {
+                return await this.send(endpoint, { ...fetchOptions, method }, signal, timeout, raw);
+            } catch (error) {
+                // The nonce check runs before the route handler, so replaying is safe for any method
+                if (error.isInvalidNonce && !nonceRefreshed && this.options.nonceRefreshUrl) {
+                    nonceRefreshed = true;
+                    attempt--;
+
+                    try {
+                        await this.refreshNonce();
+                    } catch (refreshError) {
+                        console.error('API Nonce Refresh Error:', refreshError);
+                        throw new ApiError('Session expired. Please refresh the page and try again.', {
+                            code: error.code,
+                            status: error.status,
+                            data: error.data
+                        });
+                    }
+                    continue;
+                }
+
+                if (error.isAborted || !error.isRetryable || attempt >= maxAttempts) {
+                    if (!error.isAborted) {
+                        console.error('API Request Error:', error);
+                    }
+                    throw error;
+                }
+
+                await this.wait(this.getRetryDelay(attempt), signal);
+            }
+        }
+    }
+
+    /**
+     * Single fetch attempt
+     *
+     * @param {string} endpoint - Endpoint path
+     * @param {Object} fetchOptions - fetch() options
+     * @param {AbortSignal} signal - Caller's abort signal
+     * @param {number} timeout - Timeout in ms (0 disables)
+     * @param {boolean} raw - Return the Response unparsed
+     * @return {Promise<*>}
+     * @throws {ApiError}
+     */
+    async send(endpoint, fetchOptions, signal, timeout, raw = false) {
+        if (signal?.aborted) {
+            throw new ApiError('Request was cancelled', { code: 'request_aborted' });
+        }
+
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        let timedOut = false;
+        let timer = null;
+
+        signal?.addEventListener('abort', abort);
+        this.controllers.add(controller);
+
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout);
+        }
+
+        // FormData uploads need the browser to set the multipart boundary
+        const isFormData = typeof FormData !== 'undefined' && fetchOptions.body instanceof FormData;
+
         const finalOptions = {
-            ...defaultOptions,
-            ...options,
+            credentials: 'same-origin',
+            ...fetchOptions,
             headers: {
-                ...defaultOptions.headers,
-                ...options.headers
-            }
+                ...(isFormData ? {} : { 'Content-Type': 'application/json' }),
+                'X-WP-Nonce': this.nonce,
+                ...(fetchOptions.headers || {})
+            },
+            signal: controller.signal
         };
-        
+
         try {
-            const response = await fetch(url, finalOptions);
-            const data = await response.json();            
+            let response;
+
+            try {
+                response = await fetch(this.buildUrl(endpoint), finalOptions);
+            } catch (error) {
+                if (timedOut) {
+                    throw new ApiError(`Request timed out after ${Math.round(timeout / 1000)}s`, { code: 'request_timeout' });
+                }
+                if (controller.signal.aborted) {
+                    throw new ApiError('Request was cancelled', { code: 'request_aborted' });
+                }
+                throw new ApiError('Network error. Please check your connection and try again.', {
+                    code: 'network_error',
+                    data: { reason: error.message }
+                });
+            }
+
             if (!response.ok) {
-                const errorMessage = data.message || data.error || `HTTP ${response.status}`;
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                throw ApiError.fromResponse(response, await this.parseBody(response));
             }
-            
-            return data;
-            
-        } catch (error) {
-            console.error('API Request Error:', error);
-            throw error;
+
+            return raw ? response : await this.parseBody(response);
+
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abort);
+            this.controllers.delete(controller);
         }
     }
-    
-    async get(endpoint, params = {}) {
+
+    /**
+     * Parse a response body as JSON, falling back to text
+     *
+     * @param {Response} response - Fetch response
+     * @return {Promise<*>}
+     */
+    async parseBody(response) {
+        if (response.status === 204) {
+            return null;
+        }
+
+        const text = await response.text();
+        if (!text) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return text;
+        }
+    }
+
+    /**
+     * Renew the wp_rest nonce through admin-ajax.php?action=rest-nonce
+     *
+     * Concurrent callers share one in-flight refresh.
+     *
+     * @return {Promise<string>} New nonce
+     */
+    async refreshNonce() {
+        if (!APIClient.pendingNonceRefresh) {
+            APIClient.pendingNonceRefresh = (async () => {
+                const separator = this.options.nonceRefreshUrl.includes('?') ? '&' : '?';
+                const response = await fetch(`${this.options.nonceRefreshUrl}${separator}action=rest-nonce`, {
+                    credentials: 'same-origin'
+                });
+                const nonce = (await response.text()).trim();
+
+                // admin-ajax answers "0" / "-1" when the session itself is gone
+                if (!response.ok || !/^[a-f0-9]{6,}$/i.test(nonce)) {
+                    throw new ApiError('Unable to refresh session', { code: 'nonce_refresh_failed', status: response.status });
+                }
+
+                window.dispatchEvent(new CustomEvent('dr:nonce-refreshed', { detail: { nonce } }));
+                return nonce;
+            })().finally(() => {
+                APIClient.pendingNonceRefresh = null;
+            });
+        }
+
+        this.nonce = await APIClient.pendingNonceRefresh;
+        return this.nonce;
+    }
+
+    /**
+     * Backoff delay for a retry attempt (exponential with jitter)
+     *
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @return {number} Delay in ms
+     */
+    getRetryDelay(attempt) {
+        const delay = this.options.retryDelay * Math.pow(2, attempt - 1);
+        const jitter = Math.random() * this.options.retryDelay;
+        return Math.min(delay + jitter, this.options.maxRetryDelay);
+    }
+
+    /**
+     * Sleep that can be interrupted by an abort signal
+     *
+     * @param {number} ms - Delay in ms
+     * @param {AbortSignal} signal - Abort signal
+     * @return {Promise<void>}
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new ApiError('Request was cancelled', { code: 'request_aborted' }));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            if (signal?.aborted) {
+                onAbort();
+                return;
+            }
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Cancel every in-flight request made through this client
+     */
+    abortAll() {
+        this.controllers.forEach(controller => controller.abort());
+        this.controllers.clear();
+    }
+
+    async get(endpoint, params = {}, options = {}) {
         const queryString = new URLSearchParams(params).toString();
-        const url = queryString ? `${endpoint}?${queryString}` : endpoint;
-        
+        const separator = endpoint.includes('?') ? '&' : '?';
+        const url = queryString ? `${endpoint}${separator}${queryString}` : endpoint;
+
         return this.request(url, {
+            ...options,
             method: 'GET'
         });
     }
-    
-    async post(endpoint, data = {}) {
+
+    async post(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'POST',
             body: JSON.stringify(data)
         });
     }
-    
-    async put(endpoint, data = {}) {
+
+    async put(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'PUT',
             body: JSON.stringify(data)
         });
     }
-    
-    async delete(endpoint) {
+
+    async patch(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
+            method: 'PATCH',
+            body: JSON.stringify(data)
+        });
+    }
+
+    async delete(endpoint, options = {}) {
+        return this.request(endpoint, {
+            ...options,
             method: 'DELETE'
         });
     }
-}
\ No newline at end of file
+
+    /**
+     * Best guess at admin-ajax.php when the page config does not provide it
+     *
+     * @return {string}
+     */
+    static getDefaultNonceRefreshUrl() {
+        if (typeof window === 'undefined') {
+            return '';
+        }
+
+        return window.ajaxurl
+            || window.drCampaignBuilderConfig?.ajaxUrl
+            || window.rtrDashboardConfig?.ajaxUrl
+            || window.drAIConfig?.ajaxUrl
+            || window.drJourneyCircleConfig?.ajaxUrl
+            || '/wp-admin/admin-ajax.php';
+    }
+}
+
+APIClient.pendingNonceRefresh = null;
+
+// Expose to classic scripts (Journey Circle modules)
+if (typeof window !== 'undefined') {
+    window.DRApiClient = APIClient;
+    window.DRApiError = ApiError;
+}
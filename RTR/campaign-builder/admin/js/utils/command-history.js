@@ -0,0 +1,428 @@
+/**
+ * Command History Utility
+ *
+ * Undo/redo stack shared by Campaign Builder and Journey Circle.
+ * Each entry pairs an undo and a redo function, so an entry can revert
+ * a state patch, a REST side effect (recreating a deleted link), or both.
+ *
+ * Also exposed as window.DRCommandHistory for the classic Journey Circle
+ * scripts.
+ *
+ * @package DirectReach_Campaign_Builder
+ * @since 2.0.0
+ */
+
+import EventEmitter from './event-emitter.js';
+
+/**
+ * Keys that change on every update and are never worth undoing
+ */
+const VOLATILE_KEYS = ['lastModified', 'lastSaved'];
+
+export default class CommandHistory extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} options.limit - Entries kept on the undo stack (default 50)
+     * @param {number} options.coalesceWindow - ms within which entries sharing a
+     *                                          coalesceKey merge (default 1000)
+     */
+    constructor(options = {}) {
+        super();
+
+        this.limit = options.limit || 50;
+        this.coalesceWindow = options.coalesceWindow ?? 1000;
+        this.past = [];
+        this.future = [];
+        this.applying = false;
+        this.nextId = 1;
+    }
+
+    /**
+     * True while an undo/redo is running; callers skip recording then
+     *
+     * @returns {boolean}
+     */
+    get isApplying() {
+        return this.applying;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.past.length > 0 && !this.applying;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.future.length > 0 && !this.applying;
+    }
+
+    /**
+     * Record an action that has already been applied
+     *
+     * @param {Object} entry
+     * @param {string} entry.label - Shown in the history list
+     * @param {Function} entry.undo - Reverts the action (may be async)
+     * @param {Function} entry.redo - Re-applies the action (may be async)
+     * @param {string} [entry.coalesceKey] - Consecutive entries with the same
+     *                                       key merge into one (e.g. typing)
+     * @returns {Object|null} Stored entry, or null while applying
+     */
+    record({ label, undo, redo, coalesceKey = null, patches = null }) {
+        if (this.applying) {
+            return null;
+        }
+
+        const now = Date.now();
+        const last = this.canCoalesce(coalesceKey, now) ? this.past[this.past.length - 1] : null;
+
+        // Keep the oldest undo, take the newest redo. Patch entries arrive
+        // pre-merged (see recordPatch), so their undo is replaced as well.
+        if (last) {
+            if (patches) {
+                last.undo = undo;
+                last.patches = patches;
+            }
+            last.redo = redo;
+            last.label = label;
+            last.timestamp = now;
+            this.future = [];
+            this.emit('change', this.getEntries());
+            return last;
+        }
+
+        const entry = { id: this.nextId++, label, undo, redo, coalesceKey, patches, timestamp: now };
+
+        this.past.push(entry);
+        if (this.past.length > this.limit) {
+            this.past.shift();
+        }
+        this.future = [];
+
+        this.emit('change', this.getEntries());
+        return entry;
+    }
+
+    /**
+     * Whether a new entry with this key would merge into the latest one
+     *
+     * @param {string|null} coalesceKey - Key of the new entry
+     * @param {number} now - Timestamp of the new entry
+     * @returns {boolean}
+     */
+    canCoalesce(coalesceKey, now = Date.now()) {
+        const last = this.past[this.past.length - 1];
+
+        return Boolean(coalesceKey && last && !this.future.length
+            && last.coalesceKey === coalesceKey
+            && now - last.timestamp < this.coalesceWindow);
+    }
+
+    /**
+     * Record a shallow state patch
+     *
+     * Only keys whose value actually changed are kept; volatile keys and
+     * any listed in `ignore` are dropped.
+     *
+     * @param {Object} before - State before the update
+     * @param {Object} updates - Keys that were applied
+     * @param {Function} apply - Applies a patch without recording it
+     * @param {Object} options - { label, ignore, coalesceKey }
+     * @returns {Object|null} Stored entry
+     */
+    recordPatch(before, updates, apply, options = {}) {
+        const ignore = [...VOLATILE_KEYS, ...(options.ignore || [])];
+        const keys = Object.keys(updates).filter(key => {
+            return !ignore.includes(key) && !CommandHistory.isEqual(before?.[key], updates[key]);
+        });
+
+        if (!keys.length) {
+            return null;
+        }
+
+        let undoPatch = {};
+        let redoPatch = {};
+        keys.forEach(key => {
+            undoPatch[key] = CommandHistory.clone(before?.[key]);
+            redoPatch[key] = CommandHistory.clone(updates[key]);
+        });
+
+        const coalesceKey = options.coalesceKey ?? `patch:${[...keys].sort().join(',')}`;
+        const last = this.past[this.past.length - 1];
+
+        // Merging: the older entry's "before" values win, the newer "after" values win
+        if (this.canCoalesce(coalesceKey) && last.patches) {
+            undoPatch = { ...undoPatch, ...last.patches.undo };
+            redoPatch = { ...last.patches.redo, ...redoPatch };
+        }
+
+        return this.record({
+            label: options.label || CommandHistory.describePatch(Object.keys(redoPatch)),
+            coalesceKey,
+            patches: { undo: undoPatch, redo: redoPatch },
+            undo: () => apply(CommandHistory.clone(undoPatch)),
+            redo: () => apply(CommandHistory.clone(redoPatch))
+        });
+    }
+
+    /**
+     * Undo the most recent entry
+     *
+     * @returns {Promise<boolean>} false when nothing was undone
+     */
+    async undo() {
+        if (!this.canUndo()) {
+            return false;
+        }
+
+        const entry = this.past.pop();
+        const done = await this.run(entry, 'undo');
+
+        (done ? this.future : this.past).push(entry);
+        this.emit('change', this.getEntries());
+
+        return done;
+    }
+
+    /**
+     * Redo the most recently undone entry
+     *
+     * @returns {Promise<boolean>} false when nothing was redone
+     */
+    async redo() {
+        if (!this.canRedo()) {
+            return false;
+        }
+
+        const entry = this.future.pop();
+        const done = await this.run(entry, 'redo');
+
+        (done ? this.past : this.future).push(entry);
+        this.emit('change', this.getEntries());
+
+        return done;
+    }
+
+    /**
+     * Undo or redo until the given entry is the latest applied one
+     *
+     * @param {number} id - Entry ID from getEntries()
+     * @returns {Promise<void>}
+     */
+    async jumpTo(id) {
+        if (this.future.some(entry => entry.id === id)) {
+            while (this.future.length && this.past[this.past.length - 1]?.id !== id) {
+                if (!await this.redo()) return;
+            }
+            return;
+        }
+
+        while (this.past.length && this.past[this.past.length - 1].id !== id) {
+            if (!await this.undo()) return;
+        }
+    }
+
+    /**
+     * Run one side of an entry with recording suspended
+     *
+     * @param {Object} entry - History entry
+     * @param {string} direction - 'undo' or 'redo'
+     * @returns {Promise<boolean>} Whether it succeeded
+     */
+    async run(entry, direction) {
+        this.applying = true;
+        this.emit('change', this.getEntries());
+
+        try {
+            await entry[direction]();
+            this.emit(direction, entry);
+            return true;
+        } catch (error) {
+            console.error(`History ${direction} failed:`, error);
+            this.emit('error', { entry, direction, error });
+            return false;
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    /**
+     * Drop all entries (e.g. after switching client or publishing)
+     */
+    clear() {
+        this.past = [];
+        this.future = [];
+        this.emit('change', this.getEntries());
+    }
+
+    /**
+     * Snapshot for rendering the history list
+     *
+     * @returns {Object} { past: [{id, label, timestamp}], future: [...] } newest first
+     */
+    getEntries() {
+        const summary = ({ id, label, timestamp }) => ({ id, label, timestamp });
+
+        return {
+            past: this.past.map(summary).reverse(),
+            // The redo stack already runs newest-first; its last item is the next redo
+            future: this.future.map(summary),
+            applying: this.applying
+        };
+    }
+
+    /**
+     * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo
+     *
+     * Text fields keep their native undo.
+     *
+     * @param {EventTarget} target - Where to listen (default document)
+     * @returns {Function} Unbind function
+     */
+    bindKeyboard(target = document) {
+        const handler = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) {
+                return;
+            }
+
+            const el = e.target;
+            if (el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName))) {
+                return;
+            }
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || (key === 'y' && e.ctrlKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        };
+
+        target.addEventListener('keydown', handler);
+        return () => target.removeEventListener('keydown', handler);
+    }
+
+    /**
+     * Wire undo/redo buttons and a history list inside a container
+     *
+     * Expects [data-history="undo"], [data-history="redo"],
+     * [data-history="toggle"] and a .dr-history-list element.
+     *
+     * @param {HTMLElement} container - Controls wrapper
+     */
+    attachControls(container) {
+        if (!container) {
+            return;
+        }
+
+        const undoBtn = container.querySelector('[data-history="undo"]');
+        const redoBtn = container.querySelector('[data-history="redo"]');
+        const toggleBtn = container.querySelector('[data-history="toggle"]');
+        const list = container.querySelector('.dr-history-list');
+
+        undoBtn?.addEventListener('click', () => this.undo());
+        redoBtn?.addEventListener('click', () => this.redo());
+        toggleBtn?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            list?.classList.toggle('open');
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!container.contains(e.target)) {
+                list?.classList.remove('open');
+            }
+        });
+
+        list?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-entry-id]');
+            if (item) {
+                this.jumpTo(parseInt(item.dataset.entryId, 10));
+            }
+        });
+
+        const render = ({ past, future, applying }) => {
+            if (undoBtn) {
+                undoBtn.disabled = applying || !past.length;
+                undoBtn.title = past.length ? `Undo: ${past[0].label} (Ctrl+Z)` : 'Nothing to undo';
+            }
+            if (redoBtn) {
+                redoBtn.disabled = applying || !future.length;
+                redoBtn.title = future.length ? `Redo: ${future[future.length - 1].label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+            }
+            if (toggleBtn) {
+                toggleBtn.disabled = !past.length && !future.length;
+            }
+            if (!list) {
+                return;
+            }
+
+            if (!past.length && !future.length) {
+                list.innerHTML = '<li class="dr-history-empty">No changes yet</li>';
+                return;
+            }
+
+            const item = (entry, state) => `
+                <li class="dr-history-item ${state}" data-entry-id="${entry.id}">
+                    <span class="dr-history-label">${CommandHistory.escapeHtml(entry.label)}</span>
+                    <span class="dr-history-time">${new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                </li>
+            `;
+
+            // Newest at the top: undone entries, then the current one, then older ones
+            list.innerHTML = future.map(entry => item(entry, 'undone')).join('')
+                + past.map((entry, index) => item(entry, index === 0 ? 'current' : '')).join('');
+        };
+
+        this.on('change', render);
+        render(this.getEntries());
+    }
+
+    /**
+     * Default label for a patch ("Change campaign name")
+     *
+     * @param {Array<string>} keys - Changed keys
+     * @returns {string}
+     */
+    static describePatch(keys) {
+        const words = keys[0].replace(/([A-Z])/g, ' $1').replace(/_/g, ' ').toLowerCase().trim();
+        return keys.length > 1 ? `Change ${words} and ${keys.length - 1} more` : `Change ${words}`;
+    }
+
+    /**
+     * Deep clone for plain JSON state
+     *
+     * @param {*} value - Value to clone
+     * @returns {*}
+     */
+    static clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Structural equality for plain JSON state
+     *
+     * @param {*} a
+     * @param {*} b
+     * @returns {boolean}
+     */
+    static isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * @param {string} text - Text to escape
+     * @returns {string}
+     */
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+window.DRCommandHistory = CommandHistory;
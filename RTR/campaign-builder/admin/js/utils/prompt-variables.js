@@ -0,0 +1,52 @@
+/**
+ * Prompt Variables
+ *
+ * Parsing helpers for prompt template merge variables
+ * (`{{prospect.company_name}}`, `{{room}}`, ...). Mirrors
+ * DR_Prompt_Variables::PATTERN on the server.
+ *
+ * @package DirectReach_Campaign_Builder
+ * @since 2.5.0
+ */
+
+/**
+ * Variable syntax: {{ name }} or {{ group.name }}
+ */
+export const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_]+(?:\.[a-zA-Z_]+)?)\s*\}\}/g;
+
+/**
+ * Variables in a text, in order
+ *
+ * @param {string} text - Text
+ * @returns {Array<{name: string, start: number, end: number}>}
+ */
+export function findVariables(text) {
+    return [...(text || '').matchAll(VARIABLE_PATTERN)].map(match => ({
+        name: match[1],
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+}
+
+/**
+ * Names used in a text that are not in the known list
+ *
+ * @param {string} text - Text
+ * @param {Array<string>} known - Known variable names
+ * @returns {Array<string>} Unique unknown names
+ */
+export function findUnknownVariables(text, known) {
+    const names = findVariables(text).map(v => v.name).filter(name => !known.includes(name));
+    return [...new Set(names)];
+}
+
+/**
+ * Replace variables in a text
+ *
+ * @param {string} text - Text
+ * @param {Function} replace - (name, raw) => replacement
+ * @returns {string}
+ */
+export function replaceVariables(text, replace) {
+    return (text || '').replace(VARIABLE_PATTERN, (raw, name) => replace(name, raw));
+}
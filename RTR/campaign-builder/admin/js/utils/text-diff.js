@@ -0,0 +1,129 @@
+/**
+ * Text Diff Utility
+ *
+ * Line-level LCS diff shaped for a side-by-side view. Lines that were
+ * edited (a run of removals followed by additions) are paired up and
+ * diffed again word by word so the changed words can be highlighted.
+ *
+ * @package DirectReach_Campaign_Builder
+ * @since 2.5.0
+ */
+
+/**
+ * Above this many LCS cells, changed blocks are shown whole instead of diffed
+ */
+const MAX_CELLS = 250000;
+
+/**
+ * Longest-common-subsequence edit script
+ *
+ * @param {Array<string>} a - Old tokens
+ * @param {Array<string>} b - New tokens
+ * @returns {Array<Object>} [{ type: 'equal'|'remove'|'add', value }]
+ */
+export function diffSequences(a, b) {
+    const n = a.length;
+    const m = b.length;
+
+    if (n * m > MAX_CELLS) {
+        return [
+            ...a.map(value => ({ type: 'remove', value })),
+            ...b.map(value => ({ type: 'add', value }))
+        ];
+    }
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..], flattened
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lengths[i * width + j] = a[i] === b[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) {
+            ops.push({ type: 'equal', value: a[i] });
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            ops.push({ type: 'remove', value: a[i++] });
+        } else {
+            ops.push({ type: 'add', value: b[j++] });
+        }
+    }
+    while (i < n) ops.push({ type: 'remove', value: a[i++] });
+    while (j < m) ops.push({ type: 'add', value: b[j++] });
+
+    return ops;
+}
+
+/**
+ * Word-level diff of one edited line
+ *
+ * @param {string} before - Old line
+ * @param {string} after - New line
+ * @returns {Object} { left: [{ text, changed }], right: [{ text, changed }] }
+ */
+export function diffWords(before, after) {
+    const tokenize = (text) => text.split(/(\s+)/).filter(Boolean);
+    const left = [];
+    const right = [];
+
+    diffSequences(tokenize(before), tokenize(after)).forEach(({ type, value }) => {
+        if (type !== 'add') left.push({ text: value, changed: type === 'remove' });
+        if (type !== 'remove') right.push({ text: value, changed: type === 'add' });
+    });
+
+    return { left, right };
+}
+
+/**
+ * Side-by-side rows for two texts
+ *
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<Object>} [{ type: 'equal'|'change'|'remove'|'add', left, right }]
+ *          where left/right are { text, parts } or null for a blank cell
+ */
+export function diffLines(before = '', after = '') {
+    const split = (text) => (text ? text.replace(/\r\n/g, '\n').split('\n') : []);
+    const ops = diffSequences(split(before), split(after));
+    const rows = [];
+
+    let index = 0;
+    while (index < ops.length) {
+        if (ops[index].type === 'equal') {
+            const text = ops[index++].value;
+            rows.push({ type: 'equal', left: { text }, right: { text } });
+            continue;
+        }
+
+        const removed = [];
+        const added = [];
+        while (index < ops.length && ops[index].type === 'remove') removed.push(ops[index++].value);
+        while (index < ops.length && ops[index].type === 'add') added.push(ops[index++].value);
+
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+            if (k < removed.length && k < added.length) {
+                const { left, right } = diffWords(removed[k], added[k]);
+                rows.push({
+                    type: 'change',
+                    left: { text: removed[k], parts: left },
+                    right: { text: added[k], parts: right }
+                });
+            } else if (k < removed.length) {
+                rows.push({ type: 'remove', left: { text: removed[k] }, right: null });
+            } else {
+                rows.push({ type: 'add', left: null, right: { text: added[k] } });
+            }
+        }
+    }
+
+    return rows;
+}
@@ -76,6 +76,20 @@ if (!defined('ABSPATH')) {
                 </div>
             </div>
             
+            <!-- Undo / Redo History -->
+            <div class="history-controls">
+                <button type="button" class="btn btn-ghost btn-sm" data-history="undo" title="Undo (Ctrl+Z)" disabled>
+                    <i class="fas fa-undo"></i>
+                </button>
+                <button type="button" class="btn btn-ghost btn-sm" data-history="redo" title="Redo (Ctrl+Shift+Z)" disabled>
+                    <i class="fas fa-redo"></i>
+                </button>
+                <button type="button" class="btn btn-ghost btn-sm" data-history="toggle" title="History" disabled>
+                    <i class="fas fa-history"></i>
+                </button>
+                <ul class="dr-history-list" aria-label="Change history"></ul>
+            </div>
+            
             <!-- Save Indicator -->
             <div class="save-indicator">
                 <i class="fas fa-check-circle"></i>
@@ -60,6 +60,18 @@ if (!defined('ABSPATH')) {
             <span class="tab-label">Offer Room</span>
             <span class="tab-count">0</span>
         </button>
+        <div class="room-tabs-tools">
+            <select id="link-health-filter" class="form-control link-health-filter" aria-label="Filter by link health">
+                <option value="">All links</option>
+                <option value="healthy">Healthy</option>
+                <option value="redirected">Redirected</option>
+                <option value="broken">Broken</option>
+                <option value="unchecked">Not checked yet</option>
+            </select>
+            <button type="button" class="btn btn-secondary btn-sm" id="check-all-links-btn" title="Check every link in this campaign now">
+                <i class="fas fa-heartbeat"></i> Check All
+            </button>
+        </div>
     </div>
 
     <!-- Links List View -->
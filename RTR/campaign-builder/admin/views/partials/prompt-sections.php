@@ -20,7 +20,15 @@ if (!defined('ABSPATH')) {
         </h3>
         <p class="section-description">
             Define how AI should generate emails. Each section guides the AI's behavior.
+            Type <code>{{</code> in any section to insert a merge variable such as
+            <code>{{prospect.company_name}}</code>; it is replaced with the prospect's value before the prompt is sent.
         </p>
+        <details class="prompt-variables-reference" id="prompt-variables-reference">
+            <summary><i class="fas fa-code"></i> Merge variables</summary>
+            <div class="prompt-variables-list">
+                <p class="text-muted">Loading variables...</p>
+            </div>
+        </details>
     </div>
 
     <!-- 1. Persona -->
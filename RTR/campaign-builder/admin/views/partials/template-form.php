@@ -75,6 +75,9 @@ if (!defined('ABSPATH')) {
             <button type="button" class="btn btn-secondary" id="test-prompt-btn">
                 <i class="fas fa-flask"></i> Test Prompt
             </button>
+            <button type="button" class="btn btn-secondary" id="open-test-bench-btn">
+                <i class="fas fa-vials"></i> Test Bench
+            </button>
             <div class="actions-spacer"></div>
             <button type="button" class="btn btn-secondary btn-cancel-form">
                 <i class="fas fa-times"></i> Cancel
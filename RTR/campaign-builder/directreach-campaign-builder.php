@@ -209,6 +209,7 @@ function dr_ai_settings_enqueue_assets() {
     $config = array(
         'apiUrl' => rest_url('directreach/v2'),
         'nonce' => wp_create_nonce('wp_rest'),
+        'ajaxUrl' => admin_url('admin-ajax.php'),
         'strings' => array(
             'saveSuccess' => __('Settings saved successfully', 'directreach'),
             'saveError' => __('Failed to save settings', 'directreach'),
@@ -30,6 +30,7 @@ if (!defined('ABSPATH')) {
  * - GET    /campaigns/{id}            - Get single campaign
  * - PUT    /campaigns/{id}            - Update campaign
  * - DELETE /campaigns/{id}            - Delete campaign
+ * - POST   /campaigns/{id}/clone      - Clone campaign with links/templates
  */
 class Campaigns_Controller extends REST_Controller {
     
@@ -120,6 +121,16 @@ class Campaigns_Controller extends REST_Controller {
             )
         ));
 
+        // Clone campaign
+        register_rest_route($this->namespace, '/' . $this->rest_base . '/(?P<id>[\d]+)/clone', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'clone_campaign'),
+                'permission_callback' => array($this, 'check_permissions'),
+                'args' => $this->get_clone_params()
+            )
+        ));
+
         // Check if UTM campaign exists
         register_rest_route($this->namespace, '/' . $this->rest_base . '/check-utm', array(
             array(
@@ -136,6 +147,12 @@ class Campaigns_Controller extends REST_Controller {
                         'required' => false,
                         'type' => 'integer',
                         'default' => 0
+                    ),
+                    'client_id' => array(
+                        'required' => false,
+                        'type' => 'integer',
+                        'default' => 0,
+                        'description' => 'Client to check against when there is no campaign to exclude'
                     )
                 )
             )
@@ -504,6 +521,272 @@ class Campaigns_Controller extends REST_Controller {
         ), 200);
     }
     
+    /**
+     * Clone a campaign
+     *
+     * Creates a new campaign from the request's details and copies the
+     * selected pieces of the source campaign in one transaction:
+     * content links, campaign-specific templates and, when cloning to a
+     * different client, the source client's threshold/scoring overrides.
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response or error
+     */
+    public function clone_campaign($request) {
+        global $wpdb;
+        
+        $source_id = $request->get_param('id');
+        $table_name = $wpdb->prefix . 'dr_campaign_settings';
+        
+        $source = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$table_name} WHERE id = %d",
+            $source_id
+        ));
+        
+        if (!$source) {
+            return new WP_Error(
+                'campaign_not_found',
+                'Campaign not found',
+                array('status' => 404)
+            );
+        }
+        
+        $source_client = $this->get_client_if_authorized($source->client_id);
+        if (is_wp_error($source_client)) {
+            return $source_client;
+        }
+        
+        $target_client_id = absint($request->get_param('client_id')) ?: (int) $source->client_id;
+        $target_client = $target_client_id === (int) $source->client_id
+            ? $source_client
+            : $this->get_client_if_authorized($target_client_id);
+        if (is_wp_error($target_client)) {
+            return $target_client;
+        }
+        
+        $utm_campaign = strtolower($request->get_param('utm_campaign'));
+        if ($this->utm_campaign_exists($utm_campaign, $target_client_id)) {
+            return new WP_Error(
+                'duplicate_utm',
+                'This UTM campaign value already exists for this client. Please use a unique UTM campaign.',
+                array('status' => 400)
+            );
+        }
+        
+        $start_date = $request->get_param('start_date') ?: current_time('Y-m-d');
+        $end_date = $request->get_param('end_date');
+        if (empty($end_date)) {
+            $start_datetime = new \DateTime($start_date);
+            $start_datetime->modify('+10 years');
+            $end_date = $start_datetime->format('Y-m-d');
+        }
+        
+        $description = $request->has_param('campaign_description')
+            ? $request->get_param('campaign_description')
+            : $source->campaign_description;
+        
+        $now = current_time('mysql');
+        $copied = array(
+            'content_links' => 0,
+            'templates' => 0,
+            'overrides' => false
+        );
+        
+        $wpdb->query('START TRANSACTION');
+        
+        $result = $wpdb->insert(
+            $table_name,
+            array(
+                'campaign_id' => $this->generate_campaign_id($target_client_id, $utm_campaign),
+                'client_id' => $target_client_id,
+                'campaign_name' => $request->get_param('campaign_name'),
+                'utm_campaign' => $utm_campaign,
+                'campaign_description' => $description,
+                'start_date' => $start_date,
+                'end_date' => $end_date,
+                'created_at' => $now,
+                'updated_at' => $now
+            ),
+            array('%s', '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s')
+        );
+        
+        if ($result === false) {
+            return $this->rollback_clone('Failed to create campaign: ' . $wpdb->last_error);
+        }
+        
+        $new_id = (int) $wpdb->insert_id;
+        
+        if ($request->get_param('include_content_links')) {
+            $links_table = $wpdb->prefix . 'rtr_room_content_links';
+            $result = $wpdb->query($wpdb->prepare(
+                "INSERT INTO {$links_table}
+                    (campaign_id, room_type, link_title, link_url, url_summary, link_description, link_order, is_active, created_at, updated_at)
+                 SELECT %d, room_type, link_title, link_url, url_summary, link_description, link_order, is_active, %s, %s
+                 FROM {$links_table}
+                 WHERE campaign_id = %d",
+                $new_id,
+                $now,
+                $now,
+                $source_id
+            ));
+            
+            if ($result === false) {
+                return $this->rollback_clone('Failed to copy content links: ' . $wpdb->last_error);
+            }
+            $copied['content_links'] = (int) $result;
+        }
+        
+        if ($request->get_param('include_templates')) {
+            // Global templates are shared already; only campaign-specific ones are copied
+            $templates_table = $wpdb->prefix . 'rtr_email_templates';
+            $result = $wpdb->query($wpdb->prepare(
+                "INSERT INTO {$templates_table}
+                    (campaign_id, room_type, template_name, prompt_template, template_order, is_global)
+                 SELECT %d, room_type, template_name, prompt_template, template_order, 0
+                 FROM {$templates_table}
+                 WHERE campaign_id = %d AND is_global = 0",
+                $new_id,
+                $source_id
+            ));
+            
+            if ($result === false) {
+                return $this->rollback_clone('Failed to copy templates: ' . $wpdb->last_error);
+            }
+            $copied['templates'] = (int) $result;
+        }
+        
+        // Campaigns inherit their client's settings (Decision 7), so overrides
+        // only need copying when the clone lands on another client
+        if ($request->get_param('include_overrides') && $target_client_id !== (int) $source->client_id) {
+            $copied['overrides'] = $this->copy_client_overrides($source_client, $target_client_id);
+            
+            if (is_wp_error($copied['overrides'])) {
+                return $this->rollback_clone($copied['overrides']->get_error_message());
+            }
+            
+            // Re-read so the response reflects the copied overrides
+            $target_client = $this->get_client_if_authorized($target_client_id);
+        }
+        
+        $wpdb->query('COMMIT');
+        
+        $campaign = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$table_name} WHERE id = %d",
+            $new_id
+        ));
+        
+        return new WP_REST_Response(array(
+            'success' => true,
+            'data' => $this->enrich_campaign_data($campaign, $target_client),
+            'copied' => $copied,
+            'message' => 'Campaign cloned successfully'
+        ), 201);
+    }
+    
+    /**
+     * Copy a client's threshold and scoring overrides to another client
+     *
+     * Covers both the override columns on the client row and, when the
+     * scoring system is active, its per-client threshold and rule tables.
+     *
+     * @param object $source_client Source client row
+     * @param int $target_client_id Target client ID
+     * @return bool|WP_Error True if anything was copied, false if the source has no overrides
+     */
+    private function copy_client_overrides($source_client, $target_client_id) {
+        global $wpdb;
+        
+        $copied = false;
+        
+        if (!empty($source_client->room_thresholds_override) || !empty($source_client->scoring_rules_override)) {
+            $result = $wpdb->update(
+                $wpdb->prefix . 'cpd_clients',
+                array(
+                    'room_thresholds_override' => $source_client->room_thresholds_override,
+                    'scoring_rules_override' => $source_client->scoring_rules_override
+                ),
+                array('id' => $target_client_id),
+                array('%s', '%s'),
+                array('%d')
+            );
+            
+            if ($result === false) {
+                return new WP_Error(
+                    'database_error',
+                    'Failed to copy client overrides: ' . $wpdb->last_error,
+                    array('status' => 500)
+                );
+            }
+            $copied = true;
+        }
+        
+        if (class_exists('RTR_Room_Thresholds_Database')) {
+            $thresholds_db = new \RTR_Room_Thresholds_Database();
+            if ($thresholds_db->has_client_override($source_client->id)) {
+                $copied = $thresholds_db->copy_client_thresholds($source_client->id, $target_client_id) || $copied;
+            }
+        }
+        
+        if (class_exists('RTR_Scoring_Rules_Database')) {
+            $rules_db = new \RTR_Scoring_Rules_Database();
+            if ($rules_db->get_client_rules($source_client->id)) {
+                $copied = $rules_db->copy_client_rules($source_client->id, $target_client_id) || $copied;
+            }
+        }
+        
+        return $copied;
+    }
+    
+    /**
+     * Roll back a failed clone
+     *
+     * @param string $message Error message
+     * @return WP_Error
+     */
+    private function rollback_clone($message) {
+        global $wpdb;
+        
+        $wpdb->query('ROLLBACK');
+        
+        return new WP_Error(
+            'clone_failed',
+            $message,
+            array('status' => 500)
+        );
+    }
+    
+    /**
+     * Get clone campaign parameters
+     *
+     * @return array Parameter definitions
+     */
+    private function get_clone_params() {
+        $params = $this->get_create_params();
+        
+        // Target client defaults to the source campaign's client
+        $params['client_id']['required'] = false;
+        $params['client_id']['validate_callback'] = function($param) {
+            return is_numeric($param) && $param >= 0;
+        };
+        unset($params['campaign_description']['default']);
+        
+        $params['id'] = array(
+            'required' => true,
+            'type' => 'integer',
+            'description' => 'Source campaign ID'
+        );
+        
+        foreach (array('include_content_links', 'include_templates', 'include_overrides') as $flag) {
+            $params[$flag] = array(
+                'required' => false,
+                'type' => 'boolean',
+                'default' => $flag !== 'include_overrides'
+            );
+        }
+        
+        return $params;
+    }
+    
     /**
      * Get create campaign parameters
      *
@@ -842,6 +1125,9 @@ class Campaigns_Controller extends REST_Controller {
             
             $client_id = $campaign->client_id;
             $exists = $this->utm_campaign_exists($utm_campaign, $client_id, $exclude_id);
+        } elseif ($request->get_param('client_id') > 0) {
+            // New campaign (or clone) for a known client
+            $exists = $this->utm_campaign_exists($utm_campaign, $request->get_param('client_id'));
         } else {
             // For new campaigns, we can't check without a client_id
             // Return false (doesn't exist) since we can't validate
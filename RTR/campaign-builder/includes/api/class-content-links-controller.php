@@ -27,13 +27,39 @@ if (!defined('ABSPATH')) {
  * Endpoints:
  * - GET    /campaigns/{id}/content-links  - List links for campaign
  * - POST   /campaigns/{id}/content-links  - Create link
+ * - POST   /campaigns/{id}/content-links/batch   - Create many links at once
+ * - GET    /campaigns/{id}/content-links/sitemap - Fetch URLs from a sitemap.xml
+ * - POST   /campaigns/{id}/content-links/check   - Check health of all links now
  * - GET    /content-links/{id}            - Get single link
  * - PUT    /content-links/{id}            - Update link
  * - DELETE /content-links/{id}            - Delete link
+ * - POST   /content-links/{id}/check      - Check health of one link now
  * - PUT    /content-links/reorder         - Update link order
  */
 class Content_Links_Controller extends REST_Controller {
     
+    /**
+     * Most links accepted by one batch request
+     */
+    const MAX_BATCH_SIZE = 200;
+    
+    /**
+     * Most URLs returned from a sitemap (index sitemaps included)
+     */
+    const MAX_SITEMAP_URLS = 500;
+    
+    /**
+     * Most child sitemaps followed from a sitemap index
+     */
+    const MAX_CHILD_SITEMAPS = 10;
+    
+    /**
+     * Links checked per "check all" request; the client asks for the
+     * next batch until there are none left, so no single request runs
+     * longer than a couple of link checks
+     */
+    const HEALTH_CHECK_BATCH = 2;
+    
     /**
      * REST namespace
      *
@@ -77,6 +103,84 @@ class Content_Links_Controller extends REST_Controller {
             )
         ));
         
+        // Create many links (bulk import)
+        register_rest_route($this->namespace, '/campaigns/(?P<campaign_id>[\d]+)/content-links/batch', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'create_links_batch'),
+                'permission_callback' => array($this, 'check_permissions'),
+                'args' => array(
+                    'campaign_id' => array(
+                        'required' => true,
+                        'type' => 'integer'
+                    ),
+                    'links' => array(
+                        'required' => true,
+                        'type' => 'array',
+                        'description' => 'Array of link objects (same fields as create)'
+                    )
+                )
+            )
+        ));
+        
+        // Fetch a sitemap for import (server-side, so CORS does not apply)
+        register_rest_route($this->namespace, '/campaigns/(?P<campaign_id>[\d]+)/content-links/sitemap', array(
+            array(
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => array($this, 'fetch_sitemap'),
+                'permission_callback' => array($this, 'check_permissions'),
+                'args' => array(
+                    'campaign_id' => array(
+                        'required' => true,
+                        'type' => 'integer'
+                    ),
+                    'url' => array(
+                        'required' => true,
+                        'type' => 'string',
+                        'description' => 'Sitemap URL',
+                        'sanitize_callback' => 'esc_url_raw',
+                        'validate_callback' => array($this, 'validate_url')
+                    )
+                )
+            )
+        ));
+        
+        // Check health of every link in a campaign
+        register_rest_route($this->namespace, '/campaigns/(?P<campaign_id>[\d]+)/content-links/check', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'check_campaign_links'),
+                'permission_callback' => array($this, 'check_permissions'),
+                'args' => array(
+                    'campaign_id' => array(
+                        'required' => true,
+                        'type' => 'integer'
+                    ),
+                    'after_id' => array(
+                        'required' => false,
+                        'type' => 'integer',
+                        'default' => 0,
+                        'minimum' => 0
+                    )
+                )
+            )
+        ));
+        
+        // Check health of one link
+        register_rest_route($this->namespace, '/' . $this->rest_base . '/(?P<id>[\d]+)/check', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'check_link'),
+                'permission_callback' => array($this, 'check_permissions'),
+                'args' => array(
+                    'id' => array(
+                        'required' => true,
+                        'type' => 'integer'
+                    )
+                )
+            )
+        ));
+        
         // Get single link
         register_rest_route($this->namespace, '/' . $this->rest_base . '/(?P<id>[\d]+)', array(
             array(
@@ -175,8 +279,14 @@ class Content_Links_Controller extends REST_Controller {
             'offer' => array()
         );
         
+        $health = $this->get_health_checker()
+            ? $this->get_health_checker()->get_records(wp_list_pluck($links, 'id'))
+            : array();
+        
         foreach ($links as $link) {
-            $grouped[$link->room_type][] = $this->prepare_link_response($link);
+            $prepared = $this->prepare_link_response($link);
+            $prepared['health'] = $health[(int) $link->id] ?? null;
+            $grouped[$link->room_type][] = $prepared;
         }
         
         return new WP_REST_Response(array(
@@ -186,7 +296,10 @@ class Content_Links_Controller extends REST_Controller {
                 'total' => count($links),
                 'problem_count' => count($grouped['problem']),
                 'solution_count' => count($grouped['solution']),
-                'offer_count' => count($grouped['offer'])
+                'offer_count' => count($grouped['offer']),
+                'health_failure_threshold' => class_exists('DR_Link_Health_Checker')
+                    ? \DR_Link_Health_Checker::FAILURE_THRESHOLD
+                    : null
             )
         ), 200);
     }
@@ -264,6 +377,293 @@ class Content_Links_Controller extends REST_Controller {
         ), 201);
     }
     
+    /**
+     * Create many content links in one request
+     *
+     * Every link is validated before anything is written; any invalid
+     * link rejects the whole batch with the per-row errors. New links are
+     * appended to their room in the order given.
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response or error
+     */
+    public function create_links_batch($request) {
+        global $wpdb;
+        
+        $campaign_id = (int) $request->get_param('campaign_id');
+        
+        $campaign = $this->get_campaign_if_authorized($campaign_id);
+        if (is_wp_error($campaign)) {
+            return $campaign;
+        }
+        
+        $links = $request->get_param('links');
+        
+        if (empty($links) || !is_array($links)) {
+            return new WP_Error(
+                'invalid_data',
+                'Links array is required',
+                array('status' => 400)
+            );
+        }
+        
+        if (count($links) > self::MAX_BATCH_SIZE) {
+            return new WP_Error(
+                'batch_too_large',
+                sprintf('A batch can contain at most %d links', self::MAX_BATCH_SIZE),
+                array('status' => 400)
+            );
+        }
+        
+        $rows = array();
+        $errors = array();
+        
+        foreach (array_values($links) as $index => $link) {
+            $row = $this->sanitize_batch_link($link, $request);
+            
+            if (is_wp_error($row)) {
+                $errors[] = array(
+                    'index' => $index,
+                    'message' => $row->get_error_message()
+                );
+                continue;
+            }
+            
+            $rows[] = $row;
+        }
+        
+        if (!empty($errors)) {
+            return new WP_Error(
+                'invalid_links',
+                sprintf('%d of %d links are invalid', count($errors), count($links)),
+                array('status' => 400, 'errors' => $errors)
+            );
+        }
+        
+        $table_name = $wpdb->prefix . 'rtr_room_content_links';
+        
+        // Next order number per room
+        $next_order = array();
+        foreach (array('problem', 'solution', 'offer') as $room) {
+            $next_order[$room] = 1 + (int) $wpdb->get_var($wpdb->prepare(
+                "SELECT COALESCE(MAX(link_order), -1) FROM {$table_name} 
+                 WHERE campaign_id = %d AND room_type = %s",
+                $campaign_id,
+                $room
+            ));
+        }
+        
+        $created_ids = array();
+        $now = current_time('mysql');
+        
+        $wpdb->query('START TRANSACTION');
+        
+        foreach ($rows as $row) {
+            $result = $wpdb->insert(
+                $table_name,
+                array(
+                    'campaign_id' => $campaign_id,
+                    'room_type' => $row['room_type'],
+                    'link_title' => $row['link_title'],
+                    'link_url' => $row['link_url'],
+                    'url_summary' => $row['url_summary'],
+                    'link_description' => $row['link_description'],
+                    'link_order' => $next_order[$row['room_type']]++,
+                    'is_active' => $row['is_active'] ? 1 : 0,
+                    'created_at' => $now,
+                    'updated_at' => $now
+                ),
+                array('%d', '%s', '%s', '%s', '%s', '%s', '%d', '%d', '%s', '%s')
+            );
+            
+            if ($result === false) {
+                $error = $wpdb->last_error;
+                $wpdb->query('ROLLBACK');
+                
+                return new WP_Error(
+                    'database_error',
+                    'Failed to create content links: ' . $error,
+                    array('status' => 500)
+                );
+            }
+            
+            $created_ids[] = (int) $wpdb->insert_id;
+        }
+        
+        $wpdb->query('COMMIT');
+        
+        $ids = implode(',', $created_ids);
+        $created = $wpdb->get_results(
+            "SELECT * FROM {$table_name} WHERE id IN ({$ids}) ORDER BY id ASC"
+        );
+        
+        return new WP_REST_Response(array(
+            'success' => true,
+            'data' => array_map(function($link) {
+                return $this->prepare_link_response($link);
+            }, $created),
+            'message' => sprintf('%d content links created', count($created))
+        ), 201);
+    }
+    
+    /**
+     * Validate and sanitize one link of a batch
+     *
+     * Mirrors the rules in get_create_params().
+     *
+     * @param mixed $link Raw link data
+     * @param WP_REST_Request $request Request object
+     * @return array|WP_Error Sanitized row or error
+     */
+    private function sanitize_batch_link($link, $request) {
+        if (!is_array($link)) {
+            return new WP_Error('invalid_link', 'Link must be an object');
+        }
+        
+        $room_type = $link['room_type'] ?? '';
+        if (!in_array($room_type, array('problem', 'solution', 'offer'), true)) {
+            return new WP_Error('invalid_room', 'Room must be problem, solution or offer');
+        }
+        
+        $link_title = sanitize_text_field($link['link_title'] ?? '');
+        if ($link_title === '' || strlen($link_title) > 255) {
+            return new WP_Error('invalid_title', 'Title is required (max 255 characters)');
+        }
+        
+        $link_url = trim($link['link_url'] ?? '');
+        $valid = $this->validate_url($link_url, $request, 'link_url');
+        if (is_wp_error($valid)) {
+            return $valid;
+        }
+        
+        $url_summary = sanitize_textarea_field($link['url_summary'] ?? '');
+        if ($url_summary === '') {
+            return new WP_Error('invalid_summary', 'URL summary is required');
+        }
+        
+        return array(
+            'room_type' => $room_type,
+            'link_title' => $link_title,
+            'link_url' => esc_url_raw($link_url),
+            'url_summary' => $url_summary,
+            'link_description' => sanitize_textarea_field($link['link_description'] ?? ''),
+            'is_active' => !isset($link['is_active']) || rest_sanitize_boolean($link['is_active'])
+        );
+    }
+    
+    /**
+     * Fetch a sitemap.xml and list its page URLs
+     *
+     * Sitemap indexes are followed one level deep.
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response or error
+     */
+    public function fetch_sitemap($request) {
+        $campaign = $this->get_campaign_if_authorized($request->get_param('campaign_id'));
+        if (is_wp_error($campaign)) {
+            return $campaign;
+        }
+        
+        $sitemap = $this->load_sitemap($request->get_param('url'));
+        if (is_wp_error($sitemap)) {
+            return $sitemap;
+        }
+        
+        $urls = $sitemap['urls'];
+        
+        foreach (array_slice($sitemap['sitemaps'], 0, self::MAX_CHILD_SITEMAPS) as $child_url) {
+            if (count($urls) >= self::MAX_SITEMAP_URLS) {
+                break;
+            }
+            
+            $child = $this->load_sitemap($child_url);
+            if (is_wp_error($child)) {
+                error_log('[DR Content Links] Skipping child sitemap ' . $child_url . ': ' . $child->get_error_message());
+                continue;
+            }
+            
+            $urls = array_merge($urls, $child['urls']);
+        }
+        
+        return new WP_REST_Response(array(
+            'success' => true,
+            'data' => array_slice($urls, 0, self::MAX_SITEMAP_URLS),
+            'truncated' => count($urls) > self::MAX_SITEMAP_URLS
+                || count($sitemap['sitemaps']) > self::MAX_CHILD_SITEMAPS
+        ), 200);
+    }
+    
+    /**
+     * Download and parse one sitemap file
+     *
+     * @param string $url Sitemap URL
+     * @return array|WP_Error { urls: [{url, lastmod}], sitemaps: [url] }
+     */
+    private function load_sitemap($url) {
+        // wp_safe_remote_get refuses internal/private hosts
+        $response = wp_safe_remote_get($url, array(
+            'timeout' => 15,
+            'limit_response_size' => 5 * MB_IN_BYTES
+        ));
+        
+        if (is_wp_error($response)) {
+            return new WP_Error(
+                'sitemap_fetch_failed',
+                'Could not fetch sitemap: ' . $response->get_error_message(),
+                array('status' => 502)
+            );
+        }
+        
+        $code = wp_remote_retrieve_response_code($response);
+        if ($code !== 200) {
+            return new WP_Error(
+                'sitemap_fetch_failed',
+                sprintf('Sitemap request returned HTTP %d', $code),
+                array('status' => 502)
+            );
+        }
+        
+        $previous = libxml_use_internal_errors(true);
+        $xml = simplexml_load_string(wp_remote_retrieve_body($response), 'SimpleXMLElement', LIBXML_NONET);
+        libxml_clear_errors();
+        libxml_use_internal_errors($previous);
+        
+        if ($xml === false) {
+            return new WP_Error(
+                'invalid_sitemap',
+                'The URL did not return a valid sitemap XML file',
+                array('status' => 422)
+            );
+        }
+        
+        $result = array('urls' => array(), 'sitemaps' => array());
+        
+        if ($xml->getName() === 'sitemapindex') {
+            foreach ($xml->sitemap as $entry) {
+                $loc = trim((string) $entry->loc);
+                if ($loc !== '') {
+                    $result['sitemaps'][] = $loc;
+                }
+            }
+            return $result;
+        }
+        
+        foreach ($xml->url as $entry) {
+            $loc = trim((string) $entry->loc);
+            if ($loc === '') {
+                continue;
+            }
+            
+            $result['urls'][] = array(
+                'url' => $loc,
+                'lastmod' => trim((string) $entry->lastmod) ?: null
+            );
+        }
+        
+        return $result;
+    }
+    
     /**
      * Get a single content link
      *
@@ -362,6 +762,11 @@ class Content_Links_Controller extends REST_Controller {
         if ($request->has_param('is_active')) {
             $update_data['is_active'] = $request->get_param('is_active') ? 1 : 0;
             $update_format[] = '%d';
+            
+            // Re-activating by hand gives a failing link a fresh start
+            if ($update_data['is_active'] && $this->get_health_checker()) {
+                $this->get_health_checker()->reset_failures($link_id);
+            }
         }
         
         $update_data['updated_at'] = current_time('mysql');
@@ -444,6 +849,10 @@ class Content_Links_Controller extends REST_Controller {
             );
         }
         
+        if ($this->get_health_checker()) {
+            $this->get_health_checker()->delete_record($link_id);
+        }
+        
         return new WP_REST_Response(array(
             'success' => true,
             'message' => 'Content link deleted successfully'
@@ -622,6 +1031,126 @@ class Content_Links_Controller extends REST_Controller {
         return true;
     }
     
+    /**
+     * Check the health of one link now
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response or error
+     */
+    public function check_link($request) {
+        global $wpdb;
+        
+        $table_name = $wpdb->prefix . 'rtr_room_content_links';
+        $link = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$table_name} WHERE id = %d",
+            $request->get_param('id')
+        ));
+        
+        if (!$link) {
+            return new WP_Error(
+                'link_not_found',
+                'Content link not found',
+                array('status' => 404)
+            );
+        }
+        
+        $campaign = $this->get_campaign_if_authorized($link->campaign_id);
+        if (is_wp_error($campaign)) {
+            return $campaign;
+        }
+        
+        $checker = $this->get_health_checker();
+        if (!$checker) {
+            return new WP_Error(
+                'health_checker_unavailable',
+                'Link health checker is not loaded',
+                array('status' => 500)
+            );
+        }
+        
+        return new WP_REST_Response(array(
+            'success' => true,
+            'data' => $checker->check_link((int) $link->id, $link->link_url)
+        ), 200);
+    }
+    
+    /**
+     * Check the health of the next batch of a campaign's links now
+     *
+     * Checks up to HEALTH_CHECK_BATCH links with an ID above after_id;
+     * the client passes back next_after_id until it is null. Inactive
+     * links are included so a fixed page can be spotted before
+     * re-activating it.
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response or error
+     */
+    public function check_campaign_links($request) {
+        global $wpdb;
+        
+        $campaign_id = (int) $request->get_param('campaign_id');
+        
+        $campaign = $this->get_campaign_if_authorized($campaign_id);
+        if (is_wp_error($campaign)) {
+            return $campaign;
+        }
+        
+        $checker = $this->get_health_checker();
+        if (!$checker) {
+            return new WP_Error(
+                'health_checker_unavailable',
+                'Link health checker is not loaded',
+                array('status' => 500)
+            );
+        }
+        
+        $table_name = $wpdb->prefix . 'rtr_room_content_links';
+        $after_id = (int) $request->get_param('after_id');
+        
+        $links = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, link_url FROM {$table_name} WHERE campaign_id = %d AND id > %d ORDER BY id ASC LIMIT %d",
+            $campaign_id,
+            $after_id,
+            self::HEALTH_CHECK_BATCH + 1
+        ));
+        
+        $has_more = count($links) > self::HEALTH_CHECK_BATCH;
+        $links = array_slice($links, 0, self::HEALTH_CHECK_BATCH);
+        
+        $results = array();
+        foreach ($links as $link) {
+            $results[(int) $link->id] = $checker->check_link((int) $link->id, $link->link_url);
+        }
+        
+        $total = (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM {$table_name} WHERE campaign_id = %d",
+            $campaign_id
+        ));
+        
+        return new WP_REST_Response(array(
+            'success' => true,
+            'data' => $results,
+            'checked' => count($results),
+            'total' => $total,
+            'next_after_id' => $has_more && $links ? (int) end($links)->id : null
+        ), 200);
+    }
+    
+    /**
+     * Link health checker, if loaded
+     *
+     * @return \DR_Link_Health_Checker|null
+     */
+    private function get_health_checker() {
+        static $checker = null;
+        
+        if ($checker === null && class_exists('DR_Link_Health_Checker')) {
+            $checker = new \DR_Link_Health_Checker();
+        }
+        
+        return $checker;
+    }
+    
     /**
      * Get campaign if user is authorized
      *
@@ -58,6 +58,27 @@ class Email_Generation_Controller extends WP_REST_Controller {
      */
     private $rate_limiter;
 
+    /**
+     * Email Click Tracker instance
+     *
+     * @var \CPD_Email_Click_Tracker
+     */
+    private $click_tracker;
+
+    /**
+     * Email Edit Tracker instance
+     *
+     * @var \CPD_Email_Edit_Tracker
+     */
+    private $edit_tracker;
+
+    /**
+     * Email Versions instance
+     *
+     * @var \CPD_Email_Versions
+     */
+    private $versions;
+
     /**
      * Constructor
      */
@@ -65,6 +86,9 @@ class Email_Generation_Controller extends WP_REST_Controller {
         $this->generator = new \CPD_AI_Email_Generator();
         $this->tracking = new \CPD_Email_Tracking_Manager();
         $this->rate_limiter = new \CPD_AI_Rate_Limiter();
+        $this->click_tracker = new \CPD_Email_Click_Tracker();
+        $this->edit_tracker = new \CPD_Email_Edit_Tracker();
+        $this->versions = new \CPD_Email_Versions();
     }
 
     /**
@@ -101,6 +125,26 @@ class Email_Generation_Controller extends WP_REST_Controller {
                     'type' => 'boolean',
                     'default' => false,
                 ),
+                'revise_tracking_id' => array(
+                    'required' => false,
+                    'type' => 'integer',
+                    'description' => 'Version being regenerated; directives and feedback revise it',
+                ),
+                'directives' => array(
+                    'required' => false,
+                    'type' => 'array',
+                    'default' => array(),
+                    'items' => array(
+                        'type' => 'string',
+                        'enum' => array_keys( \CPD_AI_Email_Generator::REVISION_DIRECTIVES ),
+                    ),
+                ),
+                'feedback' => array(
+                    'required' => false,
+                    'type' => 'string',
+                    'default' => '',
+                    'maxLength' => 500,
+                ),
             ),
         ));
 
@@ -194,6 +238,23 @@ class Email_Generation_Controller extends WP_REST_Controller {
             'permission_callback' => '__return_true', // Public endpoint
         ));
 
+        // Track click (redirect for rewritten links)
+        register_rest_route( $this->namespace, '/' . $this->rest_base . '/track-click/(?P<token>[a-zA-Z0-9]+)', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array( $this, 'track_click' ),
+            'permission_callback' => '__return_true', // Public endpoint
+            'args' => array(
+                'u' => array(
+                    'required' => true,
+                    'type' => 'string',
+                ),
+                's' => array(
+                    'required' => true,
+                    'type' => 'string',
+                ),
+            ),
+        ));
+
 
         register_rest_route($this->namespace, '/emails/test-prompt', [
             'methods' => \WP_REST_Server::CREATABLE,
@@ -216,6 +277,11 @@ class Email_Generation_Controller extends WP_REST_Controller {
                     'default' => 'problem',
                     'enum' => ['problem', 'solution', 'offer'],
                 ],
+                'prospect_id' => [
+                    'type' => 'integer',
+                    'required' => false,
+                    'description' => 'Real campaign prospect to test against instead of the mock one',
+                ],
             ],
         ]);
 
@@ -235,6 +301,48 @@ class Email_Generation_Controller extends WP_REST_Controller {
             ),
         ));
         
+        // Unsent versions of an email (regenerations) and picking one
+        register_rest_route( $this->namespace, '/' . $this->rest_base . '/tracking/(?P<tracking_id>[\d]+)/versions', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array( $this, 'get_email_versions' ),
+            'permission_callback' => array( $this, 'get_tracking_permissions_check' ),
+        ));
+
+        register_rest_route( $this->namespace, '/' . $this->rest_base . '/tracking/(?P<tracking_id>[\d]+)/choose', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array( $this, 'choose_email_version' ),
+            'permission_callback' => array( $this, 'track_permissions_check' ),
+        ));
+
+        // Rep's edit of a generated email (before it is copied or sent)
+        register_rest_route( $this->namespace, '/' . $this->rest_base . '/tracking/(?P<tracking_id>[\d]+)/edit', array(
+            array(
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => array( $this, 'get_email_edit' ),
+                'permission_callback' => array( $this, 'get_tracking_permissions_check' ),
+            ),
+            array(
+                'methods' => WP_REST_Server::EDITABLE,
+                'callback' => array( $this, 'save_email_edit' ),
+                'permission_callback' => array( $this, 'track_permissions_check' ),
+                'args' => array(
+                    'subject' => array(
+                        'required' => true,
+                        'type' => 'string',
+                    ),
+                    'body_html' => array(
+                        'required' => true,
+                        'type' => 'string',
+                    ),
+                ),
+            ),
+            array(
+                'methods' => WP_REST_Server::DELETABLE,
+                'callback' => array( $this, 'revert_email_edit' ),
+                'permission_callback' => array( $this, 'track_permissions_check' ),
+            ),
+        ));
+
         // Get email tracking by prospect and email number
         register_rest_route( $this->namespace, '/' . $this->rest_base . '/tracking/prospect/(?P<prospect_id>[\d]+)/email/(?P<email_number>[\d]+)', array(
             'methods' => WP_REST_Server::READABLE,
@@ -399,6 +507,16 @@ class Email_Generation_Controller extends WP_REST_Controller {
         // Get force_regenerate parameter
         $force_regenerate = (bool) $request->get_param( 'force_regenerate' );
 
+        // Regenerating a version with directives and/or feedback
+        $revise_tracking_id = absint( $request->get_param( 'revise_tracking_id' ) );
+        $revision = array();
+        if ( $force_regenerate && $revise_tracking_id ) {
+            $revision = $this->build_revision( $revise_tracking_id, $actual_prospect_id, $email_number, $request );
+            if ( is_wp_error( $revision ) ) {
+                return $revision;
+            }
+        }
+
         // Check if email is already in "ready" state (skip if force_regenerate is true)
         if ( !$force_regenerate && isset( $email_states[ $state_key ] ) && $email_states[ $state_key ] === 'ready' ) {
             // Try to get existing email from tracking
@@ -441,7 +559,8 @@ class Email_Generation_Controller extends WP_REST_Controller {
                 $actual_prospect_id,
                 $prospect->campaign_id,
                 $room_type,
-                $email_number
+                $email_number,
+                $revision
             );
             
             // Check if generation failed
@@ -470,7 +589,7 @@ class Email_Generation_Controller extends WP_REST_Controller {
                 'room_type' => $room_type,
                 'email_number' => $email_number,
                 'subject' => $result['subject'],
-                'body_html' => $this->inject_tracking_pixel( $result['body_html'], $tracking_token ),
+                'body_html' => $this->prepare_tracked_body( $result['body_html'], $tracking_token ),
                 'body_text' => $result['body_text'] ?? strip_tags( $result['body_html'] ),
                 'tracking_token' => $tracking_token,
                 'status' => 'generated',
@@ -510,6 +629,27 @@ class Email_Generation_Controller extends WP_REST_Controller {
                 throw new \Exception( 'Failed to save email: ' . $tracking_exception->getMessage() );
             }
             
+            // Attribute the email to its A/B experiment variant
+            if ( ! empty( $result['template_used']['experiment_id'] ) && class_exists( '\DR_Template_Experiments' ) ) {
+                $experiments = new \DR_Template_Experiments();
+                $experiments->record_email(
+                    (int) $result['template_used']['experiment_id'],
+                    $actual_prospect_id,
+                    (int) $result['template_used']['id'],
+                    $tracking_id
+                );
+            }
+            
+            // Earlier versions are kept; the new one becomes the version in use
+            if ( $force_regenerate ) {
+                $this->versions->record(
+                    $tracking_id,
+                    $revise_tracking_id,
+                    $revision['directives'] ?? array(),
+                    $revision['feedback'] ?? ''
+                );
+            }
+            
             // Set state to "ready"
             $email_states[ $state_key ] = 'ready';
             $wpdb->update(
@@ -529,14 +669,19 @@ class Email_Generation_Controller extends WP_REST_Controller {
                     'email_tracking_id' => $tracking_id,
                     'tracking_token' => $tracking_token,
                     'subject' => $result['subject'],
-                    'body_html' => $result['body_html'],       
+                    'body_html' => $this->click_tracker->rewrite_links( $result['body_html'], $tracking_token ),
                     'body_text' => $result['body_text'] ?? strip_tags($result['body_html']),
                     'email_number' => $email_number,           
                     'room_type' => $room_type,                 
                     'url_included' => $result['selected_url'],
                     'template_used' => $result['template_used'] ?? null,
                     'tokens_used' => $result['tokens_used'] ?? null,
-                    'generation_time_ms' => $result['generation_time_ms'] ?? null
+                    'generation_time_ms' => $result['generation_time_ms'] ?? null,
+                    'revision' => $force_regenerate ? array(
+                        'parent_id' => $revise_tracking_id ?: null,
+                        'directives' => $revision['directives'] ?? array(),
+                        'feedback' => $revision['feedback'] ?? '',
+                    ) : null,
                 )
             ) );
             
@@ -1015,7 +1160,7 @@ class Email_Generation_Controller extends WP_REST_Controller {
                 'room_type'            => $room_type,
                 'email_number'         => $email_number,
                 'subject'              => $subject,
-                'body_html'            => $this->inject_tracking_pixel( $body_html, $tracking_token ),
+                'body_html'            => $this->prepare_tracked_body( $body_html, $tracking_token ),
                 'body_text'            => strip_tags( $body_html ),
                 'tracking_token'       => $tracking_token,
                 'status'               => 'generated',
@@ -1314,7 +1459,7 @@ class Email_Generation_Controller extends WP_REST_Controller {
             'email_tracking_id' => (int) $tracking->id,
             'tracking_token' => $tracking->tracking_token,
             'subject' => $tracking->subject,
-            'body_html' => $this->inject_tracking_pixel( $tracking->body_html, $tracking->tracking_token ),
+            'body_html' => $this->prepare_tracked_body( $tracking->body_html, $tracking->tracking_token ),
             'body_text' => $tracking->body_text,            
             'email_number' => $email_number,                
             'room_type' => $room_type,                      
@@ -1499,6 +1644,42 @@ class Email_Generation_Controller extends WP_REST_Controller {
         return $this->return_tracking_pixel();
     }
 
+    /**
+     * Track click endpoint (rewritten links)
+     *
+     * Records the click and redirects to the original link. Links whose
+     * signature doesn't match are not followed (no open redirect).
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response Redirect
+     */
+    public function track_click( $request ) {
+        $token = sanitize_text_field( $request->get_param( 'token' ) );
+        $url = $this->click_tracker->verify_click_url(
+            $token,
+            $request->get_param( 'u' ),
+            $request->get_param( 's' )
+        );
+
+        if ( ! $url ) {
+            error_log( sprintf( '[DirectReach] Invalid click link for token %s', $token ) );
+            $url = home_url( '/' );
+        } else {
+            $this->click_tracker->record_click(
+                $token,
+                $url,
+                $this->get_client_ip(),
+                $request->get_header( 'user_agent' ) ?? ''
+            );
+        }
+
+        $response = new WP_REST_Response( null, 302 );
+        $response->header( 'Location', $url );
+        $response->header( 'Cache-Control', 'no-store, no-cache, must-revalidate, max-age=0' );
+
+        return $response;
+    }
+
     /**
      * Store an externally-generated email (from CIS pipeline)
      *
@@ -1589,7 +1770,7 @@ class Email_Generation_Controller extends WP_REST_Controller {
                 'room_type'            => $room_type,
                 'email_number'         => $email_number,
                 'subject'              => $subject,
-                'body_html'            => $this->inject_tracking_pixel( $body_html, $tracking_token ),
+                'body_html'            => $this->prepare_tracked_body( $body_html, $tracking_token ),
                 'body_text'            => $body_text,
                 'tracking_token'       => $tracking_token,
                 'status'               => 'generated',
@@ -1750,6 +1931,23 @@ class Email_Generation_Controller extends WP_REST_Controller {
         );
     }
 
+    /**
+     * Rewrite links for click tracking and add the open pixel
+     */
+    private function prepare_tracked_body( $body_html, $tracking_token ) {
+        return $this->inject_tracking_pixel(
+            $this->click_tracker->rewrite_links( $body_html, $tracking_token ),
+            $tracking_token
+        );
+    }
+
+    /**
+     * Remove open pixels (ours or a copied one) from an edited body
+     */
+    private function strip_tracking_pixel( $body_html ) {
+        return preg_replace( '#<img\b[^>]*/track-open/[^>]*>#i', '', (string) $body_html );
+    }
+
     /**
      * Inject tracking pixel into HTML body
      */
@@ -2017,6 +2215,7 @@ class Email_Generation_Controller extends WP_REST_Controller {
             $prompt_template = $params['prompt_template'] ?? null;
             $campaign_id = isset($params['campaign_id']) ? intval($params['campaign_id']) : 0;
             $room_type = $params['room_type'] ?? 'problem';
+            $prospect_id = isset($params['prospect_id']) ? intval($params['prospect_id']) : 0;
             
             if (empty($prompt_template)) {
                 return new \WP_Error(
@@ -2059,7 +2258,8 @@ class Email_Generation_Controller extends WP_REST_Controller {
             $result = $this->generator->generate_email_for_test(
                 $prompt_template,
                 $campaign_id,
-                $room_type
+                $room_type,
+                $prospect_id
             );
             $generation_time = (microtime(true) - $generation_start) * 1000;
             
@@ -2106,6 +2306,7 @@ class Email_Generation_Controller extends WP_REST_Controller {
                     'generation_time_ms' => round($generation_time, 2),
                     'campaign_id' => $campaign_id,
                     'room_type' => $room_type,
+                    'prospect_id' => $prospect_id ?: null,
                     'test_mode' => true,
                 ],
             ], 200);
@@ -2349,6 +2550,8 @@ class Email_Generation_Controller extends WP_REST_Controller {
             'sent_at' => $tracking['sent_at'],
             'opened_at' => $tracking['opened_at'],
             'clicked_at' => $tracking['clicked_at'],
+            'clicks' => $this->click_tracker->get_clicks( (int) $tracking['id'] ),
+            'edit' => $this->edit_tracker->get_edit( (int) $tracking['id'] ),
             'status' => $tracking['status'],
             'tracking_token' => $tracking['tracking_token'],
         );
@@ -2385,6 +2588,248 @@ class Email_Generation_Controller extends WP_REST_Controller {
         ));
     }
 
+    /**
+     * Revision instructions for regenerating an earlier version
+     *
+     * @param int             $tracking_id  Version being revised
+     * @param int             $prospect_id  Prospect (rtr_prospects.id) being generated for
+     * @param int             $email_number Email sequence number being generated
+     * @param WP_REST_Request $request      Request with directives and feedback
+     * @return array|WP_Error Revision for the generator
+     */
+    private function build_revision( $tracking_id, $prospect_id, $email_number, $request ) {
+        global $wpdb;
+
+        $previous = $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT prospect_id, email_number, subject, body_html, body_text, template_used
+                 FROM {$wpdb->prefix}rtr_email_tracking WHERE id = %d",
+                $tracking_id
+            ),
+            ARRAY_A
+        );
+
+        if ( ! $previous || (int) $previous['prospect_id'] !== $prospect_id || (int) $previous['email_number'] !== $email_number ) {
+            return new WP_Error(
+                'invalid_revision',
+                'The version to revise does not belong to this email.',
+                array( 'status' => 400 )
+            );
+        }
+
+        $directives = array_values( array_intersect(
+            array_keys( \CPD_AI_Email_Generator::REVISION_DIRECTIVES ),
+            (array) $request->get_param( 'directives' )
+        ) );
+
+        return array(
+            'previous_subject' => $previous['subject'],
+            'previous_body' => $previous['body_text'] ?: wp_strip_all_tags( $previous['body_html'] ),
+            'template_id' => (int) $previous['template_used'],
+            'directives' => $directives,
+            'feedback' => sanitize_textarea_field( (string) $request->get_param( 'feedback' ) ),
+        );
+    }
+
+    /**
+     * Unsent versions of an email, oldest first
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response
+     */
+    public function get_email_versions( $request ) {
+        return rest_ensure_response( array(
+            'success' => true,
+            'data' => $this->versions->get_versions( (int) $request->get_param( 'tracking_id' ) ),
+        ));
+    }
+
+    /**
+     * Pick the version of an email to use
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error
+     */
+    public function choose_email_version( $request ) {
+        $tracking = $this->get_editable_tracking( (int) $request->get_param( 'tracking_id' ) );
+        if ( is_wp_error( $tracking ) ) {
+            return $tracking;
+        }
+
+        if ( ! $this->versions->choose( (int) $tracking['id'] ) ) {
+            return new WP_Error(
+                'choose_failed',
+                'Failed to pick this version',
+                array( 'status' => 500 )
+            );
+        }
+
+        return rest_ensure_response( array(
+            'success' => true,
+            'message' => 'Version selected',
+            'data' => array( 'id' => (int) $tracking['id'] ),
+        ));
+    }
+
+    /**
+     * Get a rep's edit of an email
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response
+     */
+    public function get_email_edit( $request ) {
+        return rest_ensure_response( array(
+            'success' => true,
+            'data' => $this->edit_tracker->get_edit( (int) $request->get_param( 'tracking_id' ) ),
+        ));
+    }
+
+    /**
+     * Save a rep's edit of a generated email
+     *
+     * The edited subject and body replace the ones on the tracking record,
+     * so copying and sending use them, while the edit tracker keeps the
+     * AI's version and the diff. Links in the edit are rewritten for click
+     * tracking and the open pixel is added back.
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error
+     */
+    public function save_email_edit( $request ) {
+        $tracking = $this->get_editable_tracking( (int) $request->get_param( 'tracking_id' ) );
+        if ( is_wp_error( $tracking ) ) {
+            return $tracking;
+        }
+
+        $subject = sanitize_text_field( $request->get_param( 'subject' ) );
+        $body_html = wp_kses_post( $this->strip_tracking_pixel( $request->get_param( 'body_html' ) ) );
+
+        if ( $subject === '' || trim( wp_strip_all_tags( $body_html ) ) === '' ) {
+            return new WP_Error(
+                'empty_email',
+                'The subject and body cannot be empty.',
+                array( 'status' => 400 )
+            );
+        }
+
+        $body_html = $this->prepare_tracked_body( $body_html, $tracking['tracking_token'] );
+
+        $edit = $this->edit_tracker->save_edit( $tracking, $subject, $body_html );
+        if ( is_wp_error( $edit ) ) {
+            return $edit;
+        }
+
+        $this->update_tracking_content( (int) $tracking['id'], $subject, $body_html );
+
+        return rest_ensure_response( array(
+            'success' => true,
+            'message' => $edit ? 'Edits saved' : 'Email matches the generated version',
+            'data' => array(
+                'id' => (int) $tracking['id'],
+                'subject' => $subject,
+                'body_html' => $body_html,
+                'edit' => $edit,
+            ),
+        ));
+    }
+
+    /**
+     * Put back the AI's version of an edited email
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error
+     */
+    public function revert_email_edit( $request ) {
+        $tracking = $this->get_editable_tracking( (int) $request->get_param( 'tracking_id' ) );
+        if ( is_wp_error( $tracking ) ) {
+            return $tracking;
+        }
+
+        $edit = $this->edit_tracker->get_edit( (int) $tracking['id'] );
+        if ( ! $edit ) {
+            return new WP_Error(
+                'not_edited',
+                'This email has not been edited',
+                array( 'status' => 404 )
+            );
+        }
+
+        $this->update_tracking_content( (int) $tracking['id'], $edit['original_subject'], $edit['original_body_html'] );
+        $this->edit_tracker->delete_edit( (int) $tracking['id'] );
+
+        return rest_ensure_response( array(
+            'success' => true,
+            'message' => 'Generated version restored',
+            'data' => array(
+                'id' => (int) $tracking['id'],
+                'subject' => $edit['original_subject'],
+                'body_html' => $edit['original_body_html'],
+                'edit' => null,
+            ),
+        ));
+    }
+
+    /**
+     * Tracking record that can still be edited (not copied or sent yet)
+     *
+     * @param int $tracking_id Tracking record ID
+     * @return array|WP_Error Tracking row or error
+     */
+    private function get_editable_tracking( $tracking_id ) {
+        global $wpdb;
+
+        $tracking = $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT * FROM {$wpdb->prefix}rtr_email_tracking WHERE id = %d",
+                $tracking_id
+            ),
+            ARRAY_A
+        );
+
+        if ( ! $tracking ) {
+            return new WP_Error(
+                'not_found',
+                'Email tracking record not found',
+                array( 'status' => 404 )
+            );
+        }
+
+        if ( ! empty( $tracking['copied_at'] ) || ! empty( $tracking['sent_at'] ) ) {
+            return new WP_Error(
+                'email_already_sent',
+                'This email has already been copied or sent and can no longer be edited.',
+                array( 'status' => 409 )
+            );
+        }
+
+        return $tracking;
+    }
+
+    /**
+     * Replace the subject and body stored on a tracking record
+     *
+     * @param int    $tracking_id Tracking record ID
+     * @param string $subject     Subject
+     * @param string $body_html   Body (already tracked)
+     */
+    private function update_tracking_content( $tracking_id, $subject, $body_html ) {
+        global $wpdb;
+
+        $body_text = wp_strip_all_tags( preg_replace( '#<br\s*/?>|</p>#i', "\n", $body_html ) );
+
+        $wpdb->update(
+            $wpdb->prefix . 'rtr_email_tracking',
+            array(
+                'subject' => $subject,
+                'body_html' => $body_html,
+                'body_text' => trim( $body_text ),
+            ),
+            array( 'id' => $tracking_id ),
+            array( '%s', '%s', '%s' ),
+            array( '%d' )
+        );
+    }
+
     /**
      * Get email tracking by prospect and email number
      *
@@ -2401,18 +2846,27 @@ class Email_Generation_Controller extends WP_REST_Controller {
         // Get most recent tracking record for this prospect/email combination.
         // $prospect_id here is rtr_prospects.id (passed by the JS after JourneyOS
         // write-back sets email_states to 'ready' on the prospect row).
+        // A copied or sent version wins over later regenerations.
         $tracking = $wpdb->get_row(
             $wpdb->prepare(
                 "SELECT et.* FROM {$table} et
                 WHERE et.prospect_id = %d
                 AND et.email_number = %d
-                ORDER BY et.id DESC
+                ORDER BY ( et.copied_at IS NOT NULL OR et.sent_at IS NOT NULL ) DESC, et.id DESC
                 LIMIT 1",
                 $prospect_id,
                 $email_number
             ),
             ARRAY_A
         );
+
+        // Otherwise the version the rep picked, if not the newest
+        if ( $tracking && empty( $tracking['copied_at'] ) && empty( $tracking['sent_at'] ) ) {
+            $chosen_id = $this->versions->get_chosen_id( $prospect_id, $email_number );
+            if ( $chosen_id ) {
+                $tracking['id'] = $chosen_id;
+            }
+        }
         
         if ( ! $tracking ) {
             return new WP_Error(
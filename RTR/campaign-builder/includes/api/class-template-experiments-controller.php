@@ -0,0 +1,292 @@
+<?php
+/**
+ * Template Experiments REST Controller
+ *
+ * REST API endpoints for A/B testing prompt templates within a campaign
+ * room. Results come from the existing copy/open tracking.
+ *
+ * @package DirectReach
+ * @subpackage RTR/API
+ * @since 2.5.0
+ */
+
+namespace DirectReach\CampaignBuilder\API;
+
+use WP_REST_Server;
+use WP_REST_Controller;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class Template_Experiments_Controller extends WP_REST_Controller {
+
+    /**
+     * Namespace
+     *
+     * @var string
+     */
+    protected $namespace = 'directreach/v2';
+
+    /**
+     * Rest base
+     *
+     * @var string
+     */
+    protected $rest_base = 'template-experiments';
+
+    /**
+     * Experiment store
+     *
+     * @var \DR_Template_Experiments|null
+     */
+    private $experiments;
+
+    /**
+     * Template resolver instance
+     *
+     * @var \Template_Resolver|null
+     */
+    private $resolver;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        if ( class_exists( '\DR_Template_Experiments' ) ) {
+            $this->experiments = new \DR_Template_Experiments();
+        }
+
+        if ( class_exists( '\Template_Resolver' ) ) {
+            $this->resolver = new \Template_Resolver();
+        }
+    }
+
+    /**
+     * Register routes
+     */
+    public function register_routes() {
+        // Current experiment of each room / start an experiment
+        register_rest_route( $this->namespace, '/campaigns/(?P<campaign_id>[\d]+)/' . $this->rest_base, array(
+            array(
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => array( $this, 'get_campaign_experiments' ),
+                'permission_callback' => array( $this, 'check_permissions' ),
+                'args' => array(
+                    'campaign_id' => array(
+                        'required' => true,
+                        'type' => 'integer',
+                    ),
+                ),
+            ),
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array( $this, 'create_item' ),
+                'permission_callback' => array( $this, 'check_permissions' ),
+                'args' => array(
+                    'campaign_id' => array(
+                        'required' => true,
+                        'type' => 'integer',
+                    ),
+                    'room_type' => array(
+                        'required' => true,
+                        'type' => 'string',
+                        'enum' => array( 'problem', 'solution', 'offer' ),
+                    ),
+                    'variants' => array(
+                        'required' => true,
+                        'type' => 'array',
+                        'items' => array(
+                            'type' => 'object',
+                            'properties' => array(
+                                'template_id' => array( 'type' => 'integer' ),
+                                'weight' => array( 'type' => 'integer' ),
+                            ),
+                        ),
+                    ),
+                ),
+            ),
+        ));
+
+        // End an experiment, optionally promoting a winner
+        register_rest_route( $this->namespace, '/' . $this->rest_base . '/(?P<id>[\d]+)/complete', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array( $this, 'complete_item' ),
+            'permission_callback' => array( $this, 'check_permissions' ),
+            'args' => array(
+                'id' => array(
+                    'required' => true,
+                    'type' => 'integer',
+                ),
+                'winner_template_id' => array(
+                    'required' => false,
+                    'type' => 'integer',
+                ),
+            ),
+        ));
+    }
+
+    /**
+     * Running or most recent experiment of each room
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error
+     */
+    public function get_campaign_experiments( $request ) {
+        if ( ! $this->experiments ) {
+            return $this->unavailable_error();
+        }
+
+        return rest_ensure_response( array(
+            'success' => true,
+            'data' => $this->experiments->get_for_campaign( (int) $request->get_param( 'campaign_id' ) ),
+        ));
+    }
+
+    /**
+     * Start an experiment
+     *
+     * Variants must be templates generation can actually pick for the
+     * room (see Template_Resolver::get_available_templates).
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error
+     */
+    public function create_item( $request ) {
+        if ( ! $this->experiments || ! $this->resolver ) {
+            return $this->unavailable_error();
+        }
+
+        $campaign_id = (int) $request->get_param( 'campaign_id' );
+        $room_type = $request->get_param( 'room_type' );
+
+        $variants = $this->validate_variants( $campaign_id, $room_type, $request->get_param( 'variants' ) );
+        if ( is_wp_error( $variants ) ) {
+            return $variants;
+        }
+
+        $experiment = $this->experiments->start( $campaign_id, $room_type, $variants );
+        if ( is_wp_error( $experiment ) ) {
+            return $experiment;
+        }
+
+        return rest_ensure_response( array(
+            'success' => true,
+            'data' => $experiment,
+            'message' => 'Experiment started',
+        ));
+    }
+
+    /**
+     * End an experiment
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error
+     */
+    public function complete_item( $request ) {
+        if ( ! $this->experiments ) {
+            return $this->unavailable_error();
+        }
+
+        $winner = (int) $request->get_param( 'winner_template_id' );
+        $experiment = $this->experiments->complete( (int) $request->get_param( 'id' ), $winner ?: null );
+
+        if ( is_wp_error( $experiment ) ) {
+            return $experiment;
+        }
+
+        return rest_ensure_response( array(
+            'success' => true,
+            'data' => $experiment,
+            'message' => $winner ? 'Winner promoted' : 'Experiment stopped',
+        ));
+    }
+
+    /**
+     * Validate experiment variants
+     *
+     * @param int    $campaign_id Campaign ID
+     * @param string $room_type   Room type
+     * @param mixed  $variants    Submitted variants
+     * @return array|WP_Error [{ template_id, weight }] or error
+     */
+    private function validate_variants( $campaign_id, $room_type, $variants ) {
+        if ( ! is_array( $variants ) || count( $variants ) < 2 ) {
+            return new WP_Error(
+                'invalid_variants',
+                'An experiment needs at least two variants',
+                array( 'status' => 400 )
+            );
+        }
+
+        $available = array();
+        foreach ( $this->resolver->get_available_templates( $campaign_id, $room_type ) as $template ) {
+            $available[] = (int) $template->get_id();
+        }
+
+        $validated = array();
+        foreach ( $variants as $variant ) {
+            $template_id = (int) ( $variant['template_id'] ?? 0 );
+            $weight = (int) ( $variant['weight'] ?? 0 );
+
+            if ( ! in_array( $template_id, $available, true ) ) {
+                return new WP_Error(
+                    'invalid_variant',
+                    sprintf( 'Template %d is not used for generation in this room', $template_id ),
+                    array( 'status' => 400 )
+                );
+            }
+
+            if ( isset( $validated[ $template_id ] ) ) {
+                return new WP_Error(
+                    'duplicate_variant',
+                    'Each template can only be one variant',
+                    array( 'status' => 400 )
+                );
+            }
+
+            if ( $weight < \DR_Template_Experiments::MIN_WEIGHT || $weight > \DR_Template_Experiments::MAX_WEIGHT ) {
+                return new WP_Error(
+                    'invalid_weight',
+                    sprintf(
+                        'Traffic weights must be between %d and %d',
+                        \DR_Template_Experiments::MIN_WEIGHT,
+                        \DR_Template_Experiments::MAX_WEIGHT
+                    ),
+                    array( 'status' => 400 )
+                );
+            }
+
+            $validated[ $template_id ] = array(
+                'template_id' => $template_id,
+                'weight' => $weight,
+            );
+        }
+
+        return array_values( $validated );
+    }
+
+    /**
+     * @return WP_Error
+     */
+    private function unavailable_error() {
+        return new WP_Error(
+            'experiments_unavailable',
+            'Template experiments not available',
+            array( 'status' => 500 )
+        );
+    }
+
+    /**
+     * Check permissions
+     *
+     * @param WP_REST_Request $request Request object
+     * @return bool
+     */
+    public function check_permissions( $request ) {
+        return current_user_can( 'manage_options' );
+    }
+}
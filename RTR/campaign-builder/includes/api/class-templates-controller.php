@@ -94,6 +94,69 @@ class Templates_Controller extends WP_REST_Controller {
             ),
         ));
 
+        // Revision history of a template
+        register_rest_route( $this->namespace, '/' . $this->rest_base . '/(?P<id>[\d]+)/revisions', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array( $this, 'get_revisions' ),
+            'permission_callback' => array( $this, 'check_permissions' ),
+            'args' => array(
+                'id' => array(
+                    'required' => true,
+                    'type' => 'integer',
+                ),
+            ),
+        ));
+
+        // Make an earlier revision the current template
+        register_rest_route( $this->namespace, '/' . $this->rest_base . '/(?P<id>[\d]+)/revisions/(?P<revision_id>[\d]+)/restore', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array( $this, 'restore_revision' ),
+            'permission_callback' => array( $this, 'check_permissions' ),
+            'args' => array(
+                'id' => array(
+                    'required' => true,
+                    'type' => 'integer',
+                ),
+                'revision_id' => array(
+                    'required' => true,
+                    'type' => 'integer',
+                ),
+            ),
+        ));
+
+        // What reps change in a template's generated emails
+        register_rest_route( $this->namespace, '/' . $this->rest_base . '/(?P<id>[\d]+)/edits', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array( $this, 'get_rep_edits' ),
+            'permission_callback' => array( $this, 'check_permissions' ),
+            'args' => array(
+                'id' => array(
+                    'required' => true,
+                    'type' => 'integer',
+                ),
+                'limit' => array(
+                    'type' => 'integer',
+                    'default' => 20,
+                    'minimum' => 1,
+                    'maximum' => 100,
+                ),
+            ),
+        ));
+
+        // Merge variables with sample values
+        register_rest_route( $this->namespace, '/' . $this->rest_base . '/variables', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array( $this, 'get_variables' ),
+            'permission_callback' => array( $this, 'check_permissions' ),
+            'args' => array(
+                'campaign_id' => array(
+                    'type' => 'integer',
+                    'required' => false,
+                    'default' => 0,
+                ),
+            ),
+        ));
+
         // Get available templates for campaign/room 
         register_rest_route( $this->namespace, '/campaigns/(?P<campaign_id>[\d]+)/' . $this->rest_base . '/available', array(
             'methods' => WP_REST_Server::READABLE,
@@ -252,6 +315,96 @@ class Templates_Controller extends WP_REST_Controller {
         ));
     }
 
+    /**
+     * Merge variable definitions with sample values per room
+     *
+     * Samples come from the campaign's highest-scoring active prospect,
+     * or from the documented examples when there is none (global mode).
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error
+     */
+    public function get_variables( $request ) {
+        global $wpdb;
+
+        if ( ! class_exists( '\DR_Prompt_Variables' ) ) {
+            return new WP_Error(
+                'variables_unavailable',
+                'Prompt variables not available',
+                array( 'status' => 500 )
+            );
+        }
+
+        $campaign_id = (int) $request->get_param( 'campaign_id' );
+        $rooms = array( 'problem', 'solution', 'offer' );
+
+        $variables = array();
+        foreach ( \DR_Prompt_Variables::get_definitions() as $name => $definition ) {
+            $variables[] = array(
+                'name' => $name,
+                'group' => $definition['group'],
+                'label' => $definition['label'],
+                'description' => $definition['description'],
+            );
+        }
+
+        $prospect = null;
+        if ( $campaign_id ) {
+            $prospect = $wpdb->get_row( $wpdb->prepare(
+                "SELECT * FROM {$wpdb->prefix}rtr_prospects
+                 WHERE campaign_id = %d AND archived_at IS NULL
+                 ORDER BY lead_score DESC
+                 LIMIT 1",
+                $campaign_id
+            ), ARRAY_A );
+        }
+
+        $samples = array();
+        foreach ( $rooms as $room ) {
+            $samples[ $room ] = \DR_Prompt_Variables::get_examples( $room );
+        }
+
+        if ( $prospect && class_exists( '\CPD_Prompt_Template' ) ) {
+            $campaign = \DR_Prompt_Variables::load_campaign( $campaign_id );
+            $sent_urls = json_decode( $prospect['urls_sent'] ?? '', true ) ?: array();
+
+            $links = $wpdb->get_results( $wpdb->prepare(
+                "SELECT * FROM {$wpdb->prefix}rtr_room_content_links
+                 WHERE campaign_id = %d AND is_active = 1
+                 ORDER BY link_order ASC",
+                $campaign_id
+            ), ARRAY_A );
+
+            foreach ( $rooms as $room ) {
+                $template = new \CPD_Prompt_Template( array( 'room_type' => $room ) );
+                $room_links = array_filter( $links, function( $link ) use ( $room ) {
+                    return $link['room_type'] === $room;
+                } );
+
+                $samples[ $room ] = $template->get_variable_context(
+                    $prospect,
+                    $template->format_visitor_info( $prospect ),
+                    $template->format_available_urls( $room_links, $sent_urls ),
+                    $campaign
+                );
+            }
+        }
+
+        return rest_ensure_response( array(
+            'success' => true,
+            'data' => array(
+                'variables' => $variables,
+                'samples' => $samples,
+                'sample_prospect' => $prospect ? array(
+                    'id' => (int) $prospect['id'],
+                    'company_name' => $prospect['company_name'],
+                    'contact_name' => $prospect['contact_name'],
+                    'lead_score' => (int) $prospect['lead_score'],
+                ) : null,
+            ),
+        ));
+    }
+
     /**
      * Get single template
      *
@@ -346,6 +499,11 @@ class Templates_Controller extends WP_REST_Controller {
             ARRAY_A
         );
 
+        $revisions = $this->get_revision_store();
+        if ( $revisions ) {
+            $revisions->record( $template, 'Created' );
+        }
+
         return rest_ensure_response( array(
             'success' => true,
             'data' => $this->prepare_item_for_response( $template, $request ),
@@ -413,6 +571,12 @@ class Templates_Controller extends WP_REST_Controller {
             );
         }
 
+        // Keep the pre-history version of older templates before overwriting it
+        $revisions = $this->get_revision_store();
+        if ( $revisions ) {
+            $revisions->ensure_baseline( $existing );
+        }
+
         $result = $wpdb->update(
             $table,
             $data,
@@ -434,6 +598,10 @@ class Templates_Controller extends WP_REST_Controller {
             ARRAY_A
         );
 
+        if ( $revisions ) {
+            $revisions->record( $template, 'Edited' );
+        }
+
         return rest_ensure_response( array(
             'success' => true,
             'data' => $this->prepare_item_for_response( $template, $request ),
@@ -477,6 +645,133 @@ class Templates_Controller extends WP_REST_Controller {
         ));
     }
 
+    /**
+     * List a template's revisions, newest first
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error
+     */
+    public function get_revisions( $request ) {
+        $template = $this->get_template_row( (int) $request->get_param( 'id' ) );
+
+        if ( is_wp_error( $template ) ) {
+            return $template;
+        }
+
+        $revisions = $this->get_revision_store();
+        if ( ! $revisions ) {
+            return new WP_Error(
+                'revisions_unavailable',
+                'Template revisions not available',
+                array( 'status' => 500 )
+            );
+        }
+
+        $revisions->ensure_baseline( $template );
+
+        return rest_ensure_response( array(
+            'success' => true,
+            'data' => $revisions->get_revisions( (int) $template['id'] ),
+        ));
+    }
+
+    /**
+     * Edits reps made to the template's emails before copying or sending
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error
+     */
+    public function get_rep_edits( $request ) {
+        $template = $this->get_template_row( (int) $request->get_param( 'id' ) );
+
+        if ( is_wp_error( $template ) ) {
+            return $template;
+        }
+
+        if ( ! class_exists( '\CPD_Email_Edit_Tracker' ) ) {
+            return new WP_Error(
+                'edits_unavailable',
+                'Email edit tracking not available',
+                array( 'status' => 500 )
+            );
+        }
+
+        $edits = new \CPD_Email_Edit_Tracker();
+
+        return rest_ensure_response( array(
+            'success' => true,
+            'data' => $edits->get_template_summary( (int) $template['id'], (int) $request->get_param( 'limit' ) ),
+        ));
+    }
+
+    /**
+     * Restore an earlier revision as the current template
+     *
+     * The template's name and prompt sections are overwritten with the
+     * revision's, and the rollback itself is recorded as a new revision.
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error
+     */
+    public function restore_revision( $request ) {
+        global $wpdb;
+
+        $template = $this->get_template_row( (int) $request->get_param( 'id' ) );
+
+        if ( is_wp_error( $template ) ) {
+            return $template;
+        }
+
+        $revisions = $this->get_revision_store();
+        $revision = $revisions
+            ? $revisions->get_revision( (int) $template['id'], (int) $request->get_param( 'revision_id' ) )
+            : null;
+
+        if ( ! $revision ) {
+            return new WP_Error(
+                'not_found',
+                'Revision not found',
+                array( 'status' => 404 )
+            );
+        }
+
+        $revisions->ensure_baseline( $template );
+
+        $table = $wpdb->prefix . 'rtr_email_templates';
+        $result = $wpdb->update(
+            $table,
+            array(
+                'template_name' => $revision['template_name'],
+                'prompt_template' => wp_json_encode( $revision['prompt_template'] ),
+            ),
+            array( 'id' => $template['id'] ),
+            null,
+            array( '%d' )
+        );
+
+        if ( false === $result ) {
+            return new WP_Error(
+                'database_error',
+                'Failed to restore revision: ' . $wpdb->last_error,
+                array( 'status' => 500 )
+            );
+        }
+
+        $template = $this->get_template_row( (int) $template['id'] );
+        $created = $revisions->record(
+            $template,
+            sprintf( 'Restored revision %d', $revision['revision_number'] ),
+            $revision['revision_number']
+        );
+
+        return rest_ensure_response( array(
+            'success' => true,
+            'data' => $this->prepare_item_for_response( $template, $request ),
+            'revision' => $created,
+            'message' => 'Revision restored successfully',
+        ));
+    }
+
     /**
      * Validate and sanitize prompt template
      *
@@ -542,6 +837,18 @@ class Templates_Controller extends WP_REST_Controller {
             );
         }
 
+        // Merge variables must be defined
+        if ( class_exists( '\DR_Prompt_Variables' ) ) {
+            $unknown = \DR_Prompt_Variables::find_unknown( implode( "\n", $validated ) );
+            if ( ! empty( $unknown ) ) {
+                return new WP_Error(
+                    'unknown_variables',
+                    sprintf( 'Unknown variables: {{%s}}', implode( '}}, {{', $unknown ) ),
+                    array( 'status' => 400, 'variables' => $unknown )
+                );
+            }
+        }
+
         return $validated;
     }
 
@@ -566,6 +873,47 @@ class Templates_Controller extends WP_REST_Controller {
         );
     }
 
+    /**
+     * Fetch a template row
+     *
+     * @param int $template_id Template ID
+     * @return array|WP_Error Template row or not_found error
+     */
+    private function get_template_row( $template_id ) {
+        global $wpdb;
+        $table = $wpdb->prefix . 'rtr_email_templates';
+
+        $template = $wpdb->get_row(
+            $wpdb->prepare( "SELECT * FROM {$table} WHERE id = %d", $template_id ),
+            ARRAY_A
+        );
+
+        if ( ! $template ) {
+            return new WP_Error(
+                'not_found',
+                'Template not found',
+                array( 'status' => 404 )
+            );
+        }
+
+        return $template;
+    }
+
+    /**
+     * Shared revision store, if the class is loaded
+     *
+     * @return \DR_Template_Revisions|null
+     */
+    private function get_revision_store() {
+        static $revisions = null;
+
+        if ( $revisions === null && class_exists( '\DR_Template_Revisions' ) ) {
+            $revisions = new \DR_Template_Revisions();
+        }
+
+        return $revisions;
+    }
+
     /**
      * Prepare item for response
      *
@@ -0,0 +1,310 @@
+<?php
+/**
+ * Test Bench REST Controller
+ *
+ * Supporting endpoints for the template test bench: the campaign's
+ * prospects to test against and the golden outputs pinned from earlier
+ * runs. Generation itself goes through /emails/test-prompt.
+ *
+ * @package DirectReach
+ * @subpackage RTR/API
+ * @since 2.5.0
+ */
+
+namespace DirectReach\CampaignBuilder\API;
+
+use WP_REST_Server;
+use WP_REST_Controller;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class Test_Bench_Controller extends WP_REST_Controller {
+
+    /**
+     * Prospects offered by the picker
+     */
+    const MAX_PROSPECTS = 200;
+
+    /**
+     * Namespace
+     *
+     * @var string
+     */
+    protected $namespace = 'directreach/v2';
+
+    /**
+     * Rest base
+     *
+     * @var string
+     */
+    protected $rest_base = 'test-bench';
+
+    /**
+     * Golden output store
+     *
+     * @var \DR_Template_Golden_Outputs|null
+     */
+    private $golden;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        if ( class_exists( '\DR_Template_Golden_Outputs' ) ) {
+            $this->golden = new \DR_Template_Golden_Outputs();
+        }
+    }
+
+    /**
+     * Register routes
+     */
+    public function register_routes() {
+        $campaign_arg = array(
+            'campaign_id' => array(
+                'required' => true,
+                'type' => 'integer',
+            ),
+        );
+
+        // Prospects available for testing
+        register_rest_route( $this->namespace, '/campaigns/(?P<campaign_id>[\d]+)/' . $this->rest_base . '/prospects', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array( $this, 'get_prospects' ),
+            'permission_callback' => array( $this, 'check_permissions' ),
+            'args' => $campaign_arg,
+        ));
+
+        // Golden outputs of a room / pin an output
+        register_rest_route( $this->namespace, '/campaigns/(?P<campaign_id>[\d]+)/' . $this->rest_base . '/golden', array(
+            array(
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => array( $this, 'get_golden_outputs' ),
+                'permission_callback' => array( $this, 'check_permissions' ),
+                'args' => array_merge( $campaign_arg, array(
+                    'room_type' => array(
+                        'required' => true,
+                        'type' => 'string',
+                        'enum' => array( 'problem', 'solution', 'offer' ),
+                    ),
+                )),
+            ),
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array( $this, 'pin_golden_output' ),
+                'permission_callback' => array( $this, 'check_permissions' ),
+                'args' => array_merge( $campaign_arg, array(
+                    'room_type' => array(
+                        'required' => true,
+                        'type' => 'string',
+                        'enum' => array( 'problem', 'solution', 'offer' ),
+                    ),
+                    'prospect_id' => array(
+                        'required' => true,
+                        'type' => 'integer',
+                    ),
+                    'template_name' => array(
+                        'type' => 'string',
+                        'required' => false,
+                        'default' => '',
+                    ),
+                    'subject' => array(
+                        'required' => true,
+                        'type' => 'string',
+                    ),
+                    'body_html' => array(
+                        'required' => true,
+                        'type' => 'string',
+                    ),
+                    'body_text' => array(
+                        'type' => 'string',
+                        'required' => false,
+                        'default' => '',
+                    ),
+                )),
+            ),
+        ));
+
+        // Unpin
+        register_rest_route( $this->namespace, '/' . $this->rest_base . '/golden/(?P<id>[\d]+)', array(
+            'methods' => WP_REST_Server::DELETABLE,
+            'callback' => array( $this, 'delete_golden_output' ),
+            'permission_callback' => array( $this, 'check_permissions' ),
+            'args' => array(
+                'id' => array(
+                    'required' => true,
+                    'type' => 'integer',
+                ),
+            ),
+        ));
+    }
+
+    /**
+     * Active prospects of a campaign, grouped by room, highest score first
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error
+     */
+    public function get_prospects( $request ) {
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'rtr_prospects';
+        $prospects = $wpdb->get_results( $wpdb->prepare(
+            "SELECT id, company_name, contact_name, job_title, current_room, lead_score, days_in_room
+             FROM {$table}
+             WHERE campaign_id = %d AND archived_at IS NULL
+             ORDER BY FIELD(current_room, 'problem', 'solution', 'offer'), lead_score DESC
+             LIMIT %d",
+            (int) $request->get_param( 'campaign_id' ),
+            self::MAX_PROSPECTS
+        ), ARRAY_A );
+
+        if ( $wpdb->last_error ) {
+            return new WP_Error(
+                'database_error',
+                'Failed to fetch prospects: ' . $wpdb->last_error,
+                array( 'status' => 500 )
+            );
+        }
+
+        $prospects = array_map( function( $prospect ) {
+            $prospect['id'] = (int) $prospect['id'];
+            $prospect['lead_score'] = (int) $prospect['lead_score'];
+            $prospect['days_in_room'] = (int) $prospect['days_in_room'];
+            return $prospect;
+        }, $prospects );
+
+        return rest_ensure_response( array(
+            'success' => true,
+            'data' => $prospects,
+        ));
+    }
+
+    /**
+     * Golden outputs pinned for a campaign room
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error
+     */
+    public function get_golden_outputs( $request ) {
+        if ( ! $this->golden ) {
+            return $this->unavailable_error();
+        }
+
+        return rest_ensure_response( array(
+            'success' => true,
+            'data' => $this->golden->get_for_room(
+                (int) $request->get_param( 'campaign_id' ),
+                $request->get_param( 'room_type' )
+            ),
+        ));
+    }
+
+    /**
+     * Pin a test bench output as the golden example for its prospect
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error
+     */
+    public function pin_golden_output( $request ) {
+        global $wpdb;
+
+        if ( ! $this->golden ) {
+            return $this->unavailable_error();
+        }
+
+        $campaign_id = (int) $request->get_param( 'campaign_id' );
+        $prospect_id = (int) $request->get_param( 'prospect_id' );
+
+        $belongs = (int) $wpdb->get_var( $wpdb->prepare(
+            "SELECT COUNT(*) FROM {$wpdb->prefix}rtr_prospects WHERE id = %d AND campaign_id = %d",
+            $prospect_id,
+            $campaign_id
+        ) );
+
+        if ( ! $belongs ) {
+            return new WP_Error(
+                'invalid_prospect',
+                'Prospect does not belong to this campaign',
+                array( 'status' => 400 )
+            );
+        }
+
+        $body_html = wp_kses_post( $request->get_param( 'body_html' ) );
+        $body_text = sanitize_textarea_field( $request->get_param( 'body_text' ) );
+
+        $output = $this->golden->pin( array(
+            'campaign_id' => $campaign_id,
+            'room_type' => $request->get_param( 'room_type' ),
+            'prospect_id' => $prospect_id,
+            'template_name' => sanitize_text_field( $request->get_param( 'template_name' ) ),
+            'subject' => sanitize_text_field( $request->get_param( 'subject' ) ),
+            'body_html' => $body_html,
+            'body_text' => $body_text !== '' ? $body_text : wp_strip_all_tags( $body_html ),
+        ));
+
+        if ( ! $output ) {
+            return new WP_Error(
+                'database_error',
+                'Failed to pin output',
+                array( 'status' => 500 )
+            );
+        }
+
+        return rest_ensure_response( array(
+            'success' => true,
+            'data' => $output,
+            'message' => 'Output pinned',
+        ));
+    }
+
+    /**
+     * Unpin a golden output
+     *
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error
+     */
+    public function delete_golden_output( $request ) {
+        if ( ! $this->golden ) {
+            return $this->unavailable_error();
+        }
+
+        if ( ! $this->golden->delete( (int) $request->get_param( 'id' ) ) ) {
+            return new WP_Error(
+                'not_found',
+                'Golden output not found',
+                array( 'status' => 404 )
+            );
+        }
+
+        return rest_ensure_response( array(
+            'success' => true,
+            'message' => 'Output unpinned',
+        ));
+    }
+
+    /**
+     * @return WP_Error
+     */
+    private function unavailable_error() {
+        return new WP_Error(
+            'golden_outputs_unavailable',
+            'Golden outputs not available',
+            array( 'status' => 500 )
+        );
+    }
+
+    /**
+     * Check permissions
+     *
+     * @param WP_REST_Request $request Request object
+     * @return bool
+     */
+    public function check_permissions( $request ) {
+        return current_user_can( 'manage_options' );
+    }
+}
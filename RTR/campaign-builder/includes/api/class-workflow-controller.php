@@ -2,6 +2,12 @@
 /**
  * Workflow REST API Controller
  *
+ * Drafts are stored per user and per client, each with a revision number
+ * exposed as an ETag. Saves send the revision they were based on in an
+ * If-Match header (or If-None-Match: * for a first save); a stale revision
+ * is rejected with 409 workflow_conflict so the client can merge instead
+ * of silently overwriting another tab's work.
+ *
  * @package DirectReach_Campaign_Builder
  * @since 2.0.0
  */
@@ -17,7 +23,22 @@ if (!defined('ABSPATH')) {
 }
 
 class Workflow_Controller extends REST_Controller {
-    
+
+    /**
+     * Legacy single-draft meta key (pre-versioning)
+     */
+    const LEGACY_META_KEY = 'dr_cb_workflow_state';
+
+    /**
+     * Prefix for per-client draft meta keys
+     */
+    const DRAFT_META_PREFIX = 'dr_cb_workflow_draft_';
+
+    /**
+     * Meta key remembering the client the user last worked on
+     */
+    const ACTIVE_CLIENT_META_KEY = 'dr_cb_workflow_active_client';
+
     /**
      * Register routes
      */
@@ -28,6 +49,13 @@ class Workflow_Controller extends REST_Controller {
                 'methods'             => 'GET',
                 'callback'            => [$this, 'get_workflow'],
                 'permission_callback' => [$this, 'check_permissions'],
+                'args'                => [
+                    'client_id' => [
+                        'required'          => false,
+                        'type'              => 'integer',
+                        'sanitize_callback' => 'absint',
+                    ],
+                ],
             ],
             [
                 'methods'             => 'PUT',
@@ -41,45 +69,124 @@ class Workflow_Controller extends REST_Controller {
             'methods'             => 'POST',
             'callback'            => [$this, 'complete_workflow'],
             'permission_callback' => [$this, 'check_permissions'],
-        ]);        
+        ]);
     }
-    
+
     /**
      * Get workflow state
+     *
+     * Without client_id, returns the draft for the client the user last
+     * worked on.
      */
     public function get_workflow($request) {
         $user_id = get_current_user_id();
-        $state = get_user_meta($user_id, 'dr_cb_workflow_state', true);
-        
-        if (empty($state)) {
-            $state = [
-                'currentStep' => 'client',
-                'clientId' => null,
-                'clientName' => null,
-                'campaignId' => null,
-                'campaignName' => null,
-            ];
+
+        $client_id = $request->get_param('client_id');
+        if ($client_id === null) {
+            $client_id = absint(get_user_meta($user_id, self::ACTIVE_CLIENT_META_KEY, true));
         }
-        
-        return new WP_REST_Response([
-            'success' => true,
-            'data'    => $state,
+
+        $draft = $this->get_draft($user_id, $client_id);
+
+        $state = $draft ? $draft['state'] : [
+            'currentStep' => 'client',
+            'clientId' => null,
+            'clientName' => null,
+            'campaignId' => null,
+            'campaignName' => null,
+        ];
+
+        $response = new WP_REST_Response([
+            'success'    => true,
+            'data'       => $state,
+            'client_id'  => $client_id ?: null,
+            'revision'   => $draft ? $draft['revision'] : 0,
+            'updated_at' => $draft ? $draft['updated_at'] : null,
         ], 200);
+        $response->header('ETag', $this->format_etag($draft ? $draft['revision'] : 0));
+
+        return $response;
     }
-    
+
     /**
      * Save workflow state
+     *
+     * Honours If-Match / If-None-Match preconditions. Requests without
+     * either header keep the old last-write-wins behaviour.
      */
     public function save_workflow($request) {
         $user_id = get_current_user_id();
         $state = $request->get_json_params();
-        
-        update_user_meta($user_id, 'dr_cb_workflow_state', $state);
-        
-        return new WP_REST_Response([
-            'success' => true,
-            'message' => 'Workflow state saved',
+
+        if (!is_array($state)) {
+            return new WP_Error(
+                'invalid_workflow_state',
+                'Workflow state must be a JSON object',
+                ['status' => 400]
+            );
+        }
+
+        $client_id = !empty($state['clientId']) ? absint($state['clientId']) : 0;
+        $meta_key = $this->get_draft_meta_key($client_id);
+
+        $current = $this->get_draft($user_id, $client_id);
+        $current_raw = get_user_meta($user_id, $meta_key, true);
+
+        $if_match = $request->get_header('if_match');
+        $if_none_match = $request->get_header('if_none_match');
+
+        if ($if_match === null && $request->get_param('base_revision') !== null) {
+            $if_match = $this->format_etag(absint($request->get_param('base_revision')));
+        }
+
+        if ($if_none_match === '*' && $current) {
+            return $this->conflict_error($current);
+        }
+
+        // A base revision against a draft that no longer exists is fine: nothing to overwrite
+        if ($if_match !== null && $current && $this->parse_etag($if_match) !== $current['revision']) {
+            return $this->conflict_error($current);
+        }
+
+        $draft = [
+            'revision'   => $current ? $current['revision'] + 1 : 1,
+            'state'      => $state,
+            'updated_at' => current_time('mysql', true),
+            'updated_by' => $user_id,
+        ];
+
+        // Compare-and-swap so two concurrent saves cannot both win
+        if (!empty($current_raw)) {
+            $saved = update_user_meta($user_id, $meta_key, $draft, $current_raw);
+        } else {
+            $saved = add_user_meta($user_id, $meta_key, $draft, true);
+        }
+
+        if (!$saved) {
+            $latest = $this->get_draft($user_id, $client_id);
+            if ($latest) {
+                return $this->conflict_error($latest);
+            }
+
+            return new WP_Error(
+                'workflow_save_failed',
+                'Failed to save workflow state',
+                ['status' => 500]
+            );
+        }
+
+        update_user_meta($user_id, self::ACTIVE_CLIENT_META_KEY, $client_id);
+
+        $response = new WP_REST_Response([
+            'success'    => true,
+            'message'    => 'Workflow state saved',
+            'client_id'  => $client_id ?: null,
+            'revision'   => $draft['revision'],
+            'updated_at' => $draft['updated_at'],
         ], 200);
+        $response->header('ETag', $this->format_etag($draft['revision']));
+
+        return $response;
     }
 
     /**
@@ -87,14 +194,96 @@ class Workflow_Controller extends REST_Controller {
      */
     public function complete_workflow($request) {
         $campaign_id = $request->get_param('campaign_id');
-        
-        // Could add completion tracking here if needed
-        // For now, just return success
-        
+        $client_id = absint($request->get_param('clientId'));
+
+        // The draft for this client is done - drop it so the next visit starts fresh
+        delete_user_meta(get_current_user_id(), $this->get_draft_meta_key($client_id));
+
         return new WP_REST_Response([
             'success' => true,
             'message' => 'Workflow completed successfully',
         ], 200);
     }
 
-}
\ No newline at end of file
+    /**
+     * Read a user's draft for a client
+     *
+     * Falls back to (and migrates) the legacy single-draft meta when it
+     * belongs to the requested client.
+     *
+     * @param int $user_id User ID
+     * @param int $client_id Client ID (0 for "no client selected yet")
+     * @return array|null Draft with revision, state and updated_at keys
+     */
+    private function get_draft($user_id, $client_id) {
+        $draft = get_user_meta($user_id, $this->get_draft_meta_key($client_id), true);
+
+        if (is_array($draft) && isset($draft['revision'], $draft['state'])) {
+            $draft['revision'] = (int) $draft['revision'];
+            return $draft;
+        }
+
+        $legacy = get_user_meta($user_id, self::LEGACY_META_KEY, true);
+        if (is_array($legacy) && absint($legacy['clientId'] ?? 0) === absint($client_id)) {
+            $draft = [
+                'revision'   => 1,
+                'state'      => $legacy,
+                'updated_at' => current_time('mysql', true),
+                'updated_by' => $user_id,
+            ];
+
+            add_user_meta($user_id, $this->get_draft_meta_key($client_id), $draft, true);
+            delete_user_meta($user_id, self::LEGACY_META_KEY);
+
+            return $draft;
+        }
+
+        return null;
+    }
+
+    /**
+     * Meta key for a client's draft
+     *
+     * @param int $client_id Client ID
+     * @return string
+     */
+    private function get_draft_meta_key($client_id) {
+        return self::DRAFT_META_PREFIX . ($client_id ? absint($client_id) : 'new');
+    }
+
+    /**
+     * Build the 409 error carrying the server copy
+     *
+     * @param array $draft Current server draft
+     * @return WP_Error
+     */
+    private function conflict_error($draft) {
+        return new WP_Error(
+            'workflow_conflict',
+            'This draft was changed in another tab or session.',
+            [
+                'status'     => 409,
+                'revision'   => $draft['revision'],
+                'updated_at' => $draft['updated_at'],
+                'state'      => $draft['state'],
+            ]
+        );
+    }
+
+    /**
+     * @param int $revision Revision number
+     * @return string Quoted ETag
+     */
+    private function format_etag($revision) {
+        return '"' . absint($revision) . '"';
+    }
+
+    /**
+     * @param string $etag ETag header value (quoted, optionally weak)
+     * @return int Revision number
+     */
+    private function parse_etag($etag) {
+        return absint(trim(preg_replace('/^W\//', '', trim($etag)), '"'));
+    }
+
+}
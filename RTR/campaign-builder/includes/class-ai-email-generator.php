@@ -16,6 +16,18 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 class CPD_AI_Email_Generator {
 
+    /**
+     * Quick directives for regenerating an email, with the instruction
+     * each adds to the prompt
+     */
+    const REVISION_DIRECTIVES = array(
+        'shorter'       => 'Make the email noticeably shorter (about half the length) while keeping its key message.',
+        'more_formal'   => 'Use a more formal, professional tone.',
+        'more_casual'   => 'Use a more casual, conversational tone.',
+        'pricing_page'  => 'Mention the pricing page. If one of the available content links is a pricing page, select that link.',
+        'different_cta' => 'Use a different call to action than the previous version.',
+    );
+
     /**
      * Settings manager instance
      *
@@ -60,9 +72,11 @@ class CPD_AI_Email_Generator {
      * @param int    $campaign_id Campaign ID
      * @param string $room_type Room type
      * @param int    $email_number Email sequence number
+     * @param array  $revision Optional rewrite of an earlier version: previous_subject,
+     *                         previous_body, template_id, directives (REVISION_DIRECTIVES keys), feedback
      * @return array|WP_Error Generation result or error
      */
-    public function generate_email( $prospect_id, $campaign_id, $room_type, $email_number ) {
+    public function generate_email( $prospect_id, $campaign_id, $room_type, $email_number, $revision = array() ) {
         // Check if AI is enabled
         $ai_enabled = get_option( 'dr_ai_email_enabled', false );
         if ( ! $ai_enabled ) {
@@ -97,8 +111,20 @@ class CPD_AI_Email_Generator {
             );
         }
 
-        // Select best template based on visitor behavior
-        $selected_template = $this->select_template( $templates, $prospect );
+        // Select template (A/B experiment variant when one is running)
+        $selection = $this->select_template( $templates, $prospect, $campaign_id, $room_type );
+
+        // A revision keeps the template of the version being revised
+        if ( ! empty( $revision['template_id'] ) && (int) $selection['template']->get_id() !== (int) $revision['template_id'] ) {
+            foreach ( $templates as $template ) {
+                if ( (int) $template->get_id() === (int) $revision['template_id'] ) {
+                    $selection = array( 'template' => $template, 'experiment_id' => null );
+                    break;
+                }
+            }
+        }
+
+        $selected_template = $selection['template'];
 
         // Load content links
         $content_links = $this->load_content_links( $campaign_id, $room_type );
@@ -119,9 +145,15 @@ class CPD_AI_Email_Generator {
         // Build generation payload
         $payload = $selected_template->build_generation_payload(
             $prospect,
-            $content_links
+            $content_links,
+            array(),
+            $this->load_campaign_data( $campaign_id )
         );
 
+        if ( ! empty( $revision['directives'] ) || ! empty( $revision['feedback'] ) ) {
+            $payload['revision'] = $revision;
+        }
+
         // Generate email via Gemini API
         $generation_start = microtime( true );
         $result = $this->call_gemini_api( $payload );
@@ -160,6 +192,7 @@ class CPD_AI_Email_Generator {
                 'id' => $selected_template->get_id(),
                 'name' => $selected_template->get_name(),
                 'is_global' => $selected_template->is_global(),
+                'experiment_id' => $selection['experiment_id'],
             ),
             'tokens_used' => array(
                 'prompt' => $this->last_generation_meta['prompt_tokens'],
@@ -175,14 +208,16 @@ class CPD_AI_Email_Generator {
     * Generate test email with mock data
     * 
     * Used for testing prompt templates before deployment.
-    * Uses hardcoded mock prospect data for consistent comparisons.
+    * Uses hardcoded mock prospect data for consistent comparisons, or a
+    * real prospect of the campaign when one is given (test bench).
     *
     * @param array  $prompt_template 7-component prompt structure
     * @param int    $campaign_id Campaign ID for content links
     * @param string $room_type Room type (problem/solution/offer)
+    * @param int    $prospect_id Optional campaign prospect to test against
     * @return array|WP_Error Generation result or error
     */
-    public function generate_email_for_test( $prompt_template, $campaign_id, $room_type = 'problem' ) {
+    public function generate_email_for_test( $prompt_template, $campaign_id, $room_type = 'problem', $prospect_id = 0 ) {
 
         // Check if AI is enabled
         $ai_enabled = get_option( 'dr_ai_email_enabled', false );
@@ -207,8 +242,23 @@ class CPD_AI_Email_Generator {
             return $validation;
         }
 
-        // Get mock prospect data
-        $mock_prospect = $this->get_mock_prospect_data( $room_type );
+        // Get mock prospect data (or the requested real prospect)
+        if ( $prospect_id ) {
+            $mock_prospect = $this->load_prospect_data( $prospect_id );
+            if ( is_wp_error( $mock_prospect ) ) {
+                return $mock_prospect;
+            }
+
+            if ( (int) $mock_prospect['campaign_id'] !== (int) $campaign_id ) {
+                return new WP_Error(
+                    'invalid_prospect',
+                    'Prospect does not belong to this campaign',
+                    array( 'status' => 400 )
+                );
+            }
+        } else {
+            $mock_prospect = $this->get_mock_prospect_data( $room_type );
+        }
 
         // Load real content links from campaign
         $content_links = $this->load_content_links( $campaign_id, $room_type );
@@ -224,7 +274,9 @@ class CPD_AI_Email_Generator {
         // Build generation payload
         $payload = $mock_template->build_generation_payload(
             $mock_prospect,
-            $content_links
+            $content_links,
+            array(),
+            $this->load_campaign_data( $campaign_id )
         );
 
         // Generate email via Gemini API
@@ -257,7 +309,7 @@ class CPD_AI_Email_Generator {
             'completion_tokens' => $result['usage']['completion_tokens'] ?? 0,
             'total_tokens' => $result['usage']['total_tokens'] ?? 0,
             'cost' => $this->calculate_cost( $result['usage'] ?? array() ),
-            'mock_prospect_used' => true,
+            'mock_prospect_used' => ! $prospect_id,
         );
 
         // Format response
@@ -268,9 +320,12 @@ class CPD_AI_Email_Generator {
             'body_text' => $result['body_text'],
             'selected_url' => $result['selected_url'],
             'mock_prospect' => array(
+                'id' => (int) $mock_prospect['id'],
                 'company_name' => $mock_prospect['company_name'],
                 'contact_name' => $mock_prospect['contact_name'],
                 'job_title' => $mock_prospect['job_title'],
+                'current_room' => $mock_prospect['current_room'],
+                'lead_score' => (int) $mock_prospect['lead_score'],
             ),
             'usage' => array(
                 'prompt_tokens' => $metadata['prompt_tokens'],
@@ -729,12 +784,49 @@ class CPD_AI_Email_Generator {
             $sections[] = "=== AVAILABLE CONTENT LINKS ===\n" . $this->format_urls_context( $payload['available_urls'] );
         }
 
+        // Add revision instructions (regenerate with feedback)
+        if ( ! empty( $payload['revision'] ) ) {
+            $sections[] = "=== REVISION INSTRUCTIONS ===\n" . $this->format_revision_context( $payload['revision'] );
+        }
+
         // Add output format instructions
         $sections[] = $this->get_output_format_instructions();
 
         return implode( "\n\n", $sections );
     }
 
+    /**
+     * Format the rep's revision requests and the version being revised
+     *
+     * @param array $revision previous_subject, previous_body, directives, feedback
+     * @return string Formatted instructions
+     */
+    private function format_revision_context( $revision ) {
+        $lines = array();
+        $lines[] = "Rewrite the previous version of this email below, applying these changes:";
+
+        foreach ( (array) ( $revision['directives'] ?? array() ) as $directive ) {
+            if ( isset( self::REVISION_DIRECTIVES[ $directive ] ) ) {
+                $lines[] = '- ' . self::REVISION_DIRECTIVES[ $directive ];
+            }
+        }
+
+        if ( ! empty( $revision['feedback'] ) ) {
+            $lines[] = "- Feedback from the sales rep: {$revision['feedback']}";
+        }
+
+        $lines[] = "Keep what the changes above don't touch, and follow all of the earlier instructions.";
+
+        if ( ! empty( $revision['previous_subject'] ) || ! empty( $revision['previous_body'] ) ) {
+            $lines[] = "";
+            $lines[] = "Previous subject: " . ( $revision['previous_subject'] ?? '' );
+            $lines[] = "Previous body:";
+            $lines[] = $revision['previous_body'] ?? '';
+        }
+
+        return implode( "\n", $lines );
+    }
+
     /**
      * Format visitor context for prompt
      *
@@ -924,21 +1016,28 @@ INSTRUCTIONS;
     /**
      * Select best template based on visitor behavior
      *
-     * For now, returns first template. Future enhancement: intelligent selection.
+     * Running A/B experiments pick a variant per prospect (see
+     * DR_Template_Experiments); otherwise returns the first template.
      *
-     * @param array $templates Available templates
-     * @param array $prospect Prospect data
-     * @return CPD_Prompt_Template Selected template
+     * @param array  $templates Available templates
+     * @param array  $prospect Prospect data
+     * @param int    $campaign_id Campaign ID
+     * @param string $room_type Room type
+     * @return array { template: CPD_Prompt_Template, experiment_id: int|null }
      */
-    private function select_template( $templates, $prospect ) {
-        // Simple selection: use first template
+    private function select_template( $templates, $prospect, $campaign_id, $room_type ) {
+        if ( class_exists( 'DR_Template_Experiments' ) ) {
+            $experiments = new DR_Template_Experiments();
+            return $experiments->select_template( $campaign_id, $room_type, (int) $prospect['id'], $templates );
+        }
+
         // TODO: Implement intelligent selection based on:
         // - Lead score
         // - Recent page visits
         // - Email sequence position
         // - Days in room
         
-        return $templates[0];
+        return array( 'template' => $templates[0], 'experiment_id' => null );
     }
 
     /**
@@ -1045,6 +1144,16 @@ INSTRUCTIONS;
         return $prospect;
     }
 
+    /**
+     * Load campaign data for prompt variables
+     *
+     * @param int $campaign_id Campaign ID
+     * @return array Campaign row, empty if unavailable
+     */
+    private function load_campaign_data( $campaign_id ) {
+        return class_exists( 'DR_Prompt_Variables' ) ? DR_Prompt_Variables::load_campaign( $campaign_id ) : array();
+    }
+
     /**
      * Load content links
      *
@@ -97,6 +97,10 @@ class DR_Campaign_Builder {
         
         // Script modifications
         add_filter('script_loader_tag', array($this, 'add_module_type_attribute'), 10, 2);
+        
+        // Scheduled content link health checks
+        require_once DR_CB_PLUGIN_DIR . 'includes/class-link-health-checker.php';
+        DR_Link_Health_Checker::init();
     }
     
     // ============================================================================
@@ -414,6 +418,7 @@ class DR_Campaign_Builder {
         $config = array(
             'apiUrl' => rest_url($this->config['rest_namespace']),
             'nonce' => wp_create_nonce('wp_rest'),
+            'ajaxUrl' => admin_url('admin-ajax.php'),
             'userId' => get_current_user_id(),
             'dashboardUrl' => admin_url('admin.php?page=' . $this->config['menu_slug']),
             'pluginUrl' => DR_CB_PLUGIN_URL,
@@ -482,6 +487,8 @@ class DR_Campaign_Builder {
             'class-campaigns-controller.php',
             'class-content-links-controller.php',
             'class-templates-controller.php',
+            'class-template-experiments-controller.php',
+            'class-test-bench-controller.php',
             'class-email-generation-controller.php',
         );
         
@@ -504,10 +511,17 @@ class DR_Campaign_Builder {
         $ai_classes = array(
             'class-prompt-template.php',
             'class-template-resolver.php',
+            'class-template-revisions.php',
+            'class-template-experiments.php',
+            'class-template-golden-outputs.php',
+            'class-prompt-variables.php',
             'class-ai-settings-manager.php',
             'class-ai-rate-limiter.php',
             'class-ai-email-generator.php',
             'class-email-tracking-manager.php',
+            'class-email-click-tracker.php',
+            'class-email-edit-tracker.php',
+            'class-email-versions.php',
         );
         
         foreach ($ai_classes as $class_file) {
@@ -529,6 +543,8 @@ class DR_Campaign_Builder {
             '\DirectReach\CampaignBuilder\API\Campaigns_Controller',
             '\DirectReach\CampaignBuilder\API\Content_Links_Controller',
             '\DirectReach\CampaignBuilder\API\Templates_Controller',
+            '\DirectReach\CampaignBuilder\API\Template_Experiments_Controller',
+            '\DirectReach\CampaignBuilder\API\Test_Bench_Controller',
         );
         
         // Register Phase 2 controllers
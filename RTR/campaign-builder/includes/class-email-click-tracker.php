@@ -0,0 +1,370 @@
+<?php
+/**
+ * Email Click Tracker
+ *
+ * Click tracking for generated emails. Outbound links in the email body
+ * are rewritten to the track-click redirect endpoint, keyed by the
+ * email's tracking token and signed so the endpoint can't be used as an
+ * open redirect. Each click is recorded per link in wp_rtr_email_clicks,
+ * moves the tracking record to "clicked" and rescores the visitor so the
+ * email_click and email_multiple_click scoring rules pick it up.
+ *
+ * @package DirectReach
+ * @subpackage RTR
+ * @since 2.5.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class CPD_Email_Click_Tracker {
+
+    /**
+     * Schema version (stored in the rtr_email_clicks_db_version option)
+     */
+    const SCHEMA_VERSION = '1.0.0';
+
+    /**
+     * Characters of the HMAC kept in the link signature
+     */
+    const SIGNATURE_LENGTH = 16;
+
+    /**
+     * WordPress database instance
+     *
+     * @var wpdb
+     */
+    private $wpdb;
+
+    /**
+     * Clicks table name
+     *
+     * @var string
+     */
+    private $table_name;
+
+    /**
+     * Tracking table name
+     *
+     * @var string
+     */
+    private $tracking_table;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        global $wpdb;
+        $this->wpdb = $wpdb;
+        $this->table_name = $wpdb->prefix . 'rtr_email_clicks';
+        $this->tracking_table = $wpdb->prefix . 'rtr_email_tracking';
+    }
+
+    /**
+     * Create the clicks table if needed
+     *
+     * @return bool Success
+     */
+    public function install_schema() {
+        if ( version_compare( get_option( 'rtr_email_clicks_db_version', '0.0.0' ), self::SCHEMA_VERSION, '>=' ) ) {
+            return true;
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $charset_collate = $this->wpdb->get_charset_collate();
+
+        dbDelta( "CREATE TABLE {$this->table_name} (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            email_tracking_id BIGINT UNSIGNED NOT NULL,
+            prospect_id BIGINT UNSIGNED NOT NULL,
+            visitor_id BIGINT UNSIGNED NOT NULL,
+            url TEXT NOT NULL,
+            url_hash CHAR(32) NOT NULL,
+            clicker_ip VARCHAR(45) NULL,
+            user_agent VARCHAR(255) NULL,
+            clicked_at DATETIME NOT NULL,
+            PRIMARY KEY  (id),
+            KEY idx_tracking (email_tracking_id, url_hash),
+            KEY idx_visitor (visitor_id)
+        ) {$charset_collate};" );
+
+        if ( $this->wpdb->get_var( "SHOW TABLES LIKE '{$this->table_name}'" ) !== $this->table_name ) {
+            error_log( '[DirectReach] Failed to create email clicks table' );
+            return false;
+        }
+
+        update_option( 'rtr_email_clicks_db_version', self::SCHEMA_VERSION );
+        return true;
+    }
+
+    /**
+     * Rewrite the http(s) links in an email body to the click redirect
+     *
+     * mailto:, tel: and anchor links are left alone, as are links that
+     * already go through the redirect.
+     *
+     * @param string $body_html      Email body HTML
+     * @param string $tracking_token Email tracking token
+     * @return string Body with tracked links
+     */
+    public function rewrite_links( $body_html, $tracking_token ) {
+        if ( empty( $body_html ) || empty( $tracking_token ) ) {
+            return $body_html;
+        }
+
+        return preg_replace_callback(
+            '/(<a\b[^>]*?\bhref\s*=\s*)(["\'])(.*?)\2/is',
+            function ( $matches ) use ( $tracking_token ) {
+                $url = html_entity_decode( trim( $matches[3] ), ENT_QUOTES );
+
+                if ( ! preg_match( '#^https?://#i', $url ) || strpos( $url, '/emails/track-click/' ) !== false ) {
+                    return $matches[0];
+                }
+
+                return $matches[1] . $matches[2] . esc_attr( $this->build_click_url( $tracking_token, $url ) ) . $matches[2];
+            },
+            $body_html
+        );
+    }
+
+    /**
+     * Build the redirect URL for one link
+     *
+     * @param string $tracking_token Email tracking token
+     * @param string $url            Destination URL
+     * @return string Redirect URL
+     */
+    public function build_click_url( $tracking_token, $url ) {
+        return add_query_arg(
+            array(
+                'u' => rtrim( strtr( base64_encode( $url ), '+/', '-_' ), '=' ),
+                's' => $this->sign( $tracking_token, $url ),
+            ),
+            rest_url( 'directreach/v2/emails/track-click/' . $tracking_token )
+        );
+    }
+
+    /**
+     * Decode and verify the destination of a redirect URL
+     *
+     * @param string $tracking_token Email tracking token
+     * @param string $encoded_url    The u parameter
+     * @param string $signature      The s parameter
+     * @return string|false Destination URL, false if tampered with
+     */
+    public function verify_click_url( $tracking_token, $encoded_url, $signature ) {
+        $url = base64_decode( strtr( (string) $encoded_url, '-_', '+/' ), true );
+
+        if ( ! $url || ! preg_match( '#^https?://#i', $url ) ) {
+            return false;
+        }
+
+        if ( ! hash_equals( $this->sign( $tracking_token, $url ), (string) $signature ) ) {
+            return false;
+        }
+
+        return $url;
+    }
+
+    /**
+     * Record a click on a tracked link
+     *
+     * Like opens, clicks are ignored until the email has been copied or
+     * sent (sender_ip is set) and when they come from the sender's IP.
+     *
+     * @param string $tracking_token Email tracking token
+     * @param string $url            Destination URL
+     * @param string $clicker_ip     IP of the request
+     * @param string $user_agent     User agent of the request
+     * @return bool Whether the click was recorded
+     */
+    public function record_click( $tracking_token, $url, $clicker_ip = '', $user_agent = '' ) {
+        $tracking = $this->wpdb->get_row(
+            $this->wpdb->prepare(
+                "SELECT id, prospect_id, visitor_id, status, sender_ip, opened_at
+                 FROM {$this->tracking_table} WHERE tracking_token = %s LIMIT 1",
+                $tracking_token
+            )
+        );
+
+        if ( ! $tracking ) {
+            error_log( sprintf( '[DirectReach] Click for unknown tracking token: %s', $tracking_token ) );
+            return false;
+        }
+
+        if ( empty( $tracking->sender_ip ) || $tracking->sender_ip === $clicker_ip ) {
+            error_log( sprintf(
+                '[DirectReach] Ignoring click on tracking %d (%s)',
+                $tracking->id,
+                empty( $tracking->sender_ip ) ? 'not sent yet' : 'sender IP'
+            ) );
+            return false;
+        }
+
+        if ( ! $this->install_schema() ) {
+            return false;
+        }
+
+        $now = current_time( 'mysql' );
+
+        $this->wpdb->insert(
+            $this->table_name,
+            array(
+                'email_tracking_id' => (int) $tracking->id,
+                'prospect_id'       => (int) $tracking->prospect_id,
+                'visitor_id'        => (int) $tracking->visitor_id,
+                'url'               => esc_url_raw( $url ),
+                'url_hash'          => md5( $url ),
+                'clicker_ip'        => $clicker_ip,
+                'user_agent'        => substr( sanitize_text_field( $user_agent ), 0, 255 ),
+                'clicked_at'        => $now,
+            ),
+            array( '%d', '%d', '%d', '%s', '%s', '%s', '%s', '%s' )
+        );
+
+        // A click implies an open (images may be blocked)
+        $update_data = array( 'clicked_at' => $now );
+        if ( empty( $tracking->opened_at ) ) {
+            $update_data['opened_at'] = $now;
+        }
+
+        if ( in_array( $tracking->status, array( 'clicked', 'bounced' ), true ) ) {
+            $this->wpdb->update(
+                $this->tracking_table,
+                $update_data,
+                array( 'id' => (int) $tracking->id ),
+                array_fill( 0, count( $update_data ), '%s' ),
+                array( '%d' )
+            );
+        } else {
+            // Publishes email-state-changed for the dashboard
+            $tracking_manager = new CPD_Email_Tracking_Manager();
+            $tracking_manager->update_status( (int) $tracking->id, 'clicked', $update_data );
+        }
+
+        $this->rescore_visitor( (int) $tracking->visitor_id, (int) $tracking->prospect_id );
+
+        return true;
+    }
+
+    /**
+     * Clicks on an email, one entry per link
+     *
+     * @param int $tracking_id Tracking record ID
+     * @return array List of array( url, clicks, first_clicked_at, last_clicked_at )
+     */
+    public function get_clicks( $tracking_id ) {
+        if ( $this->wpdb->get_var( "SHOW TABLES LIKE '{$this->table_name}'" ) !== $this->table_name ) {
+            return array();
+        }
+
+        $rows = $this->wpdb->get_results(
+            $this->wpdb->prepare(
+                "SELECT MIN(url) AS url, COUNT(*) AS clicks,
+                        MIN(clicked_at) AS first_clicked_at, MAX(clicked_at) AS last_clicked_at
+                 FROM {$this->table_name}
+                 WHERE email_tracking_id = %d
+                 GROUP BY url_hash
+                 ORDER BY clicks DESC, first_clicked_at ASC",
+                $tracking_id
+            ),
+            ARRAY_A
+        );
+
+        return array_map( function ( $row ) {
+            return array(
+                'url' => $row['url'],
+                'clicks' => (int) $row['clicks'],
+                'first_clicked_at' => $row['first_clicked_at'],
+                'last_clicked_at' => $row['last_clicked_at'],
+            );
+        }, $rows ?: array() );
+    }
+
+    /**
+     * Recalculate the visitor's lead score so the click rules apply now
+     * rather than at the next nightly run
+     *
+     * @param int $visitor_id  Visitor ID
+     * @param int $prospect_id Prospect the clicked email belongs to
+     */
+    private function rescore_visitor( $visitor_id, $prospect_id ) {
+        if ( ! $visitor_id || ! class_exists( 'RTR_Score_Calculator' ) ) {
+            return;
+        }
+
+        $client_id = (int) $this->wpdb->get_var(
+            $this->wpdb->prepare(
+                "SELECT cs.client_id
+                 FROM {$this->wpdb->prefix}rtr_prospects p
+                 INNER JOIN {$this->wpdb->prefix}dr_campaign_settings cs ON cs.id = p.campaign_id
+                 WHERE p.id = %d",
+                $prospect_id
+            )
+        );
+
+        if ( ! $client_id ) {
+            return;
+        }
+
+        $calculator = new RTR_Score_Calculator();
+        $score_data = $calculator->calculate_visitor_score( $visitor_id, $client_id, true );
+
+        if ( $score_data === false || ! isset( $score_data['total_score'] ) ) {
+            return;
+        }
+
+        // Keep the visitor's active prospect cards in step with the score;
+        // archived and handed-off prospects keep theirs
+        $prospects = $this->wpdb->get_results(
+            $this->wpdb->prepare(
+                "SELECT id, visitor_id, campaign_id, current_room
+                 FROM {$this->wpdb->prefix}rtr_prospects
+                 WHERE visitor_id = %d AND archived_at IS NULL AND sales_handoff_at IS NULL",
+                $visitor_id
+            )
+        );
+
+        if ( empty( $prospects ) ) {
+            return;
+        }
+
+        $room_assigner = class_exists( '\\DirectReach\\ReadingTheRoom\\API\\Jobs_Controller' )
+            ? new \DirectReach\ReadingTheRoom\API\Jobs_Controller()
+            : null;
+
+        foreach ( $prospects as $prospect ) {
+            $this->wpdb->update(
+                $this->wpdb->prefix . 'rtr_prospects',
+                array(
+                    'lead_score' => $score_data['total_score'],
+                    'updated_at' => current_time( 'mysql' ),
+                ),
+                array( 'id' => (int) $prospect->id ),
+                array( '%d', '%s' ),
+                array( '%d' )
+            );
+
+            // Room moves go through the same path as the nightly room
+            // assignment (campaign thresholds, transition log, room-changed);
+            // without RTR loaded the nightly job picks them up
+            if ( $room_assigner ) {
+                $prospect->lead_score = (int) $score_data['total_score'];
+                $room_assigner->reassign_prospect_room( $prospect, 'Email link click rescored the visitor' );
+            }
+        }
+    }
+
+    /**
+     * Signature binding a destination URL to a tracking token
+     *
+     * @param string $tracking_token Email tracking token
+     * @param string $url            Destination URL
+     * @return string
+     */
+    private function sign( $tracking_token, $url ) {
+        return substr( hash_hmac( 'sha256', $tracking_token . '|' . $url, wp_salt( 'auth' ) ), 0, self::SIGNATURE_LENGTH );
+    }
+}
@@ -0,0 +1,488 @@
+<?php
+/**
+ * Email Edit Tracker
+ *
+ * Keeps the AI's version of a generated email when a rep edits it in the
+ * email modal before copying or sending. One row per email in
+ * wp_rtr_email_edits holds the original subject and body (captured on
+ * the first edit), the latest edited version and a paragraph-level diff
+ * between them, so template authors can see which parts of a template's
+ * output reps routinely rewrite.
+ *
+ * @package DirectReach
+ * @subpackage RTR
+ * @since 2.5.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class CPD_Email_Edit_Tracker {
+
+    /**
+     * Schema version (stored in the rtr_email_edits_db_version option)
+     */
+    const SCHEMA_VERSION = '1.0.0';
+
+    /**
+     * Above this many LCS cells, changed runs are reported whole instead of diffed
+     */
+    const MAX_CELLS = 250000;
+
+    /**
+     * Parts of an email a paragraph can belong to
+     */
+    const PARTS = array( 'opening', 'body', 'closing' );
+
+    /**
+     * WordPress database instance
+     *
+     * @var wpdb
+     */
+    private $wpdb;
+
+    /**
+     * Edits table name
+     *
+     * @var string
+     */
+    private $table_name;
+
+    /**
+     * Tracking table name
+     *
+     * @var string
+     */
+    private $tracking_table;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        global $wpdb;
+        $this->wpdb = $wpdb;
+        $this->table_name = $wpdb->prefix . 'rtr_email_edits';
+        $this->tracking_table = $wpdb->prefix . 'rtr_email_tracking';
+    }
+
+    /**
+     * Create the edits table if needed
+     *
+     * @return bool Success
+     */
+    public function install_schema() {
+        if ( version_compare( get_option( 'rtr_email_edits_db_version', '0.0.0' ), self::SCHEMA_VERSION, '>=' ) ) {
+            return true;
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $charset_collate = $this->wpdb->get_charset_collate();
+
+        dbDelta( "CREATE TABLE {$this->table_name} (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            email_tracking_id BIGINT UNSIGNED NOT NULL,
+            template_id BIGINT UNSIGNED NULL,
+            original_subject VARCHAR(255) NOT NULL,
+            original_body_html LONGTEXT NOT NULL,
+            edited_subject VARCHAR(255) NOT NULL,
+            edited_body_html LONGTEXT NOT NULL,
+            diff LONGTEXT NOT NULL,
+            change_ratio DECIMAL(5,3) NOT NULL DEFAULT 0,
+            edited_by BIGINT UNSIGNED NULL,
+            created_at DATETIME NOT NULL,
+            updated_at DATETIME NOT NULL,
+            PRIMARY KEY  (id),
+            UNIQUE KEY idx_tracking (email_tracking_id),
+            KEY idx_template (template_id)
+        ) {$charset_collate};" );
+
+        if ( $this->wpdb->get_var( "SHOW TABLES LIKE '{$this->table_name}'" ) !== $this->table_name ) {
+            error_log( '[DirectReach] Failed to create email edits table' );
+            return false;
+        }
+
+        update_option( 'rtr_email_edits_db_version', self::SCHEMA_VERSION );
+        return true;
+    }
+
+    /**
+     * The stored edit of an email
+     *
+     * @param int $tracking_id Tracking record ID
+     * @return array|null Prepared edit, null if the email hasn't been edited
+     */
+    public function get_edit( $tracking_id ) {
+        if ( ! $this->table_exists() ) {
+            return null;
+        }
+
+        $row = $this->wpdb->get_row(
+            $this->wpdb->prepare(
+                "SELECT * FROM {$this->table_name} WHERE email_tracking_id = %d",
+                $tracking_id
+            )
+        );
+
+        return $row ? $this->prepare_edit( $row ) : null;
+    }
+
+    /**
+     * Store a rep's edit of an email
+     *
+     * The email's current subject and body become the original on the
+     * first edit; later edits only replace the edited version. An edit
+     * that ends up identical to the original removes the record.
+     *
+     * @param array  $tracking  Tracking row (ARRAY_A) as currently stored
+     * @param string $subject   Edited subject
+     * @param string $body_html Edited body, as it will be stored on the tracking row
+     * @return array|null|WP_Error Prepared edit, null if nothing differs from the original
+     */
+    public function save_edit( $tracking, $subject, $body_html ) {
+        if ( ! $this->install_schema() ) {
+            return new WP_Error( 'edits_unavailable', 'Unable to store email edits', array( 'status' => 500 ) );
+        }
+
+        $existing = $this->wpdb->get_row(
+            $this->wpdb->prepare(
+                "SELECT id, original_subject, original_body_html FROM {$this->table_name} WHERE email_tracking_id = %d",
+                $tracking['id']
+            )
+        );
+
+        $original_subject = $existing ? $existing->original_subject : (string) $tracking['subject'];
+        $original_body_html = $existing ? $existing->original_body_html : (string) $tracking['body_html'];
+
+        $diff = $this->diff( $original_subject, $original_body_html, $subject, $body_html );
+
+        if ( ! $diff['subject_changed'] && empty( $diff['paragraphs'] ) ) {
+            if ( $existing ) {
+                $this->delete_edit( (int) $tracking['id'] );
+            }
+            return null;
+        }
+
+        $now = current_time( 'mysql' );
+        $data = array(
+            'edited_subject' => $subject,
+            'edited_body_html' => $body_html,
+            'diff' => wp_json_encode( $diff ),
+            'change_ratio' => $diff['change_ratio'],
+            'edited_by' => get_current_user_id() ?: null,
+            'updated_at' => $now,
+        );
+
+        if ( $existing ) {
+            $result = $this->wpdb->update( $this->table_name, $data, array( 'id' => (int) $existing->id ) );
+        } else {
+            $result = $this->wpdb->insert( $this->table_name, array_merge( $data, array(
+                'email_tracking_id' => (int) $tracking['id'],
+                'template_id' => ! empty( $tracking['template_used'] ) ? (int) $tracking['template_used'] : null,
+                'original_subject' => $original_subject,
+                'original_body_html' => $original_body_html,
+                'created_at' => $now,
+            ) ) );
+        }
+
+        if ( $result === false ) {
+            error_log( '[DirectReach] Failed to save email edit: ' . $this->wpdb->last_error );
+            return new WP_Error( 'edit_save_failed', 'Failed to save the edit', array( 'status' => 500 ) );
+        }
+
+        return $this->get_edit( (int) $tracking['id'] );
+    }
+
+    /**
+     * Forget an email's edit (the caller restores the original)
+     *
+     * @param int $tracking_id Tracking record ID
+     * @return bool Whether a record was removed
+     */
+    public function delete_edit( $tracking_id ) {
+        if ( ! $this->table_exists() ) {
+            return false;
+        }
+
+        return (bool) $this->wpdb->delete( $this->table_name, array( 'email_tracking_id' => $tracking_id ), array( '%d' ) );
+    }
+
+    /**
+     * What reps change in a template's emails
+     *
+     * How often its emails are edited, how often each part (subject,
+     * opening paragraph, body, closing paragraph) is rewritten, and the
+     * most recent edits with their original and edited text.
+     *
+     * @param int $template_id Template ID
+     * @param int $limit       Recent edits to include
+     * @return array Summary
+     */
+    public function get_template_summary( $template_id, $limit = 20 ) {
+        $generated = (int) $this->wpdb->get_var(
+            $this->wpdb->prepare(
+                "SELECT COUNT(*) FROM {$this->tracking_table} WHERE template_used = %d AND generated_by_ai = 1",
+                $template_id
+            )
+        );
+
+        $rows = array();
+        if ( $this->table_exists() ) {
+            $rows = $this->wpdb->get_results(
+                $this->wpdb->prepare(
+                    "SELECT * FROM {$this->table_name} WHERE template_id = %d ORDER BY updated_at DESC",
+                    $template_id
+                )
+            ) ?: array();
+        }
+
+        $parts = array_fill_keys( array_merge( array( 'subject' ), self::PARTS ), 0 );
+        $total_ratio = 0;
+
+        foreach ( $rows as $row ) {
+            $diff = json_decode( $row->diff, true ) ?: array();
+
+            if ( ! empty( $diff['subject_changed'] ) ) {
+                $parts['subject']++;
+            }
+
+            $edited_parts = array_unique( array_column( $diff['paragraphs'] ?? array(), 'part' ) );
+            foreach ( $edited_parts as $part ) {
+                if ( isset( $parts[ $part ] ) ) {
+                    $parts[ $part ]++;
+                }
+            }
+
+            $total_ratio += (float) $row->change_ratio;
+        }
+
+        $edited = count( $rows );
+        $rates = array();
+        foreach ( $parts as $part => $count ) {
+            $rates[ $part ] = array(
+                'edited' => $count,
+                'rate' => $edited ? round( $count / $edited, 3 ) : 0,
+            );
+        }
+
+        return array(
+            'template_id' => (int) $template_id,
+            'generated' => $generated,
+            'edited' => $edited,
+            'edit_rate' => $generated ? round( $edited / $generated, 3 ) : 0,
+            'avg_change_ratio' => $edited ? round( $total_ratio / $edited, 3 ) : 0,
+            'parts' => $rates,
+            'recent' => array_map( function ( $row ) {
+                $edit = $this->prepare_edit( $row );
+                $edit['original_text'] = implode( "\n", $this->extract_paragraphs( $row->original_body_html ) );
+                $edit['edited_text'] = implode( "\n", $this->extract_paragraphs( $row->edited_body_html ) );
+                unset( $edit['original_body_html'] );
+                return $edit;
+            }, array_slice( $rows, 0, $limit ) ),
+        );
+    }
+
+    /**
+     * Paragraph-level diff of an edited email
+     *
+     * Paragraphs are compared as text, so link rewriting and the tracking
+     * pixel don't count as edits. Runs of removed and added paragraphs are
+     * paired up as "changed"; each entry records which part of the email
+     * it falls in.
+     *
+     * @param string $original_subject   AI subject
+     * @param string $original_body_html AI body
+     * @param string $edited_subject     Edited subject
+     * @param string $edited_body_html   Edited body
+     * @return array subject_changed, paragraphs (changed entries only), word counts and change_ratio
+     */
+    public function diff( $original_subject, $original_body_html, $edited_subject, $edited_body_html ) {
+        $before = $this->extract_paragraphs( $original_body_html );
+        $after = $this->extract_paragraphs( $edited_body_html );
+        $last = count( $before ) - 1;
+
+        $paragraphs = array();
+        $removed = array();
+        $added = array();
+        $position = 0; // Index into $before
+
+        $part_of = function ( $index ) use ( $last ) {
+            if ( $index <= 0 ) {
+                return 'opening';
+            }
+            return $index >= $last ? 'closing' : 'body';
+        };
+
+        $flush = function () use ( &$paragraphs, &$removed, &$added, &$position, $part_of ) {
+            $pairs = max( count( $removed ), count( $added ) );
+
+            for ( $i = 0; $i < $pairs; $i++ ) {
+                $old = $removed[ $i ] ?? null;
+                $new = $added[ $i ] ?? null;
+
+                $paragraphs[] = array(
+                    'type' => $old === null ? 'added' : ( $new === null ? 'removed' : 'changed' ),
+                    'part' => $part_of( $old !== null ? $old['index'] : $position ),
+                    'before' => $old !== null ? $old['text'] : '',
+                    'after' => $new !== null ? $new : '',
+                );
+            }
+
+            $removed = array();
+            $added = array();
+        };
+
+        foreach ( $this->diff_sequences( $before, $after ) as $op ) {
+            if ( $op['type'] === 'equal' ) {
+                $flush();
+                $position++;
+            } elseif ( $op['type'] === 'remove' ) {
+                $removed[] = array( 'index' => $position++, 'text' => $op['value'] );
+            } else {
+                $added[] = $op['value'];
+            }
+        }
+        $flush();
+
+        // Word counts over the whole body
+        $words_before = $this->tokenize( implode( ' ', $before ) );
+        $words_after = $this->tokenize( implode( ' ', $after ) );
+        $words_added = 0;
+        $words_removed = 0;
+
+        foreach ( $this->diff_sequences( $words_before, $words_after ) as $op ) {
+            if ( $op['type'] === 'add' ) {
+                $words_added++;
+            } elseif ( $op['type'] === 'remove' ) {
+                $words_removed++;
+            }
+        }
+
+        $total = count( $words_before ) + count( $words_after );
+
+        return array(
+            'subject_changed' => trim( $original_subject ) !== trim( $edited_subject ),
+            'paragraphs' => $paragraphs,
+            'words_before' => count( $words_before ),
+            'words_after' => count( $words_after ),
+            'words_added' => $words_added,
+            'words_removed' => $words_removed,
+            'change_ratio' => $total ? round( ( $words_added + $words_removed ) / $total, 3 ) : 0,
+        );
+    }
+
+    /**
+     * Text paragraphs of an email body (HTML or plain text)
+     *
+     * @param string $html Body
+     * @return string[] Non-empty paragraphs, whitespace collapsed
+     */
+    private function extract_paragraphs( $html ) {
+        $html = preg_replace( '#<img\b[^>]*>#i', '', (string) $html );
+        $html = preg_replace( '#<br\s*/?>|</(p|div|li|h[1-6]|tr|blockquote)>#i', "\n", $html );
+        $text = html_entity_decode( wp_strip_all_tags( $html ), ENT_QUOTES, 'UTF-8' );
+
+        $paragraphs = array();
+        foreach ( preg_split( '/\n+/', $text ) as $line ) {
+            $line = trim( preg_replace( '/[\s\x{00A0}]+/u', ' ', $line ) );
+            if ( $line !== '' ) {
+                $paragraphs[] = $line;
+            }
+        }
+
+        return $paragraphs;
+    }
+
+    /**
+     * @param string $text Text
+     * @return string[] Words
+     */
+    private function tokenize( $text ) {
+        return preg_split( '/\s+/', trim( $text ), -1, PREG_SPLIT_NO_EMPTY );
+    }
+
+    /**
+     * Longest-common-subsequence edit script (same as the text-diff.js utility)
+     *
+     * @param string[] $a Old tokens
+     * @param string[] $b New tokens
+     * @return array List of array( type => equal|remove|add, value )
+     */
+    private function diff_sequences( $a, $b ) {
+        $n = count( $a );
+        $m = count( $b );
+
+        if ( $n * $m > self::MAX_CELLS ) {
+            return array_merge(
+                array_map( function ( $value ) { return array( 'type' => 'remove', 'value' => $value ); }, $a ),
+                array_map( function ( $value ) { return array( 'type' => 'add', 'value' => $value ); }, $b )
+            );
+        }
+
+        // $lengths[i][j] = LCS length of a[i..] and b[j..]
+        $lengths = array_fill( 0, $n + 1, array_fill( 0, $m + 1, 0 ) );
+        for ( $i = $n - 1; $i >= 0; $i-- ) {
+            for ( $j = $m - 1; $j >= 0; $j-- ) {
+                $lengths[ $i ][ $j ] = $a[ $i ] === $b[ $j ]
+                    ? $lengths[ $i + 1 ][ $j + 1 ] + 1
+                    : max( $lengths[ $i + 1 ][ $j ], $lengths[ $i ][ $j + 1 ] );
+            }
+        }
+
+        $ops = array();
+        $i = 0;
+        $j = 0;
+        while ( $i < $n && $j < $m ) {
+            if ( $a[ $i ] === $b[ $j ] ) {
+                $ops[] = array( 'type' => 'equal', 'value' => $a[ $i ] );
+                $i++;
+                $j++;
+            } elseif ( $lengths[ $i + 1 ][ $j ] >= $lengths[ $i ][ $j + 1 ] ) {
+                $ops[] = array( 'type' => 'remove', 'value' => $a[ $i++ ] );
+            } else {
+                $ops[] = array( 'type' => 'add', 'value' => $b[ $j++ ] );
+            }
+        }
+        while ( $i < $n ) {
+            $ops[] = array( 'type' => 'remove', 'value' => $a[ $i++ ] );
+        }
+        while ( $j < $m ) {
+            $ops[] = array( 'type' => 'add', 'value' => $b[ $j++ ] );
+        }
+
+        return $ops;
+    }
+
+    /**
+     * @param object $row Edits table row
+     * @return array Prepared edit
+     */
+    private function prepare_edit( $row ) {
+        $editor = $row->edited_by ? get_userdata( (int) $row->edited_by ) : null;
+
+        return array(
+            'id' => (int) $row->id,
+            'email_tracking_id' => (int) $row->email_tracking_id,
+            'template_id' => $row->template_id !== null ? (int) $row->template_id : null,
+            'original_subject' => $row->original_subject,
+            'original_body_html' => $row->original_body_html,
+            'edited_subject' => $row->edited_subject,
+            'diff' => json_decode( $row->diff, true ) ?: array(),
+            'change_ratio' => (float) $row->change_ratio,
+            'edited_by' => $editor ? array(
+                'id' => (int) $editor->ID,
+                'name' => $editor->display_name,
+            ) : null,
+            'created_at' => $row->created_at,
+            'updated_at' => $row->updated_at,
+        );
+    }
+
+    /**
+     * @return bool Whether the edits table exists yet
+     */
+    private function table_exists() {
+        return $this->wpdb->get_var( "SHOW TABLES LIKE '{$this->table_name}'" ) === $this->table_name;
+    }
+}
@@ -16,6 +16,29 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 class CPD_Email_Tracking_Manager {
 
+    /**
+     * Dashboard email button state for each tracking status
+     * (mirrors Reading_Room_Controller::get_email_states)
+     */
+    const DASHBOARD_STATES = array(
+        'generated' => 'ready',
+        'completed' => 'ready',
+        'copied' => 'sent',
+        'sent' => 'sent',
+        'opened' => 'opened',
+        'clicked' => 'opened',
+        'bounced' => 'bounced',
+        'generating' => 'generating',
+        'pending_generation' => 'generating',
+        'failed' => 'failed',
+        'error' => 'failed',
+    );
+
+    /**
+     * Statuses an open pixel must not move back to 'opened'
+     */
+    const OPENED_OR_LATER = array( 'opened', 'clicked', 'bounced' );
+
     /**
      * WordPress database instance
      *
@@ -160,6 +183,8 @@ class CPD_Email_Tracking_Manager {
             $data['email_number']
         ) );
 
+        $this->publish_event( $insert_id, 'email-state-changed', $insert_data['status'] );
+
         return $insert_id;
     }
 
@@ -194,6 +219,8 @@ class CPD_Email_Tracking_Manager {
             return false;
         }
 
+        $this->publish_event( $tracking_id, 'email-state-changed', $update_data['status'] );
+
         return true;
     }
 
@@ -248,8 +275,9 @@ class CPD_Email_Tracking_Manager {
             $update_data['recipient_ip'] = $recipient_ip;
         }
         
-        // Only change status if not already opened
-        if ( $tracking->status !== 'opened' ) {
+        // Status only moves forward: a late pixel must not turn 'clicked' back into 'opened'
+        $first_open = ! in_array( $tracking->status, self::OPENED_OR_LATER, true );
+        if ( $first_open ) {
             $update_data['status'] = 'opened';
         }
 
@@ -273,13 +301,46 @@ class CPD_Email_Tracking_Manager {
         error_log( sprintf(
             '[DirectReach] Updated tracking record %d (opened: %s, recipient_ip: %s)',
             $tracking->id,
-            $tracking->status === 'opened' ? 'already' : 'now',
+            $first_open ? 'now' : 'already',
             $recipient_ip ?? 'not provided'
         ) );
 
+        // Repeat opens only refresh opened_at
+        if ( $first_open ) {
+            $this->publish_event( $tracking->id, 'email-opened', 'opened' );
+        }
+
         return true;
     }
 
+    /**
+     * Publish a tracking change to the RTR dashboard
+     *
+     * @param int    $tracking_id Tracking record ID
+     * @param string $type        email-state-changed or email-opened
+     * @param string $status      New tracking status
+     */
+    private function publish_event( $tracking_id, $type, $status ) {
+        $tracking = $this->wpdb->get_row(
+            $this->wpdb->prepare(
+                "SELECT prospect_id, room_type, email_number FROM {$this->table_name} WHERE id = %d",
+                $tracking_id
+            )
+        );
+
+        if ( ! $tracking ) {
+            return;
+        }
+
+        do_action( 'directreach_rtr_event', $type, array(
+            'prospect_id' => (int) $tracking->prospect_id,
+            'room' => $tracking->room_type,
+            'email_number' => (int) $tracking->email_number,
+            'state' => self::DASHBOARD_STATES[ $status ] ?? $status,
+            'email_tracking_id' => (int) $tracking_id,
+        ) );
+    }
+
     /**
      * Get tracking record by ID
      *
@@ -0,0 +1,258 @@
+<?php
+/**
+ * Email Versions
+ *
+ * Regenerating an email creates a new tracking record rather than
+ * overwriting the old one, so a rep can compare the versions of an email
+ * in the email modal and pick the one to use. wp_rtr_email_versions
+ * records, per regenerated version, the version it revised and the
+ * directives and feedback it was regenerated with, and which version the
+ * rep picked last (the dashboard opens that one instead of the newest).
+ *
+ * @package DirectReach
+ * @subpackage RTR
+ * @since 2.5.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class CPD_Email_Versions {
+
+    /**
+     * Schema version (stored in the rtr_email_versions_db_version option)
+     */
+    const SCHEMA_VERSION = '1.0.0';
+
+    /**
+     * Versions returned by get_versions()
+     */
+    const MAX_VERSIONS = 10;
+
+    /**
+     * WordPress database instance
+     *
+     * @var wpdb
+     */
+    private $wpdb;
+
+    /**
+     * Versions table name
+     *
+     * @var string
+     */
+    private $table_name;
+
+    /**
+     * Tracking table name
+     *
+     * @var string
+     */
+    private $tracking_table;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        global $wpdb;
+        $this->wpdb = $wpdb;
+        $this->table_name = $wpdb->prefix . 'rtr_email_versions';
+        $this->tracking_table = $wpdb->prefix . 'rtr_email_tracking';
+    }
+
+    /**
+     * Create the versions table if needed
+     *
+     * @return bool Success
+     */
+    public function install_schema() {
+        if ( version_compare( get_option( 'rtr_email_versions_db_version', '0.0.0' ), self::SCHEMA_VERSION, '>=' ) ) {
+            return true;
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $charset_collate = $this->wpdb->get_charset_collate();
+
+        dbDelta( "CREATE TABLE {$this->table_name} (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            email_tracking_id BIGINT UNSIGNED NOT NULL,
+            parent_tracking_id BIGINT UNSIGNED NULL,
+            directives VARCHAR(255) NOT NULL DEFAULT '[]',
+            feedback TEXT NULL,
+            created_by BIGINT UNSIGNED NULL,
+            chosen_at DATETIME NULL,
+            created_at DATETIME NOT NULL,
+            PRIMARY KEY  (id),
+            UNIQUE KEY idx_tracking (email_tracking_id)
+        ) {$charset_collate};" );
+
+        if ( $this->wpdb->get_var( "SHOW TABLES LIKE '{$this->table_name}'" ) !== $this->table_name ) {
+            error_log( '[DirectReach] Failed to create email versions table' );
+            return false;
+        }
+
+        update_option( 'rtr_email_versions_db_version', self::SCHEMA_VERSION );
+        return true;
+    }
+
+    /**
+     * Record a regenerated version and make it the one in use
+     *
+     * @param int      $tracking_id Tracking record of the new version
+     * @param int|null $parent_id   Tracking record it revised
+     * @param string[] $directives  Regeneration directives
+     * @param string   $feedback    Rep feedback
+     * @return bool Success
+     */
+    public function record( $tracking_id, $parent_id, $directives, $feedback ) {
+        if ( ! $this->install_schema() ) {
+            return false;
+        }
+
+        $now = current_time( 'mysql' );
+
+        return false !== $this->wpdb->insert( $this->table_name, array(
+            'email_tracking_id' => $tracking_id,
+            'parent_tracking_id' => $parent_id ?: null,
+            'directives' => wp_json_encode( array_values( $directives ) ),
+            'feedback' => $feedback !== '' ? $feedback : null,
+            'created_by' => get_current_user_id() ?: null,
+            'chosen_at' => $now,
+            'created_at' => $now,
+        ) );
+    }
+
+    /**
+     * Make a version the one in use
+     *
+     * Versions generated before they were recorded here get a row now.
+     *
+     * @param int $tracking_id Tracking record ID
+     * @return bool Success
+     */
+    public function choose( $tracking_id ) {
+        if ( ! $this->install_schema() ) {
+            return false;
+        }
+
+        $now = current_time( 'mysql' );
+
+        return false !== $this->wpdb->query(
+            $this->wpdb->prepare(
+                "INSERT INTO {$this->table_name} (email_tracking_id, chosen_at, created_at)
+                 VALUES (%d, %s, %s)
+                 ON DUPLICATE KEY UPDATE chosen_at = VALUES(chosen_at)",
+                $tracking_id,
+                $now,
+                $now
+            )
+        );
+    }
+
+    /**
+     * Unsent versions of the same email as a tracking record, oldest first
+     *
+     * @param int $tracking_id Any version's tracking record ID
+     * @return array List of version arrays, the one in use flagged in_use
+     */
+    public function get_versions( $tracking_id ) {
+        $tracking = $this->wpdb->get_row(
+            $this->wpdb->prepare(
+                "SELECT prospect_id, email_number, room_type FROM {$this->tracking_table} WHERE id = %d",
+                $tracking_id
+            )
+        );
+
+        if ( ! $tracking || ! $this->install_schema() ) {
+            return array();
+        }
+
+        $rows = $this->wpdb->get_results(
+            $this->wpdb->prepare(
+                "SELECT et.id, et.subject, et.body_html, et.url_included, et.created_at,
+                        v.parent_tracking_id, v.directives, v.feedback, v.chosen_at
+                 FROM {$this->tracking_table} et
+                 LEFT JOIN {$this->table_name} v ON v.email_tracking_id = et.id
+                 WHERE et.prospect_id = %d AND et.email_number = %d AND et.room_type = %s
+                   AND et.copied_at IS NULL AND et.sent_at IS NULL
+                 ORDER BY et.id DESC
+                 LIMIT %d",
+                $tracking->prospect_id,
+                $tracking->email_number,
+                $tracking->room_type,
+                self::MAX_VERSIONS
+            )
+        );
+
+        if ( empty( $rows ) ) {
+            return array();
+        }
+
+        $rows = array_reverse( $rows );
+        $in_use = $this->pick_in_use( $rows );
+
+        return array_map( function ( $row ) use ( $in_use ) {
+            return array(
+                'id' => (int) $row->id,
+                'subject' => $row->subject,
+                'body_html' => $row->body_html,
+                'url_included' => $row->url_included,
+                'created_at' => $row->created_at,
+                'parent_id' => $row->parent_tracking_id !== null ? (int) $row->parent_tracking_id : null,
+                'directives' => $row->directives ? ( json_decode( $row->directives, true ) ?: array() ) : array(),
+                'feedback' => $row->feedback ?? '',
+                'in_use' => (int) $row->id === $in_use,
+            );
+        }, $rows );
+    }
+
+    /**
+     * The version in use among a prospect's unsent versions of an email
+     *
+     * @param int $prospect_id  Prospect ID (rtr_prospects.id)
+     * @param int $email_number Email sequence number
+     * @return int|null Tracking record ID, null if no version was ever picked
+     */
+    public function get_chosen_id( $prospect_id, $email_number ) {
+        if ( $this->wpdb->get_var( "SHOW TABLES LIKE '{$this->table_name}'" ) !== $this->table_name ) {
+            return null;
+        }
+
+        $chosen_id = $this->wpdb->get_var(
+            $this->wpdb->prepare(
+                "SELECT et.id
+                 FROM {$this->tracking_table} et
+                 INNER JOIN {$this->table_name} v ON v.email_tracking_id = et.id
+                 WHERE et.prospect_id = %d AND et.email_number = %d
+                   AND et.copied_at IS NULL AND et.sent_at IS NULL
+                   AND v.chosen_at IS NOT NULL
+                 ORDER BY v.chosen_at DESC, et.id DESC
+                 LIMIT 1",
+                $prospect_id,
+                $email_number
+            )
+        );
+
+        return $chosen_id ? (int) $chosen_id : null;
+    }
+
+    /**
+     * The most recently picked version, or the newest if none was picked
+     *
+     * @param array $rows Version rows, oldest first
+     * @return int Tracking record ID
+     */
+    private function pick_in_use( $rows ) {
+        $in_use = end( $rows );
+
+        foreach ( $rows as $row ) {
+            if ( $row->chosen_at && ( ! $in_use->chosen_at || $row->chosen_at >= $in_use->chosen_at ) ) {
+                $in_use = $row;
+            }
+        }
+
+        return (int) $in_use->id;
+    }
+}
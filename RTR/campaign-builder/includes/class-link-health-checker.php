@@ -0,0 +1,434 @@
+<?php
+/**
+ * Link Health Checker
+ *
+ * Periodically requests each active content link and records its HTTP
+ * status, redirect chain and page title in wp_rtr_content_link_health.
+ * An active link that fails FAILURE_THRESHOLD checks in a row is
+ * deactivated right away, so it stops going into generated emails.
+ * Checks run from the Campaign Builder report this (deactivated) so it
+ * can tell the user and offer undo.
+ *
+ * Requests go through wp_safe_remote_get, which refuses private and
+ * loopback hosts. To run the checker against a local stub server,
+ * define DR_CB_LINK_HEALTH_ALLOW_LOCAL as true in wp-config.php. The
+ * tests do this against tests/stub-server.php.
+ *
+ * @package DirectReach_Campaign_Builder
+ * @since 2.0.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class DR_Link_Health_Checker {
+
+    /**
+     * Schema version (stored in the dr_cb_link_health_db_version option)
+     */
+    const SCHEMA_VERSION = '1.0.0';
+
+    /**
+     * WP-Cron hook
+     */
+    const CRON_HOOK = 'dr_cb_link_health_check';
+
+    /**
+     * Links checked per cron run
+     */
+    const BATCH_SIZE = 20;
+
+    /**
+     * A link is due for a re-check after this many seconds
+     */
+    const CHECK_INTERVAL = DAY_IN_SECONDS;
+
+    /**
+     * Consecutive failed checks before a link should be deactivated
+     */
+    const FAILURE_THRESHOLD = 3;
+
+    /**
+     * Redirects followed before giving up
+     */
+    const MAX_REDIRECTS = 5;
+
+    /**
+     * Per-request timeout in seconds
+     */
+    const REQUEST_TIMEOUT = 10;
+
+    /**
+     * Most seconds one link check may take, redirects included
+     */
+    const MAX_CHECK_SECONDS = 15;
+
+    /**
+     * WordPress database instance
+     *
+     * @var wpdb
+     */
+    private $wpdb;
+
+    /**
+     * Health table name
+     *
+     * @var string
+     */
+    private $table_name;
+
+    /**
+     * Content links table name
+     *
+     * @var string
+     */
+    private $links_table;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        global $wpdb;
+        $this->wpdb = $wpdb;
+        $this->table_name = $wpdb->prefix . 'rtr_content_link_health';
+        $this->links_table = $wpdb->prefix . 'rtr_room_content_links';
+    }
+
+    /**
+     * Hook the scheduled check and make sure it is scheduled
+     */
+    public static function init() {
+        add_action(self::CRON_HOOK, array(__CLASS__, 'run_scheduled'));
+
+        if (!wp_next_scheduled(self::CRON_HOOK)) {
+            wp_schedule_event(time() + HOUR_IN_SECONDS, 'hourly', self::CRON_HOOK);
+        }
+    }
+
+    /**
+     * Cron callback
+     */
+    public static function run_scheduled() {
+        $checker = new self();
+        $checker->install_schema();
+        $checked = $checker->check_due_links();
+
+        if ($checked > 0) {
+            error_log(sprintf('[DR Link Health] Checked %d content links', $checked));
+        }
+    }
+
+    /**
+     * Create or upgrade the health table
+     *
+     * @return bool Success
+     */
+    public function install_schema() {
+        if (version_compare(get_option('dr_cb_link_health_db_version', '0.0.0'), self::SCHEMA_VERSION, '>=')) {
+            return true;
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $charset_collate = $this->wpdb->get_charset_collate();
+
+        dbDelta("CREATE TABLE {$this->table_name} (
+            link_id BIGINT UNSIGNED NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'unchecked',
+            http_status SMALLINT UNSIGNED NULL,
+            final_url VARCHAR(500) NULL,
+            redirect_chain TEXT NULL,
+            page_title VARCHAR(255) NULL,
+            response_ms INT UNSIGNED NULL,
+            error_message VARCHAR(255) NULL,
+            consecutive_failures INT UNSIGNED NOT NULL DEFAULT 0,
+            last_checked_at DATETIME NULL,
+            last_ok_at DATETIME NULL,
+            PRIMARY KEY  (link_id),
+            KEY idx_last_checked (last_checked_at)
+        ) {$charset_collate};");
+
+        if ($this->wpdb->get_var("SHOW TABLES LIKE '{$this->table_name}'") !== $this->table_name) {
+            error_log('[DR Link Health] Failed to create health table');
+            return false;
+        }
+
+        update_option('dr_cb_link_health_db_version', self::SCHEMA_VERSION);
+        return true;
+    }
+
+    /**
+     * Check the active links whose last check is oldest
+     *
+     * @param int $limit Maximum number of links to check
+     * @return int Number of links checked
+     */
+    public function check_due_links($limit = self::BATCH_SIZE) {
+        $cutoff = gmdate('Y-m-d H:i:s', time() - self::CHECK_INTERVAL);
+
+        $links = $this->wpdb->get_results($this->wpdb->prepare(
+            "SELECT l.id, l.link_url
+             FROM {$this->links_table} l
+             LEFT JOIN {$this->table_name} h ON h.link_id = l.id
+             WHERE l.is_active = 1
+               AND (h.last_checked_at IS NULL OR h.last_checked_at < %s)
+             ORDER BY h.last_checked_at IS NOT NULL, h.last_checked_at ASC
+             LIMIT %d",
+            $cutoff,
+            $limit
+        ));
+
+        foreach ($links as $link) {
+            $this->check_link((int) $link->id, $link->link_url);
+        }
+
+        return count($links);
+    }
+
+    /**
+     * Check one link and store the result
+     *
+     * @param int    $link_id Link ID
+     * @param string $url     Link URL
+     * @return array Stored health record (see prepare_record)
+     */
+    public function check_link($link_id, $url) {
+        $this->install_schema();
+
+        $result = $this->probe($url);
+        $previous = $this->get_raw_record($link_id);
+        $now = current_time('mysql', true);
+
+        $failed = $result['status'] === 'broken';
+        $failures = $failed ? ($previous ? (int) $previous->consecutive_failures : 0) + 1 : 0;
+
+        $row = array(
+            'link_id' => $link_id,
+            'status' => $result['status'],
+            'http_status' => $result['http_status'],
+            'final_url' => $result['final_url'] ? substr($result['final_url'], 0, 500) : null,
+            'redirect_chain' => wp_json_encode($result['redirect_chain']),
+            'page_title' => $result['page_title'] ? mb_substr($result['page_title'], 0, 255) : null,
+            'response_ms' => $result['response_ms'],
+            'error_message' => $result['error_message'] ? substr($result['error_message'], 0, 255) : null,
+            'consecutive_failures' => $failures,
+            'last_checked_at' => $now,
+            'last_ok_at' => $failed ? ($previous->last_ok_at ?? null) : $now,
+        );
+
+        $this->wpdb->replace($this->table_name, $row);
+
+        $record = $this->prepare_record((object) $row);
+        $record['deactivated'] = $record['should_deactivate'] && $this->deactivate($link_id);
+
+        return $record;
+    }
+
+    /**
+     * Switch off a link that keeps failing, if it is still active
+     *
+     * @param int $link_id Link ID
+     * @return bool Whether the link was active and is now deactivated
+     */
+    private function deactivate($link_id) {
+        $updated = $this->wpdb->query($this->wpdb->prepare(
+            "UPDATE {$this->links_table} SET is_active = 0, updated_at = %s WHERE id = %d AND is_active = 1",
+            current_time('mysql'),
+            $link_id
+        ));
+
+        if ($updated) {
+            error_log(sprintf(
+                '[DR Link Health] Deactivated link %d after %d failed checks',
+                $link_id,
+                self::FAILURE_THRESHOLD
+            ));
+        }
+
+        return (bool) $updated;
+    }
+
+    /**
+     * Request a URL, following redirects by hand to record the chain
+     *
+     * @param string $url URL to check
+     * @return array { status, http_status, final_url, redirect_chain, page_title, response_ms, error_message }
+     */
+    public function probe($url) {
+        $chain = array();
+        $current = $url;
+        $started = microtime(true);
+
+        for ($hop = 0; $hop <= self::MAX_REDIRECTS; $hop++) {
+            $remaining = self::MAX_CHECK_SECONDS - (microtime(true) - $started);
+            if ($remaining < 1) {
+                return $this->probe_result('broken', null, $current, $chain, null, $started, 'Timed out following redirects');
+            }
+
+            $response = $this->request($current, min(self::REQUEST_TIMEOUT, $remaining));
+
+            if (is_wp_error($response)) {
+                return $this->probe_result('broken', null, $current, $chain, null, $started, $response->get_error_message());
+            }
+
+            $code = (int) wp_remote_retrieve_response_code($response);
+            $location = wp_remote_retrieve_header($response, 'location');
+
+            if ($code >= 300 && $code < 400 && $location) {
+                $chain[] = array('url' => $current, 'status' => $code);
+                $current = WP_Http::make_absolute_url($location, $current);
+                continue;
+            }
+
+            if ($code >= 200 && $code < 300) {
+                return $this->probe_result(
+                    empty($chain) ? 'healthy' : 'redirected',
+                    $code,
+                    $current,
+                    $chain,
+                    $this->extract_title(wp_remote_retrieve_body($response)),
+                    $started
+                );
+            }
+
+            return $this->probe_result('broken', $code, $current, $chain, null, $started, sprintf('HTTP %d', $code));
+        }
+
+        return $this->probe_result('broken', null, $current, $chain, null, $started, 'Too many redirects');
+    }
+
+    /**
+     * Health records for a set of links
+     *
+     * @param array $link_ids Link IDs
+     * @return array Records keyed by link ID
+     */
+    public function get_records(array $link_ids) {
+        $link_ids = array_filter(array_map('absint', $link_ids));
+        if (empty($link_ids) || !$this->install_schema()) {
+            return array();
+        }
+
+        $ids = implode(',', $link_ids);
+        $rows = $this->wpdb->get_results("SELECT * FROM {$this->table_name} WHERE link_id IN ({$ids})");
+
+        $records = array();
+        foreach ($rows as $row) {
+            $records[(int) $row->link_id] = $this->prepare_record($row);
+        }
+
+        return $records;
+    }
+
+    /**
+     * Start counting failures again (a link was re-activated by hand)
+     *
+     * @param int $link_id Link ID
+     */
+    public function reset_failures($link_id) {
+        $this->wpdb->update(
+            $this->table_name,
+            array('consecutive_failures' => 0),
+            array('link_id' => $link_id),
+            array('%d'),
+            array('%d')
+        );
+    }
+
+    /**
+     * Drop the record of a deleted link
+     *
+     * @param int $link_id Link ID
+     */
+    public function delete_record($link_id) {
+        $this->wpdb->delete($this->table_name, array('link_id' => $link_id), array('%d'));
+    }
+
+    /**
+     * Shape a health row for the REST API
+     *
+     * @param object $row Database row
+     * @return array
+     */
+    public function prepare_record($row) {
+        $failures = (int) $row->consecutive_failures;
+
+        return array(
+            'status' => $row->status,
+            'http_status' => $row->http_status !== null ? (int) $row->http_status : null,
+            'final_url' => $row->final_url,
+            'redirect_chain' => json_decode($row->redirect_chain ?: '[]', true) ?: array(),
+            'page_title' => $row->page_title,
+            'response_ms' => $row->response_ms !== null ? (int) $row->response_ms : null,
+            'error_message' => $row->error_message,
+            'consecutive_failures' => $failures,
+            'should_deactivate' => $failures >= self::FAILURE_THRESHOLD,
+            'last_checked_at' => $row->last_checked_at,
+            'last_ok_at' => $row->last_ok_at,
+        );
+    }
+
+    /**
+     * Single GET without automatic redirects
+     *
+     * @param string $url     URL
+     * @param float  $timeout Timeout in seconds
+     * @return array|WP_Error Response
+     */
+    private function request($url, $timeout = self::REQUEST_TIMEOUT) {
+        $args = array(
+            'timeout' => $timeout,
+            'redirection' => 0,
+            'limit_response_size' => 64 * KB_IN_BYTES,
+            'user-agent' => 'DirectReach Link Checker/' . DR_CB_VERSION . '; ' . home_url('/'),
+        );
+
+        if (defined('DR_CB_LINK_HEALTH_ALLOW_LOCAL') && DR_CB_LINK_HEALTH_ALLOW_LOCAL) {
+            return wp_remote_get($url, $args);
+        }
+
+        return wp_safe_remote_get($url, $args);
+    }
+
+    /**
+     * Page title from the start of an HTML document
+     *
+     * @param string $html HTML
+     * @return string|null
+     */
+    private function extract_title($html) {
+        if (!preg_match('/<title[^>]*>(.*?)<\/title>/is', $html, $matches)) {
+            return null;
+        }
+
+        $title = trim(preg_replace('/\s+/', ' ', html_entity_decode($matches[1], ENT_QUOTES | ENT_HTML5, 'UTF-8')));
+        return $title !== '' ? $title : null;
+    }
+
+    /**
+     * @return array Probe result
+     */
+    private function probe_result($status, $http_status, $final_url, $chain, $title, $started, $error = null) {
+        return array(
+            'status' => $status,
+            'http_status' => $http_status,
+            'final_url' => $final_url,
+            'redirect_chain' => $chain,
+            'page_title' => $title,
+            'response_ms' => (int) round((microtime(true) - $started) * 1000),
+            'error_message' => $error,
+        );
+    }
+
+    /**
+     * @param int $link_id Link ID
+     * @return object|null Health row
+     */
+    private function get_raw_record($link_id) {
+        return $this->wpdb->get_row($this->wpdb->prepare(
+            "SELECT * FROM {$this->table_name} WHERE link_id = %d",
+            $link_id
+        ));
+    }
+}
@@ -311,9 +311,10 @@ public function validate() {
      * @param array $prospect Prospect data
      * @param array $content_links Content links
      * @param array $visitor_data Optional visitor data
+     * @param array $campaign Optional campaign row for campaign.* variables
      * @return array Complete payload for AI generation
      */
-    public function build_generation_payload( $prospect, $content_links, $visitor_data = array() ) {
+    public function build_generation_payload( $prospect, $content_links, $visitor_data = array(), $campaign = array() ) {
         // Parse sent URLs
         $sent_urls = array();
         if ( ! empty( $prospect['urls_sent'] ) ) {
@@ -326,10 +327,13 @@ public function validate() {
             }
         }
 
+        $visitor_info = $this->format_visitor_info( $prospect, $visitor_data );
+        $available_urls = $this->format_available_urls( $content_links, $sent_urls );
+
         $payload = array(
-            'prompt_template' => $this->assemble_prompt(),
-            'visitor_info' => $this->format_visitor_info( $prospect, $visitor_data ),
-            'available_urls' => $this->format_available_urls( $content_links, $sent_urls ),
+            'prompt_template' => $this->render_variables( $this->assemble_prompt(), $prospect, $visitor_info, $available_urls, $campaign ),
+            'visitor_info' => $visitor_info,
+            'available_urls' => $available_urls,
             'template_metadata' => array(
                 'template_id' => $this->data['id'] ?? null,
                 'template_name' => $this->data['template_name'] ?? '',
@@ -341,6 +345,49 @@ public function validate() {
         return $payload;
     }
 
+    /**
+     * Replace merge variables in the assembled prompt
+     *
+     * @param string $prompt Assembled prompt
+     * @param array  $prospect Prospect data
+     * @param array  $visitor_info Formatted visitor info
+     * @param array  $available_urls Formatted available URLs
+     * @param array  $campaign Campaign row
+     * @return string Prompt with variable values
+     */
+    private function render_variables( $prompt, $prospect, $visitor_info, $available_urls, $campaign ) {
+        if ( ! class_exists( 'DR_Prompt_Variables' ) ) {
+            return $prompt;
+        }
+
+        return DR_Prompt_Variables::render(
+            $prompt,
+            $this->get_variable_context( $prospect, $visitor_info, $available_urls, $campaign )
+        );
+    }
+
+    /**
+     * Merge variable values for a prospect
+     *
+     * @param array $prospect Prospect data
+     * @param array $visitor_info Formatted visitor info
+     * @param array $available_urls Formatted available URLs
+     * @param array $campaign Campaign row
+     * @return array name => value
+     */
+    public function get_variable_context( $prospect, $visitor_info, $available_urls, $campaign = array() ) {
+        // Visitor data carries the enriched firmographics; the prospect row is the fallback
+        $visitor_info = array_merge( array(
+            'job_title' => $prospect['job_title'] ?? '',
+            'company_industry' => $prospect['company_industry'] ?? '',
+            'company_size' => $prospect['company_size'] ?? '',
+        ), $visitor_info );
+
+        $room_type = ! empty( $this->data['room_type'] ) ? $this->data['room_type'] : ( $prospect['current_room'] ?? '' );
+
+        return DR_Prompt_Variables::build_context( $visitor_info, $available_urls, $campaign, $room_type );
+    }
+
     /**
      * Create from database row
      *
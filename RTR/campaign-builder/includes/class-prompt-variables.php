@@ -0,0 +1,246 @@
+<?php
+/**
+ * Prompt Variables
+ *
+ * Merge variables for prompt templates. Sections may reference
+ * `{{prospect.company_name}}`, `{{campaign.utm}}`, `{{room}}`,
+ * `{{content_link.best}}` etc.; they are replaced with the prospect's
+ * values when the prompt is assembled for generation. Whitespace inside
+ * the braces is ignored and unknown names are left untouched.
+ *
+ * @package DirectReach
+ * @subpackage RTR
+ * @since 2.5.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class DR_Prompt_Variables {
+
+    /**
+     * Variable syntax: {{ name }} or {{ group.name }}
+     */
+    const PATTERN = '/\{\{\s*([a-zA-Z_]+(?:\.[a-zA-Z_]+)?)\s*\}\}/';
+
+    /**
+     * Variable definitions
+     *
+     * Examples are the values shown when no real prospect is available.
+     *
+     * @return array name => { group, label, description, example }
+     */
+    public static function get_definitions() {
+        return array(
+            'prospect.company_name' => array(
+                'group' => 'Prospect',
+                'label' => 'Company name',
+                'description' => 'Company the visitor was identified with',
+                'example' => 'Acme Manufacturing Corp',
+            ),
+            'prospect.contact_name' => array(
+                'group' => 'Prospect',
+                'label' => 'Contact name',
+                'description' => 'Full name of the contact',
+                'example' => 'Sarah Johnson',
+            ),
+            'prospect.first_name' => array(
+                'group' => 'Prospect',
+                'label' => 'First name',
+                'description' => 'First word of the contact name',
+                'example' => 'Sarah',
+            ),
+            'prospect.job_title' => array(
+                'group' => 'Prospect',
+                'label' => 'Job title',
+                'description' => 'Contact job title',
+                'example' => 'VP of Marketing',
+            ),
+            'prospect.industry' => array(
+                'group' => 'Prospect',
+                'label' => 'Industry',
+                'description' => 'Company industry, when enriched',
+                'example' => 'Manufacturing',
+            ),
+            'prospect.company_size' => array(
+                'group' => 'Prospect',
+                'label' => 'Company size',
+                'description' => 'Employee range, when enriched',
+                'example' => '201-500',
+            ),
+            'prospect.lead_score' => array(
+                'group' => 'Prospect',
+                'label' => 'Lead score',
+                'description' => 'Current lead score',
+                'example' => '35',
+            ),
+            'prospect.days_in_room' => array(
+                'group' => 'Prospect',
+                'label' => 'Days in room',
+                'description' => 'Days since the prospect entered the current room',
+                'example' => '3',
+            ),
+            'prospect.email_number' => array(
+                'group' => 'Prospect',
+                'label' => 'Email number',
+                'description' => 'Position of this email in the prospect sequence',
+                'example' => '1',
+            ),
+            'campaign.name' => array(
+                'group' => 'Campaign',
+                'label' => 'Campaign name',
+                'description' => 'Name of the campaign',
+                'example' => 'Q4 Manufacturing Push',
+            ),
+            'campaign.utm' => array(
+                'group' => 'Campaign',
+                'label' => 'UTM campaign',
+                'description' => 'utm_campaign value of the campaign',
+                'example' => 'q4-manufacturing',
+            ),
+            'campaign.description' => array(
+                'group' => 'Campaign',
+                'label' => 'Campaign description',
+                'description' => 'Campaign description, if set',
+                'example' => 'Reach manufacturers researching marketing attribution',
+            ),
+            'room' => array(
+                'group' => 'Room',
+                'label' => 'Room',
+                'description' => 'Room the email is written for (problem, solution or offer)',
+                'example' => 'problem',
+            ),
+            'content_link.best' => array(
+                'group' => 'Content',
+                'label' => 'Best content link',
+                'description' => 'Title and URL of the first content link not yet sent to the prospect',
+                'example' => 'Marketing ROI Guide (https://example.com/roi-guide)',
+            ),
+            'content_link.best_title' => array(
+                'group' => 'Content',
+                'label' => 'Best content link title',
+                'description' => 'Title of the first content link not yet sent',
+                'example' => 'Marketing ROI Guide',
+            ),
+            'content_link.best_url' => array(
+                'group' => 'Content',
+                'label' => 'Best content link URL',
+                'description' => 'URL of the first content link not yet sent',
+                'example' => 'https://example.com/roi-guide',
+            ),
+            'content_link.count' => array(
+                'group' => 'Content',
+                'label' => 'Available content links',
+                'description' => 'Number of content links the model can choose from',
+                'example' => '3',
+            ),
+        );
+    }
+
+    /**
+     * Variable names used in a text
+     *
+     * @param string $text Text
+     * @return array Unique names in order of appearance
+     */
+    public static function find( $text ) {
+        if ( ! is_string( $text ) || ! preg_match_all( self::PATTERN, $text, $matches ) ) {
+            return array();
+        }
+
+        return array_values( array_unique( $matches[1] ) );
+    }
+
+    /**
+     * Variable names in a text that are not defined
+     *
+     * @param string $text Text
+     * @return array Unknown names
+     */
+    public static function find_unknown( $text ) {
+        return array_values( array_diff( self::find( $text ), array_keys( self::get_definitions() ) ) );
+    }
+
+    /**
+     * Replace known variables in a text
+     *
+     * @param string $text    Text
+     * @param array  $context name => value
+     * @return string
+     */
+    public static function render( $text, $context ) {
+        return preg_replace_callback( self::PATTERN, function( $match ) use ( $context ) {
+            return array_key_exists( $match[1], $context ) ? (string) $context[ $match[1] ] : $match[0];
+        }, $text );
+    }
+
+    /**
+     * Build variable values for a generation
+     *
+     * @param array  $visitor_info   Formatted visitor info (CPD_Prompt_Template::format_visitor_info)
+     * @param array  $available_urls Formatted available URLs, best first
+     * @param array  $campaign       Campaign row (dr_campaign_settings)
+     * @param string $room_type      Room type
+     * @return array name => value
+     */
+    public static function build_context( $visitor_info, $available_urls, $campaign, $room_type ) {
+        $best = ! empty( $available_urls ) ? reset( $available_urls ) : null;
+
+        return array(
+            'prospect.company_name' => $visitor_info['company_name'] ?? '',
+            'prospect.contact_name' => $visitor_info['contact_name'] ?? '',
+            'prospect.first_name' => $visitor_info['first_name'] ?? '',
+            'prospect.job_title' => $visitor_info['job_title'] ?? '',
+            'prospect.industry' => $visitor_info['company_industry'] ?? '',
+            'prospect.company_size' => $visitor_info['company_size'] ?? '',
+            'prospect.lead_score' => (string) ( $visitor_info['lead_score'] ?? 0 ),
+            'prospect.days_in_room' => (string) ( $visitor_info['days_in_room'] ?? 0 ),
+            'prospect.email_number' => (string) ( $visitor_info['email_sequence_position'] ?? 0 ),
+            'campaign.name' => $campaign['campaign_name'] ?? '',
+            'campaign.utm' => $campaign['utm_campaign'] ?? '',
+            'campaign.description' => $campaign['campaign_description'] ?? '',
+            'room' => $room_type,
+            'content_link.best' => $best ? sprintf( '%s (%s)', $best['title'], $best['url'] ) : '',
+            'content_link.best_title' => $best ? $best['title'] : '',
+            'content_link.best_url' => $best ? $best['url'] : '',
+            'content_link.count' => (string) count( $available_urls ),
+        );
+    }
+
+    /**
+     * Example values for every variable
+     *
+     * @param string $room_type Room type
+     * @return array name => value
+     */
+    public static function get_examples( $room_type ) {
+        $examples = wp_list_pluck( self::get_definitions(), 'example' );
+        $examples['room'] = $room_type;
+
+        return $examples;
+    }
+
+    /**
+     * Load the campaign row variables are read from
+     *
+     * @param int $campaign_id Campaign ID
+     * @return array Campaign row, empty if not found
+     */
+    public static function load_campaign( $campaign_id ) {
+        global $wpdb;
+
+        if ( ! $campaign_id ) {
+            return array();
+        }
+
+        $campaign = $wpdb->get_row( $wpdb->prepare(
+            "SELECT campaign_name, utm_campaign, campaign_description
+             FROM {$wpdb->prefix}dr_campaign_settings
+             WHERE id = %d",
+            $campaign_id
+        ), ARRAY_A );
+
+        return $campaign ?: array();
+    }
+}
@@ -0,0 +1,426 @@
+<?php
+/**
+ * Template Experiments
+ *
+ * A/B tests between the prompt templates of one campaign room. While an
+ * experiment is running, each prospect is assigned a variant by traffic
+ * weight and keeps it for every email generated in that room. Each
+ * generated email is logged against its experiment, so the copy and open
+ * data already kept in wp_rtr_email_tracking can be broken down by
+ * variant.
+ *
+ * Completing an experiment with a winner pins that template for the room
+ * until another experiment is started.
+ *
+ * @package DirectReach
+ * @subpackage RTR
+ * @since 2.5.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class DR_Template_Experiments {
+
+    /**
+     * Schema version (stored in the dr_cb_template_experiments_db_version option)
+     */
+    const SCHEMA_VERSION = '1.0.0';
+
+    /**
+     * Variant weight bounds
+     */
+    const MIN_WEIGHT = 1;
+    const MAX_WEIGHT = 100;
+
+    /**
+     * WordPress database instance
+     *
+     * @var wpdb
+     */
+    private $wpdb;
+
+    /**
+     * Experiments table name
+     *
+     * @var string
+     */
+    private $table_name;
+
+    /**
+     * Experiment emails table name
+     *
+     * @var string
+     */
+    private $emails_table;
+
+    /**
+     * Email tracking table name
+     *
+     * @var string
+     */
+    private $tracking_table;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        global $wpdb;
+        $this->wpdb = $wpdb;
+        $this->table_name = $wpdb->prefix . 'rtr_template_experiments';
+        $this->emails_table = $wpdb->prefix . 'rtr_template_experiment_emails';
+        $this->tracking_table = $wpdb->prefix . 'rtr_email_tracking';
+    }
+
+    /**
+     * Create or upgrade the experiment tables
+     *
+     * @return bool Success
+     */
+    public function install_schema() {
+        if ( version_compare( get_option( 'dr_cb_template_experiments_db_version', '0.0.0' ), self::SCHEMA_VERSION, '>=' ) ) {
+            return true;
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $charset_collate = $this->wpdb->get_charset_collate();
+
+        dbDelta( "CREATE TABLE {$this->table_name} (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            campaign_id BIGINT UNSIGNED NOT NULL,
+            room_type VARCHAR(20) NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'running',
+            variants TEXT NOT NULL,
+            winner_template_id BIGINT UNSIGNED NULL,
+            created_by BIGINT UNSIGNED NULL,
+            started_at DATETIME NOT NULL,
+            ended_at DATETIME NULL,
+            PRIMARY KEY  (id),
+            KEY idx_campaign_room (campaign_id, room_type, status)
+        ) {$charset_collate};" );
+
+        dbDelta( "CREATE TABLE {$this->emails_table} (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            experiment_id BIGINT UNSIGNED NOT NULL,
+            prospect_id BIGINT UNSIGNED NOT NULL,
+            template_id BIGINT UNSIGNED NOT NULL,
+            tracking_id BIGINT UNSIGNED NOT NULL,
+            created_at DATETIME NOT NULL,
+            PRIMARY KEY  (id),
+            KEY idx_experiment_prospect (experiment_id, prospect_id),
+            UNIQUE KEY idx_tracking (tracking_id)
+        ) {$charset_collate};" );
+
+        foreach ( array( $this->table_name, $this->emails_table ) as $table ) {
+            if ( $this->wpdb->get_var( "SHOW TABLES LIKE '{$table}'" ) !== $table ) {
+                error_log( '[DR Template Experiments] Failed to create table ' . $table );
+                return false;
+            }
+        }
+
+        update_option( 'dr_cb_template_experiments_db_version', self::SCHEMA_VERSION );
+        return true;
+    }
+
+    /**
+     * Pick the template to generate with
+     *
+     * Running experiment: the prospect's earlier variant if still
+     * available, otherwise a weighted random one. Completed experiment
+     * with a winner: the winner. Otherwise (or if none of those templates
+     * is available any more) the first template, as before.
+     *
+     * @param int    $campaign_id Campaign ID
+     * @param string $room_type   Room type
+     * @param int    $prospect_id Prospect ID
+     * @param array  $templates   Available CPD_Prompt_Template objects (non-empty)
+     * @return array { template: CPD_Prompt_Template, experiment_id: int|null }
+     */
+    public function select_template( $campaign_id, $room_type, $prospect_id, $templates ) {
+        $by_id = array();
+        foreach ( $templates as $template ) {
+            $by_id[ (int) $template->get_id() ] = $template;
+        }
+
+        $default = array( 'template' => $templates[0], 'experiment_id' => null );
+        $experiment = $this->get_current_row( $campaign_id, $room_type );
+
+        if ( ! $experiment ) {
+            return $default;
+        }
+
+        if ( $experiment->status !== 'running' ) {
+            $winner = (int) $experiment->winner_template_id;
+            return isset( $by_id[ $winner ] ) ? array( 'template' => $by_id[ $winner ], 'experiment_id' => null ) : $default;
+        }
+
+        $assigned = (int) $this->wpdb->get_var( $this->wpdb->prepare(
+            "SELECT template_id FROM {$this->emails_table} WHERE experiment_id = %d AND prospect_id = %d ORDER BY id ASC LIMIT 1",
+            $experiment->id,
+            $prospect_id
+        ) );
+
+        if ( isset( $by_id[ $assigned ] ) ) {
+            return array( 'template' => $by_id[ $assigned ], 'experiment_id' => (int) $experiment->id );
+        }
+
+        $variants = array_values( array_filter( $this->decode_variants( $experiment->variants ), function( $variant ) use ( $by_id ) {
+            return isset( $by_id[ $variant['template_id'] ] );
+        } ) );
+
+        if ( empty( $variants ) ) {
+            return $default;
+        }
+
+        $total = array_sum( wp_list_pluck( $variants, 'weight' ) );
+        $roll = wp_rand( 1, $total );
+
+        foreach ( $variants as $variant ) {
+            $roll -= $variant['weight'];
+            if ( $roll <= 0 ) {
+                break;
+            }
+        }
+
+        return array( 'template' => $by_id[ $variant['template_id'] ], 'experiment_id' => (int) $experiment->id );
+    }
+
+    /**
+     * Log a generated email against its experiment
+     *
+     * @param int $experiment_id Experiment ID
+     * @param int $prospect_id   Prospect ID
+     * @param int $template_id   Template used
+     * @param int $tracking_id   Email tracking record ID
+     * @return bool Success
+     */
+    public function record_email( $experiment_id, $prospect_id, $template_id, $tracking_id ) {
+        if ( ! $this->install_schema() ) {
+            return false;
+        }
+
+        return false !== $this->wpdb->insert( $this->emails_table, array(
+            'experiment_id' => $experiment_id,
+            'prospect_id' => $prospect_id,
+            'template_id' => $template_id,
+            'tracking_id' => $tracking_id,
+            'created_at' => current_time( 'mysql' ),
+        ) );
+    }
+
+    /**
+     * Start an experiment
+     *
+     * @param int    $campaign_id Campaign ID
+     * @param string $room_type   Room type
+     * @param array  $variants    [{ template_id, weight }], validated by the caller
+     * @return array|WP_Error Prepared experiment
+     */
+    public function start( $campaign_id, $room_type, $variants ) {
+        if ( ! $this->install_schema() ) {
+            return new WP_Error( 'database_error', 'Experiment tables are not available', array( 'status' => 500 ) );
+        }
+
+        $current = $this->get_current_row( $campaign_id, $room_type );
+        if ( $current && $current->status === 'running' ) {
+            return new WP_Error(
+                'experiment_running',
+                'An experiment is already running for this room',
+                array( 'status' => 409 )
+            );
+        }
+
+        $result = $this->wpdb->insert( $this->table_name, array(
+            'campaign_id' => $campaign_id,
+            'room_type' => $room_type,
+            'status' => 'running',
+            'variants' => wp_json_encode( $variants ),
+            'created_by' => get_current_user_id() ?: null,
+            'started_at' => current_time( 'mysql' ),
+        ) );
+
+        if ( false === $result ) {
+            return new WP_Error( 'database_error', 'Failed to start experiment: ' . $this->wpdb->last_error, array( 'status' => 500 ) );
+        }
+
+        return $this->get_experiment( $this->wpdb->insert_id );
+    }
+
+    /**
+     * Complete a running experiment, optionally promoting a winner
+     *
+     * @param int      $experiment_id      Experiment ID
+     * @param int|null $winner_template_id Variant to pin for the room
+     * @return array|WP_Error Prepared experiment
+     */
+    public function complete( $experiment_id, $winner_template_id = null ) {
+        $experiment = $this->get_row( $experiment_id );
+
+        if ( ! $experiment ) {
+            return new WP_Error( 'not_found', 'Experiment not found', array( 'status' => 404 ) );
+        }
+
+        if ( $experiment->status !== 'running' ) {
+            return new WP_Error( 'experiment_completed', 'Experiment has already ended', array( 'status' => 409 ) );
+        }
+
+        if ( $winner_template_id && ! in_array( $winner_template_id, wp_list_pluck( $this->decode_variants( $experiment->variants ), 'template_id' ), true ) ) {
+            return new WP_Error( 'invalid_winner', 'Winner must be one of the experiment variants', array( 'status' => 400 ) );
+        }
+
+        $this->wpdb->update(
+            $this->table_name,
+            array(
+                'status' => 'completed',
+                'winner_template_id' => $winner_template_id ?: null,
+                'ended_at' => current_time( 'mysql' ),
+            ),
+            array( 'id' => $experiment_id ),
+            null,
+            array( '%d' )
+        );
+
+        return $this->get_experiment( $experiment_id );
+    }
+
+    /**
+     * Running or most recent experiment of each room
+     *
+     * @param int $campaign_id Campaign ID
+     * @return array { problem: array|null, solution: array|null, offer: array|null }
+     */
+    public function get_for_campaign( $campaign_id ) {
+        $rooms = array( 'problem' => null, 'solution' => null, 'offer' => null );
+
+        if ( ! $this->install_schema() ) {
+            return $rooms;
+        }
+
+        foreach ( array_keys( $rooms ) as $room ) {
+            $row = $this->get_current_row( $campaign_id, $room );
+            $rooms[ $room ] = $row ? $this->prepare_experiment( $row ) : null;
+        }
+
+        return $rooms;
+    }
+
+    /**
+     * One experiment with results
+     *
+     * @param int $experiment_id Experiment ID
+     * @return array|null
+     */
+    public function get_experiment( $experiment_id ) {
+        $row = $this->get_row( $experiment_id );
+        return $row ? $this->prepare_experiment( $row ) : null;
+    }
+
+    /**
+     * Shape an experiment row, with per-variant results, for the REST API
+     *
+     * Copy and open rates follow CPD_Email_Tracking_Manager::get_stats():
+     * an email counts as copied once it reached copied or any later status,
+     * and open rate is opened / copied.
+     *
+     * @param object $row Database row
+     * @return array
+     */
+    public function prepare_experiment( $row ) {
+        $stats = $this->wpdb->get_results( $this->wpdb->prepare(
+            "SELECT e.template_id,
+                COUNT(DISTINCT e.prospect_id) AS prospects,
+                COUNT(t.id) AS emails,
+                SUM(CASE WHEN t.copied_at IS NOT NULL OR t.status IN ('copied', 'sent', 'opened', 'clicked') THEN 1 ELSE 0 END) AS copied,
+                SUM(CASE WHEN t.opened_at IS NOT NULL OR t.status IN ('opened', 'clicked') THEN 1 ELSE 0 END) AS opened
+             FROM {$this->emails_table} e
+             LEFT JOIN {$this->tracking_table} t ON t.id = e.tracking_id
+             WHERE e.experiment_id = %d
+             GROUP BY e.template_id",
+            $row->id
+        ), OBJECT_K );
+
+        $variants = array();
+        foreach ( $this->decode_variants( $row->variants ) as $variant ) {
+            $stat = $stats[ $variant['template_id'] ] ?? null;
+            $emails = $stat ? (int) $stat->emails : 0;
+            $copied = $stat ? (int) $stat->copied : 0;
+            $opened = $stat ? (int) $stat->opened : 0;
+
+            $variants[] = array(
+                'template_id' => $variant['template_id'],
+                'weight' => $variant['weight'],
+                'prospects' => $stat ? (int) $stat->prospects : 0,
+                'emails' => $emails,
+                'copied' => $copied,
+                'opened' => $opened,
+                'copy_rate' => $emails > 0 ? round( $copied / $emails * 100, 2 ) : 0,
+                'open_rate' => $copied > 0 ? round( $opened / $copied * 100, 2 ) : 0,
+            );
+        }
+
+        return array(
+            'id' => (int) $row->id,
+            'campaign_id' => (int) $row->campaign_id,
+            'room_type' => $row->room_type,
+            'status' => $row->status,
+            'variants' => $variants,
+            'winner_template_id' => $row->winner_template_id !== null ? (int) $row->winner_template_id : null,
+            'started_at' => $row->started_at,
+            'ended_at' => $row->ended_at,
+        );
+    }
+
+    /**
+     * @param string $json Stored variants
+     * @return array [{ template_id: int, weight: int }]
+     */
+    private function decode_variants( $json ) {
+        $variants = json_decode( $json, true ) ?: array();
+
+        return array_map( function( $variant ) {
+            return array(
+                'template_id' => (int) $variant['template_id'],
+                'weight' => max( self::MIN_WEIGHT, (int) $variant['weight'] ),
+            );
+        }, $variants );
+    }
+
+    /**
+     * Running experiment of a room, or the most recent completed one
+     *
+     * @param int    $campaign_id Campaign ID
+     * @param string $room_type   Room type
+     * @return object|null
+     */
+    private function get_current_row( $campaign_id, $room_type ) {
+        if ( ! $this->install_schema() ) {
+            return null;
+        }
+
+        return $this->wpdb->get_row( $this->wpdb->prepare(
+            "SELECT * FROM {$this->table_name}
+             WHERE campaign_id = %d AND room_type = %s
+             ORDER BY status = 'running' DESC, id DESC
+             LIMIT 1",
+            $campaign_id,
+            $room_type
+        ) );
+    }
+
+    /**
+     * @param int $experiment_id Experiment ID
+     * @return object|null
+     */
+    private function get_row( $experiment_id ) {
+        if ( ! $this->install_schema() ) {
+            return null;
+        }
+
+        return $this->wpdb->get_row( $this->wpdb->prepare(
+            "SELECT * FROM {$this->table_name} WHERE id = %d",
+            $experiment_id
+        ) );
+    }
+}
@@ -0,0 +1,165 @@
+<?php
+/**
+ * Template Golden Outputs
+ *
+ * Reference ("golden") emails pinned from the template test bench. One
+ * output is kept per campaign, room and prospect, so a new prompt draft
+ * can be compared with the pinned email for the same prospect.
+ *
+ * @package DirectReach
+ * @subpackage RTR
+ * @since 2.5.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class DR_Template_Golden_Outputs {
+
+    /**
+     * Schema version (stored in the dr_cb_golden_outputs_db_version option)
+     */
+    const SCHEMA_VERSION = '1.0.0';
+
+    /**
+     * WordPress database instance
+     *
+     * @var wpdb
+     */
+    private $wpdb;
+
+    /**
+     * Golden outputs table name
+     *
+     * @var string
+     */
+    private $table_name;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        global $wpdb;
+        $this->wpdb = $wpdb;
+        $this->table_name = $wpdb->prefix . 'rtr_template_golden_outputs';
+    }
+
+    /**
+     * Create or upgrade the golden outputs table
+     *
+     * @return bool Success
+     */
+    public function install_schema() {
+        if ( version_compare( get_option( 'dr_cb_golden_outputs_db_version', '0.0.0' ), self::SCHEMA_VERSION, '>=' ) ) {
+            return true;
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $charset_collate = $this->wpdb->get_charset_collate();
+
+        dbDelta( "CREATE TABLE {$this->table_name} (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            campaign_id BIGINT UNSIGNED NOT NULL,
+            room_type VARCHAR(20) NOT NULL,
+            prospect_id BIGINT UNSIGNED NOT NULL,
+            template_name VARCHAR(255) NULL,
+            subject VARCHAR(500) NOT NULL,
+            body_html LONGTEXT NOT NULL,
+            body_text LONGTEXT NOT NULL,
+            pinned_by BIGINT UNSIGNED NULL,
+            created_at DATETIME NOT NULL,
+            PRIMARY KEY  (id),
+            UNIQUE KEY idx_campaign_room_prospect (campaign_id, room_type, prospect_id)
+        ) {$charset_collate};" );
+
+        if ( $this->wpdb->get_var( "SHOW TABLES LIKE '{$this->table_name}'" ) !== $this->table_name ) {
+            error_log( '[DR Golden Outputs] Failed to create golden outputs table' );
+            return false;
+        }
+
+        update_option( 'dr_cb_golden_outputs_db_version', self::SCHEMA_VERSION );
+        return true;
+    }
+
+    /**
+     * Golden outputs of a campaign room
+     *
+     * @param int    $campaign_id Campaign ID
+     * @param string $room_type   Room type
+     * @return array Prepared outputs
+     */
+    public function get_for_room( $campaign_id, $room_type ) {
+        if ( ! $this->install_schema() ) {
+            return array();
+        }
+
+        $rows = $this->wpdb->get_results( $this->wpdb->prepare(
+            "SELECT * FROM {$this->table_name} WHERE campaign_id = %d AND room_type = %s ORDER BY created_at DESC",
+            $campaign_id,
+            $room_type
+        ) );
+
+        return array_map( array( $this, 'prepare_output' ), $rows );
+    }
+
+    /**
+     * Pin an output, replacing the prospect's previous one for the room
+     *
+     * @param array $data campaign_id, room_type, prospect_id, template_name, subject, body_html, body_text
+     * @return array|null Prepared output
+     */
+    public function pin( $data ) {
+        if ( ! $this->install_schema() ) {
+            return null;
+        }
+
+        $row = array_merge( $data, array(
+            'pinned_by' => get_current_user_id() ?: null,
+            'created_at' => current_time( 'mysql' ),
+        ) );
+
+        if ( false === $this->wpdb->replace( $this->table_name, $row ) ) {
+            error_log( '[DR Golden Outputs] Failed to pin output: ' . $this->wpdb->last_error );
+            return null;
+        }
+
+        $row['id'] = $this->wpdb->insert_id;
+        return $this->prepare_output( (object) $row );
+    }
+
+    /**
+     * Unpin an output
+     *
+     * @param int $output_id Output ID
+     * @return bool Whether a row was deleted
+     */
+    public function delete( $output_id ) {
+        if ( ! $this->install_schema() ) {
+            return false;
+        }
+
+        return (bool) $this->wpdb->delete( $this->table_name, array( 'id' => $output_id ), array( '%d' ) );
+    }
+
+    /**
+     * Shape a row for the REST API
+     *
+     * @param object $row Database row
+     * @return array
+     */
+    public function prepare_output( $row ) {
+        return array(
+            'id' => (int) $row->id,
+            'campaign_id' => (int) $row->campaign_id,
+            'room_type' => $row->room_type,
+            'prospect_id' => (int) $row->prospect_id,
+            'template_name' => $row->template_name,
+            'subject' => $row->subject,
+            'body_html' => $row->body_html,
+            'body_text' => $row->body_text,
+            'created_at' => $row->created_at,
+        );
+    }
+}
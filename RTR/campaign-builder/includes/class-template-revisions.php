@@ -0,0 +1,262 @@
+<?php
+/**
+ * Template Revisions
+ *
+ * Append-only history of AI prompt templates. Every save that changes a
+ * template's name or prompt sections adds a numbered revision to
+ * wp_rtr_email_template_revisions with its author and timestamp;
+ * revisions are never updated or deleted, so a rollback is recorded as
+ * a new revision pointing at the one it restored.
+ *
+ * Templates created before this table existed get a baseline revision
+ * the first time they are edited or their history is requested.
+ *
+ * @package DirectReach
+ * @subpackage RTR
+ * @since 2.5.0
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+class DR_Template_Revisions {
+
+    /**
+     * Schema version (stored in the dr_cb_template_revisions_db_version option)
+     */
+    const SCHEMA_VERSION = '1.0.0';
+
+    /**
+     * Revisions returned by get_revisions()
+     */
+    const MAX_REVISIONS = 100;
+
+    /**
+     * WordPress database instance
+     *
+     * @var wpdb
+     */
+    private $wpdb;
+
+    /**
+     * Revisions table name
+     *
+     * @var string
+     */
+    private $table_name;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        global $wpdb;
+        $this->wpdb = $wpdb;
+        $this->table_name = $wpdb->prefix . 'rtr_email_template_revisions';
+    }
+
+    /**
+     * Create or upgrade the revisions table
+     *
+     * @return bool Success
+     */
+    public function install_schema() {
+        if ( version_compare( get_option( 'dr_cb_template_revisions_db_version', '0.0.0' ), self::SCHEMA_VERSION, '>=' ) ) {
+            return true;
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $charset_collate = $this->wpdb->get_charset_collate();
+
+        dbDelta( "CREATE TABLE {$this->table_name} (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            template_id BIGINT UNSIGNED NOT NULL,
+            revision_number INT UNSIGNED NOT NULL,
+            template_name VARCHAR(255) NOT NULL,
+            room_type VARCHAR(20) NOT NULL,
+            prompt_template LONGTEXT NOT NULL,
+            note VARCHAR(255) NULL,
+            restored_from INT UNSIGNED NULL,
+            author_id BIGINT UNSIGNED NULL,
+            created_at DATETIME NOT NULL,
+            PRIMARY KEY  (id),
+            UNIQUE KEY idx_template_revision (template_id, revision_number)
+        ) {$charset_collate};" );
+
+        if ( $this->wpdb->get_var( "SHOW TABLES LIKE '{$this->table_name}'" ) !== $this->table_name ) {
+            error_log( '[DR Template Revisions] Failed to create revisions table' );
+            return false;
+        }
+
+        update_option( 'dr_cb_template_revisions_db_version', self::SCHEMA_VERSION );
+        return true;
+    }
+
+    /**
+     * Record the current state of a template
+     *
+     * Nothing is added when the name and prompt match the latest revision
+     * (e.g. a save that only changed template_order).
+     *
+     * @param array    $template      Template row (ARRAY_A)
+     * @param string   $note          Short description ("Created", "Edited", ...)
+     * @param int|null $restored_from Revision number this one restores
+     * @return array|null Prepared revision, or null on failure
+     */
+    public function record( $template, $note, $restored_from = null ) {
+        if ( ! $this->install_schema() ) {
+            return null;
+        }
+
+        $template_id = (int) $template['id'];
+        $latest = $this->get_latest_row( $template_id );
+
+        if ( $latest && null === $restored_from && $this->matches( $latest, $template ) ) {
+            return $this->prepare_revision( $latest );
+        }
+
+        return $this->insert( $template, array(
+            'revision_number' => $latest ? (int) $latest->revision_number + 1 : 1,
+            'note' => $note,
+            'restored_from' => $restored_from,
+            'author_id' => get_current_user_id() ?: null,
+            'created_at' => current_time( 'mysql', true ),
+        ) );
+    }
+
+    /**
+     * Record a template's pre-history state if it has no revisions yet
+     *
+     * @param array $template Template row (ARRAY_A) as currently stored
+     */
+    public function ensure_baseline( $template ) {
+        if ( ! $this->install_schema() || $this->get_latest_row( (int) $template['id'] ) ) {
+            return;
+        }
+
+        // Author unknown; the template's own timestamp is the best we have
+        $this->insert( $template, array(
+            'revision_number' => 1,
+            'note' => 'Before revision history',
+            'restored_from' => null,
+            'author_id' => null,
+            'created_at' => $template['updated_at'] ?: $template['created_at'],
+        ) );
+    }
+
+    /**
+     * Revisions of a template, newest first
+     *
+     * @param int $template_id Template ID
+     * @return array Prepared revisions
+     */
+    public function get_revisions( $template_id ) {
+        if ( ! $this->install_schema() ) {
+            return array();
+        }
+
+        $rows = $this->wpdb->get_results( $this->wpdb->prepare(
+            "SELECT * FROM {$this->table_name}
+             WHERE template_id = %d
+             ORDER BY revision_number DESC
+             LIMIT %d",
+            $template_id,
+            self::MAX_REVISIONS
+        ) );
+
+        return array_map( array( $this, 'prepare_revision' ), $rows );
+    }
+
+    /**
+     * One revision of a template
+     *
+     * @param int $template_id Template ID
+     * @param int $revision_id Revision row ID
+     * @return array|null Prepared revision
+     */
+    public function get_revision( $template_id, $revision_id ) {
+        if ( ! $this->install_schema() ) {
+            return null;
+        }
+
+        $row = $this->wpdb->get_row( $this->wpdb->prepare(
+            "SELECT * FROM {$this->table_name} WHERE id = %d AND template_id = %d",
+            $revision_id,
+            $template_id
+        ) );
+
+        return $row ? $this->prepare_revision( $row ) : null;
+    }
+
+    /**
+     * Shape a revision row for the REST API
+     *
+     * @param object $row Database row
+     * @return array
+     */
+    public function prepare_revision( $row ) {
+        $author = $row->author_id ? get_userdata( (int) $row->author_id ) : null;
+
+        return array(
+            'id' => (int) $row->id,
+            'template_id' => (int) $row->template_id,
+            'revision_number' => (int) $row->revision_number,
+            'template_name' => $row->template_name,
+            'room_type' => $row->room_type,
+            'prompt_template' => json_decode( $row->prompt_template, true ) ?: array(),
+            'note' => $row->note,
+            'restored_from' => $row->restored_from !== null ? (int) $row->restored_from : null,
+            'author' => $author ? array(
+                'id' => (int) $author->ID,
+                'name' => $author->display_name,
+            ) : null,
+            'created_at' => $row->created_at,
+        );
+    }
+
+    /**
+     * @param array $template Template row
+     * @param array $meta     revision_number, note, restored_from, author_id, created_at
+     * @return array|null Prepared revision
+     */
+    private function insert( $template, $meta ) {
+        $row = array_merge( array(
+            'template_id' => (int) $template['id'],
+            'template_name' => $template['template_name'],
+            'room_type' => $template['room_type'],
+            'prompt_template' => $template['prompt_template'],
+        ), $meta );
+
+        if ( false === $this->wpdb->insert( $this->table_name, $row ) ) {
+            error_log( '[DR Template Revisions] Failed to record revision: ' . $this->wpdb->last_error );
+            return null;
+        }
+
+        $row['id'] = $this->wpdb->insert_id;
+        return $this->prepare_revision( (object) $row );
+    }
+
+    /**
+     * Whether a revision holds the same name and prompt as a template row
+     *
+     * @param object $revision Revision row
+     * @param array  $template Template row
+     * @return bool
+     */
+    private function matches( $revision, $template ) {
+        return $revision->template_name === $template['template_name']
+            && json_decode( $revision->prompt_template, true ) == json_decode( $template['prompt_template'], true );
+    }
+
+    /**
+     * @param int $template_id Template ID
+     * @return object|null Latest revision row
+     */
+    private function get_latest_row( $template_id ) {
+        return $this->wpdb->get_row( $this->wpdb->prepare(
+            "SELECT * FROM {$this->table_name} WHERE template_id = %d ORDER BY revision_number DESC LIMIT 1",
+            $template_id
+        ) );
+    }
+}
@@ -0,0 +1,37 @@
+<?php
+/**
+ * PHPUnit bootstrap file
+ *
+ * Runs against the WordPress test suite (WP_TESTS_DIR, as set up by
+ * `wp scaffold plugin-tests`). Only the classes under test are loaded,
+ * not the full Campaign Builder bootstrap.
+ *
+ * @package DirectReach_Campaign_Builder
+ */
+
+$_tests_dir = getenv('WP_TESTS_DIR');
+
+if (!$_tests_dir) {
+    $_tests_dir = rtrim(sys_get_temp_dir(), '/\\') . '/wordpress-tests-lib';
+}
+
+if (!file_exists("{$_tests_dir}/includes/functions.php")) {
+    echo "Could not find {$_tests_dir}/includes/functions.php, have you run bin/install-wp-tests.sh ?" . PHP_EOL;
+    exit(1);
+}
+
+require_once "{$_tests_dir}/includes/functions.php";
+
+// The link health tests check URLs on a stub server on 127.0.0.1
+define('DR_CB_LINK_HEALTH_ALLOW_LOCAL', true);
+
+/**
+ * Load the plugin constants and the classes under test.
+ */
+function _manually_load_plugin() {
+    require dirname(__DIR__) . '/directreach-campaign-builder.php';
+    require dirname(__DIR__) . '/includes/class-link-health-checker.php';
+}
+tests_add_filter('muplugins_loaded', '_manually_load_plugin');
+
+require "{$_tests_dir}/includes/bootstrap.php";
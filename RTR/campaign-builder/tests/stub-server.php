@@ -0,0 +1,42 @@
+<?php
+/**
+ * Stub HTTP server for the link health checker tests
+ *
+ * Router script for PHP's built-in server, started by
+ * Test_Link_Health_Checker:
+ *
+ *   php -S 127.0.0.1:8080 tests/stub-server.php
+ *
+ * Routes:
+ *   /ok            200 with a page title
+ *   /redirect/{n}  301 to /redirect/{n-1}; /redirect/0 is a 302 to /ok
+ *   /missing       404
+ *
+ * Runs outside WordPress, so there is no ABSPATH guard.
+ *
+ * @package DirectReach_Campaign_Builder
+ */
+
+$path = parse_url($_SERVER['REQUEST_URI'], PHP_URL_PATH);
+
+if ($path === '/ok') {
+    header('Content-Type: text/html; charset=utf-8');
+    echo '<!DOCTYPE html><html><head><title>Stub &amp; Page</title></head><body>OK</body></html>';
+    return true;
+}
+
+if (preg_match('#^/redirect/(\d+)$#', $path, $matches)) {
+    $remaining = (int) $matches[1];
+
+    if ($remaining === 0) {
+        header('Location: /ok', true, 302);
+    } else {
+        header('Location: /redirect/' . ($remaining - 1), true, 301);
+    }
+    return true;
+}
+
+http_response_code(404);
+header('Content-Type: text/html; charset=utf-8');
+echo '<!DOCTYPE html><html><head><title>Not Found</title></head><body>Not Found</body></html>';
+return true;
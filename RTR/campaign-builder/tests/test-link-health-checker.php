@@ -0,0 +1,225 @@
+<?php
+/**
+ * DR_Link_Health_Checker tests
+ *
+ * Links are checked against tests/stub-server.php, run with PHP's
+ * built-in server on a free local port for the length of the class.
+ *
+ * @package DirectReach_Campaign_Builder
+ */
+
+class Test_Link_Health_Checker extends WP_UnitTestCase {
+
+    /** @var resource Stub server process */
+    private static $server;
+
+    /** @var string Stub server base URL */
+    private static $base_url;
+
+    /** @var DR_Link_Health_Checker */
+    private $checker;
+
+    public static function wpSetUpBeforeClass($factory) {
+        global $wpdb;
+
+        // Created by the dashboard schema in production; only the columns the checker uses
+        $charset_collate = $wpdb->get_charset_collate();
+        $wpdb->query("CREATE TABLE IF NOT EXISTS {$wpdb->prefix}rtr_room_content_links (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            campaign_id BIGINT UNSIGNED NOT NULL,
+            room_type VARCHAR(20) NOT NULL,
+            link_title VARCHAR(255) NOT NULL,
+            link_url VARCHAR(500) NOT NULL,
+            is_active TINYINT(1) NOT NULL DEFAULT 1,
+            created_at DATETIME NOT NULL,
+            updated_at DATETIME NOT NULL,
+            PRIMARY KEY  (id)
+        ) {$charset_collate}");
+
+        (new DR_Link_Health_Checker())->install_schema();
+
+        self::start_stub_server();
+    }
+
+    public static function wpTearDownAfterClass() {
+        if (is_resource(self::$server)) {
+            proc_terminate(self::$server);
+            proc_close(self::$server);
+        }
+    }
+
+    public function set_up() {
+        parent::set_up();
+
+        $this->checker = new DR_Link_Health_Checker();
+    }
+
+    public function test_a_200_response_is_healthy() {
+        $link_id = $this->create_link('/ok');
+
+        $record = $this->checker->check_link($link_id, self::$base_url . '/ok');
+
+        $this->assertSame('healthy', $record['status']);
+        $this->assertSame(200, $record['http_status']);
+        $this->assertSame(self::$base_url . '/ok', $record['final_url']);
+        $this->assertSame(array(), $record['redirect_chain']);
+        $this->assertSame('Stub & Page', $record['page_title']);
+        $this->assertSame(0, $record['consecutive_failures']);
+        $this->assertNotNull($record['last_ok_at']);
+        $this->assertFalse($record['deactivated']);
+        $this->assertTrue($this->is_active($link_id));
+    }
+
+    public function test_a_redirect_chain_is_followed_and_recorded() {
+        $link_id = $this->create_link('/redirect/2');
+
+        $record = $this->checker->check_link($link_id, self::$base_url . '/redirect/2');
+
+        $this->assertSame('redirected', $record['status']);
+        $this->assertSame(200, $record['http_status']);
+        $this->assertSame(self::$base_url . '/ok', $record['final_url']);
+        $this->assertSame(array(
+            array('url' => self::$base_url . '/redirect/2', 'status' => 301),
+            array('url' => self::$base_url . '/redirect/1', 'status' => 301),
+            array('url' => self::$base_url . '/redirect/0', 'status' => 302),
+        ), $record['redirect_chain']);
+        $this->assertSame('Stub & Page', $record['page_title']);
+        $this->assertSame(0, $record['consecutive_failures']);
+    }
+
+    public function test_a_redirect_chain_longer_than_the_limit_is_broken() {
+        $path = '/redirect/' . (DR_Link_Health_Checker::MAX_REDIRECTS + 1);
+
+        $record = $this->checker->check_link($this->create_link($path), self::$base_url . $path);
+
+        $this->assertSame('broken', $record['status']);
+        $this->assertNull($record['http_status']);
+        $this->assertSame('Too many redirects', $record['error_message']);
+        $this->assertCount(DR_Link_Health_Checker::MAX_REDIRECTS + 1, $record['redirect_chain']);
+    }
+
+    public function test_a_404_is_broken() {
+        $link_id = $this->create_link('/missing');
+
+        $record = $this->checker->check_link($link_id, self::$base_url . '/missing');
+
+        $this->assertSame('broken', $record['status']);
+        $this->assertSame(404, $record['http_status']);
+        $this->assertSame('HTTP 404', $record['error_message']);
+        $this->assertNull($record['page_title']);
+        $this->assertNull($record['last_ok_at']);
+        $this->assertSame(1, $record['consecutive_failures']);
+        $this->assertFalse($record['should_deactivate']);
+        $this->assertFalse($record['deactivated']);
+        $this->assertTrue($this->is_active($link_id));
+    }
+
+    public function test_repeated_failures_deactivate_the_link_at_the_threshold() {
+        $link_id = $this->create_link('/missing');
+        $url = self::$base_url . '/missing';
+
+        for ($check = 1; $check < DR_Link_Health_Checker::FAILURE_THRESHOLD; $check++) {
+            $record = $this->checker->check_link($link_id, $url);
+
+            $this->assertSame($check, $record['consecutive_failures']);
+            $this->assertFalse($record['deactivated']);
+            $this->assertTrue($this->is_active($link_id), "Still active after {$check} failed checks");
+        }
+
+        $record = $this->checker->check_link($link_id, $url);
+
+        $this->assertSame(DR_Link_Health_Checker::FAILURE_THRESHOLD, $record['consecutive_failures']);
+        $this->assertTrue($record['should_deactivate']);
+        $this->assertTrue($record['deactivated']);
+        $this->assertFalse($this->is_active($link_id));
+
+        // Already off, so a further failure does not report a new deactivation
+        $record = $this->checker->check_link($link_id, $url);
+
+        $this->assertTrue($record['should_deactivate']);
+        $this->assertFalse($record['deactivated']);
+    }
+
+    public function test_a_healthy_check_resets_the_failure_count() {
+        $link_id = $this->create_link('/missing');
+
+        for ($check = 1; $check < DR_Link_Health_Checker::FAILURE_THRESHOLD; $check++) {
+            $this->checker->check_link($link_id, self::$base_url . '/missing');
+        }
+
+        $record = $this->checker->check_link($link_id, self::$base_url . '/ok');
+
+        $this->assertSame('healthy', $record['status']);
+        $this->assertSame(0, $record['consecutive_failures']);
+
+        $record = $this->checker->check_link($link_id, self::$base_url . '/missing');
+
+        $this->assertSame(1, $record['consecutive_failures']);
+        $this->assertNotNull($record['last_ok_at']);
+        $this->assertTrue($this->is_active($link_id));
+    }
+
+    /**
+     * Start tests/stub-server.php on a free port and wait until it accepts connections
+     */
+    private static function start_stub_server() {
+        $probe = stream_socket_server('tcp://127.0.0.1:0');
+        $address = stream_socket_get_name($probe, false);
+        fclose($probe);
+
+        self::$base_url = 'http://' . $address;
+        self::$server = proc_open(
+            array(PHP_BINARY, '-S', $address, __DIR__ . '/stub-server.php'),
+            array(
+                0 => array('file', '/dev/null', 'r'),
+                1 => array('file', '/dev/null', 'w'),
+                2 => array('file', '/dev/null', 'w'),
+            ),
+            $pipes
+        );
+
+        for ($attempt = 0; $attempt < 50; $attempt++) {
+            $socket = @fsockopen('127.0.0.1', (int) parse_url(self::$base_url, PHP_URL_PORT), $errno, $errstr, 0.1);
+            if ($socket) {
+                fclose($socket);
+                return;
+            }
+            usleep(100000);
+        }
+
+        self::fail('Stub server did not start on ' . $address);
+    }
+
+    /**
+     * @param string $path Stub server path
+     * @return int Link ID
+     */
+    private function create_link($path) {
+        global $wpdb;
+
+        $wpdb->insert($wpdb->prefix . 'rtr_room_content_links', array(
+            'campaign_id' => 1,
+            'room_type' => 'problem',
+            'link_title' => 'Stub ' . $path,
+            'link_url' => self::$base_url . $path,
+            'is_active' => 1,
+            'created_at' => current_time('mysql'),
+            'updated_at' => current_time('mysql'),
+        ));
+
+        return (int) $wpdb->insert_id;
+    }
+
+    /**
+     * @param int $link_id Link ID
+     * @return bool
+     */
+    private function is_active($link_id) {
+        global $wpdb;
+
+        return (bool) $wpdb->get_var($wpdb->prepare(
+            "SELECT is_active FROM {$wpdb->prefix}rtr_room_content_links WHERE id = %d",
+            $link_id
+        ));
+    }
+}
@@ -25,6 +25,15 @@ class Journey_Circle_Admin {
      */
     private $version;
 
+    /**
+     * Whether the shared API client could not be found for the Creator page.
+     *
+     * @since    2.0.0
+     * @access   private
+     * @var      bool    $shared_utils_missing
+     */
+    private $shared_utils_missing = false;
+
     /**
      * Initialize the class and set its properties.
      *
@@ -141,6 +150,7 @@ class Journey_Circle_Admin {
     private function render_html_body() {
         ?>
         <body class="journey-circle-page">
+            <?php $this->render_shared_utils_notice(); ?>
             <?php $this->render_page_content(); ?>
 
             <?php
@@ -152,6 +162,23 @@ class Journey_Circle_Admin {
         <?php
     }
 
+    /**
+     * Explain why the Creator can't reach the API when the shared client is
+     * missing. Admin notices don't render on the standalone page.
+     *
+     * @since 2.0.0
+     */
+    private function render_shared_utils_notice() {
+        if ( ! $this->shared_utils_missing ) {
+            return;
+        }
+        ?>
+        <div class="jc-notice jc-notice-error jc-api-client-missing">
+            <?php esc_html_e( 'Journey Circle could not load the shared DirectReach API client (admin/js/utils/api-client.js from Campaign Builder), so nothing can be loaded or saved. Install or activate DirectReach Campaign Builder and reload this page.', 'journey-circle' ); ?>
+        </div>
+        <?php
+    }
+
     /**
      * Include the creator template.
      *
@@ -265,6 +292,37 @@ class Journey_Circle_Admin {
         }
     }
 
+    /**
+     * URL of the shared DirectReach JS utilities (api-client.js,
+     * command-history.js). They ship with Campaign Builder: use the loaded
+     * plugin if there is one, else the copy bundled next to Journey Circle
+     * or an installed directreach-campaign-builder plugin.
+     *
+     * @since 2.0.0
+     * @return string|null Directory URL with a trailing slash, or null if not found.
+     */
+    private function get_shared_utils_url() {
+        $candidates = array();
+
+        if ( defined( 'DR_CB_PLUGIN_DIR' ) && defined( 'DR_CB_PLUGIN_URL' ) ) {
+            $candidates[ DR_CB_PLUGIN_DIR ] = DR_CB_PLUGIN_URL;
+        }
+
+        $bundled_dir = dirname( JOURNEY_CIRCLE_PLUGIN_DIR ) . '/campaign-builder/';
+        $candidates[ $bundled_dir ] = plugins_url( '/', $bundled_dir . 'directreach-campaign-builder.php' );
+
+        $installed_dir = WP_PLUGIN_DIR . '/directreach-campaign-builder/';
+        $candidates[ $installed_dir ] = plugins_url( '/', $installed_dir . 'directreach-campaign-builder.php' );
+
+        foreach ( $candidates as $dir => $url ) {
+            if ( file_exists( trailingslashit( $dir ) . 'admin/js/utils/api-client.js' ) ) {
+                return trailingslashit( $url ) . 'admin/js/utils/';
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Enqueue scripts specifically for the Creator standalone page.
      * Called from maybe_render_full_page(), NOT from admin_enqueue_scripts.
@@ -284,6 +342,39 @@ class Journey_Circle_Admin {
             true
         );
 
+        // Shared DirectReach utilities (ES modules, expose window.DRApiClient
+        // and window.DRCommandHistory). Every API call goes through the
+        // client, so it's loaded whether or not Campaign Builder is active.
+        $utils_url = $this->get_shared_utils_url();
+
+        if ( $utils_url ) {
+            wp_enqueue_script(
+                'dr-api-client',
+                $utils_url . 'api-client.js',
+                array(),
+                $this->version,
+                true
+            );
+
+            wp_enqueue_script(
+                'dr-command-history',
+                $utils_url . 'command-history.js',
+                array(),
+                $this->version,
+                true
+            );
+
+            add_filter( 'script_loader_tag', function( $tag, $handle ) {
+                if ( in_array( $handle, array( 'dr-api-client', 'dr-command-history' ), true ) && is_string( $tag ) ) {
+                    return str_replace( ' src', ' type="module" src', $tag );
+                }
+                return $tag;
+            }, 10, 2 );
+        } else {
+            $this->shared_utils_missing = true;
+            error_log( 'Journey Circle: shared API client (admin/js/utils/api-client.js) not found' );
+        }
+
         // Core workflow module
         wp_enqueue_script(
             $this->plugin_name . '-workflow',
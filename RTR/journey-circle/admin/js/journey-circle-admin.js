@@ -51,31 +51,30 @@
             method = method || 'GET';
             data = data || {};
             
-            const settings = {
-                url: journeyCircleData.restUrl + '/' + endpoint,
-                method: method,
-                dataType: 'json',
-                headers: {
-                    'X-WP-Nonce': journeyCircleData.restNonce
-                },
-                success: function(response) {
-                    if (typeof callback === 'function') {
-                        callback(null, response);
-                    }
-                },
-                error: function(xhr, status, error) {
-                    if (typeof callback === 'function') {
-                        callback(error, null);
-                    }
-                }
-            };
+            const done = typeof callback === 'function' ? callback : function() {};
+            let api;
+            
+            try {
+                api = this.createApiClient(journeyCircleData.restUrl, journeyCircleData.restNonce);
+            } catch (error) {
+                done(error.message, null);
+                return;
+            }
+            
+            const options = { method: method };
             
             if (method !== 'GET') {
-                settings.data = JSON.stringify(data);
-                settings.contentType = 'application/json';
+                options.body = JSON.stringify(data);
             }
             
-            $.ajax(settings);
+            api.request('/' + endpoint, options).then(
+                function(response) {
+                    done(null, response);
+                },
+                function(error) {
+                    done(error.message, null);
+                }
+            );
         },
         
         /**
@@ -106,6 +105,34 @@
                     callback();
                 }
             }
+        },
+        
+        /**
+         * Create a shared DirectReach API client
+         *
+         * api-client.js is an ES module, so window.DRApiClient only exists
+         * once it has run; call this on the first request, not at load.
+         * Shows an error state and throws if the client never loaded.
+         *
+         * @param {string} baseUrl - REST namespace URL
+         * @param {string} nonce - wp_rest nonce
+         * @return {Object} DRApiClient instance
+         */
+        createApiClient: function(baseUrl, nonce) {
+            if (typeof window.DRApiClient !== 'function') {
+                const message = 'The DirectReach API client is not loaded. Install or activate DirectReach Campaign Builder and reload the page.';
+                
+                if (!$('.jc-api-client-missing').length) {
+                    $('<div>')
+                        .addClass('jc-notice jc-notice-error jc-api-client-missing')
+                        .text(message)
+                        .prependTo('body');
+                }
+                
+                throw new Error(message);
+            }
+            
+            return new window.DRApiClient(baseUrl, nonce);
         }
     };
 
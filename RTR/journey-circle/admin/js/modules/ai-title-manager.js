@@ -73,6 +73,9 @@
 
             // Abort controllers for cancelling in-flight requests.
             this._abortControllers = {};
+
+            // Shared DRApiClient, created on first request.
+            this.api = null;
         }
 
         // =====================================================================
@@ -178,7 +181,7 @@
 
             } catch (error) {
                 // Handle abort.
-                if (error.name === 'AbortError') {
+                if (error.isAborted) {
                     return { success: false, titles: [], error: 'Request cancelled.' };
                 }
 
@@ -273,7 +276,7 @@
                 return { success: false, titles: [], problemId, error: errorMsg };
 
             } catch (error) {
-                if (error.name === 'AbortError') {
+                if (error.isAborted) {
                     return { success: false, titles: [], problemId, error: 'Request cancelled.' };
                 }
 
@@ -533,15 +536,11 @@
          * @private
          */
         async _apiRequest(method, endpoint, data = null, requestId = null) {
-            const url = this.config.apiBase + endpoint;
+            if (!this.api) {
+                this.api = window.JourneyCircleAdmin.createApiClient(this.config.apiBase, this.config.nonce);
+            }
 
-            const options = {
-                method: method,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.config.nonce
-                }
-            };
+            const options = { method: method };
 
             if (data && method !== 'GET') {
                 options.body = JSON.stringify(data);
@@ -554,25 +553,15 @@
                 options.signal = controller.signal;
             }
 
-            const response = await fetch(url, options);
-
-            // Clean up abort controller.
-            if (requestId) {
-                delete this._abortControllers[requestId];
-            }
-
-            // Parse response.
-            const responseData = await response.json();
-
-            if (!response.ok) {
-                const error = new Error(responseData.error || responseData.message || `HTTP ${response.status}`);
-                error.status = response.status;
-                error.code = responseData.code || 'unknown';
-                error.data = responseData;
-                throw error;
+            try {
+                // Failures throw an ApiError carrying status, code and data.
+                return await this.api.request(endpoint, options);
+            } finally {
+                // Clean up abort controller.
+                if (requestId) {
+                    delete this._abortControllers[requestId];
+                }
             }
-
-            return responseData;
         }
 
         /**
@@ -625,7 +614,7 @@
          */
         _extractErrorMessage(error) {
             // Network errors.
-            if (error instanceof TypeError && error.message === 'Failed to fetch') {
+            if (error.isNetworkError) {
                 return 'Network error. Please check your connection and try again.';
             }
 
@@ -45,6 +45,7 @@
             this.currentContent = '';
             this.abortController = null;
             this.feedbackHistory = [];
+            this.api = null; // Shared DRApiClient, created on first request
 
             // Bind methods
             this.init = this.init.bind(this);
@@ -480,11 +481,11 @@
                     this.render();
                 }
             } catch (error) {
-                if (error.name === 'AbortError') {
+                if (error.isAborted) {
                     console.log('Outline generation cancelled');
                 } else {
                     console.error('Generate outline error:', error);
-                    this.showError('Failed to generate outline. Please try again.');
+                    this.showError(error.message || 'Failed to generate outline. Please try again.');
                 }
                 this.currentPhase = 'format';
                 this.render();
@@ -544,9 +545,9 @@
                     }
                 }
             } catch (error) {
-                if (error.name !== 'AbortError') {
+                if (!error.isAborted) {
                     console.error('Revise outline error:', error);
-                    this.showError('Failed to revise outline. Please try again.');
+                    this.showError(error.message || 'Failed to revise outline. Please try again.');
                 }
                 if (btn) {
                     btn.disabled = false;
@@ -665,11 +666,11 @@
                     this.render();
                 }
             } catch (error) {
-                if (error.name === 'AbortError') {
+                if (error.isAborted) {
                     console.log('Content generation cancelled');
                 } else {
                     console.error('Generate content error:', error);
-                    this.showError('Failed to generate content. Please try again.');
+                    this.showError(error.message || 'Failed to generate content. Please try again.');
                 }
                 this.currentPhase = 'outline';
                 this.render();
@@ -723,9 +724,9 @@
                     }
                 }
             } catch (error) {
-                if (error.name !== 'AbortError') {
+                if (!error.isAborted) {
                     console.error('Revise content error:', error);
-                    this.showError('Failed to revise content. Please try again.');
+                    this.showError(error.message || 'Failed to revise content. Please try again.');
                 }
                 if (btn) {
                     btn.disabled = false;
@@ -774,7 +775,7 @@
                 }
             } catch (error) {
                 console.error('Approve content error:', error);
-                this.showError('Failed to approve content. Please try again.');
+                this.showError(error.message || 'Failed to approve content. Please try again.');
                 if (btn) {
                     btn.disabled = false;
                     btn.innerHTML = 'Approve & Finish';
@@ -912,39 +913,19 @@
         // ========================================================================
 
         /**
-         * Make API request.
+         * Make API request through the shared DirectReach client.
+         * Accepts fetch options plus `signal` and `timeout` (default 30s).
          */
         async apiRequest(endpoint, options = {}) {
-            const url = this.config.apiNamespace + endpoint;
-            
-            const defaultOptions = {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.config.nonce,
-                },
-            };
-
-            const timeout = options.timeout || 30000;
-            delete options.timeout;
-
-            const mergedOptions = { ...defaultOptions, ...options };
-
-            // Create timeout promise
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('Request timeout')), timeout);
-            });
-
-            const fetchPromise = fetch(url, mergedOptions);
-
-            const response = await Promise.race([fetchPromise, timeoutPromise]);
-            
-            if (!response.ok) {
-                const error = await response.json().catch(() => ({}));
-                throw new Error(error.message || `HTTP ${response.status}`);
+            if (!this.api) {
+                this.api = window.JourneyCircleAdmin.createApiClient(this.config.apiNamespace, this.config.nonce);
             }
 
-            return response.json();
+            return this.api.request(endpoint, {
+                method: 'GET',
+                timeout: 30000,
+                ...options
+            });
         }
 
         /**
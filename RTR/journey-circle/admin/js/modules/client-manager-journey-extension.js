@@ -164,27 +164,17 @@ const JourneyIntegration = {
         const nonce = window.drCampaignBuilder?.nonce || 
                      document.querySelector('[data-nonce]')?.dataset.nonce;
         
-        if (!nonce) {
+        // Runs on Campaign Builder pages too, so don't rely on JourneyCircleAdmin
+        if (!nonce || typeof window.DRApiClient !== 'function') {
             return {};
         }
 
         try {
-            const response = await fetch(
-                `/wp-json/directreach/v2/clients/journey-statuses?client_ids=${clientIds.join(',')}`,
-                {
-                    method: 'GET',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': nonce,
-                    },
-                }
-            );
-
-            if (!response.ok) {
-                return {};
-            }
+            const api = new window.DRApiClient('/wp-json/directreach/v2', nonce);
 
-            return await response.json();
+            return await api.get('/clients/journey-statuses', {
+                client_ids: clientIds.join(',')
+            });
         } catch (error) {
             return {};
         }
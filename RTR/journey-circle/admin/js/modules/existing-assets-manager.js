@@ -20,6 +20,8 @@
             this.assets = [];
             this.allowedTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
             this.maxFileSize = 10 * 1024 * 1024; // 10MB
+            this.api = null;      // Shared DRApiClient (journey-circle/v1), created on first request
+            this.mediaApi = null; // Shared DRApiClient (wp-json root) for media uploads
 
             this.init();
         }
@@ -111,60 +113,36 @@
                 formData.append('file', file);
                 formData.append('title', file.name);
 
-                // Get the base REST URL - strip custom namespace to get wp-json base
-                let restBase = this.workflow.config.restUrl;
-                const wpJsonIdx = restBase.indexOf('/wp-json/');
-                if (wpJsonIdx !== -1) {
-                    restBase = restBase.substring(0, wpJsonIdx + '/wp-json'.length);
-                }
-                const mediaUrl = restBase + '/wp/v2/media';
-
-                console.log('Uploading asset to:', mediaUrl);
-
-                const response = await fetch(mediaUrl, {
+                const data = await this._mediaApi().request('/wp/v2/media', {
                     method: 'POST',
-                    headers: {
-                        'X-WP-Nonce': this.workflow.config.restNonce
-                    },
                     body: formData
                 });
 
                 // Remove loading state
                 this.removeLoadingAsset(loadingId);
 
-                if (response.ok) {
-                    const data = await response.json();
-
-                    // Add uploaded file to assets
-                    this.assets.push({
-                        type: 'file',
-                        value: data.source_url || data.guid?.rendered || '',
-                        name: file.name,
-                        fileId: data.id,
-                        size: file.size,
-                        mimeType: file.type,
-                        _extractionStatus: 'processing',
-                        _extractionChars: 0,
-                        addedAt: new Date().toISOString()
-                    });
+                // Add uploaded file to assets
+                this.assets.push({
+                    type: 'file',
+                    value: data.source_url || data.guid?.rendered || '',
+                    name: file.name,
+                    fileId: data.id,
+                    size: file.size,
+                    mimeType: file.type,
+                    _extractionStatus: 'processing',
+                    _extractionChars: 0,
+                    addedAt: new Date().toISOString()
+                });
 
-                    this.renderAssetList();
-                    this.updateAssetCount();
-                    this.saveToWorkflow();
-                    this.updateNextButton();
+                this.renderAssetList();
+                this.updateAssetCount();
+                this.saveToWorkflow();
+                this.updateNextButton();
 
-                    this.workflow.showNotification('Asset "' + file.name + '" uploaded — extracting content...', 'info');
+                this.workflow.showNotification('Asset "' + file.name + '" uploaded — extracting content...', 'info');
 
-                    // Trigger extraction immediately in background
-                    this.triggerExtraction(data.id, file.name);
-                } else {
-                    let errorMsg = 'Upload failed (HTTP ' + response.status + ')';
-                    try {
-                        const errData = await response.json();
-                        errorMsg = (errData.message || errorMsg);
-                    } catch(e) {}
-                    throw new Error(errorMsg);
-                }
+                // Trigger extraction immediately in background
+                this.triggerExtraction(data.id, file.name);
 
             } catch (error) {
                 this.removeLoadingAsset(loadingId);
@@ -380,18 +358,7 @@
             const fileIds = fileAssets.map(a => a.fileId);
 
             try {
-                const response = await fetch(`${this.workflow.config.restUrl}/ai/extraction-status`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.workflow.config.restNonce
-                    },
-                    body: JSON.stringify({ file_ids: fileIds })
-                });
-
-                if (!response.ok) return;
-
-                const data = await response.json();
+                const data = await this._api().post('/ai/extraction-status', { file_ids: fileIds });
                 if (!data.items || !data.items.length) return;
 
                 let updated = false;
@@ -440,16 +407,7 @@
             try {
                 console.log(`[JC Assets] Triggering extraction for "${fileName}" (ID: ${fileId})...`);
 
-                const response = await fetch(`${this.workflow.config.restUrl}/ai/extract-asset`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.workflow.config.restNonce
-                    },
-                    body: JSON.stringify({ file_id: fileId })
-                });
-
-                const data = await response.json();
+                const data = await this._api().post('/ai/extract-asset', { file_id: fileId });
                 const asset = this.assets.find(a => a.fileId === fileId);
 
                 if (data.success && data.status === 'completed') {
@@ -628,6 +586,26 @@
         /**
          * Escape HTML
          */
+        _api() {
+            if (!this.api) {
+                this.api = window.JourneyCircleAdmin.createApiClient(this.workflow.config.restUrl, this.workflow.config.restNonce);
+            }
+            return this.api;
+        }
+
+        _mediaApi() {
+            if (!this.mediaApi) {
+                // Strip the custom namespace to get the wp-json base
+                let restBase = this.workflow.config.restUrl;
+                const wpJsonIdx = restBase.indexOf('/wp-json/');
+                if (wpJsonIdx !== -1) {
+                    restBase = restBase.substring(0, wpJsonIdx + '/wp-json'.length);
+                }
+                this.mediaApi = window.JourneyCircleAdmin.createApiClient(restBase, this.workflow.config.restNonce);
+            }
+            return this.mediaApi;
+        }
+
         escapeHtml(text) {
             const div = document.createElement('div');
             div.textContent = text;
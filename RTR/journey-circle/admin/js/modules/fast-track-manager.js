@@ -46,6 +46,7 @@
             this.workflow = workflow;
             this.apiBase = workflow.config.restUrl;
             this.nonce = workflow.config.restNonce;
+            this.api = null; // Shared DRApiClient, created on first request
 
             // Cancellation
             this.abortController = null;
@@ -322,13 +323,8 @@
             var data;
 
             for (var attempt = 0; attempt <= maxRetries; attempt++) {
-                var response = await fetch(this.apiBase + '/ai/generate-problem-titles', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.nonce
-                    },
-                    body: JSON.stringify({
+                try {
+                    data = await this._api().post('/ai/generate-problem-titles', {
                         service_area_id: state.serviceAreaId || 0,
                         service_area_name: '',
                         primary_problem_statement: state.primaryProblemStatement || '',
@@ -337,26 +333,24 @@
                         existing_assets: state.existingAssets || [],
                         force_refresh: false,
                         previous_titles: []
-                    }),
-                    signal: this.abortController.signal
-                });
+                    }, { signal: this.abortController.signal });
+                } catch (err) {
+                    // Only an upstream AI timeout is worth retrying
+                    if (err.code !== 'api_timeout' || attempt === maxRetries) {
+                        throw err;
+                    }
 
-                data = await response.json();
+                    console.warn('[FastTrack] Problem titles timed out, retrying (attempt ' + (attempt + 2) + ')...');
+                    this._updateProgress(5, this._buildStepLines('problems-retry'));
+                    await new Promise(function(r) { setTimeout(r, 2000); });
+                    continue;
+                }
 
-                // If success or non-timeout error, stop retrying
                 if (data.success && data.titles && data.titles.length > 0) {
                     break;
                 }
 
-                var errorCode = data.code || '';
-                if (errorCode !== 'api_timeout' || attempt === maxRetries) {
-                    throw new Error(data.error || data.message || 'Failed to generate problem titles.');
-                }
-
-                // Timeout — retry after a short delay
-                console.warn('[FastTrack] Problem titles timed out, retrying (attempt ' + (attempt + 2) + ')...');
-                this._updateProgress(5, this._buildStepLines('problems-retry'));
-                await new Promise(function(r) { setTimeout(r, 2000); });
+                throw new Error(data.error || data.message || 'Failed to generate problem titles.');
             }
 
             // Select top 5
@@ -402,13 +396,8 @@
                 var data;
                 var maxRetries = 2;
                 for (var attempt = 0; attempt <= maxRetries; attempt++) {
-                    var response = await fetch(this.apiBase + '/ai/generate-solution-titles', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'X-WP-Nonce': this.nonce
-                        },
-                        body: JSON.stringify({
+                    try {
+                        data = await this._api().post('/ai/generate-solution-titles', {
                             problem_id: problem.id,
                             problem_title: problem.title,
                             service_area_id: state.serviceAreaId || 0,
@@ -418,26 +407,27 @@
                             existing_assets: state.existingAssets || [],
                             force_refresh: false,
                             exclude_titles: []
-                        }),
-                        signal: this.abortController.signal
-                    });
-
-                    data = await response.json();
+                        }, { signal: this.abortController.signal });
+                    } catch (err) {
+                        if (err.code !== 'api_timeout' || attempt === maxRetries) {
+                            throw new Error(
+                                'Failed to generate solution titles for "' + problem.title + '": ' + err.message
+                            );
+                        }
+
+                        console.warn('[FastTrack] Solution titles timed out for "' + problem.title + '", retrying...');
+                        await new Promise(function(r) { setTimeout(r, 2000); });
+                        continue;
+                    }
 
                     if (data.success && data.titles && data.titles.length > 0) {
                         break;
                     }
 
-                    var errorCode = data.code || '';
-                    if (errorCode !== 'api_timeout' || attempt === maxRetries) {
-                        throw new Error(
-                            'Failed to generate solution titles for "' + problem.title + '": ' +
-                            (data.error || data.message || 'No titles returned.')
-                        );
-                    }
-
-                    console.warn('[FastTrack] Solution titles timed out for "' + problem.title + '", retrying...');
-                    await new Promise(function(r) { setTimeout(r, 2000); });
+                    throw new Error(
+                        'Failed to generate solution titles for "' + problem.title + '": ' +
+                        (data.error || data.message || 'No titles returned.')
+                    );
                 }
 
                 solutionSuggestions[problem.id] = data.titles;
@@ -528,27 +518,17 @@
                 };
             });
 
-            var response = await fetch(this.apiBase + '/ai/fast-track-content', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.nonce
-                },
-                body: JSON.stringify({
-                    problem_title: item.problemTitle,
-                    solution_title: item.solutionTitle,
-                    focus: item.focus,
-                    brain_content: state.brainContent || [],
-                    existing_assets: state.existingAssets || [],
-                    industries: state.industries || [],
-                    service_area_id: state.serviceAreaId || 0,
-                    content_set_titles: contentSetTitles,
-                    evaluative_lens: ''
-                }),
-                signal: this.abortController.signal
-            });
-
-            var data = await response.json();
+            var data = await this._api().post('/ai/fast-track-content', {
+                problem_title: item.problemTitle,
+                solution_title: item.solutionTitle,
+                focus: item.focus,
+                brain_content: state.brainContent || [],
+                existing_assets: state.existingAssets || [],
+                industries: state.industries || [],
+                service_area_id: state.serviceAreaId || 0,
+                content_set_titles: contentSetTitles,
+                evaluative_lens: ''
+            }, { signal: this.abortController.signal });
 
             if (!data.success || !data.content) {
                 throw new Error(data.error || data.message || 'Content generation failed.');
@@ -632,6 +612,17 @@
             }, 800);
         }
 
+        // -----------------------------------------------------------------
+        // API
+        // -----------------------------------------------------------------
+
+        _api() {
+            if (!this.api) {
+                this.api = window.JourneyCircleAdmin.createApiClient(this.apiBase, this.nonce);
+            }
+            return this.api;
+        }
+
         // -----------------------------------------------------------------
         // CLEANUP
         // -----------------------------------------------------------------
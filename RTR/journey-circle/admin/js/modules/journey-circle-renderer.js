@@ -235,22 +235,17 @@
             this.data.loading = true;
             this.data.error   = null;
 
-            const headers = {
-                'Content-Type': 'application/json'
-            };
-            if (nonce) {
-                headers['X-WP-Nonce'] = nonce;
-            }
+            const api = window.JourneyCircleAdmin.createApiClient(restUrl.replace(/\/+$/, ''), nonce);
 
             const fetchJSON = async (endpoint) => {
-                const url = `${restUrl.replace(/\/+$/, '')}/${endpoint}`;
-                const res = await fetch(url, { headers, credentials: 'same-origin' });
-                if (!res.ok) {
+                let json;
+                try {
+                    json = await api.get(`/${endpoint}`);
+                } catch (error) {
                     // 404 is acceptable — means no data yet
-                    if (res.status === 404) return [];
-                    throw new Error(`API ${res.status}: ${res.statusText}`);
+                    if (error.status === 404) return [];
+                    throw error;
                 }
-                const json = await res.json();
                 return Array.isArray(json) ? json : (json.data || json.items || []);
             };
 
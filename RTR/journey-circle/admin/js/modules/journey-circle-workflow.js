@@ -26,6 +26,12 @@
             this.state = this.loadState();
             this.autoSaveInterval = null;
             this._dbSyncTimer = null;      // Debounce timer for DB sync
+
+            // Undo/redo (shared DRCommandHistory, loaded as an ES module before document ready)
+            this.history = window.DRCommandHistory ? new window.DRCommandHistory() : null;
+            this._historySnapshot = {};    // Last recorded value of each key
+
+            this.api = null; // Shared DRApiClient, created on first request
             
             this.init();
         }
@@ -36,6 +42,7 @@
         async init() {
             this.bindEvents();
             await this.restoreState();
+            this._resetHistory();
             this.startAutoSave();
             this.updateUI();
             
@@ -59,6 +66,19 @@
                 }
             });
             
+            // Undo / redo
+            if (this.history) {
+                this.history.bindKeyboard();
+                this.history.attachControls(document.querySelector('.jc-history-controls'));
+                this.history.on('undo', (entry) => this.showNotification('Undone: ' + entry.label, 'info'));
+                this.history.on('redo', (entry) => this.showNotification('Redone: ' + entry.label, 'info'));
+                this.history.on('error', ({ entry, direction, error }) => {
+                    this.showNotification(`Could not ${direction} "${entry.label}": ${error.message}`, 'error');
+                });
+            } else {
+                $('.jc-history-controls').hide();
+            }
+            
             // Browser back button / page unload — persist to DB reliably
             $(window).on('beforeunload', () => {
                 this.saveState();
@@ -382,26 +402,25 @@
             };
         }
 
+        /**
+         * Shared DirectReach API client for the journey-circle/v1 namespace
+         */
+        _api() {
+            if (!this.api) {
+                this.api = window.JourneyCircleAdmin.createApiClient(this.config.restUrl, this.config.restNonce);
+            }
+            return this.api;
+        }
+
         /**
          * Load state from database via /journey-state/load.
          * Returns null if no saved state exists in DB.
          */
         async loadStateFromDB() {
             try {
-                const response = await fetch(
-                    `${this.config.restUrl}/journey-state/load?client_id=${this.config.clientId}`,
-                    {
-                        method: 'GET',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'X-WP-Nonce': this.config.restNonce
-                        }
-                    }
-                );
-
-                if (!response.ok) return null;
-
-                const data = await response.json();
+                const data = await this._api().get('/journey-state/load', {
+                    client_id: this.config.clientId
+                });
                 if (data.success && data.state_data && typeof data.state_data === 'object') {
                     console.log('[JC Workflow] State loaded from DB (state_id=' + data.state_id + ', step=' + data.current_step + ')');
                     // Merge DB state with defaults to ensure all keys exist
@@ -511,26 +530,13 @@
             }
 
             try {
-                const response = await fetch(`${this.config.restUrl}/journey-state/save`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.config.restNonce
-                    },
-                    body: JSON.stringify({
-                        client_id:         this.state.clientId,
-                        service_area_id:   this.state.serviceAreaId || 0,
-                        journey_circle_id: this.state.journeyCircleId || 0,
-                        current_step:      this.currentStep,
-                        state_data:        this.state
-                    })
+                const data = await this._api().post('/journey-state/save', {
+                    client_id:         this.state.clientId,
+                    service_area_id:   this.state.serviceAreaId || 0,
+                    journey_circle_id: this.state.journeyCircleId || 0,
+                    current_step:      this.currentStep,
+                    state_data:        this.state
                 });
-
-                if (!response.ok) {
-                    throw new Error('State save API returned ' + response.status);
-                }
-
-                const data = await response.json();
                 if (data.success) {
                     console.log('[JC Workflow] State synced to DB (state_id=' + data.state_id + ')');
                 }
@@ -610,18 +616,11 @@
             if (!hasOffers && !hasAssets && !hasUrls) return;
 
             try {
-                await fetch(`${this.config.restUrl}/journey-state/sync`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.config.restNonce
-                    },
-                    body: JSON.stringify({
-                        journey_circle_id: jcId,
-                        offers:            hasOffers ? offers : null,
-                        content_assets:    hasAssets ? contentAssets : null,
-                        published_urls:    hasUrls ? publishedUrls : null
-                    })
+                await this._api().post('/journey-state/sync', {
+                    journey_circle_id: jcId,
+                    offers:            hasOffers ? offers : null,
+                    content_assets:    hasAssets ? contentAssets : null,
+                    published_urls:    hasUrls ? publishedUrls : null
                 });
             } catch (e) {
                 console.warn('[JC Workflow] Entity sync error (non-fatal):', e);
@@ -728,6 +727,7 @@
             this.state.publishedUrls = {};
             this.state.colorScheme = null;
             this.saveState();
+            this._resetHistory();
 
             // Notify modules to clear their internal caches
             $(document).trigger('jc:serviceAreaChanged');
@@ -740,15 +740,64 @@
          */
         updateState(key, value) {
             // Support both updateState('key', value) and updateState({key: value, ...})
-            if (typeof key === 'object' && key !== null && value === undefined) {
-                Object.assign(this.state, key);
-            } else {
-                this.state[key] = value;
-            }
+            const updates = (typeof key === 'object' && key !== null && value === undefined)
+                ? key
+                : { [key]: value };
+
+            Object.assign(this.state, updates);
+            this._recordHistory(updates);
             this.saveState();
             this.debouncedSync(); // Persist to DB after 2s of inactivity
         }
 
+        /**
+         * Record an updateState() call in the undo history.
+         *
+         * Diffs against the last recorded value of each key rather than the
+         * live state, because modules often mutate state arrays in place
+         * before calling updateState() with the same reference.
+         */
+        _recordHistory(updates) {
+            if (!this.history) {
+                return;
+            }
+
+            this.history.recordPatch(this._historySnapshot, updates, (patch) => this._applyHistoryPatch(patch), {
+                ignore: ['currentStep']
+            });
+
+            Object.keys(updates).forEach((k) => {
+                this._historySnapshot[k] = window.DRCommandHistory.clone(updates[k]);
+            });
+        }
+
+        /**
+         * Apply an undo/redo patch, then let every module re-read state.
+         */
+        _applyHistoryPatch(patch) {
+            Object.assign(this.state, patch);
+            Object.keys(patch).forEach((k) => {
+                this._historySnapshot[k] = window.DRCommandHistory.clone(patch[k]);
+            });
+
+            this.saveState();
+            this.debouncedSync();
+
+            $(document).trigger('jc:restoreState', [this.state]);
+            $(document).trigger('jc:stepChanged', [this.currentStep]);
+        }
+
+        /**
+         * Drop undo history and re-baseline (after load, reset or SA switch).
+         */
+        _resetHistory() {
+            if (!this.history) {
+                return;
+            }
+            this._historySnapshot = window.DRCommandHistory.clone(this.state);
+            this.history.clear();
+        }
+
         /**
          * Reset workflow state to defaults.
          *
@@ -767,6 +816,7 @@
 
             this.currentStep = 1;
             this.saveState();
+            this._resetHistory();
             this.syncStateToAPI(); // Clear DB state too
             this.updateUI();
 
@@ -34,6 +34,7 @@ class JourneyCompletion {
         this.serviceAreaName = config.serviceAreaName;
         this.apiBase = config.apiBase || '/wp-json/directreach/v2';
         this.nonce = config.nonce;
+        this.api = null; // Shared DRApiClient, created on first request
         
         // Completion state
         this.completionStatus = null;
@@ -74,23 +75,7 @@ class JourneyCompletion {
      * Load completion status from API
      */
     async loadCompletionStatus() {
-        const response = await fetch(
-            `${this.apiBase}/journey-circles/${this.journeyCircleId}/completion-status`,
-            {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.nonce,
-                },
-            }
-        );
-
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.message || 'Failed to load completion status');
-        }
-
-        this.completionStatus = await response.json();
+        this.completionStatus = await this._api().get(`/journey-circles/${this.journeyCircleId}/completion-status`);
         return this.completionStatus;
     }
 
@@ -358,23 +343,7 @@ class JourneyCompletion {
         }
 
         try {
-            const response = await fetch(
-                `${this.apiBase}/journey-circles/${this.journeyCircleId}/complete`,
-                {
-                    method: 'PUT',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.nonce,
-                    },
-                }
-            );
-
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.message || 'Failed to complete journey');
-            }
-
-            const result = await response.json();
+            const result = await this._api().put(`/journey-circles/${this.journeyCircleId}/complete`);
 
             // Store completion data in sessionStorage for Campaign Builder
             this.storeCompletionData(result.completion_data);
@@ -504,6 +473,18 @@ class JourneyCompletion {
         this.container.dispatchEvent(event);
     }
 
+    /**
+     * Shared DirectReach API client for apiBase
+     * 
+     * @returns {Object} DRApiClient instance
+     */
+    _api() {
+        if (!this.api) {
+            this.api = window.JourneyCircleAdmin.createApiClient(this.apiBase, this.nonce);
+        }
+        return this.api;
+    }
+
     /**
      * Escape HTML to prevent XSS
      * 
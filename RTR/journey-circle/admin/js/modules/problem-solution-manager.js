@@ -28,6 +28,7 @@ class ProblemSolutionManager {
             nonce: options.nonce || '',
             ...options
         };
+        this.api = null; // Shared DRApiClient, created on first request
 
         // State for this module
         this.industries = [];
@@ -61,6 +62,17 @@ class ProblemSolutionManager {
     // API METHODS - ALL DATA COMES FROM THE DATABASE
     // =========================================================================
 
+    /**
+     * Shared DirectReach API client for options.apiBase
+     * @returns {Object} DRApiClient instance
+     */
+    _api() {
+        if (!this.api) {
+            this.api = window.JourneyCircleAdmin.createApiClient(this.options.apiBase, this.options.nonce);
+        }
+        return this.api;
+    }
+
     /**
      * Fetch industry taxonomy from API
      * @returns {Promise<Object>} Industry taxonomy
@@ -73,19 +85,7 @@ class ProblemSolutionManager {
         this.isLoadingIndustries = true;
 
         try {
-            const response = await fetch(`${this.options.apiBase}/industries`, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.options.nonce
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch industries: ${response.status}`);
-            }
-
-            const data = await response.json();
+            const data = await this._api().get('/industries');
             this.industryTaxonomy = data.taxonomy || {};
             this.industryTaxonomyLoaded = true;
             return this.industryTaxonomy;
@@ -112,22 +112,7 @@ class ProblemSolutionManager {
         if (!journeyCircleId) return [];
 
         try {
-            const response = await fetch(
-                `${this.options.apiBase}/journey-circles/${journeyCircleId}`,
-                {
-                    method: 'GET',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.options.nonce
-                    }
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch journey circle: ${response.status}`);
-            }
-
-            const data = await response.json();
+            const data = await this._api().get(`/journey-circles/${journeyCircleId}`);
             return data.industries || [];
 
         } catch (error) {
@@ -154,22 +139,7 @@ class ProblemSolutionManager {
         }
 
         try {
-            const response = await fetch(
-                `${this.options.apiBase}/journey-circles/${journeyCircleId}`,
-                {
-                    method: 'PUT',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.options.nonce
-                    },
-                    body: JSON.stringify({ industries })
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error(`Failed to save industries: ${response.status}`);
-            }
-
+            await this._api().put(`/journey-circles/${journeyCircleId}`, { industries });
             console.log('[PSManager] Industries saved to database:', industries);
             return true;
 
@@ -197,25 +167,9 @@ class ProblemSolutionManager {
         this.isLoadingRecommendations = true;
 
         try {
-            const response = await fetch(
-                `${this.options.apiBase}/journey-circles/${journeyCircleId}/recommendations/problems`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.options.nonce
-                    },
-                    body: JSON.stringify({
-                        journey_circle_id: journeyCircleId
-                    })
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch problems: ${response.status}`);
-            }
-
-            const data = await response.json();
+            const data = await this._api().post(`/journey-circles/${journeyCircleId}/recommendations/problems`, {
+                journey_circle_id: journeyCircleId
+            });
             this.problemRecommendations = data.recommendations || [];
             return this.problemRecommendations;
 
@@ -239,22 +193,7 @@ class ProblemSolutionManager {
         this.isLoadingProblems = true;
 
         try {
-            const response = await fetch(
-                `${this.options.apiBase}/journey-circles/${journeyCircleId}/problems`,
-                {
-                    method: 'GET',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.options.nonce
-                    }
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch problems: ${response.status}`);
-            }
-
-            const data = await response.json();
+            const data = await this._api().get(`/journey-circles/${journeyCircleId}/problems`);
             return data.problems || [];
 
         } catch (error) {
@@ -277,33 +216,16 @@ class ProblemSolutionManager {
         }
 
         try {
-            const response = await fetch(
-                `${this.options.apiBase}/journey-circles/${journeyCircleId}/problems/bulk`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.options.nonce
-                    },
-                    body: JSON.stringify({
-                        problems: problems.map(p => ({
-                            title: p.title,
-                            description: p.description || '',
-                            category: p.category || '',
-                            is_primary: p.isPrimary || false,
-                            position: p.position,
-                            status: 'draft'
-                        }))
-                    })
-                }
-            );
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.message || 'Failed to save problems');
-            }
-
-            const result = await response.json();
+            const result = await this._api().post(`/journey-circles/${journeyCircleId}/problems/bulk`, {
+                problems: problems.map(p => ({
+                    title: p.title,
+                    description: p.description || '',
+                    category: p.category || '',
+                    is_primary: p.isPrimary || false,
+                    position: p.position,
+                    status: 'draft'
+                }))
+            });
             
             // Update local state with database IDs
             if (result.created_ids) {
@@ -336,24 +258,9 @@ class ProblemSolutionManager {
         if (!journeyCircleId) return false;
 
         try {
-            const response = await fetch(
-                `${this.options.apiBase}/journey-circles/${journeyCircleId}`,
-                {
-                    method: 'PUT',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.options.nonce
-                    },
-                    body: JSON.stringify({
-                        primary_problem_id: problemId
-                    })
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error(`Failed to update primary problem: ${response.status}`);
-            }
-
+            await this._api().put(`/journey-circles/${journeyCircleId}`, {
+                primary_problem_id: problemId
+            });
             return true;
 
         } catch (error) {
@@ -854,31 +761,19 @@ class ProblemSolutionManager {
                 }
             } else {
                 // Fallback: try the API directly
-                const response = await fetch(`${this.options.apiBase}/ai/generate-problem-titles`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.options.nonce
-                    },
-                    body: JSON.stringify({
-                        service_area_id: state.serviceAreaId,
-                        industries: state.industries || [],
-                        brain_content: state.brainContent || [],
-                        force_refresh: true
-                    })
+                const data = await this._api().post('/ai/generate-problem-titles', {
+                    service_area_id: state.serviceAreaId,
+                    industries: state.industries || [],
+                    brain_content: state.brainContent || [],
+                    force_refresh: true
                 });
 
-                if (response.ok) {
-                    const data = await response.json();
-                    const titles = data.titles || data.recommendations || [];
-                    this.problemRecommendations = titles.map((title, i) => ({
-                        id: `ai_${i}`,
-                        title: typeof title === 'string' ? title : title.title || title.text || String(title),
-                        category: typeof title === 'object' ? (title.category || '') : ''
-                    }));
-                } else {
-                    throw new Error(`API returned ${response.status}`);
-                }
+                const titles = data.titles || data.recommendations || [];
+                this.problemRecommendations = titles.map((title, i) => ({
+                    id: `ai_${i}`,
+                    title: typeof title === 'string' ? title : title.title || title.text || String(title),
+                    category: typeof title === 'object' ? (title.category || '') : ''
+                }));
             }
         } catch (error) {
             console.error('Problem title generation error:', error);
@@ -1150,29 +1045,13 @@ class ProblemSolutionManager {
         }
 
         try {
-            const response = await fetch(
-                `${this.options.apiBase}/journey-circles/${journeyCircleId}/problems`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.options.nonce
-                    },
-                    body: JSON.stringify({
-                        title,
-                        description: category, // Using description field for category
-                        is_primary: false,
-                        position: this.problemRecommendations.length,
-                        status: 'draft'
-                    })
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error('Failed to save problem to database');
-            }
-
-            const result = await response.json();
+            const result = await this._api().post(`/journey-circles/${journeyCircleId}/problems`, {
+                title,
+                description: category, // Using description field for category
+                is_primary: false,
+                position: this.problemRecommendations.length,
+                status: 'draft'
+            });
             
             // Add to local list
             const newProblem = {
@@ -1556,29 +1435,13 @@ class ProblemSolutionManager {
         }
 
         try {
-            const response = await fetch(
-                `${this.options.apiBase}/journey-circles/${journeyCircleId}/problems`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.options.nonce
-                    },
-                    body: JSON.stringify({
-                        title,
-                        description: category,
-                        is_primary: false,
-                        position: this.problemRecommendations.length,
-                        status: 'draft'
-                    })
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error('Failed to save problem');
-            }
-
-            const result = await response.json();
+            const result = await this._api().post(`/journey-circles/${journeyCircleId}/problems`, {
+                title,
+                description: category,
+                is_primary: false,
+                position: this.problemRecommendations.length,
+                status: 'draft'
+            });
             
             // Add to local list
             const newProblem = {
@@ -16,6 +16,7 @@
             this.workflow = workflow;
             this.serviceAreas = [];
             this.selectedServiceAreaId = null;
+            this.api = null; // Shared DRApiClient, created on first request
             
             this.init();
         }
@@ -117,20 +118,9 @@
                 `);
 
                 // Fetch service areas
-                const response = await fetch(
-                    `${this.workflow.config.restUrl}/service-areas?client_id=${this.workflow.config.clientId}`,
-                    {
-                        headers: {
-                            'X-WP-Nonce': this.workflow.config.restNonce
-                        }
-                    }
-                );
-
-                if (!response.ok) {
-                    throw new Error('Failed to load service areas');
-                }
-
-                this.serviceAreas = await response.json();
+                this.serviceAreas = await this._api().get('/service-areas', {
+                    client_id: this.workflow.config.clientId
+                });
                 this.renderServiceAreaList();
 
             } catch (error) {
@@ -247,26 +237,12 @@
                     .html('<i class="fas fa-spinner fa-spin"></i> Creating...');
 
                 // Create service area via API
-                const response = await fetch(`${this.workflow.config.restUrl}/service-areas`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.workflow.config.restNonce
-                    },
-                    body: JSON.stringify({
-                        client_id: this.workflow.config.clientId,
-                        title: name,
-                        description: description,
-                        status: 'draft'
-                    })
+                const newServiceArea = await this._api().post('/service-areas', {
+                    client_id: this.workflow.config.clientId,
+                    title: name,
+                    description: description,
+                    status: 'draft'
                 });
-
-                if (!response.ok) {
-                    const error = await response.json();
-                    throw new Error(error.message || 'Failed to create service area');
-                }
-
-                const newServiceArea = await response.json();
                 
                 // Add to list
                 this.serviceAreas.push(newServiceArea);
@@ -321,23 +297,14 @@
         async ensureJourneyCircle(serviceAreaId) {
             try {
                 // Check if journey circle exists
-                const response = await fetch(
-                    `${this.workflow.config.restUrl}/journey-circles?service_area_id=${serviceAreaId}`,
-                    {
-                        headers: {
-                            'X-WP-Nonce': this.workflow.config.restNonce
-                        }
-                    }
-                );
-
-                if (response.ok) {
-                    const journeyCircle = await response.json();
-                    
-                    if (journeyCircle && journeyCircle.id) {
-                        // Journey circle exists, load its data
-                        this.loadJourneyCircleData(journeyCircle);
-                        return;
-                    }
+                const journeyCircle = await this._api().get('/journey-circles', {
+                    service_area_id: serviceAreaId
+                });
+
+                if (journeyCircle && journeyCircle.id) {
+                    // Journey circle exists, load its data
+                    this.loadJourneyCircleData(journeyCircle);
+                    return;
                 }
 
                 // Journey circle doesn't exist, create it
@@ -353,25 +320,12 @@
          */
         async createJourneyCircle(serviceAreaId) {
             try {
-                const response = await fetch(`${this.workflow.config.restUrl}/journey-circles`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.workflow.config.restNonce
-                    },
-                    body: JSON.stringify({
-                        service_area_id: serviceAreaId,
-                        industries: [],
-                        brain_content: this.workflow.getState('brainContent') || [],
-                        status: 'incomplete'
-                    })
+                const journeyCircle = await this._api().post('/journey-circles', {
+                    service_area_id: serviceAreaId,
+                    industries: [],
+                    brain_content: this.workflow.getState('brainContent') || [],
+                    status: 'incomplete'
                 });
-
-                if (!response.ok) {
-                    throw new Error('Failed to create journey circle');
-                }
-
-                const journeyCircle = await response.json();
                 console.log('Journey circle created:', journeyCircle);
 
                 // Store the journey circle ID in workflow state
@@ -480,21 +434,7 @@
             $btn.prop('disabled', true).html('<i class="fas fa-spinner fa-spin"></i> Saving...');
 
             try {
-                const response = await fetch(`${this.workflow.config.restUrl}/service-areas/${id}`, {
-                    method: 'PUT',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.workflow.config.restNonce
-                    },
-                    body: JSON.stringify({ title: name, description: description })
-                });
-
-                if (!response.ok) {
-                    const error = await response.json();
-                    throw new Error(error.message || 'Failed to update service area');
-                }
-
-                const updated = await response.json();
+                const updated = await this._api().put(`/service-areas/${id}`, { title: name, description: description });
 
                 // Update local cache
                 const idx = this.serviceAreas.findIndex(s => s.id === id);
@@ -580,17 +520,7 @@
             $btn.prop('disabled', true).html('<i class="fas fa-spinner fa-spin"></i> Deleting...');
 
             try {
-                const response = await fetch(`${this.workflow.config.restUrl}/service-areas/${id}?force=true`, {
-                    method: 'DELETE',
-                    headers: {
-                        'X-WP-Nonce': this.workflow.config.restNonce
-                    }
-                });
-
-                if (!response.ok) {
-                    const error = await response.json();
-                    throw new Error(error.message || 'Failed to delete service area');
-                }
+                await this._api().delete(`/service-areas/${id}?force=true`);
 
                 // Remove from local cache
                 this.serviceAreas = this.serviceAreas.filter(s => s.id !== id);
@@ -669,6 +599,16 @@
             }
         }
 
+        /**
+         * Shared DirectReach API client for the journey-circle/v1 namespace
+         */
+        _api() {
+            if (!this.api) {
+                this.api = window.JourneyCircleAdmin.createApiClient(this.workflow.config.restUrl, this.workflow.config.restNonce);
+            }
+            return this.api;
+        }
+
         /**
          * Escape HTML
          */
@@ -25,26 +25,29 @@
     // =========================================================================
 
     var CONFIG = {
-        // REST endpoint for slide image generation
+        // REST namespace base for the shared API client
         // Try multiple localized variable names, then fall back to wpApiSettings
-        endpoint: (function() {
+        apiBase: (function() {
             // Campaign Builder style
             if (window.drJourneyCircle && window.drJourneyCircle.restUrl) {
-                return window.drJourneyCircle.restUrl.replace(/journey-circle\/v1\/?$/, 'directreach/v2/') + 'ai/generate-slide-image';
+                return window.drJourneyCircle.restUrl.replace(/journey-circle\/v1\/?$/, 'directreach/v2');
             }
             // Journey Circle admin localized data
             if (window.journeyCircleData && window.journeyCircleData.restUrl) {
                 var base = window.journeyCircleData.restUrl.replace(/journey-circle\/v1\/?$/, '');
-                return base + 'directreach/v2/ai/generate-slide-image';
+                return base + 'directreach/v2';
             }
             // WordPress REST API settings (most reliable)
             if (window.wpApiSettings && window.wpApiSettings.root) {
-                return window.wpApiSettings.root + 'directreach/v2/ai/generate-slide-image';
+                return window.wpApiSettings.root + 'directreach/v2';
             }
             // Absolute fallback using wp-json discovery
-            return '/wp-json/directreach/v2/ai/generate-slide-image';
+            return '/wp-json/directreach/v2';
         })(),
 
+        // Slide image generation route, relative to apiBase
+        endpoint: '/ai/generate-slide-image',
+
         // Nonce for authentication
         nonce: (function() {
             if (window.drJourneyCircle && window.drJourneyCircle.nonce) return window.drJourneyCircle.nonce;
@@ -73,6 +76,36 @@
 
     var SlideImageGenerator = {
 
+        // Shared DRApiClient, created on first request
+        api: null,
+
+        /**
+         * Get the shared API client, creating it on first use.
+         *
+         * @returns {DRApiClient}
+         */
+        _api: function() {
+            if (!this.api) {
+                this.api = window.JourneyCircleAdmin.createApiClient(CONFIG.apiBase, CONFIG.nonce);
+            }
+            return this.api;
+        },
+
+        /**
+         * POST a payload to the slide image route.
+         *
+         * @param {Object} payload - Request body
+         * @returns {Promise<Object>} Parsed response; rejects with an ApiError
+         */
+        _postImageRequest: function(payload) {
+            try {
+                return this._api().post(CONFIG.endpoint, payload, { timeout: CONFIG.timeout });
+            } catch (error) {
+                // Shared client missing; createApiClient has shown the error state
+                return Promise.reject(error);
+            }
+        },
+
         /**
          * Check if a slide needs AI-generated imagery.
          *
@@ -133,46 +166,34 @@
         _apiCall: function(payload, attempt, resolve, reject) {
             var self = this;
 
-            $.ajax({
-                url: CONFIG.endpoint,
-                method: 'POST',
-                headers: CONFIG.nonce ? { 'X-WP-Nonce': CONFIG.nonce } : {},
-                contentType: 'application/json',
-                data: JSON.stringify(payload),
-                timeout: CONFIG.timeout,
-                success: function(response) {
-                    if (response.success && response.image_base64) {
-                        resolve({
-                            image_base64: response.image_base64,
-                            mime_type:    response.mime_type || 'image/png',
-                            model_used:   response.model_used || 'unknown'
-                        });
-                    } else {
-                        var msg = (response && response.message) || 'No image returned';
-                        if (attempt < CONFIG.maxRetries) {
-                            setTimeout(function() {
-                                self._apiCall(payload, attempt + 1, resolve, reject);
-                            }, CONFIG.retryDelay);
-                        } else {
-                            reject(new Error(msg));
-                        }
-                    }
-                },
-                error: function(xhr, status, error) {
-                    var msg = 'Image generation failed';
-                    if (status === 'timeout') {
-                        msg = 'Image generation timed out';
-                    } else if (xhr.responseJSON && xhr.responseJSON.message) {
-                        msg = xhr.responseJSON.message;
-                    }
-                    if (attempt < CONFIG.maxRetries) {
-                        setTimeout(function() {
-                            self._apiCall(payload, attempt + 1, resolve, reject);
-                        }, CONFIG.retryDelay);
-                    } else {
-                        reject(new Error(msg));
-                    }
+            var retryOr = function(msg) {
+                if (attempt < CONFIG.maxRetries) {
+                    setTimeout(function() {
+                        self._apiCall(payload, attempt + 1, resolve, reject);
+                    }, CONFIG.retryDelay);
+                } else {
+                    reject(new Error(msg));
+                }
+            };
+
+            this._postImageRequest(payload).then(function(response) {
+                if (response.success && response.image_base64) {
+                    resolve({
+                        image_base64: response.image_base64,
+                        mime_type:    response.mime_type || 'image/png',
+                        model_used:   response.model_used || 'unknown'
+                    });
+                } else {
+                    retryOr((response && response.message) || 'No image returned');
                 }
+            }, function(error) {
+                var msg = 'Image generation failed';
+                if (error.isTimeout) {
+                    msg = 'Image generation timed out';
+                } else if (error.status && error.message) {
+                    msg = error.message;
+                }
+                retryOr(msg);
             });
         },
 
@@ -338,33 +359,24 @@
                     height:        1080
                 };
 
-                $.ajax({
-                    url: CONFIG.endpoint,
-                    method: 'POST',
-                    headers: CONFIG.nonce ? { 'X-WP-Nonce': CONFIG.nonce } : {},
-                    contentType: 'application/json',
-                    data: JSON.stringify(payload),
-                    timeout: CONFIG.timeout,
-                    success: function(response) {
-                        if (response.success && response.image_base64) {
-                            resolve({
-                                slideIndex: slideIndex,
-                                imageBase64: response.image_base64
-                            });
-                        } else {
-                            var msg = (response && response.message) || 'No image returned';
-                            reject(new Error(msg));
-                        }
-                    },
-                    error: function(xhr, status, error) {
-                        var msg = 'Slide image generation failed';
-                        if (status === 'timeout') {
-                            msg = 'Slide image generation timed out';
-                        } else if (xhr.responseJSON && xhr.responseJSON.message) {
-                            msg = xhr.responseJSON.message;
-                        }
+                self._postImageRequest(payload).then(function(response) {
+                    if (response.success && response.image_base64) {
+                        resolve({
+                            slideIndex: slideIndex,
+                            imageBase64: response.image_base64
+                        });
+                    } else {
+                        var msg = (response && response.message) || 'No image returned';
                         reject(new Error(msg));
                     }
+                }, function(error) {
+                    var msg = 'Slide image generation failed';
+                    if (error.isTimeout) {
+                        msg = 'Slide image generation timed out';
+                    } else if (error.status && error.message) {
+                        msg = error.message;
+                    }
+                    reject(new Error(msg));
                 });
             });
         },
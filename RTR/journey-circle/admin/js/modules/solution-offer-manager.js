@@ -48,6 +48,9 @@
                 editingOfferId: null
             };
 
+            // Shared DRApiClient, created on first request
+            this.api = null;
+
             // DOM Elements
             this.elements = {
                 step7Container: null,
@@ -174,27 +177,16 @@
          * @returns {Promise<Object>} Response data
          */
         async apiRequest(endpoint, method = 'GET', data = null) {
-            const url = `${this.config.apiBase}${endpoint}`;
-            const options = {
-                method,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.config.nonce
-                }
-            };
-
-            if (data && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
-                options.body = JSON.stringify(data);
+            if (!this.api) {
+                this.api = window.JourneyCircleAdmin.createApiClient(this.config.apiBase, this.config.nonce);
             }
 
-            const response = await fetch(url, options);
-            const result = await response.json();
-
-            if (!response.ok) {
-                throw new Error(result.message || 'API request failed');
-            }
+            const hasBody = data && (method === 'POST' || method === 'PUT' || method === 'PATCH');
 
-            return result;
+            return this.api.request(endpoint, {
+                method,
+                body: hasBody ? JSON.stringify(data) : undefined
+            });
         }
 
         /**
@@ -374,6 +366,17 @@
             this.triggerUpdate();
         }
 
+        /**
+         * Add an entry to the workflow's undo history
+         *
+         * @param {Object} entry { label, undo, redo }
+         */
+        recordHistory(entry) {
+            if (window.drJourneyCircle && window.drJourneyCircle.history) {
+                window.drJourneyCircle.history.record(entry);
+            }
+        }
+
         /**
          * Trigger update callback
          */
@@ -1097,8 +1100,29 @@
 
             if (!confirm(confirmMessage)) return;
 
+            const offers = this.state.offers.filter(o => o.solution_id === solutionId);
+            const ref = { id: solutionId };
+
             try {
                 await this.deleteSolution(solutionId);
+
+                // Undo recreates the solution and its offers (they get new IDs)
+                this.recordHistory({
+                    label: `Delete solution "${solution.title}"`,
+                    undo: async () => {
+                        const restored = await this.createSolution(solution.problem_id, solution.title, solution.description || '');
+                        ref.id = restored.id;
+                        for (const offer of offers) {
+                            await this.createOffer(restored.id, offer.title, offer.url, offer.description || '');
+                        }
+                        this.renderStep7();
+                    },
+                    redo: async () => {
+                        await this.deleteSolution(ref.id);
+                        this.renderStep7();
+                    }
+                });
+
                 this.showNotification('Solution deleted successfully', 'success');
                 this.renderStep7();
             } catch (error) {
@@ -1203,8 +1227,27 @@
         async handleDeleteOffer(offerId) {
             if (!confirm('Are you sure you want to delete this offer?')) return;
 
+            const offer = this.state.offers.find(o => o.id === offerId);
+            const ref = { id: offerId };
+
             try {
                 await this.deleteOffer(offerId);
+
+                if (offer) {
+                    this.recordHistory({
+                        label: `Delete offer "${offer.title}"`,
+                        undo: async () => {
+                            const restored = await this.createOffer(offer.solution_id, offer.title, offer.url, offer.description || '');
+                            ref.id = restored.id;
+                            this.renderStep8();
+                        },
+                        redo: async () => {
+                            await this.deleteOffer(ref.id);
+                            this.renderStep8();
+                        }
+                    });
+                }
+
                 this.showNotification('Offer deleted successfully', 'success');
                 this.renderStep8();
             } catch (error) {
@@ -26,6 +26,7 @@
             this.workflow = workflow;
             this.apiBase = workflow.config.restUrl;
             this.nonce = workflow.config.restNonce;
+            this.api = null; // Shared DRApiClient (directreach/v2), created on first request
 
             // State
             this.selectedProblems = [];
@@ -310,33 +311,29 @@
                 return;
             }
 
-            // Build the correct directreach/v2 endpoint
-            let apiBase = this.apiBase;
-            // If apiBase points to journey-circle/v1, switch to directreach/v2
-            if (apiBase.indexOf('journey-circle/v1') !== -1) {
-                apiBase = apiBase.replace('journey-circle/v1', 'directreach/v2');
-            }
-
             try {
-                const response = await fetch(`${apiBase}/journey-circles/${journeyCircleId}/problems/${problemId}/asset-urls`, {
-                    method: 'PUT',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.nonce
-                    },
-                    body: JSON.stringify({
-                        asset_urls: [url]
-                    })
+                await this._api().put(`/journey-circles/${journeyCircleId}/problems/${problemId}/asset-urls`, {
+                    asset_urls: [url]
                 });
-                if (!response.ok) {
-                    console.debug('[Step10] API persist returned', response.status, '(URL saved locally)');
-                }
             } catch (error) {
                 // Silently fail - URL is already saved in localStorage
                 console.debug('[Step10] API persist failed (URL saved locally):', error.message);
             }
         }
 
+        _api() {
+            if (!this.api) {
+                // Build the correct directreach/v2 endpoint
+                let apiBase = this.apiBase;
+                // If apiBase points to journey-circle/v1, switch to directreach/v2
+                if (apiBase.indexOf('journey-circle/v1') !== -1) {
+                    apiBase = apiBase.replace('journey-circle/v1', 'directreach/v2');
+                }
+                this.api = window.JourneyCircleAdmin.createApiClient(apiBase, this.nonce);
+            }
+            return this.api;
+        }
+
         isValidUrl(string) {
             try {
                 const url = new URL(string);
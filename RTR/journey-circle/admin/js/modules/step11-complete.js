@@ -28,6 +28,7 @@
             this.apiBase = workflow.config.restUrl;
             this.nonce = workflow.config.restNonce;
             this.campaignBuilderUrl = workflow.config.campaignBuilderUrl;
+            this.api = null; // Shared DRApiClient, created on first request
 
             this._bound = false;
             this.init();
@@ -353,23 +354,12 @@
 
             if (journeyCircleId) {
                 try {
-                    const response = await fetch(`${this.apiBase}/journey-circles/${journeyCircleId}/complete`, {
-                        method: 'PUT',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'X-WP-Nonce': this.nonce
-                        }
-                    });
-
-                    if (response.ok) {
-                        apiSuccess = true;
-                    } else {
-                        // API might reject if not all 5 problems have assets — that's OK
-                        // We still allow local completion
-                        console.warn('API complete request returned non-OK, proceeding with local completion');
-                    }
+                    await this._api().put(`/journey-circles/${journeyCircleId}/complete`);
+                    apiSuccess = true;
                 } catch (error) {
-                    console.warn('Could not reach API for completion, proceeding locally:', error);
+                    // API might reject if not all 5 problems have assets — that's OK
+                    // We still allow local completion
+                    console.warn('API complete request failed, proceeding with local completion:', error.message);
                 }
             }
 
@@ -506,6 +496,13 @@
             return url.substring(0, 55) + '...';
         }
 
+        _api() {
+            if (!this.api) {
+                this.api = window.JourneyCircleAdmin.createApiClient(this.apiBase, this.nonce);
+            }
+            return this.api;
+        }
+
         esc(text) {
             if (!text) return '';
             const div = document.createElement('div');
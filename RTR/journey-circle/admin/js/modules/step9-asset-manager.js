@@ -36,6 +36,7 @@
             this.workflow = workflow;
             this.apiBase = workflow.config.restUrl;
             this.nonce = workflow.config.restNonce;
+            this.api = null;
             this.selectedProblems = [];
             this.selectedSolutions = {};
             this.assets = {};
@@ -671,10 +672,9 @@
             try {
                 var state=this.workflow.getState();
                 var instr=gi.focus===FP?'Maintain PROBLEM focus: pain points, challenges, consequences.':'Maintain SOLUTION focus: approach, benefits, implementation.';
-                var resp=await fetch(this.apiBase+'/ai/generate-content',{method:'POST',headers:{'Content-Type':'application/json','X-WP-Nonce':this.nonce},body:JSON.stringify({problem_title:this.currentItem.problemTitle,solution_title:this.currentItem.solutionTitle,format:ct.apiFormat,outline:td.outline||'',existing_content:td.content||'',feedback:fb,focus:gi.focus,focus_instruction:instr,service_area_id:state.serviceAreaId||0,industries:state.industries||[],brain_content:state.brainContent||[]})});
-                var data=await resp.json();
+                var data=await this._api().post('/ai/generate-content',{problem_title:this.currentItem.problemTitle,solution_title:this.currentItem.solutionTitle,format:ct.apiFormat,outline:td.outline||'',existing_content:td.content||'',feedback:fb,focus:gi.focus,focus_instruction:instr,service_area_id:state.serviceAreaId||0,industries:state.industries||[],brain_content:state.brainContent||[]});
                 if(data.success&&data.content){td.content=data.content;td.status='draft';td.updatedAt=new Date().toISOString();this.workflow.updateState('contentAssets',this.assets);}
-            } catch(e){console.error('Revision failed:',e);}
+            } catch(e){console.error('Revision failed:',e);this.workflow.showNotification('Revision failed: '+e.message,'error');}
             this._showContent(gi);
         }
 
@@ -806,21 +806,24 @@
         // =================================================================
         // API CALLS
         // =================================================================
+        _api() {
+            if(!this.api) this.api=window.JourneyCircleAdmin.createApiClient(this.apiBase,this.nonce);
+            return this.api;
+        }
+
         async _apiOutline(state, focus, apiFormat, existing, feedback) {
             var item=this.currentItem,instr=focus===FP?'Focus on PROBLEM: pain points, challenges, consequences.':'Focus on SOLUTION: approach, benefits, implementation.';
             var body={problem_title:item.problemTitle,solution_title:item.solutionTitle,format:apiFormat,focus:focus,focus_instruction:instr,service_area_id:state.serviceAreaId||0,industries:state.industries||[],brain_content:state.brainContent||[]};
             if(existing) body.existing_outline=existing;
             if(feedback) body.feedback=feedback;
-            var resp=await fetch(this.apiBase+'/ai/generate-outline',{method:'POST',headers:{'Content-Type':'application/json','X-WP-Nonce':this.nonce},body:JSON.stringify(body)});
-            var data=await resp.json();
+            var data=await this._api().post('/ai/generate-outline',body);
             if(data.success&&data.outline) return data.outline;
             throw new Error(data.error||data.message||'Outline generation failed');
         }
 
         async _apiContent(state, focus, apiFormat, outline) {
             var item=this.currentItem,instr=focus===FP?'PROBLEM angle: pain points, challenges, risks, costs.':'SOLUTION angle: approach, methodology, benefits, ROI, implementation.';
-            var resp=await fetch(this.apiBase+'/ai/generate-content',{method:'POST',headers:{'Content-Type':'application/json','X-WP-Nonce':this.nonce},body:JSON.stringify({problem_title:item.problemTitle,solution_title:item.solutionTitle,format:apiFormat,outline:outline,focus:focus,focus_instruction:instr,service_area_id:state.serviceAreaId||0,industries:state.industries||[],brain_content:state.brainContent||[]})});
-            var data=await resp.json();
+            var data=await this._api().post('/ai/generate-content',{problem_title:item.problemTitle,solution_title:item.solutionTitle,format:apiFormat,outline:outline,focus:focus,focus_instruction:instr,service_area_id:state.serviceAreaId||0,industries:state.industries||[],brain_content:state.brainContent||[]});
             if(data.success&&data.content) return data.content;
             throw new Error(data.error||data.message||'Content generation failed');
         }
@@ -34,6 +34,7 @@
             this.workflow = workflow;
             this.apiBase = workflow.config.restUrl;
             this.nonce = workflow.config.restNonce;
+            this.api = null; // Shared DRApiClient, created on first request
 
             // State
             this.problemSuggestions = [];      // AI-generated problem titles for Step 5/6
@@ -162,24 +163,15 @@
             const state = this.workflow.getState();
 
             try {
-                const response = await fetch(`${this.apiBase}/ai/generate-primary-problems`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.nonce
-                    },
-                    body: JSON.stringify({
-                        service_area_id: state.serviceAreaId || 0,
-                        service_area_name: '',
-                        industries: state.industries || [],
-                        brain_content: state.brainContent || [],
-                        existing_assets: state.existingAssets || [],
-                        force_refresh: forceRefresh
-                    })
+                const data = await this._api().post('/ai/generate-primary-problems', {
+                    service_area_id: state.serviceAreaId || 0,
+                    service_area_name: '',
+                    industries: state.industries || [],
+                    brain_content: state.brainContent || [],
+                    existing_assets: state.existingAssets || [],
+                    force_refresh: forceRefresh
                 });
 
-                const data = await response.json();
-
                 // Log extraction stats
                 this._logExtractionStats(data, 'Primary Problem');
 
@@ -466,26 +458,17 @@
                 : [];
 
             try {
-                const response = await fetch(`${this.apiBase}/ai/generate-problem-titles`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': this.nonce
-                    },
-                    body: JSON.stringify({
-                        service_area_id: state.serviceAreaId || 0,
-                        service_area_name: '',
-                        primary_problem_statement: state.primaryProblemStatement || '',
-                        industries: state.industries || [],
-                        brain_content: state.brainContent || [],
-                        existing_assets: state.existingAssets || [],
-                        force_refresh: forceRefresh,
-                        previous_titles: excludeTitles
-                    })
+                const data = await this._api().post('/ai/generate-problem-titles', {
+                    service_area_id: state.serviceAreaId || 0,
+                    service_area_name: '',
+                    primary_problem_statement: state.primaryProblemStatement || '',
+                    industries: state.industries || [],
+                    brain_content: state.brainContent || [],
+                    existing_assets: state.existingAssets || [],
+                    force_refresh: forceRefresh,
+                    previous_titles: excludeTitles
                 });
 
-                const data = await response.json();
-
                 if (data.success && data.titles && data.titles.length > 0) {
                     const newSuggestions = data.titles.map((t, i) => {
                         if (typeof t === 'object' && t !== null && t.title) {
@@ -818,27 +801,18 @@
             // Preserve existing suggestions for selected solutions
             try {
                 for (const problem of problemsToRegenerate) {
-                    const response = await fetch(`${this.apiBase}/ai/generate-solution-titles`, {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'X-WP-Nonce': this.nonce
-                        },
-                        body: JSON.stringify({
-                            problem_id: problem.id,
-                            problem_title: problem.title,
-                            service_area_id: state.serviceAreaId || 0,
-                            service_area_name: '',
-                            industries: state.industries || [],
-                            brain_content: state.brainContent || [],
-                            existing_assets: state.existingAssets || [],
-                            force_refresh: forceRefresh,
-                            exclude_titles: Object.values(this.selectedSolutions).filter(Boolean)
-                        })
+                    const data = await this._api().post('/ai/generate-solution-titles', {
+                        problem_id: problem.id,
+                        problem_title: problem.title,
+                        service_area_id: state.serviceAreaId || 0,
+                        service_area_name: '',
+                        industries: state.industries || [],
+                        brain_content: state.brainContent || [],
+                        existing_assets: state.existingAssets || [],
+                        force_refresh: forceRefresh,
+                        exclude_titles: Object.values(this.selectedSolutions).filter(Boolean)
                     });
 
-                    const data = await response.json();
-
                     // Log extraction stats if present
                     this._logExtractionStats(data, `Solution Titles (${problem.title.substring(0, 40)}...)`);
 
@@ -1139,6 +1113,13 @@
         // UTILITIES
         // =====================================================================
 
+        _api() {
+            if (!this.api) {
+                this.api = window.JourneyCircleAdmin.createApiClient(this.apiBase, this.nonce);
+            }
+            return this.api;
+        }
+
         esc(text) {
             if (!text) return '';
             const div = document.createElement('div');
@@ -713,6 +713,18 @@ if (!$client) {
                 <?php esc_html_e('Step', 'directreach-campaign-builder'); ?> 
                 <span class="jc-current-step">1</span> / 11
             </div>
+            <div class="history-controls jc-history-controls">
+                <button type="button" class="btn btn-ghost btn-sm" data-history="undo" title="<?php esc_attr_e('Undo (Ctrl+Z)', 'directreach-campaign-builder'); ?>" disabled>
+                    <i class="fas fa-undo"></i>
+                </button>
+                <button type="button" class="btn btn-ghost btn-sm" data-history="redo" title="<?php esc_attr_e('Redo (Ctrl+Shift+Z)', 'directreach-campaign-builder'); ?>" disabled>
+                    <i class="fas fa-redo"></i>
+                </button>
+                <button type="button" class="btn btn-ghost btn-sm" data-history="toggle" title="<?php esc_attr_e('History', 'directreach-campaign-builder'); ?>" disabled>
+                    <i class="fas fa-history"></i>
+                </button>
+                <ul class="dr-history-list" aria-label="<?php esc_attr_e('Change history', 'directreach-campaign-builder'); ?>"></ul>
+            </div>
             <button type="button" class="btn btn-warning jc-fast-track-btn" style="display:none;" title="Auto-generate all titles and articles without manual selection">
                 <i class="fas fa-bolt"></i>
                 <?php esc_html_e('Fast Track', 'directreach-campaign-builder'); ?>
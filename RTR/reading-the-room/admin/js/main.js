@@ -11,10 +11,19 @@ import RTRApiClient from './modules/api-client.js';
 import EmailModalManager from './modules/email-modal-manager.js';
 import EmailHistoryManager from './modules/email-history-manager.js';
 import AnalyticsManager from './modules/analytics-manager.js';
-import EmailStatusPoller from './modules/email-status-poller.js';
+import RealtimeClient from './modules/realtime-client.js';
 import ProspectInfoModal from './modules/prospect-info-modal.js';
 import ScoreBreakdownModal from './modules/score-breakdown-modal.js';
+import ProspectTimelineModal from './modules/prospect-timeline-modal.js';
 import EnrichmentManager from './modules/enrichment-manager.js';
+import BulkActionManager from './modules/bulk-action-manager.js';
+import FilterManager from './modules/filter-manager.js';
+import TriageManager from './modules/triage-manager.js';
+import EmailScheduleManager from './modules/email-schedule-manager.js';
+import EmailSendingManager from './modules/email-sending-manager.js';
+import EnrichmentSettingsManager from './modules/enrichment-settings-manager.js';
+import EnrichmentQueueManager from './modules/enrichment-queue-manager.js';
+import ExportManager from './modules/export-manager.js';
 
 class RTRDashboard {
     constructor() {
@@ -33,22 +42,66 @@ class RTRDashboard {
             // Initialize UI Manager first
             this.managers.ui = new UIManager();
 
+            // Shared REST client (retries, nonce refresh, ApiError)
+            this.managers.apiClient = new RTRApiClient(this.config);
+            const api = this.managers.apiClient;
+
+            // Filters first: restores the view from the URL before the first load
+            this.managers.filters = new FilterManager(api, this.config);
+            this.managers.filters.setUIManager(this.managers.ui);
+
             // Initialize core managers
-            this.managers.room = new RoomManager(this.config);
-            this.managers.prospect = new ProspectManager(this.config);
+            this.managers.room = new RoomManager(this.config, api);
+            this.managers.prospect = new ProspectManager(this.config, this.managers.filters, api);
             this.managers.prospect.setUIManager(this.managers.ui); // Pass UI manager
-            this.managers.apiClient = new RTRApiClient(this.config);
-            this.managers.emailModal = new EmailModalManager(this.managers.apiClient, this.config);
-            this.managers.emailHistory = new EmailHistoryManager(this.config);
-            this.managers.analytics = new AnalyticsManager(this.config);
-            this.managers.emailPoller = new EmailStatusPoller(this.config);
-            this.managers.prospectInfo = new ProspectInfoModal(this.config);
+            this.managers.emailModal = new EmailModalManager(api, this.config);
+            this.managers.emailHistory = new EmailHistoryManager(this.config, api);
+            this.managers.analytics = new AnalyticsManager(this.config, api);
+            this.managers.prospectInfo = new ProspectInfoModal(this.config, api);
             this.managers.scoreBreakdown = new ScoreBreakdownModal(this.config);
+            this.managers.timeline = new ProspectTimelineModal(api, this.config);
             
             // Initialize enrichment manager
-            this.managers.enrichment = new EnrichmentManager(this.config);
+            this.managers.enrichment = new EnrichmentManager(this.config, api);
             this.managers.enrichment.setUIManager(this.managers.ui);
             this.managers.enrichment.setProspectManager(this.managers.prospect);
+
+            // Initialize bulk actions (multi-select on prospect lists)
+            this.managers.bulk = new BulkActionManager(api, this.config);
+            this.managers.bulk.setUIManager(this.managers.ui);
+            this.managers.bulk.setProspectManager(this.managers.prospect);
+
+            // Email due dates: due-today queues and campaign cadence
+            this.managers.schedule = new EmailScheduleManager(api, this.config);
+            this.managers.schedule.setUIManager(this.managers.ui);
+            this.managers.schedule.setProspectManager(this.managers.prospect);
+
+            // Sender identity and SMTP/ESP settings for direct sending
+            this.managers.sending = new EmailSendingManager(api, this.config);
+            this.managers.sending.setUIManager(this.managers.ui);
+
+            // Enrichment providers: waterfall order, credentials and costs
+            this.managers.enrichmentSettings = new EnrichmentSettingsManager(api, this.config);
+            this.managers.enrichmentSettings.setUIManager(this.managers.ui);
+
+            // Bulk room enrichment: background jobs and the review queue
+            this.managers.enrichmentQueue = new EnrichmentQueueManager(api, this.config);
+            this.managers.enrichmentQueue.setUIManager(this.managers.ui);
+            this.managers.enrichmentQueue.setProspectManager(this.managers.prospect);
+
+            // Room exports (CSV/XLSX) and the PDF report
+            this.managers.export = new ExportManager(api, this.config);
+            this.managers.export.setUIManager(this.managers.ui);
+            this.managers.export.setProspectManager(this.managers.prospect);
+            this.managers.export.setRoomManager(this.managers.room);
+
+            // Keyboard triage (row cursor, row actions, command palette)
+            this.managers.triage = new TriageManager(api, this.config);
+            this.managers.triage.setUIManager(this.managers.ui);
+            this.managers.triage.setProspectManager(this.managers.prospect);
+
+            // Live prospect and email updates (SSE, long-poll fallback)
+            this.managers.realtime = new RealtimeClient(api, this.config);
             
             // Set up global event listeners
             this.setupGlobalEvents();
@@ -118,14 +171,19 @@ class RTRDashboard {
             this.onSalesHandoff(e.detail);
         });
 
+        // Handle bulk action completion
+        document.addEventListener('rtr:bulkActionComplete', (e) => {
+            this.onBulkActionComplete(e.detail);
+        });
+
         // Handle email generated
         document.addEventListener('rtr:emailGenerated', (e) => {
             this.onEmailGenerated(e.detail);
         });
 
-        // Handle email state updates from poller
-        document.addEventListener('rtr:email-states-updated', (e) => {
-            this.onEmailStatesUpdated(e.detail);
+        // Handle live updates (rows and counts are patched by their managers)
+        document.addEventListener('rtr:realtimeEvent', (e) => {
+            this.onRealtimeEvent(e.detail);
         });
 
         // Handle error display requests
@@ -141,6 +199,14 @@ class RTRDashboard {
             }
         });
 
+        // Handle prospect timeline modal open
+        document.addEventListener('rtr:openTimeline', (e) => {
+            const { prospectId, prospectName } = e.detail;
+            if (this.managers.timeline) {
+                this.managers.timeline.open(prospectId, prospectName);
+            }
+        });
+
         // Handle refresh button click
         const refreshBtn = document.getElementById('refresh-dashboard');
         if (refreshBtn) {
@@ -197,19 +263,26 @@ class RTRDashboard {
             }
 
             // ?: Show keyboard shortcuts help
-            if (e.key === '?' && !e.shiftKey) {
+            if (e.key === '?') {
                 this.showKeyboardShortcuts();
             }
         });
     }
 
     onFilterChanged() {
+        // Keep the URL in sync so a reload or shared link restores the view
+        if (this.managers.filters) {
+            this.managers.filters.updateUrl();
+        }
         if (this.managers.room) {
             this.managers.room.loadRoomCounts();
         }
         if (this.managers.prospect) {
             this.managers.prospect.refreshAllRooms();
         }
+        if (this.managers.schedule) {
+            this.managers.schedule.loadDueQueues();
+        }
     }
 
     onProspectUpdated(data) {
@@ -248,6 +321,18 @@ class RTRDashboard {
         }
     }
 
+    onBulkActionComplete(data) {
+        if (this.managers.room) {
+            this.managers.room.loadRoomCounts();
+        }
+        if (this.managers.prospect) {
+            data.rooms.forEach(room => this.managers.prospect.loadRoomProspects(room));
+        }
+        if (this.config.trackingEnabled) {
+            this.trackEvent('bulk_action', data);
+        }
+    }
+
     onEmailGenerated(data) {
         if (this.managers.prospect) {
             this.managers.prospect.updateProspectEmailStatus(data.visitorId, data.room);
@@ -258,49 +343,23 @@ class RTRDashboard {
     }
 
     /**
-     * Handle email state updates from poller
-     * @param {Object} data - { changes: Array of state change objects }
+     * Handle a live update from the server
+     * @param {Object} event - { type, data }
      */
-    onEmailStatesUpdated(data) {
-        if (!data || !data.changes || !Array.isArray(data.changes)) {
-            console.warn('Invalid email states update data');
-            return;
+    onRealtimeEvent({ type, data }) {
+        if (type === 'email-opened') {
+            const prospect = this.managers.prospect?.findProspectById(data.visitor_id);
+            const company = prospect?.company_name ? ` (${prospect.company_name})` : '';
+            this.managers.ui.notify(`Email #${data.email_number}${company} was opened!`, 'info');
         }
 
-        console.log(`[Main] Processing ${data.changes.length} email state changes`);
-
-        data.changes.forEach(change => {
-            const { visitorId, emailNumber, oldState, newState, emailTrackingId } = change;
-
-            // Update UI for this specific email button
-            if (this.managers.prospect) {
-                this.managers.prospect.updateButtonState(visitorId, emailNumber, newState);
-            }
-
-            // Notify user based on state transition
-            if (oldState === 'pending' && newState === 'ready') {
-                this.managers.ui.notify(`Email #${emailNumber} is ready! Click to view.`, 'success');
-            } else if (newState === 'opened') {
-                this.managers.ui.notify(`Email #${emailNumber} was opened!`, 'info');
-            } else if (newState === 'failed') {
-                this.managers.ui.notify(`Email #${emailNumber} generation failed. Click to retry.`, 'error');
-            }
-
-            // Track state changes
-            if (this.config.trackingEnabled) {
-                this.trackEvent('email_state_changed', {
-                    visitorId,
-                    emailNumber,
-                    oldState,
-                    newState,
-                    emailTrackingId
-                });
-            }
-        });
-
-        // Optionally refresh room counts if any emails changed
-        if (data.changes.length > 0 && this.managers.room) {
-            this.managers.room.loadRoomCounts();
+        if (this.config.trackingEnabled && (type === 'email-state-changed' || type === 'email-opened')) {
+            this.trackEvent('email_state_changed', {
+                visitorId: data.visitor_id,
+                emailNumber: data.email_number,
+                newState: data.state,
+                emailTrackingId: data.email_tracking_id
+            });
         }
     }
 
@@ -329,6 +388,10 @@ class RTRDashboard {
             promises.push(this.managers.prospect.refreshAllRooms());
         }
 
+        if (this.managers.schedule) {
+            promises.push(this.managers.schedule.loadDueQueues());
+        }
+
         Promise.all(promises)
             .then(() => {
                 if (!silent) {
@@ -351,6 +414,12 @@ class RTRDashboard {
     }
 
     handleEscape() {
+        const shortcutsHelp = document.querySelector('.rtr-shortcuts-help');
+        if (shortcutsHelp) {
+            shortcutsHelp.remove();
+            return;
+        }
+
         if (this.managers.emailModal && this.managers.emailModal.isOpen) {
             this.managers.emailModal.close();
             return;
@@ -388,14 +457,22 @@ class RTRDashboard {
     }
 
     showKeyboardShortcuts() {
+        if (document.querySelector('.rtr-shortcuts-help')) {
+            return;
+        }
+
         const shortcuts = [
             { keys: 'Ctrl/Cmd + R', description: 'Refresh data' },
-            { keys: 'Esc', description: 'Close modals/dropdowns' },
+            { keys: 'Esc', description: 'Close modals/dropdowns, clear the row cursor' },
             { keys: '?', description: 'Show this help' }
         ];
+        const triage = this.managers.triage;
 
-        const html = `
-            <div class="rtr-shortcuts-modal">
+        const modal = document.createElement('div');
+        modal.className = 'ui-confirm-modal rtr-shortcuts-help';
+        modal.innerHTML = `
+            <div class="ui-overlay"></div>
+            <div class="ui-modal rtr-shortcuts-modal" role="dialog" aria-modal="true">
                 <h3>Keyboard Shortcuts</h3>
                 <table class="rtr-shortcuts-table">
                     ${shortcuts.map(s => `
@@ -405,25 +482,61 @@ class RTRDashboard {
                         </tr>
                     `).join('')}
                 </table>
-                <button class="rtr-btn-secondary" onclick="this.closest('.rtr-modal-overlay').remove()">
-                    Close
-                </button>
-            </div>
-        `;
-
-        const overlay = document.createElement('div');
-        overlay.className = 'rtr-modal-overlay';
-        overlay.innerHTML = html;
-        overlay.addEventListener('click', (e) => {
-            if (e.target === overlay) {
-                overlay.remove();
+                <h4>Triage</h4>
+                <p class="rtr-shortcuts-note">Row actions apply to the highlighted prospect. Click a key to change it.</p>
+                <table class="rtr-shortcuts-table rtr-shortcuts-triage"></table>
+                <div class="ui-actions">
+                    <button class="btn btn-secondary reset-btn">Reset to defaults</button>
+                    <button class="btn btn-primary close-btn">Close</button>
+                </div>
+            </div>`;
+
+        const renderTriage = () => {
+            modal.querySelector('.rtr-shortcuts-triage').innerHTML = triage.getShortcuts().map(s => `
+                <tr>
+                    <td class="rtr-shortcut-keys">
+                        <button type="button" class="rtr-shortcut-edit" data-action="${s.id}" title="Change shortcut">
+                            <kbd>${s.keys}</kbd>
+                        </button>
+                    </td>
+                    <td class="rtr-shortcut-desc">${s.label}</td>
+                </tr>
+            `).join('');
+        };
+        renderTriage();
+
+        const close = () => {
+            triage.cancelCapture();
+            modal.classList.remove('active');
+            setTimeout(() => modal.remove(), 250);
+        };
+
+        modal.querySelector('.close-btn').onclick = close;
+        modal.querySelector('.ui-overlay').onclick = close;
+        modal.querySelector('.reset-btn').onclick = () => {
+            triage.resetBindings();
+            renderTriage();
+            this.managers.ui.notify('Shortcuts reset to defaults', 'success');
+        };
+
+        modal.querySelector('.rtr-shortcuts-triage').addEventListener('click', async (e) => {
+            const button = e.target.closest('.rtr-shortcut-edit');
+            if (!button) return;
+
+            button.innerHTML = '<kbd>Press a key…</kbd>';
+            const binding = await triage.captureBinding();
+
+            if (binding) {
+                const error = triage.setBinding(button.dataset.action, binding);
+                if (error) {
+                    this.managers.ui.notify(error, 'error');
+                }
             }
+            renderTriage();
         });
-        document.body.appendChild(overlay);
-        
-        setTimeout(() => {
-            overlay.classList.add('rtr-modal-show');
-        }, 10);
+
+        document.body.appendChild(modal);
+        requestAnimationFrame(() => modal.classList.add('active'));
     }
 
     trackEvent(eventName, data = {}) {
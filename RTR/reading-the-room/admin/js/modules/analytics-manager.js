@@ -1,26 +1,52 @@
 /**
  * Analytics Manager
  * Handles analytics charts and statistics display
+ *
+ * Two views share the analytics modal: the daily trend of one room (room
+ * card analytics button) and the funnel view (header Funnel button) with
+ * room-to-room conversion, median days per room, email sequence
+ * completion and open rates and weekly cohorts. Every funnel number
+ * drills down to the prospects behind it.
  */
 
+/**
+ * Funnel stages ('sales' = handed off)
+ */
+const FUNNEL_STAGES = {
+    problem: 'Problem',
+    solution: 'Solution',
+    offer: 'Offer',
+    sales: 'Handed off'
+};
+
+const FUNNEL_ROOMS = ['problem', 'solution', 'offer'];
+
+const FUNNEL_WINDOWS = [
+    { days: 30, label: 'Last 30 days' },
+    { days: 90, label: 'Last 90 days' },
+    { days: 180, label: 'Last 6 months' },
+    { days: 365, label: 'Last 12 months' },
+    { days: 0, label: 'All time' }
+];
+
 class AnalyticsManager {
-    constructor(config) {
+    constructor(config, api) {
         this.config = config || window.rtrDashboardConfig || {};
-        // Handle both string and object config
-        if (typeof config === 'string') {
-            this.apiUrl = config;
-        } else {
-            this.apiUrl = config?.restUrl || config?.apiUrl || window.rtrDashboardConfig?.restUrl || window.rtrDashboardConfig?.apiUrl || '';
-        }
-        this.nonce = config?.nonce || window.rtrDashboardConfig?.nonce || '';
+        this.api = api;
         this.modal = null;
         this.chart = null;
+        this.funnelCharts = [];
+        this.funnelFilters = { campaignId: '', days: 90 };
+        this.funnelRequest = 0;
         this.isOpen = false;
         this.init();
     }
 
     init() {
         this.initModal();
+        this.initFunnelView();
+
+        document.getElementById('rtr-funnel-analytics')?.addEventListener('click', () => this.openFunnel());
     }
 
     initModal() {
@@ -71,6 +97,7 @@ class AnalyticsManager {
         // Show modal
         this.modal.classList.add('active');
         this.modal.style.display = 'flex';
+        this.showView('room');
 
         // Update modal title
         const modalTitle = this.modal.querySelector('.modal-title');
@@ -93,7 +120,528 @@ class AnalyticsManager {
             this.modal.classList.remove('active');
             this.modal.style.display = 'none';
             this.isOpen = false;
+            this.funnelRequest++;
+            this.destroyFunnelCharts();
+        }
+    }
+
+    /**
+     * Show the room trend view or the funnel view
+     * @param {string} view - 'room' or 'funnel'
+     */
+    showView(view) {
+        const roomView = view === 'room';
+        this.modal.querySelectorAll('.summary-stats, .chart-container').forEach(el => {
+            el.hidden = !roomView;
+        });
+        this.funnelView.hidden = roomView;
+        this.modal.querySelector('.modal-content')?.classList.toggle('funnel-modal-content', !roomView);
+    }
+
+    // ------------------------------------------------------------------
+    // FUNNEL VIEW
+    // ------------------------------------------------------------------
+
+    /**
+     * Add the funnel view to the analytics modal
+     */
+    initFunnelView() {
+        if (!this.modal) return;
+
+        this.funnelView = document.createElement('div');
+        this.funnelView.className = 'funnel-view';
+        this.funnelView.hidden = true;
+        this.funnelView.innerHTML = `
+            <div class="funnel-controls">
+                <select class="funnel-campaign" aria-label="Campaign">
+                    <option value="">All campaigns</option>
+                </select>
+                <select class="funnel-days" aria-label="Prospects added">
+                    ${FUNNEL_WINDOWS.map(w => `<option value="${w.days}">${w.label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="funnel-content"></div>
+            <div class="funnel-drilldown" hidden></div>
+        `;
+        this.modal.querySelector('.modal-body').appendChild(this.funnelView);
+
+        const campaignSelect = this.funnelView.querySelector('.funnel-campaign');
+        const daysSelect = this.funnelView.querySelector('.funnel-days');
+        daysSelect.value = String(this.funnelFilters.days);
+
+        campaignSelect.addEventListener('change', () => {
+            this.funnelFilters.campaignId = campaignSelect.value;
+            this.loadFunnel();
+        });
+        daysSelect.addEventListener('change', () => {
+            this.funnelFilters.days = parseInt(daysSelect.value, 10);
+            this.loadFunnel();
+        });
+
+        // Drill-down links in the summaries and tables
+        this.funnelView.addEventListener('click', (e) => {
+            const drill = e.target.closest('[data-metric]');
+            if (drill) {
+                this.drillDown({
+                    metric: drill.dataset.metric,
+                    room: drill.dataset.room || '',
+                    week: drill.dataset.week || '',
+                    label: drill.dataset.label || ''
+                });
+                return;
+            }
+
+            if (e.target.closest('.funnel-back')) {
+                this.closeDrillDown();
+                return;
+            }
+
+            const row = e.target.closest('[data-prospect-id]');
+            if (row) {
+                document.dispatchEvent(new CustomEvent('rtr:openTimeline', {
+                    detail: { prospectId: parseInt(row.dataset.prospectId, 10), prospectName: row.dataset.prospectName }
+                }));
+            }
+        });
+    }
+
+    /**
+     * Open the funnel view for the selected client
+     */
+    async openFunnel() {
+        if (!this.modal) {
+            console.error('Analytics modal not initialized');
+            return;
+        }
+
+        this.isOpen = true;
+        this.modal.classList.add('active');
+        this.modal.style.display = 'flex';
+        this.showView('funnel');
+
+        const modalTitle = this.modal.querySelector('.modal-title');
+        if (modalTitle) {
+            modalTitle.textContent = 'Funnel & Conversion';
+        }
+
+        await this.loadCampaignOptions();
+        this.loadFunnel();
+    }
+
+    /**
+     * Fill the campaign filter with the selected client's campaigns
+     */
+    async loadCampaignOptions() {
+        const select = this.funnelView.querySelector('.funnel-campaign');
+
+        try {
+            const result = await this.api.get('/campaigns');
+            const clientId = this.getClientId();
+            const campaigns = (result.data || []).filter(c => !clientId || String(c.client_id) === clientId);
+
+            select.innerHTML = `
+                <option value="">All campaigns</option>
+                ${campaigns.map(c => `<option value="${c.id}">${this.escapeHtml(c.campaign_name)}</option>`).join('')}
+            `;
+        } catch (error) {
+            console.error('Failed to load campaigns:', error);
+        }
+
+        // Keep the campaign if it belongs to the selected client
+        if (!select.querySelector(`option[value="${this.funnelFilters.campaignId}"]`)) {
+            this.funnelFilters.campaignId = '';
+        }
+        select.value = this.funnelFilters.campaignId;
+    }
+
+    /**
+     * Load and render the funnel
+     */
+    async loadFunnel() {
+        const content = this.funnelView.querySelector('.funnel-content');
+        const request = ++this.funnelRequest;
+
+        this.closeDrillDown();
+        this.destroyFunnelCharts();
+        content.innerHTML = `
+            <div class="loading-spinner">
+                <p>Loading funnel...</p>
+            </div>
+        `;
+
+        try {
+            const result = await this.api.get('/analytics/funnel', this.getFunnelParams());
+            if (request !== this.funnelRequest) return;
+
+            this.funnel = result.data;
+            this.renderFunnel();
+        } catch (error) {
+            if (request !== this.funnelRequest) return;
+            console.error('Failed to load funnel:', error);
+            content.innerHTML = `
+                <div class="funnel-empty">
+                    <p>Failed to load the funnel: ${this.escapeHtml(error.message)}</p>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Render the four funnel sections
+     */
+    renderFunnel() {
+        const content = this.funnelView.querySelector('.funnel-content');
+        const { total, stages, archived, room_time: roomTime, emails, cohorts } = this.funnel;
+
+        if (!total) {
+            content.innerHTML = `
+                <div class="funnel-empty">
+                    <p>No prospects were added in this period.</p>
+                </div>
+            `;
+            return;
+        }
+
+        content.innerHTML = `
+            <section class="funnel-section">
+                <h4>Room Funnel</h4>
+                <div class="funnel-chart"><canvas class="funnel-stage-chart"></canvas></div>
+                <div class="funnel-stats">
+                    ${stages.map(stage => `
+                        <button type="button" class="funnel-stat" data-metric="reached" data-room="${stage.stage}"
+                                data-label="Reached ${FUNNEL_STAGES[stage.stage]}">
+                            <span class="funnel-stat-label">${FUNNEL_STAGES[stage.stage]}</span>
+                            <span class="funnel-stat-value">${stage.count}</span>
+                            <span class="funnel-stat-note">${stage.conversion_rate === null
+                                ? 'entered the funnel'
+                                : `${this.formatPercent(stage.conversion_rate)} of previous`}</span>
+                        </button>
+                    `).join('')}
+                    <button type="button" class="funnel-stat funnel-stat-archived" data-metric="archived" data-label="Archived">
+                        <span class="funnel-stat-label">Archived</span>
+                        <span class="funnel-stat-value">${archived.count}</span>
+                        <span class="funnel-stat-note">${this.formatPercent(archived.rate)} of prospects</span>
+                    </button>
+                </div>
+            </section>
+
+            <section class="funnel-section">
+                <h4>Median Days in Room</h4>
+                <div class="funnel-chart funnel-chart-small"><canvas class="funnel-time-chart"></canvas></div>
+                <div class="funnel-stats">
+                    ${roomTime.map(room => `
+                        <button type="button" class="funnel-stat" data-metric="room_time" data-room="${room.room}"
+                                data-label="Time in ${FUNNEL_STAGES[room.room]}" ${room.left ? '' : 'disabled'}>
+                            <span class="funnel-stat-label">${FUNNEL_STAGES[room.room]}</span>
+                            <span class="funnel-stat-value">${room.median_days === null ? '&ndash;' : `${room.median_days}d`}</span>
+                            <span class="funnel-stat-note">${room.left} left &middot; ${room.in_room} still there</span>
+                        </button>
+                    `).join('')}
+                </div>
+            </section>
+
+            <section class="funnel-section">
+                <h4>Email Sequences</h4>
+                <table class="funnel-table">
+                    <thead>
+                        <tr>
+                            <th>Room</th>
+                            <th>Entered</th>
+                            <th>Started</th>
+                            <th>Completed</th>
+                            <th>Emails Sent</th>
+                            <th>Opened</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${emails.map(room => {
+                            const label = FUNNEL_STAGES[room.room];
+                            return `
+                                <tr>
+                                    <th scope="row">${label}</th>
+                                    <td>${this.drillLink(room.entered, { metric: 'reached', room: room.room, label: `Reached ${label}` })}</td>
+                                    <td>${this.drillLink(room.started, { metric: 'emails_sent', room: room.room, label: `${label}: sequence started` })}</td>
+                                    <td>
+                                        ${this.drillLink(room.completed, { metric: 'sequence_complete', room: room.room, label: `${label}: sequence completed` })}
+                                        <small>${this.formatPercent(room.completion_rate)}</small>
+                                    </td>
+                                    <td>${room.sent}</td>
+                                    <td>
+                                        ${this.drillLink(room.opened, { metric: 'emails_opened', room: room.room, label: `${label}: opened an email` })}
+                                        <small>${this.formatPercent(room.open_rate)} open rate</small>
+                                    </td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </section>
+
+            <section class="funnel-section">
+                <h4>Weekly Cohorts <small>by week of first visit</small></h4>
+                <table class="funnel-table funnel-cohorts">
+                    <thead>
+                        <tr>
+                            <th>Week of</th>
+                            <th>Prospects</th>
+                            <th>Solution</th>
+                            <th>Offer</th>
+                            <th>Handed off</th>
+                            <th>Archived</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${cohorts.map(cohort => this.renderCohortRow(cohort)).join('')}
+                    </tbody>
+                </table>
+            </section>
+        `;
+
+        this.renderFunnelCharts();
+    }
+
+    /**
+     * One cohort week
+     * @param {object} cohort
+     * @returns {string} HTML
+     */
+    renderCohortRow(cohort) {
+        const week = this.formatWeek(cohort.week);
+        const cell = (count, metric, room, label) => `
+            <td>
+                ${this.drillLink(count, { metric, room, week: cohort.week, label: `Week of ${week}: ${label}` })}
+                <small>${this.formatPercent(cohort.prospects ? count / cohort.prospects : 0)}</small>
+            </td>
+        `;
+
+        return `
+            <tr>
+                <th scope="row">${week}</th>
+                <td>${this.drillLink(cohort.prospects, { metric: 'reached', room: 'problem', week: cohort.week, label: `Week of ${week}` })}</td>
+                ${cell(cohort.solution, 'reached', 'solution', 'reached Solution')}
+                ${cell(cohort.offer, 'reached', 'offer', 'reached Offer')}
+                ${cell(cohort.sales, 'reached', 'sales', 'handed off')}
+                ${cell(cohort.archived, 'archived', '', 'archived')}
+            </tr>
+        `;
+    }
+
+    /**
+     * A number that opens its drill-down (plain text when 0)
+     * @param {number} count
+     * @param {object} drill - metric, room, week, label
+     * @returns {string} HTML
+     */
+    drillLink(count, { metric, room = '', week = '', label = '' }) {
+        if (!count) {
+            return '<span class="funnel-zero">0</span>';
         }
+
+        return `
+            <button type="button" class="funnel-drill" data-metric="${metric}" data-room="${room}"
+                    data-week="${week}" data-label="${this.escapeHtml(label)}">${count}</button>
+        `;
+    }
+
+    /**
+     * Stage funnel and median days charts; bars drill down too
+     */
+    renderFunnelCharts() {
+        if (!window.Chart) return;
+
+        const { stages, room_time: roomTime } = this.funnel;
+
+        const stageCanvas = this.funnelView.querySelector('.funnel-stage-chart');
+        this.funnelCharts.push(new Chart(stageCanvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: stages.map(stage => FUNNEL_STAGES[stage.stage]),
+                datasets: [{
+                    label: 'Prospects',
+                    data: stages.map(stage => stage.count),
+                    backgroundColor: stages.map(stage => this.getRoomColor(stage.stage, 0.8))
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { display: false } },
+                scales: { x: { beginAtZero: true, ticks: { precision: 0 } } },
+                onClick: (event, elements) => {
+                    const stage = stages[elements[0]?.index];
+                    if (stage) {
+                        this.drillDown({ metric: 'reached', room: stage.stage, label: `Reached ${FUNNEL_STAGES[stage.stage]}` });
+                    }
+                }
+            }
+        }));
+
+        const timeCanvas = this.funnelView.querySelector('.funnel-time-chart');
+        this.funnelCharts.push(new Chart(timeCanvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: roomTime.map(room => FUNNEL_STAGES[room.room]),
+                datasets: [{
+                    label: 'Median days',
+                    data: roomTime.map(room => room.median_days),
+                    backgroundColor: roomTime.map(room => this.getRoomColor(room.room, 0.8))
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { display: false } },
+                scales: { y: { beginAtZero: true } },
+                onClick: (event, elements) => {
+                    const room = roomTime[elements[0]?.index];
+                    if (room?.left) {
+                        this.drillDown({ metric: 'room_time', room: room.room, label: `Time in ${FUNNEL_STAGES[room.room]}` });
+                    }
+                }
+            }
+        }));
+    }
+
+    destroyFunnelCharts() {
+        this.funnelCharts.forEach(chart => chart.destroy());
+        this.funnelCharts = [];
+    }
+
+    /**
+     * List the prospects behind a funnel number
+     * @param {object} drill - metric, room, week, label
+     */
+    async drillDown({ metric, room = '', week = '', label = '' }) {
+        const panel = this.funnelView.querySelector('.funnel-drilldown');
+        const request = ++this.funnelRequest;
+
+        this.funnelView.querySelector('.funnel-content').hidden = true;
+        panel.hidden = false;
+        panel.innerHTML = `
+            <div class="funnel-drilldown-header">
+                <button type="button" class="funnel-back"><i class="fas fa-arrow-left"></i> Back</button>
+                <h4>${this.escapeHtml(label)}</h4>
+            </div>
+            <div class="loading-spinner"><p>Loading prospects...</p></div>
+        `;
+
+        try {
+            const params = { ...this.getFunnelParams(), metric };
+            if (room) params.room = room;
+            if (week) params.week = week;
+
+            const result = await this.api.get('/analytics/funnel/prospects', params);
+            if (request !== this.funnelRequest) return;
+
+            panel.querySelector('.loading-spinner').outerHTML = this.renderProspectList(result.data || [], result.total || 0, metric);
+        } catch (error) {
+            if (request !== this.funnelRequest) return;
+            console.error('Failed to load funnel prospects:', error);
+            panel.querySelector('.loading-spinner').outerHTML = `
+                <div class="funnel-empty"><p>Failed to load prospects: ${this.escapeHtml(error.message)}</p></div>
+            `;
+        }
+    }
+
+    closeDrillDown() {
+        const panel = this.funnelView?.querySelector('.funnel-drilldown');
+        if (!panel || panel.hidden) return;
+
+        panel.hidden = true;
+        panel.innerHTML = '';
+        this.funnelView.querySelector('.funnel-content').hidden = false;
+    }
+
+    /**
+     * Drill-down table; rows open the prospect timeline
+     * @param {Array} prospects
+     * @param {number} total
+     * @param {string} metric
+     * @returns {string} HTML
+     */
+    renderProspectList(prospects, total, metric) {
+        if (!prospects.length) {
+            return '<div class="funnel-empty"><p>No prospects.</p></div>';
+        }
+
+        const extra = {
+            room_time: { label: 'Days in Room', value: p => p.days_in_room },
+            archived: { label: 'Archived', value: p => this.formatDate(p.archived_at) },
+            emails_sent: { label: 'Sent / Opened', value: p => `${p.emails_sent} / ${p.emails_opened}` },
+            emails_opened: { label: 'Sent / Opened', value: p => `${p.emails_sent} / ${p.emails_opened}` },
+            sequence_complete: { label: 'Sent / Opened', value: p => `${p.emails_sent} / ${p.emails_opened}` }
+        }[metric] || { label: 'First Visit', value: p => this.formatDate(p.first_seen_at) };
+
+        return `
+            <p class="funnel-drilldown-count">
+                ${total > prospects.length ? `Showing ${prospects.length} of ${total} prospects` : `${total} prospect${total === 1 ? '' : 's'}`}
+            </p>
+            <table class="funnel-table funnel-prospects">
+                <thead>
+                    <tr>
+                        <th>Company</th>
+                        <th>Contact</th>
+                        <th>Campaign</th>
+                        <th>Now</th>
+                        <th>Score</th>
+                        <th>${extra.label}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${prospects.map(p => `
+                        <tr data-prospect-id="${p.prospect_id}" data-prospect-name="${this.escapeHtml(p.company_name || '')}"
+                            title="Open timeline">
+                            <td>${this.escapeHtml(p.company_name || 'Unknown company')}</td>
+                            <td>${this.escapeHtml(p.contact_name || '')}</td>
+                            <td>${this.escapeHtml(p.campaign_name || '')}</td>
+                            <td>${p.status === 'archived' ? 'Archived' : this.escapeHtml(FUNNEL_STAGES[p.room] || p.room || '')}</td>
+                            <td>${p.lead_score}</td>
+                            <td>${this.escapeHtml(String(extra.value(p) ?? ''))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    getFunnelParams() {
+        const params = { days: this.funnelFilters.days };
+        const clientId = this.getClientId();
+        if (clientId) params.client_id = clientId;
+        if (this.funnelFilters.campaignId) params.campaign_id = this.funnelFilters.campaignId;
+        return params;
+    }
+
+    getClientId() {
+        return document.getElementById('client-select')?.value || '';
+    }
+
+    /**
+     * @param {number} ratio - 0..1
+     * @returns {string}
+     */
+    formatPercent(ratio) {
+        return `${Math.round((ratio || 0) * 100)}%`;
+    }
+
+    /**
+     * @param {string} dateString - MySQL datetime or Y-m-d
+     * @returns {string}
+     */
+    formatDate(dateString) {
+        if (!dateString) return '';
+        const date = new Date(dateString.replace(' ', 'T'));
+        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    /**
+     * @param {string} week - Monday, Y-m-d
+     * @returns {string}
+     */
+    formatWeek(week) {
+        const date = new Date(`${week}T00:00:00`);
+        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
     }
 
     /**
@@ -118,23 +666,13 @@ class AnalyticsManager {
      */
     async loadAnalytics(room, campaignId = null) {
         try {
-            const params = new URLSearchParams({ room: room });
+            const params = { room: room };
 
             if (campaignId) {
-                params.append('campaign_id', campaignId);
-            }
-
-            const response = await fetch(`${this.apiUrl}/analytics/room-trends?${params}`, {
-                headers: {
-                    'X-WP-Nonce': this.nonce
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+                params.campaign_id = campaignId;
             }
 
-            const data = await response.json();
+            const data = await this.api.get('/analytics/room-trends', params);
 
             // Check for successful response
             if (data.success) {
@@ -311,7 +849,7 @@ class AnalyticsManager {
      */
     escapeHtml(text) {
         const div = document.createElement('div');
-        div.textContent = text;
+        div.textContent = text ?? '';
         return div.innerHTML;
     }
 }
@@ -1,9 +1,26 @@
-class RTRApiClient {
+import APIClient, { ApiError } from '../../../../campaign-builder/admin/js/utils/api-client.js';
+
+/**
+ * /emails/* endpoints served by the reading-room namespace itself
+ */
+const READING_ROOM_EMAIL_ENDPOINTS = ['/emails/due', '/emails/digest'];
+
+/**
+ * Reading the Room flavour of the shared API client.
+ *
+ * Routes /emails/* to the Campaign Builder (directreach/v2) namespace and
+ * everything else (including READING_ROOM_EMAIL_ENDPOINTS) to the
+ * reading-room namespace.
+ */
+class RTRApiClient extends APIClient {
     constructor(config) {
+        super(
+            config?.apiUrl || config?.restUrl || '',
+            window.rtrDashboardConfig?.nonce || window.wpApiSettings?.nonce || config?.nonce || ''
+        );
+
         this.config = config;
-        this.baseUrl = this._getBaseUrl();
-        this.nonce = this._getNonce();
-        
+
         if (!this.nonce) {
             console.error('WARNING: No REST API nonce found.', {
                 rtrDashboardConfig: window.rtrDashboardConfig,
@@ -12,71 +29,35 @@ class RTRApiClient {
         }
     }
 
-    _getBaseUrl() {
-
-        return this.config?.apiUrl || this.config?.restUrl || '';
-    }
-
-    _getNonce() {
-        return window.rtrDashboardConfig?.nonce || 
-               window.wpApiSettings?.nonce || 
-               this.config?.nonce || 
-               '';
-    }
-
-    async _request(endpoint, options = {}) {
+    buildUrl(endpoint) {
         let baseUrl;
-        if (endpoint.startsWith('/emails')) {
+        if (endpoint.startsWith('/emails') && !READING_ROOM_EMAIL_ENDPOINTS.some(path => endpoint.startsWith(path))) {
             baseUrl = this.config?.emailApiUrl || this.config.siteUrl + '/wp-json/directreach/v2';
         } else {
-            baseUrl = this.config?.apiUrl || this.config?.restUrl || '';
+            baseUrl = this.baseUrl;
         }
-        
-        const url = `${baseUrl}${endpoint}`;
-        
-        const fetchOptions = {
-            ...options,
-            credentials: 'same-origin',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-WP-Nonce': this.nonce,
-                ...(options.headers || {})
-            }
-        };
-
-        const response = await fetch(url, fetchOptions);
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            let errorData;
-            
-            try {
-                errorData = JSON.parse(errorText);
-            } catch {
-                errorData = { message: errorText };
-            }
-
-            // Special handling for nonce errors
-            if (response.status === 403 && errorData.code === 'rest_cookie_invalid_nonce') {
-                throw new Error('Session expired. Please refresh the page and try again.');
-            }
-
-            throw new Error(errorData.message || `Request failed: ${response.status}`);
-        }
-
-        return response.json();
+        return `${baseUrl}${endpoint}`;
     }
 
-    async get(endpoint) {
-        return this._request(endpoint, { method: 'GET' });
-    }
+    /**
+     * Reading-room endpoints report some failures as 200 { success: false };
+     * surface those as ApiError too.
+     */
+    async request(endpoint, options = {}) {
+        const body = await super.request(endpoint, options);
+
+        if (body && body.success === false) {
+            throw new ApiError(body.message || body.data?.message || 'Request failed', {
+                code: body.code || 'request_failed',
+                status: 200,
+                data: body.data ?? body
+            });
+        }
 
-    async post(endpoint, data) {
-        return this._request(endpoint, {
-            method: 'POST',
-            body: JSON.stringify(data)
-        });
+        return body;
     }
 }
 
-export default RTRApiClient;
\ No newline at end of file
+export { ApiError };
+export default RTRApiClient;
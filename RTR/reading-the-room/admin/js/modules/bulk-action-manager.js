@@ -0,0 +1,557 @@
+/**
+ * Bulk Action Manager
+ *
+ * Multi-select on the room prospect lists: row checkboxes, shift-click
+ * range selection, a per-page select-all and a sticky action bar that
+ * archives, hands off, generates the next email for, moves or exports
+ * the selected prospects. Actions run item by item with progress shown
+ * through the UI Manager.
+ *
+ * The selection survives paging and sorting; it is cleared when the
+ * dashboard filters change.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.1.0
+ */
+
+const ROOMS = ['problem', 'solution', 'offer'];
+
+/**
+ * Requests in flight per action (generation is kept lower, it calls the AI)
+ */
+const CONCURRENCY = 3;
+const GENERATE_CONCURRENCY = 2;
+
+/**
+ * Verb used in the result summary
+ */
+const ACTION_LABELS = {
+    archive: 'Archived',
+    handoff: 'Handed off',
+    generate: 'Generated emails for',
+    move: 'Moved'
+};
+
+export default class BulkActionManager {
+    constructor(api, config) {
+        this.api = api;
+        this.config = config;
+        this.uiManager = null; // Will be set by main.js
+        this.prospectManager = null; // Will be set by main.js
+
+        // prospect id => { prospect, room }
+        this.selected = new Map();
+        this.lastClicked = null;
+        this.isRunning = false;
+        this.bar = null;
+
+        this.init();
+    }
+
+    init() {
+        this.renderBar();
+        this.attachEventListeners();
+    }
+
+    setUIManager(uiManager) {
+        this.uiManager = uiManager;
+    }
+
+    setProspectManager(prospectManager) {
+        this.prospectManager = prospectManager;
+    }
+
+    attachEventListeners() {
+        document.addEventListener('click', (e) => {
+            const checkbox = e.target.closest('.rtr-select-checkbox');
+            if (checkbox) {
+                this.handleCheckboxClick(checkbox, e.shiftKey);
+                return;
+            }
+
+            const pageCheckbox = e.target.closest('.rtr-select-page-checkbox');
+            if (pageCheckbox) {
+                this.selectPage(pageCheckbox.dataset.room, pageCheckbox.checked);
+            }
+        });
+
+        // Keep checkboxes and stored prospect data in sync after a room re-renders
+        document.addEventListener('rtr:prospectsRendered', (e) => {
+            this.syncRoom(e.detail.room);
+        });
+
+        document.addEventListener('rtr:filterChanged', () => {
+            this.clear();
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // SELECTION
+    // ------------------------------------------------------------------
+
+    /**
+     * Toggle a row, or the range from the last clicked row when shift is held
+     * @param {HTMLInputElement} checkbox - Clicked row checkbox
+     * @param {boolean} shiftKey - Shift held
+     */
+    handleCheckboxClick(checkbox, shiftKey) {
+        const room = checkbox.dataset.room;
+        const checked = checkbox.checked;
+        const boxes = this.getRoomCheckboxes(room);
+
+        if (shiftKey && this.lastClicked && this.lastClicked.room === room) {
+            const from = boxes.findIndex(box => box.dataset.prospectId === this.lastClicked.id);
+            const to = boxes.indexOf(checkbox);
+
+            if (from !== -1 && to !== -1) {
+                boxes.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(box => {
+                    box.checked = checked;
+                    this.setSelected(box.dataset.prospectId, room, checked);
+                });
+            }
+        } else {
+            this.setSelected(checkbox.dataset.prospectId, room, checked);
+        }
+
+        this.lastClicked = { room, id: checkbox.dataset.prospectId };
+        this.updateRoomCheckboxes(room);
+        this.updateBar();
+    }
+
+    /**
+     * Select or deselect every row on the room's current page
+     */
+    selectPage(room, checked) {
+        this.getRoomCheckboxes(room).forEach(box => {
+            box.checked = checked;
+            this.setSelected(box.dataset.prospectId, room, checked);
+        });
+
+        this.lastClicked = null;
+        this.updateRoomCheckboxes(room);
+        this.updateBar();
+    }
+
+    setSelected(prospectId, room, checked) {
+        if (!checked) {
+            this.selected.delete(prospectId);
+            return;
+        }
+
+        const prospect = this.findLoadedProspect(prospectId, room);
+        if (prospect) {
+            this.selected.set(prospectId, { prospect, room });
+        }
+    }
+
+    /**
+     * Re-apply the selection to a freshly rendered room
+     */
+    syncRoom(room) {
+        this.getRoomCheckboxes(room).forEach(box => {
+            const entry = this.selected.get(box.dataset.prospectId);
+            box.checked = !!entry;
+            if (entry) {
+                entry.prospect = this.findLoadedProspect(box.dataset.prospectId, room) || entry.prospect;
+            }
+        });
+
+        this.updateRoomCheckboxes(room);
+    }
+
+    /**
+     * Page checkbox state: checked, unchecked or indeterminate
+     */
+    updateRoomCheckboxes(room) {
+        const pageCheckbox = document.querySelector(`#rtr-room-${room} .rtr-select-page-checkbox`);
+        if (!pageCheckbox) return;
+
+        const boxes = this.getRoomCheckboxes(room);
+        const checkedCount = boxes.filter(box => box.checked).length;
+
+        pageCheckbox.checked = boxes.length > 0 && checkedCount === boxes.length;
+        pageCheckbox.indeterminate = checkedCount > 0 && checkedCount < boxes.length;
+
+        boxes.forEach(box => {
+            box.closest('.rtr-prospect-row')?.classList.toggle('rtr-prospect-selected', box.checked);
+        });
+    }
+
+    clear() {
+        this.selected.clear();
+        this.lastClicked = null;
+        ROOMS.forEach(room => {
+            this.getRoomCheckboxes(room).forEach(box => {
+                box.checked = false;
+            });
+            this.updateRoomCheckboxes(room);
+        });
+        this.updateBar();
+    }
+
+    getRoomCheckboxes(room) {
+        return Array.from(document.querySelectorAll(`#rtr-room-${room} .rtr-select-checkbox`));
+    }
+
+    findLoadedProspect(prospectId, room) {
+        const prospects = this.prospectManager?.prospects[room] || [];
+        return prospects.find(p => String(p.id) === String(prospectId)) || null;
+    }
+
+    // ------------------------------------------------------------------
+    // ACTION BAR
+    // ------------------------------------------------------------------
+
+    renderBar() {
+        const section = document.querySelector('.room-details-section');
+        if (!section) return;
+
+        this.bar = document.createElement('div');
+        this.bar.className = 'rtr-bulk-bar';
+        this.bar.hidden = true;
+        this.bar.innerHTML = `
+            <span class="rtr-bulk-count"></span>
+            <div class="rtr-bulk-actions">
+                <button type="button" class="rtr-bulk-btn" data-action="generate" title="Generate the next pending email for each selected prospect">
+                    <i class="fas fa-magic"></i> Generate Next Email
+                </button>
+                <button type="button" class="rtr-bulk-btn" data-action="move" title="Move the selected prospects to another campaign">
+                    <i class="fas fa-exchange-alt"></i> Move to Campaign
+                </button>
+                <button type="button" class="rtr-bulk-btn" data-action="handoff" title="Hand off the selected Offer Room prospects to sales">
+                    <i class="fas fa-handshake"></i> Hand Off to Sales
+                </button>
+                <button type="button" class="rtr-bulk-btn" data-action="archive" title="Archive the selected prospects">
+                    <i class="fas fa-archive"></i> Archive
+                </button>
+                <button type="button" class="rtr-bulk-btn" data-action="export" title="Download the selected prospects as CSV">
+                    <i class="fas fa-file-csv"></i> Export
+                </button>
+            </div>
+            <button type="button" class="rtr-bulk-clear">Clear selection</button>
+        `;
+
+        this.bar.addEventListener('click', (e) => {
+            if (e.target.closest('.rtr-bulk-clear')) {
+                this.clear();
+                return;
+            }
+
+            const button = e.target.closest('.rtr-bulk-btn');
+            if (button && !this.isRunning) {
+                this.handleAction(button.dataset.action);
+            }
+        });
+
+        section.prepend(this.bar);
+    }
+
+    updateBar() {
+        if (!this.bar) return;
+
+        const count = this.selected.size;
+        this.bar.hidden = count === 0;
+        this.bar.querySelector('.rtr-bulk-count').textContent = `${count} prospect${count === 1 ? '' : 's'} selected`;
+
+        const offerCount = this.getEntries().filter(entry => entry.room === 'offer').length;
+        const handoffBtn = this.bar.querySelector('[data-action="handoff"]');
+        handoffBtn.disabled = this.isRunning || offerCount === 0;
+
+        this.bar.querySelectorAll('.rtr-bulk-btn:not([data-action="handoff"])').forEach(button => {
+            button.disabled = this.isRunning;
+        });
+    }
+
+    getEntries() {
+        return Array.from(this.selected.entries()).map(([id, entry]) => ({ id, ...entry }));
+    }
+
+    async handleAction(action) {
+        if (!this.uiManager || this.selected.size === 0) return;
+
+        switch (action) {
+            case 'archive':
+                return this.bulkArchive();
+            case 'handoff':
+                return this.bulkHandoff();
+            case 'generate':
+                return this.bulkGenerate();
+            case 'move':
+                return this.bulkMove();
+            case 'export':
+                return this.exportCsv();
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // ACTIONS
+    // ------------------------------------------------------------------
+
+    async bulkArchive() {
+        const entries = this.getEntries();
+        const confirmed = await this.uiManager.confirmAction(
+            'Archive Prospects',
+            `Are you sure you want to archive ${entries.length} prospect${entries.length === 1 ? '' : 's'}?`,
+            'Archive',
+            'Cancel'
+        );
+        if (!confirmed) return;
+
+        await this.run('archive', 'Archiving Prospects', entries, CONCURRENCY, async (entry) => {
+            await this.api.post(`/prospects/${entry.id}/archive`, { reason: 'Archived in bulk' });
+            return { status: 'success', detail: 'Archived' };
+        });
+    }
+
+    async bulkHandoff() {
+        const entries = this.getEntries();
+        const offerCount = entries.filter(entry => entry.room === 'offer').length;
+        const skipped = entries.length - offerCount;
+
+        const confirmed = await this.uiManager.confirmAction(
+            'Hand off to Sales?',
+            `This will move ${offerCount} prospect${offerCount === 1 ? '' : 's'} to the Sales Room.`
+                + (skipped ? ` ${skipped} not in the Offer Room will be skipped.` : ''),
+            'Confirm',
+            'Cancel'
+        );
+        if (!confirmed) return;
+
+        await this.run('handoff', 'Handing Off to Sales', entries, CONCURRENCY, async (entry) => {
+            if (entry.room !== 'offer') {
+                return { status: 'skipped', detail: 'Not in the Offer Room' };
+            }
+            await this.api.post(`/prospects/${entry.id}/handoff`, { notes: '' });
+            return { status: 'success', detail: 'Handed off' };
+        });
+    }
+
+    async bulkGenerate() {
+        const entries = this.getEntries();
+        const confirmed = await this.uiManager.confirmAction(
+            'Generate Emails',
+            `Generate the next email for ${entries.length} selected prospect${entries.length === 1 ? '' : 's'}? Prospects with an unsent ready email are skipped.`,
+            'Generate',
+            'Cancel'
+        );
+        if (!confirmed) return;
+
+        await this.run('generate', 'Generating Emails', entries, GENERATE_CONCURRENCY, async (entry) => {
+            const { prospect, room } = entry;
+
+            if (prospect.email_bounced == 1) {
+                return { status: 'skipped', detail: 'Email bounced' };
+            }
+
+            const next = this.getNextEmail(prospect);
+            if (next.skip) {
+                return { status: 'skipped', detail: next.skip };
+            }
+
+            const visitorId = prospect.visitor_id || prospect.id;
+            this.prospectManager?.updateButtonState(visitorId, next.number, 'generating');
+
+            try {
+                await this.api.post('/emails/generate', {
+                    prospect_id: parseInt(visitorId, 10),
+                    room_type: room,
+                    email_number: next.number
+                });
+            } catch (error) {
+                this.prospectManager?.updateButtonState(visitorId, next.number, 'failed');
+                throw error;
+            }
+
+            this.prospectManager?.updateButtonState(visitorId, next.number, 'ready');
+            return { status: 'success', detail: `Email #${next.number} ready` };
+        });
+    }
+
+    async bulkMove() {
+        const entries = this.getEntries();
+        const clientIds = new Set(entries.map(entry => String(entry.prospect.client_id || '')));
+
+        if (clientIds.size > 1) {
+            this.uiManager.notify('Selected prospects belong to different clients. Select prospects of one client to move them.', 'error');
+            return;
+        }
+
+        let campaigns;
+        try {
+            campaigns = (await this.api.get('/campaigns')).data || [];
+        } catch (error) {
+            console.error('Failed to load campaigns:', error);
+            this.uiManager.notify('Failed to load campaigns', 'error');
+            return;
+        }
+
+        const [clientId] = clientIds;
+        const options = campaigns
+            .filter(campaign => !clientId || String(campaign.client_id) === clientId)
+            .map(campaign => ({ value: campaign.id, label: campaign.campaign_name }));
+
+        if (!options.length) {
+            this.uiManager.notify('No campaigns available for this client', 'error');
+            return;
+        }
+
+        const campaignId = await this.uiManager.selectOption(
+            'Move to Campaign',
+            `Move ${entries.length} prospect${entries.length === 1 ? '' : 's'} to:`,
+            options,
+            'Move',
+            'Cancel'
+        );
+        if (!campaignId) return;
+
+        await this.run('move', 'Moving Prospects', entries, CONCURRENCY, async (entry) => {
+            if (String(entry.prospect.campaign_id) === String(campaignId)) {
+                return { status: 'skipped', detail: 'Already in this campaign' };
+            }
+            const data = await this.api.post(`/prospects/${entry.id}/move-campaign`, {
+                campaign_id: parseInt(campaignId, 10)
+            });
+            return { status: 'success', detail: data.message || 'Moved' };
+        });
+    }
+
+    /**
+     * Download the selected prospects as CSV
+     */
+    exportCsv() {
+        const columns = [
+            ['Name', p => p.contact_name || `${p.first_name || ''} ${p.last_name || ''}`.trim()],
+            ['Job Title', p => p.job_title || ''],
+            ['Company', p => p.company_name || ''],
+            ['Email', p => p.contact_email || ''],
+            ['Room', (p, room) => room],
+            ['Campaign', p => p.campaign_name || ''],
+            ['Lead Score', p => p.lead_score ?? ''],
+            ['Days in Room', p => p.days_in_room ?? '']
+        ];
+
+        const escape = (value) => {
+            const text = String(value ?? '');
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [columns.map(([label]) => escape(label)).join(',')];
+        this.getEntries().forEach(({ prospect, room }) => {
+            lines.push(columns.map(([, value]) => escape(value(prospect, room))).join(','));
+        });
+
+        const blob = new Blob([lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `prospects-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+        this.uiManager.notify(`Exported ${lines.length - 1} prospect${lines.length === 2 ? '' : 's'}`, 'success');
+    }
+
+    // ------------------------------------------------------------------
+    // RUNNER
+    // ------------------------------------------------------------------
+
+    /**
+     * Run a task for each entry with limited concurrency
+     * @param {string} action - Action key (for the completion event)
+     * @param {string} title - Progress modal title
+     * @param {Array} entries - Selected entries
+     * @param {number} concurrency - Tasks in flight
+     * @param {Function} task - async (entry) => { status: 'success'|'skipped', detail }
+     */
+    async run(action, title, entries, concurrency, task) {
+        this.isRunning = true;
+        this.updateBar();
+
+        const progress = this.uiManager.showProgress(title, entries.map(entry => ({
+            id: entry.id,
+            label: this.getLabel(entry.prospect)
+        })));
+
+        const results = [];
+        const queue = [...entries];
+
+        const worker = async () => {
+            while (queue.length) {
+                const entry = queue.shift();
+                progress.update(entry.id, 'running');
+
+                try {
+                    const result = await task(entry);
+                    results.push({ ...entry, ...result });
+                    progress.update(entry.id, result.status, result.detail);
+                } catch (error) {
+                    console.error(`[BulkAction] ${action} failed for prospect ${entry.id}:`, error);
+                    results.push({ ...entry, status: 'error', detail: error.message });
+                    progress.update(entry.id, 'error', error.message);
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, entries.length) }, worker));
+
+        const succeeded = results.filter(r => r.status === 'success');
+        const skipped = results.filter(r => r.status === 'skipped').length;
+        const failed = results.filter(r => r.status === 'error').length;
+
+        let summary = `${ACTION_LABELS[action]} ${succeeded.length} of ${entries.length} prospects`;
+        if (skipped > 0) summary += `, ${skipped} skipped`;
+        if (failed > 0) summary += `, ${failed} failed`;
+
+        const type = failed === 0 ? 'success' : (succeeded.length > 0 ? 'warning' : 'error');
+        progress.finish(summary, type);
+
+        // Prospects that left their list no longer need to stay selected
+        if (['archive', 'handoff', 'move'].includes(action)) {
+            succeeded.forEach(result => this.selected.delete(result.id));
+        }
+
+        this.isRunning = false;
+        this.updateBar();
+
+        document.dispatchEvent(new CustomEvent('rtr:bulkActionComplete', {
+            detail: {
+                action,
+                rooms: [...new Set(results.map(r => r.room))],
+                succeeded: succeeded.length,
+                skipped,
+                failed
+            }
+        }));
+    }
+
+    /**
+     * Next email to generate, following the sequence rules of the email buttons
+     * @returns {{number: number}|{skip: string}}
+     */
+    getNextEmail(prospect) {
+        const states = prospect.email_states || {};
+
+        for (let i = 1; i <= 5; i++) {
+            const state = states[`email_${i}`]?.state || 'pending';
+
+            if (state === 'sent' || state === 'opened' || state === 'bounced') {
+                continue;
+            }
+            if (state === 'pending' || state === 'failed') {
+                return { number: i };
+            }
+            return { skip: `Email #${i} is ${state}` };
+        }
+
+        return { skip: 'All emails sent' };
+    }
+
+    getLabel(prospect) {
+        const name = prospect.contact_name ||
+            `${prospect.first_name || ''} ${prospect.last_name || ''}`.trim() ||
+            'Name Unknown';
+        return prospect.company_name ? `${name} (${prospect.company_name})` : name;
+    }
+}
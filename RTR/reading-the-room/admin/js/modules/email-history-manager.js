@@ -9,10 +9,9 @@
  */
 
 export default class EmailHistoryManager {
-    constructor(config) {
+    constructor(config, api = null) {
         this.config = config;
-        this.nonce = config?.nonce || window.rtrDashboardConfig?.nonce || '';
-        this.siteUrl = config?.siteUrl || window.rtrDashboardConfig?.siteUrl || '';
+        this.api = api; // Shared RTRApiClient
         this.modal = null;
         this.currentTracking = null;
         this._isListening = false;
@@ -74,6 +73,11 @@ export default class EmailHistoryManager {
                                     <div class="detail-item"><i class="fas fa-check-circle"></i><span>Status:</span><span class="email-status"></span></div>
                                     <div class="detail-item"><i class="fas fa-layer-group"></i><span>Template:</span><span class="template-name"></span></div>
                                     <div class="detail-item url-item"><i class="fas fa-link"></i><span>Content Link:</span><span class="url-included"></span></div>
+                                    <div class="detail-item"><i class="fas fa-mouse-pointer"></i><span>Clicks:</span><span class="click-count"></span></div>
+                                </div>
+                                <div class="email-clicks">
+                                    <h4>Link Clicks</h4>
+                                    <ul class="email-clicks-list"></ul>
                                 </div>
                             </div>
                         </div>
@@ -134,33 +138,8 @@ export default class EmailHistoryManager {
         this.modal.querySelector('.email-number-badge').textContent = `#${emailNumber}`;
 
         try {
-            // Construct the v2 API endpoint
-            let baseUrl = this.siteUrl;
-            if (baseUrl.includes('/wp-json')) {
-                baseUrl = baseUrl.split('/wp-json')[0];
-            }
-            const apiEndpoint = `${baseUrl}/wp-json/directreach/v2/emails/tracking/prospect/${visitorId}/email/${emailNumber}`;
-            
-            const response = await fetch(apiEndpoint, {
-                method: 'GET',
-                credentials: 'same-origin',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.nonce
-                }
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Email history API error:', errorText);
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
-            
-            if (!data.success) {
-                throw new Error(data.message || 'Failed to load email history');
-            }
+            // Served by the directreach/v2 email controller
+            const data = await this.api.get(`/emails/tracking/prospect/${visitorId}/email/${emailNumber}`);
             
             this.currentTracking = data.data;
             this.displayEmailHistory(data.data);
@@ -186,7 +165,7 @@ export default class EmailHistoryManager {
         subjectEl.textContent = data.subject || 'No subject';
         bodyEl.innerHTML = data.body_html || '<p>No content</p>';
         sentEl.textContent = this._formatDate(data.copied_at || data.sent_at);
-        statusEl.innerHTML = this._statusBadge(data.status, data.opened_at);
+        statusEl.innerHTML = this._statusBadge(data.status, data.opened_at, data.clicked_at);
 
         if (data.template_used) {
             const badge = data.template_used.is_global
@@ -206,12 +185,34 @@ export default class EmailHistoryManager {
             urlItem.style.display = 'none';
         }
 
+        this._displayClicks(data.clicks || []);
+    }
+
+    /**
+     * Clicks on the email's tracked links, most clicked first
+     */
+    _displayClicks(clicks) {
+        const total = clicks.reduce((sum, link) => sum + link.clicks, 0);
+        this.modal.querySelector('.click-count').textContent = total
+            ? `${total} on ${clicks.length} link${clicks.length === 1 ? '' : 's'}`
+            : 'None';
+
+        const section = this.modal.querySelector('.email-clicks');
+        section.style.display = clicks.length ? 'block' : 'none';
+
+        this.modal.querySelector('.email-clicks-list').innerHTML = clicks.map(link => `
+            <li>
+                <a href="${this._escapeHtml(link.url)}" target="_blank" rel="noopener">${this._escapeHtml(this._truncateUrl(link.url))}</a>
+                <span class="click-times">${link.clicks}× · last ${this._formatDate(link.last_clicked_at)}</span>
+            </li>
+        `).join('');
     }
 
     /**
      * Create status badge HTML
      */
-    _statusBadge(status, openedAt) {
+    _statusBadge(status, openedAt, clickedAt) {
+        if (clickedAt) return '<span class="status-badge status-clicked"><i class="fas fa-mouse-pointer"></i> Clicked</span>';
         if (openedAt) return '<span class="status-badge status-opened"><i class="fas fa-envelope-open"></i> Opened</span>';
 
         const map = {
@@ -8,6 +8,18 @@
  * @since 2.0.0
  */
 
+/**
+ * Quick directives for regenerating an email (keys match
+ * CPD_AI_Email_Generator::REVISION_DIRECTIVES)
+ */
+const REGENERATE_DIRECTIVES = {
+    shorter: 'Shorter',
+    more_formal: 'More formal',
+    more_casual: 'More casual',
+    pricing_page: 'Mention pricing page',
+    different_cta: 'Different CTA'
+};
+
 export default class EmailModalManager {
     constructor(api, config) {
         this.api = api;
@@ -15,6 +27,9 @@ export default class EmailModalManager {
         this.modal = null;
         this.currentProspect = null;
         this.currentEmail = null;
+        this.isEditing = false;
+        this.editDirty = false;
+        this.versions = [];
         this._isListening = false;
         this.init();
     }
@@ -65,6 +80,35 @@ export default class EmailModalManager {
 
                         <!-- Email Preview State -->
                         <div class="modal-body-section email-preview">
+                            <div class="email-version-tabs" role="tablist" aria-label="Email versions" hidden></div>
+
+                            <div class="email-regenerate-panel" hidden>
+                                <p class="email-regenerate-title">
+                                    <i class="fas fa-sync-alt"></i>
+                                    Regenerate this email
+                                </p>
+                                <div class="email-directives">
+                                    ${Object.entries(REGENERATE_DIRECTIVES).map(([key, label]) => `
+                                        <label class="email-directive">
+                                            <input type="checkbox" value="${key}" />
+                                            <span>${label}</span>
+                                        </label>
+                                    `).join('')}
+                                </div>
+                                <label class="email-label" for="email-regenerate-feedback">What should change?</label>
+                                <textarea id="email-regenerate-feedback"
+                                          class="email-regenerate-feedback"
+                                          rows="2"
+                                          maxlength="500"
+                                          placeholder="e.g. Reference their visit to the integrations page"></textarea>
+                                <div class="email-regenerate-actions">
+                                    <button type="button" class="btn btn-tertiary regenerate-cancel-btn">Cancel</button>
+                                    <button type="button" class="btn btn-warning regenerate-submit-btn">
+                                        <i class="fas fa-sync-alt"></i> Regenerate
+                                    </button>
+                                </div>
+                            </div>
+
                             <div class="email-metadata">
                                 <div class="meta-item">
                                     <i class="fas fa-user"></i>
@@ -95,6 +139,16 @@ export default class EmailModalManager {
 
                             <div class="email-body-section">
                                 <label class="email-label" for="email-body-input">Email Body:</label>
+                                <div class="email-edit-toolbar" role="toolbar" aria-label="Formatting" hidden>
+                                    <button type="button" data-command="bold" title="Bold"><i class="fas fa-bold"></i></button>
+                                    <button type="button" data-command="italic" title="Italic"><i class="fas fa-italic"></i></button>
+                                    <button type="button" data-command="underline" title="Underline"><i class="fas fa-underline"></i></button>
+                                    <button type="button" data-command="insertUnorderedList" title="Bulleted list"><i class="fas fa-list-ul"></i></button>
+                                    <button type="button" data-command="insertOrderedList" title="Numbered list"><i class="fas fa-list-ol"></i></button>
+                                    <button type="button" data-command="createLink" title="Add link"><i class="fas fa-link"></i></button>
+                                    <button type="button" data-command="unlink" title="Remove link"><i class="fas fa-unlink"></i></button>
+                                    <button type="button" data-command="removeFormat" title="Clear formatting"><i class="fas fa-remove-format"></i></button>
+                                </div>
                                 <div id="email-body-input"
                                      class="email-body" 
                                      contenteditable="true"
@@ -104,6 +158,11 @@ export default class EmailModalManager {
                                     <i class="fas fa-eye"></i>
                                     <span>Tracking pixel included for open detection</span>
                                 </div>
+                                <div class="email-edit-info" hidden>
+                                    <i class="fas fa-user-edit"></i>
+                                    <span class="email-edit-summary"></span>
+                                    <button type="button" class="email-edit-revert">Restore generated version</button>
+                                </div>
                             </div>
                         </div>
 
@@ -122,6 +181,9 @@ export default class EmailModalManager {
                         <button class="btn btn-secondary cancel-btn">
                             <i class="fas fa-times"></i> Cancel
                         </button>
+                        <button class="btn btn-primary send-btn" style="display:none;">
+                            <i class="fas fa-paper-plane"></i> Send
+                        </button>
                         <button class="btn btn-primary copy-btn">
                             <i class="fas fa-copy"></i> Copy to Clipboard
                         </button>
@@ -158,6 +220,46 @@ export default class EmailModalManager {
             copyBtn.addEventListener('click', () => this.copyEmailToClipboard());
         }
 
+        // Send button (direct sending enabled)
+        this.modal.querySelector('.send-btn')?.addEventListener('click', () => this.sendEmail());
+
+        // Inline editing
+        const toolbar = this.modal.querySelector('.email-edit-toolbar');
+        toolbar?.addEventListener('mousedown', (e) => {
+            // Keep the selection in the body
+            if (e.target.closest('[data-command]')) e.preventDefault();
+        });
+        toolbar?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-command]');
+            if (button) this._applyFormat(button.dataset.command);
+        });
+
+        ['.email-subject', '.email-body'].forEach(selector => {
+            this.modal.querySelector(selector)?.addEventListener('input', () => {
+                this.editDirty = true;
+            });
+        });
+
+        this.modal.querySelector('.email-edit-revert')?.addEventListener('click', () => this.revertEdits());
+
+        // Regenerate with directives / feedback
+        this.modal.querySelector('.regenerate-cancel-btn')?.addEventListener('click', () => {
+            this._toggleRegeneratePanel(false);
+        });
+        this.modal.querySelector('.regenerate-submit-btn')?.addEventListener('click', () => {
+            const panel = this.modal.querySelector('.email-regenerate-panel');
+            this.regenerateEmail({
+                directives: Array.from(panel.querySelectorAll('.email-directive input:checked')).map(input => input.value),
+                feedback: panel.querySelector('.email-regenerate-feedback').value.trim()
+            });
+        });
+
+        // Version tabs
+        this.modal.querySelector('.email-version-tabs')?.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-version-id]');
+            if (tab) this._switchVersion(parseInt(tab.dataset.versionId, 10));
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (!this.modal.classList.contains('active')) return;
@@ -266,13 +368,26 @@ export default class EmailModalManager {
 
         // Enable editing
         subjectInput.removeAttribute('disabled');
-        bodyDiv.setAttribute('contenteditable', 'true');
+        this.editDirty = false;
+        this._setEditing(true);
+        this._displayEditInfo();
+
+        const sendBtn = this.modal.querySelector('.send-btn');
+        if (sendBtn) {
+            sendBtn.style.display = this._isSendingEnabled() ? '' : 'none';
+            sendBtn.disabled = false;
+            sendBtn.innerHTML = '<i class="fas fa-paper-plane"></i> Send';
+        }
     }
 
     /**
      * Copy email to clipboard
      */
     async copyEmailToClipboard() {
+        if (!(await this._saveEdits())) {
+            return;
+        }
+
         try {
             // Get current values (may have been edited)
             const subject = this.modal.querySelector('.email-subject').value;
@@ -369,7 +484,7 @@ export default class EmailModalManager {
     }
 
     /**
-     * Show ready email (email already generated, non-editable view)
+     * Show ready email (email already generated, read-only until Edit is clicked)
      * 
      * @param {Object} details - { prospectId, emailNumber, prospectName }
      */
@@ -395,62 +510,22 @@ export default class EmailModalManager {
         this._showSection('loading');
 
         try {
-            // Use config from instance or fallback to global
-            const config = window.rtrDashboardConfig || this.config || {};
-            
             // Fetch email from tracking system
-            // Extract base URL properly
-            let baseUrl = this.api?.url || config.restUrl || config.siteUrl || '';
-            if (baseUrl.includes('/wp-json')) {
-                baseUrl = baseUrl.split('/wp-json')[0];
-            }
-            const apiEndpoint = `${baseUrl}/wp-json/directreach/v2/emails/tracking/prospect/${prospectId}/email/${emailNumber}`;
-            
-            const response = await fetch(
-                apiEndpoint,
-                {
-                    method: 'GET',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': config.nonce
-                    }
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch email: ${response.status}`);
-            }
+            const data = await this.api.get(`/emails/tracking/prospect/${prospectId}/email/${emailNumber}`);
 
-            const data = await response.json();
-
-            if (!data.success) {
-                throw new Error(data.message || 'Failed to load email');
-            }
-
-            this.currentEmail = {
-                id: data.data.id,
-                email_tracking_id: data.data.id, 
-                email_number: data.data.email_number || emailNumber, 
-                room_type: data.data.room_type, 
-                subject: data.data.subject,
-                body_html: data.data.body_html,
-                body_text: data.data.body_text,
-                url_included: data.data.url_included,
-                tracking_token: data.data.tracking_token,
-                template_used: data.data.template_used,
-                generated_by_ai: data.data.generated_by_ai,
-                copied_at: data.data.copied_at 
-            };
+            this.currentEmail = this._toCurrentEmail(data.data, emailNumber);
 
             // Update prospect room from email if available
             if (data.data.room_type && !this.currentProspect.room) {
                 this.currentProspect.room = data.data.room_type;
             }
 
-            // Display email in READ-ONLY mode
+            // Display email in read-only mode
             this._displayReadyEmail(this.currentEmail);
             this._showSection('email-preview');
 
+            await this._loadVersions();
+
         } catch (error) {
             console.error('Failed to load ready email:', error);
             this._showError(error.message || 'Failed to load email. Please try again.');
@@ -458,6 +533,32 @@ export default class EmailModalManager {
         }
     }
 
+    /**
+     * Email state from a tracking record
+     *
+     * @param {Object} tracking - Tracking details from the API
+     * @param {number} emailNumber - Fallback email number
+     * @returns {Object} Email data
+     */
+    _toCurrentEmail(tracking, emailNumber) {
+        return {
+            id: tracking.id,
+            email_tracking_id: tracking.id, 
+            email_number: tracking.email_number || emailNumber, 
+            room_type: tracking.room_type, 
+            subject: tracking.subject,
+            body_html: tracking.body_html,
+            body_text: tracking.body_text,
+            url_included: tracking.url_included,
+            tracking_token: tracking.tracking_token,
+            template_used: tracking.template_used,
+            generated_by_ai: tracking.generated_by_ai,
+            copied_at: tracking.copied_at,
+            sent_at: tracking.sent_at,
+            edit: tracking.edit
+        };
+    }
+
     /**
      * Display ready email in read-only mode
      * 
@@ -493,24 +594,179 @@ export default class EmailModalManager {
             errorSection.style.display = 'none';
         }
 
-        // Set subject (READ-ONLY)
+        // Set subject and body (read-only until the rep clicks Edit)
+        this.modal.querySelector('.email-subject').value = email.subject || '';
+        this.modal.querySelector('.email-body').innerHTML = this._renderEmailBody(email.body_html) || '';
+
+        this.editDirty = false;
+        this._setEditing(false);
+        this._displayEditInfo();
+
+        // Update copy button to show both options
+        this._updateCopyButtons();
+    }
+
+    /**
+     * Switch the subject and body between read-only and editable
+     *
+     * @param {boolean} editing - Whether the rep is editing
+     */
+    _setEditing(editing) {
+        this.isEditing = editing;
+
         const subjectInput = this.modal.querySelector('.email-subject');
-        if (subjectInput) {
-            subjectInput.value = email.subject || '';
-            subjectInput.setAttribute('readonly', 'readonly');
-            subjectInput.classList.add('readonly');
-        }
+        subjectInput.readOnly = !editing;
+        subjectInput.classList.toggle('readonly', !editing);
 
-        // Set body (READ-ONLY)
         const bodyDiv = this.modal.querySelector('.email-body');
-        if (bodyDiv) {
-            bodyDiv.innerHTML = this._renderEmailBody(email.body_html) || '';
-            bodyDiv.setAttribute('contenteditable', 'false');
-            bodyDiv.classList.add('readonly');
+        bodyDiv.setAttribute('contenteditable', editing ? 'true' : 'false');
+        bodyDiv.classList.toggle('readonly', !editing);
+
+        this.modal.querySelector('.email-edit-toolbar').hidden = !editing;
+
+        const editBtn = this.modal.querySelector('.edit-email-btn');
+        if (editBtn) {
+            editBtn.innerHTML = editing
+                ? '<i class="fas fa-check"></i> Done Editing'
+                : '<i class="fas fa-pen"></i> Edit';
         }
+    }
 
-        // Update copy button to show both options
-        this._updateCopyButtons();
+    /**
+     * Edit button: start editing, or save and go back to read-only
+     */
+    async toggleEditing() {
+        if (!this.isEditing) {
+            this._setEditing(true);
+            this.modal.querySelector('.email-body').focus();
+            return;
+        }
+
+        if (await this._saveEdits()) {
+            this._setEditing(false);
+        }
+    }
+
+    /**
+     * Apply a toolbar command to the selection in the body
+     *
+     * @param {string} command - execCommand name
+     */
+    _applyFormat(command) {
+        if (!this.isEditing) return;
+
+        this.modal.querySelector('.email-body').focus();
+
+        if (command === 'createLink') {
+            const url = prompt('Link URL:', 'https://');
+            if (!url || !/^https?:\/\/\S+$/i.test(url.trim())) return;
+            document.execCommand('createLink', false, url.trim());
+        } else {
+            document.execCommand(command, false, null);
+        }
+
+        this.editDirty = true;
+    }
+
+    /**
+     * Store the rep's edits on the email before it is copied or sent
+     *
+     * The server keeps the generated version alongside the edited one
+     * (and the diff between them) for template authors.
+     *
+     * @returns {Promise<boolean>} Whether the email can be used as shown
+     */
+    async _saveEdits() {
+        if (!this.editDirty || !this.currentEmail?.id) {
+            return true;
+        }
+
+        try {
+            const response = await this.api.put(`/emails/tracking/${this.currentEmail.id}/edit`, {
+                subject: this.modal.querySelector('.email-subject').value.trim(),
+                body_html: this.modal.querySelector('.email-body').innerHTML
+            });
+
+            this.currentEmail.subject = response.data.subject;
+            this.currentEmail.body_html = response.data.body_html;
+            this.currentEmail.edit = response.data.edit;
+            this.editDirty = false;
+            this._displayEditInfo();
+            return true;
+
+        } catch (error) {
+            console.error('Failed to save email edits:', error);
+            document.dispatchEvent(new CustomEvent('rtr:showNotification', {
+                detail: {
+                    message: error.message || 'Failed to save your edits. Please try again.',
+                    type: 'error'
+                }
+            }));
+            return false;
+        }
+    }
+
+    /**
+     * Discard the rep's edits and show the generated email again
+     */
+    async revertEdits() {
+        if (!this.currentEmail?.edit || !confirm('Discard your edits and restore the generated email?')) {
+            return;
+        }
+
+        try {
+            const response = await this.api.delete(`/emails/tracking/${this.currentEmail.id}/edit`);
+
+            this.currentEmail.subject = response.data.subject;
+            this.currentEmail.body_html = response.data.body_html;
+            this.currentEmail.edit = null;
+            this.editDirty = false;
+
+            this.modal.querySelector('.email-subject').value = this.currentEmail.subject || '';
+            this.modal.querySelector('.email-body').innerHTML = this._renderEmailBody(this.currentEmail.body_html) || '';
+            this._displayEditInfo();
+
+            document.dispatchEvent(new CustomEvent('rtr:showNotification', {
+                detail: {
+                    message: 'Generated version restored',
+                    type: 'success'
+                }
+            }));
+
+        } catch (error) {
+            console.error('Failed to restore generated email:', error);
+            document.dispatchEvent(new CustomEvent('rtr:showNotification', {
+                detail: {
+                    message: error.message || 'Failed to restore the generated email.',
+                    type: 'error'
+                }
+            }));
+        }
+    }
+
+    /**
+     * Note under the body when the email differs from the generated version
+     */
+    _displayEditInfo() {
+        const info = this.modal.querySelector('.email-edit-info');
+        const edit = this.currentEmail?.edit;
+
+        info.hidden = !edit;
+        if (!edit) return;
+
+        const changes = [];
+        if (edit.diff?.subject_changed) {
+            changes.push('subject');
+        }
+        const paragraphs = edit.diff?.paragraphs?.length || 0;
+        if (paragraphs) {
+            changes.push(`${paragraphs} paragraph${paragraphs === 1 ? '' : 's'}`);
+        }
+
+        info.querySelector('.email-edit-summary').textContent =
+            `Edited${edit.edited_by?.name ? ` by ${edit.edited_by.name}` : ''}: ${changes.join(' and ')} changed from the generated version`;
+        info.querySelector('.email-edit-revert').hidden =
+            Boolean(this.currentEmail.copied_at || this.currentEmail.sent_at);
     }
 
     /**
@@ -520,11 +776,21 @@ export default class EmailModalManager {
         const footer = this.modal.querySelector('.email-modal-footer');
         if (!footer) return;
 
-        // Check if email has been copied (sent state)
-        const wasCopied = this.currentEmail?.copied_at || false;
+        // Check if email has been copied or sent (sent state)
+        const wasCopied = this.currentEmail?.copied_at || this.currentEmail?.sent_at || false;
 
         // Build footer HTML with conditional Regenerate button
         footer.innerHTML = `
+            ${this._isSendingEnabled() && !wasCopied ? `
+            <button class="btn btn-primary send-btn">
+                <i class="fas fa-paper-plane"></i> Send
+            </button>
+            ` : ''}
+            ${!wasCopied && this.currentEmail?.id ? `
+            <button class="btn btn-secondary edit-email-btn">
+                ${this.isEditing ? '<i class="fas fa-check"></i> Done Editing' : '<i class="fas fa-pen"></i> Edit'}
+            </button>
+            ` : ''}
             <button class="btn btn-primary copy-html-btn">
                 <i class="fas fa-copy"></i> Copy HTML
             </button>
@@ -543,6 +809,14 @@ export default class EmailModalManager {
         `;
 
         // Attach event listeners
+        footer.querySelector('.send-btn')?.addEventListener('click', () => {
+            this.sendEmail();
+        });
+
+        footer.querySelector('.edit-email-btn')?.addEventListener('click', () => {
+            this.toggleEditing();
+        });
+
         footer.querySelector('.copy-html-btn')?.addEventListener('click', () => {
             this.copyFormattedHTML();
         });
@@ -552,7 +826,7 @@ export default class EmailModalManager {
         });
 
         footer.querySelector('.regenerate-btn')?.addEventListener('click', () => {
-            this.regenerateEmail();
+            this._toggleRegeneratePanel();
         });
 
         footer.querySelector('.cancel-btn')?.addEventListener('click', () => {
@@ -562,7 +836,7 @@ export default class EmailModalManager {
 
     /**
      * Copy formatted HTML (for pasting into Gmail)
-     * Includes tracking pixel
+     * Includes tracking pixel; unsaved edits are saved first
      */
     async copyFormattedHTML() {
         if (!this.currentEmail) {
@@ -570,6 +844,10 @@ export default class EmailModalManager {
             return;
         }
 
+        if (!(await this._saveEdits())) {
+            return;
+        }
+
         try {
             const htmlWithTracking = this._addTrackingPixel(this.currentEmail.body_html);
 
@@ -610,7 +888,7 @@ export default class EmailModalManager {
 
     /**
      * Copy raw HTML source code
-     * Includes tracking pixel
+     * Includes tracking pixel; unsaved edits are saved first
      */
     async copyRawHTML() {
         if (!this.currentEmail) {
@@ -618,6 +896,10 @@ export default class EmailModalManager {
             return;
         }
 
+        if (!(await this._saveEdits())) {
+            return;
+        }
+
         try {
             const htmlWithTracking = this._addTrackingPixel(this.currentEmail.body_html);
 
@@ -652,19 +934,120 @@ export default class EmailModalManager {
         }
     }
 
+    /**
+     * Send the email from the rep's sender identity through the configured
+     * SMTP server or ESP. The server adds the tracking pixel and marks the
+     * email sent; unsaved edits are saved first so the edited version goes out.
+     */
+    async sendEmail() {
+        if (!this.currentEmail?.id || !this.currentProspect?.id) {
+            console.error('No email to send');
+            return;
+        }
+
+        if (!confirm('Send this email to the prospect now?')) {
+            return;
+        }
+
+        if (!(await this._saveEdits())) {
+            return;
+        }
+
+        const sendBtn = this.modal.querySelector('.send-btn');
+        if (sendBtn) {
+            sendBtn.disabled = true;
+            sendBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
+        }
+
+        const body = { email_tracking_id: parseInt(this.currentEmail.id, 10) };
+
+        try {
+            const data = await this.api.post(`/prospects/${this.currentProspect.id}/send-email`, body);
+
+            document.dispatchEvent(new CustomEvent('rtr:showNotification', {
+                detail: {
+                    message: data.message || 'Email sent!',
+                    type: 'success'
+                }
+            }));
+
+            document.dispatchEvent(new CustomEvent('rtr:email-state-update', {
+                detail: {
+                    visitorId: this.currentProspect.id,
+                    emailNumber: this.currentEmail.email_number || 1,
+                    newState: 'sent'
+                }
+            }));
+
+            setTimeout(() => this.hideModal(), 800);
+
+        } catch (error) {
+            console.error('Failed to send email:', error);
+            if (error.code === 'no_sender_identity') {
+                document.dispatchEvent(new CustomEvent('rtr:openSendingSettings'));
+            }
+            document.dispatchEvent(new CustomEvent('rtr:showNotification', {
+                detail: {
+                    message: error.message || 'Failed to send email. Please try again.',
+                    type: 'error'
+                }
+            }));
+
+            if (sendBtn) {
+                sendBtn.disabled = false;
+                sendBtn.innerHTML = '<i class="fas fa-paper-plane"></i> Send';
+            }
+        }
+    }
+
+    /**
+     * Whether generated emails can be sent from the dashboard
+     */
+    _isSendingEnabled() {
+        const config = window.rtrDashboardConfig || this.config || {};
+        return Boolean(config.emailSending?.enabled);
+    }
+
+    /**
+     * Show or hide the regenerate panel
+     *
+     * @param {boolean} [show] - Defaults to toggling
+     */
+    _toggleRegeneratePanel(show) {
+        const panel = this.modal.querySelector('.email-regenerate-panel');
+        panel.hidden = show === undefined ? !panel.hidden : !show;
+
+        if (panel.hidden) {
+            panel.querySelectorAll('.email-directive input').forEach(input => {
+                input.checked = false;
+            });
+            panel.querySelector('.email-regenerate-feedback').value = '';
+        } else {
+            panel.querySelector('.email-directive input')?.focus();
+        }
+    }
+
     /**
      * Regenerate email with new AI generation
+     *
+     * The shown version is revised using the directives and feedback; it
+     * stays available as a version tab.
+     *
+     * @param {Object} [revision] - Revision instructions
+     * @param {string[]} [revision.directives] - REGENERATE_DIRECTIVES keys
+     * @param {string} [revision.feedback] - Free-text feedback
      */
-    async regenerateEmail() {
+    async regenerateEmail({ directives = [], feedback = '' } = {}) {
         if (!this.currentProspect || !this.currentEmail) {
             console.error('Cannot regenerate: missing prospect or email data');
             return;
         }
 
-        if (!confirm('This will generate a new email and replace the current one. Continue?')) {
+        if (!await this._saveEdits()) {
             return;
         }
 
+        this._toggleRegeneratePanel(false);
         this._showSection('loading');
 
         try {
@@ -674,7 +1057,10 @@ export default class EmailModalManager {
                 prospect_id: parseInt(this.currentProspect.id, 10),
                 room_type: this.currentProspect.room || this.currentEmail.room_type,
                 force_regenerate: true,
-                email_number: parseInt(this.currentEmail.email_number || 1, 10)
+                email_number: parseInt(this.currentEmail.email_number || 1, 10),
+                revise_tracking_id: this.currentEmail.id,
+                directives,
+                feedback
             });
 
             if (!data.success) {
@@ -699,6 +1085,8 @@ export default class EmailModalManager {
             this._displayReadyEmail(this.currentEmail);
             this._showSection('email-preview');
 
+            await this._loadVersions();
+
             document.dispatchEvent(new CustomEvent('rtr:showNotification', {
                 detail: {
                     message: 'Email regenerated successfully!',
@@ -723,6 +1111,93 @@ export default class EmailModalManager {
         }
     }
 
+    /**
+     * Load the unsent versions of the shown email for the version tabs
+     */
+    async _loadVersions() {
+        this.versions = [];
+
+        if (this.currentEmail?.id && !this.currentEmail.copied_at && !this.currentEmail.sent_at) {
+            try {
+                const response = await this.api.get(`/emails/tracking/${this.currentEmail.id}/versions`);
+                this.versions = response.data || [];
+            } catch (error) {
+                console.error('Failed to load email versions:', error);
+            }
+        }
+
+        this._renderVersionTabs();
+    }
+
+    /**
+     * One tab per version (only when there is more than one)
+     */
+    _renderVersionTabs() {
+        const tabs = this.modal.querySelector('.email-version-tabs');
+
+        tabs.hidden = this.versions.length < 2;
+        if (tabs.hidden) {
+            tabs.innerHTML = '';
+            return;
+        }
+
+        tabs.innerHTML = this.versions.map((version, index) => {
+            const selected = version.id === this.currentEmail?.id;
+            const notes = [
+                ...version.directives.map(key => REGENERATE_DIRECTIVES[key] || key),
+                ...(version.feedback ? [`"${version.feedback}"`] : [])
+            ];
+            const title = index === 0
+                ? 'Original version'
+                : (notes.length ? notes.join(', ') : 'Regenerated');
+
+            return `
+                <button type="button"
+                        class="email-version-tab ${selected ? 'active' : ''}"
+                        role="tab"
+                        aria-selected="${selected}"
+                        data-version-id="${version.id}"
+                        title="${this._escapeHtml(title)}">
+                    Version ${index + 1}
+                    ${notes.length ? '<i class="fas fa-sliders-h" aria-hidden="true"></i>' : ''}
+                </button>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show another version and make it the one in use
+     *
+     * @param {number} trackingId - Tracking record of the version
+     */
+    async _switchVersion(trackingId) {
+        if (!this.currentEmail || trackingId === this.currentEmail.id) {
+            return;
+        }
+
+        if (!await this._saveEdits()) {
+            return;
+        }
+
+        try {
+            const response = await this.api.get(`/emails/tracking/${trackingId}`);
+            await this.api.post(`/emails/tracking/${trackingId}/choose`);
+
+            this.currentEmail = this._toCurrentEmail(response.data, this.currentEmail.email_number);
+            this._displayReadyEmail(this.currentEmail);
+            this._renderVersionTabs();
+
+        } catch (error) {
+            console.error('Failed to switch email version:', error);
+            document.dispatchEvent(new CustomEvent('rtr:showNotification', {
+                detail: {
+                    message: error.message || 'Failed to switch to that version.',
+                    type: 'error'
+                }
+            }));
+        }
+    }
+
     /**
      * Add tracking pixel to HTML
      * 
@@ -734,6 +1209,11 @@ export default class EmailModalManager {
             return html;
         }
 
+        // Stored bodies already carry the pixel
+        if (html.includes(`/emails/track-open/${this.currentEmail.tracking_token}`)) {
+            return html;
+        }
+
         const trackingUrl = `${window.location.origin}/wp-json/directreach/v2/emails/track-open/${this.currentEmail.tracking_token}`;
         const trackingPixel = `<img src="${trackingUrl}" width="1" height="1" style="display:none;" alt="" />`;
 
@@ -761,25 +1241,10 @@ export default class EmailModalManager {
         }
 
         try {
-            // Extract base URL properly
-            let baseUrl = this.config?.siteUrl || window.DirectReachConfig?.siteUrl || '';
-            if (baseUrl.includes('/wp-json')) {
-                baseUrl = baseUrl.split('/wp-json')[0];
-            }
-            const apiEndpoint = `${baseUrl}/wp-json/directreach/v2/emails/track-copy`;
-            
-            await fetch(apiEndpoint, {
-                method: 'POST',
-                credentials: 'same-origin',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': window.rtrDashboardConfig?.nonce || this.config?.nonce || ''
-                },
-                body: JSON.stringify({
-                    email_tracking_id: this.currentEmail?.id || this.currentEmail?.tracking_id,
-                    prospect_id: this.currentProspect?.id,
-                    url_included: this.currentEmail?.url_included || ''
-                })
+            await this.api.post('/emails/track-copy', {
+                email_tracking_id: this.currentEmail?.id || this.currentEmail?.tracking_id,
+                prospect_id: this.currentProspect?.id,
+                url_included: this.currentEmail?.url_included || ''
             });
 
             // Emit event for UI updates
@@ -801,13 +1266,22 @@ export default class EmailModalManager {
      */
     hideModal() {
         if (!this.modal) return;
+
+        if (this.editDirty && this.modal.classList.contains('active') && !confirm('Discard your unsaved edits?')) {
+            return;
+        }
+
         this.modal.classList.remove('active');
         this.currentProspect = null;
         this.currentEmail = null;
+        this.editDirty = false;
+        this.versions = [];
 
         // Reset modal content after animation
         setTimeout(() => {
             this._showSection(null);
+            this._toggleRegeneratePanel(false);
+            this._renderVersionTabs();
             this.modal.querySelector('.email-subject').value = '';
             this.modal.querySelector('.email-body').innerHTML = '';
         }, 300);
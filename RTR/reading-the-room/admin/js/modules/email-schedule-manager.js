@@ -0,0 +1,316 @@
+/**
+ * Email Schedule Manager
+ *
+ * "Due today" queues at the top of each room (next emails due today or
+ * overdue, oldest first) and the per-campaign cadence editor: how many
+ * business days after entering the room email 1 is due, and after each
+ * send the next one is. Due dates themselves are calculated server-side
+ * (Reading_Room_Scheduler) and shown on the email buttons by the
+ * Prospect Manager.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+const ROOMS = ['problem', 'solution', 'offer'];
+
+const SEQUENCE_LENGTH = 5;
+
+/**
+ * Server events that can change what is due
+ */
+const RELOAD_EVENTS = ['prospect-created', 'room-changed', 'email-state-changed'];
+const RELOAD_DELAY = 1000;
+
+export default class EmailScheduleManager {
+    constructor(api, config) {
+        this.api = api;
+        this.config = config;
+        this.uiManager = null; // Will be set by main.js
+        this.prospectManager = null; // Will be set by main.js
+
+        this.queues = {}; // room => queue element
+        this.expanded = new Set();
+        this.reloadTimer = null;
+
+        this.init();
+    }
+
+    init() {
+        this.renderQueues();
+        this.attachEventListeners();
+        this.loadDueQueues();
+    }
+
+    setUIManager(uiManager) {
+        this.uiManager = uiManager;
+    }
+
+    setProspectManager(prospectManager) {
+        this.prospectManager = prospectManager;
+    }
+
+    attachEventListeners() {
+        document.getElementById('rtr-email-cadence')?.addEventListener('click', () => this.openCadenceEditor());
+
+        // Archived prospects leave the queues
+        document.addEventListener('rtr:prospectArchived', () => this.loadDueQueues());
+
+        document.addEventListener('rtr:realtimeEvent', (e) => {
+            if (RELOAD_EVENTS.includes(e.detail?.type)) {
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => this.loadDueQueues(), RELOAD_DELAY);
+            }
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // DUE TODAY QUEUES
+    // ------------------------------------------------------------------
+
+    renderQueues() {
+        ROOMS.forEach(room => {
+            const list = document.querySelector(`#rtr-room-${room} .rtr-prospect-list`);
+            if (!list) return;
+
+            const queue = document.createElement('div');
+            queue.className = 'rtr-due-queue';
+            queue.dataset.room = room;
+            queue.hidden = true;
+            queue.innerHTML = `
+                <button type="button" class="rtr-due-queue-toggle" aria-expanded="false">
+                    <i class="fas fa-calendar-day"></i>
+                    <span class="rtr-due-queue-summary"></span>
+                    <i class="fas fa-chevron-down rtr-due-queue-chevron"></i>
+                </button>
+                <ul class="rtr-due-queue-list" hidden></ul>`;
+
+            queue.querySelector('.rtr-due-queue-toggle').addEventListener('click', () => this.toggleQueue(room));
+            queue.querySelector('.rtr-due-queue-list').addEventListener('click', (e) => {
+                const item = e.target.closest('.rtr-due-item');
+                if (item) {
+                    this.jumpTo(item.dataset.prospectId, room);
+                }
+            });
+
+            list.before(queue);
+            this.queues[room] = queue;
+        });
+    }
+
+    /**
+     * Load the emails due today or overdue for the selected client
+     */
+    async loadDueQueues() {
+        try {
+            const clientId = this.getClientId();
+            const result = await this.api.get('/emails/due', clientId ? { client_id: clientId } : {});
+            const items = result.data || [];
+
+            ROOMS.forEach(room => {
+                this.renderQueue(room, items.filter(item => item.room === room));
+            });
+        } catch (error) {
+            console.error('Failed to load due emails:', error);
+        }
+    }
+
+    renderQueue(room, items) {
+        const queue = this.queues[room];
+        if (!queue) return;
+
+        queue.hidden = items.length === 0;
+        if (items.length === 0) return;
+
+        const overdue = items.filter(item => item.overdue).length;
+        const summary = `${items.length} email${items.length === 1 ? '' : 's'} due today`;
+        queue.classList.toggle('rtr-due-queue-overdue', overdue > 0);
+        queue.querySelector('.rtr-due-queue-summary').innerHTML = overdue
+            ? `${summary} <strong>· ${overdue} overdue</strong>`
+            : summary;
+
+        queue.querySelector('.rtr-due-queue-list').innerHTML = items.map(item => `
+            <li>
+                <button type="button" class="rtr-due-item${item.overdue ? ' rtr-due-item-overdue' : ''}" data-prospect-id="${item.prospect_id}">
+                    <span class="rtr-due-company">${this.escapeHtml(item.company_name || 'Unknown company')}</span>
+                    <span class="rtr-due-contact">${this.escapeHtml(item.contact_name || '')}</span>
+                    <span class="rtr-due-email">Email ${item.email_number}</span>
+                    <span class="rtr-due-when">${item.overdue ? `${item.days_overdue}d overdue` : 'Today'}</span>
+                </button>
+            </li>
+        `).join('');
+    }
+
+    toggleQueue(room) {
+        const queue = this.queues[room];
+        const expanded = !this.expanded.has(room);
+
+        if (expanded) {
+            this.expanded.add(room);
+        } else {
+            this.expanded.delete(room);
+        }
+
+        queue.querySelector('.rtr-due-queue-list').hidden = !expanded;
+        queue.querySelector('.rtr-due-queue-toggle').setAttribute('aria-expanded', expanded ? 'true' : 'false');
+        queue.classList.toggle('is-expanded', expanded);
+    }
+
+    /**
+     * Show a queued prospect's row
+     */
+    async jumpTo(prospectId, room) {
+        const row = await this.prospectManager?.showProspect(prospectId, room);
+
+        if (!row) {
+            this.notify('That prospect is hidden by the current filters', 'info');
+            return;
+        }
+
+        row.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        row.classList.remove('rtr-row-updated');
+        void row.offsetWidth; // Restart the highlight
+        row.classList.add('rtr-row-updated');
+    }
+
+    // ------------------------------------------------------------------
+    // CADENCE EDITOR
+    // ------------------------------------------------------------------
+
+    /**
+     * Edit the cadence of one of the selected client's campaigns
+     */
+    async openCadenceEditor() {
+        let campaigns;
+        try {
+            const result = await this.api.get('/campaigns');
+            const clientId = this.getClientId();
+            campaigns = (result.data || []).filter(c => !clientId || String(c.client_id) === clientId);
+        } catch (error) {
+            console.error('Failed to load campaigns:', error);
+            this.notify('Failed to load campaigns', 'error');
+            return;
+        }
+
+        if (campaigns.length === 0) {
+            this.notify('No campaigns for the selected client', 'info');
+            return;
+        }
+
+        const inputs = Array.from({ length: SEQUENCE_LENGTH }, (_, index) => {
+            const number = index + 1;
+            const after = number === 1 ? 'entering the room' : `email ${number - 1} is sent`;
+            return `
+                <label class="rtr-cadence-step">
+                    <span>Email ${number}</span>
+                    <input type="number" class="ui-input" min="0" max="60" step="1" data-email="${number}">
+                    <small>business days after ${after}</small>
+                </label>`;
+        }).join('');
+
+        const modal = document.createElement('div');
+        modal.className = 'ui-confirm-modal rtr-cadence-modal';
+        modal.innerHTML = `
+            <div class="ui-overlay"></div>
+            <div class="ui-modal">
+                <h3>Email Cadence</h3>
+                <p>When each email in a room sequence is due. Weekends are skipped.</p>
+                <select class="ui-select rtr-cadence-campaign">
+                    ${campaigns.map(c => `<option value="${c.id}">${this.escapeHtml(c.campaign_name)}</option>`).join('')}
+                </select>
+                <div class="rtr-cadence-steps">${inputs}</div>
+                <p class="rtr-cadence-status"></p>
+                <div class="ui-actions">
+                    <button class="btn btn-secondary reset-btn">Use default</button>
+                    <button class="btn btn-secondary cancel-btn">Cancel</button>
+                    <button class="btn btn-primary save-btn">Save</button>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+
+        const select = modal.querySelector('.rtr-cadence-campaign');
+
+        const close = () => {
+            modal.classList.remove('active');
+            setTimeout(() => modal.remove(), 250);
+        };
+
+        const fill = (cadence) => {
+            modal.querySelectorAll('input[data-email]').forEach(input => {
+                input.value = cadence.days[input.dataset.email];
+            });
+            modal.querySelector('.rtr-cadence-status').textContent = cadence.is_default
+                ? 'This campaign uses the default cadence.'
+                : 'This campaign has its own cadence.';
+            modal.querySelector('.reset-btn').disabled = cadence.is_default;
+        };
+
+        const load = async () => {
+            try {
+                const result = await this.api.get(`/campaigns/${select.value}/cadence`);
+                fill(result.data);
+            } catch (error) {
+                console.error('Failed to load cadence:', error);
+                this.notify('Failed to load the campaign cadence', 'error');
+            }
+        };
+
+        const save = async (method) => {
+            const days = {};
+            modal.querySelectorAll('input[data-email]').forEach(input => {
+                days[input.dataset.email] = Math.max(0, Math.min(60, parseInt(input.value, 10) || 0));
+            });
+
+            try {
+                const path = `/campaigns/${select.value}/cadence`;
+                const result = method === 'PUT'
+                    ? await this.api.put(path, { days })
+                    : await this.api.delete(path);
+                fill(result.data);
+                this.notify(result.message || 'Email cadence saved', 'success');
+                this.onCadenceChanged();
+            } catch (error) {
+                console.error('Failed to save cadence:', error);
+                this.notify(error.message || 'Failed to save the cadence', 'error');
+            }
+        };
+
+        select.addEventListener('change', load);
+        modal.querySelector('.cancel-btn').onclick = close;
+        modal.querySelector('.ui-overlay').onclick = close;
+        modal.querySelector('.save-btn').onclick = () => save('PUT');
+        modal.querySelector('.reset-btn').onclick = () => save('DELETE');
+
+        requestAnimationFrame(() => modal.classList.add('active'));
+        await load();
+    }
+
+    /**
+     * Due dates moved: reload the queues and the email buttons
+     */
+    onCadenceChanged() {
+        this.loadDueQueues();
+        this.prospectManager?.refreshAllRooms();
+    }
+
+    // ------------------------------------------------------------------
+    // HELPERS
+    // ------------------------------------------------------------------
+
+    getClientId() {
+        return document.getElementById('client-select')?.value || '';
+    }
+
+    notify(message, type) {
+        if (this.uiManager) {
+            this.uiManager.notify(message, type);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,265 @@
+/**
+ * Email Sending Manager
+ *
+ * Settings for sending generated emails straight from the dashboard
+ * instead of copying them: every rep's sender identity (from name,
+ * from address, reply-to) and, for administrators, the transport (SMTP
+ * server, ESP API or the local SMTP stub) and the bounce webhook URL to
+ * give the ESP. Sending itself happens in the Email Modal Manager.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+const TRANSPORTS = {
+    smtp: 'SMTP server',
+    esp: 'Email provider API',
+    stub: 'Local SMTP stub (127.0.0.1:1025, testing only)'
+};
+
+const PROVIDERS = {
+    sendgrid: 'SendGrid',
+    postmark: 'Postmark',
+    mailgun: 'Mailgun'
+};
+
+const ENCRYPTIONS = {
+    tls: 'STARTTLS',
+    ssl: 'SSL/TLS',
+    none: 'None'
+};
+
+export default class EmailSendingManager {
+    constructor(api, config) {
+        this.api = api;
+        this.config = config;
+        this.uiManager = null; // Will be set by main.js
+
+        this.init();
+    }
+
+    init() {
+        document.getElementById('rtr-email-sending')?.addEventListener('click', () => this.openSettings());
+
+        // The email modal asks for this when the rep has no sender identity yet
+        document.addEventListener('rtr:openSendingSettings', () => this.openSettings());
+    }
+
+    setUIManager(uiManager) {
+        this.uiManager = uiManager;
+    }
+
+    isEnabled() {
+        return Boolean(this.config.emailSending?.enabled);
+    }
+
+    canConfigure() {
+        return Boolean(this.config.emailSending?.canConfigure);
+    }
+
+    // ------------------------------------------------------------------
+    // SETTINGS MODAL
+    // ------------------------------------------------------------------
+
+    async openSettings() {
+        let identity;
+        let settings = null;
+
+        try {
+            identity = (await this.api.get('/sending/identity')).data;
+            if (this.canConfigure()) {
+                settings = (await this.api.get('/sending/settings')).data;
+            }
+        } catch (error) {
+            console.error('Failed to load sending settings:', error);
+            this.notify('Failed to load sending settings', 'error');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'ui-confirm-modal rtr-sending-modal';
+        modal.innerHTML = `
+            <div class="ui-overlay"></div>
+            <div class="ui-modal">
+                <h3>Email Sending</h3>
+                <p>${this.isEnabled()
+                    ? 'Generated emails can be sent from the dashboard. Replies go to your reply-to address (or your from address).'
+                    : 'Sending from the dashboard is off; emails are copied into your mail client.'}</p>
+
+                <fieldset class="rtr-sending-section">
+                    <legend>Your sender identity</legend>
+                    <label>From name
+                        <input type="text" class="ui-input" name="from_name" value="${this.escapeHtml(identity.from_name)}">
+                    </label>
+                    <label>From email
+                        <input type="email" class="ui-input" name="from_email" value="${this.escapeHtml(identity.from_email)}" required>
+                    </label>
+                    <label>Reply-to <small>(optional)</small>
+                        <input type="email" class="ui-input" name="reply_to" value="${this.escapeHtml(identity.reply_to)}">
+                    </label>
+                </fieldset>
+
+                ${settings ? this.renderTransportSettings(settings) : ''}
+
+                <div class="ui-actions">
+                    <button class="btn btn-secondary cancel-btn">Cancel</button>
+                    <button class="btn btn-primary save-btn">Save</button>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+
+        const close = () => {
+            modal.classList.remove('active');
+            setTimeout(() => modal.remove(), 250);
+        };
+
+        const transport = modal.querySelector('select[name="transport"]');
+        const provider = modal.querySelector('select[name="esp_provider"]');
+        const toggleFields = () => {
+            modal.querySelectorAll('[data-transport]').forEach(el => {
+                el.hidden = el.dataset.transport !== transport.value;
+            });
+            modal.querySelectorAll('[data-provider]').forEach(el => {
+                el.hidden = el.dataset.provider !== provider.value;
+            });
+        };
+
+        if (transport) {
+            transport.addEventListener('change', toggleFields);
+            provider.addEventListener('change', toggleFields);
+            toggleFields();
+        }
+
+        modal.querySelector('.rtr-sending-copy')?.addEventListener('click', async () => {
+            await navigator.clipboard.writeText(settings.webhook_url);
+            this.notify('Webhook URL copied', 'success');
+        });
+
+        modal.querySelector('.cancel-btn').onclick = close;
+        modal.querySelector('.ui-overlay').onclick = close;
+        modal.querySelector('.save-btn').onclick = async () => {
+            if (await this.save(modal)) {
+                close();
+            }
+        };
+
+        requestAnimationFrame(() => modal.classList.add('active'));
+    }
+
+    renderTransportSettings(settings) {
+        const options = (choices, selected) => Object.entries(choices)
+            .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`)
+            .join('');
+
+        const secret = (name, isSet) => `
+            <input type="password" class="ui-input" name="${name}" autocomplete="new-password"
+                   placeholder="${isSet ? 'Saved (leave blank to keep)' : ''}">`;
+
+        return `
+            <fieldset class="rtr-sending-section">
+                <legend>Delivery (all users)</legend>
+                <label class="rtr-sending-toggle">
+                    <input type="checkbox" name="enabled"${settings.enabled ? ' checked' : ''}>
+                    Send generated emails from the dashboard
+                </label>
+                <label>Send through
+                    <select class="ui-select" name="transport">${options(TRANSPORTS, settings.transport)}</select>
+                </label>
+
+                <div class="rtr-sending-fields" data-transport="smtp">
+                    <label>Host
+                        <input type="text" class="ui-input" name="smtp_host" value="${this.escapeHtml(settings.smtp_host)}">
+                    </label>
+                    <label>Port
+                        <input type="number" class="ui-input" name="smtp_port" min="1" max="65535" value="${settings.smtp_port}">
+                    </label>
+                    <label>Encryption
+                        <select class="ui-select" name="smtp_encryption">${options(ENCRYPTIONS, settings.smtp_encryption)}</select>
+                    </label>
+                    <label>Username
+                        <input type="text" class="ui-input" name="smtp_username" value="${this.escapeHtml(settings.smtp_username)}" autocomplete="off">
+                    </label>
+                    <label>Password ${secret('smtp_password', settings.has_smtp_password)}</label>
+                </div>
+
+                <div class="rtr-sending-fields" data-transport="esp">
+                    <label>Provider
+                        <select class="ui-select" name="esp_provider">${options(PROVIDERS, settings.esp_provider)}</select>
+                    </label>
+                    <label>API key ${secret('esp_api_key', settings.has_esp_api_key)}</label>
+                    <label data-provider="mailgun">Sending domain
+                        <input type="text" class="ui-input" name="esp_domain" value="${this.escapeHtml(settings.esp_domain)}">
+                    </label>
+                    <label data-provider="mailgun">Region
+                        <select class="ui-select" name="esp_region">${options({ us: 'US', eu: 'EU' }, settings.esp_region)}</select>
+                    </label>
+                </div>
+
+                <div class="rtr-sending-webhook">
+                    <span>Bounce webhook</span>
+                    ${settings.webhook_url ? `
+                        <code>${this.escapeHtml(settings.webhook_url)}</code>
+                        <button type="button" class="btn btn-secondary rtr-sending-copy">Copy</button>
+                        <small>Add this URL to your provider's bounce notifications.</small>
+                    ` : '<small>Save these settings to get the webhook URL.</small>'}
+                </div>
+            </fieldset>`;
+    }
+
+    /**
+     * Save the identity, then the transport settings (administrators)
+     *
+     * @returns {Promise<boolean>} Whether everything saved
+     */
+    async save(modal) {
+        const value = (name) => modal.querySelector(`[name="${name}"]`)?.value.trim() ?? '';
+
+        try {
+            await this.api.put('/sending/identity', {
+                from_name: value('from_name'),
+                from_email: value('from_email'),
+                reply_to: value('reply_to')
+            });
+
+            if (modal.querySelector('[name="transport"]')) {
+                const body = { enabled: modal.querySelector('[name="enabled"]').checked };
+                ['transport', 'smtp_host', 'smtp_port', 'smtp_encryption', 'smtp_username', 'smtp_password',
+                    'esp_provider', 'esp_api_key', 'esp_domain', 'esp_region'].forEach(name => {
+                    body[name] = value(name);
+                });
+
+                const result = await this.api.put('/sending/settings', body);
+                this.config.emailSending = {
+                    ...this.config.emailSending,
+                    enabled: result.data.enabled,
+                    transport: result.data.transport
+                };
+            }
+
+            this.notify('Sending settings saved', 'success');
+            return true;
+
+        } catch (error) {
+            console.error('Failed to save sending settings:', error);
+            this.notify(error.message || 'Failed to save sending settings', 'error');
+            return false;
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // HELPERS
+    // ------------------------------------------------------------------
+
+    notify(message, type) {
+        if (this.uiManager) {
+            this.uiManager.notify(message, type);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
@@ -2,21 +2,29 @@
  * Enrichment Manager Module
  * 
  * Handles prospect contact enrichment functionality including:
- * - Searching for contacts via enrichment API
+ * - Searching for contacts via the enrichment providers
  * - Manual contact information entry
  * - Email finding for contacts
  * - Contact selection and saving
+ * - Showing which provider supplied each field
+ *
+ * Searches and email lookups run server-side through the enabled
+ * providers in order (the "waterfall"); results say which provider
+ * answered and how confident it was.
  */
 
+const FIELD_INPUTS = {
+    contact_name: 'manual-name',
+    email: 'manual-email',
+    job_title: 'manual-title',
+    company_name: 'manual-company',
+    linkedin_url: 'manual-linkedin'
+};
+
 export default class EnrichmentManager {
-    constructor(config) {
+    constructor(config, api = null) {
         this.config = config;
-        if (typeof config === 'string') {
-            this.apiUrl = config;
-        } else {
-            this.apiUrl = config?.restUrl || config?.apiUrl || window.rtrDashboardConfig?.restUrl || window.rtrDashboardConfig?.apiUrl || '';
-        }
-        this.nonce = config.nonce;
+        this.api = api; // Shared RTRApiClient
         this.uiManager = null; // Will be set from outside
         this.prospectManager = null; // Will be set from outside
         
@@ -85,7 +93,7 @@ export default class EnrichmentManager {
                     <div class="enrichment-search-section">
                         <p class="enrichment-search-description">
                             <i class="fas fa-search"></i>
-                            Search for contacts at <strong>${this.escapeHtml(prospect.company_name)}</strong> using a Leads enrichment service
+                            Search for contacts at <strong>${this.escapeHtml(prospect.company_name)}</strong> using your enrichment providers
                         </p>
                         <button id="search-contact-btn" class="btn btn-primary btn-block">
                             <i class="fas fa-building"></i> Search Company Contacts
@@ -109,6 +117,7 @@ export default class EnrichmentManager {
 
         // Attach handlers
         this.attachEnrichmentHandlers(modal, visitorId, room, prospect.company_name);
+        this.loadFieldSources(modal, visitorId);
 
         // Close handlers
         const closeModal = () => {
@@ -173,6 +182,7 @@ export default class EnrichmentManager {
                             <div class="contact-header">
                                 <h4 class="contact-name">${this.escapeHtml(contact.name)}</h4>
                                 ${contact.seniority ? `<span class="contact-seniority">${this.escapeHtml(contact.seniority)}</span>` : ''}
+                                ${contact.provider_label ? `<span class="contact-provider" title="Found by ${this.escapeHtml(contact.provider_label)}">${this.escapeHtml(contact.provider_label)}</span>` : ''}
                             </div>
                             <p class="contact-title">${this.escapeHtml(contact.job_title || 'No title')}</p>
                             <p class="contact-company">${this.escapeHtml(contact.company_name)}</p>
@@ -181,11 +191,8 @@ export default class EnrichmentManager {
                         </div>
                         <div class="contact-actions">
                             ${contact.email ? 
-                                `<div class="contact-email-status">
-                                    <i class="fas fa-check-circle"></i>
-                                    <span>Email: ${this.escapeHtml(contact.email)}</span>
-                                </div>` : 
-                                `<button class="btn btn-sm btn-secondary find-email-btn" data-member-id="${contact.member_id}">
+                                this.renderEmailStatus(contact) : 
+                                `<button class="btn btn-sm btn-secondary find-email-btn">
                                     <i class="fas fa-search"></i> Find Email
                                 </button>`
                             }
@@ -199,6 +206,67 @@ export default class EnrichmentManager {
         `;
     }
 
+    /**
+     * Email line of a contact card, with the provider that found it
+     */
+    renderEmailStatus(contact) {
+        const source = contact.email_provider_label
+            ? ` <small>via ${this.escapeHtml(contact.email_provider_label)}${contact.email_confidence != null ? ` · ${contact.email_confidence}%` : ''}</small>`
+            : '';
+
+        return `
+            <div class="contact-email-status${contact.email_low_confidence ? ' low-confidence' : ''}"
+                 ${contact.email_low_confidence ? 'title="Below the minimum confidence - verify before sending"' : ''}>
+                <i class="fas ${contact.email_low_confidence ? 'fa-exclamation-triangle' : 'fa-check-circle'}"></i>
+                <span>Email: ${this.escapeHtml(contact.email)}${source}</span>
+            </div>`;
+    }
+
+    /**
+     * "Tried A-Leads (no results), Mock (error)" for lookups that came up empty
+     */
+    describeAttempts(attempts = []) {
+        const outcomes = {
+            found: 'found',
+            low_confidence: 'low confidence',
+            inconclusive: 'inconclusive',
+            not_found: 'no results',
+            error: 'error'
+        };
+
+        if (!attempts.length) {
+            return '';
+        }
+
+        return 'Tried ' + attempts
+            .map(attempt => `${attempt.provider_label} (${outcomes[attempt.status] || attempt.status})`)
+            .join(', ');
+    }
+
+    /**
+     * Show which provider supplied each field of the manual form
+     */
+    async loadFieldSources(modal, visitorId) {
+        try {
+            const data = await this.api.get(`/prospects/${visitorId}/enrichment-sources`);
+
+            Object.entries(data.data || {}).forEach(([field, source]) => {
+                const input = FIELD_INPUTS[field] && modal.querySelector(`#${FIELD_INPUTS[field]}`);
+                if (!input) {
+                    return;
+                }
+
+                const note = document.createElement('small');
+                note.className = 'enrichment-field-source';
+                note.textContent = `via ${source.provider_label}${source.confidence != null ? ` · ${source.confidence}% confidence` : ''}`;
+                input.after(note);
+            });
+
+        } catch (error) {
+            console.warn('Failed to load enrichment sources:', error);
+        }
+    }
+
     attachEnrichmentHandlers(modal, visitorId, room, companyName) {
         // Manual contact form
         const manualForm = modal.querySelector('#manual-contact-form');
@@ -219,83 +287,49 @@ export default class EnrichmentManager {
     }
 
     async handleFindEmail(button, visitorId, contactData) {
-        console.log('Finding email for contact:', contactData);
-        
         // Show loading state on button
         const originalHtml = button.innerHTML;
         button.disabled = true;
         button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Finding...';
         
         try {
-            const url = `${this.apiUrl}/prospects/${visitorId}/find-email`;
-            
-            // Build request body with contact data
+            // The provider that found the contact knows it by its ref
             const body = {
-                member_id: contactData.document_id,
+                provider: contactData.provider,
+                ref: contactData.ref,
                 first_name: contactData.first_name,
                 last_name: contactData.last_name,
-                company_domain: contactData.domain
+                company_domain: contactData.domain,
+                linkedin: contactData.linkedin
             };
             
-            console.log('Find email request body:', body);
+            const result = await this.api.post(`/prospects/${visitorId}/find-email`, body);
             
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'X-WP-Nonce': this.nonce,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(body)
-            });
-
-            console.log('Find email response status:', response.status);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const result = await response.json();
-            console.log('Find email response data:', result);
-            
-            if (result.success && result.data && result.data.email) {
-                // Update the contact card to show the email
+            if (result.data && result.data.email) {
                 const card = button.closest('.contact-card');
-                const emailDisplay = card.querySelector('.contact-email');
-                if (emailDisplay) {
-                    emailDisplay.innerHTML = `
-                        <i class="fas fa-envelope"></i> 
-                        <strong>${this.escapeHtml(result.data.email)}</strong>
-                        <span class="email-verified-badge" title="Found"><i class="fas fa-check-circle"></i></span>
-                    `;
-                }
-                
-                // Update contact data
-                contactData.email = result.data.email;
+
+                // Update contact data (read again when the contact is selected)
+                Object.assign(contactData, {
+                    email: result.data.email,
+                    email_provider: result.data.provider,
+                    email_provider_label: result.data.provider_label,
+                    email_confidence: result.data.confidence,
+                    email_low_confidence: result.data.low_confidence
+                });
                 card.dataset.contact = JSON.stringify(contactData);
-                
-                // Change button to "Select Contact"
-                button.outerHTML = `
-                    <button class="btn btn-primary select-contact-btn" style="flex: 1;">
-                        <i class="fas fa-check"></i> Select Contact
-                    </button>
-                `;
-                
-                // Re-attach handler for new select button
-                const newSelectBtn = card.querySelector('.select-contact-btn');
-                if (newSelectBtn) {
-                    newSelectBtn.addEventListener('click', async (e) => {
-                        e.stopPropagation();
-                        const parentModal = document.getElementById('enrichment-modal');
-                        const room = parentModal.querySelector('[data-room]')?.dataset.room;
-                        await this.handleSelectContact(parentModal, visitorId, room, contactData);
-                    });
-                }
+
+                // Replace the button with the email
+                button.outerHTML = this.renderEmailStatus(contactData);
                 
                 if (this.uiManager) {
-                    this.uiManager.notify(`Email found: ${result.data.email}`, 'success');
+                    if (result.data.low_confidence) {
+                        this.uiManager.notify(`Email found with low confidence (${result.data.confidence}%) - verify before sending`, 'warning');
+                    } else {
+                        this.uiManager.notify(`Email found via ${result.data.provider_label}: ${result.data.email}`, 'success');
+                    }
                 }
             } else {
-                throw new Error(result.message || 'Email not found');
+                throw new Error('Email not found');
             }
             
         } catch (error) {
@@ -303,62 +337,46 @@ export default class EnrichmentManager {
             button.disabled = false;
             button.innerHTML = originalHtml;
             if (this.uiManager) {
-                this.uiManager.notify(error.message || 'Failed to find email', 'error');
+                // A 404 lists the providers that were tried
+                const tried = this.describeAttempts(error.data?.attempts);
+                this.uiManager.notify((error.message || 'Failed to find email') + (tried ? `. ${tried}` : ''), 'error');
             }
         }
     }
 
     async handleSelectContact(modal, visitorId, room, contactData) {
-        console.log('Selecting contact:', contactData);
-        
         try {
-            const url = `${this.apiUrl}/prospects/${visitorId}/save-enrichment`;
-            
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'X-WP-Nonce': this.nonce,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    contact_name: contactData.name,
-                    contact_email: contactData.email,
-                    job_title: contactData.job_title,
-                    company_name: contactData.company_name,
-                    linkedin_url: contactData.linkedin,
-                    aleads_member_id: contactData.member_id
-                })
+            await this.api.post(`/prospects/${visitorId}/save-enrichment`, {
+                contact_name: contactData.name,
+                contact_email: contactData.email,
+                job_title: contactData.job_title,
+                company_name: contactData.company_name,
+                linkedin_url: contactData.linkedin,
+                provider: contactData.provider,
+                provider_ref: contactData.ref,
+                email_provider: contactData.email_provider,
+                email_confidence: contactData.email_confidence
             });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            
+            if (this.uiManager) {
+                this.uiManager.notify('Contact information saved successfully', 'success');
             }
-
-            const result = await response.json();
             
-            if (result.success) {
-                if (this.uiManager) {
-                    this.uiManager.notify('Contact information saved successfully', 'success');
+            // Dispatch event to update prospect list
+            document.dispatchEvent(new CustomEvent('rtr:contactUpdated', {
+                detail: { 
+                    visitorId,
+                    contactData
                 }
-                
-                // Dispatch event to update prospect list
-                document.dispatchEvent(new CustomEvent('rtr:contactUpdated', {
-                    detail: { 
-                        visitorId,
-                        contactData
-                    }
-                }));
-                
-                // Close modal
-                modal.classList.remove('active');
-                setTimeout(() => modal.remove(), 300);
-                
-                // Reload prospects if ProspectManager is available
-                if (this.prospectManager && this.prospectManager.loadProspects) {
-                    await this.prospectManager.loadProspects();
-                }
-            } else {
-                throw new Error(result.message || 'Failed to save contact');
+            }));
+            
+            // Close modal
+            modal.classList.remove('active');
+            setTimeout(() => modal.remove(), 300);
+            
+            // Reload prospects if ProspectManager is available
+            if (this.prospectManager && this.prospectManager.loadProspects) {
+                await this.prospectManager.loadProspects();
             }
             
         } catch (error) {
@@ -390,20 +408,7 @@ export default class EnrichmentManager {
                 this.uiManager.showLoader('Saving contact information...');
             }
 
-            const response = await fetch(`${this.apiUrl}/prospects/${visitorId}/save-enrichment`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.nonce
-                },
-                body: JSON.stringify(formData)
-            });
-
-            const data = await response.json();
-
-            if (!response.ok || !data.success) {
-                throw new Error(data.message || 'Failed to save contact');
-            }
+            await this.api.post(`/prospects/${visitorId}/save-enrichment`, formData);
 
             if (this.uiManager) {
                 this.uiManager.hideLoader();
@@ -438,38 +443,27 @@ export default class EnrichmentManager {
             searchBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Searching...';
 
             // Call API to search contacts
-            const response = await fetch(`${this.apiUrl}/prospects/${visitorId}/search-contacts`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.nonce
-                },
-                body: JSON.stringify({
-                    company_name: companyName
-                })
+            const data = await this.api.post(`/prospects/${visitorId}/search-contacts`, {
+                company_name: companyName
             });
 
-            const data = await response.json();
-
             // Reset button
             searchBtn.disabled = false;
             searchBtn.innerHTML = originalBtnText;
 
-            if (!response.ok) {
-                throw new Error(data.message || 'Failed to search for contacts');
-            }
-
             // Display results
             const contacts = data.data?.contacts || [];
             const formContainer = parentModal.querySelector('#manual-form-container');
             const divider = parentModal.querySelector('.enrichment-divider');
             
             if (contacts.length === 0) {
+                const tried = this.describeAttempts(data.data?.attempts);
                 resultsDiv.style.display = 'block';
                 resultsDiv.innerHTML = `
                     <div class="no-results-message">
                         <i class="fas fa-info-circle"></i>
                         <p>No contacts found at this company. Please use the manual form above.</p>
+                        ${tried ? `<small>${this.escapeHtml(tried)}</small>` : ''}
                     </div>
                 `;
             } else {
@@ -477,7 +471,11 @@ export default class EnrichmentManager {
                 formContainer.style.display = 'none';
                 divider.style.display = 'none';
                 resultsDiv.style.display = 'block';
-                resultsDiv.innerHTML = this.renderContactsList(contacts, visitorId, room);
+                resultsDiv.innerHTML = `
+                    <p class="enrichment-results-source">
+                        ${contacts.length} contact${contacts.length === 1 ? '' : 's'} from ${this.escapeHtml(data.data.provider_label)}
+                    </p>
+                    ${this.renderContactsList(contacts, visitorId, room)}`;
                 
                 // Re-attach handlers for the new contact cards
                 this.attachContactCardHandlers(parentModal, visitorId, room);
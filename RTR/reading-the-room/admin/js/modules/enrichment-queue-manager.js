@@ -0,0 +1,491 @@
+/**
+ * Enrichment Queue Manager
+ *
+ * Bulk enrichment of a room's prospects that have no contact yet. The
+ * per-room button previews how many prospects the current client, date
+ * range and filters cover (whole room or one campaign) and queues a
+ * background job (Reading_Room_Enrichment_Queue). While jobs run, each
+ * room shows a progress strip, and its list reloads when they finish.
+ *
+ * The header button opens the recent jobs and the review queue: the
+ * prospects where no contact matched the target roles clearly enough,
+ * or the email couldn't be found or trusted, with the candidates to
+ * pick from.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+const ROOMS = ['problem', 'solution', 'offer'];
+
+const POLL_INTERVAL = 5000;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+export default class EnrichmentQueueManager {
+    constructor(api, config) {
+        this.api = api;
+        this.config = config;
+        this.uiManager = null; // Will be set by main.js
+        this.prospectManager = null; // Will be set by main.js
+
+        this.strips = {}; // room => progress strip element
+        this.activeJobs = new Map(); // job ID => room, for jobs seen running
+        this.pollTimer = null;
+
+        this.init();
+    }
+
+    init() {
+        this.renderStrips();
+        this.attachEventListeners();
+        this.loadJobs();
+    }
+
+    setUIManager(uiManager) {
+        this.uiManager = uiManager;
+    }
+
+    setProspectManager(prospectManager) {
+        this.prospectManager = prospectManager;
+    }
+
+    attachEventListeners() {
+        document.querySelectorAll('.rtr-bulk-enrich-btn').forEach(button => {
+            button.addEventListener('click', () => this.openBulkEnrich(button.dataset.room));
+        });
+
+        document.getElementById('rtr-enrichment-queue')?.addEventListener('click', () => this.openQueue());
+
+        document.getElementById('client-select')?.addEventListener('change', () => this.loadJobs());
+    }
+
+    // ------------------------------------------------------------------
+    // START A JOB
+    // ------------------------------------------------------------------
+
+    async openBulkEnrich(room) {
+        let preview;
+
+        try {
+            preview = (await this.api.post('/enrichment/jobs', { ...this.getListParams(), room, preview: true })).data;
+        } catch (error) {
+            console.error('Failed to count prospects to enrich:', error);
+            this.notify(error.message || 'Failed to count prospects to enrich', 'error');
+            return;
+        }
+
+        const roomName = this.roomLabel(room);
+
+        if (preview.count === 0) {
+            this.notify(`Every ${roomName} prospect already has a contact`, 'info');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'ui-confirm-modal rtr-sending-modal rtr-bulk-enrich-modal';
+        modal.innerHTML = `
+            <div class="ui-overlay"></div>
+            <div class="ui-modal">
+                <h3>Enrich ${roomName}</h3>
+                <p>
+                    Finds a contact for each prospect without one, picking the best match for the client's
+                    target roles, then finds and verifies their email. Unclear matches and doubtful emails
+                    wait in the review queue for you to choose.
+                </p>
+
+                <fieldset class="rtr-sending-section">
+                    <legend>Prospects</legend>
+                    <label>Enrich
+                        <select class="ui-select" name="campaign_id">
+                            <option value="">Whole room (${preview.count})</option>
+                            ${preview.campaigns.map(campaign => `
+                                <option value="${campaign.id}">${this.escapeHtml(campaign.name || `Campaign ${campaign.id}`)} (${campaign.count})</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <p class="rtr-enrichment-usage">Uses the dashboard's current client, date range and filters. Lookups use provider credits.</p>
+                </fieldset>
+
+                <div class="ui-actions">
+                    <button class="btn btn-secondary cancel-btn">Cancel</button>
+                    <button class="btn btn-primary confirm-btn">Start enrichment</button>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+
+        const close = () => {
+            modal.classList.remove('active');
+            setTimeout(() => modal.remove(), 250);
+        };
+
+        modal.querySelector('.cancel-btn').onclick = close;
+        modal.querySelector('.ui-overlay').onclick = close;
+        modal.querySelector('.confirm-btn').onclick = async (e) => {
+            e.target.disabled = true;
+            if (await this.startJob(room, modal.querySelector('[name="campaign_id"]').value)) {
+                close();
+            } else {
+                e.target.disabled = false;
+            }
+        };
+
+        requestAnimationFrame(() => modal.classList.add('active'));
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether the job was queued
+     */
+    async startJob(room, campaignId) {
+        const body = { ...this.getListParams(), room };
+        if (campaignId) {
+            body.campaign_id = parseInt(campaignId, 10);
+        }
+
+        try {
+            const job = (await this.api.post('/enrichment/jobs', body)).data;
+
+            this.notify(`Enriching ${job.total} prospect${job.total === 1 ? '' : 's'} in the background`, 'success');
+            this.loadJobs();
+            return true;
+
+        } catch (error) {
+            console.error('Failed to start enrichment:', error);
+            this.notify(error.message || 'Failed to start enrichment', 'error');
+            return false;
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // PROGRESS
+    // ------------------------------------------------------------------
+
+    renderStrips() {
+        ROOMS.forEach(room => {
+            const list = document.querySelector(`#rtr-room-${room} .rtr-prospect-list`);
+            if (!list) return;
+
+            const strip = document.createElement('div');
+            strip.className = 'rtr-enrich-progress';
+            strip.dataset.room = room;
+            strip.hidden = true;
+            strip.innerHTML = `
+                <div class="rtr-enrich-progress-text">
+                    <i class="fas fa-user-plus"></i>
+                    <span class="rtr-enrich-progress-summary"></span>
+                </div>
+                <div class="ui-progress-bar"><span></span></div>`;
+
+            list.before(strip);
+            this.strips[room] = strip;
+        });
+    }
+
+    /**
+     * Load the recent jobs and review count, and keep polling while a
+     * job is running
+     */
+    async loadJobs() {
+        clearTimeout(this.pollTimer);
+
+        let data;
+        try {
+            data = (await this.api.get('/enrichment/jobs', this.getClientParams())).data;
+        } catch (error) {
+            console.error('Failed to load enrichment jobs:', error);
+            return;
+        }
+
+        this.jobs = data.jobs;
+        this.updateReviewBadge(data.review_count);
+
+        const active = data.jobs.filter(job => ACTIVE_STATUSES.includes(job.status));
+
+        ROOMS.forEach(room => {
+            this.renderStrip(room, active.filter(job => job.room === room));
+        });
+
+        // Jobs that were running on the last poll and have now finished
+        data.jobs.forEach(job => {
+            if (this.activeJobs.has(job.id) && !ACTIVE_STATUSES.includes(job.status)) {
+                this.activeJobs.delete(job.id);
+                this.jobFinished(job);
+            }
+        });
+        active.forEach(job => this.activeJobs.set(job.id, job.room));
+
+        if (active.length > 0) {
+            this.pollTimer = setTimeout(() => this.loadJobs(), POLL_INTERVAL);
+        }
+    }
+
+    renderStrip(room, jobs) {
+        const strip = this.strips[room];
+        if (!strip) return;
+
+        strip.hidden = jobs.length === 0;
+        if (jobs.length === 0) return;
+
+        const total = jobs.reduce((sum, job) => sum + job.total, 0);
+        const processed = jobs.reduce((sum, job) => sum + job.processed, 0);
+        const enriched = jobs.reduce((sum, job) => sum + job.counts.enriched, 0);
+        const review = jobs.reduce((sum, job) => sum + job.counts.review, 0);
+
+        strip.querySelector('.rtr-enrich-progress-summary').innerHTML = `
+            Enriching contacts: ${processed} of ${total}
+            <strong>· ${enriched} enriched</strong>${review ? ` · ${review} for review` : ''}`;
+        strip.querySelector('.ui-progress-bar span').style.width = `${total ? Math.floor(processed / total * 100) : 0}%`;
+    }
+
+    jobFinished(job) {
+        if (job.status === 'completed') {
+            const { enriched, review, failed } = job.counts;
+            this.notify(
+                `Enrichment finished: ${enriched} enriched, ${review} for review, ${failed} without contacts`,
+                review ? 'info' : 'success'
+            );
+        }
+
+        this.prospectManager?.loadRoomProspects(job.room);
+    }
+
+    updateReviewBadge(count) {
+        const badge = document.querySelector('#rtr-enrichment-queue .rtr-enrichment-review-badge');
+        if (!badge) return;
+
+        badge.hidden = count === 0;
+        badge.textContent = count > 99 ? '99+' : String(count);
+    }
+
+    // ------------------------------------------------------------------
+    // JOBS AND REVIEW QUEUE MODAL
+    // ------------------------------------------------------------------
+
+    async openQueue() {
+        let review;
+
+        try {
+            [review] = await Promise.all([
+                this.api.get('/enrichment/review', this.getClientParams()).then(result => result.data),
+                this.loadJobs()
+            ]);
+        } catch (error) {
+            console.error('Failed to load the enrichment review queue:', error);
+            this.notify('Failed to load the enrichment review queue', 'error');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'ui-confirm-modal rtr-sending-modal rtr-enrichment-queue-modal';
+        modal.innerHTML = `
+            <div class="ui-overlay"></div>
+            <div class="ui-modal">
+                <h3>Enrichment Queue</h3>
+
+                <fieldset class="rtr-sending-section">
+                    <legend>Recent jobs</legend>
+                    <div class="rtr-enrich-jobs">${this.renderJobs(this.jobs || [])}</div>
+                </fieldset>
+
+                <fieldset class="rtr-sending-section">
+                    <legend>Review (${review.length})</legend>
+                    <div class="rtr-enrich-review">${this.renderReview(review)}</div>
+                </fieldset>
+
+                <div class="ui-actions">
+                    <button class="btn btn-secondary cancel-btn">Close</button>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+
+        const close = () => {
+            modal.classList.remove('active');
+            setTimeout(() => modal.remove(), 250);
+        };
+
+        modal.querySelector('.cancel-btn').onclick = close;
+        modal.querySelector('.ui-overlay').onclick = close;
+
+        modal.querySelector('.rtr-enrich-jobs').addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-cancel-job]');
+            if (!button) return;
+
+            button.disabled = true;
+            await this.cancelJob(button.dataset.cancelJob);
+            modal.querySelector('.rtr-enrich-jobs').innerHTML = this.renderJobs(this.jobs || []);
+        });
+
+        modal.querySelector('.rtr-enrich-review').addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-review-action]');
+            if (!button) return;
+
+            const item = button.closest('[data-item-id]');
+            const candidate = item.querySelector('input[type="radio"]:checked');
+
+            if (button.dataset.reviewAction === 'apply' && !candidate) {
+                this.notify('Choose a contact first', 'warning');
+                return;
+            }
+
+            item.querySelectorAll('button').forEach(b => { b.disabled = true; });
+
+            if (await this.resolveItem(item.dataset.itemId, button.dataset.reviewAction, candidate?.value)) {
+                item.remove();
+                const remaining = modal.querySelectorAll('.rtr-enrich-review [data-item-id]').length;
+                modal.querySelector('.rtr-enrich-review').closest('fieldset').querySelector('legend').textContent = `Review (${remaining})`;
+                if (remaining === 0) {
+                    modal.querySelector('.rtr-enrich-review').innerHTML = this.renderReview([]);
+                }
+            } else {
+                item.querySelectorAll('button').forEach(b => { b.disabled = false; });
+            }
+        });
+
+        requestAnimationFrame(() => modal.classList.add('active'));
+    }
+
+    renderJobs(jobs) {
+        if (jobs.length === 0) {
+            return '<p class="rtr-enrichment-usage">No enrichment jobs yet.</p>';
+        }
+
+        return jobs.map(job => {
+            const active = ACTIVE_STATUSES.includes(job.status);
+            const { enriched, resolved, review, failed, skipped, dismissed } = job.counts;
+
+            return `
+                <div class="rtr-enrich-job rtr-enrich-job-${job.status}">
+                    <div class="rtr-enrich-job-head">
+                        <strong>${this.escapeHtml(this.roomLabel(job.room))}</strong>
+                        <span class="rtr-enrich-job-status">${this.escapeHtml(job.status)}</span>
+                        <span class="rtr-enrich-job-date">${this.escapeHtml(job.created_at)}</span>
+                        ${active ? `<button type="button" class="btn btn-secondary" data-cancel-job="${job.id}">Cancel</button>` : ''}
+                    </div>
+                    <div class="ui-progress-bar"><span style="width: ${job.progress}%"></span></div>
+                    <p class="rtr-enrichment-usage">
+                        ${job.processed} of ${job.total} processed: ${enriched + resolved} enriched, ${review} for review,
+                        ${failed} without contacts, ${skipped + dismissed} skipped · ${job.cost} credits
+                    </p>
+                </div>`;
+        }).join('');
+    }
+
+    renderReview(items) {
+        if (items.length === 0) {
+            return '<p class="rtr-enrichment-usage">Nothing waiting for review.</p>';
+        }
+
+        return items.map(item => `
+            <div class="rtr-enrich-review-item" data-item-id="${item.id}">
+                <div class="rtr-enrich-job-head">
+                    <strong>${this.escapeHtml(item.company_name || 'Unknown company')}</strong>
+                    <span class="rtr-enrich-job-date">${this.escapeHtml(this.roomLabel(item.room))}</span>
+                </div>
+                <p class="rtr-enrichment-warning">${this.escapeHtml(item.message)}</p>
+                <ul class="rtr-enrich-candidates">
+                    ${item.candidates.map((candidate, index) => this.renderCandidate(item, candidate, index)).join('')}
+                </ul>
+                <div class="rtr-enrich-review-actions">
+                    <button type="button" class="btn btn-secondary" data-review-action="dismiss">Dismiss</button>
+                    <button type="button" class="btn btn-primary" data-review-action="apply">Use contact</button>
+                </div>
+            </div>`).join('');
+    }
+
+    renderCandidate(item, candidate, index) {
+        const name = candidate.name || `${candidate.first_name || ''} ${candidate.last_name || ''}`.trim();
+
+        let email = '';
+        if (candidate.email) {
+            const status = candidate.email_status ? ` · ${candidate.email_status}` : '';
+            const confidence = candidate.email_confidence !== null && candidate.email_confidence !== undefined
+                ? ` · ${candidate.email_confidence}%`
+                : '';
+            email = `<span class="rtr-enrich-candidate-email">${this.escapeHtml(candidate.email)}${confidence}${this.escapeHtml(status)}</span>`;
+        } else if ('email_status' in candidate) {
+            email = '<span class="rtr-enrich-candidate-email">No email found</span>';
+        }
+
+        return `
+            <li>
+                <label>
+                    <input type="radio" name="candidate-${item.id}" value="${index}">
+                    <span class="rtr-enrich-candidate-name">${this.escapeHtml(name)}</span>
+                    <span class="rtr-enrich-candidate-title">${this.escapeHtml(candidate.job_title || 'No title')}</span>
+                    ${candidate.role_category ? `<span class="rtr-enrich-candidate-role">${this.escapeHtml(candidate.role_category)}</span>` : ''}
+                    ${email}
+                </label>
+            </li>`;
+    }
+
+    async cancelJob(jobId) {
+        try {
+            await this.api.post(`/enrichment/jobs/${jobId}/cancel`);
+            this.notify('Enrichment job cancelled', 'success');
+        } catch (error) {
+            console.error('Failed to cancel enrichment job:', error);
+            this.notify(error.message || 'Failed to cancel enrichment job', 'error');
+        }
+
+        await this.loadJobs();
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether the item was resolved
+     */
+    async resolveItem(itemId, action, candidate) {
+        const body = { action };
+        if (action === 'apply') {
+            body.candidate = parseInt(candidate, 10);
+        }
+
+        try {
+            await this.api.post(`/enrichment/review/${itemId}`, body);
+            this.notify(action === 'apply' ? 'Contact saved' : 'Review item dismissed', 'success');
+            this.loadJobs();
+            if (action === 'apply') {
+                this.prospectManager?.refreshAllRooms();
+            }
+            return true;
+
+        } catch (error) {
+            console.error('Failed to resolve review item:', error);
+            this.notify(error.message || 'Failed to resolve review item', 'error');
+            return false;
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // HELPERS
+    // ------------------------------------------------------------------
+
+    getListParams() {
+        return this.prospectManager?.getListParams() || {};
+    }
+
+    getClientId() {
+        return document.getElementById('client-select')?.value || '';
+    }
+
+    getClientParams() {
+        const clientId = this.getClientId();
+        return clientId ? { client_id: clientId } : {};
+    }
+
+    roomLabel(room) {
+        return `${room.charAt(0).toUpperCase()}${room.slice(1)} Room`;
+    }
+
+    notify(message, type) {
+        if (this.uiManager) {
+            this.uiManager.notify(message, type);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * Enrichment Settings Manager
+ *
+ * Administrator settings for the enrichment providers behind contact
+ * search, email finding and verification: which providers are on and
+ * in what order they're tried, each one's credentials and cost per
+ * lookup, and the minimum confidence an email needs before the finder
+ * stops looking. Shows each provider's last 30 days of lookups, hits,
+ * credits spent and average confidence.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+const CAPABILITIES = {
+    search_contacts: 'Contact search',
+    find_email: 'Email finder',
+    verify_email: 'Email verifier'
+};
+
+export default class EnrichmentSettingsManager {
+    constructor(api, config) {
+        this.api = api;
+        this.config = config;
+        this.uiManager = null; // Will be set by main.js
+
+        this.init();
+    }
+
+    init() {
+        document.getElementById('rtr-enrichment-providers')?.addEventListener('click', () => this.openSettings());
+    }
+
+    setUIManager(uiManager) {
+        this.uiManager = uiManager;
+    }
+
+    // ------------------------------------------------------------------
+    // SETTINGS MODAL
+    // ------------------------------------------------------------------
+
+    async openSettings() {
+        let settings;
+
+        try {
+            settings = (await this.api.get('/enrichment/providers')).data;
+        } catch (error) {
+            console.error('Failed to load enrichment providers:', error);
+            this.notify('Failed to load enrichment providers', 'error');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'ui-confirm-modal rtr-sending-modal rtr-enrichment-settings';
+        modal.innerHTML = `
+            <div class="ui-overlay"></div>
+            <div class="ui-modal">
+                <h3>Enrichment Providers</h3>
+                <p>Lookups try the enabled providers from top to bottom and stop at the first good answer.</p>
+
+                <fieldset class="rtr-sending-section">
+                    <legend>Email finder</legend>
+                    <label>Minimum confidence (%)
+                        <input type="number" class="ui-input" name="min_confidence" min="0" max="100" value="${settings.min_confidence}">
+                    </label>
+                </fieldset>
+
+                <div class="rtr-enrichment-providers">
+                    ${settings.providers.map(provider => this.renderProvider(provider, settings.usage_days)).join('')}
+                </div>
+
+                <div class="ui-actions">
+                    <button class="btn btn-secondary cancel-btn">Cancel</button>
+                    <button class="btn btn-primary save-btn">Save</button>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+
+        const close = () => {
+            modal.classList.remove('active');
+            setTimeout(() => modal.remove(), 250);
+        };
+
+        const list = modal.querySelector('.rtr-enrichment-providers');
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-move]');
+            if (!button) return;
+
+            const row = button.closest('[data-provider]');
+            const sibling = button.dataset.move === 'up' ? row.previousElementSibling : row.nextElementSibling;
+            if (!sibling) return;
+
+            list.insertBefore(row, button.dataset.move === 'up' ? sibling : sibling.nextElementSibling);
+            this.updateMoveButtons(list);
+        });
+        this.updateMoveButtons(list);
+
+        modal.querySelector('.cancel-btn').onclick = close;
+        modal.querySelector('.ui-overlay').onclick = close;
+        modal.querySelector('.save-btn').onclick = async () => {
+            if (await this.save(modal)) {
+                close();
+            }
+        };
+
+        requestAnimationFrame(() => modal.classList.add('active'));
+    }
+
+    renderProvider(provider, usageDays) {
+        const usage = provider.usage;
+
+        const credentials = Object.entries(provider.credentials).map(([key, field]) => `
+            <label>${this.escapeHtml(field.label)}
+                <input type="${field.secret ? 'password' : 'text'}" class="ui-input" name="${key}"
+                       value="${field.secret ? '' : this.escapeHtml(field.value)}"
+                       placeholder="${field.secret && field.is_set ? 'Saved (leave blank to keep)' : ''}"
+                       autocomplete="${field.secret ? 'new-password' : 'off'}">
+            </label>`).join('');
+
+        const costs = provider.capabilities.map(capability => `
+            <label>${CAPABILITIES[capability] || capability}
+                <input type="number" class="ui-input" data-cost="${capability}" min="0" step="0.01"
+                       value="${provider.costs[capability] ?? 0}">
+            </label>`).join('');
+
+        return `
+            <fieldset class="rtr-sending-section" data-provider="${this.escapeHtml(provider.id)}">
+                <legend>${this.escapeHtml(provider.label)}</legend>
+                <div class="rtr-enrichment-provider-head">
+                    <label class="rtr-sending-toggle">
+                        <input type="checkbox" name="enabled"${provider.enabled ? ' checked' : ''}>
+                        Enabled
+                    </label>
+                    <span class="rtr-enrichment-capabilities">
+                        ${provider.capabilities.map(capability => `<span>${CAPABILITIES[capability] || capability}</span>`).join('')}
+                    </span>
+                    <span class="rtr-enrichment-move">
+                        <button type="button" class="btn btn-secondary" data-move="up" title="Try earlier"><i class="fas fa-arrow-up"></i></button>
+                        <button type="button" class="btn btn-secondary" data-move="down" title="Try later"><i class="fas fa-arrow-down"></i></button>
+                    </span>
+                </div>
+
+                ${provider.configured ? '' : '<p class="rtr-enrichment-warning">Not configured: add its credentials before enabling it.</p>'}
+
+                ${credentials}
+
+                <div class="rtr-enrichment-costs">
+                    <span>Credits per lookup</span>
+                    ${costs}
+                </div>
+
+                <p class="rtr-enrichment-usage">
+                    Last ${usageDays} days: ${usage.lookups} lookups, ${usage.hits} hits,
+                    ${usage.cost} credits${usage.avg_confidence !== null ? `, ${usage.avg_confidence}% average confidence` : ''}
+                </p>
+            </fieldset>`;
+    }
+
+    updateMoveButtons(list) {
+        const rows = [...list.querySelectorAll('[data-provider]')];
+        rows.forEach((row, index) => {
+            row.querySelector('[data-move="up"]').disabled = index === 0;
+            row.querySelector('[data-move="down"]').disabled = index === rows.length - 1;
+        });
+    }
+
+    /**
+     * Save the providers in their current order
+     *
+     * @returns {Promise<boolean>} Whether the settings saved
+     */
+    async save(modal) {
+        const providers = [...modal.querySelectorAll('[data-provider]')].map(row => {
+            const credentials = {};
+            row.querySelectorAll('input[type="text"], input[type="password"]').forEach(input => {
+                credentials[input.name] = input.value.trim();
+            });
+
+            const costs = {};
+            row.querySelectorAll('[data-cost]').forEach(input => {
+                costs[input.dataset.cost] = parseFloat(input.value) || 0;
+            });
+
+            return {
+                id: row.dataset.provider,
+                enabled: row.querySelector('[name="enabled"]').checked,
+                credentials,
+                costs
+            };
+        });
+
+        try {
+            await this.api.put('/enrichment/providers', {
+                min_confidence: parseInt(modal.querySelector('[name="min_confidence"]').value, 10) || 0,
+                providers
+            });
+
+            this.notify('Enrichment providers saved', 'success');
+            return true;
+
+        } catch (error) {
+            console.error('Failed to save enrichment providers:', error);
+            this.notify(error.message || 'Failed to save enrichment providers', 'error');
+            return false;
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // HELPERS
+    // ------------------------------------------------------------------
+
+    notify(message, type) {
+        if (this.uiManager) {
+            this.uiManager.notify(message, type);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,475 @@
+/**
+ * Export Manager
+ *
+ * Prospect reports from the dashboard. Each room's Export menu downloads
+ * the room's prospects as CSV or Excel with the dashboard's client, date
+ * range, filters and sort (the file is built by the server, see
+ * /prospects/export). The header Report button builds a branded PDF in
+ * the browser: the room card counts and stats and each room's trend
+ * chart, drawn with Chart.js off screen.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+import PdfDocument from './pdf-document.js';
+import { ROOMS, ROOM_CARDS } from './room-manager.js';
+
+const FORMAT_LABELS = {
+    csv: 'CSV',
+    xlsx: 'Excel'
+};
+
+/**
+ * Room colors (as on the room cards and analytics charts)
+ */
+const ROOM_COLORS = {
+    problem: '#ef4444',
+    solution: '#fb923c',
+    offer: '#22c55e',
+    sales: '#a855f7'
+};
+
+const BRAND_COLOR = '#2c435d';
+const ACCENT_COLOR = '#4294cc';
+const MUTED_COLOR = '#64748b';
+
+/**
+ * Days of trend data when the dashboard shows all time
+ */
+const ALL_TIME_TREND_DAYS = 90;
+
+export default class ExportManager {
+    constructor(api, config) {
+        this.api = api;
+        this.config = config;
+        this.uiManager = null; // Will be set by main.js
+        this.prospectManager = null; // Will be set by main.js
+        this.roomManager = null; // Will be set by main.js
+
+        this.exporting = new Set();
+        this.isBuildingReport = false;
+
+        this.attachEventListeners();
+    }
+
+    setUIManager(uiManager) {
+        this.uiManager = uiManager;
+    }
+
+    setProspectManager(prospectManager) {
+        this.prospectManager = prospectManager;
+    }
+
+    setRoomManager(roomManager) {
+        this.roomManager = roomManager;
+    }
+
+    attachEventListeners() {
+        document.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.rtr-export-toggle');
+            if (toggle) {
+                e.preventDefault();
+                const dropdown = toggle.closest('.rtr-dropdown');
+                const open = !dropdown.classList.contains('is-open');
+                document.querySelectorAll('.rtr-dropdown.is-open').forEach(other => other.classList.remove('is-open'));
+                dropdown.classList.toggle('is-open', open);
+                toggle.setAttribute('aria-expanded', String(open));
+                return;
+            }
+
+            const option = e.target.closest('[data-export-format]');
+            if (option) {
+                e.preventDefault();
+                const dropdown = option.closest('.rtr-dropdown');
+                dropdown.classList.remove('is-open');
+                dropdown.querySelector('.rtr-export-toggle')?.setAttribute('aria-expanded', 'false');
+                this.exportRoom(dropdown.dataset.room, option.dataset.exportFormat);
+            }
+        });
+
+        document.getElementById('rtr-pdf-report')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.downloadReport();
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // CSV / XLSX
+    // ------------------------------------------------------------------
+
+    /**
+     * Download a room's prospects as listed on the dashboard
+     * @param {string} room - Room
+     * @param {string} format - csv or xlsx
+     */
+    async exportRoom(room, format) {
+        if (this.exporting.has(room)) return;
+        this.exporting.add(room);
+
+        const toggle = document.querySelector(`.rtr-export-dropdown[data-room="${room}"] .rtr-export-toggle`);
+        if (toggle) toggle.disabled = true;
+
+        try {
+            const params = {
+                format,
+                room,
+                ...(this.prospectManager?.getListParams() || {})
+            };
+
+            const sort = this.prospectManager?.currentSort[room];
+            if (sort) {
+                params.orderby = sort.orderby;
+                params.order = sort.order;
+            }
+
+            // The file itself: keep the Response for its headers and blob
+            const response = await this.api.get('/prospects/export', params, { raw: true });
+
+            const rows = parseInt(response.headers.get('X-RTR-Export-Rows'), 10) || 0;
+            const total = parseInt(response.headers.get('X-RTR-Export-Total'), 10) || rows;
+            const filename = this.getFilename(response) || `prospects-${room}-${this.today()}.${format}`;
+
+            this.download(await response.blob(), filename);
+
+            if (total > rows) {
+                this.uiManager.notify(
+                    `Exported the first ${rows} of ${total} prospects. Narrow the filters to export the rest.`,
+                    'warning'
+                );
+            } else {
+                this.uiManager.notify(
+                    `Exported ${rows} prospect${rows === 1 ? '' : 's'} to ${FORMAT_LABELS[format]}`,
+                    'success'
+                );
+            }
+        } catch (error) {
+            console.error(`[Export] ${format} export of ${room} failed:`, error);
+            this.uiManager.notify(`Export failed: ${error.message}`, 'error');
+        } finally {
+            this.exporting.delete(room);
+            if (toggle) toggle.disabled = false;
+        }
+    }
+
+    /**
+     * File name from the Content-Disposition header
+     * @param {Response} response
+     * @returns {string|null}
+     */
+    getFilename(response) {
+        const match = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+        return match ? match[1] : null;
+    }
+
+    // ------------------------------------------------------------------
+    // PDF REPORT
+    // ------------------------------------------------------------------
+
+    /**
+     * Build and download the PDF summary of the rooms
+     */
+    async downloadReport() {
+        if (this.isBuildingReport) return;
+
+        if (!window.Chart) {
+            this.uiManager.notify('Charts are not available, reload the page and try again.', 'error');
+            return;
+        }
+
+        this.isBuildingReport = true;
+        const button = document.getElementById('rtr-pdf-report');
+        const icon = button?.querySelector('i');
+        if (button) button.disabled = true;
+        if (icon) icon.className = 'fas fa-spinner fa-spin';
+
+        try {
+            if (!this.roomManager.currentData) {
+                await this.roomManager.loadRoomCounts();
+            }
+
+            const scope = this.getReportScope();
+            const [trends, logo] = await Promise.all([
+                Promise.all(ROOMS.map(room => this.loadTrend(room, scope))),
+                this.loadLogo()
+            ]);
+
+            const doc = this.buildReport(scope, trends, logo);
+            this.download(doc.toBlob(), `reading-the-room-${scope.slug}-${this.today()}.pdf`);
+
+            this.uiManager.notify('Report downloaded', 'success');
+        } catch (error) {
+            console.error('[Export] PDF report failed:', error);
+            this.uiManager.notify(`Report failed: ${error.message}`, 'error');
+        } finally {
+            this.isBuildingReport = false;
+            if (button) button.disabled = false;
+            if (icon) icon.className = 'fas fa-file-pdf';
+        }
+    }
+
+    /**
+     * Client and date range shown on the dashboard
+     * @returns {Object} { clientId, clientName, rangeLabel, trendDays, slug }
+     */
+    getReportScope() {
+        const clientSelect = document.getElementById('client-select');
+        const dateFilter = document.getElementById('date-filter');
+
+        const clientId = clientSelect?.value || '';
+        const clientName = clientId
+            ? clientSelect.options[clientSelect.selectedIndex].textContent.trim()
+            : 'All Clients';
+
+        const range = dateFilter?.value || '30';
+        const trendDays = range === 'all' ? ALL_TIME_TREND_DAYS : parseInt(range, 10) || 30;
+
+        return {
+            clientId,
+            clientName,
+            rangeLabel: dateFilter ? dateFilter.options[dateFilter.selectedIndex].textContent.trim() : 'Last 30 Days',
+            trendDays,
+            slug: clientName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report'
+        };
+    }
+
+    /**
+     * Daily new prospects of a room, one entry per day (missing days as 0)
+     * @param {string} room - Room
+     * @param {Object} scope - Report scope
+     * @returns {Promise<Object>} { room, labels, counts, summary }
+     */
+    async loadTrend(room, scope) {
+        const params = { room, days: scope.trendDays };
+        if (scope.clientId) {
+            params.client_id = scope.clientId;
+        }
+
+        const data = await this.api.get('/analytics/room-trends', params);
+        const byDate = new Map((data.data || []).map(item => [item.date, parseInt(item.count, 10) || 0]));
+
+        const labels = [];
+        const counts = [];
+        const day = new Date();
+        day.setDate(day.getDate() - scope.trendDays + 1);
+
+        for (let i = 0; i < scope.trendDays; i++) {
+            const key = this.dateKey(day);
+            labels.push(day.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+            counts.push(byDate.get(key) || 0);
+            day.setDate(day.getDate() + 1);
+        }
+
+        return { room, labels, counts, summary: data.summary || {} };
+    }
+
+    /**
+     * Lay out the report (one Letter page)
+     * @param {Object} scope - Report scope
+     * @param {Array} trends - Trend per room
+     * @param {Object|null} logo - JPEG image, null if it failed to load
+     * @returns {PdfDocument}
+     */
+    buildReport(scope, trends, logo) {
+        const doc = new PdfDocument();
+        const margin = 40;
+        const contentWidth = doc.width - margin * 2;
+
+        // Header
+        if (logo) {
+            const height = 34;
+            doc.image(logo, margin, 32, height * logo.width / logo.height, height);
+        }
+        doc.text('Reading the Room Report', doc.width - margin, 50, { size: 18, bold: true, color: BRAND_COLOR, align: 'right' });
+        doc.text(`${scope.clientName} · ${scope.rangeLabel}`, doc.width - margin, 66, { size: 10, color: MUTED_COLOR, align: 'right' });
+        doc.line(margin, 80, doc.width - margin, 80, { color: ACCENT_COLOR, width: 2 });
+
+        // Room counts (as on the room cards)
+        const counts = this.roomManager.currentData || {};
+        const total = ROOMS.reduce((sum, room) => sum + (parseInt(counts[room], 10) || 0), 0);
+
+        doc.text('Rooms', margin, 108, { size: 13, bold: true, color: BRAND_COLOR });
+        doc.text(`${total} prospect${total === 1 ? '' : 's'}`, doc.width - margin, 108, { size: 10, color: MUTED_COLOR, align: 'right' });
+
+        const gap = 12;
+        const boxWidth = (contentWidth - gap * (ROOMS.length - 1)) / ROOMS.length;
+        const boxTop = 118;
+
+        ROOMS.forEach((room, index) => {
+            const card = ROOM_CARDS[room];
+            const x = margin + index * (boxWidth + gap);
+
+            doc.rect(x, boxTop, boxWidth, 118, { fill: '#f8fafc', stroke: '#e2e8f0' });
+            doc.rect(x, boxTop, boxWidth, 4, { fill: ROOM_COLORS[room] });
+            doc.text(card.title, x + 10, boxTop + 22, { size: 10, bold: true });
+            doc.text(card.subtitle, x + 10, boxTop + 34, { size: 8, color: MUTED_COLOR });
+            doc.text(String(counts[room] || 0), x + 10, boxTop + 64, { size: 24, bold: true, color: BRAND_COLOR });
+            doc.text(card.label, x + 10, boxTop + 77, { size: 8, color: MUTED_COLOR });
+
+            this.roomManager.getRoomStats(room).forEach((stat, statIndex) => {
+                const y = boxTop + 96 + statIndex * 13;
+                doc.text(stat.label, x + 10, y, { size: 8, color: MUTED_COLOR });
+                doc.text(String(stat.value), x + boxWidth - 10, y, { size: 8, bold: true, align: 'right' });
+            });
+        });
+
+        // Trend charts, two per row
+        const trendsTop = 268;
+        doc.text('Room Trends', margin, trendsTop, { size: 13, bold: true, color: BRAND_COLOR });
+        doc.text(`New prospects per day, last ${scope.trendDays} days`, doc.width - margin, trendsTop, { size: 10, color: MUTED_COLOR, align: 'right' });
+
+        const chartWidth = (contentWidth - gap) / 2;
+        const chartHeight = 150;
+
+        trends.forEach((trend, index) => {
+            const x = margin + (index % 2) * (chartWidth + gap);
+            const y = trendsTop + 12 + Math.floor(index / 2) * (chartHeight + 70);
+            const summary = trend.summary;
+
+            doc.text(ROOM_CARDS[trend.room].title, x, y + 14, { size: 10, bold: true });
+            doc.image(this.renderTrendChart(trend), x, y + 22, chartWidth, chartHeight);
+            doc.text(
+                `${summary.total ?? 0} in room · avg score ${summary.avg_score ?? 0} · ${summary.conversion_rate ?? 0}% moved on`,
+                x, y + chartHeight + 38, { size: 8, color: MUTED_COLOR }
+            );
+        });
+
+        // Footer
+        doc.line(margin, doc.height - 40, doc.width - margin, doc.height - 40);
+        doc.text(`Generated ${new Date().toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}`,
+            margin, doc.height - 26, { size: 8, color: MUTED_COLOR });
+        doc.text('DirectReach · Reading the Room', doc.width - margin, doc.height - 26, { size: 8, color: MUTED_COLOR, align: 'right' });
+
+        return doc;
+    }
+
+    /**
+     * Draw a room's trend chart off screen and return it as a JPEG
+     * @param {Object} trend - { room, labels, counts }
+     * @returns {Object} { dataUrl, width, height }
+     */
+    renderTrendChart(trend) {
+        const width = 760;
+        const height = 420;
+
+        const holder = document.createElement('div');
+        holder.style.cssText = `position: fixed; left: -10000px; top: 0; width: ${width}px; height: ${height}px;`;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        holder.appendChild(canvas);
+        document.body.appendChild(holder);
+
+        const color = ROOM_COLORS[trend.room];
+        const chart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: trend.labels,
+                datasets: [{
+                    label: 'Prospects',
+                    data: trend.counts,
+                    borderColor: color,
+                    backgroundColor: `${color}1a`,
+                    borderWidth: 3,
+                    pointRadius: 0,
+                    tension: 0.4,
+                    fill: true
+                }]
+            },
+            options: {
+                responsive: false,
+                animation: false,
+                devicePixelRatio: 1,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: { enabled: false }
+                },
+                scales: {
+                    x: { ticks: { maxTicksLimit: 8, font: { size: 18 } } },
+                    y: { beginAtZero: true, ticks: { precision: 0, font: { size: 18 } } }
+                }
+            },
+            plugins: [{
+                // JPEG has no transparency: paint the background white
+                id: 'rtrWhiteBackground',
+                beforeDraw: (chartInstance) => {
+                    const { ctx } = chartInstance;
+                    ctx.save();
+                    ctx.fillStyle = '#ffffff';
+                    ctx.fillRect(0, 0, chartInstance.width, chartInstance.height);
+                    ctx.restore();
+                }
+            }]
+        });
+
+        const image = { dataUrl: canvas.toDataURL('image/jpeg', 0.92), width, height };
+
+        chart.destroy();
+        holder.remove();
+
+        return image;
+    }
+
+    /**
+     * The dashboard logo as a JPEG on white
+     * @returns {Promise<Object|null>} { dataUrl, width, height }, null if unavailable
+     */
+    loadLogo() {
+        const src = this.config.assets?.logo;
+        if (!src) return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => {
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = img.naturalWidth;
+                    canvas.height = img.naturalHeight;
+                    const ctx = canvas.getContext('2d');
+                    ctx.fillStyle = '#ffffff';
+                    ctx.fillRect(0, 0, canvas.width, canvas.height);
+                    ctx.drawImage(img, 0, 0);
+                    resolve({ dataUrl: canvas.toDataURL('image/jpeg', 0.92), width: canvas.width, height: canvas.height });
+                } catch (error) {
+                    console.warn('[Export] Logo could not be drawn:', error);
+                    resolve(null);
+                }
+            };
+            img.onerror = () => resolve(null);
+            img.src = src;
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // UTILITIES
+    // ------------------------------------------------------------------
+
+    /**
+     * Save a blob through a temporary link
+     * @param {Blob} blob
+     * @param {string} filename
+     */
+    download(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {string} YYYY-MM-DD (local time)
+     */
+    dateKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    today() {
+        return this.dateKey(new Date());
+    }
+}
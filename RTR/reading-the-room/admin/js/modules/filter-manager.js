@@ -0,0 +1,534 @@
+/**
+ * Filter Manager
+ *
+ * Advanced filters for the room prospect lists and named, shareable
+ * saved views. The active filters (plus the client and date selects)
+ * are mirrored into the page URL, so a reload or a shared link opens
+ * the same view.
+ *
+ * Must be created before the Room and Prospect managers: it restores
+ * the URL state in its constructor, ahead of their first load.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.1.0
+ */
+
+/**
+ * Filter keys (same in the URL); all but `room`, which only hides the
+ * other room lists, are sent to GET /prospects
+ */
+const FILTER_KEYS = [
+    'room',
+    'campaign_id',
+    'score_min',
+    'score_max',
+    'industry',
+    'company_size',
+    'state',
+    'email_progress',
+    'email_status',
+    'enrichment',
+    'visited_within',
+    'not_visited_for'
+];
+
+const FILTER_LABELS = {
+    room: 'Room',
+    campaign_id: 'Campaign',
+    score_min: 'Score ≥',
+    score_max: 'Score ≤',
+    industry: 'Industry',
+    company_size: 'Size',
+    state: 'State',
+    email_progress: 'Emails',
+    email_status: 'Email',
+    enrichment: 'Enrichment',
+    visited_within: 'Visited within',
+    not_visited_for: 'Not visited for'
+};
+
+const VALUE_LABELS = {
+    room: { problem: 'Problem', solution: 'Solution', offer: 'Offer' },
+    email_progress: { none: 'None sent yet', started: 'In progress', complete: 'All sent' },
+    email_status: { verified: 'Verified', unverified: 'Not verified', bounced: 'Bounced', missing: 'Missing' },
+    enrichment: { enriched: 'Enriched', not_enriched: 'Not enriched' }
+};
+
+/**
+ * Date filter value the page loads with (not written to the URL)
+ */
+const DEFAULT_DAYS = '30';
+
+export default class FilterManager {
+    constructor(api, config) {
+        this.api = api;
+        this.config = config;
+        this.uiManager = null; // Will be set by main.js
+
+        this.filters = {};
+        this.views = [];
+        this.campaigns = [];
+        this.activeViewId = null;
+
+        this.panel = document.getElementById('rtr-filter-panel');
+
+        this.restoreFromUrl();
+        this.init();
+    }
+
+    init() {
+        this.attachEventListeners();
+        this.fillForm();
+        this.renderActiveFilters();
+        this.applyRoomVisibility();
+        this.loadViews();
+        this.loadOptions();
+    }
+
+    setUIManager(uiManager) {
+        this.uiManager = uiManager;
+    }
+
+    attachEventListeners() {
+        document.getElementById('rtr-toggle-filters')?.addEventListener('click', (e) => {
+            const expanded = this.panel.hidden;
+            this.panel.hidden = !expanded;
+            e.currentTarget.setAttribute('aria-expanded', String(expanded));
+        });
+
+        this.panel?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.applyForm();
+        });
+
+        this.panel?.querySelector('.rtr-filter-reset')?.addEventListener('click', () => {
+            this.setFilters({});
+        });
+
+        document.querySelector('.rtr-active-filters')?.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-remove-filter]');
+            if (chip) {
+                const filters = { ...this.filters };
+                delete filters[chip.dataset.removeFilter];
+                this.setFilters(filters);
+            }
+        });
+
+        document.getElementById('rtr-saved-views')?.addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.applyView(e.target.value);
+            } else {
+                this.setFilters({});
+            }
+        });
+
+        document.getElementById('rtr-save-view')?.addEventListener('click', () => this.saveView());
+        document.getElementById('rtr-delete-view')?.addEventListener('click', () => this.deleteView());
+        document.getElementById('rtr-copy-view-link')?.addEventListener('click', () => this.copyLink());
+
+        // Filter values depend on the selected client; either select
+        // changing means the page no longer shows the saved view
+        document.getElementById('client-select')?.addEventListener('change', () => {
+            this.activeViewId = null;
+            this.renderViews();
+            this.loadOptions();
+        });
+
+        document.getElementById('date-filter')?.addEventListener('change', () => {
+            this.activeViewId = null;
+            this.renderViews();
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // STATE
+    // ------------------------------------------------------------------
+
+    /**
+     * Query params for GET /prospects
+     * @returns {Object} key => value, empty filters omitted
+     */
+    getQueryParams() {
+        const { room, ...params } = this.filters;
+        return params;
+    }
+
+    /**
+     * Show only the room a view is limited to
+     */
+    applyRoomVisibility() {
+        ['problem', 'solution', 'offer'].forEach(room => {
+            const container = document.getElementById(`rtr-room-${room}`);
+            if (container) {
+                container.hidden = !!this.filters.room && this.filters.room !== room;
+            }
+        });
+    }
+
+    /**
+     * Replace the filters and reload the dashboard
+     * @param {Object} filters - key => value
+     * @param {string|null} viewId - Saved view the filters came from
+     */
+    setFilters(filters, viewId = null) {
+        this.filters = this.clean(filters);
+        this.activeViewId = viewId;
+
+        this.fillForm();
+        this.renderActiveFilters();
+        this.renderViews();
+        this.applyRoomVisibility();
+
+        document.dispatchEvent(new CustomEvent('rtr:filterChanged'));
+    }
+
+    applyForm() {
+        const data = new FormData(this.panel);
+        const filters = {};
+
+        FILTER_KEYS.forEach(key => {
+            if (data.has(key)) filters[key] = data.get(key);
+        });
+
+        const lastVisit = data.get('last_visit');
+        if (lastVisit) {
+            const [key, days] = lastVisit.split(':');
+            filters[key] = days;
+        }
+
+        this.setFilters(filters);
+    }
+
+    /**
+     * Drop empty and unknown filters
+     */
+    clean(filters) {
+        const cleaned = {};
+        FILTER_KEYS.forEach(key => {
+            const value = filters[key];
+            if (value !== undefined && value !== null && String(value).trim() !== '') {
+                cleaned[key] = String(value).trim();
+            }
+        });
+        return cleaned;
+    }
+
+    // ------------------------------------------------------------------
+    // URL
+    // ------------------------------------------------------------------
+
+    /**
+     * Restore filters, view, client and date range from the URL
+     */
+    restoreFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const filters = {};
+
+        FILTER_KEYS.forEach(key => {
+            if (params.has(key)) filters[key] = params.get(key);
+        });
+
+        this.filters = this.clean(filters);
+        this.activeViewId = params.get('view') || null;
+
+        const clientSelect = document.getElementById('client-select');
+        if (clientSelect && params.has('client')) {
+            this.setSelectValue(clientSelect, params.get('client'));
+        }
+
+        const dateFilter = document.getElementById('date-filter');
+        if (dateFilter && params.has('days')) {
+            const allTime = dateFilter.querySelector('option[value="all"]');
+            if (allTime && clientSelect?.value) allTime.disabled = false;
+            this.setSelectValue(dateFilter, params.get('days'));
+        }
+    }
+
+    /**
+     * Write the current state to the URL (without adding a history entry)
+     */
+    updateUrl() {
+        const url = new URL(window.location.href);
+
+        ['view', 'client', 'days', ...FILTER_KEYS].forEach(key => url.searchParams.delete(key));
+
+        if (this.activeViewId) {
+            url.searchParams.set('view', this.activeViewId);
+        }
+
+        const clientId = document.getElementById('client-select')?.value;
+        if (clientId) {
+            url.searchParams.set('client', clientId);
+        }
+
+        const days = document.getElementById('date-filter')?.value;
+        if (days && days !== DEFAULT_DAYS) {
+            url.searchParams.set('days', days);
+        }
+
+        Object.entries(this.filters).forEach(([key, value]) => url.searchParams.set(key, value));
+
+        window.history.replaceState(null, '', url);
+    }
+
+    async copyLink() {
+        this.updateUrl();
+
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            this.uiManager?.notify('Link copied to clipboard', 'success');
+        } catch (error) {
+            console.error('Failed to copy link:', error);
+            this.uiManager?.notify('Could not copy the link. Copy it from the address bar instead.', 'error');
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // FORM & CHIPS
+    // ------------------------------------------------------------------
+
+    fillForm() {
+        if (!this.panel) return;
+
+        FILTER_KEYS.forEach(key => {
+            const field = this.panel.elements[key];
+            if (!field) return;
+
+            if (field.tagName === 'SELECT') {
+                this.setSelectValue(field, this.filters[key] || '');
+            } else {
+                field.value = this.filters[key] || '';
+            }
+        });
+
+        const lastVisit = this.panel.elements.last_visit;
+        if (lastVisit) {
+            const key = ['visited_within', 'not_visited_for'].find(k => this.filters[k]);
+            this.setSelectValue(
+                lastVisit,
+                key ? `${key}:${this.filters[key]}` : '',
+                key ? `${FILTER_LABELS[key]} ${this.formatValue(key, this.filters[key])}` : ''
+            );
+        }
+
+        const count = Object.keys(this.filters).length;
+        const badge = document.querySelector('#rtr-toggle-filters .rtr-filter-count');
+        if (badge) {
+            badge.hidden = count === 0;
+            badge.textContent = count;
+        }
+    }
+
+    renderActiveFilters() {
+        const container = document.querySelector('.rtr-active-filters');
+        if (!container) return;
+
+        container.innerHTML = Object.entries(this.filters).map(([key, value]) => `
+            <span class="rtr-filter-chip">
+                ${this.escapeHtml(FILTER_LABELS[key])}: <strong>${this.escapeHtml(this.formatValue(key, value))}</strong>
+                <button type="button" data-remove-filter="${key}" title="Remove filter" aria-label="Remove filter">&times;</button>
+            </span>
+        `).join('');
+    }
+
+    formatValue(key, value) {
+        if (VALUE_LABELS[key]) {
+            return VALUE_LABELS[key][value] || value;
+        }
+        if (key === 'campaign_id') {
+            const campaign = this.campaigns.find(c => String(c.id) === String(value));
+            return campaign ? campaign.campaign_name : `#${value}`;
+        }
+        if (key === 'visited_within' || key === 'not_visited_for') {
+            return `${value} day${value === '1' ? '' : 's'}`;
+        }
+        return value;
+    }
+
+    /**
+     * Select a value, adding the option when the list does not have it
+     * (a shared link may carry a value the current list doesn't offer)
+     */
+    setSelectValue(select, value, label = value) {
+        if (value && !Array.from(select.options).some(option => option.value === value)) {
+            select.add(new Option(label, value));
+        }
+        select.value = value;
+    }
+
+    // ------------------------------------------------------------------
+    // OPTIONS
+    // ------------------------------------------------------------------
+
+    async loadOptions() {
+        const clientId = document.getElementById('client-select')?.value || '';
+
+        try {
+            const [options, campaigns] = await Promise.all([
+                this.api.get('/prospects/filter-options', clientId ? { client_id: clientId } : {}),
+                this.api.get('/campaigns')
+            ]);
+
+            this.campaigns = (campaigns.data || []).filter(c => !clientId || String(c.client_id) === clientId);
+
+            this.fillOptions('campaigns', this.campaigns.map(c => ({ value: String(c.id), label: c.campaign_name })));
+            ['industries', 'company_sizes', 'states'].forEach(key => {
+                this.fillOptions(key, (options.data?.[key] || []).map(value => ({ value, label: value })));
+            });
+
+            this.fillForm();
+            this.renderActiveFilters();
+        } catch (error) {
+            console.error('Failed to load filter options:', error);
+        }
+    }
+
+    fillOptions(source, options) {
+        const select = this.panel?.querySelector(`select[data-options="${source}"]`);
+        if (!select) return;
+
+        const placeholder = select.options[0];
+        select.innerHTML = '';
+        select.add(placeholder);
+        options.forEach(option => select.add(new Option(option.label, option.value)));
+    }
+
+    // ------------------------------------------------------------------
+    // SAVED VIEWS
+    // ------------------------------------------------------------------
+
+    async loadViews() {
+        try {
+            const data = await this.api.get('/views');
+            this.views = data.data || [];
+        } catch (error) {
+            console.error('Failed to load saved views:', error);
+            this.views = [];
+        }
+
+        // A view from the URL is applied as saved, in case it changed since the link was shared
+        if (this.activeViewId) {
+            const view = this.views.find(v => v.id === this.activeViewId);
+            if (view && JSON.stringify(this.clean(view.filters || {})) !== JSON.stringify(this.filters)) {
+                this.applyView(view.id);
+                return;
+            }
+            if (view) {
+                this.renderViews();
+                return;
+            }
+            this.activeViewId = null;
+            this.updateUrl();
+        }
+
+        this.renderViews();
+    }
+
+    renderViews() {
+        const select = document.getElementById('rtr-saved-views');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">All prospects</option>' + this.views.map(view => `
+            <option value="${this.escapeHtml(view.id)}">${this.escapeHtml(view.name)}</option>
+        `).join('');
+
+        if (!this.activeViewId && Object.keys(this.filters).length) {
+            select.add(new Option('Custom filters', '__custom'));
+        }
+        select.value = this.activeViewId || (Object.keys(this.filters).length ? '__custom' : '');
+        select.querySelector('option[value="__custom"]')?.setAttribute('disabled', '');
+
+        const deleteBtn = document.getElementById('rtr-delete-view');
+        if (deleteBtn) deleteBtn.hidden = !this.activeViewId;
+    }
+
+    applyView(viewId) {
+        const view = this.views.find(v => v.id === viewId);
+        if (!view) return;
+
+        const filters = view.filters || {};
+
+        const clientSelect = document.getElementById('client-select');
+        if (clientSelect) {
+            this.setSelectValue(clientSelect, filters.client_id ? String(filters.client_id) : '');
+        }
+
+        const dateFilter = document.getElementById('date-filter');
+        if (dateFilter) {
+            const allTime = dateFilter.querySelector('option[value="all"]');
+            if (allTime && clientSelect?.value) allTime.disabled = false;
+            this.setSelectValue(dateFilter, filters.days ? String(filters.days) : DEFAULT_DAYS);
+        }
+
+        this.setFilters(filters, viewId);
+        this.loadOptions();
+    }
+
+    async saveView() {
+        if (!this.uiManager) return;
+
+        const name = await this.uiManager.promptText(
+            'Save View',
+            'Name this combination of filters so your team can open it again.',
+            'e.g. Hot offer-room, no email sent yet'
+        );
+        if (!name) return;
+
+        try {
+            const data = await this.api.post('/views', {
+                name,
+                filters: {
+                    ...this.filters,
+                    client_id: document.getElementById('client-select')?.value || '',
+                    days: document.getElementById('date-filter')?.value || ''
+                }
+            });
+
+            this.views.push(data.data);
+            this.activeViewId = data.data.id;
+            this.renderViews();
+            this.updateUrl();
+            this.uiManager.notify(`View "${name}" saved`, 'success');
+        } catch (error) {
+            console.error('Failed to save view:', error);
+            this.uiManager.notify(`Failed to save view: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteView() {
+        const view = this.views.find(v => v.id === this.activeViewId);
+        if (!view || !this.uiManager) return;
+
+        const confirmed = await this.uiManager.confirmAction(
+            'Delete View',
+            `Delete the saved view "${view.name}"? The current filters stay applied.`,
+            'Delete',
+            'Cancel'
+        );
+        if (!confirmed) return;
+
+        try {
+            await this.api.delete(`/views/${view.id}`);
+
+            this.views = this.views.filter(v => v.id !== view.id);
+            this.activeViewId = null;
+            this.renderViews();
+            this.updateUrl();
+            this.uiManager.notify('View deleted', 'success');
+        } catch (error) {
+            console.error('Failed to delete view:', error);
+            this.uiManager.notify(`Failed to delete view: ${error.message}`, 'error');
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // HELPERS
+    // ------------------------------------------------------------------
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,273 @@
+/**
+ * PDF Document
+ *
+ * Minimal PDF writer for reports built in the browser: pages with text in
+ * Helvetica / Helvetica-Bold, filled or stroked rectangles, lines and
+ * JPEG images (charts and the logo, drawn to a canvas first). The
+ * standard fonts need no embedding, so text is limited to the
+ * WinAnsi (Latin-1) character set.
+ *
+ * Coordinates are in points from the top-left corner of the page.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+/**
+ * Helvetica glyph widths (1/1000 em) for ASCII 32-126
+ */
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+/**
+ * WinAnsi codes of common characters outside Latin-1
+ */
+const WIN_ANSI = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+export default class PdfDocument {
+    /**
+     * @param {Object} options
+     * @param {number} options.width - Page width in points (default US Letter)
+     * @param {number} options.height - Page height in points
+     */
+    constructor({ width = 612, height = 792 } = {}) {
+        this.width = width;
+        this.height = height;
+        this.pages = [];
+        this.images = [];
+        this.addPage();
+    }
+
+    /**
+     * Start a new page (drawing goes to it)
+     */
+    addPage() {
+        this.pages.push([]);
+    }
+
+    get pageCount() {
+        return this.pages.length;
+    }
+
+    // ------------------------------------------------------------------
+    // DRAWING
+    // ------------------------------------------------------------------
+
+    /**
+     * @param {number} x
+     * @param {number} y - Top edge
+     * @param {number} w
+     * @param {number} h
+     * @param {Object} style - { fill, stroke, lineWidth } (hex colors)
+     */
+    rect(x, y, w, h, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+        const ops = ['q'];
+        if (fill) ops.push(`${this.color(fill)} rg`);
+        if (stroke) ops.push(`${this.color(stroke)} RG ${this.num(lineWidth)} w`);
+        ops.push(`${this.num(x)} ${this.num(this.height - y - h)} ${this.num(w)} ${this.num(h)} re`);
+        ops.push(fill && stroke ? 'B' : (fill ? 'f' : 'S'), 'Q');
+        this.draw(ops.join(' '));
+    }
+
+    /**
+     * @param {number} x1
+     * @param {number} y1
+     * @param {number} x2
+     * @param {number} y2
+     * @param {Object} style - { color, width }
+     */
+    line(x1, y1, x2, y2, { color = '#e2e8f0', width = 1 } = {}) {
+        this.draw(`q ${this.color(color)} RG ${this.num(width)} w `
+            + `${this.num(x1)} ${this.num(this.height - y1)} m ${this.num(x2)} ${this.num(this.height - y2)} l S Q`);
+    }
+
+    /**
+     * @param {string} text - Single line of text
+     * @param {number} x
+     * @param {number} y - Baseline
+     * @param {Object} style - { size, bold, color, align: left|center|right }
+     */
+    text(text, x, y, { size = 10, bold = false, color = '#1a202c', align = 'left' } = {}) {
+        const value = String(text ?? '');
+        if (value === '') return;
+
+        let left = x;
+        if (align !== 'left') {
+            const width = this.textWidth(value, size, bold);
+            left = align === 'center' ? x - width / 2 : x - width;
+        }
+
+        this.draw(`BT ${this.color(color)} rg /${bold ? 'F2' : 'F1'} ${this.num(size)} Tf `
+            + `${this.num(left)} ${this.num(this.height - y)} Td (${this.encodeText(value)}) Tj ET`);
+    }
+
+    /**
+     * Width of a line of text in points
+     * @param {string} text
+     * @param {number} size - Font size
+     * @param {boolean} bold
+     * @returns {number}
+     */
+    textWidth(text, size = 10, bold = false) {
+        const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+        let units = 0;
+        for (const char of String(text ?? '')) {
+            const code = char.charCodeAt(0);
+            units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+        return units * size / 1000;
+    }
+
+    /**
+     * Shorten text with an ellipsis to fit a width
+     * @param {string} text
+     * @param {number} maxWidth - Points
+     * @param {number} size - Font size
+     * @param {boolean} bold
+     * @returns {string}
+     */
+    fitText(text, maxWidth, size = 10, bold = false) {
+        let value = String(text ?? '');
+        if (this.textWidth(value, size, bold) <= maxWidth) return value;
+
+        while (value.length > 1 && this.textWidth(`${value}…`, size, bold) > maxWidth) {
+            value = value.slice(0, -1);
+        }
+        return `${value.trimEnd()}…`;
+    }
+
+    /**
+     * @param {Object} image - { dataUrl (image/jpeg), width, height } in pixels
+     * @param {number} x
+     * @param {number} y - Top edge
+     * @param {number} w - Drawn width in points
+     * @param {number} h - Drawn height in points
+     */
+    image({ dataUrl, width, height }, x, y, w, h) {
+        const name = `Im${this.images.length + 1}`;
+        this.images.push({ name, width, height, data: atob(dataUrl.split(',')[1]) });
+        this.draw(`q ${this.num(w)} 0 0 ${this.num(h)} ${this.num(x)} ${this.num(this.height - y - h)} cm /${name} Do Q`);
+    }
+
+    // ------------------------------------------------------------------
+    // OUTPUT
+    // ------------------------------------------------------------------
+
+    /**
+     * @returns {Blob} application/pdf
+     */
+    toBlob() {
+        // 1 catalog, 2 page tree, 3-4 fonts, then images, then pages and their contents
+        const objects = [null, null];
+        const add = (body) => objects.push(body) && objects.length;
+
+        const fonts = ['Helvetica', 'Helvetica-Bold'].map(font => add(
+            `<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`
+        ));
+
+        const images = this.images.map(image => `/${image.name} ${add(
+            `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} `
+            + `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\n`
+            + `stream\n${image.data}\nendstream`
+        )} 0 R`);
+
+        const resources = `<< /Font << /F1 ${fonts[0]} 0 R /F2 ${fonts[1]} 0 R >>`
+            + (images.length ? ` /XObject << ${images.join(' ')} >>` : '') + ' >>';
+
+        const pages = this.pages.map(ops => {
+            const content = ops.join('\n');
+            const contentId = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+            return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.num(this.width)} ${this.num(this.height)}] `
+                + `/Resources ${resources} /Contents ${contentId} 0 R >>`);
+        });
+
+        objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[1] = `<< /Type /Pages /Kids [${pages.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+
+        // Every character below is one byte (0-255), so string offsets are byte offsets
+        let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = objects.map((body, index) => {
+            const offset = pdf.length;
+            pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(pdf.length);
+        for (let i = 0; i < pdf.length; i++) {
+            bytes[i] = pdf.charCodeAt(i) & 0xff;
+        }
+
+        return new Blob([bytes], { type: 'application/pdf' });
+    }
+
+    // ------------------------------------------------------------------
+    // UTILITIES
+    // ------------------------------------------------------------------
+
+    draw(ops) {
+        this.pages[this.pages.length - 1].push(ops);
+    }
+
+    /**
+     * Text as a PDF string body (WinAnsi bytes, unsupported characters as ?)
+     * @param {string} text
+     * @returns {string}
+     */
+    encodeText(text) {
+        let encoded = '';
+        for (const char of text) {
+            let code = char.charCodeAt(0);
+            if (char.length > 1 || (code > 255 && !WIN_ANSI[char])) {
+                code = 63; // ?
+            } else if (code > 255) {
+                code = WIN_ANSI[char];
+            } else if (code < 32) {
+                code = 32;
+            }
+
+            const byte = String.fromCharCode(code);
+            encoded += byte === '(' || byte === ')' || byte === '\\' ? `\\${byte}` : byte;
+        }
+        return encoded;
+    }
+
+    /**
+     * Hex color as PDF RGB components
+     * @param {string} hex - #rrggbb
+     * @returns {string}
+     */
+    color(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+            .map(component => this.num(component / 255))
+            .join(' ');
+    }
+
+    num(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+}
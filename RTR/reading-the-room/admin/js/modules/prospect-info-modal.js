@@ -6,10 +6,9 @@
  */
 
 export default class ProspectInfoModal {
-    constructor(config) {
+    constructor(config, api = null) {
         this.config = config;
-        this.apiUrl = config?.restUrl || config?.apiUrl || window.rtrDashboardConfig?.restUrl;
-        this.nonce = config?.nonce || window.rtrDashboardConfig?.nonce;
+        this.api = api; // Shared RTRApiClient
         this.modal = null;
         this.isOpen = false;
         this.listenersAttached = false;
@@ -144,21 +143,7 @@ export default class ProspectInfoModal {
     }
 
     async fetchProspectDetails(visitorId) {
-        const url = `${this.apiUrl}/prospects/${visitorId}/details`;
-        
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'X-WP-Nonce': this.nonce,
-                'Content-Type': 'application/json'
-            }
-        });
-
-        if (!response.ok) {
-            throw new Error(`Failed to fetch prospect details: ${response.statusText}`);
-        }
-
-const data = await response.json();
+        const data = await this.api.get(`/prospects/${visitorId}/details`);
         return data.data || data;
     }
 
@@ -172,38 +157,25 @@ const data = await response.json();
         this.setEmailEnrichmentState(visitorId, 'finding', 'Finding email address...');
         
         try {
-            const url = `${this.apiUrl}/prospects/${visitorId}/find-email`;
-            
-            // Build request body with visitor data
-            const body = {};
-            
-            // Check if we have member_id from prior enrichment
-            if (this.currentProspectData?.prospect?.aleads_member_id) {
-                body.member_id = this.currentProspectData.prospect.aleads_member_id;
-                body.first_name = this.currentProspectData.visitor.first_name;
-                body.last_name = this.currentProspectData.visitor.last_name;
-                body.company_domain = this.extractDomain(this.currentProspectData.visitor.website);
-            }
-            
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'X-WP-Nonce': this.nonce,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(body) 
-            });
+            // The server builds the lookup from the prospect (name, website
+            // and any provider IDs saved from an earlier contact search)
+            const result = await this.api.post(`/prospects/${visitorId}/find-email`, {});
 
-            const result = await response.json();
-            
-            if (!response.ok) {
-                throw new Error(result.message || 'Email not found');
-            }
+            if (result.data && result.data.email) {
+                const found = result.data;
 
-            if (result.success && result.data && result.data.email) {
                 // Update the displayed email inline
-                this.updateEmailDisplay(result.data.email, 'found');
-                this.setEmailEnrichmentState(visitorId, 'success', `Email found: ${result.data.email}`);
+                this.updateEmailDisplay(found.email, found.low_confidence ? 'risky' : 'found');
+                this.setEmailEnrichmentState(visitorId, 'success', found.provider_label
+                    ? `Email found via ${found.provider_label} (${found.confidence}% confidence${found.low_confidence ? ', verify before sending' : ''}): ${found.email}`
+                    : `Email found: ${found.email}`);
+
+                if (found.provider && this.currentProspectData) {
+                    this.currentProspectData.enrichment_sources = {
+                        ...this.currentProspectData.enrichment_sources,
+                        email: { provider: found.provider, provider_label: found.provider_label, confidence: found.confidence }
+                    };
+                }
                 
                 // Update stored data
                 if (this.currentProspectData) {
@@ -227,24 +199,25 @@ const data = await response.json();
                     }
                 }));
             } else {
-                throw new Error(result.message || 'Email not found');
+                throw new Error('Email not found');
             }
             
         } catch (error) {
             console.error('Find email failed:', error);
-            this.setEmailEnrichmentState(visitorId, 'error', error.message);
+            this.setEmailEnrichmentState(visitorId, 'error', this.withAttempts(error.message, error.data?.attempts));
         }
     }
 
-    extractDomain(url) {
-        if (!url) return '';
-        try {
-            const urlObj = new URL(url.startsWith('http') ? url : 'https://' + url);
-            return urlObj.hostname.replace('www.', '');
-        } catch (e) {
-            return url.replace(/^https?:\/\/(www\.)?/, '').split('/')[0];
+    /**
+     * Add the providers a lookup tried to an error message
+     */
+    withAttempts(message, attempts = []) {
+        if (!attempts?.length) {
+            return message;
         }
-    }    
+
+        return `${message} (tried ${attempts.map(attempt => attempt.provider_label).join(', ')})`;
+    }
 
     /**
      * Handle Verify Email button click
@@ -280,40 +253,28 @@ const data = await response.json();
             // Show loading state
             this.setEmailEnrichmentState(visitorId, 'verifying', 'Verifying email address...');
             
-            const response = await fetch(`${this.apiUrl}/prospects/${visitorId}/verify-email`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.nonce
-                },
-                body: JSON.stringify({
-                    email: email
-                })
+            const data = await this.api.post(`/prospects/${visitorId}/verify-email`, {
+                email: email
             });
-
-            console.log('Verify response status:', response.status);
-            
-            const data = await response.json();
             console.log('Verify response data:', data);
 
-            if (!response.ok) {
-                throw new Error(data.message || 'Verification failed');
-            }
-
             if (data.success) {
                 // Update UI to show verification status
-                const status = data.verified ? 'valid' : 'invalid';
+                const status = data.data?.status || (data.verified ? 'valid' : 'invalid');
                 this.updateEmailDisplay(email, status);
                 
                 // Get human readable message
-                const message = this.getVerificationMessage(status, data.data);
+                let message = this.getVerificationMessage(status, data.data);
+                if (data.data?.provider_label) {
+                    message += ` (via ${data.data.provider_label})`;
+                }
                 this.setEmailEnrichmentState(visitorId, 'success', message);
                 
                 if (data.verified !== undefined) {
                     // Update stored data
                     if (this.currentProspectData?.prospect) {
                         this.currentProspectData.prospect.email_verified = data.verified ? '1' : '0';
-                        this.currentProspectData.prospect.email_verification_status = data.verified ? 'valid' : 'invalid';
+                        this.currentProspectData.prospect.email_verification_status = status;
                         this.currentProspectData.prospect.email_quality = data.data?.quality || null;
                     }
                     
@@ -339,7 +300,7 @@ const data = await response.json();
 
         } catch (error) {
             console.error('Verify email failed:', error);
-            this.setEmailEnrichmentState(visitorId, 'error', `Verification failed: ${error.message}`);
+            this.setEmailEnrichmentState(visitorId, 'error', `Verification failed: ${this.withAttempts(error.message, error.data?.attempts)}`);
         }
     }
 
@@ -469,6 +430,7 @@ const data = await response.json();
         const prospect = (Array.isArray(data.prospect) && data.prospect.length === 0) ? {} : (data.prospect || {});
         const visitor = data.visitor || {};
         const intelligence = data.intelligence || {};
+        const sources = data.enrichment_sources || {};
         
         // Determine current email for enrichment buttons
         const currentEmail = prospect.contact_email || visitor.email || '';
@@ -487,6 +449,7 @@ const data = await response.json();
                         <div class="info-item">
                             <span class="info-label">Name:</span>
                             <span class="info-value">${this.escapeHtml(prospect.contact_name || visitor.first_name + ' ' + visitor.last_name || 'N/A')}</span>
+                            ${this.renderFieldSource(sources.contact_name)}
                         </div>
                         <div class="info-item info-item-email">
                             <span class="info-label">Email:</span>
@@ -515,10 +478,12 @@ const data = await response.json();
                                     <div class="rtr-enrichment-message" style="display: none;"></div>
                                 </div>
                             </div>
+                            ${currentEmail ? this.renderFieldSource(sources.email) : ''}
                         </div>
                         <div class="info-item">
                             <span class="info-label">Job Title:</span>
                             <span class="info-value">${this.escapeHtml(visitor.job_title || 'N/A')}</span>
+                            ${this.renderFieldSource(sources.job_title)}
                         </div>
                         <div class="info-item">
                             <span class="info-label">LinkedIn:</span>
@@ -906,6 +871,18 @@ const data = await response.json();
             .trim();
     }
 
+    /**
+     * "via A-Leads · 90%" under a field an enrichment provider supplied
+     */
+    renderFieldSource(source) {
+        if (!source) {
+            return '';
+        }
+
+        const confidence = source.confidence != null ? ` · ${source.confidence}%` : '';
+        return `<small class="rtr-field-source" title="Saved ${this.escapeHtml(source.at || '')}">via ${this.escapeHtml(source.provider_label)}${confidence}</small>`;
+    }
+
     renderVerificationBadge(prospect) {
         if (!prospect || !prospect.contact_email) {
             return '';
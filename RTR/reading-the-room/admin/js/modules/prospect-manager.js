@@ -8,14 +8,10 @@
  */
 
 export default class ProspectManager {
-    constructor(config) {
+    constructor(config, filterManager = null, api = null) {
         this.config = config;
-        if (typeof config === 'string') {
-            this.apiUrl = config;
-        } else {
-            this.apiUrl = config?.restUrl || config?.apiUrl || window.rtrDashboardConfig?.restUrl || window.rtrDashboardConfig?.apiUrl || '';
-        }
-        this.nonce = config.nonce;
+        this.filterManager = filterManager; // Advanced filters / saved views
+        this.api = api; // Shared RTRApiClient
         this.uiManager = null; // Will be set by main.js
         this.currentFilters = {
             room: null
@@ -43,6 +39,9 @@ export default class ProspectManager {
         
         // Debounce tracking for button clicks
         this.buttonDebounce = new Map();
+
+        // Prospects that arrived in a room since it was loaded (realtime)
+        this.incomingCounts = { problem: 0, solution: 0, offer: 0 };
         
         this.init();
     }
@@ -61,6 +60,11 @@ export default class ProspectManager {
             const { visitorId, emailNumber, newState } = e.detail;
             this.updateButtonState(visitorId, emailNumber, newState);
         });
+
+        // Live updates pushed by the server (RealtimeClient)
+        document.addEventListener('rtr:realtimeEvent', (e) => {
+            this.applyRealtimeEvent(e.detail.type, e.detail.data);
+        });
     }
 
     setUIManager(uiManager) {
@@ -106,6 +110,13 @@ export default class ProspectManager {
                 this.handleInfoClick(visitorId, room);
             }
 
+            // Timeline button
+            const timelineBtn = e.target.closest('.rtr-timeline-btn');
+            if (timelineBtn) {
+                e.preventDefault();
+                this.handleTimelineClick(timelineBtn.dataset.prospectId, timelineBtn.dataset.prospectName);
+            }
+
             // JourneyOS generate button
             const journeyBtn = e.target.closest('.rtr-journeyos-btn');
             if (journeyBtn) {
@@ -199,13 +210,41 @@ export default class ProspectManager {
         await Promise.all(rooms.map(room => this.loadRoomProspects(room, this.currentFilters.campaign_id, 1)));
     }
 
-    async loadRoomProspects(room, campaignId = null, page = null) {
+    /**
+     * Query params shared by every prospect list request: client, date
+     * range and the filter builder / saved view
+     * @returns {Object}
+     */
+    getListParams() {
+        const params = {};
+
+        const clientFilter = document.getElementById('client-select');
+        if (clientFilter && clientFilter.value) {
+            params.client_id = clientFilter.value;
+        }
+
+        const dateFilter = document.getElementById('date-filter');
+        if (dateFilter && dateFilter.value && dateFilter.value !== 'all') {
+            params.days = dateFilter.value;
+        }
+
+        return { ...params, ...(this.filterManager?.getQueryParams() || {}) };
+    }
+
+    /**
+     * @param {string} room - Room to load
+     * @param {number|null} campaignId - Unused (kept for callers)
+     * @param {number|null} page - Page to load (defaults to the current page)
+     * @param {number|null} locateId - Load the page holding this prospect instead
+     */
+    async loadRoomProspects(room, campaignId = null, page = null, locateId = null) {
 
         if (this.isLoading[room]) {
             return;
         }
 
         this.isLoading[room] = true;
+        this.incomingCounts[room] = 0;
         console.log(`Fetching prospects for room: ${room}...`);
         const container = document.querySelector(`#rtr-room-${room} .rtr-prospect-list`);
         
@@ -221,41 +260,25 @@ export default class ProspectManager {
             const currentPage = page !== null ? page : this.pagination[room].currentPage;
             const perPage = this.pagination[room].perPage;
             
-            const url = new URL(`${this.apiUrl}/prospects`, window.location.origin);
-            url.searchParams.append('room', room);
-            url.searchParams.append('page', currentPage);
-            url.searchParams.append('per_page', perPage);
-
-            const clientFilter = document.getElementById('client-select');
-
-            if (clientFilter && clientFilter.value) {
-                url.searchParams.append('client_id', clientFilter.value);
-            }
-
-            const dateFilter = document.getElementById('date-filter');
+            const params = {
+                room,
+                page: currentPage,
+                per_page: perPage,
+                ...this.getListParams()
+            };
 
-            if (dateFilter && dateFilter.value && dateFilter.value !== 'all') {
-                url.searchParams.append('days', dateFilter.value);
+            if (locateId) {
+                params.locate = locateId;
             }
 
             // Add sort parameters
             const sort = this.currentSort[room];
             if (sort) {
-                url.searchParams.append('orderby', sort.orderby);
-                url.searchParams.append('order', sort.order);
+                params.orderby = sort.orderby;
+                params.order = sort.order;
             }
 
-            const response = await fetch(url, {
-                headers: {
-                    'X-WP-Nonce': this.nonce
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const data = await response.json();
+            const data = await this.api.get('/prospects', params);
             
             // Update pagination state
             this.pagination[room].currentPage = data.pagination?.current_page || currentPage;
@@ -329,6 +352,15 @@ export default class ProspectManager {
 
         // Clear container
         container.innerHTML = '';
+
+        // Select-all for the current page (selection handled by BulkActionManager)
+        const selectHeader = document.createElement('label');
+        selectHeader.className = 'rtr-select-page';
+        selectHeader.innerHTML = `
+            <input type="checkbox" class="rtr-select-page-checkbox" data-room="${room}">
+            <span>Select all on this page</span>
+        `;
+        container.appendChild(selectHeader);
         
         // Create prospects wrapper
         const prospectsWrapper = document.createElement('div');
@@ -347,6 +379,10 @@ export default class ProspectManager {
 
         // Update badge with total count (not just current page)
         this.updateRoomBadge(room, this.pagination[room].totalCount);
+
+        document.dispatchEvent(new CustomEvent('rtr:prospectsRendered', {
+            detail: { room }
+        }));
     }
 
     renderPaginationControls(room, container) {
@@ -477,6 +513,18 @@ export default class ProspectManager {
         row.dataset.prospectId = prospect.id;
         row.dataset.visitorId = prospect.visitor_id || prospect.id;
 
+        // Selection checkbox (bulk actions)
+        const selectLabel = document.createElement('label');
+        selectLabel.className = 'rtr-prospect-select';
+        selectLabel.title = 'Select (Shift+click to select a range)';
+        const selectBox = document.createElement('input');
+        selectBox.type = 'checkbox';
+        selectBox.className = 'rtr-select-checkbox';
+        selectBox.dataset.prospectId = prospect.id;
+        selectBox.dataset.room = room;
+        selectLabel.appendChild(selectBox);
+        row.appendChild(selectLabel);
+
         // Left Section: Prospect Info
         const infoSection = document.createElement('div');
         infoSection.className = 'rtr-prospect-info';
@@ -608,6 +656,7 @@ export default class ProspectManager {
             emailBtn.dataset.emailNumber = i;
             emailBtn.dataset.emailState = state;
             emailBtn.title = this.getEmailButtonTooltip(state, i, emailData);
+            this.applyDueDate(emailBtn, emailData);
 
             const isNextInSequence = this.isNextInSequence(emailStates, i);
             if (isNextInSequence && (state === 'ready' || state === 'pending')) {
@@ -695,6 +744,15 @@ export default class ProspectManager {
         infoBtn.dataset.room = room;
         actionsContainer.appendChild(infoBtn);
 
+        // Timeline Button
+        const timelineBtn = document.createElement('button');
+        timelineBtn.className = 'rtr-action-btn rtr-timeline-btn';
+        timelineBtn.innerHTML = '<i class="fas fa-stream"></i>';
+        timelineBtn.title = 'View Timeline';
+        timelineBtn.dataset.prospectId = prospect.id;
+        timelineBtn.dataset.prospectName = prospectName;
+        actionsContainer.appendChild(timelineBtn);
+
         // Archive Button
         const archiveBtn = document.createElement('button');
         archiveBtn.className = 'rtr-action-btn rtr-archive-btn';
@@ -849,6 +907,60 @@ export default class ProspectManager {
         return tooltipMap[state] || `Email ${emailNumber}`;
     }
 
+    /**
+     * Show an email's send-by date on its button
+     *
+     * Only the next unsent email has a real due date; later ones are
+     * projected from it and shown lighter.
+     * @param {HTMLElement} button - Email button
+     * @param {Object} emailData - Email state ({ state, due_date, overdue, projected })
+     */
+    applyDueDate(button, emailData) {
+        if (!emailData?.due_date || ['sent', 'opened', 'bounced'].includes(emailData.state)) return;
+
+        // Due dates are plain days (site timezone), not instants
+        const [year, month, day] = emailData.due_date.split('-').map(Number);
+        const due = new Date(year, month - 1, day);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const dayLabel = due.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+        let status = 'upcoming';
+        let note = `Due ${dayLabel}`;
+
+        if (emailData.overdue) {
+            status = 'overdue';
+            note = `Overdue - was due ${dayLabel}`;
+        } else if (emailData.projected) {
+            status = 'projected';
+            note = `Due ${dayLabel} if the previous email goes out on time`;
+        } else if (due.getTime() === today.getTime()) {
+            status = 'today';
+            note = 'Due today';
+        }
+
+        const label = document.createElement('span');
+        label.className = 'rtr-email-due';
+        label.textContent = `${month}/${day}`;
+
+        button.dataset.dueDate = emailData.due_date;
+        button.dataset.dueStatus = status;
+        button.dataset.dueNote = note;
+        button.title += ` · ${note}`;
+        button.appendChild(label);
+    }
+
+    /**
+     * Remove the due date from an email button
+     * @param {HTMLElement} button - Email button
+     */
+    clearDueDate(button) {
+        button.querySelector('.rtr-email-due')?.remove();
+        delete button.dataset.dueDate;
+        delete button.dataset.dueStatus;
+        delete button.dataset.dueNote;
+    }
+
     /**
      * Format date for tooltip display
      * @param {String} dateString - ISO date string
@@ -912,54 +1024,17 @@ export default class ProspectManager {
         }
 
         try {
-            // Build API URL - use emailApiUrl from config (directreach/v2)
-            let baseUrl = this.config?.emailApiUrl || '';
-            if (!baseUrl) {
-                // Fallback: derive from apiUrl
-                baseUrl = this.apiUrl;
-                if (baseUrl.includes('/wp-json')) {
-                    baseUrl = baseUrl.split('/wp-json')[0];
-                }
-                baseUrl = `${baseUrl}/wp-json/directreach/v2`;
-            }
-
-            const apiEndpoint = `${baseUrl}/emails/batch-generate-cis`;
-
             // Get current client filter if any
             const clientFilter = document.getElementById('client-select');
             const clientId = clientFilter?.value ? parseInt(clientFilter.value, 10) : 0;
 
-            const response = await fetch(apiEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.nonce
-                },
-                body: JSON.stringify({
-                    room_type: room,
-                    client_id: clientId,
-                    skip_if_recent_days: 7
-                })
+            // Served by the directreach/v2 email controller
+            const data = await this.api.post('/emails/batch-generate-cis', {
+                room_type: room,
+                client_id: clientId,
+                skip_if_recent_days: 7
             });
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                let errorMsg;
-                try {
-                    const errorData = JSON.parse(errorText);
-                    errorMsg = errorData.message || errorData.data?.message || `Server error: ${response.status}`;
-                } catch {
-                    errorMsg = `Server error: ${response.status}`;
-                }
-                throw new Error(errorMsg);
-            }
-
-            const data = await response.json();
-
-            if (!data.success) {
-                throw new Error(data.message || 'Batch generation failed');
-            }
-
             // Show results summary
             const summary = data.summary || {};
             const generated = summary.generated || 0;
@@ -1066,43 +1141,13 @@ export default class ProspectManager {
             this.uiManager.notify('Email generation started. You\'ll be notified when ready.', 'info');
         }
         
-        // Emit event to start polling
-        document.dispatchEvent(new CustomEvent('rtr:email-generation-started', {
-            detail: { visitorId, emailNumber, room }
-        }));
-        
         try {
-            let baseUrl = this.apiUrl;
-            if (baseUrl.includes('/wp-json')) {
-                baseUrl = baseUrl.split('/wp-json')[0];
-            }
-            const apiEndpoint = `${baseUrl}/wp-json/directreach/v2/emails/generate`;
-            
-            const response = await fetch(apiEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.nonce
-                },
-                body: JSON.stringify({
-                    prospect_id: parseInt(visitorId, 10),
-                    room_type: room,
-                    email_number: parseInt(emailNumber, 10)
-                })
+            await this.api.post('/emails/generate', {
+                prospect_id: parseInt(visitorId, 10),
+                room_type: room,
+                email_number: parseInt(emailNumber, 10)
             });
             
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Server response:', errorText);
-                throw new Error(`Generation failed: ${response.status} - ${errorText}`);
-            }
-            
-            const data = await response.json();
-            
-            if (!data.success) {
-                throw new Error(data.message || 'Email generation failed');
-            }
-            
             // Success! Update button to ready state
             this.updateButtonState(visitorId, emailNumber, 'ready');
             
@@ -1123,9 +1168,9 @@ export default class ProspectManager {
             
             if (error.message && error.message.includes('template')) {
                 userMessage = 'Email templates need to be configured. Please contact your administrator to set up the campaign templates.';
-            } else if (error.message && error.message.includes('500')) {
+            } else if (error.status >= 500) {
                 userMessage = 'Server error occurred. Please try again in a few moments.';
-            } else if (error.message && error.message.includes('network')) {
+            } else if (error.isNetworkError) {
                 userMessage = 'Network error. Please check your connection and try again.';
             }
             
@@ -1249,6 +1294,13 @@ export default class ProspectManager {
         
         // Update tooltip
         button.title = this.getEmailButtonTooltip(newState, emailNumber, { timestamp });
+
+        // Sent emails are no longer due
+        if (['sent', 'opened', 'bounced'].includes(newState)) {
+            this.clearDueDate(button);
+        } else if (button.dataset.dueNote) {
+            button.title += ` · ${button.dataset.dueNote}`;
+        }
         
         // Update disabled state
         if (newState === 'generating') {
@@ -1328,47 +1380,12 @@ export default class ProspectManager {
         }
 
         try {
-            // Build the WordPress proxy endpoint URL (lives in directreach/v2 email controller)
-            let baseUrl = this.config?.emailApiUrl || '';
-            if (!baseUrl) {
-                baseUrl = this.apiUrl;
-                if (baseUrl.includes('/wp-json')) {
-                    baseUrl = baseUrl.split('/wp-json')[0];
-                }
-                baseUrl = `${baseUrl}/wp-json/directreach/v2`;
-            }
-            const apiEndpoint = `${baseUrl}/emails/journeyos-generate`;
-
-            const response = await fetch(apiEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.nonce
-                },
-                body: JSON.stringify({
-                    prospect_id: parseInt(prospectId, 10),
-                    room_type: room
-                })
+            // WordPress proxy endpoint (lives in directreach/v2 email controller)
+            const data = await this.api.post('/emails/journeyos-generate', {
+                prospect_id: parseInt(prospectId, 10),
+                room_type: room
             });
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                let errorMsg;
-                try {
-                    const errorData = JSON.parse(errorText);
-                    errorMsg = errorData.message || errorData.data?.message || `Server error: ${response.status}`;
-                } catch {
-                    errorMsg = `Server error: ${response.status}`;
-                }
-                throw new Error(errorMsg);
-            }
-
-            const data = await response.json();
-
-            if (!data.success) {
-                throw new Error(data.message || 'JourneyOS email generation failed');
-            }
-
             // Determine which email number was generated
             const emailNumber = data.data?.email_number || this.getNextPendingEmailNumber(visitorId, room);
 
@@ -1452,18 +1469,7 @@ export default class ProspectManager {
         const reason = 'Archived by user';
 
         try {
-            const response = await fetch(`${this.apiUrl}/prospects/${visitorId}/archive`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.nonce
-                },
-                body: JSON.stringify({ reason })
-            });
-
-            if (!response.ok) {
-                throw new Error('Failed to archive prospect');
-            }
+            await this.api.post(`/prospects/${visitorId}/archive`, { reason });
 
             document.dispatchEvent(new CustomEvent('rtr:prospectArchived', {
                 detail: { visitorId, room, reason }
@@ -1493,18 +1499,7 @@ export default class ProspectManager {
         if (!confirmed) return;
 
         try {
-            const response = await fetch(`${this.apiUrl}/prospects/${visitorId}/handoff`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.nonce
-                },
-                body: JSON.stringify({ notes: '' })
-            });
-
-            if (!response.ok) {
-                throw new Error('Failed to hand off to sales');
-            }
+            await this.api.post(`/prospects/${visitorId}/handoff`, { notes: '' });
 
             document.dispatchEvent(new CustomEvent('rtr:salesHandoff', {
                 detail: { visitorId }
@@ -1524,6 +1519,15 @@ export default class ProspectManager {
         }));
     }
 
+    /**
+     * Open the prospect's timeline (visits, scores, rooms, emails, enrichment)
+     */
+    handleTimelineClick(prospectId, prospectName) {
+        document.dispatchEvent(new CustomEvent('rtr:openTimeline', {
+            detail: { prospectId, prospectName }
+        }));
+    }
+
     /**
      * Handle score breakdown click
      * Opens the score breakdown modal with detailed scoring criteria
@@ -1558,6 +1562,175 @@ export default class ProspectManager {
         }
     }
 
+    /**
+     * Patch the lists for a server event (only the affected rows and badges)
+     * @param {String} type - Event type
+     * @param {Object} data - Event data ({ prospect_id, visitor_id, room, ... })
+     */
+    applyRealtimeEvent(type, data) {
+        switch (type) {
+            case 'prospect-created':
+                this.noteIncomingProspect(data.room);
+                break;
+
+            case 'room-changed':
+                this.removeMovedProspect(data.prospect_id, data.previous_room);
+                this.noteIncomingProspect(data.room);
+                break;
+
+            case 'score-changed':
+                // Scores belong to the visitor, so every campaign row changes
+                ['problem', 'solution', 'offer'].forEach(room => {
+                    this.prospects[room]
+                        .filter(prospect => prospect.visitor_id == data.visitor_id)
+                        .forEach(prospect => {
+                            prospect.lead_score = data.score;
+                            this.replaceProspectRow(prospect, room);
+                        });
+                });
+                break;
+
+            case 'email-state-changed':
+            case 'email-opened':
+                this.patchEmailState(data);
+                break;
+        }
+    }
+
+    /**
+     * Update a cached prospect's email state and re-render its row
+     * @param {Object} data - { prospect_id, room, email_number, state }
+     */
+    patchEmailState(data) {
+        // Rows show the email states of the prospect's current room only
+        const prospect = (this.prospects[data.room] || []).find(p => p.id == data.prospect_id);
+        if (!prospect) return;
+
+        const key = `email_${data.email_number}`;
+        const timestamp = new Date().toISOString();
+        prospect.email_states = prospect.email_states || {};
+        prospect.email_states[key] = {
+            ...(prospect.email_states[key] || {}),
+            state: data.state,
+            timestamp
+        };
+        if (data.state === 'opened') {
+            prospect.email_states[key].opened_at = timestamp;
+        }
+
+        this.replaceProspectRow(prospect, data.room);
+
+        // Sending moves the due dates of the emails after it
+        if (['sent', 'opened', 'bounced'].includes(data.state)) {
+            this.refreshSchedule(prospect, data.room);
+        }
+    }
+
+    /**
+     * Reload a prospect's email due dates and re-render its row
+     * @param {Object} prospect - Cached prospect
+     * @param {String} room - Room list
+     */
+    async refreshSchedule(prospect, room) {
+        try {
+            const result = await this.api.get(`/prospects/${prospect.id}/schedule`, { room });
+            const emails = result.data?.emails || {};
+
+            Object.entries(emails).forEach(([key, due]) => {
+                prospect.email_states[key] = { ...(prospect.email_states[key] || {}), ...due };
+            });
+            prospect.next_email_due = result.data?.next_email_due || null;
+
+            this.replaceProspectRow(prospect, room);
+        } catch (error) {
+            console.error('Failed to refresh email schedule:', error);
+        }
+    }
+
+    /**
+     * Re-render one prospect row in place
+     * @param {Object} prospect - Cached prospect
+     * @param {String} room - Room list
+     */
+    replaceProspectRow(prospect, room) {
+        const row = document.querySelector(`#rtr-room-${room} .rtr-prospect-row[data-prospect-id="${prospect.id}"]`);
+        if (!row) return;
+
+        const updated = this.renderProspectRow(prospect, room);
+        updated.classList.add('rtr-row-updated');
+        row.replaceWith(updated);
+
+        // Restores the selection checkbox
+        document.dispatchEvent(new CustomEvent('rtr:prospectsRendered', {
+            detail: { room }
+        }));
+    }
+
+    /**
+     * Remove a prospect that left a room
+     * @param {Number} prospectId - Prospect ID
+     * @param {String} room - Room it left
+     */
+    removeMovedProspect(prospectId, room) {
+        if (!this.prospects[room] || !this.prospects[room].some(p => p.id == prospectId)) {
+            return;
+        }
+
+        this.prospects[room] = this.prospects[room].filter(p => p.id != prospectId);
+        this.pagination[room].totalCount = Math.max(0, this.pagination[room].totalCount - 1);
+        this.updateRoomBadge(room, this.pagination[room].totalCount);
+
+        const row = document.querySelector(`#rtr-room-${room} .rtr-prospect-row[data-prospect-id="${prospectId}"]`);
+        if (row) {
+            row.style.transition = 'all 0.3s ease';
+            row.style.opacity = '0';
+            row.style.transform = 'translateX(-20px)';
+            setTimeout(() => row.remove(), 300);
+        }
+    }
+
+    /**
+     * Count a prospect that arrived in a room and offer to show it
+     *
+     * The row is not inserted directly: it may not match the current
+     * filters, sort or page. The notice reloads the first page.
+     * @param {String} room - Room it arrived in
+     */
+    noteIncomingProspect(room) {
+        const container = document.querySelector(`#rtr-room-${room} .rtr-prospect-list`);
+        if (!(room in this.incomingCounts) || !container) return;
+
+        const count = ++this.incomingCounts[room];
+        this.pagination[room].totalCount++;
+        this.updateRoomBadge(room, this.pagination[room].totalCount);
+
+        let notice = container.querySelector('.rtr-incoming-notice');
+        if (!notice) {
+            notice = document.createElement('button');
+            notice.type = 'button';
+            notice.className = 'rtr-incoming-notice';
+            notice.addEventListener('click', () => this.loadRoomProspects(room, null, 1));
+            container.prepend(notice);
+        }
+        notice.innerHTML = `<i class="fas fa-arrow-up"></i> ${count} new prospect${count === 1 ? '' : 's'} in this room · Show`;
+    }
+
+    /**
+     * Get a prospect's row, loading the page of its room that holds it
+     * @param {Number} prospectId - Prospect ID
+     * @param {String} room - Room the prospect is in
+     * @returns {Promise<HTMLElement|null>} Row, null if it is not in the list (e.g. filtered out)
+     */
+    async showProspect(prospectId, room) {
+        const selector = `#rtr-room-${room} .rtr-prospect-row[data-prospect-id="${prospectId}"]`;
+
+        if (!document.querySelector(selector)) {
+            await this.loadRoomProspects(room, null, null, prospectId);
+        }
+
+        return document.querySelector(selector);
+    }
+
     updateProspectEmailStatus(visitorId, room) {
         this.loadRoomProspects(room);
     }
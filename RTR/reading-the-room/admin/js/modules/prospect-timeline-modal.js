@@ -0,0 +1,366 @@
+/**
+ * Prospect Timeline Modal
+ *
+ * Shows one chronological history for a prospect: page visits, score
+ * changes (with the rules that fired), room moves, email activity and
+ * enrichment. Entries can be filtered by type and exported as CSV.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+/**
+ * Entry types (Reading_Room_Timeline::TYPES) with their filter labels and icons
+ */
+const ENTRY_TYPES = {
+    visit: { label: 'Visits', icon: 'fa-globe' },
+    score: { label: 'Score', icon: 'fa-chart-line' },
+    room: { label: 'Rooms', icon: 'fa-door-open' },
+    email: { label: 'Emails', icon: 'fa-envelope' },
+    enrichment: { label: 'Enrichment', icon: 'fa-user-plus' }
+};
+
+export default class ProspectTimelineModal {
+    constructor(api, config) {
+        this.api = api;
+        this.config = config;
+        this.modal = null;
+        this.isOpen = false;
+
+        this.prospectId = null;
+        this.prospectName = '';
+        this.entries = [];
+        this.activeTypes = new Set(Object.keys(ENTRY_TYPES));
+
+        this.init();
+    }
+
+    init() {
+        this.createModal();
+        this.attachEventListeners();
+    }
+
+    createModal() {
+        const filters = Object.entries(ENTRY_TYPES).map(([type, { label, icon }]) => `
+            <button type="button" class="timeline-filter active" data-type="${type}" aria-pressed="true">
+                <i class="fas ${icon}"></i> ${label}
+            </button>
+        `).join('');
+
+        const modalHTML = `
+            <div id="prospect-timeline-modal" class="rtr-modal prospect-timeline-modal" style="display: none;">
+                <div class="modal-overlay"></div>
+                <div class="modal-content prospect-timeline-content">
+                    <div class="modal-header">
+                        <h3 class="modal-title">
+                            <i class="fas fa-stream"></i>
+                            <span class="timeline-title">Prospect Timeline</span>
+                        </h3>
+                        <button class="modal-close" aria-label="Close">
+                            <span>&times;</span>
+                        </button>
+                    </div>
+                    <div class="timeline-toolbar">
+                        <div class="timeline-filters">${filters}</div>
+                        <button type="button" class="timeline-export" disabled>
+                            <i class="fas fa-file-csv"></i> Export CSV
+                        </button>
+                    </div>
+                    <div class="modal-body prospect-timeline-body">
+                        <!-- Content will be dynamically inserted -->
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const existing = document.getElementById('prospect-timeline-modal');
+        if (existing) {
+            existing.remove();
+        }
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        this.modal = document.getElementById('prospect-timeline-modal');
+    }
+
+    attachEventListeners() {
+        if (!this.modal) return;
+
+        this.modal.querySelector('.modal-close')?.addEventListener('click', () => this.close());
+        this.modal.querySelector('.modal-overlay')?.addEventListener('click', () => this.close());
+
+        this.modal.querySelector('.timeline-filters').addEventListener('click', (e) => {
+            const button = e.target.closest('.timeline-filter');
+            if (button) {
+                this.toggleType(button.dataset.type);
+            }
+        });
+
+        this.modal.querySelector('.timeline-export').addEventListener('click', () => this.exportCsv());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open the timeline for a prospect
+     * @param {Number} prospectId - Prospect ID
+     * @param {String} prospectName - Prospect name for display
+     */
+    async open(prospectId, prospectName = 'Prospect') {
+        if (this.isOpen) return;
+
+        this.prospectId = prospectId;
+        this.prospectName = prospectName;
+        this.entries = [];
+
+        this.modal.querySelector('.timeline-title').textContent = `${prospectName} — Timeline`;
+        this.modal.querySelector('.timeline-export').disabled = true;
+        this.modal.style.display = 'flex';
+        this.isOpen = true;
+
+        this.showLoading();
+
+        try {
+            this.entries = await this.fetchTimeline(prospectId);
+            this.render();
+        } catch (error) {
+            console.error('Failed to fetch prospect timeline:', error);
+            this.showError('Failed to load the timeline. Please try again.');
+        }
+    }
+
+    /**
+     * Fetch all timeline entries (filtering happens client-side)
+     */
+    async fetchTimeline(prospectId) {
+        const result = await this.api.get(`/prospects/${prospectId}/timeline`);
+        return result.data?.entries || [];
+    }
+
+    /**
+     * Show or hide one entry type
+     */
+    toggleType(type) {
+        if (this.activeTypes.has(type)) {
+            this.activeTypes.delete(type);
+        } else {
+            this.activeTypes.add(type);
+        }
+
+        this.modal.querySelectorAll('.timeline-filter').forEach(button => {
+            const active = this.activeTypes.has(button.dataset.type);
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active ? 'true' : 'false');
+        });
+
+        if (this.isOpen && this.prospectId !== null) {
+            this.render();
+        }
+    }
+
+    /**
+     * Entries of the selected types
+     */
+    getVisibleEntries() {
+        return this.entries.filter(entry => this.activeTypes.has(entry.type));
+    }
+
+    /**
+     * Render entries grouped by day
+     */
+    render() {
+        const body = this.modal.querySelector('.prospect-timeline-body');
+        const entries = this.getVisibleEntries();
+
+        this.modal.querySelector('.timeline-export').disabled = entries.length === 0;
+
+        if (entries.length === 0) {
+            body.innerHTML = `
+                <div class="timeline-empty">
+                    <i class="fas fa-stream"></i>
+                    <p>${this.entries.length ? 'No events of the selected types.' : 'No activity recorded for this prospect yet.'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        let currentDay = null;
+        let html = '<ol class="timeline-list">';
+
+        entries.forEach(entry => {
+            const day = entry.occurred_at.slice(0, 10);
+            if (day !== currentDay) {
+                currentDay = day;
+                html += `<li class="timeline-day">${this.escapeHtml(this.formatDay(entry.occurred_at))}</li>`;
+            }
+            html += this.renderEntry(entry);
+        });
+
+        html += '</ol>';
+        body.innerHTML = html;
+    }
+
+    renderEntry(entry) {
+        const type = ENTRY_TYPES[entry.type] || { icon: 'fa-circle' };
+
+        return `
+            <li class="timeline-entry timeline-${this.escapeHtml(entry.type)} timeline-event-${this.escapeHtml(entry.event)}">
+                <span class="timeline-icon"><i class="fas ${type.icon}"></i></span>
+                <div class="timeline-main">
+                    <div class="timeline-summary">${this.escapeHtml(entry.summary)}</div>
+                    ${this.renderDetails(entry)}
+                </div>
+                <time class="timeline-time" datetime="${this.escapeHtml(entry.occurred_at)}">
+                    ${this.escapeHtml(this.formatTime(entry.occurred_at))}
+                </time>
+            </li>
+        `;
+    }
+
+    /**
+     * Type-specific detail line (fired rules, pages, subject, reason)
+     */
+    renderDetails(entry) {
+        const details = entry.details || {};
+
+        if (entry.type === 'score' && details.rules?.length) {
+            const rules = details.rules.map(rule => `
+                <span class="timeline-rule">
+                    ${this.escapeHtml(rule.label)}
+                    <strong>${rule.points > 0 ? '+' : ''}${rule.points}</strong>
+                </span>
+            `).join('');
+            return `<div class="timeline-rules">${rules}</div>`;
+        }
+
+        if (entry.type === 'visit' && details.pages?.length) {
+            const pages = details.pages.map(url => `<li>${this.escapeHtml(url)}</li>`).join('');
+            return `<ul class="timeline-pages">${pages}</ul>`;
+        }
+
+        if (entry.type === 'email' && details.subject) {
+            return `<div class="timeline-detail">${this.escapeHtml(details.subject)}</div>`;
+        }
+
+        if (entry.type === 'room' && details.reason) {
+            return `<div class="timeline-detail">${this.escapeHtml(details.reason)}</div>`;
+        }
+
+        return '';
+    }
+
+    /**
+     * Download the visible entries as CSV
+     */
+    exportCsv() {
+        const columns = [
+            ['Date', e => e.occurred_at],
+            ['Type', e => ENTRY_TYPES[e.type]?.label || e.type],
+            ['Event', e => e.event],
+            ['Summary', e => e.summary],
+            ['Details', e => this.describeDetails(e)]
+        ];
+
+        const escape = (value) => {
+            const text = String(value ?? '');
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const entries = this.getVisibleEntries();
+        const lines = [columns.map(([label]) => escape(label)).join(',')];
+        entries.forEach(entry => {
+            lines.push(columns.map(([, value]) => escape(value(entry))).join(','));
+        });
+
+        const blob = new Blob([lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `prospect-${this.prospectId}-timeline-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /**
+     * Plain-text details for the export
+     */
+    describeDetails(entry) {
+        const details = entry.details || {};
+
+        if (details.rules?.length) {
+            return details.rules.map(rule => `${rule.label} ${rule.points > 0 ? '+' : ''}${rule.points}`).join('; ');
+        }
+        if (details.pages?.length) {
+            return details.pages.join(' ');
+        }
+        if (details.url) {
+            return details.url;
+        }
+        return details.subject || details.reason || '';
+    }
+
+    formatDay(datetime) {
+        const date = new Date(datetime.replace(' ', 'T'));
+        return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    formatTime(datetime) {
+        const date = new Date(datetime.replace(' ', 'T'));
+        return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading() {
+        const body = this.modal.querySelector('.prospect-timeline-body');
+        if (!body) return;
+
+        body.innerHTML = `
+            <div class="timeline-loading">
+                <i class="fas fa-spinner fa-spin"></i>
+                <p>Loading timeline for ${this.escapeHtml(this.prospectName)}...</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Show error message
+     */
+    showError(message) {
+        const body = this.modal.querySelector('.prospect-timeline-body');
+        if (!body) return;
+
+        body.innerHTML = `
+            <div class="timeline-error">
+                <i class="fas fa-exclamation-triangle"></i>
+                <p>${this.escapeHtml(message)}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Close modal
+     */
+    close() {
+        if (!this.modal || !this.isOpen) return;
+
+        this.modal.style.display = 'none';
+        this.isOpen = false;
+        this.prospectId = null;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
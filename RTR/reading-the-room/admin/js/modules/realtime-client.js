@@ -0,0 +1,286 @@
+/**
+ * Realtime Client
+ *
+ * Receives dashboard events pushed by the server over Server-Sent Events
+ * (`/events/stream`) and re-dispatches each one as an `rtr:realtimeEvent`
+ * document event ({ type, data }). Falls back to long-polling `/events`
+ * when EventSource is unavailable or the stream keeps failing (e.g.
+ * behind a buffering proxy).
+ *
+ * Disconnects while the tab is hidden and resumes from the last event
+ * seen, so missed events are replayed.
+ *
+ * The server answers at once (unless a site enables a hold of up to ~10s)
+ * and sends a reconnect delay (SSE `retry:` / long-poll `retry_ms`) that
+ * is honoured here, so a dashboard does not keep a PHP worker busy.
+ * Long-polls that find nothing new, and failed ones, back off
+ * exponentially.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+/**
+ * Event types sent by the server (Reading_Room_Events::TYPES)
+ */
+const EVENT_TYPES = [
+    'prospect-created',
+    'room-changed',
+    'score-changed',
+    'email-state-changed',
+    'email-opened'
+];
+
+/**
+ * Stream errors in a row before switching to long-polling
+ */
+const MAX_STREAM_ERRORS = 3;
+
+/**
+ * Seconds to ask the server to hold a long-poll request (only honoured
+ * when the site enables a hold, and capped by it)
+ */
+const LONG_POLL_TIMEOUT = 10;
+
+/**
+ * Delay between long-polls when the server sends none (ms)
+ */
+const RETRY_DELAY = 5000;
+
+/**
+ * Longest delay between failed long-polls (ms)
+ */
+const MAX_RETRY_DELAY = 60000;
+
+/**
+ * Longest delay between long-polls that find nothing new (ms)
+ */
+const MAX_IDLE_DELAY = 30000;
+
+export default class RealtimeClient {
+    constructor(api, config) {
+        this.api = api;
+        this.config = config;
+        this.apiUrl = config?.restUrl || config?.apiUrl || window.rtrDashboardConfig?.restUrl || '';
+
+        this.mode = null; // 'stream' or 'poll'
+        this.source = null;
+        this.pollController = null;
+        this.retryTimer = null;
+        this.streamErrors = 0;
+        this.lastEventId = null;
+        this.clientId = '';
+        this.generation = 0; // Bumped on stop so stale poll loops exit
+
+        this.init();
+    }
+
+    init() {
+        // Events are filtered by client on the server
+        document.addEventListener('rtr:filterChanged', () => {
+            if (this.getClientId() !== this.clientId) {
+                this.restart();
+            }
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.stop();
+            } else if (!this.mode) {
+                this.start();
+            }
+        });
+
+        window.addEventListener('beforeunload', () => this.stop());
+
+        this.start();
+    }
+
+    /**
+     * Selected client, if any
+     *
+     * @returns {string}
+     */
+    getClientId() {
+        const clientSelect = document.getElementById('client-select');
+        return clientSelect && clientSelect.value ? clientSelect.value : '';
+    }
+
+    /**
+     * Connect (stream if possible, otherwise long-poll)
+     */
+    start() {
+        this.clientId = this.getClientId();
+
+        if (typeof EventSource !== 'undefined' && this.streamErrors < MAX_STREAM_ERRORS) {
+            this.openStream();
+        } else {
+            this.poll();
+        }
+    }
+
+    /**
+     * Disconnect
+     */
+    stop() {
+        this.generation++;
+        this.mode = null;
+
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+        if (this.pollController) {
+            this.pollController.abort();
+            this.pollController = null;
+        }
+        clearTimeout(this.retryTimer);
+    }
+
+    restart() {
+        this.stop();
+        this.start();
+    }
+
+    // ------------------------------------------------------------------
+    // SERVER-SENT EVENTS
+    // ------------------------------------------------------------------
+
+    openStream() {
+        this.mode = 'stream';
+
+        // EventSource cannot send headers: authenticate with _wpnonce
+        const url = new URL(`${this.apiUrl}/events/stream`, window.location.origin);
+        url.searchParams.append('_wpnonce', this.api.nonce);
+        if (this.clientId) {
+            url.searchParams.append('client_id', this.clientId);
+        }
+        if (this.lastEventId !== null) {
+            url.searchParams.append('last_event_id', this.lastEventId);
+        }
+
+        const source = new EventSource(url);
+        this.source = source;
+
+        source.addEventListener('open', () => {
+            this.streamErrors = 0;
+        });
+
+        source.addEventListener('connected', (e) => {
+            this.lastEventId = parseInt(e.lastEventId, 10);
+        });
+
+        EVENT_TYPES.forEach(type => {
+            source.addEventListener(type, (e) => {
+                this.lastEventId = parseInt(e.lastEventId, 10);
+                this.dispatch(type, JSON.parse(e.data));
+            });
+        });
+
+        // The server closes each stream once it has sent what is new (or
+        // after the hold, if enabled) and the browser reconnects after the
+        // `retry:` delay (sending Last-Event-ID); only repeated failures or
+        // a rejected connection switch to long-polling.
+        source.addEventListener('error', () => {
+            this.streamErrors++;
+
+            if (source.readyState === EventSource.CLOSED || this.streamErrors >= MAX_STREAM_ERRORS) {
+                console.warn('[RealtimeClient] Event stream unavailable, falling back to long-polling');
+                source.close();
+                this.source = null;
+                this.streamErrors = MAX_STREAM_ERRORS;
+                this.poll();
+            }
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // LONG-POLL FALLBACK
+    // ------------------------------------------------------------------
+
+    async poll() {
+        this.mode = 'poll';
+        const generation = this.generation;
+        let failures = 0;
+        let idlePolls = 0;
+
+        while (generation === this.generation) {
+            this.pollController = new AbortController();
+            let delay = 0;
+
+            try {
+                const params = {};
+                if (this.lastEventId !== null) {
+                    params.since = this.lastEventId;
+                    params.timeout = LONG_POLL_TIMEOUT;
+                }
+                if (this.clientId) {
+                    params.client_id = this.clientId;
+                }
+
+                // Retries are handled below, with the server's delay
+                const result = await this.api.get('/events', params, {
+                    signal: this.pollController.signal,
+                    retries: 0
+                });
+                if (generation !== this.generation) return;
+
+                const events = result.data?.events || [];
+                events.forEach(event => this.dispatch(event.type, event.data));
+
+                // The first request only fetches the starting ID; after that,
+                // back off while nothing is happening
+                if (this.lastEventId !== null) {
+                    const retryMs = result.data?.retry_ms ?? RETRY_DELAY;
+                    idlePolls = events.length ? 0 : idlePolls + 1;
+                    delay = idlePolls > 1 ? Math.min(retryMs * 2 ** (idlePolls - 1), MAX_IDLE_DELAY) : retryMs;
+                }
+                this.lastEventId = result.data?.last_id ?? this.lastEventId;
+                failures = 0;
+
+            } catch (error) {
+                if (error.isAborted || generation !== this.generation) return;
+
+                console.error('[RealtimeClient] Long-poll failed:', error);
+                delay = Math.min(RETRY_DELAY * 2 ** failures, MAX_RETRY_DELAY);
+                failures++;
+            }
+
+            if (delay > 0) {
+                await new Promise(resolve => {
+                    this.retryTimer = setTimeout(resolve, delay);
+                });
+            }
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // DISPATCH
+    // ------------------------------------------------------------------
+
+    /**
+     * Re-dispatch a server event on the document
+     *
+     * @param {string} type - Event type
+     * @param {Object} data - Event data ({ prospect_id, visitor_id, client_id, room, ... })
+     */
+    dispatch(type, data) {
+        document.dispatchEvent(new CustomEvent('rtr:realtimeEvent', {
+            detail: { type, data }
+        }));
+    }
+
+    /**
+     * Connection status
+     *
+     * @returns {Object}
+     */
+    getStatus() {
+        return {
+            mode: this.mode,
+            lastEventId: this.lastEventId,
+            clientId: this.clientId
+        };
+    }
+}
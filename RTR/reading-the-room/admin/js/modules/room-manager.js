@@ -4,16 +4,46 @@
  * 
  */
 
+export const ROOMS = ['problem', 'solution', 'offer', 'sales'];
+
+/**
+ * Room card titles and count labels
+ */
+export const ROOM_CARDS = {
+    problem: {
+        icon: 'alert-circle',
+        color: 'red',
+        title: 'Problem Room',
+        subtitle: 'Attract Phase',
+        label: 'Active Prospects'
+    },
+    solution: {
+        icon: 'lightbulb',
+        color: 'yellow',
+        title: 'Solution Room',
+        subtitle: 'Identify & Nurture',
+        label: 'Engaged Visitors'
+    },
+    offer: {
+        icon: 'handshake',
+        color: 'green',
+        title: 'Offer Room',
+        subtitle: 'Invite & Close',
+        label: 'Sales Ready'
+    },
+    sales: {
+        icon: 'trophy',
+        color: 'purple',
+        title: 'Sales Room',
+        subtitle: 'Negotiate & Convert',
+        label: 'Sales Handoffs'
+    }
+};
+
 export default class RoomManager {
-    constructor(config) {
+    constructor(config, api = null) {
         this.config = config || window.rtrDashboardConfig || {};
-        // Handle both string and object config
-        if (typeof config === 'string') {
-            this.apiUrl = config;
-        } else {
-            this.apiUrl = config?.restUrl || config?.apiUrl || window.rtrDashboardConfig?.restUrl || window.rtrDashboardConfig?.apiUrl || '';
-        }
-        this.nonce = config?.nonce || window.rtrDashboardConfig?.nonce || '';
+        this.api = api; // Shared RTRApiClient
         this.currentData = null;
         this.init();
     }
@@ -43,6 +73,17 @@ export default class RoomManager {
             this.loadRoomCounts();
         });
 
+        // Live updates pushed by the server (RealtimeClient)
+        document.addEventListener('rtr:realtimeEvent', (e) => {
+            const { type, data } = e.detail;
+            if (type === 'prospect-created') {
+                this.updateRoomCount(data.room, 1);
+            } else if (type === 'room-changed') {
+                this.updateRoomCount(data.previous_room, -1);
+                this.updateRoomCount(data.room, 1);
+            }
+        });
+
         // Listen for client/date filter changes
         const clientSelect = document.getElementById('client-select');
         const dateFilter = document.getElementById('date-filter');
@@ -87,28 +128,18 @@ export default class RoomManager {
         try {
             const clientFilter = document.getElementById('client-select');
 
-            const url = new URL(`${this.apiUrl}/analytics/room-counts`, window.location.origin);
+            const params = {};
 
             if (clientFilter && clientFilter.value) {
-                url.searchParams.append('client_id', clientFilter.value);
+                params.client_id = clientFilter.value;
             }
 
             const dateFilter = document.getElementById('date-filter');
             if (dateFilter && dateFilter.value && dateFilter.value !== 'all') {
-                url.searchParams.append('days', dateFilter.value);
-            }
-
-            const response = await fetch(url, {
-                headers: {
-                    'X-WP-Nonce': this.nonce
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                params.days = dateFilter.value;
             }
 
-            const apiResponse = await response.json();
+            const apiResponse = await this.api.get('/analytics/room-counts', params);
             
             // API now returns: { success: true, data: {...counts}, analytics: {...stats}, total: 0 }
             if (!apiResponse.success || !apiResponse.data) {
@@ -143,76 +174,12 @@ export default class RoomManager {
             return;
         }
 
-        // Extract counts and analytics from API response
         const counts = data;
-        const analytics = this.currentAnalytics || {}; // Will be set by loadRoomCounts
-
-        const rooms = ['problem', 'solution', 'offer', 'sales'];
-        const roomConfig = {
-            problem: {
-                icon: 'alert-circle',
-                color: 'red',
-                title: 'Problem Room',
-                subtitle: 'Attract Phase',
-                label: 'Active Prospects'
-            },
-            solution: {
-                icon: 'lightbulb',
-                color: 'yellow',
-                title: 'Solution Room',
-                subtitle: 'Identify & Nurture',
-                label: 'Engaged Visitors'
-            },
-            offer: {
-                icon: 'handshake',
-                color: 'green',
-                title: 'Offer Room',
-                subtitle: 'Invite & Close',
-                label: 'Sales Ready'
-            },
-            sales: {
-                icon: 'trophy',
-                color: 'purple',
-                title: 'Sales Room',
-                subtitle: 'Negotiate & Convert',
-                label: 'Sales Handoffs'
-            }
-        };
 
-        const html = rooms.map(room => {
-            const config = roomConfig[room];
+        const html = ROOMS.map(room => {
+            const config = ROOM_CARDS[room];
             const count = counts[room] || 0;
-            const roomAnalytics = analytics[room] || {};
-
-            // Get stat values based on room type
-            let stat1Value, stat1Label, stat2Value, stat2Label;
-
-            switch(room) {
-                case 'problem':
-                    stat1Value = roomAnalytics.new_today || 0;
-                    stat1Label = 'New Today';
-                    stat2Value = (roomAnalytics.progress_rate || 0) + '%';
-                    stat2Label = 'Progress Rate';
-                    break;
-                case 'solution':
-                    stat1Value = roomAnalytics.high_scores || 0;
-                    stat1Label = 'High Scores';
-                    stat2Value = (roomAnalytics.open_rate || 0) + '%';
-                    stat2Label = 'Open Rate';
-                    break;
-                case 'offer':
-                    stat1Value = roomAnalytics.high_scores || 0;
-                    stat1Label = 'High Scores';
-                    stat2Value = (roomAnalytics.click_rate || 0) + '%';
-                    stat2Label = 'Click Rate';
-                    break;
-                case 'sales':
-                    stat1Value = roomAnalytics.this_week || 0;
-                    stat1Label = 'This Week';
-                    stat2Value = (roomAnalytics.avg_days || 0);
-                    stat2Label = 'Avg Days';
-                    break;
-            }
+            const [stat1, stat2] = this.getRoomStats(room);
 
             return `
                 <div class="rtr-room-card rtr-room-${config.color}" 
@@ -248,12 +215,12 @@ export default class RoomManager {
                         <div class="rtr-room-stats">
                             <div class="rtr-stats-grid">
                                 <div class="rtr-stat-item">
-                                    <span class="rtr-stat-value">${stat1Value}</span>
-                                    <span class="rtr-stat-label">${stat1Label}</span>
+                                    <span class="rtr-stat-value">${stat1.value}</span>
+                                    <span class="rtr-stat-label">${stat1.label}</span>
                                 </div>
                                 <div class="rtr-stat-item">
-                                    <span class="rtr-stat-value">${stat2Value}</span>
-                                    <span class="rtr-stat-label">${stat2Label}</span>
+                                    <span class="rtr-stat-value">${stat2.value}</span>
+                                    <span class="rtr-stat-label">${stat2.label}</span>
                                 </div>
                             </div>
                         </div>
@@ -265,6 +232,59 @@ export default class RoomManager {
         container.innerHTML = html;
     }
 
+    /**
+     * The two stats shown on a room card (also used by the PDF report)
+     * @param {string} room - Room
+     * @returns {Array<{value: (number|string), label: string}>}
+     */
+    getRoomStats(room) {
+        const roomAnalytics = (this.currentAnalytics || {})[room] || {};
+
+        switch (room) {
+            case 'problem':
+                return [
+                    { value: roomAnalytics.new_today || 0, label: 'New Today' },
+                    { value: (roomAnalytics.progress_rate || 0) + '%', label: 'Progress Rate' }
+                ];
+            case 'solution':
+                return [
+                    { value: roomAnalytics.high_scores || 0, label: 'High Scores' },
+                    { value: (roomAnalytics.open_rate || 0) + '%', label: 'Open Rate' }
+                ];
+            case 'offer':
+                return [
+                    { value: roomAnalytics.high_scores || 0, label: 'High Scores' },
+                    { value: (roomAnalytics.click_rate || 0) + '%', label: 'Click Rate' }
+                ];
+            default:
+                return [
+                    { value: roomAnalytics.this_week || 0, label: 'This Week' },
+                    { value: roomAnalytics.avg_days || 0, label: 'Avg Days' }
+                ];
+        }
+    }
+
+    /**
+     * Adjust one room card's count without reloading
+     * @param {string} room - Room (other values are ignored)
+     * @param {number} delta - Change
+     */
+    updateRoomCount(room, delta) {
+        if (!this.currentData || !ROOMS.includes(room)) {
+            return;
+        }
+
+        this.currentData[room] = Math.max(0, (this.currentData[room] || 0) + delta);
+
+        const value = document.querySelector(`.rtr-room-card[data-room="${room}"] .rtr-count-value`);
+        if (value) {
+            value.textContent = this.currentData[room];
+            value.classList.remove('rtr-count-updated');
+            void value.offsetWidth; // Restart the highlight animation
+            value.classList.add('rtr-count-updated');
+        }
+    }
+
     getIcon(iconName) {
         const icons = {
             'alert-circle': '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/></svg>',
@@ -2,15 +2,28 @@
  * Score Breakdown Modal
  * 
  * Displays detailed scoring criteria breakdown for a prospect
+ *
+ * Admins also get a what-if simulator: the client's scoring rules and
+ * room thresholds in a sandbox, rescored on the server for this prospect
+ * and a sample of others as they change, and saved to the client only
+ * when applied.
  */
 
+import APIClient from '../../../../campaign-builder/admin/js/utils/api-client.js';
+
+const ROOMS = ['problem', 'solution', 'offer'];
+
+const SIMULATION_SAMPLE_SIZE = 25;
+
 export default class ScoreBreakdownModal {
     constructor(config) {
         this.config = config;
         this.apiUrl = config?.restUrl || config?.apiUrl || '';
         this.nonce = config?.nonce || '';
+        this.scoringApi = new APIClient(this.getScoringApiUrl(), this.nonce);
         this.modal = null;
         this.isOpen = false;
+        this.simulator = null;
         
         this.init();
     }
@@ -68,6 +81,23 @@ export default class ScoreBreakdownModal {
             overlay.addEventListener('click', () => this.close());
         }
 
+        // What-if simulator (rendered with the breakdown)
+        this.modal.addEventListener('click', (e) => {
+            if (e.target.closest('.score-simulator-toggle')) {
+                this.toggleSimulator();
+            } else if (e.target.closest('.score-simulator-reset')) {
+                this.resetSimulator();
+            } else if (e.target.closest('.score-simulator-apply')) {
+                this.applySimulation();
+            }
+        });
+
+        this.modal.addEventListener('input', (e) => {
+            if (e.target.closest('.score-simulator-controls')) {
+                this.updateSimulatorValue(e.target);
+            }
+        });
+
         // Escape key to close
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.isOpen) {
@@ -87,6 +117,7 @@ export default class ScoreBreakdownModal {
 
         this.modal.style.display = 'flex';
         this.isOpen = true;
+        this.simulator = null;
 
         // Show loading state
         this.showLoading(prospectName);
@@ -97,6 +128,7 @@ export default class ScoreBreakdownModal {
             
             if (scoreData && scoreData.total_score !== undefined) {
                 this.renderScoreBreakdown(scoreData, prospectName);
+                this.renderSimulatorToggle(visitorId, clientId);
             } else {
                 this.showError('No scoring data available for this prospect.');
             }
@@ -111,28 +143,10 @@ export default class ScoreBreakdownModal {
      */
     async fetchScoreBreakdown(visitorId, clientId) {
         // Use v2 endpoint since calculate-score is in Jobs Controller (directreach/v2)
-        let baseUrl = this.apiUrl;
-        
-        // Extract site URL and construct v2 endpoint
-        if (baseUrl.includes('/wp-json/')) {
-            baseUrl = baseUrl.split('/wp-json/')[0];
-        }
-        
-        const url = `${baseUrl}/wp-json/directreach/v2/calculate-score?visitor_id=${visitorId}&client_id=${clientId}`;
-        
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-WP-Nonce': this.nonce
-            }
+        return this.scoringApi.get('/calculate-score', {
+            visitor_id: visitorId,
+            client_id: clientId
         });
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-
-        return await response.json();
     }
 
     /**
@@ -245,6 +259,473 @@ export default class ScoreBreakdownModal {
         `;
     }
 
+    // ------------------------------------------------------------------
+    // WHAT-IF SIMULATOR
+    // ------------------------------------------------------------------
+
+    /**
+     * Add the simulator section below the breakdown (admins only, the
+     * scoring rules endpoints need manage_options)
+     */
+    renderSimulatorToggle(visitorId, clientId) {
+        const body = this.modal.querySelector('.score-breakdown-body');
+        if (!body || !this.config?.userIsAdmin) return;
+
+        this.simulator = { visitorId, clientId, loaded: false, timer: null, requestId: 0 };
+
+        body.insertAdjacentHTML('beforeend', `
+            <div class="score-simulator">
+                <button type="button" class="score-simulator-toggle">
+                    <i class="fas fa-flask"></i>
+                    What-if Simulator
+                    <i class="fas fa-chevron-down score-simulator-chevron"></i>
+                </button>
+                <div class="score-simulator-panel" style="display: none;"></div>
+            </div>
+        `);
+    }
+
+    /**
+     * Show or hide the simulator, loading the client's rules the first time
+     */
+    async toggleSimulator() {
+        const section = this.modal.querySelector('.score-simulator');
+        const panel = section?.querySelector('.score-simulator-panel');
+        if (!panel || !this.simulator) return;
+
+        const opening = panel.style.display === 'none';
+        panel.style.display = opening ? 'block' : 'none';
+        section.classList.toggle('open', opening);
+
+        if (!opening || this.simulator.loaded) return;
+
+        panel.innerHTML = `
+            <div class="score-loading">
+                <i class="fas fa-spinner fa-spin"></i>
+                <p>Loading scoring rules...</p>
+            </div>
+        `;
+
+        try {
+            const { clientId } = this.simulator;
+            const [rules, thresholds] = await Promise.all([
+                this.requestV2(`/scoring-rules/client/${clientId}`),
+                this.requestV2(`/room-thresholds/${clientId}`)
+            ]);
+
+            const effective = {};
+            ROOMS.forEach(room => {
+                effective[room] = rules.data?.rules?.[room]?.rules || {};
+            });
+
+            Object.assign(this.simulator, {
+                loaded: true,
+                original: {
+                    rules: effective,
+                    thresholds: {
+                        problem_max: Number(thresholds.data?.problem_max ?? 40),
+                        solution_max: Number(thresholds.data?.solution_max ?? 60)
+                    }
+                }
+            });
+
+            this.resetSimulator();
+        } catch (error) {
+            console.error('Failed to load scoring rules:', error);
+            panel.innerHTML = `
+                <div class="score-simulator-message error">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    Failed to load the client's scoring rules.
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Back to the client's saved rules and thresholds
+     */
+    resetSimulator() {
+        if (!this.simulator?.loaded) return;
+
+        this.simulator.rules = structuredClone(this.simulator.original.rules);
+        this.simulator.thresholds = { ...this.simulator.original.thresholds };
+
+        this.renderSimulatorPanel();
+        this.runSimulation();
+    }
+
+    renderSimulatorPanel() {
+        const panel = this.modal.querySelector('.score-simulator-panel');
+        if (!panel) return;
+
+        const { thresholds } = this.simulator;
+
+        panel.innerHTML = `
+            <p class="score-simulator-intro">
+                Change points and room thresholds to see how this prospect and
+                ${SIMULATION_SAMPLE_SIZE} of the client's recent prospects would score.
+                Nothing is saved until you apply the changes.
+            </p>
+
+            <div class="score-simulator-controls">
+                <div class="score-simulator-group thresholds">
+                    <h5>Room Thresholds</h5>
+                    <label class="score-simulator-field">
+                        <span>Problem max</span>
+                        <input type="number" min="0" max="100" data-threshold="problem_max" value="${thresholds.problem_max}">
+                    </label>
+                    <label class="score-simulator-field">
+                        <span>Solution max</span>
+                        <input type="number" min="0" max="100" data-threshold="solution_max" value="${thresholds.solution_max}">
+                    </label>
+                    <div class="score-simulator-field">
+                        <span>Offer from</span>
+                        <strong class="score-simulator-offer-min">${thresholds.solution_max + 1}</strong>
+                    </div>
+                </div>
+                ${ROOMS.map(room => this.renderSimulatorRoom(room)).join('')}
+            </div>
+
+            <div class="score-simulator-results">
+                <div class="score-loading">
+                    <i class="fas fa-spinner fa-spin"></i>
+                    <p>Scoring...</p>
+                </div>
+            </div>
+
+            <div class="score-simulator-actions">
+                <span class="score-simulator-status"></span>
+                <button type="button" class="btn-secondary score-simulator-reset">
+                    <i class="fas fa-undo"></i> Reset
+                </button>
+                <button type="button" class="btn-primary score-simulator-apply" disabled>
+                    <i class="fas fa-check"></i> Apply to Client
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * One room's rules: enabled toggle and the numeric settings. Lists
+     * (industries, pages, patterns) are edited in the scoring rules settings.
+     */
+    renderSimulatorRoom(room) {
+        const rules = this.simulator.rules[room];
+
+        const rows = Object.entries(rules)
+            .filter(([, rule]) => rule && typeof rule === 'object' && !Array.isArray(rule))
+            .map(([key, rule]) => {
+                const fields = Object.entries(rule)
+                    .filter(([field, value]) => field !== 'enabled' && typeof value === 'number')
+                    .map(([field, value]) => `
+                        <label class="score-simulator-field">
+                            <span>${this.escapeHtml(this.formatCriteriaLabel(field))}</span>
+                            <input type="number" step="1" value="${value}"
+                                   data-room="${room}" data-rule="${this.escapeHtml(key)}" data-field="${this.escapeHtml(field)}">
+                        </label>
+                    `).join('');
+
+                return `
+                    <div class="score-simulator-rule">
+                        <label class="score-simulator-enable">
+                            <input type="checkbox" ${rule.enabled ? 'checked' : ''}
+                                   data-room="${room}" data-rule="${this.escapeHtml(key)}" data-field="enabled">
+                            ${this.escapeHtml(this.formatCriteriaLabel(key))}
+                        </label>
+                        <div class="score-simulator-fields">${fields}</div>
+                    </div>
+                `;
+            }).join('');
+
+        return `
+            <div class="score-simulator-group ${room}">
+                <h5>${this.formatRoom(room)} Room</h5>
+                ${rows || '<div class="score-simulator-empty">No rules</div>'}
+            </div>
+        `;
+    }
+
+    /**
+     * Copy an edited input into the sandbox and rescore shortly after
+     */
+    updateSimulatorValue(input) {
+        if (!this.simulator?.loaded) return;
+
+        if (input.dataset.threshold) {
+            this.simulator.thresholds[input.dataset.threshold] = parseInt(input.value, 10) || 0;
+
+            const offerMin = this.modal.querySelector('.score-simulator-offer-min');
+            if (offerMin) offerMin.textContent = this.simulator.thresholds.solution_max + 1;
+        } else if (input.dataset.rule) {
+            const rule = this.simulator.rules[input.dataset.room]?.[input.dataset.rule];
+            if (!rule) return;
+
+            rule[input.dataset.field] = input.type === 'checkbox'
+                ? input.checked
+                : (parseInt(input.value, 10) || 0);
+        } else {
+            return;
+        }
+
+        clearTimeout(this.simulator.timer);
+        this.simulator.timer = setTimeout(() => this.runSimulation(), 400);
+    }
+
+    /**
+     * Rooms whose rules differ from the client's saved ones
+     * @returns {Object} Rules by room type
+     */
+    getChangedRules() {
+        const changed = {};
+        ROOMS.forEach(room => {
+            if (JSON.stringify(this.simulator.rules[room]) !== JSON.stringify(this.simulator.original.rules[room])) {
+                changed[room] = this.simulator.rules[room];
+            }
+        });
+        return changed;
+    }
+
+    thresholdsChanged() {
+        const { thresholds, original } = this.simulator;
+        return thresholds.problem_max !== original.thresholds.problem_max
+            || thresholds.solution_max !== original.thresholds.solution_max;
+    }
+
+    async runSimulation() {
+        const results = this.modal.querySelector('.score-simulator-results');
+        if (!results || !this.simulator?.loaded) return;
+
+        const { visitorId, clientId, thresholds } = this.simulator;
+        const changedRules = this.getChangedRules();
+        const dirty = Object.keys(changedRules).length > 0 || this.thresholdsChanged();
+
+        const apply = this.modal.querySelector('.score-simulator-apply');
+        if (apply) apply.disabled = true;
+
+        if (thresholds.problem_max < 0 || thresholds.problem_max >= thresholds.solution_max || thresholds.solution_max >= 100) {
+            results.innerHTML = `
+                <div class="score-simulator-message error">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    Problem max must be less than Solution max, and Solution max less than 100.
+                </div>
+            `;
+            return;
+        }
+
+        const requestId = ++this.simulator.requestId;
+        results.classList.add('loading');
+
+        try {
+            const response = await this.requestV2('/simulate-score', 'POST', {
+                visitor_id: visitorId,
+                client_id: clientId,
+                rules: changedRules,
+                thresholds,
+                sample_size: SIMULATION_SAMPLE_SIZE
+            });
+
+            // A newer change is already being scored
+            if (requestId !== this.simulator?.requestId) return;
+
+            results.innerHTML = this.renderSimulationResults(response.data);
+            if (apply) apply.disabled = !dirty;
+        } catch (error) {
+            if (requestId !== this.simulator?.requestId) return;
+
+            console.error('Score simulation failed:', error);
+            results.innerHTML = `
+                <div class="score-simulator-message error">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    ${this.escapeHtml(error.message || 'Simulation failed.')}
+                </div>
+            `;
+        } finally {
+            results.classList.remove('loading');
+        }
+    }
+
+    renderSimulationResults({ visitor, sample, summary }) {
+        const sorted = [...sample].sort((a, b) =>
+            Number(this.simulationRoom(b.simulated) !== this.simulationRoom(b.current))
+                - Number(this.simulationRoom(a.simulated) !== this.simulationRoom(a.current))
+            || Math.abs(b.simulated.total_score - b.current.total_score)
+                - Math.abs(a.simulated.total_score - a.current.total_score)
+        );
+
+        const rows = sorted.map(row => `
+            <tr class="${this.simulationRoom(row.simulated) !== this.simulationRoom(row.current) ? 'moved' : ''}">
+                <td>${this.escapeHtml(row.company_name || `Visitor #${row.visitor_id}`)}</td>
+                <td>${this.renderScoreChange(row.current.total_score, row.simulated.total_score)}</td>
+                <td>${this.renderRoomChange(row.current, row.simulated)}</td>
+            </tr>
+        `).join('');
+
+        const total = sample.length + 1;
+
+        return `
+            <div class="score-simulator-prospect">
+                <div class="score-simulator-score">
+                    <span class="score-simulator-label">This prospect</span>
+                    ${this.renderScoreChange(visitor.current.total_score, visitor.simulated.total_score)}
+                </div>
+                <div class="score-simulator-room">
+                    ${this.renderRoomChange(visitor.current, visitor.simulated)}
+                </div>
+                <div class="score-simulator-breakdown">
+                    ${ROOMS.map(room => `
+                        <span class="${room}">${this.formatRoom(room)}:
+                            ${this.renderScoreChange(visitor.current.breakdown[room], visitor.simulated.breakdown[room])}
+                        </span>
+                    `).join('')}
+                </div>
+            </div>
+
+            <div class="score-simulator-summary">
+                <strong>${summary.changed_room}</strong> of ${total} prospects change room,
+                <strong>${summary.changed_score}</strong> change score.
+                ${ROOMS.map(room => `
+                    <span class="score-room-badge ${room}">${this.formatRoom(room)}:
+                        ${summary.current[room]} &rarr; ${summary.simulated[room]}</span>
+                `).join('')}
+                ${summary.current.none || summary.simulated.none ? `
+                    <span class="score-room-badge none">No room:
+                        ${summary.current.none} &rarr; ${summary.simulated.none}</span>
+                ` : ''}
+                ${summary.current.hidden || summary.simulated.hidden ? `
+                    <span class="score-room-badge none">Below minimum:
+                        ${summary.current.hidden} &rarr; ${summary.simulated.hidden}</span>
+                ` : ''}
+            </div>
+
+            ${rows ? `
+                <div class="score-simulator-sample">
+                    <table>
+                        <thead>
+                            <tr><th>Company</th><th>Score</th><th>Room</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    renderScoreChange(before, after) {
+        if (before === after) {
+            return `<span class="score-simulator-value">${after}</span>`;
+        }
+
+        const direction = after > before ? 'up' : 'down';
+        return `
+            <span class="score-simulator-value changed ${direction}">
+                <s>${before}</s> &rarr; ${after}
+            </span>
+        `;
+    }
+
+    renderRoomChange(current, simulated) {
+        const before = this.simulationRoom(current);
+        const after = this.simulationRoom(simulated);
+        const badge = room => `<span class="score-room-badge ${room}">${this.formatRoom(room)}</span>`;
+
+        return before === after ? badge(after) : `${badge(before)} &rarr; ${badge(after)}`;
+    }
+
+    /**
+     * Room as the dashboard would show it: prospects below the problem
+     * room minimum are left out
+     */
+    simulationRoom(result) {
+        if (result.disqualified) return 'disqualified';
+        return result.below_minimum ? 'none' : result.current_room;
+    }
+
+    /**
+     * Save the sandbox to the client's rules and thresholds
+     */
+    async applySimulation() {
+        if (!this.simulator?.loaded) return;
+
+        const { clientId, thresholds } = this.simulator;
+        const changedRules = this.getChangedRules();
+        const thresholdsChanged = this.thresholdsChanged();
+
+        if (!Object.keys(changedRules).length && !thresholdsChanged) return;
+
+        const changes = [
+            ...Object.keys(changedRules).map(room => `${this.formatRoom(room)} room rules`),
+            ...(thresholdsChanged ? ['room thresholds'] : [])
+        ];
+
+        if (!confirm(`Save the ${changes.join(', ')} for this client? Prospects are rescored with them from the next scoring run.`)) {
+            return;
+        }
+
+        const apply = this.modal.querySelector('.score-simulator-apply');
+        const status = this.modal.querySelector('.score-simulator-status');
+        if (apply) apply.disabled = true;
+
+        try {
+            for (const [room, rulesConfig] of Object.entries(changedRules)) {
+                await this.requestV2(`/scoring-rules/client/${clientId}`, 'PUT', {
+                    room,
+                    rules_config: rulesConfig
+                });
+                this.simulator.original.rules[room] = structuredClone(rulesConfig);
+            }
+
+            if (thresholdsChanged) {
+                await this.requestV2(`/room-thresholds/${clientId}`, 'PUT', {
+                    problem_max: thresholds.problem_max,
+                    solution_max: thresholds.solution_max,
+                    offer_min: thresholds.solution_max + 1
+                });
+                this.simulator.original.thresholds = { ...thresholds };
+            }
+
+            if (status) {
+                status.className = 'score-simulator-status success';
+                status.textContent = 'Saved to the client\'s scoring settings.';
+            }
+        } catch (error) {
+            console.error('Failed to apply scoring changes:', error);
+            if (status) {
+                status.className = 'score-simulator-status error';
+                status.textContent = error.message || 'Failed to save the changes.';
+            }
+        }
+
+        if (apply) apply.disabled = !Object.keys(this.getChangedRules()).length && !this.thresholdsChanged();
+    }
+
+    /**
+     * Request to the scoring system (directreach/v2) API
+     * @returns {Promise<Object>} Response JSON
+     * @throws {ApiError}
+     */
+    async requestV2(path, method = 'GET', body = null) {
+        return this.scoringApi.request(path, {
+            method,
+            body: body ? JSON.stringify(body) : undefined
+        });
+    }
+
+    /**
+     * Scoring system (directreach/v2) namespace URL
+     * @returns {string}
+     */
+    getScoringApiUrl() {
+        if (this.config?.emailApiUrl) {
+            return this.config.emailApiUrl;
+        }
+
+        let baseUrl = this.apiUrl;
+        if (baseUrl.includes('/wp-json/')) {
+            baseUrl = baseUrl.split('/wp-json/')[0];
+        }
+        return `${baseUrl}/wp-json/directreach/v2`;
+    }
+
     /**
      * Format criteria key into readable label
      */
@@ -286,6 +767,7 @@ export default class ScoreBreakdownModal {
     formatRoom(room) {
         const roomMap = {
             none: 'Not Qualified',
+            disqualified: 'Disqualified',
             problem: 'Problem',
             solution: 'Solution',
             offer: 'Offer'
@@ -334,6 +816,11 @@ export default class ScoreBreakdownModal {
 
         this.modal.style.display = 'none';
         this.isOpen = false;
+
+        if (this.simulator) {
+            clearTimeout(this.simulator.timer);
+            this.simulator = null;
+        }
     }
 
     /**
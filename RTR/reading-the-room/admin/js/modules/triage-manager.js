@@ -0,0 +1,617 @@
+/**
+ * Triage Manager
+ *
+ * Keyboard-driven triage for the room prospect lists: a row cursor moved
+ * with J/K across all rooms, single-key row actions (info, score
+ * breakdown, timeline, generate, copy, archive, hand off, bounce, select)
+ * and a command palette (Ctrl/Cmd+K) that searches prospects by company,
+ * contact or email and jumps to them.
+ *
+ * Row actions click the row's own buttons, so they behave exactly like
+ * the mouse. Bindings can be changed from the keyboard shortcuts help
+ * and are kept in localStorage.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+const ROOMS = ['problem', 'solution', 'offer'];
+
+const STORAGE_KEY = 'rtr_keyboard_bindings';
+
+/**
+ * Configurable actions with their default bindings
+ */
+const ACTIONS = [
+    { id: 'next', label: 'Next prospect', binding: 'j' },
+    { id: 'previous', label: 'Previous prospect', binding: 'k' },
+    { id: 'info', label: 'Open prospect info', binding: 'i' },
+    { id: 'score', label: 'Score breakdown', binding: 's' },
+    { id: 'timeline', label: 'Prospect timeline', binding: 't' },
+    { id: 'generate', label: 'Generate next email', binding: 'g' },
+    { id: 'copy', label: 'Open ready email (again to copy)', binding: 'c' },
+    { id: 'archive', label: 'Archive', binding: 'a' },
+    { id: 'handoff', label: 'Hand off to sales (Offer room)', binding: 'h' },
+    { id: 'bounce', label: 'Mark bounced / clear bounce', binding: 'b' },
+    { id: 'select', label: 'Select for bulk actions', binding: 'x' },
+    { id: 'palette', label: 'Command palette', binding: 'mod+k' }
+];
+
+/**
+ * Keys with fixed meanings that cannot be bound
+ */
+const RESERVED = ['mod+r', '?', 'escape', 'enter', 'tab', 'arrowup', 'arrowdown'];
+
+/**
+ * Row button each action clicks
+ */
+const ROW_BUTTONS = {
+    info: '.rtr-info-btn',
+    score: '.rtr-score-clickable',
+    timeline: '.rtr-timeline-btn',
+    archive: '.rtr-archive-btn',
+    handoff: '.rtr-handoff-btn',
+    bounce: '.rtr-bounce-toggle-btn',
+    select: '.rtr-select-checkbox'
+};
+
+/**
+ * Open dialogs pause triage keys
+ */
+const DIALOG_SELECTOR = [
+    '.rtr-modal',
+    '.email-generation-modal',
+    '.email-history-modal',
+    '.ui-confirm-modal',
+    '.ui-loader-overlay',
+    '.rtr-modal-overlay',
+    '.rtr-contact-selector-modal'
+].join(', ');
+
+const PALETTE_RESULTS = 8;
+const SEARCH_DELAY = 250;
+
+export default class TriageManager {
+    constructor(api, config) {
+        this.api = api;
+        this.config = config;
+        this.uiManager = null; // Will be set by main.js
+        this.prospectManager = null; // Will be set by main.js
+
+        this.bindings = this.loadBindings();
+        this.focused = null; // { prospectId, room }
+        this.capture = null; // Resolver while waiting for a new binding
+
+        this.palette = null;
+        this.paletteResults = [];
+        this.paletteIndex = 0;
+        this.searchTimer = null;
+        this.searchController = null;
+
+        this.init();
+    }
+
+    init() {
+        this.createPalette();
+        this.attachEventListeners();
+    }
+
+    setUIManager(uiManager) {
+        this.uiManager = uiManager;
+    }
+
+    setProspectManager(prospectManager) {
+        this.prospectManager = prospectManager;
+    }
+
+    attachEventListeners() {
+        // Capture phase: a binding being recorded must not reach other handlers
+        document.addEventListener('keydown', (e) => this.handleKeydown(e), true);
+
+        // Rows are re-rendered on load, paging and live updates
+        document.addEventListener('rtr:prospectsRendered', () => this.restoreFocus());
+
+        // Clicking a row moves the cursor there
+        document.addEventListener('click', (e) => {
+            const row = e.target.closest('.room-details-section .rtr-prospect-row');
+            if (row) {
+                this.focusRow(row, false);
+            }
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // BINDINGS
+    // ------------------------------------------------------------------
+
+    loadBindings() {
+        const bindings = Object.fromEntries(ACTIONS.map(a => [a.id, a.binding]));
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            Object.entries(saved).forEach(([id, binding]) => {
+                if (id in bindings && typeof binding === 'string') {
+                    bindings[id] = binding;
+                }
+            });
+        } catch (error) {
+            console.warn('[TriageManager] Ignoring invalid saved bindings:', error);
+        }
+
+        return bindings;
+    }
+
+    /**
+     * Actions with their current bindings (for the shortcuts help)
+     * @returns {Array<{id: string, label: string, binding: string, keys: string}>}
+     */
+    getShortcuts() {
+        return ACTIONS.map(({ id, label }) => ({
+            id,
+            label,
+            binding: this.bindings[id],
+            keys: this.formatBinding(this.bindings[id])
+        }));
+    }
+
+    /**
+     * Change an action's binding
+     * @returns {string|null} Error message, null when saved
+     */
+    setBinding(id, binding) {
+        if (!(id in this.bindings) || !binding) {
+            return 'Unknown shortcut';
+        }
+        if (RESERVED.includes(binding)) {
+            return `${this.formatBinding(binding)} is reserved`;
+        }
+
+        const taken = ACTIONS.find(a => a.id !== id && this.bindings[a.id] === binding);
+        if (taken) {
+            return `${this.formatBinding(binding)} is already used by "${taken.label}"`;
+        }
+
+        this.bindings[id] = binding;
+        this.saveBindings();
+        return null;
+    }
+
+    resetBindings() {
+        this.bindings = Object.fromEntries(ACTIONS.map(a => [a.id, a.binding]));
+        localStorage.removeItem(STORAGE_KEY);
+    }
+
+    saveBindings() {
+        const defaults = Object.fromEntries(ACTIONS.map(a => [a.id, a.binding]));
+        const changed = Object.fromEntries(
+            Object.entries(this.bindings).filter(([id, binding]) => defaults[id] !== binding)
+        );
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(changed));
+    }
+
+    /**
+     * Wait for the next key press and return it as a binding
+     * @returns {Promise<string|null>} Binding, null if cancelled with Escape
+     */
+    captureBinding() {
+        this.cancelCapture();
+        return new Promise(resolve => {
+            this.capture = (binding) => {
+                this.capture = null;
+                resolve(binding);
+            };
+        });
+    }
+
+    cancelCapture() {
+        if (this.capture) {
+            this.capture(null);
+        }
+    }
+
+    /**
+     * Binding string for a key event: "k", "shift+a", "mod+k", "alt+2"
+     * @param {KeyboardEvent} e
+     * @returns {string|null} Null for a lone modifier key
+     */
+    eventToBinding(e) {
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) {
+            return null;
+        }
+
+        const key = e.key.toLowerCase();
+        const parts = [];
+
+        if (e.ctrlKey || e.metaKey) parts.push('mod');
+        if (e.altKey) parts.push('alt');
+        // Shift only counts with letters ("?" already implies it)
+        if (e.shiftKey && /^[a-z]$/.test(key)) parts.push('shift');
+
+        parts.push(key === ' ' ? 'space' : key);
+        return parts.join('+');
+    }
+
+    formatBinding(binding) {
+        return (binding || '').split('+').map(part => {
+            if (part === 'mod') return 'Ctrl/Cmd';
+            if (part === 'alt') return 'Alt';
+            if (part === 'shift') return 'Shift';
+            if (part === 'space') return 'Space';
+            return part.length === 1 ? part.toUpperCase() : part.charAt(0).toUpperCase() + part.slice(1);
+        }).join(' + ');
+    }
+
+    // ------------------------------------------------------------------
+    // KEY HANDLING
+    // ------------------------------------------------------------------
+
+    handleKeydown(e) {
+        if (this.capture) {
+            const binding = e.key === 'Escape' ? null : this.eventToBinding(e);
+            if (binding !== null || e.key === 'Escape') {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.capture(binding);
+            }
+            return;
+        }
+
+        if (this.isPaletteOpen()) {
+            return; // The palette input handles its own keys
+        }
+
+        const binding = this.eventToBinding(e);
+        if (!binding) return;
+
+        // Keys typed into a field (the email subject, its editable body,
+        // feedback notes...) are text, not shortcuts
+        const target = e.target instanceof Element ? e.target : null;
+        if (target && (target.matches('input, textarea, select') || target.isContentEditable)) {
+            return;
+        }
+
+        if (binding === 'escape' && this.focused && !this.isDialogOpen()) {
+            this.clearFocus();
+            return;
+        }
+
+        const action = Object.keys(this.bindings).find(id => this.bindings[id] === binding);
+        if (!action) return;
+
+        // Copy also works inside the open email preview
+        if (action === 'copy' && this.copyOpenEmail()) {
+            e.preventDefault();
+            return;
+        }
+
+        if (this.isDialogOpen()) return;
+
+        e.preventDefault();
+        this.run(action);
+    }
+
+    run(action) {
+        switch (action) {
+            case 'next':
+                this.moveCursor(1);
+                return;
+            case 'previous':
+                this.moveCursor(-1);
+                return;
+            case 'palette':
+                this.openPalette();
+                return;
+        }
+
+        const row = this.getFocusedRow();
+        if (!row) {
+            this.notify(`Press ${this.formatBinding(this.bindings.next)} to pick a prospect first`, 'info');
+            return;
+        }
+
+        switch (action) {
+            case 'generate':
+                this.generateNextEmail(row);
+                return;
+            case 'copy':
+                this.openReadyEmail(row);
+                return;
+        }
+
+        const button = row.querySelector(ROW_BUTTONS[action]);
+        if (!button) {
+            const reason = action === 'handoff' ? 'Only Offer room prospects can be handed off' : 'Not available for this prospect';
+            this.notify(reason, 'info');
+            return;
+        }
+
+        button.click();
+    }
+
+    isDialogOpen() {
+        return Array.from(document.querySelectorAll(DIALOG_SELECTOR))
+            .some(el => el.getClientRects().length > 0);
+    }
+
+    // ------------------------------------------------------------------
+    // ROW CURSOR
+    // ------------------------------------------------------------------
+
+    getRows() {
+        return Array.from(document.querySelectorAll('.room-details-section .rtr-prospect-row'));
+    }
+
+    getFocusedRow() {
+        if (!this.focused) return null;
+        return document.querySelector(
+            `#rtr-room-${this.focused.room} .rtr-prospect-row[data-prospect-id="${this.focused.prospectId}"]`
+        );
+    }
+
+    moveCursor(delta) {
+        const rows = this.getRows();
+        if (rows.length === 0) return;
+
+        const index = rows.indexOf(this.getFocusedRow());
+        const next = index === -1
+            ? (delta > 0 ? 0 : rows.length - 1)
+            : Math.max(0, Math.min(rows.length - 1, index + delta));
+
+        this.focusRow(rows[next]);
+    }
+
+    /**
+     * @param {HTMLElement} row - Prospect row
+     * @param {boolean} scroll - Scroll it into view
+     */
+    focusRow(row, scroll = true) {
+        const room = ROOMS.find(r => row.closest(`#rtr-room-${r}`));
+        if (!room) return;
+
+        document.querySelectorAll('.rtr-row-focused').forEach(el => el.classList.remove('rtr-row-focused'));
+        row.classList.add('rtr-row-focused');
+        this.focused = { prospectId: row.dataset.prospectId, room };
+
+        if (scroll) {
+            row.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    }
+
+    clearFocus() {
+        document.querySelectorAll('.rtr-row-focused').forEach(el => el.classList.remove('rtr-row-focused'));
+        this.focused = null;
+    }
+
+    restoreFocus() {
+        const row = this.getFocusedRow();
+        if (row) {
+            row.classList.add('rtr-row-focused');
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // EMAIL ACTIONS
+    // ------------------------------------------------------------------
+
+    /**
+     * Generate the first email in the sequence still waiting (pending or failed)
+     */
+    generateNextEmail(row) {
+        const button = Array.from(row.querySelectorAll('.rtr-email-btn:not(:disabled)'))
+            .find(btn => ['pending', 'failed'].includes(btn.dataset.emailState));
+
+        if (!button) {
+            this.notify('No email waiting to be generated for this prospect', 'info');
+            return;
+        }
+
+        button.click();
+    }
+
+    /**
+     * Open the ready email; copying needs a second key press (the
+     * clipboard only accepts writes right after a user action)
+     */
+    openReadyEmail(row) {
+        const button = row.querySelector('.rtr-email-btn[data-email-state="ready"]:not(:disabled)');
+
+        if (!button) {
+            this.notify('No ready email for this prospect', 'info');
+            return;
+        }
+
+        button.click();
+        this.notify(`Press ${this.formatBinding(this.bindings.copy)} again to copy`, 'info');
+    }
+
+    /**
+     * Copy the email shown in the email preview, if one is open
+     * @returns {boolean} Whether an email was copied
+     */
+    copyOpenEmail() {
+        const copyButton = document.querySelector('.email-generation-modal.active .copy-html-btn');
+        if (!copyButton) return false;
+
+        copyButton.click();
+        return true;
+    }
+
+    // ------------------------------------------------------------------
+    // COMMAND PALETTE
+    // ------------------------------------------------------------------
+
+    createPalette() {
+        const palette = document.createElement('div');
+        palette.className = 'ui-confirm-modal rtr-command-palette';
+        palette.innerHTML = `
+            <div class="ui-overlay"></div>
+            <div class="ui-modal rtr-palette-modal" role="dialog" aria-modal="true" aria-label="Find prospect">
+                <div class="rtr-palette-search">
+                    <i class="fas fa-search"></i>
+                    <input type="text" class="rtr-palette-input" placeholder="Search prospects by company, contact or email" autocomplete="off">
+                </div>
+                <ul class="rtr-palette-results" role="listbox"></ul>
+                <div class="rtr-palette-hint">
+                    <span><kbd>↑</kbd> <kbd>↓</kbd> choose</span>
+                    <span><kbd>Enter</kbd> jump</span>
+                    <span><kbd>Esc</kbd> close</span>
+                </div>
+            </div>`;
+        document.body.appendChild(palette);
+        this.palette = palette;
+
+        const input = palette.querySelector('.rtr-palette-input');
+
+        input.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.search(input.value.trim()), SEARCH_DELAY);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closePalette();
+            } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.highlightResult(this.paletteIndex + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.jumpTo(this.paletteResults[this.paletteIndex]);
+            }
+        });
+
+        palette.querySelector('.ui-overlay').addEventListener('click', () => this.closePalette());
+
+        palette.querySelector('.rtr-palette-results').addEventListener('click', (e) => {
+            const item = e.target.closest('.rtr-palette-result');
+            if (item) {
+                this.jumpTo(this.paletteResults[parseInt(item.dataset.index, 10)]);
+            }
+        });
+    }
+
+    isPaletteOpen() {
+        return this.palette?.classList.contains('active');
+    }
+
+    openPalette() {
+        const input = this.palette.querySelector('.rtr-palette-input');
+        input.value = '';
+        this.paletteResults = [];
+        this.renderResults('Type to search the prospects in the current view');
+
+        this.palette.classList.add('active');
+        input.focus();
+    }
+
+    closePalette() {
+        clearTimeout(this.searchTimer);
+        this.searchController?.abort();
+        this.palette.classList.remove('active');
+    }
+
+    /**
+     * Search prospects within the current client, date range and filters
+     */
+    async search(term) {
+        this.searchController?.abort();
+
+        if (term.length < 2) {
+            this.paletteResults = [];
+            this.renderResults('Type to search the prospects in the current view');
+            return;
+        }
+
+        this.searchController = new AbortController();
+
+        try {
+            const params = {
+                search: term,
+                per_page: PALETTE_RESULTS,
+                ...(this.prospectManager?.getListParams() || {})
+            };
+
+            const result = await this.api.get('/prospects', params, { signal: this.searchController.signal });
+            this.paletteResults = (result.data || []).filter(p => ROOMS.includes(p.room));
+            this.renderResults('No prospects match');
+
+        } catch (error) {
+            if (error.isAborted) return;
+
+            console.error('[TriageManager] Prospect search failed:', error);
+            this.paletteResults = [];
+            this.renderResults('Search failed. Please try again.');
+        }
+    }
+
+    /**
+     * @param {string} emptyMessage - Shown when there are no results
+     */
+    renderResults(emptyMessage) {
+        const list = this.palette.querySelector('.rtr-palette-results');
+
+        if (this.paletteResults.length === 0) {
+            list.innerHTML = `<li class="rtr-palette-empty">${this.escapeHtml(emptyMessage)}</li>`;
+            return;
+        }
+
+        list.innerHTML = this.paletteResults.map((prospect, index) => {
+            const name = prospect.contact_name || 'Name Unknown';
+            return `
+                <li class="rtr-palette-result" role="option" data-index="${index}">
+                    <span class="rtr-palette-company">${this.escapeHtml(prospect.company_name || 'Unknown company')}</span>
+                    <span class="rtr-palette-contact">${this.escapeHtml(name)}</span>
+                    <span class="rtr-palette-room rtr-palette-room-${prospect.room}">${this.escapeHtml(prospect.room)}</span>
+                    <span class="rtr-palette-score">${parseInt(prospect.lead_score, 10) || 0}</span>
+                </li>`;
+        }).join('');
+
+        this.highlightResult(0);
+    }
+
+    highlightResult(index) {
+        const items = this.palette.querySelectorAll('.rtr-palette-result');
+        if (items.length === 0) return;
+
+        this.paletteIndex = (index + items.length) % items.length;
+        items.forEach((item, i) => {
+            item.classList.toggle('active', i === this.paletteIndex);
+            item.setAttribute('aria-selected', i === this.paletteIndex ? 'true' : 'false');
+        });
+        items[this.paletteIndex].scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Show a prospect's row (loading its page if needed) and put the cursor on it
+     */
+    async jumpTo(prospect) {
+        if (!prospect) return;
+
+        this.closePalette();
+
+        const row = await this.prospectManager?.showProspect(prospect.id, prospect.room);
+        if (!row) {
+            this.notify('That prospect is not in the current list', 'error');
+            return;
+        }
+
+        this.focusRow(row);
+    }
+
+    // ------------------------------------------------------------------
+    // HELPERS
+    // ------------------------------------------------------------------
+
+    notify(message, type) {
+        if (this.uiManager) {
+            this.uiManager.notify(message, type);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
@@ -96,6 +96,160 @@ export default class UIManager {
         });
     }
 
+    /**
+     * Text input modal
+     * @returns {Promise<string|null>} Trimmed value, null when cancelled or empty
+     */
+    async promptText(title, message, placeholder = '', confirmLabel = 'Save', cancelLabel = 'Cancel') {
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'ui-confirm-modal';
+            modal.innerHTML = `
+                <div class="ui-overlay"></div>
+                <div class="ui-modal">
+                    <h3>${this._escapeHtml(title)}</h3>
+                    <p>${this._escapeHtml(message)}</p>
+                    <input type="text" class="ui-input" placeholder="${this._escapeHtml(placeholder)}" maxlength="100">
+                    <div class="ui-actions">
+                        <button class="btn btn-secondary cancel-btn">${cancelLabel}</button>
+                        <button class="btn btn-primary confirm-btn">${confirmLabel}</button>
+                    </div>
+                </div>`;
+            document.body.appendChild(modal);
+
+            const input = modal.querySelector('.ui-input');
+            const close = (result) => {
+                modal.classList.remove('active');
+                setTimeout(() => modal.remove(), 250);
+                resolve(result);
+            };
+
+            modal.querySelector('.cancel-btn').onclick = () => close(null);
+            modal.querySelector('.confirm-btn').onclick = () => close(input.value.trim() || null);
+            modal.querySelector('.ui-overlay').onclick = () => close(null);
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') close(input.value.trim() || null);
+            });
+
+            requestAnimationFrame(() => {
+                modal.classList.add('active');
+                input.focus();
+            });
+        });
+    }
+
+    /**
+     * Select modal - pick one option from a list
+     * @param {Array<{value: string, label: string}>} options - Choices
+     * @returns {Promise<string|null>} Selected value, null when cancelled
+     */
+    async selectOption(title, message, options, confirmLabel = 'Confirm', cancelLabel = 'Cancel') {
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'ui-confirm-modal';
+            modal.innerHTML = `
+                <div class="ui-overlay"></div>
+                <div class="ui-modal">
+                    <h3>${this._escapeHtml(title)}</h3>
+                    <p>${this._escapeHtml(message)}</p>
+                    <select class="ui-select">
+                        ${options.map(o => `<option value="${this._escapeHtml(String(o.value))}">${this._escapeHtml(o.label)}</option>`).join('')}
+                    </select>
+                    <div class="ui-actions">
+                        <button class="btn btn-secondary cancel-btn">${cancelLabel}</button>
+                        <button class="btn btn-primary confirm-btn">${confirmLabel}</button>
+                    </div>
+                </div>`;
+            document.body.appendChild(modal);
+
+            const close = (result) => {
+                modal.classList.remove('active');
+                setTimeout(() => modal.remove(), 250);
+                resolve(result);
+            };
+
+            modal.querySelector('.cancel-btn').onclick = () => close(null);
+            modal.querySelector('.confirm-btn').onclick = () => close(modal.querySelector('.ui-select').value);
+            modal.querySelector('.ui-overlay').onclick = () => close(null);
+
+            requestAnimationFrame(() => modal.classList.add('active'));
+        });
+    }
+
+    /**
+     * Progress modal for actions that run item by item
+     * @param {string} title - Modal title
+     * @param {Array<{id: string, label: string}>} items - Items being processed
+     * @returns {{update: Function, finish: Function}} update(id, status, detail) with
+     *          status 'running'|'success'|'skipped'|'error'; finish(summary, type)
+     */
+    showProgress(title, items) {
+        const icons = {
+            pending: 'far fa-circle',
+            running: 'fas fa-spinner fa-spin',
+            success: 'fas fa-check-circle',
+            skipped: 'fas fa-minus-circle',
+            error: 'fas fa-times-circle'
+        };
+
+        const modal = document.createElement('div');
+        modal.className = 'ui-confirm-modal ui-progress-modal';
+        modal.innerHTML = `
+            <div class="ui-overlay"></div>
+            <div class="ui-modal">
+                <h3>${this._escapeHtml(title)}</h3>
+                <div class="ui-progress-bar"><span style="width: 0%"></span></div>
+                <p class="ui-progress-count">0 of ${items.length} done</p>
+                <ul class="ui-progress-list">
+                    ${items.map(item => `
+                        <li class="ui-progress-item ui-progress-pending" data-id="${this._escapeHtml(String(item.id))}">
+                            <i class="${icons.pending}"></i>
+                            <span class="ui-progress-label">${this._escapeHtml(item.label)}</span>
+                            <small class="ui-progress-detail"></small>
+                        </li>
+                    `).join('')}
+                </ul>
+                <div class="ui-actions">
+                    <button class="btn btn-primary close-btn" disabled>Close</button>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+        requestAnimationFrame(() => modal.classList.add('active'));
+
+        let done = 0;
+        const close = () => {
+            modal.classList.remove('active');
+            setTimeout(() => modal.remove(), 250);
+        };
+        modal.querySelector('.close-btn').onclick = close;
+
+        return {
+            update: (id, status, detail = '') => {
+                const row = modal.querySelector(`.ui-progress-item[data-id="${CSS.escape(String(id))}"]`);
+                if (!row) return;
+
+                const wasDone = !row.classList.contains('ui-progress-pending') && !row.classList.contains('ui-progress-running');
+                row.className = `ui-progress-item ui-progress-${status}`;
+                row.querySelector('i').className = icons[status] || icons.pending;
+                row.querySelector('.ui-progress-detail').textContent = detail;
+
+                if (status !== 'running' && !wasDone) {
+                    done++;
+                    modal.querySelector('.ui-progress-bar span').style.width = `${Math.round(done / items.length * 100)}%`;
+                    modal.querySelector('.ui-progress-count').textContent = `${done} of ${items.length} done`;
+                }
+            },
+            finish: (summary, type = 'success') => {
+                const count = modal.querySelector('.ui-progress-count');
+                count.textContent = summary;
+                count.classList.add(`ui-progress-summary-${type}`);
+                modal.querySelector('.close-btn').disabled = false;
+                modal.querySelector('.ui-overlay').onclick = close;
+                this.notify(summary, type);
+            }
+        };
+    }
+
     /**
      * Ensure notification container exists
      */
@@ -47,6 +47,7 @@ wp_enqueue_style('directreach-ui-utilities', plugin_dir_url(__FILE__) . '../css/
 wp_enqueue_style('directreach-responsive', plugin_dir_url(__FILE__) . '../css/responsive.css', [], '2.0.0');
 wp_enqueue_style('directreach-prospect-info-modal', plugin_dir_url(__FILE__) . '../css/prospect-info-modal.css', [], '2.0.0');
 wp_enqueue_style('directreach-score-breakdown-modal', plugin_dir_url(__FILE__) . '../css/score-breakdown-modal.css', [], '2.0.0');
+wp_enqueue_style('directreach-prospect-timeline-modal', plugin_dir_url(__FILE__) . '../css/prospect-timeline-modal.css', [], '2.0.0');
 wp_enqueue_style('directreach-enrichment-modal', plugin_dir_url(__FILE__) . '../css/enrichment-modal.css', [], '1.0.0');
 
 wp_enqueue_style('font-awesome', 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/5.15.4/css/all.min.css', [], '5.15.4');
@@ -186,6 +187,33 @@ if (!is_array($clients)) {
                     </select>
                 </div>
 
+                <button id="rtr-funnel-analytics" class="refresh-btn" title="Room funnel, time in room, email sequences and weekly cohorts">
+                    <i class="fas fa-filter"></i> Funnel
+                </button>
+
+                <button id="rtr-pdf-report" class="refresh-btn" title="Download a PDF summary of the rooms and their trends">
+                    <i class="fas fa-file-pdf"></i> Report
+                </button>
+
+                <button id="rtr-email-cadence" class="refresh-btn" title="When each email in a sequence is due">
+                    <i class="fas fa-calendar-alt"></i> Cadence
+                </button>
+
+                <button id="rtr-email-sending" class="refresh-btn" title="Sender identity and email delivery">
+                    <i class="fas fa-paper-plane"></i> Sending
+                </button>
+
+                <button id="rtr-enrichment-queue" class="refresh-btn" title="Bulk enrichment jobs and contacts waiting for review">
+                    <i class="fas fa-user-plus"></i> Enrich Queue
+                    <span class="rtr-enrichment-review-badge" hidden></span>
+                </button>
+
+                <?php if ($is_admin): ?>
+                <button id="rtr-enrichment-providers" class="refresh-btn" title="Contact search, email finder and verifier providers">
+                    <i class="fas fa-plug"></i> Enrichment
+                </button>
+                <?php endif; ?>
+
                 <button id="refresh-dashboard" class="refresh-btn">
                     <i class="fas fa-sync-alt"></i> Refresh
                 </button>
@@ -223,6 +251,120 @@ if (!is_array($clients)) {
                         <!-- JavaScript will populate room cards here -->
                     </div>
 
+                <!-- Prospect Filters & Saved Views -->
+                <div class="rtr-filter-bar">
+                    <div class="rtr-filter-toolbar">
+                        <div class="rtr-view-controls">
+                            <label for="rtr-saved-views">View:</label>
+                            <select id="rtr-saved-views" class="rtr-view-select">
+                                <option value="">All prospects</option>
+                            </select>
+                            <button type="button" id="rtr-save-view" class="rtr-filter-btn" title="Save the current filters as a view">
+                                <i class="fas fa-save"></i> Save View
+                            </button>
+                            <button type="button" id="rtr-delete-view" class="rtr-filter-btn" title="Delete the selected view" hidden>
+                                <i class="fas fa-trash"></i>
+                            </button>
+                            <button type="button" id="rtr-copy-view-link" class="rtr-filter-btn" title="Copy a link to this view">
+                                <i class="fas fa-link"></i> Copy Link
+                            </button>
+                        </div>
+                        <button type="button" id="rtr-toggle-filters" class="rtr-filter-btn" aria-expanded="false" aria-controls="rtr-filter-panel">
+                            <i class="fas fa-filter"></i> Filters <span class="rtr-filter-count" hidden></span>
+                        </button>
+                    </div>
+
+                    <div class="rtr-active-filters"></div>
+
+                    <form id="rtr-filter-panel" class="rtr-filter-panel" hidden>
+                        <div class="rtr-filter-grid">
+                            <label>
+                                <span>Room</span>
+                                <select name="room">
+                                    <option value="">All rooms</option>
+                                    <option value="problem">Problem</option>
+                                    <option value="solution">Solution</option>
+                                    <option value="offer">Offer</option>
+                                </select>
+                            </label>
+                            <label>
+                                <span>Campaign</span>
+                                <select name="campaign_id" data-options="campaigns">
+                                    <option value="">Any campaign</option>
+                                </select>
+                            </label>
+                            <label>
+                                <span>Lead score</span>
+                                <span class="rtr-filter-range">
+                                    <input type="number" name="score_min" min="0" placeholder="Min">
+                                    <span>–</span>
+                                    <input type="number" name="score_max" min="0" placeholder="Max">
+                                </span>
+                            </label>
+                            <label>
+                                <span>Industry</span>
+                                <select name="industry" data-options="industries">
+                                    <option value="">Any industry</option>
+                                </select>
+                            </label>
+                            <label>
+                                <span>Company size</span>
+                                <select name="company_size" data-options="company_sizes">
+                                    <option value="">Any size</option>
+                                </select>
+                            </label>
+                            <label>
+                                <span>State</span>
+                                <select name="state" data-options="states">
+                                    <option value="">Any state</option>
+                                </select>
+                            </label>
+                            <label>
+                                <span>Email sequence</span>
+                                <select name="email_progress">
+                                    <option value="">Any progress</option>
+                                    <option value="none">No email sent yet</option>
+                                    <option value="started">In progress</option>
+                                    <option value="complete">All emails sent</option>
+                                </select>
+                            </label>
+                            <label>
+                                <span>Email address</span>
+                                <select name="email_status">
+                                    <option value="">Any</option>
+                                    <option value="verified">Verified</option>
+                                    <option value="unverified">Not verified</option>
+                                    <option value="bounced">Bounced</option>
+                                    <option value="missing">Missing</option>
+                                </select>
+                            </label>
+                            <label>
+                                <span>Enrichment</span>
+                                <select name="enrichment">
+                                    <option value="">Any</option>
+                                    <option value="enriched">Enriched</option>
+                                    <option value="not_enriched">Not enriched</option>
+                                </select>
+                            </label>
+                            <label>
+                                <span>Last visit</span>
+                                <select name="last_visit">
+                                    <option value="">Any time</option>
+                                    <option value="visited_within:1">Within 24 hours</option>
+                                    <option value="visited_within:7">Within 7 days</option>
+                                    <option value="visited_within:30">Within 30 days</option>
+                                    <option value="not_visited_for:14">Not in 14 days</option>
+                                    <option value="not_visited_for:30">Not in 30 days</option>
+                                </select>
+                            </label>
+                        </div>
+                        <div class="rtr-filter-actions">
+                            <button type="button" class="rtr-filter-btn rtr-filter-reset">Reset</button>
+                            <button type="submit" class="rtr-filter-btn rtr-filter-apply">Apply Filters</button>
+                        </div>
+                    </form>
+                </div>
+
                 <!-- Prospect Details Section - Room Detail Views -->
                 <div class="room-details-section">
                     <div id="rtr-room-problem" class="room-detail-container">
@@ -232,6 +374,18 @@ if (!is_array($clients)) {
                             <button class="rtr-batch-generate-btn" data-room="problem" title="Generate next email for all prospects in this room (skips if email sent in last 7 days)">
                                 <i class="fas fa-magic"></i>
                             </button>                            
+                            <button type="button" class="rtr-bulk-enrich-btn" data-room="problem" title="Find contacts and emails for the Problem Room prospects without one">
+                                <i class="fas fa-user-plus"></i>
+                            </button>
+                            <div class="rtr-dropdown rtr-export-dropdown" data-room="problem">
+                                <button type="button" class="rtr-export-toggle" aria-haspopup="true" aria-expanded="false" title="Export the Problem Room prospects (current filters and sort)">
+                                    <i class="fas fa-download"></i>
+                                </button>
+                                <div class="rtr-dropdown-menu" role="menu">
+                                    <button type="button" role="menuitem" data-export-format="csv"><i class="fas fa-file-csv"></i> CSV</button>
+                                    <button type="button" role="menuitem" data-export-format="xlsx"><i class="fas fa-file-excel"></i> Excel</button>
+                                </div>
+                            </div>
                             <select id="problem-room-sort" class="sort-dropdown" data-room="problem">
                                 <option value="lead_score_desc">Lead Score (High → Low)</option>
                                 <option value="lead_score_asc">Lead Score (Low → High)</option>
@@ -252,6 +406,18 @@ if (!is_array($clients)) {
                             <button class="rtr-batch-generate-btn" data-room="solution" title="Generate next email for all prospects in this room (skips if email sent in last 7 days)">
                                 <i class="fas fa-magic"></i>
                             </button>
+                            <button type="button" class="rtr-bulk-enrich-btn" data-room="solution" title="Find contacts and emails for the Solution Room prospects without one">
+                                <i class="fas fa-user-plus"></i>
+                            </button>
+                            <div class="rtr-dropdown rtr-export-dropdown" data-room="solution">
+                                <button type="button" class="rtr-export-toggle" aria-haspopup="true" aria-expanded="false" title="Export the Solution Room prospects (current filters and sort)">
+                                    <i class="fas fa-download"></i>
+                                </button>
+                                <div class="rtr-dropdown-menu" role="menu">
+                                    <button type="button" role="menuitem" data-export-format="csv"><i class="fas fa-file-csv"></i> CSV</button>
+                                    <button type="button" role="menuitem" data-export-format="xlsx"><i class="fas fa-file-excel"></i> Excel</button>
+                                </div>
+                            </div>
                             <select id="solution-room-sort" class="sort-dropdown" data-room="solution">
                                 <option value="lead_score_desc">Lead Score (High → Low)</option>
                                 <option value="lead_score_asc">Lead Score (Low → High)</option>
@@ -271,6 +437,18 @@ if (!is_array($clients)) {
                             <button class="rtr-batch-generate-btn" data-room="offer" title="Generate next email for all prospects in this room (skips if email sent in last 7 days)">
                                 <i class="fas fa-magic"></i>
                             </button>                                
+                            <button type="button" class="rtr-bulk-enrich-btn" data-room="offer" title="Find contacts and emails for the Offer Room prospects without one">
+                                <i class="fas fa-user-plus"></i>
+                            </button>
+                            <div class="rtr-dropdown rtr-export-dropdown" data-room="offer">
+                                <button type="button" class="rtr-export-toggle" aria-haspopup="true" aria-expanded="false" title="Export the Offer Room prospects (current filters and sort)">
+                                    <i class="fas fa-download"></i>
+                                </button>
+                                <div class="rtr-dropdown-menu" role="menu">
+                                    <button type="button" role="menuitem" data-export-format="csv"><i class="fas fa-file-csv"></i> CSV</button>
+                                    <button type="button" role="menuitem" data-export-format="xlsx"><i class="fas fa-file-excel"></i> Excel</button>
+                                </div>
+                            </div>
                             <select id="offer-room-sort" class="sort-dropdown" data-room="offer">
                                 <option value="lead_score_desc">Lead Score (High → Low)</option>
                                 <option value="lead_score_asc">Lead Score (Low → High)</option>
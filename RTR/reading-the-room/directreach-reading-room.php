@@ -32,12 +32,24 @@ function dr_rtr_require_files(): void
     $files = [
         $includes_dir . 'class-reading-room-database.php',
         $includes_dir . 'class-campaign-matcher.php',
+        $includes_dir . 'class-reading-room-events.php',
+        $includes_dir . 'class-reading-room-timeline.php',
+        $includes_dir . 'class-reading-room-scheduler.php',
+        $includes_dir . 'class-reading-room-mailer.php',
+        $includes_dir . 'class-reading-room-funnel.php',
+        $includes_dir . 'class-reading-room-export.php',
+        $includes_dir . 'enrichment/class-enrichment-provider.php',
+        $includes_dir . 'enrichment/class-aleads-provider.php',
+        $includes_dir . 'enrichment/class-mock-provider.php',
+        $includes_dir . 'class-reading-room-enrichment.php',
+        $includes_dir . 'class-reading-room-enrichment-queue.php',
     ];
     
     $api_files = [
         $api_dir . 'class-reading-room-controller.php',
         $api_dir . 'class-jobs-controller.php',
         $api_dir . 'class-aleads-enrichment.php',
+        $api_dir . 'class-events-controller.php',
     ];
     
     foreach (array_merge($files, $api_files) as $file) {
@@ -68,6 +80,11 @@ register_activation_hook($activation_file, function () use ($activation_file): v
         $result = $db->install_schema();
         error_log('[RTR Activation] Schema: ' . ($result ? 'SUCCESS' : 'FAILED'));
     }
+
+    if (class_exists('DirectReach\\ReadingTheRoom\\Reading_Room_Events')) {
+        $events = new \DirectReach\ReadingTheRoom\Reading_Room_Events($wpdb);
+        $events->install_schema();
+    }
     
     error_log('[RTR Activation] Complete');
 });
@@ -75,6 +92,9 @@ register_activation_hook($activation_file, function () use ($activation_file): v
 $deactivation_file = defined('DR_RTR_PLUGIN_FILE') && DR_RTR_PLUGIN_FILE ? DR_RTR_PLUGIN_FILE : __FILE__;
 register_deactivation_hook($deactivation_file, function (): void {
     flush_rewrite_rules(false);
+    wp_clear_scheduled_hook('dr_rtr_prune_events');
+    wp_clear_scheduled_hook('dr_rtr_email_digest');
+    wp_clear_scheduled_hook('dr_rtr_enrichment_queue');
 });
 
 add_action('admin_menu', function() {
@@ -129,6 +149,26 @@ function dr_rtr_force_schema_page(): void {
 add_action('plugins_loaded', 'dr_rtr_init', 5);
 function dr_rtr_init() {
     dr_rtr_require_files();
+
+    // Realtime dashboard events (published by all DirectReach plugins)
+    if (class_exists('DirectReach\\ReadingTheRoom\\Reading_Room_Events')) {
+        \DirectReach\ReadingTheRoom\Reading_Room_Events::init();
+    }
+
+    // Prospect timeline history
+    if (class_exists('DirectReach\\ReadingTheRoom\\Reading_Room_Timeline')) {
+        \DirectReach\ReadingTheRoom\Reading_Room_Timeline::init();
+    }
+
+    // Email due dates, due-today queue and daily digest
+    if (class_exists('DirectReach\\ReadingTheRoom\\Reading_Room_Scheduler')) {
+        \DirectReach\ReadingTheRoom\Reading_Room_Scheduler::init();
+    }
+
+    // Background bulk enrichment
+    if (class_exists('DirectReach\\ReadingTheRoom\\Reading_Room_Enrichment_Queue')) {
+        \DirectReach\ReadingTheRoom\Reading_Room_Enrichment_Queue::init();
+    }
 }
 
 add_action('rest_api_init', function() {
@@ -161,6 +201,18 @@ add_action('rest_api_init', function() {
             error_log('[RTR] ERROR: ' . $e->getMessage());
         }
     }
+
+    if (class_exists('DirectReach\\ReadingTheRoom\\API\\Events_Controller')) {
+        try {
+            $controller = new \DirectReach\ReadingTheRoom\API\Events_Controller(
+                new \DirectReach\ReadingTheRoom\Reading_Room_Events($wpdb)
+            );
+            $controller->register_routes();
+            error_log('[RTR] Events_Controller routes registered');
+        } catch (\Exception $e) {
+            error_log('[RTR] ERROR: ' . $e->getMessage());
+        }
+    }
 }, 10);
 
 add_action('init', 'dr_rtr_register_rewrite', 1);
@@ -286,13 +338,22 @@ function dr_rtr_render_dashboard(): void
             echo '<link rel="stylesheet" href="' . esc_url($css_url) . '?ver=' . DR_RTR_VERSION . '">';
         }
         
+        // Direct sending of generated emails (SMTP/ESP)
+        global $wpdb;
+        $email_sending = class_exists('DirectReach\\ReadingTheRoom\\Reading_Room_Mailer')
+            ? (new \DirectReach\ReadingTheRoom\Reading_Room_Mailer($wpdb))->get_client_config()
+            : ['enabled' => false];
+
         $config = [
             'siteUrl' => get_site_url(),
             'nonce'   => wp_create_nonce('wp_rest'),
+            'ajaxUrl' => admin_url('admin-ajax.php'),
             'restUrl' => esc_url_raw(rest_url('directreach/v1/reading-room')),
             'apiUrl'  => esc_url_raw(rest_url('directreach/v1/reading-room')),
             'showWelcome' => true,
             'trackingEnabled' => false,
+            'userIsAdmin' => current_user_can('manage_options'),
+            'emailSending' => $email_sending,
             'assets'  => [
                 'logo' => esc_url_raw(DR_RTR_PLUGIN_URL . 'assets/images/MEMO_Logo.png'),
                 'seal' => esc_url_raw(DR_RTR_PLUGIN_URL . 'assets/images/MEMO_Seal.png'),
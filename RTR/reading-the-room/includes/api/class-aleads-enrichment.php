@@ -32,13 +32,16 @@ final class ALeads_Enrichment
 
     /**
      * Constructor.
+     *
+     * @param string|null $api_key          A-Leads API key (default: rtr_aleads_api_key option)
+     * @param string|null $make_webhook_url Make.com proxy URL (default: rtr_aleads_make_webhook option)
      */
-    public function __construct()
+    public function __construct(?string $api_key = null, ?string $make_webhook_url = null)
     {
-        $this->api_key = get_option('rtr_aleads_api_key', '');
+        $this->api_key = $api_key ?: get_option('rtr_aleads_api_key', '');
         
         // Get Make.com webhook URL from options
-        $this->make_webhook_url = get_option('rtr_aleads_make_webhook', 'https://hook.us1.make.com/aeqmdssxzk72vk653vnjktqzpqmp5s6v');
+        $this->make_webhook_url = $make_webhook_url ?: get_option('rtr_aleads_make_webhook', 'https://hook.us1.make.com/aeqmdssxzk72vk653vnjktqzpqmp5s6v');
         
         if (empty($this->make_webhook_url)) {
             error_log('A-Leads Warning: Make.com webhook URL not configured. Set via update_option("rtr_aleads_make_webhook", "YOUR_URL")');
@@ -312,6 +315,13 @@ final class ALeads_Enrichment
                     ],
                     ['%d', '%d', '%s', '%s', '%s']
                 );
+
+                do_action('directreach_rtr_event', 'prospect-enriched', [
+                    'visitor_id' => $visitor_id,
+                    'email' => $result['email'],
+                    'source' => 'aleads',
+                    'fields' => ['email'],
+                ]);
                 
                 return new \WP_REST_Response([
                     'success' => true,
@@ -459,12 +469,9 @@ final class ALeads_Enrichment
 
             error_log('[RTR] Final company domain: ' . $company_domain);
 
-            // Call ALeads API via Make.com proxy
-            $api_response = $this->make_proxy_request('verify_email', [
-                'email' => $email
-            ], "Email verification for: {$email}");
+            $result_data = $this->verify_address($email);
 
-            if (!$api_response) {
+            if (!$result_data) {
                 error_log('[RTR] API request failed - no result returned');
                 return [
                     'success' => false,
@@ -472,37 +479,9 @@ final class ALeads_Enrichment
                 ];
             }
 
-            error_log('[RTR] ALeads API raw response: ' . print_r($api_response, true));
-
-            // Parse nested response structure from A-Leads
-            // Response structure: message.data.response.{is_valid, quality, result, catch_all_status, esp}
-            $response_data = $api_response['message']['data']['response'] ?? 
-                            $api_response['data']['response'] ?? 
-                            $api_response['response'] ?? 
-                            $api_response;
-            
-            error_log('[RTR] Parsed response data: ' . print_r($response_data, true));
-            
-            // Check if verification was successful using is_valid field
-            $is_valid = $response_data['is_valid'] ?? false;
-            $quality = $response_data['quality'] ?? 'unknown';
-            $catch_all = $response_data['catch_all_status'] ?? false;
-            
-            // Determine verification status
-            $is_verified = $is_valid === true;
-            
-            error_log('[RTR] Email verification - is_valid: ' . ($is_valid ? 'true' : 'false') . ', quality: ' . $quality);
-
-            // Build standardized result
-            $result_data = [
-                'email' => $email,
-                'is_valid' => $is_valid,
-                'verified' => $is_verified,
-                'quality' => $quality,
-                'catch_all_status' => $catch_all,
-                'esp' => $response_data['esp'] ?? null,
-                'status' => $is_valid ? 'valid' : 'invalid'
-            ];
+            $is_valid = $result_data['is_valid'];
+            $is_verified = $result_data['verified'];
+            $quality = $result_data['quality'];
 
             // Update prospect with verification result
             if ($prospect && isset($prospect['id'])) {
@@ -531,6 +510,49 @@ final class ALeads_Enrichment
         }
     }
 
+    /**
+     * Verify an email address with A-Leads, without touching any prospect.
+     *
+     * @param string $email Email address
+     * @return array|null Standardized result, null when the request failed
+     */
+    public function verify_address(string $email): ?array
+    {
+        // Call ALeads API via Make.com proxy
+        $api_response = $this->make_proxy_request('verify_email', [
+            'email' => $email
+        ], "Email verification for: {$email}");
+
+        if (!$api_response) {
+            return null;
+        }
+
+        error_log('[RTR] ALeads API raw response: ' . print_r($api_response, true));
+
+        // Parse nested response structure from A-Leads
+        // Response structure: message.data.response.{is_valid, quality, result, catch_all_status, esp}
+        $response_data = $api_response['message']['data']['response'] ?? 
+                        $api_response['data']['response'] ?? 
+                        $api_response['response'] ?? 
+                        $api_response;
+        
+        // Check if verification was successful using is_valid field
+        $is_valid = $response_data['is_valid'] ?? false;
+        $quality = $response_data['quality'] ?? 'unknown';
+        
+        error_log('[RTR] Email verification - is_valid: ' . ($is_valid ? 'true' : 'false') . ', quality: ' . $quality);
+
+        return [
+            'email' => $email,
+            'is_valid' => $is_valid,
+            'verified' => $is_valid === true,
+            'quality' => $quality,
+            'catch_all_status' => $response_data['catch_all_status'] ?? false,
+            'esp' => $response_data['esp'] ?? null,
+            'status' => $is_valid ? 'valid' : 'invalid'
+        ];
+    }
+
     /**
      * Make proxy request via Make.com webhook.
      *
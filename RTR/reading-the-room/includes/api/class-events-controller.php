@@ -0,0 +1,239 @@
+<?php
+/**
+ * Events REST API Controller
+ *
+ * Pushes dashboard events (see Reading_Room_Events) to the RTR dashboard:
+ * a Server-Sent Events stream and a long-poll endpoint for browsers or
+ * proxies where the stream does not work.
+ *
+ * By default both answer at once with whatever is new, and every
+ * response tells the client to pause RETRY_MS before the next request
+ * (SSE `retry:` field, long-poll `retry_ms`), so no PHP worker is held.
+ * Sites with workers to spare can make requests wait for events with
+ * the `directreach_rtr_event_hold_seconds` filter, up to
+ * MAX_HOLD_SECONDS.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+declare(strict_types=1);
+
+namespace DirectReach\ReadingTheRoom\API;
+
+use DirectReach\ReadingTheRoom\Reading_Room_Events;
+use WP_REST_Controller;
+use WP_REST_Server;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Error;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+final class Events_Controller extends WP_REST_Controller
+{
+    /** Longest the hold filter may make a request wait for events (seconds) */
+    private const MAX_HOLD_SECONDS = 10;
+
+    /** Seconds between event checks */
+    private const CHECK_INTERVAL = 2;
+
+    /** Milliseconds the client waits before reconnecting */
+    private const RETRY_MS = 5000;
+
+    /** @var Reading_Room_Events */
+    private $events;
+
+    /** @var string */
+    protected $namespace = 'directreach/v1/reading-room';
+
+    /**
+     * Constructor.
+     *
+     * @param Reading_Room_Events $events
+     */
+    public function __construct(Reading_Room_Events $events)
+    {
+        $this->events = $events;
+    }
+
+    /**
+     * Register REST API routes.
+     */
+    public function register_routes(): void
+    {
+        // Long-poll fallback
+        register_rest_route($this->namespace, '/events', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_events'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'since'     => ['type' => 'integer', 'required' => false, 'minimum' => 0],
+                    'timeout'   => ['type' => 'integer', 'required' => false, 'default' => self::MAX_HOLD_SECONDS, 'minimum' => 0, 'maximum' => self::MAX_HOLD_SECONDS],
+                    'client_id' => ['type' => 'integer', 'required' => false],
+                ],
+            ],
+        ]);
+
+        // Server-Sent Events stream (EventSource cannot send headers: nonce goes in _wpnonce)
+        register_rest_route($this->namespace, '/events/stream', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'stream_events'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'last_event_id' => ['type' => 'integer', 'required' => false, 'minimum' => 0],
+                    'client_id'     => ['type' => 'integer', 'required' => false],
+                ],
+            ],
+        ]);
+    }
+
+    /**
+     * Events after `since`.
+     *
+     * Without `since` returns at once with the newest event ID to start from.
+     * Returns at once unless a hold is enabled, then waits for events at most
+     * `timeout` seconds (capped by hold_seconds()); the client should wait
+     * `retry_ms` before the next request.
+     */
+    public function get_events(WP_REST_Request $request): WP_REST_Response
+    {
+        $client_id = (int) $request->get_param('client_id') ?: null;
+        $since     = $request->get_param('since');
+
+        if ($since === null) {
+            return new WP_REST_Response([
+                'success' => true,
+                'data'    => [
+                    'events'   => [],
+                    'last_id'  => $this->events->get_last_id(),
+                    'retry_ms' => self::RETRY_MS,
+                ],
+            ], 200);
+        }
+
+        $last_id  = (int) $since;
+        $deadline = time() + min((int) $request->get_param('timeout'), $this->hold_seconds());
+        $this->release_session();
+
+        do {
+            $events = $this->events->get_since($last_id, $client_id);
+            if ($events || time() >= $deadline) {
+                break;
+            }
+            sleep(self::CHECK_INTERVAL);
+        } while (!connection_aborted());
+
+        if ($events) {
+            $last_id = (int) end($events)['id'];
+        }
+
+        return new WP_REST_Response([
+            'success' => true,
+            'data'    => ['events' => $events, 'last_id' => $last_id, 'retry_ms' => self::RETRY_MS],
+        ], 200);
+    }
+
+    /**
+     * Stream events as text/event-stream, then close.
+     *
+     * Resumes from the Last-Event-ID header the browser sends on
+     * reconnect, else from `last_event_id`, else from the newest event.
+     * Sends what is new and closes, or stays open for hold_seconds() if a
+     * hold is enabled; the `retry:` field makes the browser wait RETRY_MS
+     * before reconnecting.
+     */
+    public function stream_events(WP_REST_Request $request): void
+    {
+        $client_id = (int) $request->get_param('client_id') ?: null;
+        $header_id = $request->get_header('last_event_id');
+
+        if ($header_id !== null && $header_id !== '') {
+            $last_id = (int) $header_id;
+        } elseif ($request->get_param('last_event_id') !== null) {
+            $last_id = (int) $request->get_param('last_event_id');
+        } else {
+            $last_id = $this->events->get_last_id();
+        }
+
+        $hold = $this->hold_seconds();
+        $this->release_session();
+        @set_time_limit($hold + 10);
+
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        status_header(200);
+        header('Content-Type: text/event-stream; charset=utf-8');
+        header('Cache-Control: no-cache, no-transform');
+        header('X-Accel-Buffering: no');
+
+        // Tells the client where it is resuming from, even if nothing happens
+        echo 'retry: ' . self::RETRY_MS . "\n";
+        echo 'id: ' . $last_id . "\n";
+        echo "event: connected\n";
+        echo 'data: ' . wp_json_encode(['last_id' => $last_id]) . "\n\n";
+        flush();
+
+        $deadline = time() + $hold;
+
+        do {
+            foreach ($this->events->get_since($last_id, $client_id) as $event) {
+                echo 'id: ' . $event['id'] . "\n";
+                echo 'event: ' . $event['type'] . "\n";
+                echo 'data: ' . wp_json_encode($event['data']) . "\n\n";
+                $last_id = (int) $event['id'];
+            }
+
+            flush();
+            if (time() >= $deadline) {
+                break;
+            }
+            sleep(self::CHECK_INTERVAL);
+        } while (!connection_aborted());
+
+        exit;
+    }
+
+    /**
+     * Dashboard users only (the stream is not offered to API keys).
+     */
+    public function check_permission(?WP_REST_Request $request = null): bool|WP_Error
+    {
+        if (current_user_can('edit_posts')) {
+            return true;
+        }
+
+        return new WP_Error(
+            'rest_forbidden',
+            'You do not have permission to access this endpoint.',
+            ['status' => 403]
+        );
+    }
+
+    /**
+     * Seconds a request may wait for events, 0 (the default) to MAX_HOLD_SECONDS.
+     */
+    private function hold_seconds(): int
+    {
+        $seconds = (int) apply_filters('directreach_rtr_event_hold_seconds', 0);
+
+        return max(0, min($seconds, self::MAX_HOLD_SECONDS));
+    }
+
+    /**
+     * Close the PHP session so a waiting request does not block others.
+     */
+    private function release_session(): void
+    {
+        if (session_status() === PHP_SESSION_ACTIVE) {
+            session_write_close();
+        }
+    }
+}
@@ -938,6 +938,11 @@ class Jobs_Controller extends WP_REST_Controller {
 
                     $created++;
 
+                    do_action('directreach_rtr_event', 'prospect-created', [
+                        'prospect_id' => (int) $wpdb->insert_id,
+                        'room'        => $initial_room,
+                    ]);
+
                     /*
                     $this->log_job('prospect_created', sprintf(
                         'Created prospect for visitor %d (campaign: %d, room: %s, score: %d)',
@@ -1058,44 +1063,7 @@ class Jobs_Controller extends WP_REST_Controller {
 
         foreach ($prospects as $prospect) {
             try {
-                // Get thresholds for this campaign
-                $thresholds = $this->get_room_thresholds($prospect->campaign_id);
-
-                // Calculate what room they should be in
-                $calculated_room = $this->calculate_room_assignment(
-                    $prospect->lead_score ?? 0,
-                    $thresholds
-                );
-
-                // Check if room needs to change
-                $should_change = false;
-                if ($prospect->current_room !== $calculated_room) {
-                    $should_change = true;
-                }
-
-                // Apply room change if approved
-                if ($should_change) {
-                    $wpdb->update(
-                        $wpdb->prefix . 'rtr_prospects',
-                        [
-                            'current_room'     => $calculated_room,
-                            'updated_at'       => current_time('mysql'),
-                        ],
-                        [
-                            'id' => $prospect->id,
-                        ],
-                        ['%s', '%s'],
-                        ['%d']
-                    );
-
-                    $this->log_room_transition(
-                        $prospect->visitor_id,
-                        $prospect->campaign_id,
-                        $prospect->current_room,
-                        $calculated_room,
-                        'Automatic room assignment based on score'
-                    );
-
+                if ($this->reassign_prospect_room($prospect)) {
                     $transitions++;
                 }
 
@@ -1117,6 +1085,62 @@ class Jobs_Controller extends WP_REST_Controller {
         ];
     }
 
+    /**
+     * Move an active prospect to the room its score calls for under its
+     * campaign's thresholds, logging the transition and publishing
+     * room-changed. Also used outside the nightly job (e.g. after an email
+     * click rescores the visitor) so every room change takes this path.
+     *
+     * @param object $prospect Prospect row with id, visitor_id, campaign_id, current_room and lead_score.
+     * @param string $reason   Reason recorded with the transition.
+     * @return bool True if the room changed.
+     */
+    public function reassign_prospect_room(object $prospect, string $reason = 'Automatic room assignment based on score'): bool {
+        global $wpdb;
+
+        // Get thresholds for this campaign
+        $thresholds = $this->get_room_thresholds((int) $prospect->campaign_id);
+
+        // Calculate what room they should be in
+        $calculated_room = $this->calculate_room_assignment(
+            (int) ($prospect->lead_score ?? 0),
+            $thresholds
+        );
+
+        if ($prospect->current_room === $calculated_room) {
+            return false;
+        }
+
+        $wpdb->update(
+            $wpdb->prefix . 'rtr_prospects',
+            [
+                'current_room'     => $calculated_room,
+                'updated_at'       => current_time('mysql'),
+            ],
+            [
+                'id' => $prospect->id,
+            ],
+            ['%s', '%s'],
+            ['%d']
+        );
+
+        $this->log_room_transition(
+            (int) $prospect->visitor_id,
+            (int) $prospect->campaign_id,
+            (string) $prospect->current_room,
+            $calculated_room,
+            $reason
+        );
+
+        do_action('directreach_rtr_event', 'room-changed', [
+            'prospect_id'   => (int) $prospect->id,
+            'previous_room' => $prospect->current_room,
+            'room'          => $calculated_room,
+        ]);
+
+        return true;
+    }
+
     /**
      * Check if room change is downward movement (score dropped)
      *
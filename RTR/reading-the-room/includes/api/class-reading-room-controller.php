@@ -14,7 +14,13 @@ declare(strict_types=1);
 namespace DirectReach\ReadingTheRoom\API;
 
 use DirectReach\ReadingTheRoom\Reading_Room_Database;
-use DirectReach\ReadingTheRoom\API\ALeads_Enrichment;
+use DirectReach\ReadingTheRoom\Reading_Room_Timeline;
+use DirectReach\ReadingTheRoom\Reading_Room_Scheduler;
+use DirectReach\ReadingTheRoom\Reading_Room_Mailer;
+use DirectReach\ReadingTheRoom\Reading_Room_Funnel;
+use DirectReach\ReadingTheRoom\Reading_Room_Export;
+use DirectReach\ReadingTheRoom\Reading_Room_Enrichment;
+use DirectReach\ReadingTheRoom\Reading_Room_Enrichment_Queue;
 use WP_REST_Controller;
 use WP_REST_Server;
 use WP_REST_Request;
@@ -30,12 +36,48 @@ final class Reading_Room_Controller extends WP_REST_Controller
     /** @var Reading_Room_Database */
     private $db;
 
-    /** @var \DirectReach\ReadingTheRoom\API\ALeads_Enrichment */
+    /** @var Reading_Room_Enrichment */
     private $enrichment;
 
+    /** @var Reading_Room_Enrichment_Queue */
+    private $enrichment_queue;
+
+    /** @var Reading_Room_Timeline */
+    private $timeline;
+
+    /** @var Reading_Room_Scheduler */
+    private $scheduler;
+
+    /** @var Reading_Room_Mailer */
+    private $mailer;
+
+    /** @var Reading_Room_Funnel */
+    private $funnel;
+
+    /** @var Reading_Room_Export */
+    private $export;
+
     /** @var string */
     protected $namespace = 'directreach/v1/reading-room';
 
+    /**
+     * Prospect list filters (query args and saved view keys).
+     *
+     * @var array<string,array<string,mixed>>
+     */
+    private const PROSPECT_FILTERS = [
+        'score_min'       => ['type' => 'integer', 'minimum' => 0],
+        'score_max'       => ['type' => 'integer', 'minimum' => 0],
+        'industry'        => ['type' => 'string'],
+        'company_size'    => ['type' => 'string'],
+        'state'           => ['type' => 'string'],
+        'email_progress'  => ['type' => 'string', 'enum' => ['none', 'started', 'complete']],
+        'email_status'    => ['type' => 'string', 'enum' => ['verified', 'unverified', 'missing', 'bounced']],
+        'enrichment'      => ['type' => 'string', 'enum' => ['enriched', 'not_enriched']],
+        'visited_within'  => ['type' => 'integer', 'minimum' => 1],
+        'not_visited_for' => ['type' => 'integer', 'minimum' => 1],
+    ];
+
     /**
      * Constructor.
      *
@@ -44,7 +86,15 @@ final class Reading_Room_Controller extends WP_REST_Controller
     public function __construct(Reading_Room_Database $db)
     {
         $this->db = $db;
-        $this->enrichment = new \DirectReach\ReadingTheRoom\API\ALeads_Enrichment();
+
+        global $wpdb;
+        $this->enrichment = new Reading_Room_Enrichment($wpdb);
+        $this->enrichment_queue = new Reading_Room_Enrichment_Queue($wpdb, $this->enrichment);
+        $this->timeline = new Reading_Room_Timeline($db, $wpdb);
+        $this->scheduler = new Reading_Room_Scheduler($wpdb);
+        $this->mailer = new Reading_Room_Mailer($wpdb);
+        $this->funnel = new Reading_Room_Funnel($wpdb);
+        $this->export = new Reading_Room_Export();
 
     }
 
@@ -67,10 +117,68 @@ final class Reading_Room_Controller extends WP_REST_Controller
                     'per_page'    => ['type' => 'integer', 'required' => false, 'default' => 10, 'minimum' => 1, 'maximum' => 100],
                     'orderby'     => ['type' => 'string', 'required' => false, 'default' => 'lead_score', 'enum' => ['lead_score', 'created_at', 'updated_at', 'company_name']],
                     'order'       => ['type' => 'string', 'required' => false, 'default' => 'desc', 'enum' => ['asc', 'desc']],
+                    'search'      => ['type' => 'string', 'required' => false],
+                    'locate'      => ['type' => 'integer', 'required' => false, 'minimum' => 1],
+                ] + self::PROSPECT_FILTERS,
+            ],
+        ]);
+
+        // Current room, filters and sort as a CSV or XLSX download
+        register_rest_route($this->namespace, '/prospects/export', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'export_prospects'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'format'      => ['type' => 'string', 'required' => false, 'default' => 'csv', 'enum' => Reading_Room_Export::FORMATS],
+                    'client_id'   => ['type' => 'integer', 'required' => false],
+                    'campaign_id' => ['type' => 'integer', 'required' => false],
+                    'room'        => ['type' => 'string', 'required' => false, 'enum' => ['problem', 'solution', 'offer', 'sales']],
+                    'orderby'     => ['type' => 'string', 'required' => false, 'default' => 'lead_score', 'enum' => ['lead_score', 'created_at', 'updated_at', 'company_name']],
+                    'order'       => ['type' => 'string', 'required' => false, 'default' => 'desc', 'enum' => ['asc', 'desc']],
+                    'search'      => ['type' => 'string', 'required' => false],
+                ] + self::PROSPECT_FILTERS,
+            ],
+        ]);
+
+        // Values offered by the filter builder
+        register_rest_route($this->namespace, '/prospects/filter-options', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_filter_options'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'client_id' => ['type' => 'integer', 'required' => false],
+                ],
+            ],
+        ]);
+
+        // Saved views
+        register_rest_route($this->namespace, '/views', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_views'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+            [
+                'methods'             => WP_REST_Server::CREATABLE,
+                'callback'            => [$this, 'create_view'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'name'    => ['type' => 'string', 'required' => true],
+                    'filters' => ['type' => 'object', 'required' => false, 'default' => []],
                 ],
             ],
         ]);
 
+        register_rest_route($this->namespace, '/views/(?P<id>[A-Za-z0-9]+)', [
+            [
+                'methods'             => WP_REST_Server::DELETABLE,
+                'callback'            => [$this, 'delete_view'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+        ]);
+
         register_rest_route($this->namespace, '/prospects/(?P<id>\d+)', [
             [
                 'methods'             => WP_REST_Server::READABLE,
@@ -79,6 +187,31 @@ final class Reading_Room_Controller extends WP_REST_Controller
             ],
         ]);
 
+        register_rest_route($this->namespace, '/prospects/(?P<id>\d+)/timeline', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_prospect_timeline'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'types' => [
+                        'type'  => 'array',
+                        'items' => ['type' => 'string', 'enum' => Reading_Room_Timeline::TYPES],
+                    ],
+                ],
+            ],
+        ]);
+
+        register_rest_route($this->namespace, '/prospects/(?P<id>\d+)/schedule', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_prospect_schedule'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'room' => ['type' => 'string', 'required' => true, 'enum' => Reading_Room_Scheduler::ROOMS],
+                ],
+            ],
+        ]);
+
         register_rest_route($this->namespace, '/prospects/(?P<id>\d+)/archive', [
             [
                 'methods'             => WP_REST_Server::CREATABLE,
@@ -108,7 +241,7 @@ final class Reading_Room_Controller extends WP_REST_Controller
             ],
         ]);
 
-        // A-Leads Enrichment endpoints
+        // Enrichment endpoints (provider waterfall)
         register_rest_route($this->namespace, '/prospects/(?P<id>\d+)/search-contacts', [
             [
                 'methods'             => WP_REST_Server::CREATABLE,
@@ -123,9 +256,106 @@ final class Reading_Room_Controller extends WP_REST_Controller
                 'callback'            => [$this, 'save_enriched_contact'],
                 'permission_callback' => [$this, 'check_permission'],
                 'args'                => [
-                    'contact_name'  => ['type' => 'string', 'required' => true],
-                    'contact_email' => ['type' => 'string', 'required' => false],
-                    'job_title'     => ['type' => 'string', 'required' => false],
+                    'contact_name'     => ['type' => 'string', 'required' => true],
+                    'contact_email'    => ['type' => 'string', 'required' => false],
+                    'job_title'        => ['type' => 'string', 'required' => false],
+                    'provider'         => ['type' => 'string', 'required' => false],
+                    'provider_ref'     => ['type' => 'string', 'required' => false],
+                    'confidence'       => ['type' => 'integer', 'required' => false, 'minimum' => 0, 'maximum' => 100],
+                    'email_provider'   => ['type' => 'string', 'required' => false],
+                    'email_confidence' => ['type' => 'integer', 'required' => false, 'minimum' => 0, 'maximum' => 100],
+                ],
+            ],
+        ]);
+
+        // Which provider supplied each prospect field
+        register_rest_route($this->namespace, '/prospects/(?P<id>\d+)/enrichment-sources', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_enrichment_sources'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+        ]);
+
+        // Enrichment providers: order, credentials, costs and usage (admins only)
+        register_rest_route($this->namespace, '/enrichment/providers', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_enrichment_providers'],
+                'permission_callback' => [$this, 'check_admin_permission'],
+            ],
+            [
+                'methods'             => WP_REST_Server::EDITABLE,
+                'callback'            => [$this, 'update_enrichment_providers'],
+                'permission_callback' => [$this, 'check_admin_permission'],
+                'args'                => [
+                    'min_confidence' => ['type' => 'integer', 'required' => false],
+                    'providers'      => ['type' => 'array', 'required' => false],
+                ],
+            ],
+        ]);
+
+        // Bulk enrichment jobs for a room's un-enriched prospects
+        register_rest_route($this->namespace, '/enrichment/jobs', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_enrichment_jobs'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'client_id' => ['type' => 'integer', 'required' => false],
+                ],
+            ],
+            [
+                'methods'             => WP_REST_Server::CREATABLE,
+                'callback'            => [$this, 'create_enrichment_job'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'room'        => ['type' => 'string', 'required' => true, 'enum' => Reading_Room_Enrichment_Queue::ROOMS],
+                    'client_id'   => ['type' => 'integer', 'required' => false],
+                    'campaign_id' => ['type' => 'integer', 'required' => false],
+                    'days'        => ['type' => 'integer', 'required' => false],
+                    'search'      => ['type' => 'string', 'required' => false],
+                    'preview'     => ['type' => 'boolean', 'required' => false, 'default' => false],
+                ] + self::PROSPECT_FILTERS,
+            ],
+        ]);
+
+        register_rest_route($this->namespace, '/enrichment/jobs/(?P<job_id>\d+)', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_enrichment_job'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+        ]);
+
+        register_rest_route($this->namespace, '/enrichment/jobs/(?P<job_id>\d+)/cancel', [
+            [
+                'methods'             => WP_REST_Server::CREATABLE,
+                'callback'            => [$this, 'cancel_enrichment_job'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+        ]);
+
+        // Bulk enrichment results waiting for someone to pick the contact
+        register_rest_route($this->namespace, '/enrichment/review', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_enrichment_review'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'client_id' => ['type' => 'integer', 'required' => false],
+                ],
+            ],
+        ]);
+
+        register_rest_route($this->namespace, '/enrichment/review/(?P<item_id>\d+)', [
+            [
+                'methods'             => WP_REST_Server::CREATABLE,
+                'callback'            => [$this, 'resolve_enrichment_review'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'action'    => ['type' => 'string', 'required' => true, 'enum' => ['apply', 'dismiss']],
+                    'candidate' => ['type' => 'integer', 'required' => false, 'minimum' => 0],
                 ],
             ],
         ]);
@@ -160,6 +390,32 @@ final class Reading_Room_Controller extends WP_REST_Controller
             ],
         ]);
 
+        // Send a generated email through the configured SMTP server or ESP
+        register_rest_route($this->namespace, '/prospects/(?P<id>\d+)/send-email', [
+            [
+                'methods'             => WP_REST_Server::CREATABLE,
+                'callback'            => [$this, 'send_email'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'email_tracking_id' => ['type' => 'integer', 'required' => true],
+                    'subject'           => ['type' => 'string', 'required' => false],
+                    'body_html'         => ['type' => 'string', 'required' => false],
+                ],
+            ],
+        ]);
+
+        // Move prospect to another campaign
+        register_rest_route($this->namespace, '/prospects/(?P<id>\d+)/move-campaign', [
+            [
+                'methods'             => WP_REST_Server::CREATABLE,
+                'callback'            => [$this, 'move_prospect_campaign'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'campaign_id' => ['type' => 'integer', 'required' => true, 'minimum' => 1],
+                ],
+            ],
+        ]);
+
         register_rest_route(
             'directreach/v1',
             '/reading-room/prospects/(?P<id>\d+)/verify-email',
@@ -218,8 +474,39 @@ final class Reading_Room_Controller extends WP_REST_Controller
                 'callback'            => [$this, 'get_room_trends'],
                 'permission_callback' => [$this, 'check_permission'],
                 'args'                => [
-                    'room' => ['type' => 'string', 'required' => true],
-                    'days' => ['type' => 'integer', 'default' => 30],
+                    'room'      => ['type' => 'string', 'required' => true],
+                    'days'      => ['type' => 'integer', 'default' => 30],
+                    'client_id' => ['type' => 'integer', 'required' => false],
+                ],
+            ],
+        ]);
+
+        // Room funnel, room times, email sequences and weekly cohorts
+        $funnel_args = [
+            'client_id'   => ['type' => 'integer', 'required' => false],
+            'campaign_id' => ['type' => 'integer', 'required' => false],
+            'days'        => ['type' => 'integer', 'default' => Reading_Room_Funnel::DEFAULT_DAYS, 'minimum' => 0],
+        ];
+
+        register_rest_route($this->namespace, '/analytics/funnel', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_funnel'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => $funnel_args,
+            ],
+        ]);
+
+        // Prospects behind a funnel number
+        register_rest_route($this->namespace, '/analytics/funnel/prospects', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_funnel_prospects'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => $funnel_args + [
+                    'metric' => ['type' => 'string', 'required' => true, 'enum' => Reading_Room_Funnel::METRICS],
+                    'room'   => ['type' => 'string', 'required' => false, 'enum' => Reading_Room_Funnel::STAGES],
+                    'week'   => ['type' => 'string', 'required' => false, 'pattern' => '^\\d{4}-\\d{2}-\\d{2}$'],
                 ],
             ],
         ]);
@@ -233,6 +520,99 @@ final class Reading_Room_Controller extends WP_REST_Controller
             ],
         ]);
 
+        // Email cadence per campaign (business days before each email is due)
+        register_rest_route($this->namespace, '/campaigns/(?P<id>\d+)/cadence', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_campaign_cadence'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+            [
+                'methods'             => WP_REST_Server::EDITABLE,
+                'callback'            => [$this, 'update_campaign_cadence'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'days' => [
+                        'type'                 => 'object',
+                        'required'             => true,
+                        'additionalProperties' => ['type' => 'integer', 'minimum' => 0, 'maximum' => Reading_Room_Scheduler::MAX_DAYS],
+                    ],
+                ],
+            ],
+            [
+                'methods'             => WP_REST_Server::DELETABLE,
+                'callback'            => [$this, 'reset_campaign_cadence'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+        ]);
+
+        // Emails due today or overdue (room queues)
+        register_rest_route($this->namespace, '/emails/due', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_due_emails'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'client_id' => ['type' => 'integer', 'required' => false],
+                    'room'      => ['type' => 'string', 'required' => false, 'enum' => Reading_Room_Scheduler::ROOMS],
+                ],
+            ],
+        ]);
+
+        // Daily digest (same data as the queues)
+        register_rest_route($this->namespace, '/emails/digest', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_email_digest'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'client_id' => ['type' => 'integer', 'required' => false],
+                ],
+            ],
+        ]);
+
+        // Email sending settings (administrators)
+        register_rest_route($this->namespace, '/sending/settings', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_sending_settings'],
+                'permission_callback' => [$this, 'check_admin_permission'],
+            ],
+            [
+                'methods'             => WP_REST_Server::EDITABLE,
+                'callback'            => [$this, 'update_sending_settings'],
+                'permission_callback' => [$this, 'check_admin_permission'],
+            ],
+        ]);
+
+        // The current user's sender identity
+        register_rest_route($this->namespace, '/sending/identity', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_sender_identity'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+            [
+                'methods'             => WP_REST_Server::EDITABLE,
+                'callback'            => [$this, 'update_sender_identity'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'from_name'  => ['type' => 'string', 'required' => false],
+                    'from_email' => ['type' => 'string', 'required' => true],
+                    'reply_to'   => ['type' => 'string', 'required' => false],
+                ],
+            ],
+        ]);
+
+        // Bounce webhook for the ESP (authenticated by the secret in its URL)
+        register_rest_route($this->namespace, '/webhooks/bounce', [
+            [
+                'methods'             => WP_REST_Server::CREATABLE,
+                'callback'            => [$this, 'receive_bounce_webhook'],
+                'permission_callback' => [$this, 'check_webhook_permission'],
+            ],
+        ]);
+
         // Prospect details by visitor ID
         register_rest_route($this->namespace, '/prospects/(?P<visitor_id>[\w-]+)/details', array(
             'methods' => 'GET',
@@ -259,75 +639,23 @@ final class Reading_Room_Controller extends WP_REST_Controller
     public function get_prospects(WP_REST_Request $request): WP_REST_Response
     {
         try {
-            $filters = [];
-            error_log('Getting prospects with filters: ' . print_r($request->get_params(), true));
-            if ($request->has_param('client_id') && !empty($request->get_param('client_id'))) {
-                $filters['client_id'] = (int) $request->get_param('client_id');
-            }
-            error_log('Client ID filter: ' . ($filters['client_id'] ?? 'none'));
-            if ($request->has_param('campaign_id') && !empty($request->get_param('campaign_id'))) {
-                $filters['campaign_id'] = (int) $request->get_param('campaign_id');
-            }
-            error_log('Campaign ID filter: ' . ($filters['campaign_id'] ?? 'none'));
+            $prospects = $this->query_prospects($request);
 
-            if ($request->has_param('days') && !empty($request->get_param('days'))) {
-                $filters['days'] = (int) $request->get_param('days');
-            }
-            error_log('Days filter: ' . ($filters['days'] ?? 'none'));
-            
             // Get pagination parameters
             $page = max(1, (int) $request->get_param('page'));
             $per_page = max(1, min(100, (int) $request->get_param('per_page')));
-            
-            // Get sort parameters
-            $orderby = $request->get_param('orderby') ?: 'lead_score';
-            $order = $request->get_param('order') ?: 'desc';
-            
-            // Validate orderby field
-            $allowed_orderby = ['lead_score', 'created_at', 'updated_at', 'company_name'];
-            if (!in_array($orderby, $allowed_orderby)) {
-                $orderby = 'lead_score';
-            }
-            
-            // Validate order direction
-            $order = strtolower($order) === 'asc' ? 'asc' : 'desc';
-            
-            $prospects = $this->db->get_prospects($filters);
 
-            // Ensure each prospect has a room assignment
-            foreach ($prospects as &$prospect) {
-                if (empty($prospect['room'])) {
-                    $prospect['room'] = $this->determine_prospect_room($prospect);
+            // Open the page holding a given prospect (jump to prospect)
+            $locate = (int) $request->get_param('locate');
+            if ($locate) {
+                foreach (array_values($prospects) as $index => $candidate) {
+                    if ((int) $candidate['id'] === $locate) {
+                        $page = intdiv($index, $per_page) + 1;
+                        break;
+                    }
                 }
             }
 
-            // Filter by room if parameter is provided
-            $requested_room = $request->get_param('room');
-            if (!empty($requested_room)) {
-                $prospects = array_values(array_filter($prospects, function($prospect) use ($requested_room) {
-                    return ($prospect['room'] ?? '') === $requested_room;
-                }));
-            }
-
-            // Sort prospects based on orderby and order parameters
-            usort($prospects, function($a, $b) use ($orderby, $order) {
-                $val_a = $a[$orderby] ?? '';
-                $val_b = $b[$orderby] ?? '';
-                
-                // Handle numeric vs string comparison
-                if (in_array($orderby, ['lead_score'])) {
-                    $val_a = (int) $val_a;
-                    $val_b = (int) $val_b;
-                    $result = $val_a - $val_b;
-                } elseif (in_array($orderby, ['created_at', 'updated_at'])) {
-                    $result = strtotime($val_a) - strtotime($val_b);
-                } else {
-                    $result = strcasecmp((string) $val_a, (string) $val_b);
-                }
-                
-                return $order === 'desc' ? -$result : $result;
-            });
-            
             // Calculate pagination metadata
             $total_count = count($prospects);
             $total_pages = ceil($total_count / $per_page);
@@ -342,6 +670,10 @@ final class Reading_Room_Controller extends WP_REST_Controller
                     (int) $prospect['id'],
                     $prospect['room']
                 );
+
+                $schedule = $this->scheduler->get_schedule($prospect, $prospect['room']);
+                $prospect['email_states']   = $this->merge_schedule($prospect['email_states'], $schedule);
+                $prospect['next_email_due'] = $schedule['next']['due_date'] ?? null;
             }
 
             return new WP_REST_Response([
@@ -366,19 +698,199 @@ final class Reading_Room_Controller extends WP_REST_Controller
     }
 
     /**
-     * Get a single prospect by ID.
+     * Download the prospects of the current room, filters and sort.
+     *
+     * Ends the request with the file on success. Rows are capped at
+     * Reading_Room_Export::MAX_ROWS; the X-RTR-Export-Rows and
+     * X-RTR-Export-Total headers tell the dashboard when that happened.
      */
-    public function get_prospect(WP_REST_Request $request): WP_REST_Response
+    public function export_prospects(WP_REST_Request $request): WP_REST_Response
     {
-        $id = (int) $request->get_param('id');
-        
-        $prospect = $this->db->get_prospect($id);
-        
-        if (!$prospect) {
-            return new WP_REST_Response([
-                'success' => false,
-                'message' => 'Prospect not found',
-            ], 404);
+        try {
+            $format    = $request->get_param('format') ?: 'csv';
+            $prospects = $this->query_prospects($request);
+            $total     = count($prospects);
+
+            $headers = [
+                'Company', 'Contact', 'Job Title', 'Email', 'Email Verified', 'Campaign',
+                'Room', 'Lead Score', 'Days in Room',
+                'Email 1', 'Email 2', 'Email 3', 'Email 4', 'Email 5',
+                'Next Email Due', 'Last Visit', 'Added',
+            ];
+
+            $rows = [];
+            foreach (array_slice($prospects, 0, Reading_Room_Export::MAX_ROWS) as $prospect) {
+                $states   = $this->get_email_states((int) $prospect['id'], $prospect['room']);
+                $schedule = $this->scheduler->get_schedule($prospect, $prospect['room']);
+                $states   = $this->merge_schedule($states, $schedule);
+
+                $row = [
+                    (string) ($prospect['company_name'] ?? ''),
+                    (string) ($prospect['contact_name'] ?? ''),
+                    (string) ($prospect['job_title'] ?? ''),
+                    (string) ($prospect['contact_email'] ?? ''),
+                    !empty($prospect['email_verified']) ? 'Yes' : 'No',
+                    (string) ($prospect['campaign_name'] ?? ''),
+                    ucfirst((string) $prospect['room']),
+                    (int) ($prospect['lead_score'] ?? 0),
+                    (int) ($prospect['days_in_room'] ?? 0),
+                ];
+
+                for ($number = 1; $number <= 5; $number++) {
+                    $row[] = $this->format_export_email_state($states["email_{$number}"] ?? []);
+                }
+
+                $row[] = (string) ($schedule['next']['due_date'] ?? '');
+                $row[] = $this->format_export_date($prospect['last_seen_at'] ?? null);
+                $row[] = $this->format_export_date($prospect['created_at'] ?? null);
+
+                $rows[] = $row;
+            }
+
+            $room     = (string) $request->get_param('room');
+            $filename = 'prospects-' . ($room !== '' ? $room . '-' : '') . current_time('Y-m-d');
+            $contents = $this->export->build($format, $headers, $rows, $room !== '' ? ucfirst($room) . ' Room' : 'Prospects');
+
+            $this->export->send($contents, $format, $filename, count($rows), $total);
+
+        } catch (\Exception $e) {
+            error_log('[DirectReach][API] export_prospects error: ' . $e->getMessage());
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Failed to export prospects',
+                'error'   => $e->getMessage(),
+            ], 500);
+        }
+    }
+
+    /**
+     * Email cell of the export: state and date, or the due date if unsent.
+     *
+     * @param array<string,mixed> $state Merged email state (get_email_states + schedule)
+     */
+    private function format_export_email_state(array $state): string
+    {
+        $name = (string) ($state['state'] ?? 'pending');
+
+        if ($name === 'pending') {
+            if (empty($state['due_date'])) {
+                return 'Pending';
+            }
+            return 'Due ' . $state['due_date'] . (!empty($state['overdue']) ? ' (overdue)' : '');
+        }
+
+        $date = $this->format_export_date($state['timestamp'] ?? null);
+        return ucfirst($name) . ($date !== '' ? ' ' . $date : '');
+    }
+
+    /**
+     * Date part of a MySQL datetime ('' when empty).
+     */
+    private function format_export_date(?string $datetime): string
+    {
+        return $datetime ? substr($datetime, 0, 10) : '';
+    }
+
+    /**
+     * Prospects matching the list filters, with rooms assigned, limited to
+     * the requested room and sorted (shared by the list and the export).
+     *
+     * @param WP_REST_Request $request
+     * @return array
+     */
+    private function query_prospects(WP_REST_Request $request): array
+    {
+        $filters = [];
+        error_log('Getting prospects with filters: ' . print_r($request->get_params(), true));
+        if ($request->has_param('client_id') && !empty($request->get_param('client_id'))) {
+            $filters['client_id'] = (int) $request->get_param('client_id');
+        }
+        error_log('Client ID filter: ' . ($filters['client_id'] ?? 'none'));
+        if ($request->has_param('campaign_id') && !empty($request->get_param('campaign_id'))) {
+            $filters['campaign_id'] = (int) $request->get_param('campaign_id');
+        }
+        error_log('Campaign ID filter: ' . ($filters['campaign_id'] ?? 'none'));
+
+        if ($request->has_param('days') && !empty($request->get_param('days'))) {
+            $filters['days'] = (int) $request->get_param('days');
+        }
+        error_log('Days filter: ' . ($filters['days'] ?? 'none'));
+
+        $filters += $this->get_prospect_filters($request->get_params());
+
+        // Company, contact name or email (command palette)
+        $search = trim(sanitize_text_field((string) $request->get_param('search')));
+        if ($search !== '') {
+            $filters['search'] = $search;
+        }
+        
+        // Get sort parameters
+        $orderby = $request->get_param('orderby') ?: 'lead_score';
+        $order = $request->get_param('order') ?: 'desc';
+        
+        // Validate orderby field
+        $allowed_orderby = ['lead_score', 'created_at', 'updated_at', 'company_name'];
+        if (!in_array($orderby, $allowed_orderby)) {
+            $orderby = 'lead_score';
+        }
+        
+        // Validate order direction
+        $order = strtolower($order) === 'asc' ? 'asc' : 'desc';
+        
+        $prospects = $this->db->get_prospects($filters);
+
+        // Ensure each prospect has a room assignment
+        foreach ($prospects as &$prospect) {
+            if (empty($prospect['room'])) {
+                $prospect['room'] = $this->determine_prospect_room($prospect);
+            }
+        }
+        unset($prospect);
+
+        // Filter by room if parameter is provided
+        $requested_room = $request->get_param('room');
+        if (!empty($requested_room)) {
+            $prospects = array_values(array_filter($prospects, function($prospect) use ($requested_room) {
+                return ($prospect['room'] ?? '') === $requested_room;
+            }));
+        }
+
+        // Sort prospects based on orderby and order parameters
+        usort($prospects, function($a, $b) use ($orderby, $order) {
+            $val_a = $a[$orderby] ?? '';
+            $val_b = $b[$orderby] ?? '';
+            
+            // Handle numeric vs string comparison
+            if (in_array($orderby, ['lead_score'])) {
+                $val_a = (int) $val_a;
+                $val_b = (int) $val_b;
+                $result = $val_a - $val_b;
+            } elseif (in_array($orderby, ['created_at', 'updated_at'])) {
+                $result = strtotime($val_a) - strtotime($val_b);
+            } else {
+                $result = strcasecmp((string) $val_a, (string) $val_b);
+            }
+            
+            return $order === 'desc' ? -$result : $result;
+        });
+
+        return $prospects;
+    }
+
+    /**
+     * Get a single prospect by ID.
+     */
+    public function get_prospect(WP_REST_Request $request): WP_REST_Response
+    {
+        $id = (int) $request->get_param('id');
+        
+        $prospect = $this->db->get_prospect($id);
+        
+        if (!$prospect) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Prospect not found',
+            ], 404);
         }
 
         // FIX: Ensure room assignment
@@ -398,6 +910,210 @@ final class Reading_Room_Controller extends WP_REST_Controller
         ], 200);
     }
 
+    /**
+     * Get a prospect's timeline (visits, score changes, room moves, emails
+     * and enrichment), newest first, optionally limited to some types.
+     */
+    public function get_prospect_timeline(WP_REST_Request $request): WP_REST_Response
+    {
+        try {
+            $id    = (int) $request->get_param('id');
+            $types = (array) ($request->get_param('types') ?? []);
+
+            $entries = $this->timeline->get_timeline($id, $types);
+
+            if ($entries === null) {
+                return new WP_REST_Response([
+                    'success' => false,
+                    'message' => 'Prospect not found',
+                ], 404);
+            }
+
+            return new WP_REST_Response([
+                'success' => true,
+                'data'    => [
+                    'prospect_id' => $id,
+                    'entries'     => $entries,
+                ],
+            ], 200);
+
+        } catch (\Exception $e) {
+            error_log('[DirectReach][API] get_prospect_timeline error: ' . $e->getMessage());
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Failed to load timeline',
+            ], 500);
+        }
+    }
+
+    /**
+     * Due dates for a prospect's email sequence in a room.
+     */
+    public function get_prospect_schedule(WP_REST_Request $request): WP_REST_Response
+    {
+        try {
+            $id       = (int) $request->get_param('id');
+            $prospect = $this->db->get_prospect($id);
+
+            if (!$prospect) {
+                return new WP_REST_Response([
+                    'success' => false,
+                    'message' => 'Prospect not found',
+                ], 404);
+            }
+
+            $schedule = $this->scheduler->get_schedule($prospect, (string) $request->get_param('room'));
+
+            return new WP_REST_Response([
+                'success' => true,
+                'data'    => [
+                    'prospect_id'    => $id,
+                    'next_email_due' => $schedule['next']['due_date'] ?? null,
+                    'emails'         => $schedule['emails'],
+                ],
+            ], 200);
+
+        } catch (\Exception $e) {
+            error_log('[DirectReach][API] get_prospect_schedule error: ' . $e->getMessage());
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Failed to load email schedule',
+            ], 500);
+        }
+    }
+
+    /**
+     * Get the values offered by the filter builder.
+     */
+    public function get_filter_options(WP_REST_Request $request): WP_REST_Response
+    {
+        try {
+            $client_id = (int) $request->get_param('client_id');
+
+            return new WP_REST_Response([
+                'success' => true,
+                'data'    => $this->db->get_prospect_filter_options($client_id ?: null),
+            ], 200);
+
+        } catch (\Exception $e) {
+            error_log('[DirectReach][API] get_filter_options error: ' . $e->getMessage());
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Failed to retrieve filter options',
+                'error'   => $e->getMessage(),
+            ], 500);
+        }
+    }
+
+    /**
+     * Get saved views.
+     */
+    public function get_views(WP_REST_Request $request): WP_REST_Response
+    {
+        return new WP_REST_Response([
+            'success' => true,
+            'data'    => $this->db->get_saved_views(),
+        ], 200);
+    }
+
+    /**
+     * Save the current filters as a named view.
+     */
+    public function create_view(WP_REST_Request $request): WP_REST_Response
+    {
+        $name = sanitize_text_field((string) $request->get_param('name'));
+        if ($name === '') {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'View name is required',
+            ], 400);
+        }
+
+        $raw     = (array) $request->get_param('filters');
+        $filters = $this->get_prospect_filters($raw);
+
+        // Dashboard-level filters are part of a view as well
+        foreach (['client_id', 'campaign_id'] as $key) {
+            if (!empty($raw[$key])) {
+                $filters[$key] = (int) $raw[$key];
+            }
+        }
+        if (!empty($raw['days']) && in_array((string) $raw['days'], ['7', '30', '90', 'all'], true)) {
+            $filters['days'] = (string) $raw['days'];
+        }
+        if (!empty($raw['room']) && in_array((string) $raw['room'], ['problem', 'solution', 'offer'], true)) {
+            $filters['room'] = (string) $raw['room'];
+        }
+
+        $view = $this->db->save_view($name, $filters);
+
+        return new WP_REST_Response([
+            'success' => true,
+            'message' => 'View saved',
+            'data'    => $view,
+        ], 201);
+    }
+
+    /**
+     * Delete a saved view (its creator or an administrator).
+     */
+    public function delete_view(WP_REST_Request $request): WP_REST_Response
+    {
+        $id   = (string) $request->get_param('id');
+        $view = $this->db->get_saved_view($id);
+
+        if (!$view) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'View not found',
+            ], 404);
+        }
+
+        if ((int) $view['created_by'] !== get_current_user_id() && !current_user_can('manage_options')) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Only the creator of a view can delete it',
+            ], 403);
+        }
+
+        $this->db->delete_view($id);
+
+        return new WP_REST_Response([
+            'success' => true,
+            'message' => 'View deleted',
+        ], 200);
+    }
+
+    /**
+     * Helper: Pick the prospect list filters out of request params or a saved view.
+     *
+     * @param array<string,mixed> $params
+     * @return array<string,mixed>
+     */
+    private function get_prospect_filters(array $params): array
+    {
+        $filters = [];
+
+        foreach (self::PROSPECT_FILTERS as $key => $schema) {
+            if (!isset($params[$key]) || $params[$key] === '') {
+                continue;
+            }
+
+            if ($schema['type'] === 'integer') {
+                $filters[$key] = max(0, (int) $params[$key]);
+                continue;
+            }
+
+            $value = sanitize_text_field((string) $params[$key]);
+            if (isset($schema['enum']) && !in_array($value, $schema['enum'], true)) {
+                continue;
+            }
+            $filters[$key] = $value;
+        }
+
+        return $filters;
+    }
+
     /**
      * Archive a prospect.
      */
@@ -468,6 +1184,12 @@ final class Reading_Room_Controller extends WP_REST_Controller
                 throw new \Exception('Failed to update prospect');
             }
 
+            do_action('directreach_rtr_event', 'room-changed', [
+                'prospect_id'   => $id,
+                'previous_room' => $prospect['current_room'] ?? null,
+                'room'          => 'sales',
+            ]);
+
             return new WP_REST_Response([
                 'success' => true,
                 'message' => 'Prospect handed off to sales',
@@ -483,6 +1205,72 @@ final class Reading_Room_Controller extends WP_REST_Controller
         }
     }
 
+    /**
+     * Move a prospect to another campaign of the same client.
+     */
+    public function move_prospect_campaign(WP_REST_Request $request): WP_REST_Response
+    {
+        $id          = (int) $request->get_param('id');
+        $campaign_id = (int) $request->get_param('campaign_id');
+
+        try {
+            $prospect = $this->db->get_prospect($id);
+            if (!$prospect) {
+                return new WP_REST_Response([
+                    'success' => false,
+                    'message' => 'Prospect not found',
+                ], 404);
+            }
+
+            $campaign = $this->db->get_campaign($campaign_id);
+            if (!$campaign) {
+                return new WP_REST_Response([
+                    'success' => false,
+                    'message' => 'Campaign not found',
+                ], 404);
+            }
+
+            if ((int) $prospect['campaign_id'] === $campaign_id) {
+                return new WP_REST_Response([
+                    'success' => true,
+                    'message' => 'Prospect already in this campaign',
+                ], 200);
+            }
+
+            $current = $this->db->get_campaign((int) $prospect['campaign_id']);
+            if ($current && (int) $current['client_id'] !== (int) $campaign['client_id']) {
+                return new WP_REST_Response([
+                    'success' => false,
+                    'message' => 'Campaign belongs to a different client',
+                ], 400);
+            }
+
+            $result = $this->db->save_prospect([
+                'id'          => $id,
+                'campaign_id' => $campaign_id,
+            ]);
+
+            if (!$result) {
+                throw new \Exception('Failed to update prospect');
+            }
+
+            return new WP_REST_Response([
+                'success'       => true,
+                'message'       => 'Prospect moved to ' . $campaign['campaign_name'],
+                'campaign_id'   => $campaign_id,
+                'campaign_name' => $campaign['campaign_name'],
+            ], 200);
+
+        } catch (\Exception $e) {
+            error_log('[DirectReach][API] move_prospect_campaign error: ' . $e->getMessage());
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Failed to move prospect',
+                'error'   => $e->getMessage(),
+            ], 500);
+        }
+    }
+
     /**
      * Get detailed prospect information
      * 
@@ -606,7 +1394,8 @@ final class Reading_Room_Controller extends WP_REST_Controller
                 'data' => array(
                     'prospect' => $prospect ?: (object)array(),
                     'visitor' => $visitor ?: array(),
-                    'intelligence' => $intelligence ?: (object)array()
+                    'intelligence' => $intelligence ?: (object)array(),
+                    'enrichment_sources' => (object) $this->enrichment->get_field_sources($visitor_id)
                 )
             );
             
@@ -884,6 +1673,17 @@ final class Reading_Room_Controller extends WP_REST_Controller
             );
         }
 
+        // Limit to one client's campaigns (client report)
+        $client_id = (int) $request->get_param('client_id');
+        $campaign_where = '';
+        if ($client_id) {
+            $campaign_where = $wpdb->prepare(
+                " AND campaign_id IN (SELECT id FROM {$wpdb->prefix}dr_campaign_settings WHERE client_id = %d)",
+                $client_id
+            );
+            $where .= $campaign_where;
+        }
+
         $trends = $wpdb->get_results(
             $wpdb->prepare(
                 "SELECT DATE(created_at) as date, COUNT(*) as count
@@ -912,7 +1712,7 @@ final class Reading_Room_Controller extends WP_REST_Controller
             "SELECT COUNT(DISTINCT visitor_id)
             FROM {$wpdb->prefix}rtr_room_progression
             WHERE from_room = %s
-            AND transitioned_at >= DATE_SUB(NOW(), INTERVAL %d DAY)",
+            AND transitioned_at >= DATE_SUB(NOW(), INTERVAL %d DAY){$campaign_where}",
             $room,
             $days
         ));
@@ -931,6 +1731,71 @@ final class Reading_Room_Controller extends WP_REST_Controller
     }
 
 
+    /**
+     * Room funnel and conversion analytics.
+     */
+    public function get_funnel(WP_REST_Request $request): WP_REST_Response
+    {
+        try {
+            $filters = $this->get_funnel_filters($request);
+
+            return new WP_REST_Response([
+                'success' => true,
+                'data'    => $this->funnel->get_funnel($filters),
+                'filters' => $filters,
+            ], 200);
+
+        } catch (\Exception $e) {
+            error_log('[DirectReach][API] get_funnel error: ' . $e->getMessage());
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Failed to load funnel analytics',
+            ], 500);
+        }
+    }
+
+    /**
+     * Prospects behind one funnel number (drill-down).
+     */
+    public function get_funnel_prospects(WP_REST_Request $request): WP_REST_Response
+    {
+        try {
+            $result = $this->funnel->get_prospects(
+                $this->get_funnel_filters($request),
+                (string) $request->get_param('metric'),
+                $request->get_param('room') ?: null,
+                $request->get_param('week') ?: null
+            );
+
+            return new WP_REST_Response([
+                'success' => true,
+                'data'    => $result['prospects'],
+                'total'   => $result['total'],
+            ], 200);
+
+        } catch (\Exception $e) {
+            error_log('[DirectReach][API] get_funnel_prospects error: ' . $e->getMessage());
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Failed to load prospects',
+            ], 500);
+        }
+    }
+
+    /**
+     * Client, campaign and window of a funnel request.
+     *
+     * @return array{client_id: int|null, campaign_id: int|null, days: int}
+     */
+    private function get_funnel_filters(WP_REST_Request $request): array
+    {
+        return [
+            'client_id'   => $request->get_param('client_id') ? (int) $request->get_param('client_id') : null,
+            'campaign_id' => $request->get_param('campaign_id') ? (int) $request->get_param('campaign_id') : null,
+            'days'        => max(0, (int) $request->get_param('days')),
+        ];
+    }
+
     private function get_room_thresholds(?int $client_id = null): array
     {
         global $wpdb;
@@ -1088,6 +1953,161 @@ final class Reading_Room_Controller extends WP_REST_Controller
         }
     }
 
+    /**
+     * Get a campaign's email cadence.
+     */
+    public function get_campaign_cadence(WP_REST_Request $request): WP_REST_Response
+    {
+        $id = (int) $request->get_param('id');
+
+        if (!$this->db->get_campaign($id)) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Campaign not found',
+            ], 404);
+        }
+
+        return new WP_REST_Response([
+            'success' => true,
+            'data'    => $this->format_cadence($id),
+        ], 200);
+    }
+
+    /**
+     * Save a campaign's email cadence.
+     */
+    public function update_campaign_cadence(WP_REST_Request $request): WP_REST_Response
+    {
+        try {
+            $id = (int) $request->get_param('id');
+
+            if (!$this->db->get_campaign($id)) {
+                return new WP_REST_Response([
+                    'success' => false,
+                    'message' => 'Campaign not found',
+                ], 404);
+            }
+
+            $this->scheduler->save_cadence($id, (array) $request->get_param('days'));
+
+            return new WP_REST_Response([
+                'success' => true,
+                'message' => 'Email cadence saved',
+                'data'    => $this->format_cadence($id),
+            ], 200);
+
+        } catch (\Exception $e) {
+            error_log('[DirectReach][API] update_campaign_cadence error: ' . $e->getMessage());
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Failed to save email cadence',
+            ], 500);
+        }
+    }
+
+    /**
+     * Put a campaign back on the default cadence.
+     */
+    public function reset_campaign_cadence(WP_REST_Request $request): WP_REST_Response
+    {
+        try {
+            $id = (int) $request->get_param('id');
+            $this->scheduler->reset_cadence($id);
+
+            return new WP_REST_Response([
+                'success' => true,
+                'message' => 'Email cadence reset to default',
+                'data'    => $this->format_cadence($id),
+            ], 200);
+
+        } catch (\Exception $e) {
+            error_log('[DirectReach][API] reset_campaign_cadence error: ' . $e->getMessage());
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Failed to reset email cadence',
+            ], 500);
+        }
+    }
+
+    /**
+     * Emails due today or overdue.
+     */
+    public function get_due_emails(WP_REST_Request $request): WP_REST_Response
+    {
+        try {
+            $items = $this->scheduler->get_due([
+                'client_id' => (int) $request->get_param('client_id'),
+                'room'      => (string) $request->get_param('room'),
+            ]);
+
+            return new WP_REST_Response([
+                'success' => true,
+                'data'    => $items,
+            ], 200);
+
+        } catch (\Exception $e) {
+            error_log('[DirectReach][API] get_due_emails error: ' . $e->getMessage());
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Failed to load due emails',
+            ], 500);
+        }
+    }
+
+    /**
+     * Today's digest of overdue and due emails.
+     */
+    public function get_email_digest(WP_REST_Request $request): WP_REST_Response
+    {
+        try {
+            $client_id = (int) $request->get_param('client_id');
+
+            return new WP_REST_Response([
+                'success' => true,
+                'data'    => $this->scheduler->build_digest($client_id ?: null),
+            ], 200);
+
+        } catch (\Exception $e) {
+            error_log('[DirectReach][API] get_email_digest error: ' . $e->getMessage());
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Failed to build digest',
+            ], 500);
+        }
+    }
+
+    /**
+     * Cadence response shape.
+     *
+     * @return array<string,mixed>
+     */
+    private function format_cadence(int $campaign_id): array
+    {
+        return [
+            'campaign_id' => $campaign_id,
+            'days'        => $this->scheduler->get_cadence($campaign_id),
+            'is_default'  => !$this->scheduler->has_custom_cadence($campaign_id),
+            'defaults'    => Reading_Room_Scheduler::DEFAULT_CADENCE,
+        ];
+    }
+
+    /**
+     * Add due dates to email states.
+     *
+     * @param array<string,array<string,mixed>> $email_states From get_email_states()
+     * @param array<string,mixed>               $schedule     From Reading_Room_Scheduler::get_schedule()
+     * @return array<string,array<string,mixed>>
+     */
+    private function merge_schedule(array $email_states, array $schedule): array
+    {
+        foreach ($schedule['emails'] as $key => $due) {
+            if (isset($email_states[$key])) {
+                $email_states[$key] += $due;
+            }
+        }
+        return $email_states;
+    }
+
     /**
      * Helper: Determine which room a prospect belongs to.
      *
@@ -1221,6 +2241,8 @@ final class Reading_Room_Controller extends WP_REST_Controller
             );
         }
 
+        $this->enrichment->record_sources($visitor_id, $this->enriched_fields($visitor_update), Reading_Room_Enrichment::MANUAL);
+
         return new WP_REST_Response([
             'success' => true,
             'message' => 'Contact information updated successfully',
@@ -1233,7 +2255,8 @@ final class Reading_Room_Controller extends WP_REST_Controller
     }
 
     /**
-     * Search for contacts via A-Leads enrichment.
+     * Search for contacts at the prospect's company, through the
+     * enrichment provider waterfall.
      *
      * @param WP_REST_Request $request
      * @return WP_REST_Response|WP_Error
@@ -1248,177 +2271,439 @@ final class Reading_Room_Controller extends WP_REST_Controller
         $visitor = $wpdb->get_row($wpdb->prepare(
             "SELECT company_name, website FROM {$wpdb->prefix}cpd_visitors WHERE id = %d",
             $visitor_id
-        ));
+        ), ARRAY_A);
         
-        if (!$visitor || empty($visitor->company_name)) {
+        if (!$visitor || empty($visitor['company_name'])) {
             return new WP_Error(
                 'no_company',
                 'No company found for this prospect',
                 ['status' => 404]
             );
         }
-        
-        // Search A-Leads
-        require_once __DIR__ . '/class-aleads-enrichment.php';
-        $enrichment = new \DirectReach\ReadingTheRoom\API\ALeads_Enrichment();
-        
-        $contacts = $enrichment->search_contacts($visitor->company_name);
-        
+
+        if (!$this->enrichment->has_provider_for('search_contacts')) {
+            return new WP_Error(
+                'no_provider',
+                'No contact search provider is enabled',
+                ['status' => 400]
+            );
+        }
+        
+        $search = $this->enrichment->search_contacts($visitor_id, $this->enrichment->company_lookup($visitor));
+        
+        return new WP_REST_Response([
+            'success' => true,
+            'data' => [
+                'company_name'   => $visitor['company_name'],
+                'contacts'       => $search['contacts'],
+                'provider'       => $search['provider'],
+                'provider_label' => $search['provider_label'],
+                'attempts'       => $search['attempts'],
+            ]
+        ], 200);
+    }
+
+    /**
+     * Find email for a specific contact.
+     *
+     * The enrichment modal sends the contact picked from a search
+     * (provider and ref, or the A-Leads member_id of older clients); the
+     * prospect info modal sends nothing and the prospect's own name is
+     * used, matched against a contact search when it's incomplete. The
+     * providers are tried in order until one is confident enough.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function find_email($request)
+    {
+        global $wpdb;
+        
+        $visitor_id = (int) $request['id'];
+        $body = (array) $request->get_json_params();
+        
+        try {
+            $visitor = $wpdb->get_row($wpdb->prepare(
+                "SELECT * FROM {$wpdb->prefix}cpd_visitors WHERE id = %d",
+                $visitor_id
+            ), ARRAY_A);
+            
+            if (!$visitor) {
+                return new WP_REST_Response([
+                    'success' => false,
+                    'message' => 'Visitor not found'
+                ], 404);
+            }
+
+            if (!$this->enrichment->has_provider_for('find_email')) {
+                return new WP_REST_Response([
+                    'success' => false,
+                    'message' => 'No email finder provider is enabled'
+                ], 400);
+            }
+
+            $company = $this->enrichment->company_lookup($visitor);
+
+            // WORKFLOW 1: Enrichment Manager (contact picked from a search)
+            if (!empty($body['ref']) || !empty($body['member_id']) || !empty($body['first_name'])) {
+                $provider = sanitize_key($body['provider'] ?? 'aleads');
+
+                $person = [
+                    'first_name'   => sanitize_text_field($body['first_name'] ?? ''),
+                    'last_name'    => sanitize_text_field($body['last_name'] ?? ''),
+                    'domain'       => sanitize_text_field($body['company_domain'] ?? '') ?: $company['domain'],
+                    'company_name' => $company['company_name'],
+                    'linkedin'     => esc_url_raw($body['linkedin'] ?? ''),
+                    'refs'         => [$provider => sanitize_text_field($body['ref'] ?? $body['member_id'] ?? '')],
+                ];
+            } else {
+                // WORKFLOW 2: Prospect Info Modal
+                if (!empty($visitor['email'])) {
+                    return new WP_REST_Response([
+                        'success' => true,
+                        'data' => [
+                            'email' => $visitor['email'],
+                            'source' => 'existing'
+                        ]
+                    ], 200);
+                }
+
+                $member_id = $wpdb->get_var($wpdb->prepare(
+                    "SELECT aleads_member_id FROM {$wpdb->prefix}rtr_prospects WHERE visitor_id = %d",
+                    $visitor_id
+                ));
+
+                $person = [
+                    'first_name'   => (string) ($visitor['first_name'] ?? ''),
+                    'last_name'    => (string) ($visitor['last_name'] ?? ''),
+                    'domain'       => $company['domain'],
+                    'company_name' => $company['company_name'],
+                    'linkedin'     => (string) ($visitor['linkedin_url'] ?? ''),
+                    'refs'         => ['aleads' => (string) $member_id],
+                ];
+
+                // Without a full name and domain, find the person in a contact search
+                if ($person['first_name'] === '' || $person['last_name'] === '' || $person['domain'] === '') {
+                    if (empty($visitor['company_name'])) {
+                        return new WP_REST_Response([
+                            'success' => false,
+                            'message' => 'Company name required'
+                        ], 400);
+                    }
+
+                    $search = $this->enrichment->search_contacts($visitor_id, $company);
+                    $matched_contact = $search['contacts'] ? $this->match_contact($visitor, $search['contacts']) : null;
+
+                    if (!$matched_contact) {
+                        return new WP_REST_Response([
+                            'success' => false,
+                            'message' => $search['contacts'] ? 'Email not found - try using Contact Search first' : 'No contacts found',
+                            'attempts' => $search['attempts']
+                        ], 404);
+                    }
+
+                    $person = array_merge($person, [
+                        'first_name' => $matched_contact['first_name'] ?: $person['first_name'],
+                        'last_name'  => $matched_contact['last_name'] ?: $person['last_name'],
+                        'domain'     => $matched_contact['domain'] ?: $person['domain'],
+                        'linkedin'   => $matched_contact['linkedin'] ?: $person['linkedin'],
+                        'refs'       => [$matched_contact['provider'] => $matched_contact['ref']] + $person['refs'],
+                    ]);
+                }
+            }
+
+            $result = $this->enrichment->find_email($visitor_id, $person);
+            
+            if (empty($result['email'])) {
+                return new WP_REST_Response([
+                    'success' => false,
+                    'message' => 'Email not found',
+                    'attempts' => $result['attempts']
+                ], 404);
+            }
+
+            $wpdb->update(
+                "{$wpdb->prefix}cpd_visitors",
+                ['email' => $result['email']],
+                ['id' => $visitor_id],
+                ['%s'], ['%d']
+            );
+            
+            $wpdb->update(
+                "{$wpdb->prefix}rtr_prospects",
+                ['contact_email' => $result['email']],
+                ['visitor_id' => $visitor_id],
+                ['%s'], ['%d']
+            );
+
+            $this->enrichment->record_sources($visitor_id, ['email'], $result['provider'], $result['confidence']);
+
+            do_action('directreach_rtr_event', 'prospect-enriched', [
+                'visitor_id' => $visitor_id,
+                'email'      => $result['email'],
+                'source'     => $result['provider'],
+                'fields'     => ['email'],
+            ]);
+            
+            return new WP_REST_Response([
+                'success' => true,
+                'data' => [
+                    'email'          => $result['email'],
+                    'confidence'     => $result['confidence'],
+                    'low_confidence' => $result['low_confidence'],
+                    'source'         => $result['provider'],
+                    'provider'       => $result['provider'],
+                    'provider_label' => $result['provider_label'],
+                    'attempts'       => $result['attempts'],
+                ]
+            ], 200);
+            
+        } catch (\Exception $e) {
+            error_log('Find email error: ' . $e->getMessage());
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Prospect fields (see Reading_Room_Enrichment::FIELDS) set by a
+     * cpd_visitors update.
+     *
+     * @param array<string,mixed> $visitor_update
+     * @return string[]
+     */
+    private function enriched_fields(array $visitor_update): array
+    {
+        $columns = [
+            'first_name'   => 'contact_name',
+            'last_name'    => 'contact_name',
+            'email'        => 'email',
+            'job_title'    => 'job_title',
+            'company_name' => 'company_name',
+            'linkedin_url' => 'linkedin_url',
+        ];
+
+        $fields = [];
+        foreach ($visitor_update as $column => $value) {
+            if (isset($columns[$column]) && $value !== '') {
+                $fields[] = $columns[$column];
+            }
+        }
+
+        return array_values(array_unique($fields));
+    }
+
+    /**
+     * Which provider supplied each of a prospect's fields.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function get_enrichment_sources(WP_REST_Request $request): WP_REST_Response
+    {
+        return new WP_REST_Response([
+            'success' => true,
+            'data'    => $this->enrichment->get_field_sources((int) $request->get_param('id')),
+        ], 200);
+    }
+
+    /**
+     * Enrichment providers: waterfall order, credentials (secrets as
+     * is_set flags), costs and 30-day usage.
+     *
+     * @return WP_REST_Response
+     */
+    public function get_enrichment_providers(): WP_REST_Response
+    {
+        return new WP_REST_Response([
+            'success' => true,
+            'data'    => $this->enrichment->get_public_settings(),
+        ], 200);
+    }
+
+    /**
+     * Save the enrichment providers.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function update_enrichment_providers(WP_REST_Request $request)
+    {
+        $settings = $this->enrichment->save_settings((array) $request->get_json_params());
+
+        if (is_wp_error($settings)) {
+            return $settings;
+        }
+
+        return new WP_REST_Response([
+            'success' => true,
+            'data'    => $settings,
+        ], 200);
+    }
+
+    /**
+     * Latest bulk enrichment jobs and the review queue size.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function get_enrichment_jobs(WP_REST_Request $request): WP_REST_Response
+    {
+        $client_id = (int) $request->get_param('client_id') ?: null;
+
+        return new WP_REST_Response([
+            'success' => true,
+            'data'    => [
+                'jobs'         => $this->enrichment_queue->get_jobs($client_id),
+                'review_count' => $this->enrichment_queue->count_review_items($client_id),
+            ],
+        ], 200);
+    }
+
+    /**
+     * Queue (or with preview, just count) the room's prospects that have
+     * no contact yet, under the dashboard's current client, date range
+     * and filters, optionally for one campaign only. Prospects with a
+     * manually edited contact are left alone.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function create_enrichment_job(WP_REST_Request $request)
+    {
+        if (!$this->enrichment->has_provider_for('search_contacts')) {
+            return new WP_Error('no_provider', 'No enrichment provider is enabled for contact search', ['status' => 400]);
+        }
+
+        $request->set_param('enrichment', 'not_enriched');
+
+        $prospects = array_filter($this->query_prospects($request), static function (array $prospect): bool {
+            return empty($prospect['contact_email']) && empty($prospect['contact_edited']) && !empty($prospect['visitor_id']);
+        });
+
+        $visitor_ids = array_values(array_unique(array_map('intval', array_column($prospects, 'visitor_id'))));
+
+        if ($request->get_param('preview')) {
+            $campaigns = [];
+            foreach ($prospects as $prospect) {
+                $id = (int) $prospect['campaign_id'];
+                if (!isset($campaigns[$id])) {
+                    $campaigns[$id] = ['id' => $id, 'name' => (string) ($prospect['campaign_name'] ?? ''), 'count' => 0];
+                }
+                $campaigns[$id]['count']++;
+            }
+
+            return new WP_REST_Response([
+                'success' => true,
+                'data'    => [
+                    'count'     => count($visitor_ids),
+                    'campaigns' => array_values($campaigns),
+                ],
+            ], 200);
+        }
+
+        $job = $this->enrichment_queue->create_job([
+            'client_id'   => (int) $request->get_param('client_id') ?: null,
+            'room'        => (string) $request->get_param('room'),
+            'campaign_id' => (int) $request->get_param('campaign_id') ?: null,
+        ], $visitor_ids);
+
+        if (is_wp_error($job)) {
+            return $job;
+        }
+
+        return new WP_REST_Response([
+            'success' => true,
+            'data'    => $job,
+        ], 201);
+    }
+
+    /**
+     * A bulk enrichment job's progress.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function get_enrichment_job(WP_REST_Request $request): WP_REST_Response
+    {
+        $job = $this->enrichment_queue->get_job((int) $request->get_param('job_id'));
+
+        if (!$job) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Enrichment job not found',
+            ], 404);
+        }
+
+        return new WP_REST_Response([
+            'success' => true,
+            'data'    => $job,
+        ], 200);
+    }
+
+    /**
+     * Stop a bulk enrichment job (items already done stay done).
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function cancel_enrichment_job(WP_REST_Request $request): WP_REST_Response
+    {
+        $job = $this->enrichment_queue->cancel_job((int) $request->get_param('job_id'));
+
+        if (!$job) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Enrichment job not found',
+            ], 404);
+        }
+
         return new WP_REST_Response([
             'success' => true,
-            'data' => [
-                'company_name' => $visitor->company_name,
-                'contacts' => $contacts
-            ]
+            'data'    => $job,
         ], 200);
     }
 
     /**
-     * Find email for a specific contact.
+     * Bulk enrichment items waiting for a person, with their candidates.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function get_enrichment_review(WP_REST_Request $request): WP_REST_Response
+    {
+        return new WP_REST_Response([
+            'success' => true,
+            'data'    => $this->enrichment_queue->get_review_items((int) $request->get_param('client_id') ?: null),
+        ], 200);
+    }
+
+    /**
+     * Apply the chosen candidate of a review item, or dismiss it.
      *
      * @param WP_REST_Request $request
      * @return WP_REST_Response|WP_Error
      */
-    public function find_email($request)
+    public function resolve_enrichment_review(WP_REST_Request $request)
     {
-        global $wpdb;
-        
-        $visitor_id = (int) $request['id'];
-        $body = $request->get_json_params();
-        
-        try {
-            // WORKFLOW 1: Enrichment Manager (has member_id from search)
-            if (!empty($body['member_id'])) {
-                $result = $this->enrichment->find_email_by_member_id(
-                    $body['member_id'],
-                    $body['first_name'],
-                    $body['last_name'],
-                    $body['company_domain']
-                );
-                
-                if (!empty($result['email'])) {
-                    $wpdb->update(
-                        "{$wpdb->prefix}cpd_visitors",
-                        ['email' => $result['email']],
-                        ['id' => $visitor_id],
-                        ['%s'], ['%d']
-                    );
-                    
-                    $wpdb->update(
-                        "{$wpdb->prefix}rtr_prospects",
-                        ['contact_email' => $result['email']],
-                        ['visitor_id' => $visitor_id],
-                        ['%s'], ['%d']
-                    );
-                    
-                    return new WP_REST_Response([
-                        'success' => true,
-                        'data' => [
-                            'email' => $result['email'],
-                            'confidence' => $result['confidence'] ?? null,
-                            'source' => 'aleads'
-                        ]
-                    ], 200);
-                }
-                
-                return new WP_REST_Response([
-                    'success' => false,
-                    'message' => 'Email not found'
-                ], 404);
-            }
-            
-            // WORKFLOW 2: Prospect Info Modal
-            $visitor = $wpdb->get_row($wpdb->prepare(
-                "SELECT * FROM {$wpdb->prefix}cpd_visitors WHERE id = %d",
-                $visitor_id
-            ), ARRAY_A);
-            
-            if (!$visitor) {
-                return new WP_REST_Response([
-                    'success' => false,
-                    'message' => 'Visitor not found'
-                ], 404);
-            }
-            
-            if (!empty($visitor['email'])) {
-                return new WP_REST_Response([
-                    'success' => true,
-                    'data' => [
-                        'email' => $visitor['email'],
-                        'source' => 'existing'
-                    ]
-                ], 200);
-            }
-            
-            if (empty($visitor['company_name'])) {
-                return new WP_REST_Response([
-                    'success' => false,
-                    'message' => 'Company name required'
-                ], 400);
-            }
-            
-            $contacts = $this->enrichment->search_contacts($visitor['company_name']);
-            
-            if (empty($contacts)) {
-                return new WP_REST_Response([
-                    'success' => false,
-                    'message' => 'No contacts found'
-                ], 404);
-            }
-            
-            $matched_contact = $this->match_contact($visitor, $contacts);
-            
-            if (!$matched_contact || empty($matched_contact['member_id'])) {
-                return new WP_REST_Response([
-                    'success' => false,
-                    'message' => 'Email not found - try using Contact Search first'
-                ], 404);
-            }
-            
-            $result = $this->enrichment->find_email_by_member_id(
-                $matched_contact['member_id'],
-                $matched_contact['first_name'] ?? $visitor['first_name'],
-                $matched_contact['last_name'] ?? $visitor['last_name'],
-                $matched_contact['domain'] ?? ''
-            );
-            
-            if (!empty($result['email'])) {
-                $wpdb->update(
-                    "{$wpdb->prefix}cpd_visitors",
-                    ['email' => $result['email']],
-                    ['id' => $visitor_id],
-                    ['%s'], ['%d']
-                );
-                
-                $wpdb->update(
-                    "{$wpdb->prefix}rtr_prospects",
-                    ['contact_email' => $result['email']],
-                    ['visitor_id' => $visitor_id],
-                    ['%s'], ['%d']
-                );
-                
-                return new WP_REST_Response([
-                    'success' => true,
-                    'data' => [
-                        'email' => $result['email'],
-                        'confidence' => $result['confidence'] ?? null,
-                        'source' => 'aleads'
-                    ]
-                ], 200);
-            }
-            
-            return new WP_REST_Response([
-                'success' => false,
-                'message' => 'Email not found'
-            ], 404);
-            
-        } catch (\Exception $e) {
-            error_log('Find email error: ' . $e->getMessage());
-            return new WP_REST_Response([
-                'success' => false,
-                'message' => $e->getMessage()
-            ], 500);
+        $candidate = $request->get_param('candidate');
+
+        $contact = $this->enrichment_queue->resolve_review_item(
+            (int) $request->get_param('item_id'),
+            (string) $request->get_param('action'),
+            $candidate !== null ? (int) $candidate : null
+        );
+
+        if (is_wp_error($contact)) {
+            return $contact;
         }
+
+        return new WP_REST_Response([
+            'success' => true,
+            'data'    => $contact,
+        ], 200);
     }
 
     private function match_contact($visitor, $contacts) {
@@ -1523,22 +2808,64 @@ final class Reading_Room_Controller extends WP_REST_Controller
                 ], 400);
             }
 
-            // Initialize enrichment class if not already done
-            if (!$this->enrichment) {
-                $this->enrichment = new ALeads_Enrichment();
+            if (!$this->enrichment->has_provider_for('verify_email')) {
+                return new WP_REST_Response([
+                    'success' => false,
+                    'message' => 'No email verification provider is enabled'
+                ], 400);
             }
 
-            // Call the enrichment verify method
             $visitor_id = (int) $request['id'];
-            $result = $this->enrichment->verify_email($email, $visitor_id);
+            $verification = $this->enrichment->verify_email($visitor_id, $email);
+            $result = $verification['result'];
 
-            if ($result['success']) {
-                return new WP_REST_Response($result, 200);
-            } else {
-                return new WP_REST_Response($result, 400);
+            if (!$result) {
+                return new WP_REST_Response([
+                    'success' => false,
+                    'message' => 'Email verification failed',
+                    'attempts' => $verification['attempts']
+                ], 400);
             }
 
-        } catch (Exception $e) {
+            $verified = $result['status'] === 'valid';
+            $quality = $result['quality'] ?: $result['status'];
+
+            global $wpdb;
+            $wpdb->update(
+                $wpdb->prefix . 'rtr_prospects',
+                [
+                    'email_verified'            => $verified ? 1 : 0,
+                    'email_verified_at'         => current_time('mysql'),
+                    'email_quality'             => $quality,
+                    'email_verification_status' => $result['status'],
+                    'updated_at'                => current_time('mysql'),
+                ],
+                ['visitor_id' => $visitor_id],
+                ['%d', '%s', '%s', '%s', '%s'],
+                ['%d']
+            );
+
+            $this->enrichment->record_sources($visitor_id, ['email_verification'], $verification['provider'], $result['confidence']);
+
+            return new WP_REST_Response([
+                'success' => true,
+                'verified' => $verified,
+                'data' => [
+                    'email'            => $email,
+                    'is_valid'         => $verified,
+                    'verified'         => $verified,
+                    'quality'          => $quality,
+                    'catch_all_status' => $result['catch_all'],
+                    'esp'              => $result['esp'],
+                    'status'           => $result['status'],
+                    'confidence'       => $result['confidence'],
+                    'provider'         => $verification['provider'],
+                    'provider_label'   => $verification['provider_label'],
+                ],
+                'attempts' => $verification['attempts']
+            ], 200);
+
+        } catch (\Exception $e) {
             error_log('[RTR] Verify email error: ' . $e->getMessage());
             return new WP_REST_Response([
                 'success' => false,
@@ -1563,7 +2890,17 @@ final class Reading_Room_Controller extends WP_REST_Controller
         $job_title = sanitize_text_field($request->get_param('job_title'));
         $company_name = sanitize_text_field($request->get_param('company_name'));
         $linkedin_url = esc_url_raw($request->get_param('linkedin_url'));
-        $aleads_member_id = !empty($body['aleads_member_id']) ? sanitize_text_field($body['aleads_member_id']) : null;
+        $provider = sanitize_key((string) $request->get_param('provider'));
+        $provider_ref = sanitize_text_field((string) ($request->get_param('provider_ref') ?: $request->get_param('aleads_member_id')));
+        $confidence = $request->get_param('confidence') !== null ? (int) $request->get_param('confidence') : null;
+        $email_provider = sanitize_key((string) $request->get_param('email_provider'));
+        $email_confidence = $request->get_param('email_confidence') !== null ? (int) $request->get_param('email_confidence') : null;
+
+        // Older clients send only the A-Leads member ID
+        if ($provider === '' && $request->get_param('aleads_member_id')) {
+            $provider = 'aleads';
+        }
+        $aleads_member_id = $provider === 'aleads' && $provider_ref !== '' ? $provider_ref : null;
 
         // Validate email if provided
         if (!empty($contact_email) && !is_email($contact_email)) {
@@ -1652,6 +2989,22 @@ final class Reading_Room_Controller extends WP_REST_Controller
             );
         }
 
+        // The email may come from a different provider (find email) than the contact
+        $fields = $this->enriched_fields($visitor_update);
+        $contact_fields = $email_provider !== '' ? array_diff($fields, ['email']) : $fields;
+
+        $this->enrichment->record_sources($visitor_id, $contact_fields, $provider ?: Reading_Room_Enrichment::MANUAL, $confidence);
+        if ($email_provider !== '' && in_array('email', $fields, true)) {
+            $this->enrichment->record_sources($visitor_id, ['email'], $email_provider, $email_confidence);
+        }
+
+        do_action('directreach_rtr_event', 'prospect-enriched', [
+            'visitor_id' => $visitor_id,
+            'email'      => $contact_email,
+            'source'     => $provider ?: 'manual',
+            'fields'     => array_keys($visitor_update),
+        ]);
+
         return new WP_REST_Response([
             'success' => true,
             'message' => 'Contact information saved successfully',
@@ -1948,6 +3301,14 @@ final class Reading_Room_Controller extends WP_REST_Controller
             ], 500);
         }
 
+        do_action('directreach_rtr_event', 'email-state-changed', [
+            'prospect_id'       => $prospect_id,
+            'room'              => $room_type,
+            'email_number'      => $email_number,
+            'state'             => 'bounced',
+            'email_tracking_id' => (int) $tracking->id,
+        ]);
+
         return new WP_REST_Response([
             'success'      => true,
             'message'      => 'Email marked as bounced.',
@@ -1956,6 +3317,171 @@ final class Reading_Room_Controller extends WP_REST_Controller
         ]);
     }
 
+    /**
+     * Send a generated email to the prospect from the current user's
+     * sender identity. The subject and body may be edited versions.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function send_email(WP_REST_Request $request): WP_REST_Response
+    {
+        try {
+            $overrides = array_filter([
+                'subject'   => $request->get_param('subject'),
+                'body_html' => $request->get_param('body_html'),
+            ], 'is_string');
+
+            $result = $this->mailer->send(
+                (int) $request->get_param('email_tracking_id'),
+                (int) $request->get_param('id'),
+                get_current_user_id(),
+                $overrides
+            );
+
+            if (is_wp_error($result)) {
+                $data = $result->get_error_data();
+                return new WP_REST_Response([
+                    'success' => false,
+                    'code'    => $result->get_error_code(),
+                    'message' => $result->get_error_message(),
+                ], (int) ($data['status'] ?? 500));
+            }
+
+            return new WP_REST_Response([
+                'success' => true,
+                'message' => sprintf('Email sent to %s', $result['recipient']),
+                'data'    => $result,
+            ], 200);
+
+        } catch (\Exception $e) {
+            error_log('[DirectReach][API] send_email error: ' . $e->getMessage());
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Failed to send email',
+            ], 500);
+        }
+    }
+
+    /**
+     * Get the email sending settings (secrets omitted).
+     */
+    public function get_sending_settings(WP_REST_Request $request): WP_REST_Response
+    {
+        return new WP_REST_Response([
+            'success' => true,
+            'data'    => $this->mailer->get_public_settings(),
+        ], 200);
+    }
+
+    /**
+     * Save the email sending settings.
+     */
+    public function update_sending_settings(WP_REST_Request $request): WP_REST_Response
+    {
+        $settings = $this->mailer->save_settings((array) $request->get_json_params());
+
+        if (is_wp_error($settings)) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => $settings->get_error_message(),
+            ], 400);
+        }
+
+        return new WP_REST_Response([
+            'success' => true,
+            'message' => 'Sending settings saved',
+            'data'    => $settings,
+        ], 200);
+    }
+
+    /**
+     * Get the current user's sender identity.
+     */
+    public function get_sender_identity(WP_REST_Request $request): WP_REST_Response
+    {
+        if (!get_current_user_id()) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Sender identities belong to WordPress users',
+            ], 400);
+        }
+
+        return new WP_REST_Response([
+            'success' => true,
+            'data'    => $this->mailer->get_identity(get_current_user_id()),
+        ], 200);
+    }
+
+    /**
+     * Save the current user's sender identity.
+     */
+    public function update_sender_identity(WP_REST_Request $request): WP_REST_Response
+    {
+        if (!get_current_user_id()) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => 'Sender identities belong to WordPress users',
+            ], 400);
+        }
+
+        $identity = $this->mailer->save_identity(get_current_user_id(), [
+            'from_name'  => $request->get_param('from_name'),
+            'from_email' => $request->get_param('from_email'),
+            'reply_to'   => $request->get_param('reply_to'),
+        ]);
+
+        if (is_wp_error($identity)) {
+            return new WP_REST_Response([
+                'success' => false,
+                'message' => $identity->get_error_message(),
+            ], 400);
+        }
+
+        return new WP_REST_Response([
+            'success' => true,
+            'message' => 'Sender identity saved',
+            'data'    => $identity,
+        ], 200);
+    }
+
+    /**
+     * Bounce webhook: mark each bounced send through mark-bounced.
+     *
+     * Always answers 200 for a valid secret so the ESP doesn't retry
+     * events for messages that weren't sent from the dashboard.
+     */
+    public function receive_bounce_webhook(WP_REST_Request $request): WP_REST_Response
+    {
+        $payload = $request->get_json_params() ?: $request->get_body_params();
+        $bounces = $this->mailer->parse_bounces((array) $payload);
+
+        $processed = 0;
+        foreach ($bounces as $bounce) {
+            $email = $this->mailer->record_bounce($bounce['message_id'], $bounce['reason']);
+
+            if (!$email) {
+                error_log('[DirectReach][API] Bounce for unknown message-id ' . $bounce['message_id']);
+                continue;
+            }
+
+            $mark = new WP_REST_Request('POST', "/{$this->namespace}/prospects/{$email['prospect_id']}/mark-bounced");
+            $mark->set_url_params(['id' => $email['prospect_id']]);
+            $mark->set_param('email_number', $email['email_number']);
+            $mark->set_param('room_type', $email['room_type']);
+
+            if ($this->mark_email_bounced($mark)->get_status() === 200) {
+                $processed++;
+            }
+        }
+
+        return new WP_REST_Response([
+            'success'   => true,
+            'received'  => count($bounces),
+            'processed' => $processed,
+        ], 200);
+    }
+
     /**
      * Permission check for all RTR endpoints.
      *
@@ -1995,4 +3521,37 @@ final class Reading_Room_Controller extends WP_REST_Controller
             ['status' => 403]
         );
     }
+
+    /**
+     * Permission check for site-wide settings.
+     */
+    public function check_admin_permission(WP_REST_Request $request = null): bool|WP_Error {
+        if (current_user_can('manage_options')) {
+            return true;
+        }
+
+        return new WP_Error(
+            'rest_forbidden',
+            'Only administrators can change these settings.',
+            ['status' => 403]
+        );
+    }
+
+    /**
+     * Permission check for the bounce webhook: the secret from the
+     * webhook URL (?secret=) or an X-DirectReach-Webhook-Secret header.
+     */
+    public function check_webhook_permission(WP_REST_Request $request): bool|WP_Error {
+        $secret = (string) ($request->get_header('X-DirectReach-Webhook-Secret') ?: $request->get_param('secret'));
+
+        if ($this->mailer->verify_webhook_secret($secret)) {
+            return true;
+        }
+
+        return new WP_Error(
+            'rest_forbidden',
+            'Invalid webhook secret.',
+            ['status' => 403]
+        );
+    }
 }
@@ -154,6 +154,16 @@ final class Reading_Room_Database
         return (int) $this->db->insert_id;
     }
 
+    /**
+     * Get a single campaign by ID.
+     */
+    public function get_campaign(int $id): ?array
+    {
+        $sql = $this->db->prepare("SELECT * FROM {$this->table_campaigns} WHERE id = %d LIMIT 1", $id);
+        $row = $this->db->get_row($sql, ARRAY_A);
+        return $row ?: null;
+    }
+
     /**
      * Get campaigns.
      *
@@ -302,7 +312,15 @@ final class Reading_Room_Database
             error_log('[DirectReach][DB] save_prospect insert failed: ' . $this->db->last_error);
             return 0;
         }
-        return (int) $this->db->insert_id;
+
+        $id = (int) $this->db->insert_id;
+
+        do_action('directreach_rtr_event', 'prospect-created', [
+            'prospect_id' => $id,
+            'room'        => $payload['current_room'] ?? null,
+        ]);
+
+        return $id;
     }
 
     /**
@@ -341,6 +359,91 @@ final class Reading_Room_Database
             $params[] = (int) $args['days'];
         }        
 
+        if (!empty($args['search'])) {
+            $like     = $this->prepare_like((string) $args['search']);
+            $where[]  = '(p.company_name LIKE %s OR p.contact_name LIKE %s OR p.contact_email LIKE %s)';
+            array_push($params, $like, $like, $like);
+        }
+
+        if (isset($args['score_min'])) {
+            $where[]  = 'v.lead_score >= %d';
+            $params[] = (int) $args['score_min'];
+        }
+
+        if (isset($args['score_max'])) {
+            $where[]  = 'v.lead_score <= %d';
+            $params[] = (int) $args['score_max'];
+        }
+
+        if (!empty($args['industry'])) {
+            $where[]  = 'v.industry = %s';
+            $params[] = (string) $args['industry'];
+        }
+
+        if (!empty($args['company_size'])) {
+            $where[]  = 'v.estimated_employee_count = %s';
+            $params[] = (string) $args['company_size'];
+        }
+
+        if (!empty($args['state'])) {
+            $where[]  = 'v.state = %s';
+            $params[] = (string) $args['state'];
+        }
+
+        if (!empty($args['visited_within'])) {
+            $where[]  = 'v.last_seen_at >= DATE_SUB(NOW(), INTERVAL %d DAY)';
+            $params[] = (int) $args['visited_within'];
+        }
+
+        if (!empty($args['not_visited_for'])) {
+            $where[]  = 'v.last_seen_at < DATE_SUB(NOW(), INTERVAL %d DAY)';
+            $params[] = (int) $args['not_visited_for'];
+        }
+
+        // Emails sent (or copied to send by hand) in the prospect's current
+        // room sequence (5 per room), counted as the scheduler and funnel do
+        if (!empty($args['email_progress'])) {
+            $sent_count = "(SELECT COUNT(DISTINCT t.email_number) FROM {$this->db->prefix}rtr_email_tracking t
+                            WHERE t.prospect_id = p.id AND t.room_type = p.current_room
+                            AND (t.copied_at IS NOT NULL OR t.status IN ('sent', 'opened', 'clicked', 'bounced')))";
+
+            switch ($args['email_progress']) {
+                case 'none':
+                    $where[] = "{$sent_count} = 0";
+                    break;
+                case 'started':
+                    $where[] = "{$sent_count} BETWEEN 1 AND 4";
+                    break;
+                case 'complete':
+                    $where[] = "{$sent_count} >= 5";
+                    break;
+            }
+        }
+
+        if (!empty($args['email_status'])) {
+            switch ($args['email_status']) {
+                case 'verified':
+                    $where[] = 'p.email_verified = 1';
+                    break;
+                case 'unverified':
+                    $where[] = "p.contact_email <> '' AND (p.email_verified = 0 OR p.email_verified IS NULL)";
+                    break;
+                case 'missing':
+                    $where[] = "(p.contact_email IS NULL OR p.contact_email = '')";
+                    break;
+                case 'bounced':
+                    $where[] = "EXISTS (SELECT 1 FROM {$this->db->prefix}rtr_email_tracking t
+                                WHERE t.prospect_id = p.id AND t.status = 'bounced')";
+                    break;
+            }
+        }
+
+        if (!empty($args['enrichment'])) {
+            $where[] = $args['enrichment'] === 'enriched'
+                ? "(p.aleads_member_id IS NOT NULL AND p.aleads_member_id <> '')"
+                : "(p.aleads_member_id IS NULL OR p.aleads_member_id = '')";
+        }
+
         $where[] = 'p.archived_at IS NULL';
         $where[] = '(v.is_archived = 0 OR v.is_archived IS NULL)';
         
@@ -368,7 +471,7 @@ final class Reading_Room_Database
         $where_sql = $where ? 'WHERE ' . implode(' AND ', $where) : '';
         $sql = "
             SELECT p.*, c.campaign_name AS campaign_name, c.client_id as client_id,
-                   v.lead_score, v.current_room
+                   v.lead_score, v.current_room, v.last_seen_at
             FROM {$this->table_prospects} p
             LEFT JOIN {$this->table_campaigns} c ON p.campaign_id = c.id
             LEFT JOIN {$this->db->prefix}cpd_visitors v ON p.visitor_id = v.id
@@ -383,6 +486,38 @@ final class Reading_Room_Database
         return $rows ?: [];
     }
 
+    /**
+     * Distinct visitor attribute values of active prospects, for the filter builder.
+     *
+     * @return array{industries: string[], company_sizes: string[], states: string[]}
+     */
+    public function get_prospect_filter_options(?int $client_id = null): array
+    {
+        $columns = [
+            'industries'    => 'industry',
+            'company_sizes' => 'estimated_employee_count',
+            'states'        => 'state',
+        ];
+
+        $client_sql = $client_id ? $this->db->prepare(' AND c.client_id = %d', $client_id) : '';
+        $options    = [];
+
+        foreach ($columns as $key => $column) {
+            $values = $this->db->get_col("
+                SELECT DISTINCT v.{$column}
+                FROM {$this->table_prospects} p
+                LEFT JOIN {$this->table_campaigns} c ON p.campaign_id = c.id
+                INNER JOIN {$this->db->prefix}cpd_visitors v ON p.visitor_id = v.id
+                WHERE p.archived_at IS NULL AND v.{$column} <> ''{$client_sql}
+                ORDER BY v.{$column} ASC
+            ");
+
+            $options[$key] = $values ?: [];
+        }
+
+        return $options;
+    }
+
     /**
      * Delete a prospect.
      */
@@ -531,6 +666,75 @@ final class Reading_Room_Database
         return $rows ?: [];
     }
 
+    /* ---------------------------------------------------------------------
+     * Saved views
+     * -------------------------------------------------------------------*/
+
+    /**
+     * Saved prospect list views, shared by all dashboard users.
+     *
+     * @return array<int,array<string,mixed>>
+     */
+    public function get_saved_views(): array
+    {
+        $views = get_option('rtr_saved_views', []);
+        return is_array($views) ? array_values($views) : [];
+    }
+
+    /**
+     * Save a named view.
+     *
+     * @param string $name
+     * @param array<string,mixed> $filters
+     * @return array<string,mixed> The saved view
+     */
+    public function save_view(string $name, array $filters): array
+    {
+        $views = $this->get_saved_views();
+
+        $view = [
+            'id'         => wp_generate_password(8, false),
+            'name'       => $name,
+            'filters'    => $filters,
+            'created_by' => get_current_user_id(),
+            'created_at' => current_time('mysql'),
+        ];
+
+        $views[] = $view;
+        update_option('rtr_saved_views', $views, false);
+
+        return $view;
+    }
+
+    /**
+     * Get a saved view by ID.
+     */
+    public function get_saved_view(string $id): ?array
+    {
+        foreach ($this->get_saved_views() as $view) {
+            if ($view['id'] === $id) {
+                return $view;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Delete a saved view.
+     */
+    public function delete_view(string $id): bool
+    {
+        $views     = $this->get_saved_views();
+        $remaining = array_values(array_filter($views, fn($view) => $view['id'] !== $id));
+
+        if (count($remaining) === count($views)) {
+            return false;
+        }
+
+        update_option('rtr_saved_views', $remaining, false);
+        return true;
+    }
+
     /**
      * Install/upgrade database schema.
      * Call this on plugin activation or when schema version changes.
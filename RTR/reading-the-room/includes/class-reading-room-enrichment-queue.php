@@ -0,0 +1,921 @@
+<?php
+/**
+ * Reading Room Enrichment Queue
+ *
+ * Bulk enrichment of a room's (or one campaign's) un-enriched
+ * prospects in the background. A job queues one item per visitor; WP
+ * cron works through them a few at a time. For each one it:
+ *
+ * 1. searches the company's contacts (Reading_Room_Enrichment waterfall)
+ * 2. picks the contact whose title best matches the client's target
+ *    roles (the scoring system's role_match rule; seniority breaks ties)
+ * 3. finds and verifies the contact's email, and saves the contact
+ *
+ * Anything a person should decide goes to the review queue instead:
+ * no contact matching the target roles, several matching equally well,
+ * no email, a low-confidence email or one that fails verification. The
+ * reviewer picks one of the stored candidates (or dismisses the item).
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+declare(strict_types=1);
+
+namespace DirectReach\ReadingTheRoom;
+
+use WP_Error;
+use wpdb;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+final class Reading_Room_Enrichment_Queue
+{
+    /** Rooms a job can cover */
+    public const ROOMS = ['problem', 'solution', 'offer'];
+
+    /** Item statuses: pending, then one of the others */
+    public const ITEM_STATUSES = ['pending', 'enriched', 'review', 'failed', 'skipped', 'resolved', 'dismissed'];
+
+    /** Batch cron hook */
+    public const CRON_HOOK = 'dr_rtr_enrichment_queue';
+
+    /** Items per cron run (each can take several provider calls) */
+    private const BATCH_SIZE = 5;
+
+    /** Candidates kept for review */
+    private const MAX_CANDIDATES = 5;
+
+    /** Seconds a batch may hold the lock */
+    private const LOCK_TTL = 300;
+
+    /** Option row holding the lock's expiry time */
+    private const LOCK_KEY = 'rtr_enrichment_queue_lock';
+
+    /** Seconds before retrying a batch that failed outright */
+    private const RETRY_DELAY = 60;
+
+    /** Seniority of a contact from its seniority or title, most senior first */
+    private const SENIORITY = [
+        5 => ['c-suite', 'chief', 'ceo', 'cfo', 'cto', 'cmo', 'coo', 'founder', 'owner', 'president'],
+        4 => ['vp', 'vice president', 'partner'],
+        3 => ['head', 'director'],
+        2 => ['manager', 'lead'],
+    ];
+
+    /** @var wpdb */
+    private $db;
+
+    /** @var Reading_Room_Enrichment */
+    private $enrichment;
+
+    /** @var string */
+    private $table_jobs;
+
+    /** @var string */
+    private $table_items;
+
+    /** @var string */
+    private $table_visitors;
+
+    /** @var string */
+    private $table_prospects;
+
+    /** @var string */
+    private $schema_version = '1.0.0';
+
+    /** @var \RTR_Score_Calculator|false|null */
+    private $calculator;
+
+    /**
+     * Constructor.
+     *
+     * @param wpdb                    $wpdb
+     * @param Reading_Room_Enrichment $enrichment
+     */
+    public function __construct(wpdb $wpdb, Reading_Room_Enrichment $enrichment)
+    {
+        $this->db         = $wpdb;
+        $this->enrichment = $enrichment;
+        $prefix           = $wpdb->prefix;
+
+        $this->table_jobs      = "{$prefix}rtr_enrichment_jobs";
+        $this->table_items     = "{$prefix}rtr_enrichment_job_items";
+        $this->table_visitors  = "{$prefix}cpd_visitors";
+        $this->table_prospects = "{$prefix}rtr_prospects";
+    }
+
+    /**
+     * Hook the batch cron.
+     */
+    public static function init(): void
+    {
+        add_action(self::CRON_HOOK, [__CLASS__, 'run_batch']);
+    }
+
+    /**
+     * Cron callback: one batch, then the next one if items are left.
+     *
+     * Only one batch runs at a time; whoever holds the lock schedules the
+     * next batch, even when this one failed.
+     */
+    public static function run_batch(): void
+    {
+        global $wpdb;
+        $queue = new self($wpdb, new Reading_Room_Enrichment($wpdb));
+
+        $lock = $queue->acquire_lock();
+        if ($lock === null) {
+            return;
+        }
+
+        $delay = 0;
+        try {
+            $queue->process_batch();
+        } catch (\Throwable $e) {
+            error_log('[DirectReach][EnrichmentQueue] Batch failed: ' . $e->getMessage());
+            $delay = self::RETRY_DELAY;
+        } finally {
+            $queue->release_lock($lock);
+        }
+
+        if ($queue->has_pending()) {
+            $queue->schedule($delay);
+        }
+    }
+
+    /**
+     * Create the job tables if needed.
+     */
+    public function install_schema(): bool
+    {
+        if (version_compare(get_option('rtr_enrichment_queue_db_version', '0.0.0'), $this->schema_version, '>=')) {
+            return true;
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $charset_collate = $this->db->get_charset_collate();
+
+        dbDelta("CREATE TABLE {$this->table_jobs} (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            client_id BIGINT UNSIGNED NULL,
+            room VARCHAR(20) NOT NULL,
+            campaign_id BIGINT UNSIGNED NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'queued',
+            total INT UNSIGNED NOT NULL DEFAULT 0,
+            created_by BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            created_at DATETIME NOT NULL,
+            started_at DATETIME NULL,
+            completed_at DATETIME NULL,
+            PRIMARY KEY  (id),
+            KEY idx_status (status),
+            KEY idx_client (client_id)
+        ) {$charset_collate};");
+
+        dbDelta("CREATE TABLE {$this->table_items} (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            job_id BIGINT UNSIGNED NOT NULL,
+            visitor_id BIGINT UNSIGNED NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            message VARCHAR(255) NULL,
+            contact LONGTEXT NULL,
+            candidates LONGTEXT NULL,
+            cost DECIMAL(10,4) NOT NULL DEFAULT 0,
+            reviewed_by BIGINT UNSIGNED NULL,
+            updated_at DATETIME NOT NULL,
+            PRIMARY KEY  (id),
+            KEY idx_job_status (job_id, status),
+            KEY idx_visitor (visitor_id),
+            KEY idx_status (status)
+        ) {$charset_collate};");
+
+        if ($this->db->get_var("SHOW TABLES LIKE '{$this->table_items}'") !== $this->table_items) {
+            error_log('[DirectReach][EnrichmentQueue] Failed to create table ' . $this->table_items);
+            return false;
+        }
+
+        update_option('rtr_enrichment_queue_db_version', $this->schema_version);
+        return true;
+    }
+
+    // ------------------------------------------------------------------
+    // JOBS
+    // ------------------------------------------------------------------
+
+    /**
+     * Queue a job for prospects picked by the caller. Visitors already
+     * waiting in another job are left out.
+     *
+     * @param array{client_id:?int,room:string,campaign_id:?int} $scope
+     * @param int[] $visitor_ids
+     * @return array|WP_Error The job
+     */
+    public function create_job(array $scope, array $visitor_ids)
+    {
+        if (!$this->install_schema()) {
+            return new WP_Error('schema_failed', 'Could not create the enrichment queue tables', ['status' => 500]);
+        }
+
+        if (!in_array($scope['room'] ?? '', self::ROOMS, true)) {
+            return new WP_Error('invalid_room', 'Invalid room', ['status' => 400]);
+        }
+
+        $visitor_ids = array_values(array_diff(
+            array_unique(array_map('intval', $visitor_ids)),
+            $this->get_queued_visitor_ids()
+        ));
+
+        if (!$visitor_ids) {
+            return new WP_Error('nothing_to_enrich', 'No un-enriched prospects to enrich', ['status' => 400]);
+        }
+
+        $now = current_time('mysql');
+
+        $this->db->insert($this->table_jobs, [
+            'client_id'   => $scope['client_id'] ?: null,
+            'room'        => $scope['room'],
+            'campaign_id' => $scope['campaign_id'] ?: null,
+            'status'      => 'queued',
+            'total'       => count($visitor_ids),
+            'created_by'  => get_current_user_id(),
+            'created_at'  => $now,
+        ]);
+        $job_id = (int) $this->db->insert_id;
+
+        if (!$job_id) {
+            return new WP_Error('create_failed', 'Could not create the enrichment job', ['status' => 500]);
+        }
+
+        foreach (array_chunk($visitor_ids, 100) as $chunk) {
+            $rows = implode(',', array_map(
+                fn($visitor_id) => $this->db->prepare('(%d, %d, %s, %s)', $job_id, $visitor_id, 'pending', $now),
+                $chunk
+            ));
+            $this->db->query("INSERT INTO {$this->table_items} (job_id, visitor_id, status, updated_at) VALUES {$rows}");
+        }
+
+        $this->schedule();
+
+        return $this->get_job($job_id);
+    }
+
+    /**
+     * A job with its item counts by status.
+     */
+    public function get_job(int $job_id): ?array
+    {
+        if (!$this->install_schema()) {
+            return null;
+        }
+
+        $job = $this->db->get_row($this->db->prepare(
+            "SELECT * FROM {$this->table_jobs} WHERE id = %d",
+            $job_id
+        ), ARRAY_A);
+
+        return $job ? $this->format_job($job) : null;
+    }
+
+    /**
+     * Latest jobs, newest first.
+     *
+     * @return array<int,array>
+     */
+    public function get_jobs(?int $client_id = null, int $limit = 10): array
+    {
+        if (!$this->install_schema()) {
+            return [];
+        }
+
+        $where = $client_id ? $this->db->prepare('WHERE client_id = %d', $client_id) : '';
+
+        $jobs = $this->db->get_results($this->db->prepare(
+            "SELECT * FROM {$this->table_jobs} {$where} ORDER BY id DESC LIMIT %d",
+            $limit
+        ), ARRAY_A) ?: [];
+
+        return array_map([$this, 'format_job'], $jobs);
+    }
+
+    /**
+     * Stop a job; its pending items are skipped.
+     */
+    public function cancel_job(int $job_id): ?array
+    {
+        $job = $this->get_job($job_id);
+        if (!$job || !in_array($job['status'], ['queued', 'running'], true)) {
+            return $job;
+        }
+
+        $this->db->update($this->table_items, [
+            'status'     => 'skipped',
+            'message'    => 'Job cancelled',
+            'updated_at' => current_time('mysql'),
+        ], ['job_id' => $job_id, 'status' => 'pending']);
+
+        $this->db->update($this->table_jobs, [
+            'status'       => 'cancelled',
+            'completed_at' => current_time('mysql'),
+        ], ['id' => $job_id]);
+
+        return $this->get_job($job_id);
+    }
+
+    /**
+     * Process the next items of the oldest unfinished job.
+     *
+     * @return int Items processed
+     */
+    public function process_batch(): int
+    {
+        if (!$this->install_schema()) {
+            return 0;
+        }
+
+        $job = $this->db->get_row(
+            "SELECT * FROM {$this->table_jobs} WHERE status IN ('queued', 'running') ORDER BY id ASC LIMIT 1",
+            ARRAY_A
+        );
+
+        if (!$job) {
+            return 0;
+        }
+
+        if ($job['status'] === 'queued') {
+            $this->db->update($this->table_jobs, [
+                'status'     => 'running',
+                'started_at' => current_time('mysql'),
+            ], ['id' => $job['id']]);
+        }
+
+        $items = $this->db->get_results($this->db->prepare(
+            "SELECT * FROM {$this->table_items} WHERE job_id = %d AND status = 'pending' ORDER BY id ASC LIMIT %d",
+            $job['id'],
+            self::BATCH_SIZE
+        ), ARRAY_A) ?: [];
+
+        foreach ($items as $item) {
+            try {
+                $this->process_item($item, $job);
+            } catch (\Throwable $e) {
+                // Never leave an item pending: it would be picked again forever
+                error_log(sprintf('[DirectReach][EnrichmentQueue] Visitor %d failed: %s', $item['visitor_id'], $e->getMessage()));
+                $this->finish_item($item, 'failed', 'Error: ' . $e->getMessage());
+            }
+        }
+
+        $pending = (int) $this->db->get_var($this->db->prepare(
+            "SELECT COUNT(*) FROM {$this->table_items} WHERE job_id = %d AND status = 'pending'",
+            $job['id']
+        ));
+
+        if ($pending === 0) {
+            $this->db->update($this->table_jobs, [
+                'status'       => 'completed',
+                'completed_at' => current_time('mysql'),
+            ], ['id' => $job['id']]);
+        }
+
+        // A completed job still lets the next one start
+        return max(count($items), $pending === 0 ? 1 : 0);
+    }
+
+    /**
+     * Whether any job has items left.
+     */
+    public function has_pending(): bool
+    {
+        return $this->install_schema() && (bool) $this->db->get_var(
+            "SELECT 1 FROM {$this->table_jobs} WHERE status IN ('queued', 'running') LIMIT 1"
+        );
+    }
+
+    /**
+     * Run the next batch as soon as WP cron can, unless it's already due.
+     *
+     * @param int $delay Seconds to wait first
+     */
+    public function schedule(int $delay = 0): void
+    {
+        if (!wp_next_scheduled(self::CRON_HOOK)) {
+            wp_schedule_single_event(time() + $delay, self::CRON_HOOK);
+        }
+    }
+
+    /**
+     * Take the batch lock.
+     *
+     * A single INSERT IGNORE (or, once the holder's TTL has passed, a
+     * conditional UPDATE) so two cron runs cannot both get it.
+     *
+     * @return int|null Lock expiry to release with, null when held elsewhere
+     */
+    private function acquire_lock(): ?int
+    {
+        $now     = time();
+        $expires = $now + self::LOCK_TTL;
+
+        $taken = $this->db->query($this->db->prepare(
+            "INSERT IGNORE INTO {$this->db->options} (option_name, option_value, autoload) VALUES (%s, %s, 'no')",
+            self::LOCK_KEY,
+            (string) $expires
+        ));
+
+        if (!$taken) {
+            // Stale lock of a run that died without releasing it
+            $taken = $this->db->query($this->db->prepare(
+                "UPDATE {$this->db->options} SET option_value = %s WHERE option_name = %s AND CAST(option_value AS UNSIGNED) < %d",
+                (string) $expires,
+                self::LOCK_KEY,
+                $now
+            ));
+        }
+
+        return $taken ? $expires : null;
+    }
+
+    /**
+     * Release the batch lock, unless another run has since taken it over.
+     */
+    private function release_lock(int $expires): void
+    {
+        $this->db->query($this->db->prepare(
+            "DELETE FROM {$this->db->options} WHERE option_name = %s AND option_value = %s",
+            self::LOCK_KEY,
+            (string) $expires
+        ));
+    }
+
+    /**
+     * Visitors waiting in unfinished jobs.
+     *
+     * @return int[]
+     */
+    private function get_queued_visitor_ids(): array
+    {
+        return array_map('intval', $this->db->get_col(
+            "SELECT DISTINCT i.visitor_id FROM {$this->table_items} i
+             INNER JOIN {$this->table_jobs} j ON j.id = i.job_id
+             WHERE i.status = 'pending' AND j.status IN ('queued', 'running')"
+        ) ?: []);
+    }
+
+    private function format_job(array $job): array
+    {
+        $counts = array_fill_keys(self::ITEM_STATUSES, 0);
+
+        $rows = $this->db->get_results($this->db->prepare(
+            "SELECT status, COUNT(*) AS items, SUM(cost) AS cost FROM {$this->table_items} WHERE job_id = %d GROUP BY status",
+            $job['id']
+        ), ARRAY_A) ?: [];
+
+        $cost = 0.0;
+        foreach ($rows as $row) {
+            $counts[$row['status']] = (int) $row['items'];
+            $cost += (float) $row['cost'];
+        }
+
+        $total = (int) $job['total'];
+
+        return [
+            'id'           => (int) $job['id'],
+            'client_id'    => $job['client_id'] !== null ? (int) $job['client_id'] : null,
+            'room'         => $job['room'],
+            'campaign_id'  => $job['campaign_id'] !== null ? (int) $job['campaign_id'] : null,
+            'status'       => $job['status'],
+            'total'        => $total,
+            'processed'    => $total - $counts['pending'],
+            'progress'     => $total > 0 ? (int) floor(($total - $counts['pending']) / $total * 100) : 100,
+            'counts'       => $counts,
+            'cost'         => round($cost, 2),
+            'created_at'   => $job['created_at'],
+            'started_at'   => $job['started_at'],
+            'completed_at' => $job['completed_at'],
+        ];
+    }
+
+    // ------------------------------------------------------------------
+    // PROCESSING
+    // ------------------------------------------------------------------
+
+    /**
+     * Enrich one visitor, or send it to review.
+     */
+    private function process_item(array $item, array $job): void
+    {
+        $visitor_id = (int) $item['visitor_id'];
+        $cost       = 0.0;
+
+        $visitor = $this->db->get_row($this->db->prepare(
+            "SELECT * FROM {$this->table_visitors} WHERE id = %d",
+            $visitor_id
+        ), ARRAY_A);
+
+        if (!$visitor || empty($visitor['company_name'])) {
+            $this->finish_item($item, 'skipped', 'No company name');
+            return;
+        }
+
+        // Enriched by someone else since the job was queued
+        if (!empty($visitor['email'])) {
+            $this->finish_item($item, 'skipped', 'Already has an email');
+            return;
+        }
+
+        $search = $this->enrichment->search_contacts($visitor_id, $this->enrichment->company_lookup($visitor));
+        $cost  += $this->attempts_cost($search['attempts']);
+
+        if (!$search['contacts']) {
+            $this->finish_item($item, 'failed', 'No contacts found', ['cost' => $cost]);
+            return;
+        }
+
+        $client_id  = (int) ($job['client_id'] ?: $this->get_client_id($visitor_id));
+        $candidates = $this->rank_contacts($search['contacts'], $client_id);
+        $pick       = $this->pick_contact($candidates, $client_id);
+
+        if (!$pick['contact']) {
+            $this->finish_item($item, 'review', $pick['reason'], ['cost' => $cost, 'candidates' => $candidates]);
+            return;
+        }
+
+        $contact = $this->find_and_verify($visitor_id, $pick['contact']);
+        $cost   += $contact['cost'];
+        unset($contact['cost']);
+
+        // Keep what was learned about the pick for the reviewer
+        $candidates[$pick['index']] = $contact;
+        $name = ($contact['name'] ?? '') ?: trim(($contact['first_name'] ?? '') . ' ' . ($contact['last_name'] ?? ''));
+
+        $problem = null;
+        if (empty($contact['email'])) {
+            $problem = sprintf('No email found for %s', $name);
+        } elseif ($contact['email_low_confidence']) {
+            $problem = sprintf('Low-confidence email for %s (%d%%)', $name, $contact['email_confidence']);
+        } elseif (($contact['email_status'] ?? null) === 'invalid') {
+            $problem = sprintf('Email for %s failed verification', $name);
+        }
+
+        if ($problem) {
+            $this->finish_item($item, 'review', $problem, ['cost' => $cost, 'candidates' => $candidates, 'contact' => $contact]);
+            return;
+        }
+
+        $this->apply_contact($visitor_id, $contact);
+        $this->finish_item($item, 'enriched', sprintf('%s, %s', $name, $contact['job_title'] ?: 'no title'), [
+            'cost'    => $cost,
+            'contact' => $contact,
+        ]);
+    }
+
+    /**
+     * Contacts best first: target role category, then seniority.
+     *
+     * @return array<int,array> Contacts with role_category, role_priority and rank
+     */
+    private function rank_contacts(array $contacts, int $client_id): array
+    {
+        $calculator = $this->calculator();
+        $categories = $calculator ? count($calculator->get_target_roles($client_id)) : 0;
+
+        foreach ($contacts as &$contact) {
+            $match = $calculator ? $calculator->match_target_role((string) ($contact['job_title'] ?? ''), $client_id) : false;
+
+            $contact['role_category'] = $match ? (string) $match['category'] : null;
+            $contact['role_priority'] = $match ? (int) $match['priority'] : null;
+            $contact['rank']          = ($match ? ($categories - $match['priority']) * 10 : 0) + $this->seniority($contact);
+        }
+        unset($contact);
+
+        usort($contacts, fn($a, $b) => $b['rank'] <=> $a['rank']);
+
+        return array_slice($contacts, 0, self::MAX_CANDIDATES);
+    }
+
+    /**
+     * The contact to use, or why a person should choose.
+     *
+     * @param array<int,array> $candidates Ranked contacts
+     * @return array{contact:?array,index:int,reason:?string}
+     */
+    private function pick_contact(array $candidates, int $client_id): array
+    {
+        $calculator = $this->calculator();
+        $best       = $candidates[0];
+
+        if ($calculator && $calculator->get_target_roles($client_id) && $best['role_category'] === null) {
+            return ['contact' => null, 'index' => 0, 'reason' => 'No contact matches the target roles'];
+        }
+
+        $tied = count(array_filter($candidates, fn($contact) => $contact['rank'] === $best['rank']));
+        if ($tied > 1) {
+            return ['contact' => null, 'index' => 0, 'reason' => sprintf('%d contacts match equally well', $tied)];
+        }
+
+        return ['contact' => $best, 'index' => 0, 'reason' => null];
+    }
+
+    /**
+     * 1 (anyone) to 5 (C-suite), from the provider's seniority or the title.
+     */
+    private function seniority(array $contact): int
+    {
+        $text = strtolower(($contact['seniority'] ?? '') . ' ' . ($contact['job_title'] ?? ''));
+
+        foreach (self::SENIORITY as $rank => $keywords) {
+            foreach ($keywords as $keyword) {
+                if (preg_match('/\b' . preg_quote($keyword, '/') . '\b/', $text)) {
+                    return $rank;
+                }
+            }
+        }
+
+        return 1;
+    }
+
+    /**
+     * Find (unless the search returned it) and verify a contact's email.
+     *
+     * @return array The contact with email, email_provider, email_provider_label, email_confidence,
+     *               email_low_confidence, email_status, email_quality and cost
+     */
+    private function find_and_verify(int $visitor_id, array $contact): array
+    {
+        $cost = 0.0;
+
+        $contact += [
+            'email_provider'       => $contact['provider'] ?? null,
+            'email_provider_label' => $contact['provider_label'] ?? null,
+            'email_confidence'     => null,
+            'email_low_confidence' => false,
+        ];
+
+        if (empty($contact['email'])) {
+            $found = $this->enrichment->find_email($visitor_id, [
+                'first_name'   => (string) ($contact['first_name'] ?? ''),
+                'last_name'    => (string) ($contact['last_name'] ?? ''),
+                'domain'       => (string) ($contact['domain'] ?? ''),
+                'company_name' => (string) ($contact['company_name'] ?? ''),
+                'linkedin'     => (string) ($contact['linkedin'] ?? ''),
+                'refs'         => [(string) ($contact['provider'] ?? '') => (string) ($contact['ref'] ?? '')],
+            ]);
+            $cost += $this->attempts_cost($found['attempts']);
+
+            $contact = array_merge($contact, [
+                'email'                => $found['email'],
+                'email_provider'       => $found['provider'],
+                'email_provider_label' => $found['provider_label'],
+                'email_confidence'     => $found['confidence'],
+                'email_low_confidence' => $found['low_confidence'],
+            ]);
+        }
+
+        $contact['email_status']  = null;
+        $contact['email_quality'] = null;
+
+        if (!empty($contact['email']) && $this->enrichment->has_provider_for('verify_email')) {
+            $verification = $this->enrichment->verify_email($visitor_id, $contact['email']);
+            $cost += $this->attempts_cost($verification['attempts']);
+
+            if ($verification['result']) {
+                $contact['email_status']        = $verification['result']['status'];
+                $contact['email_quality']       = $verification['result']['quality'] ?: $verification['result']['status'];
+                $contact['verification_source'] = $verification['provider'];
+                $contact['verification_confidence'] = $verification['result']['confidence'];
+            }
+        }
+
+        $contact['cost'] = $cost;
+
+        return $contact;
+    }
+
+    /**
+     * Save a contact (and its email) to the visitor and its prospects.
+     */
+    private function apply_contact(int $visitor_id, array $contact): void
+    {
+        $first_name = (string) ($contact['first_name'] ?? '');
+        $last_name  = (string) ($contact['last_name'] ?? '');
+        $name       = (string) ($contact['name'] ?? '') ?: trim("{$first_name} {$last_name}");
+        $provider   = (string) ($contact['provider'] ?? '');
+
+        if ($first_name === '' && $name !== '') {
+            [$first_name, $last_name] = array_pad(explode(' ', $name, 2), 2, '');
+        }
+
+        $visitor_update  = ['first_name' => $first_name, 'last_name' => $last_name];
+        $prospect_update = ['contact_name' => $name, 'updated_at' => current_time('mysql')];
+
+        if (!empty($contact['job_title'])) {
+            $visitor_update['job_title']  = $contact['job_title'];
+            $prospect_update['job_title'] = $contact['job_title'];
+        }
+
+        if (!empty($contact['linkedin'])) {
+            $visitor_update['linkedin_url'] = esc_url_raw($contact['linkedin']);
+        }
+
+        if (!empty($contact['email'])) {
+            $visitor_update['email']          = $contact['email'];
+            $prospect_update['contact_email'] = $contact['email'];
+        }
+
+        if (!empty($contact['email_status'])) {
+            $prospect_update += [
+                'email_verified'            => $contact['email_status'] === 'valid' ? 1 : 0,
+                'email_verified_at'         => current_time('mysql'),
+                'email_quality'             => $contact['email_quality'],
+                'email_verification_status' => $contact['email_status'],
+            ];
+        }
+
+        if ($provider === 'aleads' && !empty($contact['ref'])) {
+            $prospect_update['aleads_member_id'] = $contact['ref'];
+        }
+
+        $this->db->update($this->table_visitors, $visitor_update, ['id' => $visitor_id]);
+        $this->db->update($this->table_prospects, $prospect_update, ['visitor_id' => $visitor_id]);
+
+        $fields = array_keys(array_filter([
+            'contact_name' => true,
+            'job_title'    => !empty($contact['job_title']),
+            'linkedin_url' => !empty($contact['linkedin']),
+        ]));
+        $this->enrichment->record_sources($visitor_id, $fields, $provider ?: Reading_Room_Enrichment::MANUAL);
+
+        if (!empty($contact['email'])) {
+            $this->enrichment->record_sources($visitor_id, ['email'], (string) (($contact['email_provider'] ?? '') ?: $provider ?: Reading_Room_Enrichment::MANUAL), $contact['email_confidence'] ?? null);
+        }
+
+        if (!empty($contact['verification_source'])) {
+            $this->enrichment->record_sources($visitor_id, ['email_verification'], $contact['verification_source'], $contact['verification_confidence']);
+        }
+
+        do_action('directreach_rtr_event', 'prospect-enriched', [
+            'visitor_id' => $visitor_id,
+            'email'      => $contact['email'] ?? '',
+            'source'     => $provider ?: 'manual',
+            'fields'     => array_keys($visitor_update),
+        ]);
+    }
+
+    private function finish_item(array $item, string $status, string $message, array $data = []): void
+    {
+        $this->db->update($this->table_items, [
+            'status'     => $status,
+            'message'    => mb_substr($message, 0, 255),
+            'contact'    => isset($data['contact']) ? wp_json_encode($data['contact']) : $item['contact'] ?? null,
+            'candidates' => isset($data['candidates']) ? wp_json_encode(array_values($data['candidates'])) : $item['candidates'] ?? null,
+            'cost'       => (float) ($item['cost'] ?? 0) + (float) ($data['cost'] ?? 0),
+            'updated_at' => current_time('mysql'),
+        ], ['id' => $item['id']]);
+    }
+
+    private function attempts_cost(array $attempts): float
+    {
+        return (float) array_sum(array_column($attempts, 'cost'));
+    }
+
+    /**
+     * Client of a visitor's prospect (via its campaign), for the role rules.
+     */
+    private function get_client_id(int $visitor_id): int
+    {
+        return (int) $this->db->get_var($this->db->prepare(
+            "SELECT c.client_id FROM {$this->table_prospects} p
+             INNER JOIN {$this->db->prefix}dr_campaign_settings c ON c.id = p.campaign_id
+             WHERE p.visitor_id = %d LIMIT 1",
+            $visitor_id
+        ));
+    }
+
+    /**
+     * The scoring system's calculator, when that plugin is active.
+     *
+     * @return \RTR_Score_Calculator|null
+     */
+    private function calculator()
+    {
+        if ($this->calculator === null) {
+            $this->calculator = class_exists('\RTR_Score_Calculator') ? new \RTR_Score_Calculator() : false;
+        }
+
+        return $this->calculator ?: null;
+    }
+
+    // ------------------------------------------------------------------
+    // REVIEW QUEUE
+    // ------------------------------------------------------------------
+
+    /**
+     * Items waiting for a person, oldest first.
+     *
+     * @return array<int,array>
+     */
+    public function get_review_items(?int $client_id = null, int $limit = 50): array
+    {
+        if (!$this->install_schema()) {
+            return [];
+        }
+
+        $where = $client_id ? $this->db->prepare(' AND j.client_id = %d', $client_id) : '';
+
+        $rows = $this->db->get_results($this->db->prepare(
+            "SELECT i.id, i.job_id, i.visitor_id, i.message, i.contact, i.candidates, i.updated_at,
+                    j.room, v.company_name
+             FROM {$this->table_items} i
+             INNER JOIN {$this->table_jobs} j ON j.id = i.job_id
+             LEFT JOIN {$this->table_visitors} v ON v.id = i.visitor_id
+             WHERE i.status = 'review'{$where}
+             ORDER BY i.id ASC
+             LIMIT %d",
+            $limit
+        ), ARRAY_A) ?: [];
+
+        return array_map(static function (array $row): array {
+            $row['id']         = (int) $row['id'];
+            $row['job_id']     = (int) $row['job_id'];
+            $row['visitor_id'] = (int) $row['visitor_id'];
+            $row['contact']    = $row['contact'] ? json_decode($row['contact'], true) : null;
+            $row['candidates'] = $row['candidates'] ? (json_decode($row['candidates'], true) ?: []) : [];
+            return $row;
+        }, $rows);
+    }
+
+    public function count_review_items(?int $client_id = null): int
+    {
+        if (!$this->install_schema()) {
+            return 0;
+        }
+
+        $where = $client_id ? $this->db->prepare(' AND j.client_id = %d', $client_id) : '';
+
+        return (int) $this->db->get_var(
+            "SELECT COUNT(*) FROM {$this->table_items} i
+             INNER JOIN {$this->table_jobs} j ON j.id = i.job_id
+             WHERE i.status = 'review'{$where}"
+        );
+    }
+
+    /**
+     * Settle a review item: apply one of its candidates (finding and
+     * verifying the email if that wasn't done yet) or dismiss it.
+     *
+     * @param int      $item_id
+     * @param string   $action    apply or dismiss
+     * @param int|null $candidate Index in the item's candidates (apply)
+     * @return array|WP_Error The applied contact (empty when dismissed)
+     */
+    public function resolve_review_item(int $item_id, string $action, ?int $candidate = null)
+    {
+        if (!$this->install_schema()) {
+            return new WP_Error('schema_failed', 'Could not create the enrichment queue tables', ['status' => 500]);
+        }
+
+        $item = $this->db->get_row($this->db->prepare(
+            "SELECT * FROM {$this->table_items} WHERE id = %d AND status = 'review'",
+            $item_id
+        ), ARRAY_A);
+
+        if (!$item) {
+            return new WP_Error('not_found', 'Review item not found or already resolved', ['status' => 404]);
+        }
+
+        if ($action === 'dismiss') {
+            $this->finish_item($item, 'dismissed', 'Dismissed in review');
+            $this->db->update($this->table_items, ['reviewed_by' => get_current_user_id()], ['id' => $item_id]);
+            return [];
+        }
+
+        $candidates = json_decode((string) $item['candidates'], true) ?: [];
+        if ($candidate === null || !isset($candidates[$candidate])) {
+            return new WP_Error('invalid_candidate', 'Choose one of the candidates', ['status' => 400]);
+        }
+
+        $visitor_id = (int) $item['visitor_id'];
+        $contact    = $candidates[$candidate];
+        $cost       = 0.0;
+
+        if (!array_key_exists('email_status', $contact)) {
+            $contact = $this->find_and_verify($visitor_id, $contact);
+            $cost    = $contact['cost'];
+            unset($contact['cost']);
+        }
+
+        $this->apply_contact($visitor_id, $contact);
+
+        $name = ($contact['name'] ?? '') ?: trim(($contact['first_name'] ?? '') . ' ' . ($contact['last_name'] ?? ''));
+        $this->finish_item($item, 'resolved', sprintf('%s, chosen in review', $name), [
+            'cost'    => $cost,
+            'contact' => $contact,
+        ]);
+        $this->db->update($this->table_items, ['reviewed_by' => get_current_user_id()], ['id' => $item_id]);
+
+        return $contact;
+    }
+}
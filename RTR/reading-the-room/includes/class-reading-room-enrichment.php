@@ -0,0 +1,700 @@
+<?php
+/**
+ * Reading Room Enrichment
+ *
+ * Runs prospect enrichment across the registered providers (A-Leads, the
+ * local mock provider and any added through the
+ * directreach_rtr_enrichment_providers filter). Each lookup - contact
+ * search, email finder, email verification - walks the enabled providers
+ * in the configured order and stops at the first good answer:
+ *
+ * - contact search: the first provider returning any contacts
+ * - email finder: the first email at or above the minimum confidence;
+ *   otherwise the most confident email found
+ * - verification: the first valid or invalid verdict; otherwise the most
+ *   confident risky/unknown one
+ *
+ * Every provider call is logged in rtr_enrichment_lookups with its
+ * outcome, confidence and cost (credits per lookup, set per provider;
+ * failed calls cost nothing), for the usage figures in the provider
+ * settings. The same table records which provider supplied each
+ * prospect field once it's saved ("applied" rows), which the enrichment
+ * modal shows next to the fields.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+declare(strict_types=1);
+
+namespace DirectReach\ReadingTheRoom;
+
+use DirectReach\ReadingTheRoom\Enrichment\ALeads_Provider;
+use DirectReach\ReadingTheRoom\Enrichment\Enrichment_Provider;
+use DirectReach\ReadingTheRoom\Enrichment\Mock_Provider;
+use Throwable;
+use WP_Error;
+use wpdb;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+final class Reading_Room_Enrichment
+{
+    /** Prospect fields a provider can supply */
+    public const FIELDS = ['contact_name', 'job_title', 'company_name', 'linkedin_url', 'email', 'email_verification'];
+
+    /** Provider ID recorded for fields typed in by a user */
+    public const MANUAL = 'manual';
+
+    /** Option holding the provider settings */
+    private const SETTINGS_OPTION = 'rtr_enrichment_providers';
+
+    private const DEFAULT_MIN_CONFIDENCE = 70;
+
+    /** Days of lookups in the usage figures */
+    private const USAGE_DAYS = 30;
+
+    /** @var wpdb */
+    private $db;
+
+    /** @var string */
+    private $table;
+
+    /** @var string */
+    private $schema_version = '1.0.0';
+
+    /** @var array<string,Enrichment_Provider>|null In waterfall order */
+    private $providers;
+
+    /**
+     * Constructor.
+     *
+     * @param wpdb $wpdb
+     */
+    public function __construct(wpdb $wpdb)
+    {
+        $this->db    = $wpdb;
+        $this->table = "{$wpdb->prefix}rtr_enrichment_lookups";
+    }
+
+    /**
+     * Create the lookups table if needed.
+     */
+    public function install_schema(): bool
+    {
+        if (version_compare(get_option('rtr_enrichment_db_version', '0.0.0'), $this->schema_version, '>=')) {
+            return true;
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $charset_collate = $this->db->get_charset_collate();
+
+        dbDelta("CREATE TABLE {$this->table} (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            visitor_id BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            provider VARCHAR(50) NOT NULL,
+            capability VARCHAR(30) NOT NULL,
+            status VARCHAR(20) NOT NULL,
+            confidence TINYINT UNSIGNED NULL,
+            cost DECIMAL(10,4) NOT NULL DEFAULT 0,
+            duration_ms INT UNSIGNED NOT NULL DEFAULT 0,
+            fields VARCHAR(255) NULL,
+            user_id BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            created_at DATETIME NOT NULL,
+            PRIMARY KEY  (id),
+            KEY idx_visitor (visitor_id),
+            KEY idx_provider_created (provider, created_at)
+        ) {$charset_collate};");
+
+        if ($this->db->get_var("SHOW TABLES LIKE '{$this->table}'") !== $this->table) {
+            error_log('[DirectReach][Enrichment] Failed to create table ' . $this->table);
+            return false;
+        }
+
+        update_option('rtr_enrichment_db_version', $this->schema_version);
+        return true;
+    }
+
+    // ------------------------------------------------------------------
+    // PROVIDERS & SETTINGS
+    // ------------------------------------------------------------------
+
+    /**
+     * Registered providers with their credentials, in waterfall order.
+     *
+     * @return array<string,Enrichment_Provider>
+     */
+    public function get_providers(): array
+    {
+        if ($this->providers !== null) {
+            return $this->providers;
+        }
+
+        $registered = (array) apply_filters('directreach_rtr_enrichment_providers', [
+            new ALeads_Provider(),
+            new Mock_Provider(),
+        ]);
+
+        $settings  = $this->get_settings();
+        $providers = [];
+
+        foreach ($registered as $provider) {
+            if (!$provider instanceof Enrichment_Provider) {
+                continue;
+            }
+
+            $provider->set_credentials($this->get_provider_settings($provider->get_id())['credentials']);
+            $providers[$provider->get_id()] = $provider;
+        }
+
+        // Saved order first, providers registered since then after it
+        $order = array_intersect($settings['order'], array_keys($providers));
+        $this->providers = array_merge(array_flip($order), $providers);
+
+        return $this->providers;
+    }
+
+    /**
+     * Provider settings, secrets included.
+     *
+     * @return array{min_confidence:int,order:string[],providers:array<string,array>}
+     */
+    public function get_settings(): array
+    {
+        $saved = get_option(self::SETTINGS_OPTION, []);
+        $saved = is_array($saved) ? $saved : [];
+
+        return [
+            'min_confidence' => (int) ($saved['min_confidence'] ?? self::DEFAULT_MIN_CONFIDENCE),
+            'order'          => array_values((array) ($saved['order'] ?? [])),
+            'providers'      => (array) ($saved['providers'] ?? []),
+        ];
+    }
+
+    /**
+     * One provider's settings. Only A-Leads is on until configured
+     * otherwise, as before providers were configurable.
+     *
+     * @return array{enabled:bool,credentials:array<string,string>,costs:array<string,float>}
+     */
+    private function get_provider_settings(string $id): array
+    {
+        $saved = $this->get_settings()['providers'][$id] ?? [];
+
+        return [
+            'enabled'     => (bool) ($saved['enabled'] ?? $id === 'aleads'),
+            'credentials' => (array) ($saved['credentials'] ?? []),
+            'costs'       => (array) ($saved['costs'] ?? []),
+        ];
+    }
+
+    /**
+     * Settings for the settings form: secrets are replaced by is_set
+     * flags, and the last 30 days of usage are included.
+     *
+     * @return array<string,mixed>
+     */
+    public function get_public_settings(): array
+    {
+        $usage     = $this->get_usage();
+        $providers = [];
+
+        foreach ($this->get_providers() as $id => $provider) {
+            $settings    = $this->get_provider_settings($id);
+            $credentials = [];
+
+            foreach ($provider->get_credential_fields() as $key => $field) {
+                $value = (string) ($settings['credentials'][$key] ?? '');
+
+                $credentials[$key] = [
+                    'label'    => $field['label'],
+                    'secret'   => !empty($field['secret']),
+                    'required' => !empty($field['required']),
+                    'value'    => empty($field['secret']) ? $value : '',
+                    'is_set'   => $value !== '',
+                ];
+            }
+
+            $providers[] = [
+                'id'           => $id,
+                'label'        => $provider->get_label(),
+                'capabilities' => $provider->get_capabilities(),
+                'enabled'      => $settings['enabled'],
+                'configured'   => $provider->is_configured(),
+                'credentials'  => $credentials,
+                'costs'        => $this->get_costs($provider),
+                'usage'        => $usage[$id] ?? ['lookups' => 0, 'hits' => 0, 'cost' => 0.0, 'avg_confidence' => null],
+            ];
+        }
+
+        return [
+            'min_confidence' => $this->get_settings()['min_confidence'],
+            'usage_days'     => self::USAGE_DAYS,
+            'providers'      => $providers,
+        ];
+    }
+
+    /**
+     * Validate and save the provider settings. Providers are given in
+     * waterfall order; blank secrets keep the stored value.
+     *
+     * @param array<string,mixed> $input min_confidence, providers: [{id, enabled, credentials, costs}]
+     * @return array<string,mixed>|WP_Error Public settings
+     */
+    public function save_settings(array $input)
+    {
+        $settings  = $this->get_settings();
+        $providers = $this->get_providers();
+
+        if (isset($input['min_confidence'])) {
+            $min_confidence = (int) $input['min_confidence'];
+            if ($min_confidence < 0 || $min_confidence > 100) {
+                return new WP_Error('invalid_confidence', 'Minimum confidence must be between 0 and 100', ['status' => 400]);
+            }
+            $settings['min_confidence'] = $min_confidence;
+        }
+
+        $order = [];
+
+        foreach ((array) ($input['providers'] ?? []) as $entry) {
+            $id = (string) ($entry['id'] ?? '');
+            if (!isset($providers[$id])) {
+                continue;
+            }
+
+            $provider = $providers[$id];
+            $current  = $this->get_provider_settings($id);
+            $order[]  = $id;
+
+            if (array_key_exists('enabled', $entry)) {
+                $current['enabled'] = filter_var($entry['enabled'], FILTER_VALIDATE_BOOLEAN);
+            }
+
+            foreach ($provider->get_credential_fields() as $key => $field) {
+                if (!array_key_exists($key, (array) ($entry['credentials'] ?? []))) {
+                    continue;
+                }
+
+                $value = trim((string) $entry['credentials'][$key]);
+                if (!empty($field['secret']) && $value === '') {
+                    continue;
+                }
+
+                $current['credentials'][$key] = sanitize_text_field($value);
+            }
+
+            foreach ($provider->get_capabilities() as $capability) {
+                if (isset($entry['costs'][$capability])) {
+                    $current['costs'][$capability] = max(0.0, round((float) $entry['costs'][$capability], 4));
+                }
+            }
+
+            // Check the credentials as they'll be saved
+            $provider->set_credentials($current['credentials']);
+            if ($current['enabled'] && !$provider->is_configured()) {
+                $this->providers = null;
+                return new WP_Error(
+                    'provider_not_configured',
+                    sprintf('%s needs its credentials before it can be enabled', $provider->get_label()),
+                    ['status' => 400]
+                );
+            }
+
+            $settings['providers'][$id] = $current;
+        }
+
+        $settings['order'] = array_values(array_unique(array_merge($order, $settings['order'])));
+
+        update_option(self::SETTINGS_OPTION, $settings, false);
+        $this->providers = null;
+
+        return $this->get_public_settings();
+    }
+
+    /**
+     * Credits per lookup, by capability.
+     *
+     * @return array<string,float>
+     */
+    private function get_costs(Enrichment_Provider $provider): array
+    {
+        $saved    = $this->get_provider_settings($provider->get_id())['costs'];
+        $defaults = $provider->get_default_costs();
+        $costs    = [];
+
+        foreach ($provider->get_capabilities() as $capability) {
+            $costs[$capability] = (float) ($saved[$capability] ?? $defaults[$capability] ?? 0);
+        }
+
+        return $costs;
+    }
+
+    /**
+     * Whether lookups of a kind go to a provider.
+     */
+    private function is_active(Enrichment_Provider $provider, string $capability): bool
+    {
+        return $provider->supports($capability)
+            && $this->get_provider_settings($provider->get_id())['enabled']
+            && $provider->is_configured();
+    }
+
+    /**
+     * Whether any enabled provider handles a kind of lookup.
+     */
+    public function has_provider_for(string $capability): bool
+    {
+        foreach ($this->get_providers() as $provider) {
+            if ($this->is_active($provider, $capability)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    public function get_provider_label(string $id): string
+    {
+        if ($id === self::MANUAL) {
+            return 'Manual entry';
+        }
+
+        $providers = $this->get_providers();
+        return isset($providers[$id]) ? $providers[$id]->get_label() : $id;
+    }
+
+    // ------------------------------------------------------------------
+    // LOOKUPS
+    // ------------------------------------------------------------------
+
+    /**
+     * Company name and domain (from the website) of a visitor, for
+     * provider lookups.
+     *
+     * @param array $visitor cpd_visitors row
+     * @return array{company_name:string,domain:string}
+     */
+    public function company_lookup(array $visitor): array
+    {
+        $website = trim((string) ($visitor['website'] ?? ''));
+        if ($website !== '' && !preg_match('#^https?://#i', $website)) {
+            $website = 'https://' . $website;
+        }
+
+        $host = $website !== '' ? (string) parse_url($website, PHP_URL_HOST) : '';
+
+        return [
+            'company_name' => (string) ($visitor['company_name'] ?? ''),
+            'domain'       => strtolower((string) preg_replace('/^www\./i', '', $host)),
+        ];
+    }
+
+    /**
+     * Contacts at a company, from the first provider that has any.
+     *
+     * @param int   $visitor_id Visitor the lookup is for
+     * @param array $company    company_name, domain
+     * @return array{contacts:array,provider:?string,provider_label:?string,attempts:array}
+     */
+    public function search_contacts(int $visitor_id, array $company): array
+    {
+        $company = [
+            'company_name' => (string) ($company['company_name'] ?? ''),
+            'domain'       => (string) ($company['domain'] ?? ''),
+        ];
+
+        $run = $this->run(
+            'search_contacts',
+            $visitor_id,
+            static fn(Enrichment_Provider $provider) => $provider->search_contacts($company),
+            static fn($contacts) => [empty($contacts) ? 'not_found' : 'found', null]
+        );
+
+        $best     = $run['best'];
+        $contacts = [];
+
+        foreach ($best ? $best['result'] : [] as $contact) {
+            $contacts[] = array_merge($contact, [
+                'ref'            => (string) ($contact['ref'] ?? ''),
+                'provider'       => $best['provider'],
+                'provider_label' => $best['provider_label'],
+            ]);
+        }
+
+        return [
+            'contacts'       => $contacts,
+            'provider'       => $best['provider'] ?? null,
+            'provider_label' => $best['provider_label'] ?? null,
+            'attempts'       => $run['attempts'],
+        ];
+    }
+
+    /**
+     * A person's email address, stopping at the first one at or above
+     * the minimum confidence.
+     *
+     * @param int   $visitor_id Visitor the lookup is for
+     * @param array $person     first_name, last_name, domain, company_name, linkedin and
+     *                          refs (provider ID => the provider's ID for the person)
+     * @return array{email:?string,confidence:?int,low_confidence:bool,provider:?string,provider_label:?string,attempts:array}
+     */
+    public function find_email(int $visitor_id, array $person): array
+    {
+        $min_confidence = $this->get_settings()['min_confidence'];
+        $refs           = (array) ($person['refs'] ?? []);
+        unset($person['refs']);
+
+        $run = $this->run(
+            'find_email',
+            $visitor_id,
+            static fn(Enrichment_Provider $provider) => $provider->find_email(
+                array_merge($person, ['ref' => (string) ($refs[$provider->get_id()] ?? '')])
+            ),
+            static function ($result) use ($min_confidence): array {
+                if (empty($result['email']) || !is_email($result['email'])) {
+                    return ['not_found', null];
+                }
+
+                $confidence = max(0, min(100, (int) ($result['confidence'] ?? 0)));
+                return [$confidence >= $min_confidence ? 'found' : 'low_confidence', $confidence];
+            }
+        );
+
+        $best = $run['best'];
+
+        return [
+            'email'          => $best ? sanitize_email($best['result']['email']) : null,
+            'confidence'     => $best['confidence'] ?? null,
+            'low_confidence' => $best !== null && $best['status'] !== 'found',
+            'provider'       => $best['provider'] ?? null,
+            'provider_label' => $best['provider_label'] ?? null,
+            'attempts'       => $run['attempts'],
+        ];
+    }
+
+    /**
+     * Deliverability of an address, stopping at the first valid or
+     * invalid verdict.
+     *
+     * @return array{result:?array,provider:?string,provider_label:?string,attempts:array}
+     *         result: status, confidence, quality, catch_all, esp
+     */
+    public function verify_email(int $visitor_id, string $email): array
+    {
+        $run = $this->run(
+            'verify_email',
+            $visitor_id,
+            static fn(Enrichment_Provider $provider) => $provider->verify_email($email),
+            static function ($result): array {
+                $status = $result['status'] ?? null;
+                if (!in_array($status, Enrichment_Provider::VERIFY_STATUSES, true)) {
+                    return ['not_found', null];
+                }
+
+                $confidence = max(0, min(100, (int) ($result['confidence'] ?? 0)));
+                return [in_array($status, ['valid', 'invalid'], true) ? 'found' : 'inconclusive', $confidence];
+            }
+        );
+
+        $best = $run['best'];
+
+        return [
+            'result'         => $best ? array_merge([
+                'quality'   => null,
+                'catch_all' => false,
+                'esp'       => null,
+            ], $best['result'], ['confidence' => $best['confidence']]) : null,
+            'provider'       => $best['provider'] ?? null,
+            'provider_label' => $best['provider_label'] ?? null,
+            'attempts'       => $run['attempts'],
+        ];
+    }
+
+    /**
+     * Ask the active providers in order until one gives a good answer.
+     *
+     * @param string   $capability Kind of lookup
+     * @param int      $visitor_id Visitor the lookup is for
+     * @param callable $lookup     Provider => result
+     * @param callable $evaluate   Result => [status, confidence]; status "found" ends the waterfall,
+     *                             "low_confidence"/"inconclusive" keep the result as a fallback
+     * @return array{best:?array,attempts:array}
+     */
+    private function run(string $capability, int $visitor_id, callable $lookup, callable $evaluate): array
+    {
+        $attempts = [];
+        $best     = null;
+
+        foreach ($this->get_providers() as $id => $provider) {
+            if (!$this->is_active($provider, $capability)) {
+                continue;
+            }
+
+            $started = microtime(true);
+
+            try {
+                $result = $lookup($provider);
+                [$status, $confidence] = $evaluate($result);
+            } catch (Throwable $e) {
+                error_log(sprintf('[DirectReach][Enrichment] %s %s failed: %s', $provider->get_label(), $capability, $e->getMessage()));
+                $result     = null;
+                $status     = 'error';
+                $confidence = null;
+            }
+
+            $attempt = [
+                'provider'       => $id,
+                'provider_label' => $provider->get_label(),
+                'status'         => $status,
+                'confidence'     => $confidence,
+                'cost'           => $status === 'error' ? 0.0 : $this->get_costs($provider)[$capability],
+                'duration_ms'    => (int) round((microtime(true) - $started) * 1000),
+            ];
+
+            $attempts[] = $attempt;
+            $this->log($visitor_id, $capability, $attempt);
+
+            if (in_array($status, ['found', 'low_confidence', 'inconclusive'], true)
+                && ($best === null || ($confidence ?? 0) > ($best['confidence'] ?? 0))) {
+                $best = [
+                    'result'         => $result,
+                    'provider'       => $id,
+                    'provider_label' => $provider->get_label(),
+                    'status'         => $status,
+                    'confidence'     => $confidence,
+                ];
+            }
+
+            if ($status === 'found') {
+                break;
+            }
+        }
+
+        return ['best' => $best, 'attempts' => $attempts];
+    }
+
+    private function log(int $visitor_id, string $capability, array $attempt, ?array $fields = null): void
+    {
+        if (!$this->install_schema()) {
+            return;
+        }
+
+        $this->db->insert($this->table, [
+            'visitor_id'  => $visitor_id,
+            'provider'    => $attempt['provider'],
+            'capability'  => $capability,
+            'status'      => $attempt['status'],
+            'confidence'  => $attempt['confidence'],
+            'cost'        => $attempt['cost'] ?? 0,
+            'duration_ms' => $attempt['duration_ms'] ?? 0,
+            'fields'      => $fields ? implode(',', $fields) : null,
+            'user_id'     => get_current_user_id(),
+            'created_at'  => current_time('mysql'),
+        ]);
+    }
+
+    // ------------------------------------------------------------------
+    // FIELD SOURCES & USAGE
+    // ------------------------------------------------------------------
+
+    /**
+     * Record which provider supplied prospect fields that were saved.
+     *
+     * @param int      $visitor_id
+     * @param string[] $fields     See FIELDS
+     * @param string   $provider   Provider ID, or MANUAL
+     * @param int|null $confidence
+     */
+    public function record_sources(int $visitor_id, array $fields, string $provider, ?int $confidence = null): void
+    {
+        $fields = array_values(array_intersect($fields, self::FIELDS));
+        if (!$fields) {
+            return;
+        }
+
+        $this->log($visitor_id, 'apply', [
+            'provider'   => sanitize_key($provider) ?: self::MANUAL,
+            'status'     => 'applied',
+            'confidence' => $confidence,
+        ], $fields);
+    }
+
+    /**
+     * Where each of a prospect's fields came from (the latest save).
+     *
+     * @return array<string,array{provider:string,provider_label:string,confidence:?int,at:string}>
+     */
+    public function get_field_sources(int $visitor_id): array
+    {
+        if (!$this->install_schema()) {
+            return [];
+        }
+
+        $rows = $this->db->get_results($this->db->prepare(
+            "SELECT provider, confidence, fields, created_at FROM {$this->table}
+             WHERE visitor_id = %d AND status = 'applied'
+             ORDER BY id DESC",
+            $visitor_id
+        ), ARRAY_A) ?: [];
+
+        $sources = [];
+
+        foreach ($rows as $row) {
+            foreach (explode(',', (string) $row['fields']) as $field) {
+                if ($field === '' || isset($sources[$field])) {
+                    continue;
+                }
+
+                $sources[$field] = [
+                    'provider'       => $row['provider'],
+                    'provider_label' => $this->get_provider_label($row['provider']),
+                    'confidence'     => $row['confidence'] !== null ? (int) $row['confidence'] : null,
+                    'at'             => $row['created_at'],
+                ];
+            }
+        }
+
+        return $sources;
+    }
+
+    /**
+     * Lookups, hits, credits spent and average confidence per provider
+     * over the last 30 days.
+     *
+     * @return array<string,array{lookups:int,hits:int,cost:float,avg_confidence:?int}>
+     */
+    public function get_usage(): array
+    {
+        if (!$this->install_schema()) {
+            return [];
+        }
+
+        $rows = $this->db->get_results($this->db->prepare(
+            "SELECT provider,
+                    COUNT(*) AS lookups,
+                    SUM(status IN ('found', 'low_confidence', 'inconclusive')) AS hits,
+                    SUM(cost) AS cost,
+                    AVG(confidence) AS avg_confidence
+             FROM {$this->table}
+             WHERE status <> 'applied' AND created_at >= %s
+             GROUP BY provider",
+            wp_date('Y-m-d H:i:s', time() - self::USAGE_DAYS * DAY_IN_SECONDS)
+        ), ARRAY_A) ?: [];
+
+        $usage = [];
+
+        foreach ($rows as $row) {
+            $usage[$row['provider']] = [
+                'lookups'        => (int) $row['lookups'],
+                'hits'           => (int) $row['hits'],
+                'cost'           => round((float) $row['cost'], 2),
+                'avg_confidence' => $row['avg_confidence'] !== null ? (int) round((float) $row['avg_confidence']) : null,
+            ];
+        }
+
+        return $usage;
+    }
+}
@@ -0,0 +1,299 @@
+<?php
+/**
+ * Reading Room Events
+ *
+ * Short-lived log of dashboard events read by the realtime stream
+ * (Server-Sent Events, with a long-poll fallback). Producers in any
+ * DirectReach plugin publish with
+ * do_action('directreach_rtr_event', $type, $data), so they keep working
+ * when this plugin is inactive. Events are pruned after a day.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+declare(strict_types=1);
+
+namespace DirectReach\ReadingTheRoom;
+
+use wpdb;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+final class Reading_Room_Events
+{
+    /**
+     * Event types the stream carries.
+     */
+    public const TYPES = [
+        'prospect-created',
+        'room-changed',
+        'score-changed',
+        'email-state-changed',
+        'email-opened',
+    ];
+
+    /** Daily prune hook */
+    public const CRON_HOOK = 'dr_rtr_prune_events';
+
+    /** Hours events are kept */
+    private const RETENTION_HOURS = 24;
+
+    /** @var wpdb */
+    private $db;
+
+    /** @var string */
+    private $table_events;
+
+    /** @var string */
+    private $table_prospects;
+
+    /** @var string */
+    private $table_campaigns;
+
+    /** @var string */
+    private $schema_version = '1.0.0';
+
+    /**
+     * Constructor.
+     *
+     * @param wpdb $wpdb
+     */
+    public function __construct(wpdb $wpdb)
+    {
+        $this->db = $wpdb;
+        $prefix   = $wpdb->prefix;
+
+        $this->table_events    = "{$prefix}rtr_events";
+        $this->table_prospects = "{$prefix}rtr_prospects";
+        $this->table_campaigns = "{$prefix}dr_campaign_settings";
+    }
+
+    /**
+     * Hook the publish action and the daily prune.
+     */
+    public static function init(): void
+    {
+        add_action('directreach_rtr_event', [__CLASS__, 'handle_event'], 10, 2);
+        add_action(self::CRON_HOOK, [__CLASS__, 'run_prune']);
+
+        if (!wp_next_scheduled(self::CRON_HOOK)) {
+            wp_schedule_event(time() + HOUR_IN_SECONDS, 'daily', self::CRON_HOOK);
+        }
+    }
+
+    /**
+     * directreach_rtr_event callback.
+     *
+     * @param string              $type Event type
+     * @param array<string,mixed> $data Event data
+     */
+    public static function handle_event($type, $data = []): void
+    {
+        global $wpdb;
+        (new self($wpdb))->publish((string) $type, (array) $data);
+    }
+
+    /**
+     * Cron callback.
+     */
+    public static function run_prune(): void
+    {
+        global $wpdb;
+        $pruned = (new self($wpdb))->prune();
+
+        if ($pruned > 0) {
+            error_log(sprintf('[DirectReach][Events] Pruned %d events', $pruned));
+        }
+    }
+
+    /**
+     * Create the events table if needed.
+     */
+    public function install_schema(): bool
+    {
+        if (version_compare(get_option('rtr_events_db_version', '0.0.0'), $this->schema_version, '>=')) {
+            return true;
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $charset_collate = $this->db->get_charset_collate();
+
+        dbDelta("CREATE TABLE {$this->table_events} (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            event_type VARCHAR(40) NOT NULL,
+            prospect_id BIGINT UNSIGNED NULL,
+            visitor_id BIGINT UNSIGNED NULL,
+            client_id BIGINT UNSIGNED NULL,
+            payload LONGTEXT NULL,
+            created_at DATETIME NOT NULL,
+            PRIMARY KEY  (id),
+            KEY idx_client (client_id, id),
+            KEY idx_created_at (created_at)
+        ) {$charset_collate};");
+
+        if ($this->db->get_var("SHOW TABLES LIKE '{$this->table_events}'") !== $this->table_events) {
+            error_log('[DirectReach][Events] Failed to create table ' . $this->table_events);
+            return false;
+        }
+
+        update_option('rtr_events_db_version', $this->schema_version);
+        return true;
+    }
+
+    /**
+     * Record an event.
+     *
+     * $data needs a prospect_id or visitor_id; the rest is passed to the
+     * dashboard as-is. A score-changed event whose room differs from
+     * previous_room also records a room-changed event.
+     *
+     * @param string              $type Event type (one of TYPES)
+     * @param array<string,mixed> $data Event data
+     * @return int Event ID, 0 if not recorded
+     */
+    public function publish(string $type, array $data): int
+    {
+        if (!in_array($type, self::TYPES, true) || !$this->install_schema()) {
+            return 0;
+        }
+
+        $prospect = $this->find_prospect((int) ($data['prospect_id'] ?? 0), (int) ($data['visitor_id'] ?? 0));
+        if (!$prospect) {
+            return 0;
+        }
+
+        $data['prospect_id'] = (int) $prospect['id'];
+        $data['visitor_id']  = (int) $prospect['visitor_id'];
+        $data['client_id']   = (int) $prospect['client_id'];
+
+        $result = $this->db->insert(
+            $this->table_events,
+            [
+                'event_type'  => $type,
+                'prospect_id' => $data['prospect_id'],
+                'visitor_id'  => $data['visitor_id'],
+                'client_id'   => $data['client_id'] ?: null,
+                'payload'     => wp_json_encode($data),
+                'created_at'  => current_time('mysql'),
+            ],
+            ['%s', '%d', '%d', '%d', '%s', '%s']
+        );
+
+        if ($result === false) {
+            error_log('[DirectReach][Events] publish failed: ' . $this->db->last_error);
+            return 0;
+        }
+
+        $id = (int) $this->db->insert_id;
+
+        if ($type === 'score-changed'
+            && !empty($data['room'])
+            && isset($data['previous_room'])
+            && $data['room'] !== $data['previous_room']) {
+            return $this->publish('room-changed', $data);
+        }
+
+        return $id;
+    }
+
+    /**
+     * Events after an ID.
+     *
+     * @param int      $last_id   Last event ID the client has seen
+     * @param int|null $client_id Only events for this client
+     * @param int      $limit     Maximum events
+     * @return array<int,array<string,mixed>> [{ id, type, data }]
+     */
+    public function get_since(int $last_id, ?int $client_id = null, int $limit = 100): array
+    {
+        if (!$this->install_schema()) {
+            return [];
+        }
+
+        $sql    = "SELECT id, event_type, payload FROM {$this->table_events} WHERE id > %d";
+        $params = [$last_id];
+
+        if ($client_id) {
+            $sql     .= ' AND client_id = %d';
+            $params[] = $client_id;
+        }
+
+        $sql     .= ' ORDER BY id ASC LIMIT %d';
+        $params[] = $limit;
+
+        $rows = $this->db->get_results($this->db->prepare($sql, ...$params), ARRAY_A) ?: [];
+
+        return array_map(static function (array $row): array {
+            return [
+                'id'   => (int) $row['id'],
+                'type' => $row['event_type'],
+                'data' => json_decode((string) $row['payload'], true) ?: [],
+            ];
+        }, $rows);
+    }
+
+    /**
+     * ID of the newest event (where a new client starts from).
+     */
+    public function get_last_id(): int
+    {
+        if (!$this->install_schema()) {
+            return 0;
+        }
+
+        return (int) $this->db->get_var("SELECT MAX(id) FROM {$this->table_events}");
+    }
+
+    /**
+     * Delete events past the retention window.
+     *
+     * @return int Deleted rows
+     */
+    public function prune(): int
+    {
+        if (!$this->install_schema()) {
+            return 0;
+        }
+
+        $cutoff = gmdate('Y-m-d H:i:s', (int) current_time('timestamp') - self::RETENTION_HOURS * HOUR_IN_SECONDS);
+
+        return (int) $this->db->query($this->db->prepare(
+            "DELETE FROM {$this->table_events} WHERE created_at < %s",
+            $cutoff
+        ));
+    }
+
+    /**
+     * Prospect an event refers to, with its client.
+     *
+     * By visitor, the active prospect is used.
+     *
+     * @param int $prospect_id Prospect ID (preferred)
+     * @param int $visitor_id  Visitor ID
+     * @return array<string,mixed>|null { id, visitor_id, client_id }
+     */
+    private function find_prospect(int $prospect_id, int $visitor_id): ?array
+    {
+        $sql = "SELECT p.id, p.visitor_id, c.client_id
+                FROM {$this->table_prospects} p
+                LEFT JOIN {$this->table_campaigns} c ON p.campaign_id = c.id";
+
+        if ($prospect_id) {
+            $row = $this->db->get_row($this->db->prepare("{$sql} WHERE p.id = %d LIMIT 1", $prospect_id), ARRAY_A);
+        } elseif ($visitor_id) {
+            $row = $this->db->get_row($this->db->prepare(
+                "{$sql} WHERE p.visitor_id = %d AND p.archived_at IS NULL ORDER BY p.updated_at DESC LIMIT 1",
+                $visitor_id
+            ), ARRAY_A);
+        } else {
+            return null;
+        }
+
+        return $row ?: null;
+    }
+}
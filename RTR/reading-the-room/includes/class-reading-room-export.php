@@ -0,0 +1,282 @@
+<?php
+/**
+ * Reading Room Export
+ *
+ * Writes prospect lists as CSV or XLSX files, built on the server with
+ * no external service or library: CSV with fputcsv, XLSX as a minimal
+ * SpreadsheetML package zipped with ZipArchive (header row in bold and
+ * frozen, numbers stored as numbers).
+ *
+ * The rows themselves (the current room, filters and sort of the
+ * dashboard) are put together by the REST controller.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+declare(strict_types=1);
+
+namespace DirectReach\ReadingTheRoom;
+
+use RuntimeException;
+use ZipArchive;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+final class Reading_Room_Export
+{
+    /** Export formats */
+    public const FORMATS = ['csv', 'xlsx'];
+
+    /** Most prospects in one export */
+    public const MAX_ROWS = 1000;
+
+    private const MIME_TYPES = [
+        'csv'  => 'text/csv; charset=utf-8',
+        'xlsx' => 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ];
+
+    /**
+     * Build the file.
+     *
+     * @param string                        $format  csv or xlsx
+     * @param string[]                      $headers Column headers
+     * @param array<int,array<int,mixed>>   $rows    Row values (int/float stay numeric)
+     * @param string                        $title   Sheet name (XLSX)
+     * @return string File contents
+     * @throws RuntimeException When the file cannot be built
+     */
+    public function build(string $format, array $headers, array $rows, string $title = 'Prospects'): string
+    {
+        return $format === 'xlsx'
+            ? $this->to_xlsx($headers, $rows, $title)
+            : $this->to_csv($headers, $rows);
+    }
+
+    /**
+     * Send the file as a download and end the request.
+     *
+     * @param string $contents File contents
+     * @param string $format   csv or xlsx
+     * @param string $filename File name without extension
+     * @param int    $rows     Prospects in the file
+     * @param int    $total    Prospects matching (more than $rows when capped)
+     */
+    public function send(string $contents, string $format, string $filename, int $rows, int $total): void
+    {
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        status_header(200);
+        header('Content-Type: ' . self::MIME_TYPES[$format]);
+        header('Content-Disposition: attachment; filename="' . sanitize_file_name($filename) . '.' . $format . '"');
+        header('Content-Length: ' . strlen($contents));
+        header('Cache-Control: no-store, no-cache, must-revalidate, max-age=0');
+        header('X-RTR-Export-Rows: ' . $rows);
+        header('X-RTR-Export-Total: ' . $total);
+
+        echo $contents;
+        exit;
+    }
+
+    /**
+     * CSV with a UTF-8 BOM (so Excel reads accents correctly).
+     */
+    private function to_csv(array $headers, array $rows): string
+    {
+        $handle = fopen('php://temp', 'r+');
+
+        fwrite($handle, "\xEF\xBB\xBF");
+        fputcsv($handle, $headers);
+        foreach ($rows as $row) {
+            fputcsv($handle, array_map([$this, 'escape_formula'], $row));
+        }
+
+        rewind($handle);
+        $csv = stream_get_contents($handle);
+        fclose($handle);
+
+        return (string) $csv;
+    }
+
+    /**
+     * Spreadsheet programs run text starting with =, +, - or @ as a
+     * formula; prefix it so prospect data can't.
+     *
+     * @param mixed $value
+     * @return mixed
+     */
+    private function escape_formula($value)
+    {
+        if (is_string($value) && $value !== '' && strpos('=+-@', $value[0]) !== false) {
+            return "'" . $value;
+        }
+        return $value;
+    }
+
+    /**
+     * Single-sheet XLSX workbook.
+     *
+     * @throws RuntimeException When ZipArchive is missing or the zip can't be written
+     */
+    private function to_xlsx(array $headers, array $rows, string $title): string
+    {
+        if (!class_exists(ZipArchive::class)) {
+            throw new RuntimeException('XLSX export needs the PHP zip extension');
+        }
+
+        if (!function_exists('wp_tempnam')) {
+            require_once ABSPATH . 'wp-admin/includes/file.php';
+        }
+
+        $path = wp_tempnam('rtr-export.xlsx');
+        $zip  = new ZipArchive();
+
+        if ($zip->open($path, ZipArchive::CREATE | ZipArchive::OVERWRITE) !== true) {
+            throw new RuntimeException('Could not create the XLSX file');
+        }
+
+        $zip->addFromString('[Content_Types].xml', $this->xml(
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            . '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            . '<Default Extension="xml" ContentType="application/xml"/>'
+            . '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            . '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            . '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+            . '</Types>'
+        ));
+
+        $zip->addFromString('_rels/.rels', $this->xml(
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            . '</Relationships>'
+        ));
+
+        $zip->addFromString('xl/workbook.xml', $this->xml(
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            . '<sheets><sheet name="' . $this->escape(substr(preg_replace('/[\\\\\/?*\[\]:]/', '', $title), 0, 31)) . '" sheetId="1" r:id="rId1"/></sheets>'
+            . '</workbook>'
+        ));
+
+        $zip->addFromString('xl/_rels/workbook.xml.rels', $this->xml(
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            . '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+            . '</Relationships>'
+        ));
+
+        // Style 1: bold (header row)
+        $zip->addFromString('xl/styles.xml', $this->xml(
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            . '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+            . '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+            . '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+            . '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+            . '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+            . '</styleSheet>'
+        ));
+
+        $zip->addFromString('xl/worksheets/sheet1.xml', $this->sheet_xml($headers, $rows));
+
+        $zip->close();
+
+        $contents = (string) file_get_contents($path);
+        @unlink($path);
+
+        if ($contents === '') {
+            throw new RuntimeException('Could not write the XLSX file');
+        }
+
+        return $contents;
+    }
+
+    /**
+     * Worksheet with inline strings.
+     */
+    private function sheet_xml(array $headers, array $rows): string
+    {
+        $widths = array_map(fn($header) => max(10, min(60, mb_strlen((string) $header) + 2)), $headers);
+        foreach ($rows as $row) {
+            foreach (array_values($row) as $index => $value) {
+                $widths[$index] = max($widths[$index] ?? 10, min(60, mb_strlen((string) $value) + 2));
+            }
+        }
+
+        $cols = '';
+        foreach ($widths as $index => $width) {
+            $cols .= sprintf('<col min="%1$d" max="%1$d" width="%2$d" customWidth="1"/>', $index + 1, $width);
+        }
+
+        $data = $this->row_xml(1, $headers, 1);
+        foreach (array_values($rows) as $index => $row) {
+            $data .= $this->row_xml($index + 2, $row);
+        }
+
+        return $this->xml(
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            . '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            . '<cols>' . $cols . '</cols>'
+            . '<sheetData>' . $data . '</sheetData>'
+            . '</worksheet>'
+        );
+    }
+
+    /**
+     * One worksheet row.
+     *
+     * @param int   $number Row number (1-based)
+     * @param array $values Cell values
+     * @param int   $style  Cell style index
+     */
+    private function row_xml(int $number, array $values, int $style = 0): string
+    {
+        $cells = '';
+        foreach (array_values($values) as $index => $value) {
+            $ref  = $this->column_name($index) . $number;
+            $attr = $style ? ' s="' . $style . '"' : '';
+
+            if ($value === null || $value === '') {
+                continue;
+            }
+
+            if (is_int($value) || is_float($value)) {
+                $cells .= '<c r="' . $ref . '"' . $attr . '><v>' . $value . '</v></c>';
+            } else {
+                $cells .= '<c r="' . $ref . '"' . $attr . ' t="inlineStr"><is><t xml:space="preserve">'
+                    . $this->escape((string) $value) . '</t></is></c>';
+            }
+        }
+
+        return '<row r="' . $number . '">' . $cells . '</row>';
+    }
+
+    /**
+     * Spreadsheet column name (0 → A, 26 → AA).
+     */
+    private function column_name(int $index): string
+    {
+        $name = '';
+        for ($index++; $index > 0; $index = intdiv($index - 1, 26)) {
+            $name = chr(65 + ($index - 1) % 26) . $name;
+        }
+        return $name;
+    }
+
+    /**
+     * Escape text for XML, dropping characters XML can't hold.
+     */
+    private function escape(string $text): string
+    {
+        $text = (string) preg_replace('/[^\x{9}\x{A}\x{D}\x{20}-\x{D7FF}\x{E000}-\x{FFFD}]/u', '', $text);
+        return htmlspecialchars($text, ENT_QUOTES | ENT_XML1, 'UTF-8');
+    }
+
+    private function xml(string $body): string
+    {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' . "\n" . $body;
+    }
+}
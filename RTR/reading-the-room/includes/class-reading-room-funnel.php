@@ -0,0 +1,607 @@
+<?php
+/**
+ * Reading Room Funnel
+ *
+ * Funnel and conversion analytics for a client or campaign: how many
+ * prospects reached each room and were handed off or archived, how long
+ * they stay in each room, how far they get through each room's email
+ * sequence and how often those emails are opened, and the same funnel
+ * per weekly cohort (week of the visitor's first visit).
+ *
+ * Room history is rebuilt from rtr_room_progression: a prospect is in the
+ * room it started in (the first transition's from_room, or its current
+ * room) from when it was added until its first transition, and so on.
+ * Reaching a room counts the rooms before it as passed, so prospects that
+ * start in the solution room still count towards the problem room.
+ *
+ * Every number has a drill-down (get_prospects) that applies the same
+ * rules to list the prospects behind it.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+declare(strict_types=1);
+
+namespace DirectReach\ReadingTheRoom;
+
+use DateTimeImmutable;
+use wpdb;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+final class Reading_Room_Funnel
+{
+    /** Funnel stages in order ('sales' = handed off) */
+    public const STAGES = ['problem', 'solution', 'offer', 'sales'];
+
+    /** Drill-down metrics */
+    public const METRICS = ['reached', 'archived', 'room_time', 'sequence_complete', 'emails_sent', 'emails_opened'];
+
+    /** Default reporting window (days since the prospect was added) */
+    public const DEFAULT_DAYS = 90;
+
+    /** Most prospects a drill-down returns */
+    private const MAX_PROSPECTS = 500;
+
+    /** Prospect IDs per IN () query */
+    private const CHUNK_SIZE = 500;
+
+    /** @var wpdb */
+    private $db;
+
+    /** @var string */
+    private $table_prospects;
+
+    /** @var string */
+    private $table_tracking;
+
+    /** @var string */
+    private $table_campaigns;
+
+    /** @var string */
+    private $table_visitors;
+
+    /** @var string */
+    private $table_progression;
+
+    /**
+     * Constructor.
+     *
+     * @param wpdb $wpdb
+     */
+    public function __construct(wpdb $wpdb)
+    {
+        $this->db = $wpdb;
+        $prefix   = $wpdb->prefix;
+
+        $this->table_prospects   = "{$prefix}rtr_prospects";
+        $this->table_tracking    = "{$prefix}rtr_email_tracking";
+        $this->table_campaigns   = "{$prefix}dr_campaign_settings";
+        $this->table_visitors    = "{$prefix}cpd_visitors";
+        $this->table_progression = "{$prefix}rtr_room_progression";
+    }
+
+    /**
+     * Funnel, room times, email sequences and weekly cohorts.
+     *
+     * @param array<string,mixed> $filters client_id, campaign_id, days (0 = all time)
+     * @return array<string,mixed>
+     */
+    public function get_funnel(array $filters): array
+    {
+        $prospects = $this->load($filters);
+
+        return [
+            'total'     => count($prospects),
+            'stages'    => $this->summarize_stages($prospects),
+            'archived'  => $this->summarize_archived($prospects),
+            'room_time' => $this->summarize_room_time($prospects),
+            'emails'    => $this->summarize_emails($prospects),
+            'cohorts'   => $this->summarize_cohorts($prospects),
+        ];
+    }
+
+    /**
+     * The prospects behind one funnel number.
+     *
+     * @param array<string,mixed> $filters client_id, campaign_id, days
+     * @param string              $metric  One of METRICS
+     * @param string|null         $room    Stage or room the metric is for
+     * @param string|null         $week    Cohort week (Monday, Y-m-d)
+     * @return array{total: int, prospects: array<int,array<string,mixed>>}
+     */
+    public function get_prospects(array $filters, string $metric, ?string $room = null, ?string $week = null): array
+    {
+        $matches = [];
+
+        foreach ($this->load($filters) as $prospect) {
+            if ($week && $prospect['cohort_week'] !== $week) {
+                continue;
+            }
+
+            $detail = $this->match($prospect, $metric, $room);
+            if ($detail === null) {
+                continue;
+            }
+
+            $matches[] = $this->format_prospect($prospect) + $detail;
+        }
+
+        if ($metric === 'room_time') {
+            usort($matches, fn($a, $b) => $b['days_in_room'] <=> $a['days_in_room']);
+        } else {
+            usort($matches, fn($a, $b) => [$b['lead_score'], $a['company_name']] <=> [$a['lead_score'], $b['company_name']]);
+        }
+
+        return [
+            'total'     => count($matches),
+            'prospects' => array_slice($matches, 0, self::MAX_PROSPECTS),
+        ];
+    }
+
+    /* ---------------------------------------------------------------------
+     * Summaries
+     * -------------------------------------------------------------------*/
+
+    /**
+     * Prospects reaching each stage, and the share of the previous stage.
+     */
+    private function summarize_stages(array $prospects): array
+    {
+        $stages   = [];
+        $previous = null;
+
+        foreach (self::STAGES as $rank => $stage) {
+            $count = count(array_filter($prospects, fn($p) => $p['reached'] >= $rank));
+
+            $stages[] = [
+                'stage'           => $stage,
+                'count'           => $count,
+                'conversion_rate' => $previous === null ? null : $this->rate($count, $previous),
+            ];
+            $previous = $count;
+        }
+
+        return $stages;
+    }
+
+    /**
+     * Archived prospects, by the room they were archived from.
+     */
+    private function summarize_archived(array $prospects): array
+    {
+        $by_room = array_fill_keys(Reading_Room_Scheduler::ROOMS, 0);
+        $total   = 0;
+
+        foreach ($prospects as $prospect) {
+            if ($prospect['status'] !== 'archived') {
+                continue;
+            }
+            $total++;
+            if (isset($by_room[$prospect['last_room']])) {
+                $by_room[$prospect['last_room']]++;
+            }
+        }
+
+        return [
+            'count'   => $total,
+            'rate'    => $this->rate($total, count($prospects)),
+            'by_room' => $by_room,
+        ];
+    }
+
+    /**
+     * Median days in each room, over prospects that have left it.
+     */
+    private function summarize_room_time(array $prospects): array
+    {
+        $summary = [];
+
+        foreach (Reading_Room_Scheduler::ROOMS as $room) {
+            $days    = [];
+            $in_room = 0;
+
+            foreach ($prospects as $prospect) {
+                $stay = $prospect['stays'][$room] ?? null;
+                if (!$stay) {
+                    continue;
+                }
+                if ($stay['left']) {
+                    $days[] = $stay['days'];
+                } else {
+                    $in_room++;
+                }
+            }
+
+            $summary[] = [
+                'room'        => $room,
+                'median_days' => $days ? round($this->median($days), 1) : null,
+                'left'        => count($days),
+                'in_room'     => $in_room,
+            ];
+        }
+
+        return $summary;
+    }
+
+    /**
+     * Sequence completion and open rates per room, over prospects that
+     * entered the room.
+     */
+    private function summarize_emails(array $prospects): array
+    {
+        $summary = [];
+
+        foreach (Reading_Room_Scheduler::ROOMS as $room) {
+            $entered = $started = $completed = $sent = $opened = 0;
+
+            foreach ($prospects as $prospect) {
+                if (!isset($prospect['stays'][$room])) {
+                    continue;
+                }
+                $entered++;
+
+                $emails = $prospect['emails'][$room] ?? ['sent' => 0, 'opened' => 0];
+                $sent   += $emails['sent'];
+                $opened += $emails['opened'];
+
+                if ($emails['sent'] > 0) {
+                    $started++;
+                }
+                if ($emails['sent'] >= Reading_Room_Scheduler::SEQUENCE_LENGTH) {
+                    $completed++;
+                }
+            }
+
+            $summary[] = [
+                'room'            => $room,
+                'entered'         => $entered,
+                'started'         => $started,
+                'completed'       => $completed,
+                'completion_rate' => $this->rate($completed, $entered),
+                'sent'            => $sent,
+                'opened'          => $opened,
+                'open_rate'       => $this->rate($opened, $sent),
+            ];
+        }
+
+        return $summary;
+    }
+
+    /**
+     * The funnel per week of first visit, newest week first.
+     */
+    private function summarize_cohorts(array $prospects): array
+    {
+        $weeks = [];
+
+        foreach ($prospects as $prospect) {
+            $week = $prospect['cohort_week'];
+            if (!isset($weeks[$week])) {
+                $weeks[$week] = ['week' => $week, 'prospects' => 0, 'archived' => 0]
+                    + array_fill_keys(array_slice(self::STAGES, 1), 0);
+            }
+
+            $weeks[$week]['prospects']++;
+            foreach (array_slice(self::STAGES, 1, null, true) as $rank => $stage) {
+                if ($prospect['reached'] >= $rank) {
+                    $weeks[$week][$stage]++;
+                }
+            }
+            if ($prospect['status'] === 'archived') {
+                $weeks[$week]['archived']++;
+            }
+        }
+
+        krsort($weeks);
+
+        return array_values($weeks);
+    }
+
+    /* ---------------------------------------------------------------------
+     * Drill-down
+     * -------------------------------------------------------------------*/
+
+    /**
+     * Whether a prospect counts towards a metric.
+     *
+     * @return array<string,mixed>|null Extra columns for the list, null if not
+     */
+    private function match(array $prospect, string $metric, ?string $room): ?array
+    {
+        switch ($metric) {
+            case 'reached':
+                $rank = array_search($room ?: 'problem', self::STAGES, true);
+                return $rank !== false && $prospect['reached'] >= $rank ? [] : null;
+
+            case 'archived':
+                if ($prospect['status'] !== 'archived' || ($room && $prospect['last_room'] !== $room)) {
+                    return null;
+                }
+                return ['archived_at' => $prospect['archived_at']];
+
+            case 'room_time':
+                $stay = $prospect['stays'][$room] ?? null;
+                return $stay && $stay['left'] ? ['days_in_room' => round($stay['days'], 1)] : null;
+
+            case 'sequence_complete':
+            case 'emails_sent':
+            case 'emails_opened':
+                if (!isset($prospect['stays'][$room])) {
+                    return null;
+                }
+                $emails = $prospect['emails'][$room] ?? ['sent' => 0, 'opened' => 0];
+                $counts = [
+                    'sequence_complete' => $emails['sent'] >= Reading_Room_Scheduler::SEQUENCE_LENGTH,
+                    'emails_sent'       => $emails['sent'] > 0,
+                    'emails_opened'     => $emails['opened'] > 0,
+                ];
+                return $counts[$metric] ? ['emails_sent' => $emails['sent'], 'emails_opened' => $emails['opened']] : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * A prospect as listed in a drill-down.
+     */
+    private function format_prospect(array $prospect): array
+    {
+        return [
+            'prospect_id'   => $prospect['id'],
+            'visitor_id'    => $prospect['visitor_id'],
+            'company_name'  => $prospect['company_name'],
+            'contact_name'  => $prospect['contact_name'],
+            'campaign_id'   => $prospect['campaign_id'],
+            'campaign_name' => $prospect['campaign_name'],
+            'client_id'     => $prospect['client_id'],
+            'room'          => $prospect['room'],
+            'status'        => $prospect['status'],
+            'lead_score'    => $prospect['lead_score'],
+            'first_seen_at' => $prospect['first_seen_at'],
+            'created_at'    => $prospect['created_at'],
+        ];
+    }
+
+    /* ---------------------------------------------------------------------
+     * Data
+     * -------------------------------------------------------------------*/
+
+    /**
+     * Prospects in the window with their room history and email counts.
+     *
+     * @param array<string,mixed> $filters client_id, campaign_id, days
+     * @return array<int,array<string,mixed>>
+     */
+    private function load(array $filters): array
+    {
+        $where  = ['1=1'];
+        $params = [];
+
+        if (!empty($filters['client_id'])) {
+            $where[]  = 'c.client_id = %d';
+            $params[] = (int) $filters['client_id'];
+        }
+        if (!empty($filters['campaign_id'])) {
+            $where[]  = 'p.campaign_id = %d';
+            $params[] = (int) $filters['campaign_id'];
+        }
+
+        $days = (int) ($filters['days'] ?? self::DEFAULT_DAYS);
+        if ($days > 0) {
+            $where[]  = 'p.created_at >= %s';
+            $params[] = $this->now()->modify("-{$days} days")->format('Y-m-d H:i:s');
+        }
+
+        $sql = "SELECT p.id, p.visitor_id, p.campaign_id, p.company_name, p.contact_name,
+                       p.current_room, p.lead_score, p.created_at, p.archived_at, p.sales_handoff_at,
+                       c.campaign_name, c.client_id, v.first_seen_at,
+                       COALESCE(v.current_room, p.current_room) AS room
+                FROM {$this->table_prospects} p
+                LEFT JOIN {$this->table_campaigns} c ON p.campaign_id = c.id
+                LEFT JOIN {$this->table_visitors} v ON p.visitor_id = v.id
+                WHERE " . implode(' AND ', $where);
+
+        $rows = $this->db->get_results($params ? $this->db->prepare($sql, ...$params) : $sql, ARRAY_A) ?: [];
+        if (!$rows) {
+            return [];
+        }
+
+        $transitions = $this->load_transitions(array_unique(array_map(fn($row) => (int) $row['visitor_id'], $rows)));
+        $emails      = $this->load_email_counts(array_map(fn($row) => (int) $row['id'], $rows));
+
+        return array_map(function (array $row) use ($transitions, $emails) {
+            $key = $row['visitor_id'] . ':' . $row['campaign_id'];
+            return $this->build_prospect($row, $transitions[$key] ?? [], $emails[(int) $row['id']] ?? []);
+        }, $rows);
+    }
+
+    /**
+     * Room transitions per visitor and campaign, oldest first.
+     *
+     * @param int[] $visitor_ids
+     * @return array<string,array<int,array<string,string>>> "visitor:campaign" => transitions
+     */
+    private function load_transitions(array $visitor_ids): array
+    {
+        $transitions = [];
+
+        foreach (array_chunk($visitor_ids, self::CHUNK_SIZE) as $chunk) {
+            $rows = $this->db->get_results(
+                "SELECT visitor_id, campaign_id, from_room, to_room, transitioned_at
+                 FROM {$this->table_progression}
+                 WHERE visitor_id IN (" . implode(',', array_map('intval', $chunk)) . ")
+                 ORDER BY transitioned_at ASC, id ASC",
+                ARRAY_A
+            ) ?: [];
+
+            foreach ($rows as $row) {
+                $transitions[$row['visitor_id'] . ':' . $row['campaign_id']][] = $row;
+            }
+        }
+
+        return $transitions;
+    }
+
+    /**
+     * Emails sent and opened per prospect and room (one per email number).
+     *
+     * Sent means copied, sent or bounced, as for the schedule.
+     *
+     * @param int[] $prospect_ids
+     * @return array<int,array<string,array{sent: int, opened: int}>>
+     */
+    private function load_email_counts(array $prospect_ids): array
+    {
+        $counts = [];
+
+        foreach (array_chunk($prospect_ids, self::CHUNK_SIZE) as $chunk) {
+            $rows = $this->db->get_results(
+                "SELECT prospect_id, room_type,
+                        COUNT(DISTINCT email_number) AS sent,
+                        COUNT(DISTINCT CASE WHEN opened_at IS NOT NULL THEN email_number END) AS opened
+                 FROM {$this->table_tracking}
+                 WHERE prospect_id IN (" . implode(',', array_map('intval', $chunk)) . ")
+                   AND (copied_at IS NOT NULL OR status IN ('sent', 'opened', 'clicked', 'bounced'))
+                 GROUP BY prospect_id, room_type",
+                ARRAY_A
+            ) ?: [];
+
+            foreach ($rows as $row) {
+                $counts[(int) $row['prospect_id']][$row['room_type']] = [
+                    'sent'   => (int) $row['sent'],
+                    'opened' => (int) $row['opened'],
+                ];
+            }
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Rebuild a prospect's stays in each room.
+     *
+     * @param array<string,mixed>              $row         Prospect row
+     * @param array<int,array<string,string>>  $transitions Its room transitions, oldest first
+     * @param array<string,array<string,int>>  $emails      Its email counts per room
+     * @return array<string,mixed>
+     */
+    private function build_prospect(array $row, array $transitions, array $emails): array
+    {
+        $status = 'active';
+        $end    = null;
+        if (!empty($row['sales_handoff_at'])) {
+            $status = 'handed_off';
+            $end    = $this->to_datetime($row['sales_handoff_at']);
+        } elseif (!empty($row['archived_at'])) {
+            $status = 'archived';
+            $end    = $this->to_datetime($row['archived_at']);
+        }
+
+        $room    = $transitions ? $transitions[0]['from_room'] : ($row['room'] ?: $row['current_room']);
+        $entered = $this->to_datetime($row['created_at']);
+        $stays   = [];
+
+        $leave = function (string $room, DateTimeImmutable $from, DateTimeImmutable $to) use (&$stays): void {
+            if (!in_array($room, Reading_Room_Scheduler::ROOMS, true)) {
+                return;
+            }
+            $days = max(0, $to->getTimestamp() - $from->getTimestamp()) / DAY_IN_SECONDS;
+            $stays[$room] = [
+                'days' => ($stays[$room]['days'] ?? 0) + $days,
+                'left' => true,
+            ];
+        };
+
+        foreach ($transitions as $transition) {
+            $at = $this->to_datetime($transition['transitioned_at']);
+            if ($end && $at > $end) {
+                break;
+            }
+            $leave($room, $entered, $at);
+            $room    = $transition['to_room'];
+            $entered = max($entered, $at);
+        }
+
+        // The room the prospect is in now (or was in when handed off / archived)
+        $leave($room, $entered, $end ?: $this->now());
+        if (!$end && isset($stays[$room])) {
+            $stays[$room]['left'] = false;
+        }
+
+        $reached = 0;
+        foreach (array_keys($stays) as $stay_room) {
+            $reached = max($reached, (int) array_search($stay_room, self::STAGES, true));
+        }
+        if ($status === 'handed_off') {
+            $reached = count(self::STAGES) - 1;
+        }
+
+        $first_seen = $row['first_seen_at'] ?: $row['created_at'];
+
+        return [
+            'id'            => (int) $row['id'],
+            'visitor_id'    => (int) $row['visitor_id'],
+            'campaign_id'   => (int) $row['campaign_id'],
+            'campaign_name' => $row['campaign_name'],
+            'client_id'     => (int) $row['client_id'],
+            'company_name'  => $row['company_name'],
+            'contact_name'  => $row['contact_name'],
+            'room'          => $status === 'handed_off' ? 'sales' : $row['room'],
+            'lead_score'    => (int) $row['lead_score'],
+            'created_at'    => $row['created_at'],
+            'archived_at'   => $row['archived_at'],
+            'first_seen_at' => $first_seen,
+            'cohort_week'   => $this->to_datetime($first_seen)->modify('monday this week')->format('Y-m-d'),
+            'status'        => $status,
+            'last_room'     => $room,
+            'stays'         => $stays,
+            'reached'       => $reached,
+            'emails'        => $emails,
+        ];
+    }
+
+    /* ---------------------------------------------------------------------
+     * Helpers
+     * -------------------------------------------------------------------*/
+
+    /**
+     * Share of a total, 0..1 (0 when the total is 0).
+     */
+    private function rate(int $count, int $total): float
+    {
+        return $total > 0 ? round($count / $total, 4) : 0.0;
+    }
+
+    /**
+     * @param float[] $values
+     */
+    private function median(array $values): float
+    {
+        sort($values);
+        $count  = count($values);
+        $middle = intdiv($count, 2);
+
+        return $count % 2 ? (float) $values[$middle] : ($values[$middle - 1] + $values[$middle]) / 2;
+    }
+
+    /**
+     * A MySQL datetime (site timezone).
+     */
+    private function to_datetime(string $datetime): DateTimeImmutable
+    {
+        return new DateTimeImmutable($datetime, wp_timezone());
+    }
+
+    /**
+     * Now (site timezone).
+     */
+    private function now(): DateTimeImmutable
+    {
+        return new DateTimeImmutable('now', wp_timezone());
+    }
+}
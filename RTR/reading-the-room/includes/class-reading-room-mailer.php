@@ -0,0 +1,1030 @@
+<?php
+/**
+ * Reading Room Mailer
+ *
+ * Optional direct sending of generated emails, as an alternative to
+ * copying them into Gmail or Outlook. Messages go out through an SMTP
+ * server, an ESP API (SendGrid, Postmark or Mailgun) or, for testing, a
+ * local SMTP catcher such as Mailpit or MailHog on 127.0.0.1:1025. They
+ * are sent from the rep's own sender identity with the open tracking
+ * pixel added, and the tracking record moves to "sent".
+ *
+ * Each send is logged in rtr_email_sends with the message-id the
+ * transport reported, so bounce webhooks from the ESP can be traced back
+ * to the prospect and email. The row is written before delivery and is
+ * unique per email, which is what stops an email going out twice.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+declare(strict_types=1);
+
+namespace DirectReach\ReadingTheRoom;
+
+use WP_Error;
+use wpdb;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+final class Reading_Room_Mailer
+{
+    /** Ways of delivering a message */
+    public const TRANSPORTS = ['smtp', 'esp', 'stub'];
+
+    /** Supported ESP APIs */
+    public const PROVIDERS = ['sendgrid', 'postmark', 'mailgun'];
+
+    /** SMTP connection security */
+    public const ENCRYPTIONS = ['none', 'ssl', 'tls'];
+
+    /** Local SMTP catcher used by the stub transport */
+    private const STUB_HOST = '127.0.0.1';
+    private const STUB_PORT = 1025;
+
+    /** Option holding the sending settings */
+    private const SETTINGS_OPTION = 'rtr_email_sending';
+
+    /** User meta holding a rep's sender identity */
+    private const IDENTITY_META = 'rtr_sender_identity';
+
+    /** Settings never sent back to the browser */
+    private const SECRET_SETTINGS = ['smtp_password', 'esp_api_key'];
+
+    private const DEFAULT_SETTINGS = [
+        'enabled'         => false,
+        'transport'       => 'smtp',
+        'smtp_host'       => '',
+        'smtp_port'       => 587,
+        'smtp_encryption' => 'tls',
+        'smtp_username'   => '',
+        'smtp_password'   => '',
+        'esp_provider'    => 'sendgrid',
+        'esp_api_key'     => '',
+        'esp_domain'      => '',
+        'esp_region'      => 'us',
+        'webhook_secret'  => '',
+    ];
+
+    /**
+     * Tracking statuses that already count as sent on the dashboard
+     */
+    private const SENT_STATUSES = ['copied', 'sent', 'opened', 'clicked', 'bounced'];
+
+    /** Seconds to wait for an ESP API */
+    private const REQUEST_TIMEOUT = 20;
+
+    /** Seconds after which a send that never finished (PHP died) is given up */
+    private const CLAIM_TTL = 600;
+
+    /** @var wpdb */
+    private $db;
+
+    /** @var string */
+    private $table_sends;
+
+    /** @var string */
+    private $table_tracking;
+
+    /** @var string */
+    private $table_prospects;
+
+    /** @var string */
+    private $schema_version = '1.1.0';
+
+    /**
+     * Constructor.
+     *
+     * @param wpdb $wpdb
+     */
+    public function __construct(wpdb $wpdb)
+    {
+        $this->db = $wpdb;
+        $prefix   = $wpdb->prefix;
+
+        $this->table_sends     = "{$prefix}rtr_email_sends";
+        $this->table_tracking  = "{$prefix}rtr_email_tracking";
+        $this->table_prospects = "{$prefix}rtr_prospects";
+    }
+
+    /**
+     * Create the sends table if needed.
+     */
+    public function install_schema(): bool
+    {
+        if (version_compare(get_option('rtr_email_sends_db_version', '0.0.0'), $this->schema_version, '>=')) {
+            return true;
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $charset_collate = $this->db->get_charset_collate();
+
+        dbDelta("CREATE TABLE {$this->table_sends} (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            email_tracking_id BIGINT UNSIGNED NOT NULL,
+            prospect_id BIGINT UNSIGNED NOT NULL,
+            user_id BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            transport VARCHAR(20) NOT NULL,
+            message_id VARCHAR(255) NOT NULL DEFAULT '',
+            recipient VARCHAR(255) NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'sent',
+            bounce_reason VARCHAR(255) NULL,
+            sent_at DATETIME NOT NULL,
+            bounced_at DATETIME NULL,
+            PRIMARY KEY  (id),
+            KEY idx_message (message_id(191)),
+            UNIQUE KEY uniq_tracking (email_tracking_id)
+        ) {$charset_collate};");
+
+        if ($this->db->get_var("SHOW TABLES LIKE '{$this->table_sends}'") !== $this->table_sends) {
+            error_log('[DirectReach][Mailer] Failed to create table ' . $this->table_sends);
+            return false;
+        }
+
+        // 1.1.0: the unique key replaces the plain one (send() relies on it)
+        if (!$this->index_exists($this->table_sends, 'uniq_tracking')) {
+            error_log('[DirectReach][Mailer] Could not add a unique email_tracking_id key to ' . $this->table_sends . ' (duplicate sends?)');
+            return false;
+        }
+        if ($this->index_exists($this->table_sends, 'idx_tracking')) {
+            $this->db->query("ALTER TABLE {$this->table_sends} DROP INDEX idx_tracking");
+        }
+
+        $this->allow_bounced_status();
+
+        update_option('rtr_email_sends_db_version', $this->schema_version);
+        return true;
+    }
+
+    private function index_exists(string $table, string $index): bool
+    {
+        return (bool) $this->db->get_var($this->db->prepare(
+            "SHOW INDEX FROM {$table} WHERE Key_name = %s",
+            $index
+        ));
+    }
+
+    /**
+     * Add 'bounced' to the tracking status ENUM of the base schema, which
+     * predates bounce handling. Without it the bounce update is rejected
+     * (strict SQL mode) or stored as ''.
+     */
+    private function allow_bounced_status(): void
+    {
+        $column = $this->db->get_row("SHOW COLUMNS FROM {$this->table_tracking} LIKE 'status'", ARRAY_A);
+        $type   = (string) ($column['Type'] ?? '');
+
+        if (stripos($type, 'enum(') !== 0 || strpos($type, "'bounced'") !== false) {
+            return;
+        }
+
+        $this->db->query(
+            "ALTER TABLE {$this->table_tracking} MODIFY status " . substr($type, 0, -1) . ",'bounced') DEFAULT 'pending'"
+        );
+    }
+
+    // ------------------------------------------------------------------
+    // SETTINGS
+    // ------------------------------------------------------------------
+
+    /**
+     * Sending settings, secrets included.
+     *
+     * @return array<string,mixed>
+     */
+    public function get_settings(): array
+    {
+        $saved = get_option(self::SETTINGS_OPTION, []);
+
+        return array_merge(self::DEFAULT_SETTINGS, is_array($saved) ? $saved : []);
+    }
+
+    /**
+     * Whether generated emails can be sent from the dashboard.
+     */
+    public function is_enabled(): bool
+    {
+        return (bool) $this->get_settings()['enabled'];
+    }
+
+    /**
+     * Settings for the settings form: secrets are replaced by has_* flags
+     * and the bounce webhook URL is included.
+     *
+     * @return array<string,mixed>
+     */
+    public function get_public_settings(): array
+    {
+        $settings = $this->get_settings();
+
+        foreach (self::SECRET_SETTINGS as $key) {
+            $settings['has_' . $key] = $settings[$key] !== '';
+            unset($settings[$key]);
+        }
+
+        $settings['webhook_url'] = $settings['webhook_secret'] !== ''
+            ? add_query_arg('secret', $settings['webhook_secret'], rest_url('directreach/v1/reading-room/webhooks/bounce'))
+            : '';
+        unset($settings['webhook_secret']);
+
+        return $settings;
+    }
+
+    /**
+     * Validate and save the sending settings. Blank secrets keep the
+     * stored value.
+     *
+     * @param array<string,mixed> $input
+     * @return array<string,mixed>|WP_Error Public settings
+     */
+    public function save_settings(array $input)
+    {
+        $settings = $this->get_settings();
+
+        foreach (self::DEFAULT_SETTINGS as $key => $default) {
+            if (!array_key_exists($key, $input) || $key === 'webhook_secret') {
+                continue;
+            }
+
+            if (in_array($key, self::SECRET_SETTINGS, true)) {
+                $value = trim((string) $input[$key]);
+                if ($value !== '') {
+                    $settings[$key] = $value;
+                }
+                continue;
+            }
+
+            if (is_bool($default)) {
+                $settings[$key] = filter_var($input[$key], FILTER_VALIDATE_BOOLEAN);
+            } elseif (is_int($default)) {
+                $settings[$key] = (int) $input[$key];
+            } else {
+                $settings[$key] = sanitize_text_field((string) $input[$key]);
+            }
+        }
+
+        if (!in_array($settings['transport'], self::TRANSPORTS, true)) {
+            return new WP_Error('invalid_transport', 'Unknown sending method', ['status' => 400]);
+        }
+
+        if (!in_array($settings['esp_provider'], self::PROVIDERS, true)) {
+            return new WP_Error('invalid_provider', 'Unknown email provider', ['status' => 400]);
+        }
+
+        if (!in_array($settings['smtp_encryption'], self::ENCRYPTIONS, true)) {
+            return new WP_Error('invalid_encryption', 'Unknown SMTP encryption', ['status' => 400]);
+        }
+
+        if ($settings['smtp_port'] < 1 || $settings['smtp_port'] > 65535) {
+            return new WP_Error('invalid_port', 'SMTP port must be between 1 and 65535', ['status' => 400]);
+        }
+
+        $settings['esp_region'] = $settings['esp_region'] === 'eu' ? 'eu' : 'us';
+
+        if ($settings['enabled']) {
+            if ($settings['transport'] === 'smtp' && $settings['smtp_host'] === '') {
+                return new WP_Error('missing_smtp_host', 'An SMTP host is required', ['status' => 400]);
+            }
+
+            if ($settings['transport'] === 'esp' && $settings['esp_api_key'] === '') {
+                return new WP_Error('missing_api_key', 'An API key is required for the email provider', ['status' => 400]);
+            }
+
+            if ($settings['transport'] === 'esp' && $settings['esp_provider'] === 'mailgun' && $settings['esp_domain'] === '') {
+                return new WP_Error('missing_domain', 'Mailgun needs the sending domain', ['status' => 400]);
+            }
+        }
+
+        if ($settings['webhook_secret'] === '') {
+            $settings['webhook_secret'] = wp_generate_password(32, false);
+        }
+
+        update_option(self::SETTINGS_OPTION, $settings, false);
+
+        return $this->get_public_settings();
+    }
+
+    /**
+     * Check the secret a bounce webhook was called with.
+     */
+    public function verify_webhook_secret(string $secret): bool
+    {
+        $expected = (string) $this->get_settings()['webhook_secret'];
+
+        return $expected !== '' && $secret !== '' && hash_equals($expected, $secret);
+    }
+
+    // ------------------------------------------------------------------
+    // SENDER IDENTITY
+    // ------------------------------------------------------------------
+
+    /**
+     * A rep's sender identity, defaulting to their WordPress name and email.
+     *
+     * @return array{from_name:string,from_email:string,reply_to:string}
+     */
+    public function get_identity(int $user_id): array
+    {
+        $user  = get_userdata($user_id);
+        $saved = get_user_meta($user_id, self::IDENTITY_META, true);
+        $saved = is_array($saved) ? $saved : [];
+
+        return [
+            'from_name'  => (string) ($saved['from_name'] ?? ($user ? $user->display_name : '')),
+            'from_email' => (string) ($saved['from_email'] ?? ($user ? $user->user_email : '')),
+            'reply_to'   => (string) ($saved['reply_to'] ?? ''),
+        ];
+    }
+
+    /**
+     * Save a rep's sender identity.
+     *
+     * @param array<string,mixed> $input from_name, from_email, reply_to
+     * @return array<string,string>|WP_Error
+     */
+    public function save_identity(int $user_id, array $input)
+    {
+        $identity = [
+            'from_name'  => sanitize_text_field((string) ($input['from_name'] ?? '')),
+            'from_email' => sanitize_email((string) ($input['from_email'] ?? '')),
+            'reply_to'   => sanitize_email((string) ($input['reply_to'] ?? '')),
+        ];
+
+        if (!is_email($identity['from_email'])) {
+            return new WP_Error('invalid_from_email', 'A valid from address is required', ['status' => 400]);
+        }
+
+        if ($identity['reply_to'] !== '' && !is_email($identity['reply_to'])) {
+            return new WP_Error('invalid_reply_to', 'The reply-to address is not valid', ['status' => 400]);
+        }
+
+        update_user_meta($user_id, self::IDENTITY_META, $identity);
+
+        return $identity;
+    }
+
+    // ------------------------------------------------------------------
+    // SENDING
+    // ------------------------------------------------------------------
+
+    /**
+     * Send a generated email to the prospect's contact.
+     *
+     * @param int                 $tracking_id Email tracking record
+     * @param int                 $prospect_id Prospect the email belongs to
+     * @param int                 $user_id     Rep sending it
+     * @param array<string,mixed> $overrides   Edited subject and/or body_html
+     * @return array<string,mixed>|WP_Error Send details
+     */
+    public function send(int $tracking_id, int $prospect_id, int $user_id, array $overrides = [])
+    {
+        $settings = $this->get_settings();
+
+        if (!$settings['enabled']) {
+            return new WP_Error('sending_disabled', 'Sending from the dashboard is not enabled', ['status' => 400]);
+        }
+
+        $email = $this->db->get_row($this->db->prepare(
+            "SELECT t.id, t.prospect_id, t.room_type, t.email_number, t.subject, t.body_html, t.body_text,
+                    t.tracking_token, t.url_included, t.status, p.contact_name, p.contact_email
+             FROM {$this->table_tracking} t
+             INNER JOIN {$this->table_prospects} p ON p.id = t.prospect_id
+             WHERE t.id = %d AND t.prospect_id = %d",
+            $tracking_id,
+            $prospect_id
+        ), ARRAY_A);
+
+        if (!$email) {
+            return new WP_Error('email_not_found', 'Email not found for this prospect', ['status' => 404]);
+        }
+
+        if (in_array($email['status'], self::SENT_STATUSES, true)) {
+            return new WP_Error('already_sent', 'This email has already been sent', ['status' => 409]);
+        }
+
+        if (!is_email((string) $email['contact_email'])) {
+            return new WP_Error('no_recipient', 'The prospect has no valid email address', ['status' => 422]);
+        }
+
+        $identity = $this->get_identity($user_id);
+        if (!is_email($identity['from_email'])) {
+            return new WP_Error('no_sender_identity', 'Set up your sender identity before sending', ['status' => 400]);
+        }
+
+        if (!$this->install_schema()) {
+            return new WP_Error('schema_error', 'Could not record the send', ['status' => 500]);
+        }
+
+        $subject = trim((string) ($overrides['subject'] ?? '')) ?: (string) $email['subject'];
+        $edited  = trim((string) ($overrides['body_html'] ?? ''));
+        $body    = wp_kses_post($edited !== '' ? $edited : (string) $email['body_html']);
+
+        $message = [
+            'to_email'   => (string) $email['contact_email'],
+            'to_name'    => (string) $email['contact_name'],
+            'from_email' => $identity['from_email'],
+            'from_name'  => $identity['from_name'],
+            'reply_to'   => $identity['reply_to'],
+            'subject'    => $subject,
+            'html'       => $this->add_tracking_pixel(
+                $this->rewrite_links($body, (string) $email['tracking_token']),
+                (string) $email['tracking_token']
+            ),
+            'text'       => $edited !== '' || (string) $email['body_text'] === ''
+                ? wp_strip_all_tags($body)
+                : (string) $email['body_text'],
+            'message_id' => $this->generate_message_id($tracking_id, $identity['from_email']),
+        ];
+
+        $transport = $settings['transport'] === 'esp' ? $settings['esp_provider'] : $settings['transport'];
+
+        // Claim the email before delivering it, so a double click or a
+        // second tab can't send it twice
+        $send_id = $this->claim($tracking_id, $prospect_id, $user_id, $transport, $message['to_email']);
+
+        if ($send_id instanceof WP_Error) {
+            return $send_id;
+        }
+
+        try {
+            $message_id = $this->deliver($settings, $message);
+        } catch (\Throwable $e) {
+            $message_id = new WP_Error('send_failed', $e->getMessage());
+        }
+
+        if (is_wp_error($message_id)) {
+            // Release the claim so the rep can try again
+            $this->db->delete($this->table_sends, ['id' => $send_id, 'status' => 'sending'], ['%d', '%s']);
+
+            error_log(sprintf(
+                '[DirectReach][Mailer] Sending email %d via %s failed: %s',
+                $tracking_id,
+                $settings['transport'],
+                $message_id->get_error_message()
+            ));
+            return $message_id;
+        }
+
+        $sent_at = current_time('mysql');
+
+        $this->db->update(
+            $this->table_sends,
+            ['message_id' => $message_id, 'status' => 'sent', 'sent_at' => $sent_at],
+            ['id' => $send_id],
+            ['%s', '%s', '%s'],
+            ['%d']
+        );
+
+        $this->mark_sent($email, $message, $sent_at, $message_id);
+
+        return [
+            'email_tracking_id' => $tracking_id,
+            'prospect_id'       => $prospect_id,
+            'room'              => $email['room_type'],
+            'email_number'      => (int) $email['email_number'],
+            'message_id'        => $message_id,
+            'recipient'         => $message['to_email'],
+            'transport'         => $settings['transport'],
+            'sent_at'           => $sent_at,
+        ];
+    }
+
+    /**
+     * Insert the email's send row as 'sending'. The unique key on
+     * email_tracking_id lets only one request do so; a claim left behind
+     * by a request that died mid-send is taken over after CLAIM_TTL.
+     *
+     * @return int|WP_Error Send row ID
+     */
+    private function claim(int $tracking_id, int $prospect_id, int $user_id, string $transport, string $recipient)
+    {
+        $insert = function () use ($tracking_id, $prospect_id, $user_id, $transport, $recipient) {
+            return $this->db->query($this->db->prepare(
+                "INSERT IGNORE INTO {$this->table_sends}
+                    (email_tracking_id, prospect_id, user_id, transport, message_id, recipient, status, sent_at)
+                 VALUES (%d, %d, %d, %s, '', %s, 'sending', %s)",
+                $tracking_id,
+                $prospect_id,
+                $user_id,
+                $transport,
+                $recipient,
+                current_time('mysql')
+            ));
+        };
+
+        $claimed = $insert();
+
+        if ($claimed === 0) {
+            $stale = $this->db->query($this->db->prepare(
+                "DELETE FROM {$this->table_sends}
+                 WHERE email_tracking_id = %d AND status = 'sending' AND sent_at < %s",
+                $tracking_id,
+                wp_date('Y-m-d H:i:s', time() - self::CLAIM_TTL)
+            ));
+            if ($stale) {
+                $claimed = $insert();
+            }
+        }
+
+        if ($claimed === false) {
+            return new WP_Error('schema_error', 'Could not record the send', ['status' => 500]);
+        }
+
+        if (!$claimed) {
+            return new WP_Error('already_sent', 'This email has already been sent or is being sent', ['status' => 409]);
+        }
+
+        return (int) $this->db->insert_id;
+    }
+
+    /**
+     * Dashboard settings for the browser.
+     *
+     * @return array<string,mixed>
+     */
+    public function get_client_config(): array
+    {
+        $settings = $this->get_settings();
+
+        return [
+            'enabled'      => (bool) $settings['enabled'],
+            'transport'    => $settings['transport'],
+            'canConfigure' => current_user_can('manage_options'),
+        ];
+    }
+
+    /**
+     * Update the tracking record and the prospect after a send (the same
+     * bookkeeping track-copy does for a copied email).
+     *
+     * @param array<string,mixed> $email
+     * @param array<string,mixed> $message
+     */
+    private function mark_sent(array $email, array $message, string $sent_at, string $message_id): void
+    {
+        $this->db->update(
+            $this->table_tracking,
+            [
+                'status'    => 'sent',
+                'sent_at'   => $sent_at,
+                'subject'   => $message['subject'],
+                'body_html' => $message['html'],
+                // track-open ignores opens until a sender IP is recorded, and opens from it
+                'sender_ip' => $this->get_sender_ip(),
+            ],
+            ['id' => (int) $email['id']],
+            ['%s', '%s', '%s', '%s', '%s'],
+            ['%d']
+        );
+
+        $prospect = $this->db->get_row($this->db->prepare(
+            "SELECT urls_sent FROM {$this->table_prospects} WHERE id = %d",
+            (int) $email['prospect_id']
+        ), ARRAY_A);
+
+        $urls_sent = json_decode((string) ($prospect['urls_sent'] ?? ''), true);
+        $urls_sent = is_array($urls_sent) ? $urls_sent : [];
+
+        if (!empty($email['url_included']) && !in_array($email['url_included'], $urls_sent, true)) {
+            $urls_sent[] = $email['url_included'];
+        }
+
+        $this->db->query($this->db->prepare(
+            "UPDATE {$this->table_prospects}
+             SET last_email_sent = %s, email_sequence_position = email_sequence_position + 1, urls_sent = %s
+             WHERE id = %d",
+            $sent_at,
+            wp_json_encode($urls_sent),
+            (int) $email['prospect_id']
+        ));
+
+        do_action('directreach_rtr_event', 'email-state-changed', [
+            'prospect_id'       => (int) $email['prospect_id'],
+            'room'              => $email['room_type'],
+            'email_number'      => (int) $email['email_number'],
+            'state'             => 'sent',
+            'email_tracking_id' => (int) $email['id'],
+            'message_id'        => $message_id,
+        ]);
+    }
+
+    /**
+     * IP of the rep sending (the same lookup track-copy uses).
+     */
+    private function get_sender_ip(): string
+    {
+        foreach (['HTTP_CF_CONNECTING_IP', 'HTTP_X_FORWARDED_FOR', 'HTTP_X_REAL_IP', 'REMOTE_ADDR'] as $key) {
+            if (empty($_SERVER[$key])) {
+                continue;
+            }
+
+            $ip = trim(explode(',', (string) $_SERVER[$key])[0]);
+            if (filter_var($ip, FILTER_VALIDATE_IP)) {
+                return $ip;
+            }
+        }
+
+        return '';
+    }
+
+    /**
+     * Route links through the Campaign Builder click redirect (edited
+     * bodies may have new links; tracked ones are left alone).
+     */
+    private function rewrite_links(string $html, string $tracking_token): string
+    {
+        if (!class_exists('CPD_Email_Click_Tracker')) {
+            return $html;
+        }
+
+        return (string) (new \CPD_Email_Click_Tracker())->rewrite_links($html, $tracking_token);
+    }
+
+    /**
+     * Add the open tracking pixel unless the body already has it.
+     */
+    private function add_tracking_pixel(string $html, string $tracking_token): string
+    {
+        if ($tracking_token === '') {
+            return $html;
+        }
+
+        $pixel_url = rest_url('directreach/v2/emails/track-open/' . $tracking_token);
+        if (strpos($html, '/emails/track-open/' . $tracking_token) !== false) {
+            return $html;
+        }
+
+        $pixel = sprintf(
+            '<img src="%s" width="1" height="1" alt="" style="display:none;width:1px;height:1px;border:0;" />',
+            esc_url($pixel_url)
+        );
+
+        if (stripos($html, '</body>') !== false) {
+            return (string) preg_replace('/<\/body>/i', $pixel . '</body>', $html, 1);
+        }
+
+        return $html . $pixel;
+    }
+
+    /**
+     * Message-ID for the SMTP transports, on the sender's domain.
+     */
+    private function generate_message_id(int $tracking_id, string $from_email): string
+    {
+        $domain = substr((string) strrchr($from_email, '@'), 1) ?: (string) wp_parse_url(home_url(), PHP_URL_HOST);
+
+        return sprintf('<dr-%d-%s@%s>', $tracking_id, wp_generate_password(16, false), $domain);
+    }
+
+    /**
+     * Hand the message to the configured transport.
+     *
+     * @param array<string,mixed> $settings
+     * @param array<string,mixed> $message
+     * @return string|WP_Error Message-ID without angle brackets
+     */
+    private function deliver(array $settings, array $message)
+    {
+        switch ($settings['transport']) {
+            case 'stub':
+                return $this->send_smtp([
+                    'host'       => self::STUB_HOST,
+                    'port'       => self::STUB_PORT,
+                    'encryption' => 'none',
+                    'username'   => '',
+                    'password'   => '',
+                ], $message);
+
+            case 'esp':
+                switch ($settings['esp_provider']) {
+                    case 'postmark':
+                        return $this->send_postmark($settings, $message);
+                    case 'mailgun':
+                        return $this->send_mailgun($settings, $message);
+                    default:
+                        return $this->send_sendgrid($settings, $message);
+                }
+
+            default:
+                return $this->send_smtp([
+                    'host'       => $settings['smtp_host'],
+                    'port'       => (int) $settings['smtp_port'],
+                    'encryption' => $settings['smtp_encryption'],
+                    'username'   => $settings['smtp_username'],
+                    'password'   => $settings['smtp_password'],
+                ], $message);
+        }
+    }
+
+    /**
+     * Send over SMTP with the PHPMailer bundled in WordPress.
+     *
+     * @param array<string,mixed> $server
+     * @param array<string,mixed> $message
+     * @return string|WP_Error
+     */
+    private function send_smtp(array $server, array $message)
+    {
+        require_once ABSPATH . WPINC . '/PHPMailer/PHPMailer.php';
+        require_once ABSPATH . WPINC . '/PHPMailer/SMTP.php';
+        require_once ABSPATH . WPINC . '/PHPMailer/Exception.php';
+
+        $mailer = new \PHPMailer\PHPMailer\PHPMailer(true);
+
+        try {
+            $mailer->isSMTP();
+            $mailer->Host       = (string) $server['host'];
+            $mailer->Port       = (int) $server['port'];
+            $mailer->SMTPSecure = $server['encryption'] === 'none' ? '' : (string) $server['encryption'];
+            $mailer->SMTPAutoTLS = $server['encryption'] !== 'none';
+            $mailer->SMTPAuth   = $server['username'] !== '';
+            $mailer->Username   = (string) $server['username'];
+            $mailer->Password   = (string) $server['password'];
+            $mailer->Timeout    = self::REQUEST_TIMEOUT;
+            $mailer->CharSet    = 'UTF-8';
+
+            $mailer->setFrom($message['from_email'], $message['from_name']);
+            $mailer->addAddress($message['to_email'], $message['to_name']);
+            if ($message['reply_to'] !== '') {
+                $mailer->addReplyTo($message['reply_to'], $message['from_name']);
+            }
+
+            $mailer->MessageID = $message['message_id'];
+            $mailer->Subject   = $message['subject'];
+            $mailer->isHTML(true);
+            $mailer->Body      = $message['html'];
+            $mailer->AltBody   = $message['text'];
+
+            $mailer->send();
+
+        } catch (\PHPMailer\PHPMailer\Exception $e) {
+            return new WP_Error('send_failed', 'SMTP error: ' . ($mailer->ErrorInfo ?: $e->getMessage()), ['status' => 502]);
+        }
+
+        return trim($mailer->getLastMessageID(), '<>');
+    }
+
+    /**
+     * Send through the SendGrid v3 API. SendGrid assigns the message-id
+     * (X-Message-Id); its webhook reports it as the prefix of sg_message_id.
+     *
+     * @param array<string,mixed> $settings
+     * @param array<string,mixed> $message
+     * @return string|WP_Error
+     */
+    private function send_sendgrid(array $settings, array $message)
+    {
+        $payload = [
+            'personalizations' => [[
+                'to' => [array_filter(['email' => $message['to_email'], 'name' => $message['to_name']])],
+            ]],
+            'from'    => array_filter(['email' => $message['from_email'], 'name' => $message['from_name']]),
+            'subject' => $message['subject'],
+            'content' => [
+                ['type' => 'text/plain', 'value' => $message['text']],
+                ['type' => 'text/html', 'value' => $message['html']],
+            ],
+        ];
+
+        if ($message['reply_to'] !== '') {
+            $payload['reply_to'] = ['email' => $message['reply_to']];
+        }
+
+        $response = wp_remote_post('https://api.sendgrid.com/v3/mail/send', [
+            'timeout' => self::REQUEST_TIMEOUT,
+            'headers' => [
+                'Authorization' => 'Bearer ' . $settings['esp_api_key'],
+                'Content-Type'  => 'application/json',
+            ],
+            'body' => wp_json_encode($payload),
+        ]);
+
+        $error = $this->get_api_error($response, 'SendGrid');
+        if ($error) {
+            return $error;
+        }
+
+        $message_id = (string) wp_remote_retrieve_header($response, 'x-message-id');
+
+        return $message_id !== '' ? $message_id : trim($message['message_id'], '<>');
+    }
+
+    /**
+     * Send through the Postmark API.
+     *
+     * @param array<string,mixed> $settings
+     * @param array<string,mixed> $message
+     * @return string|WP_Error
+     */
+    private function send_postmark(array $settings, array $message)
+    {
+        $payload = [
+            'From'          => $this->format_address($message['from_email'], $message['from_name']),
+            'To'            => $this->format_address($message['to_email'], $message['to_name']),
+            'Subject'       => $message['subject'],
+            'HtmlBody'      => $message['html'],
+            'TextBody'      => $message['text'],
+            'MessageStream' => 'outbound',
+        ];
+
+        if ($message['reply_to'] !== '') {
+            $payload['ReplyTo'] = $message['reply_to'];
+        }
+
+        $response = wp_remote_post('https://api.postmarkapp.com/email', [
+            'timeout' => self::REQUEST_TIMEOUT,
+            'headers' => [
+                'X-Postmark-Server-Token' => $settings['esp_api_key'],
+                'Accept'                  => 'application/json',
+                'Content-Type'            => 'application/json',
+            ],
+            'body' => wp_json_encode($payload),
+        ]);
+
+        $error = $this->get_api_error($response, 'Postmark');
+        if ($error) {
+            return $error;
+        }
+
+        $body = json_decode(wp_remote_retrieve_body($response), true);
+
+        return (string) ($body['MessageID'] ?? trim($message['message_id'], '<>'));
+    }
+
+    /**
+     * Send through the Mailgun messages API.
+     *
+     * @param array<string,mixed> $settings
+     * @param array<string,mixed> $message
+     * @return string|WP_Error
+     */
+    private function send_mailgun(array $settings, array $message)
+    {
+        $host = $settings['esp_region'] === 'eu' ? 'api.eu.mailgun.net' : 'api.mailgun.net';
+
+        $fields = [
+            'from'         => $this->format_address($message['from_email'], $message['from_name']),
+            'to'           => $this->format_address($message['to_email'], $message['to_name']),
+            'subject'      => $message['subject'],
+            'html'         => $message['html'],
+            'text'         => $message['text'],
+            'h:Message-Id' => $message['message_id'],
+        ];
+
+        if ($message['reply_to'] !== '') {
+            $fields['h:Reply-To'] = $message['reply_to'];
+        }
+
+        $response = wp_remote_post(sprintf('https://%s/v3/%s/messages', $host, rawurlencode($settings['esp_domain'])), [
+            'timeout' => self::REQUEST_TIMEOUT,
+            'headers' => [
+                'Authorization' => 'Basic ' . base64_encode('api:' . $settings['esp_api_key']),
+            ],
+            'body' => $fields,
+        ]);
+
+        $error = $this->get_api_error($response, 'Mailgun');
+        if ($error) {
+            return $error;
+        }
+
+        $body = json_decode(wp_remote_retrieve_body($response), true);
+
+        return trim((string) ($body['id'] ?? $message['message_id']), '<>');
+    }
+
+    /**
+     * Turn a failed ESP API call into an error.
+     *
+     * @param array|WP_Error $response
+     */
+    private function get_api_error($response, string $provider): ?WP_Error
+    {
+        if (is_wp_error($response)) {
+            return new WP_Error('send_failed', $provider . ' request failed: ' . $response->get_error_message(), ['status' => 502]);
+        }
+
+        $code = (int) wp_remote_retrieve_response_code($response);
+        if ($code >= 200 && $code < 300) {
+            return null;
+        }
+
+        $body   = json_decode(wp_remote_retrieve_body($response), true);
+        $detail = $body['errors'][0]['message'] ?? $body['Message'] ?? $body['message'] ?? ('HTTP ' . $code);
+
+        return new WP_Error('send_failed', $provider . ' rejected the email: ' . $detail, ['status' => 502]);
+    }
+
+    private function format_address(string $email, string $name): string
+    {
+        if ($name === '') {
+            return $email;
+        }
+
+        return sprintf('"%s" <%s>', str_replace('"', '', $name), $email);
+    }
+
+    // ------------------------------------------------------------------
+    // BOUNCES
+    // ------------------------------------------------------------------
+
+    /**
+     * Pull permanent bounces out of a webhook payload. Understands
+     * SendGrid (event batches), Postmark and Mailgun webhooks, plus a plain
+     * {"message_id": "...", "reason": "..."} for the stub and other senders.
+     *
+     * @param array<mixed> $payload Decoded webhook body
+     * @return array<int,array{message_id:string,reason:string}>
+     */
+    public function parse_bounces(array $payload): array
+    {
+        $events  = wp_is_numeric_array($payload) ? $payload : [$payload];
+        $bounces = [];
+
+        foreach ($events as $event) {
+            if (!is_array($event)) {
+                continue;
+            }
+
+            $message_id = '';
+            $reason     = '';
+
+            if (isset($event['sg_message_id'])) {
+                // SendGrid: "<X-Message-Id>.filter..."
+                if (in_array($event['event'] ?? '', ['bounce', 'dropped'], true)) {
+                    $message_id = strtok((string) $event['sg_message_id'], '.');
+                    $reason     = (string) ($event['reason'] ?? $event['event']);
+                }
+            } elseif (($event['RecordType'] ?? '') === 'Bounce') {
+                if (in_array($event['Type'] ?? '', ['HardBounce', 'BadEmailAddress'], true)) {
+                    $message_id = (string) ($event['MessageID'] ?? '');
+                    $reason     = (string) ($event['Description'] ?? $event['Type']);
+                }
+            } elseif (isset($event['event-data']) && is_array($event['event-data'])) {
+                $data = $event['event-data'];
+                if (($data['event'] ?? '') === 'failed' && ($data['severity'] ?? '') === 'permanent') {
+                    $message_id = (string) ($data['message']['headers']['message-id'] ?? '');
+                    $reason     = (string) ($data['delivery-status']['description'] ?? $data['reason'] ?? 'failed');
+                }
+            } elseif (!empty($event['message_id'])) {
+                $message_id = (string) $event['message_id'];
+                $reason     = (string) ($event['reason'] ?? 'bounced');
+            }
+
+            $message_id = trim((string) $message_id, " <>");
+            if ($message_id !== '') {
+                $bounces[] = [
+                    'message_id' => $message_id,
+                    'reason'     => sanitize_text_field(substr($reason, 0, 255)),
+                ];
+            }
+        }
+
+        return $bounces;
+    }
+
+    /**
+     * Mark the send with this message-id as bounced.
+     *
+     * @return array{email_tracking_id:int,prospect_id:int,room_type:string,email_number:int}|null
+     *         The bounced email, null if the message-id is unknown
+     */
+    public function record_bounce(string $message_id, string $reason): ?array
+    {
+        if (!$this->install_schema()) {
+            return null;
+        }
+
+        $send = $this->db->get_row($this->db->prepare(
+            "SELECT s.id, s.email_tracking_id, s.prospect_id, t.room_type, t.email_number
+             FROM {$this->table_sends} s
+             INNER JOIN {$this->table_tracking} t ON t.id = s.email_tracking_id
+             WHERE s.message_id = %s
+             ORDER BY s.id DESC LIMIT 1",
+            $message_id
+        ), ARRAY_A);
+
+        if (!$send) {
+            return null;
+        }
+
+        $this->db->update(
+            $this->table_sends,
+            ['status' => 'bounced', 'bounce_reason' => $reason, 'bounced_at' => current_time('mysql')],
+            ['id' => (int) $send['id']],
+            ['%s', '%s', '%s'],
+            ['%d']
+        );
+
+        return [
+            'email_tracking_id' => (int) $send['email_tracking_id'],
+            'prospect_id'       => (int) $send['prospect_id'],
+            'room_type'         => (string) $send['room_type'],
+            'email_number'      => (int) $send['email_number'],
+        ];
+    }
+}
@@ -0,0 +1,599 @@
+<?php
+/**
+ * Reading Room Email Scheduler
+ *
+ * Send-by dates for the 5-email room sequences. Each campaign has a
+ * cadence: the business days between entering the room and email 1, and
+ * between copying (sending) one email and the next being due. Only the
+ * next unsent email has a real due date; the ones after it are projected
+ * as if it were sent on time (or today, once overdue).
+ *
+ * The next due date is kept in rtr_prospects.next_email_due so the "due
+ * today" queue and the daily digest are a single indexed query. It is
+ * recalculated when an email changes state, the prospect changes room or
+ * the campaign cadence changes, and for every active prospect before the
+ * digest is built.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+declare(strict_types=1);
+
+namespace DirectReach\ReadingTheRoom;
+
+use DateTimeImmutable;
+use wpdb;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+final class Reading_Room_Scheduler
+{
+    /** Rooms with an email sequence */
+    public const ROOMS = ['problem', 'solution', 'offer'];
+
+    /** Emails per room sequence */
+    public const SEQUENCE_LENGTH = 5;
+
+    /**
+     * Default cadence: business days before each email is due (email 1
+     * counts from entering the room, the others from the previous send).
+     */
+    public const DEFAULT_CADENCE = [1 => 0, 2 => 3, 3 => 4, 4 => 5, 5 => 7];
+
+    /** Longest gap a cadence step may have */
+    public const MAX_DAYS = 60;
+
+    /** Daily digest hook */
+    public const CRON_HOOK = 'dr_rtr_email_digest';
+
+    /** Site time the digest goes out */
+    private const DIGEST_TIME = '07:00';
+
+    /** Option holding the per-campaign cadences */
+    private const CADENCE_OPTION = 'rtr_email_cadence';
+
+    /** Option holding the last digest built by cron */
+    private const DIGEST_OPTION = 'rtr_email_digest';
+
+    /** @var wpdb */
+    private $db;
+
+    /** @var string */
+    private $table_prospects;
+
+    /** @var string */
+    private $table_tracking;
+
+    /** @var string */
+    private $table_campaigns;
+
+    /** @var string */
+    private $table_visitors;
+
+    /** @var string */
+    private $table_progression;
+
+    /**
+     * Constructor.
+     *
+     * @param wpdb $wpdb
+     */
+    public function __construct(wpdb $wpdb)
+    {
+        $this->db = $wpdb;
+        $prefix   = $wpdb->prefix;
+
+        $this->table_prospects   = "{$prefix}rtr_prospects";
+        $this->table_tracking    = "{$prefix}rtr_email_tracking";
+        $this->table_campaigns   = "{$prefix}dr_campaign_settings";
+        $this->table_visitors    = "{$prefix}cpd_visitors";
+        $this->table_progression = "{$prefix}rtr_room_progression";
+    }
+
+    /**
+     * Hook the publish action and the daily digest.
+     */
+    public static function init(): void
+    {
+        add_action('directreach_rtr_event', [__CLASS__, 'handle_event'], 10, 2);
+        add_action(self::CRON_HOOK, [__CLASS__, 'run_digest']);
+
+        if (!wp_next_scheduled(self::CRON_HOOK)) {
+            $first_run = new DateTimeImmutable('tomorrow ' . self::DIGEST_TIME, wp_timezone());
+            wp_schedule_event($first_run->getTimestamp(), 'daily', self::CRON_HOOK);
+        }
+    }
+
+    /**
+     * directreach_rtr_event callback: recalculate the affected prospects.
+     *
+     * @param string              $type Event type
+     * @param array<string,mixed> $data Event data
+     */
+    public static function handle_event($type, $data = []): void
+    {
+        global $wpdb;
+        $scheduler = new self($wpdb);
+        $data      = (array) $data;
+
+        switch ((string) $type) {
+            case 'prospect-created':
+            case 'room-changed':
+            case 'email-state-changed':
+                if (!empty($data['prospect_id'])) {
+                    $scheduler->refresh((int) $data['prospect_id']);
+                }
+                break;
+
+            case 'score-changed':
+                // Scores belong to the visitor: a room move affects all its campaigns
+                if (!empty($data['visitor_id']) && ($data['room'] ?? null) !== ($data['previous_room'] ?? null)) {
+                    $scheduler->refresh_where('p.visitor_id = %d', (int) $data['visitor_id']);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Cron callback.
+     */
+    public static function run_digest(): void
+    {
+        global $wpdb;
+        $scheduler = new self($wpdb);
+
+        $refreshed = $scheduler->refresh_where('1 = 1');
+        $digest    = $scheduler->build_digest();
+
+        update_option(self::DIGEST_OPTION, $digest, false);
+        $sent = $scheduler->send_digest($digest);
+
+        error_log(sprintf(
+            '[DirectReach][Scheduler] Digest: %d refreshed, %d overdue, %d due today, %s',
+            $refreshed,
+            count($digest['overdue']),
+            count($digest['due_today']),
+            $sent ? 'emailed' : 'not emailed'
+        ));
+    }
+
+    /* ---------------------------------------------------------------------
+     * Cadence
+     * -------------------------------------------------------------------*/
+
+    /**
+     * A campaign's cadence, falling back to the default.
+     *
+     * @param int $campaign_id
+     * @return array<int,int> Email number => business days
+     */
+    public function get_cadence(int $campaign_id): array
+    {
+        $cadences = get_option(self::CADENCE_OPTION, []);
+        $saved    = is_array($cadences) && isset($cadences[$campaign_id]) ? (array) $cadences[$campaign_id] : [];
+
+        $cadence = [];
+        foreach (self::DEFAULT_CADENCE as $number => $days) {
+            $cadence[$number] = isset($saved[$number]) ? (int) $saved[$number] : $days;
+        }
+        return $cadence;
+    }
+
+    /**
+     * Whether a campaign has its own cadence.
+     */
+    public function has_custom_cadence(int $campaign_id): bool
+    {
+        $cadences = get_option(self::CADENCE_OPTION, []);
+        return is_array($cadences) && isset($cadences[$campaign_id]);
+    }
+
+    /**
+     * Save a campaign's cadence and recalculate its prospects.
+     *
+     * @param int                $campaign_id
+     * @param array<int,mixed>   $days Email number => business days
+     * @return array<int,int> The saved cadence
+     */
+    public function save_cadence(int $campaign_id, array $days): array
+    {
+        $cadence = [];
+        foreach (self::DEFAULT_CADENCE as $number => $default) {
+            $value            = $days[$number] ?? $default;
+            $cadence[$number] = max(0, min(self::MAX_DAYS, (int) $value));
+        }
+
+        $cadences = get_option(self::CADENCE_OPTION, []);
+        $cadences = is_array($cadences) ? $cadences : [];
+
+        $cadences[$campaign_id] = $cadence;
+        update_option(self::CADENCE_OPTION, $cadences, false);
+
+        $this->refresh_where('p.campaign_id = %d', $campaign_id);
+
+        return $cadence;
+    }
+
+    /**
+     * Go back to the default cadence for a campaign.
+     *
+     * @param int $campaign_id
+     * @return array<int,int> The default cadence
+     */
+    public function reset_cadence(int $campaign_id): array
+    {
+        $cadences = get_option(self::CADENCE_OPTION, []);
+
+        if (is_array($cadences) && isset($cadences[$campaign_id])) {
+            unset($cadences[$campaign_id]);
+            update_option(self::CADENCE_OPTION, $cadences, false);
+            $this->refresh_where('p.campaign_id = %d', $campaign_id);
+        }
+
+        return self::DEFAULT_CADENCE;
+    }
+
+    /* ---------------------------------------------------------------------
+     * Schedule
+     * -------------------------------------------------------------------*/
+
+    /**
+     * Due dates for a prospect's sequence in a room.
+     *
+     * @param array<string,mixed> $prospect Prospect row (id, visitor_id, campaign_id, created_at)
+     * @param string              $room     Room whose sequence is scheduled
+     * @return array{next: array<string,mixed>|null, emails: array<string,array<string,mixed>>}
+     */
+    public function get_schedule(array $prospect, string $room): array
+    {
+        $emails = [];
+        $next   = null;
+
+        if (!in_array($room, self::ROOMS, true)) {
+            return ['next' => null, 'emails' => $emails];
+        }
+
+        $cadence   = $this->get_cadence((int) $prospect['campaign_id']);
+        $sent      = $this->get_sent_dates((int) $prospect['id'], $room);
+        $today     = $this->today();
+        $anchor    = $this->get_room_entered_at($prospect, $room);
+        $projected = false;
+
+        for ($number = 1; $number <= self::SEQUENCE_LENGTH; $number++) {
+            if (isset($sent[$number])) {
+                $anchor = $sent[$number];
+                $emails["email_{$number}"] = ['due_date' => null, 'overdue' => false, 'projected' => false];
+                continue;
+            }
+
+            $due     = $this->add_business_days($anchor, $cadence[$number]);
+            $overdue = !$projected && $due < $today;
+
+            $emails["email_{$number}"] = [
+                'due_date'  => $due->format('Y-m-d'),
+                'overdue'   => $overdue,
+                'projected' => $projected,
+            ];
+
+            if (!$projected) {
+                $next = [
+                    'email_number' => $number,
+                    'due_date'     => $due->format('Y-m-d'),
+                    'overdue'      => $overdue,
+                    'days_overdue' => $overdue ? (int) $due->diff($today)->days : 0,
+                ];
+            }
+
+            // Later emails assume this one goes out when due (or today, if late)
+            $projected = true;
+            $anchor    = max($due, $today);
+        }
+
+        return ['next' => $next, 'emails' => $emails];
+    }
+
+    /**
+     * Recalculate and store a prospect's next due date.
+     *
+     * @param int $prospect_id
+     * @return string|null Next due date (Y-m-d), null when nothing is due
+     */
+    public function refresh(int $prospect_id): ?string
+    {
+        $rows = $this->get_active_prospects('p.id = %d', $prospect_id);
+        if (!$rows) {
+            // Archived, handed off or missing: nothing is due
+            $this->db->update($this->table_prospects, ['next_email_due' => null], ['id' => $prospect_id]);
+            return null;
+        }
+
+        return $this->store_next_due($rows[0]);
+    }
+
+    /**
+     * Recalculate the active prospects matching a condition.
+     *
+     * @param string $condition SQL condition on rtr_prospects (alias p)
+     * @param mixed  ...$params Placeholder values
+     * @return int Prospects recalculated
+     */
+    public function refresh_where(string $condition, ...$params): int
+    {
+        $rows = $this->get_active_prospects($condition, ...$params);
+
+        foreach ($rows as $row) {
+            $this->store_next_due($row);
+        }
+
+        return count($rows);
+    }
+
+    /**
+     * Prospects whose next email is due by a date (default: today), soonest first.
+     *
+     * @param array<string,mixed> $args client_id, room, until (Y-m-d)
+     * @return array<int,array<string,mixed>>
+     */
+    public function get_due(array $args = []): array
+    {
+        $until  = !empty($args['until']) ? (string) $args['until'] : $this->today()->format('Y-m-d');
+        $where  = ['p.next_email_due IS NOT NULL', 'p.next_email_due <= %s'];
+        $params = [$until];
+
+        if (!empty($args['client_id'])) {
+            $where[]  = 'c.client_id = %d';
+            $params[] = (int) $args['client_id'];
+        }
+
+        $rows = $this->get_active_prospects(implode(' AND ', $where), ...$params);
+
+        $items = [];
+        foreach ($rows as $row) {
+            if (!empty($args['room']) && $row['room'] !== $args['room']) {
+                continue;
+            }
+
+            $next = $this->get_schedule($row, $row['room'])['next'];
+            if (!$next || $next['due_date'] > $until) {
+                continue;
+            }
+
+            $items[] = [
+                'prospect_id'   => (int) $row['id'],
+                'visitor_id'    => (int) $row['visitor_id'],
+                'company_name'  => $row['company_name'],
+                'contact_name'  => $row['contact_name'],
+                'campaign_id'   => (int) $row['campaign_id'],
+                'campaign_name' => $row['campaign_name'],
+                'client_id'     => (int) $row['client_id'],
+                'room'          => $row['room'],
+                'email_number'  => $next['email_number'],
+                'due_date'      => $next['due_date'],
+                'overdue'       => $next['overdue'],
+                'days_overdue'  => $next['days_overdue'],
+            ];
+        }
+
+        usort($items, fn($a, $b) => [$a['due_date'], $a['company_name']] <=> [$b['due_date'], $b['company_name']]);
+
+        return $items;
+    }
+
+    /* ---------------------------------------------------------------------
+     * Digest
+     * -------------------------------------------------------------------*/
+
+    /**
+     * Overdue and due-today emails, from the same data as the queue.
+     *
+     * @param int|null $client_id Limit to one client
+     * @return array{date: string, overdue: array, due_today: array}
+     */
+    public function build_digest(?int $client_id = null): array
+    {
+        $items = $this->get_due(['client_id' => $client_id]);
+
+        return [
+            'date'      => $this->today()->format('Y-m-d'),
+            'overdue'   => array_values(array_filter($items, fn($item) => $item['overdue'])),
+            'due_today' => array_values(array_filter($items, fn($item) => !$item['overdue'])),
+        ];
+    }
+
+    /**
+     * The digest cron last built.
+     *
+     * @return array<string,mixed>|null
+     */
+    public function get_last_digest(): ?array
+    {
+        $digest = get_option(self::DIGEST_OPTION, null);
+        return is_array($digest) ? $digest : null;
+    }
+
+    /**
+     * Email the digest (skipped when nothing is due).
+     *
+     * @param array<string,mixed> $digest
+     * @return bool Whether it was sent
+     */
+    public function send_digest(array $digest): bool
+    {
+        if (!$digest['overdue'] && !$digest['due_today']) {
+            return false;
+        }
+
+        /**
+         * Filter who receives the daily email digest.
+         *
+         * @param string[]            $recipients Email addresses (default: site admin)
+         * @param array<string,mixed> $digest     Digest being sent
+         */
+        $recipients = (array) apply_filters('directreach_rtr_digest_recipients', [get_option('admin_email')], $digest);
+        $recipients = array_filter($recipients, 'is_email');
+
+        if (!$recipients) {
+            return false;
+        }
+
+        $subject = sprintf(
+            '[Reading the Room] %d overdue, %d due today (%s)',
+            count($digest['overdue']),
+            count($digest['due_today']),
+            $digest['date']
+        );
+
+        $lines = [];
+        foreach (['overdue' => 'Overdue', 'due_today' => 'Due today'] as $key => $heading) {
+            if (!$digest[$key]) {
+                continue;
+            }
+            $lines[] = $heading;
+            foreach ($digest[$key] as $item) {
+                $lines[] = sprintf(
+                    '- %s%s: email %d (%s room, %s)%s',
+                    $item['company_name'],
+                    $item['contact_name'] ? ' / ' . $item['contact_name'] : '',
+                    $item['email_number'],
+                    ucfirst($item['room']),
+                    $item['campaign_name'] ?: 'no campaign',
+                    $item['overdue'] ? sprintf(' - due %s', $item['due_date']) : ''
+                );
+            }
+            $lines[] = '';
+        }
+        $lines[] = home_url('/directreach/reading-the-room/');
+
+        return (bool) wp_mail($recipients, $subject, implode("\n", $lines));
+    }
+
+    /* ---------------------------------------------------------------------
+     * Helpers
+     * -------------------------------------------------------------------*/
+
+    /**
+     * Store the next due date of a prospect row.
+     *
+     * @param array<string,mixed> $row Row from get_active_prospects()
+     */
+    private function store_next_due(array $row): ?string
+    {
+        $next = $this->get_schedule($row, $row['room'])['next'];
+        $due  = $next['due_date'] ?? null;
+
+        if ($due !== $row['next_email_due']) {
+            $this->db->update($this->table_prospects, ['next_email_due' => $due], ['id' => (int) $row['id']]);
+        }
+
+        return $due;
+    }
+
+    /**
+     * Prospects that can receive emails (not archived or handed off).
+     *
+     * The room is the visitor's current room, as on the dashboard.
+     *
+     * @param string $condition SQL condition with placeholders
+     * @param mixed  ...$params Placeholder values
+     * @return array<int,array<string,mixed>>
+     */
+    private function get_active_prospects(string $condition, ...$params): array
+    {
+        $sql = "SELECT p.id, p.visitor_id, p.campaign_id, p.company_name, p.contact_name,
+                       p.created_at, p.next_email_due, c.campaign_name, c.client_id,
+                       COALESCE(v.current_room, p.current_room) AS room
+                FROM {$this->table_prospects} p
+                LEFT JOIN {$this->table_campaigns} c ON p.campaign_id = c.id
+                LEFT JOIN {$this->table_visitors} v ON p.visitor_id = v.id
+                WHERE {$condition}
+                  AND p.archived_at IS NULL
+                  AND p.sales_handoff_at IS NULL
+                  AND (v.is_archived = 0 OR v.is_archived IS NULL)";
+
+        $prepared = $params ? $this->db->prepare($sql, ...$params) : $sql;
+        $rows     = $this->db->get_results($prepared, ARRAY_A) ?: [];
+
+        return array_values(array_filter($rows, fn($row) => in_array($row['room'], self::ROOMS, true)));
+    }
+
+    /**
+     * When each email of a room sequence went out (copied, sent or bounced).
+     *
+     * @return array<int,DateTimeImmutable> Email number => send date
+     */
+    private function get_sent_dates(int $prospect_id, string $room): array
+    {
+        $rows = $this->db->get_results($this->db->prepare(
+            "SELECT email_number, MAX(COALESCE(copied_at, sent_at, created_at)) AS sent_at
+             FROM {$this->table_tracking}
+             WHERE prospect_id = %d AND room_type = %s
+               AND (copied_at IS NOT NULL OR status IN ('sent', 'opened', 'clicked', 'bounced'))
+             GROUP BY email_number",
+            $prospect_id,
+            $room
+        ), ARRAY_A) ?: [];
+
+        $sent = [];
+        foreach ($rows as $row) {
+            $sent[(int) $row['email_number']] = $this->to_date((string) $row['sent_at']);
+        }
+        return $sent;
+    }
+
+    /**
+     * When the prospect last entered a room (falls back to when it was added).
+     */
+    private function get_room_entered_at(array $prospect, string $room): DateTimeImmutable
+    {
+        $entered = $this->db->get_var($this->db->prepare(
+            "SELECT MAX(transitioned_at)
+             FROM {$this->table_progression}
+             WHERE visitor_id = %d AND campaign_id = %d AND to_room = %s",
+            (int) $prospect['visitor_id'],
+            (int) $prospect['campaign_id'],
+            $room
+        ));
+
+        $date = $entered ?: ($prospect['created_at'] ?? null);
+        return $date ? $this->to_date((string) $date) : $this->today();
+    }
+
+    /**
+     * Add business days (Monday to Friday); due dates never fall on a weekend.
+     */
+    private function add_business_days(DateTimeImmutable $date, int $days): DateTimeImmutable
+    {
+        while ($days > 0) {
+            $date = $date->modify('+1 day');
+            if ((int) $date->format('N') < 6) {
+                $days--;
+            }
+        }
+
+        while ((int) $date->format('N') >= 6) {
+            $date = $date->modify('+1 day');
+        }
+
+        return $date;
+    }
+
+    /**
+     * Midnight of a MySQL datetime (site timezone).
+     */
+    private function to_date(string $datetime): DateTimeImmutable
+    {
+        return (new DateTimeImmutable($datetime, wp_timezone()))->setTime(0, 0);
+    }
+
+    /**
+     * Midnight today (site timezone).
+     */
+    private function today(): DateTimeImmutable
+    {
+        return new DateTimeImmutable('today', wp_timezone());
+    }
+}
@@ -0,0 +1,514 @@
+<?php
+/**
+ * Reading Room Timeline
+ *
+ * One chronological history per prospect: page visits, score changes (with
+ * the rules that fired), room moves, email activity and enrichment.
+ *
+ * Most entries are read from where they already live (cpd_visitors,
+ * cpd_visitor_activity, rtr_room_progression, rtr_email_tracking). Events
+ * nothing else keeps a dated record of are logged to rtr_analytics as they
+ * are published on the directreach_rtr_event action:
+ *
+ *   score-changed        → score_changed
+ *   email-state-changed  → email_bounced (bounces only)
+ *   prospect-enriched    → contact_enriched
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+declare(strict_types=1);
+
+namespace DirectReach\ReadingTheRoom;
+
+use wpdb;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+final class Reading_Room_Timeline
+{
+    /**
+     * Timeline entry types (the filter options).
+     */
+    public const TYPES = ['visit', 'score', 'room', 'email', 'enrichment'];
+
+    /** Most page visits read from the activity table */
+    private const MAX_VISITS = 200;
+
+    /** @var Reading_Room_Database */
+    private $store;
+
+    /** @var wpdb */
+    private $db;
+
+    /**
+     * Constructor.
+     *
+     * @param Reading_Room_Database $store
+     * @param wpdb                  $wpdb
+     */
+    public function __construct(Reading_Room_Database $store, wpdb $wpdb)
+    {
+        $this->store = $store;
+        $this->db    = $wpdb;
+    }
+
+    /**
+     * Hook the publish action.
+     */
+    public static function init(): void
+    {
+        add_action('directreach_rtr_event', [__CLASS__, 'handle_event'], 10, 2);
+    }
+
+    /**
+     * directreach_rtr_event callback.
+     *
+     * @param string              $type Event type
+     * @param array<string,mixed> $data Event data
+     */
+    public static function handle_event($type, $data = []): void
+    {
+        global $wpdb;
+        (new self(new Reading_Room_Database($wpdb), $wpdb))->record((string) $type, (array) $data);
+    }
+
+    /**
+     * Log an event the timeline cannot rebuild later.
+     *
+     * @param string              $type Event type
+     * @param array<string,mixed> $data Event data (prospect_id or visitor_id)
+     * @return int Analytics row ID, 0 if not logged
+     */
+    public function record(string $type, array $data): int
+    {
+        switch ($type) {
+            case 'score-changed':
+                $event_key = 'score_changed';
+                $value     = [
+                    'previous_score' => (int) ($data['previous_score'] ?? 0),
+                    'score'          => (int) ($data['score'] ?? 0),
+                    'previous_room'  => $data['previous_room'] ?? null,
+                    'room'           => $data['room'] ?? null,
+                    'rules'          => array_values((array) ($data['rules'] ?? [])),
+                ];
+                break;
+
+            case 'email-state-changed':
+                if (($data['state'] ?? '') !== 'bounced') {
+                    return 0;
+                }
+                $event_key = 'email_bounced';
+                $value     = [
+                    'room'              => $data['room'] ?? null,
+                    'email_number'      => (int) ($data['email_number'] ?? 0),
+                    'email_tracking_id' => (int) ($data['email_tracking_id'] ?? 0),
+                ];
+                break;
+
+            case 'prospect-enriched':
+                $event_key = 'contact_enriched';
+                $value     = [
+                    'source' => $data['source'] ?? null,
+                    'email'  => $data['email'] ?? null,
+                    'fields' => array_values((array) ($data['fields'] ?? [])),
+                ];
+                break;
+
+            default:
+                return 0;
+        }
+
+        $prospect_id = $this->resolve_prospect_id((int) ($data['prospect_id'] ?? 0), (int) ($data['visitor_id'] ?? 0));
+        if (!$prospect_id) {
+            return 0;
+        }
+
+        return $this->store->log_event([
+            'prospect_id' => $prospect_id,
+            'event_key'   => $event_key,
+            'event_value' => $value,
+        ]);
+    }
+
+    /**
+     * A prospect's timeline, newest first.
+     *
+     * @param int      $prospect_id Prospect ID
+     * @param string[] $types       Entry types to include (all when empty)
+     * @return array<int,array<string,mixed>>|null Entries
+     *         { type, event, occurred_at, summary, details }, null if the
+     *         prospect does not exist
+     */
+    public function get_timeline(int $prospect_id, array $types = []): ?array
+    {
+        $prospect = $this->store->get_prospect($prospect_id);
+        if (!$prospect) {
+            return null;
+        }
+
+        $types   = $types ? array_intersect(self::TYPES, $types) : self::TYPES;
+        $logged  = $this->get_logged_events($prospect_id);
+        $entries = [];
+
+        if (in_array('visit', $types, true)) {
+            $entries = array_merge($entries, $this->get_visit_entries((int) $prospect['visitor_id']));
+        }
+        if (in_array('score', $types, true)) {
+            $entries = array_merge($entries, $this->get_score_entries($logged['score_changed'] ?? []));
+        }
+        if (in_array('room', $types, true)) {
+            $entries = array_merge($entries, $this->get_room_entries($prospect, $logged['score_changed'] ?? []));
+        }
+        if (in_array('email', $types, true)) {
+            $entries = array_merge($entries, $this->get_email_entries($prospect_id, $logged['email_bounced'] ?? []));
+        }
+        if (in_array('enrichment', $types, true)) {
+            $entries = array_merge($entries, $this->get_enrichment_entries($logged['contact_enriched'] ?? []));
+        }
+
+        $entries = array_values(array_filter($entries, static function (array $entry): bool {
+            return !empty($entry['occurred_at']);
+        }));
+
+        usort($entries, static function (array $a, array $b): int {
+            return strcmp($b['occurred_at'], $a['occurred_at']);
+        });
+
+        return $entries;
+    }
+
+    /* ---------------------------------------------------------------------
+     * Entry sources
+     * -------------------------------------------------------------------*/
+
+    /**
+     * Page visits.
+     *
+     * Uses cpd_visitor_activity when it has rows for the visitor; otherwise
+     * only the first and latest visit are known, with the recent pages
+     * attached to the latest.
+     *
+     * @return array<int,array<string,mixed>>
+     */
+    private function get_visit_entries(int $visitor_id): array
+    {
+        $visitor = $this->db->get_row($this->db->prepare(
+            "SELECT first_seen_at, last_seen_at, recent_page_count, recent_page_urls
+             FROM {$this->db->prefix}cpd_visitors WHERE id = %d",
+            $visitor_id
+        ), ARRAY_A);
+
+        if (!$visitor) {
+            return [];
+        }
+
+        $entries = [
+            $this->entry('visit', 'first_visit', $visitor['first_seen_at'], 'First visit to the site'),
+        ];
+
+        $activity_table = "{$this->db->prefix}cpd_visitor_activity";
+        $visits         = [];
+
+        if ($this->db->get_var("SHOW TABLES LIKE '{$activity_table}'") === $activity_table) {
+            $visits = $this->db->get_results($this->db->prepare(
+                "SELECT page_url, utm_source, utm_campaign, created_at
+                 FROM {$activity_table}
+                 WHERE visitor_id = %d AND activity_type = 'page_visit'
+                 ORDER BY created_at DESC
+                 LIMIT %d",
+                $visitor_id,
+                self::MAX_VISITS
+            ), ARRAY_A) ?: [];
+        }
+
+        foreach ($visits as $visit) {
+            $entries[] = $this->entry('visit', 'page_visit', $visit['created_at'], 'Visited ' . $visit['page_url'], [
+                'url'          => $visit['page_url'],
+                'utm_source'   => $visit['utm_source'],
+                'utm_campaign' => $visit['utm_campaign'],
+            ]);
+        }
+
+        if (!$visits && $visitor['last_seen_at'] !== $visitor['first_seen_at']) {
+            $pages = json_decode((string) $visitor['recent_page_urls'], true);
+            $pages = is_array($pages) ? array_values(array_filter($pages, 'is_string')) : [];
+            $count = (int) $visitor['recent_page_count'];
+
+            $entries[] = $this->entry(
+                'visit',
+                'latest_visit',
+                $visitor['last_seen_at'],
+                sprintf('Latest visit (%d recent %s)', $count, $count === 1 ? 'page' : 'pages'),
+                ['pages' => $pages]
+            );
+        }
+
+        return $entries;
+    }
+
+    /**
+     * Score recalculations that changed the score or room.
+     *
+     * @param array<int,array<string,mixed>> $logged score_changed rows
+     * @return array<int,array<string,mixed>>
+     */
+    private function get_score_entries(array $logged): array
+    {
+        $entries = [];
+
+        foreach ($logged as $row) {
+            $value = $row['value'];
+            $delta = (int) $value['score'] - (int) $value['previous_score'];
+
+            $rules = array_map(function ($rule): array {
+                return [
+                    'room'   => $rule['room'] ?? '',
+                    'rule'   => $rule['rule'] ?? '',
+                    'label'  => $this->humanize((string) ($rule['rule'] ?? '')),
+                    'points' => (int) ($rule['points'] ?? 0),
+                ];
+            }, $value['rules'] ?? []);
+
+            $entries[] = $this->entry(
+                'score',
+                'score_changed',
+                $row['occurred_at'],
+                sprintf('Score %d → %d (%s%d)', $value['previous_score'], $value['score'], $delta >= 0 ? '+' : '', $delta),
+                [
+                    'previous_score' => (int) $value['previous_score'],
+                    'score'          => (int) $value['score'],
+                    'rules'          => $rules,
+                ]
+            );
+        }
+
+        return $entries;
+    }
+
+    /**
+     * Room moves: nightly assignments, score-driven moves and the sales handoff.
+     *
+     * @param array<string,mixed>            $prospect Prospect row
+     * @param array<int,array<string,mixed>> $logged   score_changed rows
+     * @return array<int,array<string,mixed>>
+     */
+    private function get_room_entries(array $prospect, array $logged): array
+    {
+        $entries = [
+            $this->entry('room', 'prospect_created', $prospect['created_at'], 'Added to Reading the Room'),
+        ];
+
+        $transitions = $this->db->get_results($this->db->prepare(
+            "SELECT from_room, to_room, reason, transitioned_at
+             FROM {$this->db->prefix}rtr_room_progression
+             WHERE visitor_id = %d AND campaign_id = %d
+             ORDER BY transitioned_at ASC",
+            (int) $prospect['visitor_id'],
+            (int) $prospect['campaign_id']
+        ), ARRAY_A) ?: [];
+
+        foreach ($transitions as $transition) {
+            $entries[] = $this->room_entry($transition['transitioned_at'], $transition['from_room'], $transition['to_room'], [
+                'reason' => $transition['reason'],
+            ]);
+        }
+
+        foreach ($logged as $row) {
+            $value = $row['value'];
+            if (!empty($value['room']) && $value['room'] !== $value['previous_room']) {
+                $entries[] = $this->room_entry($row['occurred_at'], (string) $value['previous_room'], $value['room'], [
+                    'reason' => sprintf('Score changed to %d', $value['score']),
+                ]);
+            }
+        }
+
+        if (!empty($prospect['sales_handoff_at'])) {
+            $entries[] = $this->entry('room', 'sales_handoff', $prospect['sales_handoff_at'], 'Handed off to sales', [
+                'notes' => $prospect['handoff_notes'] ?? '',
+            ]);
+        }
+
+        return $entries;
+    }
+
+    /**
+     * Email generation, copy, send, open, click and bounce.
+     *
+     * @param array<int,array<string,mixed>> $bounces email_bounced rows
+     * @return array<int,array<string,mixed>>
+     */
+    private function get_email_entries(int $prospect_id, array $bounces): array
+    {
+        $emails = $this->db->get_results($this->db->prepare(
+            "SELECT id, email_number, room_type, subject, status, created_at, copied_at, sent_at, opened_at, clicked_at
+             FROM {$this->db->prefix}rtr_email_tracking
+             WHERE prospect_id = %d
+             ORDER BY created_at ASC",
+            $prospect_id
+        ), ARRAY_A) ?: [];
+
+        $entries = [];
+
+        foreach ($emails as $email) {
+            $label   = sprintf('Email %d (%s)', $email['email_number'], ucfirst((string) $email['room_type']));
+            $details = [
+                'email_tracking_id' => (int) $email['id'],
+                'email_number'      => (int) $email['email_number'],
+                'room'              => $email['room_type'],
+                'subject'           => $email['subject'],
+            ];
+
+            $failed = in_array($email['status'], ['failed', 'error'], true);
+
+            $entries[] = $this->entry('email', $failed ? 'generation_failed' : 'generated', $email['created_at'],
+                $label . ($failed ? ' failed to generate' : ' generated'), $details);
+
+            // sent_at is only set by the sending integration, and usually
+            // matches copied_at when the email was copied first
+            $moments = [
+                'copied'  => [$email['copied_at'], ' copied'],
+                'sent'    => [$email['sent_at'] !== $email['copied_at'] ? $email['sent_at'] : null, ' sent'],
+                'opened'  => [$email['opened_at'], ' opened'],
+                'clicked' => [$email['clicked_at'], ' clicked'],
+            ];
+
+            foreach ($moments as $event => [$at, $suffix]) {
+                if (!empty($at)) {
+                    $entries[] = $this->entry('email', $event, $at, $label . $suffix, $details);
+                }
+            }
+        }
+
+        foreach ($bounces as $row) {
+            $value     = $row['value'];
+            $entries[] = $this->entry(
+                'email',
+                'bounced',
+                $row['occurred_at'],
+                sprintf('Email %d (%s) bounced', $value['email_number'], ucfirst((string) $value['room'])),
+                $value
+            );
+        }
+
+        return $entries;
+    }
+
+    /**
+     * Contact enrichment (email lookups and saved contact details).
+     *
+     * @param array<int,array<string,mixed>> $logged contact_enriched rows
+     * @return array<int,array<string,mixed>>
+     */
+    private function get_enrichment_entries(array $logged): array
+    {
+        $entries = [];
+
+        foreach ($logged as $row) {
+            $value   = $row['value'];
+            $summary = !empty($value['email'])
+                ? 'Email found: ' . $value['email']
+                : 'Contact details updated';
+
+            if (!empty($value['source'])) {
+                $summary .= ' (' . $this->humanize((string) $value['source']) . ')';
+            }
+
+            $entries[] = $this->entry('enrichment', 'contact_enriched', $row['occurred_at'], $summary, $value);
+        }
+
+        return $entries;
+    }
+
+    /* ---------------------------------------------------------------------
+     * Helpers
+     * -------------------------------------------------------------------*/
+
+    /**
+     * Timeline events logged for a prospect, grouped by event key.
+     *
+     * @return array<string,array<int,array<string,mixed>>> { event_key: [{ occurred_at, value }] }
+     */
+    private function get_logged_events(int $prospect_id): array
+    {
+        $tables = $this->store->tables();
+
+        $rows = $this->store->query(
+            "SELECT event_key, event_value, occurred_at
+             FROM {$tables['analytics']}
+             WHERE prospect_id = %d
+             AND event_key IN ('score_changed', 'email_bounced', 'contact_enriched')
+             ORDER BY occurred_at ASC",
+            [$prospect_id]
+        );
+
+        $grouped = [];
+        foreach ($rows as $row) {
+            $grouped[$row['event_key']][] = [
+                'occurred_at' => $row['occurred_at'],
+                'value'       => json_decode((string) $row['event_value'], true) ?: [],
+            ];
+        }
+
+        return $grouped;
+    }
+
+    /**
+     * Prospect ID for an event; by visitor, the active prospect.
+     */
+    private function resolve_prospect_id(int $prospect_id, int $visitor_id): int
+    {
+        if ($prospect_id || !$visitor_id) {
+            return $prospect_id;
+        }
+
+        $tables = $this->store->tables();
+
+        return (int) $this->db->get_var($this->db->prepare(
+            "SELECT id FROM {$tables['prospects']}
+             WHERE visitor_id = %d AND archived_at IS NULL
+             ORDER BY updated_at DESC LIMIT 1",
+            $visitor_id
+        ));
+    }
+
+    /**
+     * @param array<string,mixed> $details
+     * @return array<string,mixed>
+     */
+    private function room_entry(string $occurred_at, string $from, string $to, array $details): array
+    {
+        $summary = in_array($from, ['', 'none'], true)
+            ? sprintf('Entered %s room', ucfirst($to))
+            : sprintf('Moved from %s to %s room', ucfirst($from), ucfirst($to));
+
+        return $this->entry('room', 'room_changed', $occurred_at, $summary, $details + [
+            'from_room' => $from,
+            'to_room'   => $to,
+        ]);
+    }
+
+    /**
+     * @param array<string,mixed> $details
+     * @return array<string,mixed>
+     */
+    private function entry(string $type, string $event, ?string $occurred_at, string $summary, array $details = []): array
+    {
+        return [
+            'type'        => $type,
+            'event'       => $event,
+            'occurred_at' => $occurred_at,
+            'summary'     => $summary,
+            'details'     => $details,
+        ];
+    }
+
+    private function humanize(string $key): string
+    {
+        return ucwords(str_replace(['_', '-'], ' ', $key));
+    }
+}
@@ -0,0 +1,129 @@
+<?php
+/**
+ * A-Leads Provider
+ *
+ * A-Leads (through the Make.com proxy) as an enrichment provider:
+ * company contact search, email finder and verifier. Without saved
+ * credentials it falls back to the rtr_aleads_api_key and
+ * rtr_aleads_make_webhook options used before providers were configurable.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+declare(strict_types=1);
+
+namespace DirectReach\ReadingTheRoom\Enrichment;
+
+use DirectReach\ReadingTheRoom\API\ALeads_Enrichment;
+use RuntimeException;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+final class ALeads_Provider extends Enrichment_Provider
+{
+    /** @var ALeads_Enrichment|null */
+    private $client;
+
+    public function get_id(): string
+    {
+        return 'aleads';
+    }
+
+    public function get_label(): string
+    {
+        return 'A-Leads';
+    }
+
+    public function get_capabilities(): array
+    {
+        return ['search_contacts', 'find_email', 'verify_email'];
+    }
+
+    public function get_credential_fields(): array
+    {
+        return [
+            'api_key'     => ['label' => 'API key', 'secret' => true],
+            'webhook_url' => ['label' => 'Make.com proxy URL'],
+        ];
+    }
+
+    public function set_credentials(array $credentials): void
+    {
+        parent::set_credentials($credentials);
+        $this->client = null;
+    }
+
+    public function is_configured(): bool
+    {
+        return $this->client()->get_config_status()['webhook_url_set'];
+    }
+
+    public function search_contacts(array $company): array
+    {
+        $contacts = $this->client()->search_contacts($company['company_name']);
+
+        return array_map(static function (array $contact): array {
+            $contact['ref'] = $contact['document_id'] ?: $contact['member_id'];
+            return $contact;
+        }, $contacts);
+    }
+
+    /**
+     * A-Leads reports a result rather than a score: "ok" counts as
+     * 90% confidence, anything else as 50%.
+     */
+    public function find_email(array $person): ?array
+    {
+        $result = $this->client()->find_email_by_member_id(
+            $person['ref'] ?? '',
+            $person['first_name'] ?? '',
+            $person['last_name'] ?? '',
+            $person['domain'] ?? ''
+        );
+
+        if (empty($result['email'])) {
+            return null;
+        }
+
+        return [
+            'email'      => $result['email'],
+            'confidence' => $result['is_valid'] ? 90 : 50,
+            'quality'    => $result['quality'],
+        ];
+    }
+
+    public function verify_email(string $email): ?array
+    {
+        $result = $this->client()->verify_address($email);
+
+        if (!$result) {
+            throw new RuntimeException('A-Leads verification request failed');
+        }
+
+        $status = $result['verified'] ? 'valid' : (!empty($result['catch_all_status']) ? 'risky' : 'invalid');
+
+        return [
+            'status'     => $status,
+            'confidence' => $status === 'risky' ? 50 : 90,
+            'quality'    => (string) $result['quality'],
+            'catch_all'  => (bool) $result['catch_all_status'],
+            'esp'        => $result['esp'],
+        ];
+    }
+
+    private function client(): ALeads_Enrichment
+    {
+        if (!$this->client) {
+            $this->client = new ALeads_Enrichment(
+                $this->credential('api_key') ?: null,
+                $this->credential('webhook_url') ?: null
+            );
+        }
+
+        return $this->client;
+    }
+}
@@ -0,0 +1,144 @@
+<?php
+/**
+ * Enrichment Provider
+ *
+ * Base class for the contact data sources used by Reading the Room
+ * enrichment. A provider supports one or more lookups: searching a
+ * company's contacts, finding a person's email address and verifying
+ * an address. Reading_Room_Enrichment runs the enabled providers as an
+ * ordered waterfall, so a provider only has to answer for itself: return
+ * what it found, or nothing, and throw when the service failed.
+ *
+ * Other plugins add providers through the
+ * directreach_rtr_enrichment_providers filter.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+declare(strict_types=1);
+
+namespace DirectReach\ReadingTheRoom\Enrichment;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+abstract class Enrichment_Provider
+{
+    /** Lookups a provider can support */
+    public const CAPABILITIES = ['search_contacts', 'find_email', 'verify_email'];
+
+    /** Verification statuses, most to least conclusive */
+    public const VERIFY_STATUSES = ['valid', 'invalid', 'risky', 'unknown'];
+
+    /** @var array<string,string> */
+    protected $credentials = [];
+
+    /**
+     * Unique provider ID (stored with settings and lookups).
+     */
+    abstract public function get_id(): string;
+
+    /**
+     * Name shown in the dashboard.
+     */
+    abstract public function get_label(): string;
+
+    /**
+     * @return string[] Supported lookups (see CAPABILITIES)
+     */
+    abstract public function get_capabilities(): array;
+
+    /**
+     * Credentials the provider needs.
+     *
+     * @return array<string,array{label:string,secret?:bool,required?:bool}>
+     */
+    public function get_credential_fields(): array
+    {
+        return [];
+    }
+
+    /**
+     * Default credits charged per lookup, by capability.
+     *
+     * @return array<string,float>
+     */
+    public function get_default_costs(): array
+    {
+        return [];
+    }
+
+    /**
+     * @param array<string,string> $credentials Saved credential values
+     */
+    public function set_credentials(array $credentials): void
+    {
+        $this->credentials = $credentials;
+    }
+
+    /**
+     * Whether every required credential is set.
+     */
+    public function is_configured(): bool
+    {
+        foreach ($this->get_credential_fields() as $key => $field) {
+            if (!empty($field['required']) && ($this->credentials[$key] ?? '') === '') {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    public function supports(string $capability): bool
+    {
+        return in_array($capability, $this->get_capabilities(), true);
+    }
+
+    /**
+     * Contacts at a company.
+     *
+     * @param array{company_name:string,domain:string} $company
+     * @return array<int,array<string,mixed>> Contacts: name, first_name, last_name, job_title,
+     *         linkedin, seniority, department, company_name, domain, email (if known)
+     *         and ref (the provider's own ID for the person)
+     */
+    public function search_contacts(array $company): array
+    {
+        return [];
+    }
+
+    /**
+     * A person's email address.
+     *
+     * @param array<string,string> $person first_name, last_name, domain, company_name,
+     *                                     linkedin and ref (from this provider's search)
+     * @return array{email:string,confidence:int}|null Confidence 0-100; null when not found
+     */
+    public function find_email(array $person): ?array
+    {
+        return null;
+    }
+
+    /**
+     * Deliverability of an address.
+     *
+     * @return array{status:string,confidence:int,quality?:string,catch_all?:bool,esp?:string}|null
+     *         Status from VERIFY_STATUSES; null when the provider can't tell
+     */
+    public function verify_email(string $email): ?array
+    {
+        return null;
+    }
+
+    /**
+     * A saved credential.
+     */
+    protected function credential(string $key): string
+    {
+        return (string) ($this->credentials[$key] ?? '');
+    }
+}
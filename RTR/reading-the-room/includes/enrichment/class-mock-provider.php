@@ -0,0 +1,109 @@
+<?php
+/**
+ * Mock Provider
+ *
+ * Local enrichment provider for testing the waterfall without calling
+ * (or paying for) a real service. Answers are made up from the input and
+ * always the same for the same input:
+ *
+ * - Contact search returns three people at the company; the domain is
+ *   the company's own, or <company>.example without one.
+ * - Email finder returns first.last@domain with 40-99% confidence, and
+ *   nothing for last names containing "unknown".
+ * - Verification says invalid for addresses containing "invalid" or
+ *   "bounce", risky (catch-all) for a fifth of domains and valid otherwise.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ * @since 2.5.0
+ */
+
+declare(strict_types=1);
+
+namespace DirectReach\ReadingTheRoom\Enrichment;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+final class Mock_Provider extends Enrichment_Provider
+{
+    private const PEOPLE = [
+        ['Alex', 'Morgan', 'VP of Marketing', 'VP', 'Marketing'],
+        ['Jordan', 'Lee', 'Director of Operations', 'Director', 'Operations'],
+        ['Sam', 'Patel', 'Chief Technology Officer', 'C-Suite', 'Engineering'],
+    ];
+
+    public function get_id(): string
+    {
+        return 'mock';
+    }
+
+    public function get_label(): string
+    {
+        return 'Mock (testing)';
+    }
+
+    public function get_capabilities(): array
+    {
+        return ['search_contacts', 'find_email', 'verify_email'];
+    }
+
+    public function search_contacts(array $company): array
+    {
+        $name   = trim($company['company_name'] ?? '');
+        $domain = $company['domain'] ?: sanitize_title($name) . '.example';
+
+        return array_map(static function (array $person, int $index) use ($name, $domain): array {
+            [$first, $last, $title, $seniority, $department] = $person;
+
+            return [
+                'ref'          => 'mock-' . substr(md5($domain . $index), 0, 12),
+                'name'         => "{$first} {$last}",
+                'first_name'   => $first,
+                'last_name'    => $last,
+                'job_title'    => $title,
+                'linkedin'     => 'https://www.linkedin.com/in/' . strtolower("{$first}-{$last}") . '-' . substr(md5($domain), 0, 6),
+                'seniority'    => $seniority,
+                'department'   => $department,
+                'company_name' => $name,
+                'domain'       => $domain,
+                'email'        => null,
+            ];
+        }, self::PEOPLE, array_keys(self::PEOPLE));
+    }
+
+    public function find_email(array $person): ?array
+    {
+        $first  = strtolower(preg_replace('/[^a-z]/i', '', $person['first_name'] ?? ''));
+        $last   = strtolower(preg_replace('/[^a-z]/i', '', $person['last_name'] ?? ''));
+        $domain = strtolower($person['domain'] ?? '');
+
+        if ($first === '' || $last === '' || $domain === '' || strpos($last, 'unknown') !== false) {
+            return null;
+        }
+
+        $email = "{$first}.{$last}@{$domain}";
+
+        return [
+            'email'      => $email,
+            'confidence' => 40 + crc32($email) % 60,
+        ];
+    }
+
+    public function verify_email(string $email): ?array
+    {
+        $email  = strtolower($email);
+        $domain = substr((string) strrchr($email, '@'), 1);
+
+        if (strpos($email, 'invalid') !== false || strpos($email, 'bounce') !== false) {
+            return ['status' => 'invalid', 'confidence' => 95, 'quality' => 'bad', 'catch_all' => false];
+        }
+
+        if (crc32($domain) % 5 === 0) {
+            return ['status' => 'risky', 'confidence' => 50, 'quality' => 'catch_all', 'catch_all' => true];
+        }
+
+        return ['status' => 'valid', 'confidence' => 95, 'quality' => 'good', 'catch_all' => false];
+    }
+}
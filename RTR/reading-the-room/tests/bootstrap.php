@@ -0,0 +1,36 @@
+<?php
+/**
+ * PHPUnit bootstrap file
+ *
+ * Runs against the WordPress test suite (WP_TESTS_DIR, as set up by
+ * `wp scaffold plugin-tests`) with the dashboard's base schema loaded.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ */
+
+$_tests_dir = getenv('WP_TESTS_DIR');
+
+if (!$_tests_dir) {
+    $_tests_dir = rtrim(sys_get_temp_dir(), '/\\') . '/wordpress-tests-lib';
+}
+
+if (!file_exists("{$_tests_dir}/includes/functions.php")) {
+    echo "Could not find {$_tests_dir}/includes/functions.php, have you run bin/install-wp-tests.sh ?" . PHP_EOL;
+    exit(1);
+}
+
+require_once "{$_tests_dir}/includes/functions.php";
+
+/**
+ * Load the base schema class and the plugin.
+ */
+function _manually_load_plugin()
+{
+    require dirname(__DIR__, 3) . '/includes/class-cpd-database.php';
+    require dirname(__DIR__) . '/directreach-reading-room.php';
+    dr_rtr_require_files();
+}
+tests_add_filter('muplugins_loaded', '_manually_load_plugin');
+
+require "{$_tests_dir}/includes/bootstrap.php";
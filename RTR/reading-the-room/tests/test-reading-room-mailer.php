@@ -0,0 +1,234 @@
+<?php
+/**
+ * Reading_Room_Mailer send claim tests
+ *
+ * Deliveries go to the SendGrid transport with the HTTP request
+ * short-circuited through pre_http_request, so nothing leaves the box.
+ *
+ * @package DirectReach
+ * @subpackage ReadingTheRoom
+ */
+
+use DirectReach\ReadingTheRoom\Reading_Room_Events;
+use DirectReach\ReadingTheRoom\Reading_Room_Mailer;
+
+class Test_Reading_Room_Mailer extends WP_UnitTestCase
+{
+    /** @var Reading_Room_Mailer */
+    private $mailer;
+
+    /** @var int */
+    private $user_id;
+
+    /** @var int */
+    private $prospect_id;
+
+    /** @var int */
+    private $tracking_id;
+
+    /** @var int ESP calls made by the current test */
+    private $deliveries = 0;
+
+    public static function wpSetUpBeforeClass($factory)
+    {
+        global $wpdb;
+
+        $database = new CPD_Database();
+        $database->create_prospects_table();
+        $database->create_email_tracking_table();
+
+        (new Reading_Room_Mailer($wpdb))->install_schema();
+        (new Reading_Room_Events($wpdb))->install_schema();
+    }
+
+    public function set_up()
+    {
+        parent::set_up();
+
+        global $wpdb;
+
+        // Campaign and visitor rows are not needed here
+        $wpdb->query('SET FOREIGN_KEY_CHECKS = 0');
+
+        update_option('rtr_email_sending', [
+            'enabled'      => true,
+            'transport'    => 'esp',
+            'esp_provider' => 'sendgrid',
+            'esp_api_key'  => 'test-key',
+        ]);
+
+        $this->user_id = self::factory()->user->create([
+            'display_name' => 'Rep',
+            'user_email'   => 'rep@example.com',
+        ]);
+
+        $wpdb->insert("{$wpdb->prefix}rtr_prospects", [
+            'campaign_id'   => 1,
+            'visitor_id'    => 1,
+            'current_room'  => 'problem',
+            'company_name'  => 'Acme',
+            'contact_name'  => 'Pat Prospect',
+            'contact_email' => 'pat@example.com',
+        ]);
+        $this->prospect_id = (int) $wpdb->insert_id;
+
+        $wpdb->insert("{$wpdb->prefix}rtr_email_tracking", [
+            'prospect_id'    => $this->prospect_id,
+            'visitor_id'     => 1,
+            'email_number'   => 1,
+            'room_type'      => 'problem',
+            'subject'        => 'Hello',
+            'body_html'      => '<p>Hello Pat</p>',
+            'body_text'      => 'Hello Pat',
+            'status'         => 'pending',
+            'tracking_token' => wp_generate_password(32, false),
+        ]);
+        $this->tracking_id = (int) $wpdb->insert_id;
+
+        $this->mailer     = new Reading_Room_Mailer($wpdb);
+        $this->deliveries = 0;
+    }
+
+    public function tear_down()
+    {
+        global $wpdb;
+
+        $wpdb->query('SET FOREIGN_KEY_CHECKS = 1');
+        remove_all_filters('pre_http_request');
+
+        parent::tear_down();
+    }
+
+    public function test_send_records_the_message_and_marks_the_email_sent()
+    {
+        $this->respond_with(202);
+
+        $result = $this->send();
+
+        $this->assertIsArray($result);
+        $this->assertSame('sg-message-1', $result['message_id']);
+        $this->assertSame('sent', $this->get_tracking_status());
+        $this->assertSame([['status' => 'sent', 'message_id' => 'sg-message-1']], $this->get_sends());
+    }
+
+    public function test_a_second_send_while_the_first_is_delivering_is_rejected()
+    {
+        $second = null;
+
+        add_filter('pre_http_request', function ($preempt, $args, $url) use (&$second) {
+            $this->deliveries++;
+
+            // The second request arrives while the first one holds the claim
+            if ($second === null) {
+                $second = $this->send();
+            }
+
+            return $this->response(202);
+        }, 10, 3);
+
+        $first = $this->send();
+
+        $this->assertIsArray($first);
+        $this->assertWPError($second);
+        $this->assertSame('already_sent', $second->get_error_code());
+        $this->assertSame(409, $second->get_error_data()['status']);
+        $this->assertSame(1, $this->deliveries, 'The email must be delivered once');
+        $this->assertCount(1, $this->get_sends());
+    }
+
+    public function test_sending_a_sent_email_again_is_rejected()
+    {
+        $this->respond_with(202);
+
+        $this->send();
+        $again = $this->send();
+
+        $this->assertWPError($again);
+        $this->assertSame('already_sent', $again->get_error_code());
+        $this->assertSame(1, $this->deliveries);
+    }
+
+    public function test_a_failed_send_releases_the_claim()
+    {
+        $this->respond_with(500);
+
+        $failed = $this->send();
+
+        $this->assertWPError($failed);
+        $this->assertSame('send_failed', $failed->get_error_code());
+        $this->assertSame([], $this->get_sends());
+        $this->assertSame('pending', $this->get_tracking_status());
+
+        // The rep can try again
+        remove_all_filters('pre_http_request');
+        $this->respond_with(202);
+
+        $this->assertIsArray($this->send());
+        $this->assertSame('sent', $this->get_tracking_status());
+        $this->assertCount(1, $this->get_sends());
+    }
+
+    public function test_a_stale_claim_is_taken_over()
+    {
+        global $wpdb;
+
+        $wpdb->insert("{$wpdb->prefix}rtr_email_sends", [
+            'email_tracking_id' => $this->tracking_id,
+            'prospect_id'       => $this->prospect_id,
+            'user_id'           => $this->user_id,
+            'transport'         => 'sendgrid',
+            'recipient'         => 'pat@example.com',
+            'status'            => 'sending',
+            'sent_at'           => wp_date('Y-m-d H:i:s', time() - HOUR_IN_SECONDS),
+        ]);
+
+        $this->respond_with(202);
+
+        $this->assertIsArray($this->send());
+        $this->assertSame([['status' => 'sent', 'message_id' => 'sg-message-1']], $this->get_sends());
+    }
+
+    private function send()
+    {
+        return $this->mailer->send($this->tracking_id, $this->prospect_id, $this->user_id);
+    }
+
+    private function respond_with(int $code): void
+    {
+        add_filter('pre_http_request', function () use ($code) {
+            $this->deliveries++;
+            return $this->response($code);
+        });
+    }
+
+    private function response(int $code): array
+    {
+        return [
+            'headers'  => $code < 300 ? ['x-message-id' => 'sg-message-' . $this->deliveries] : [],
+            'body'     => $code < 300 ? '' : wp_json_encode(['errors' => [['message' => 'Server error']]]),
+            'response' => ['code' => $code, 'message' => ''],
+            'cookies'  => [],
+            'filename' => null,
+        ];
+    }
+
+    private function get_tracking_status(): string
+    {
+        global $wpdb;
+
+        return (string) $wpdb->get_var($wpdb->prepare(
+            "SELECT status FROM {$wpdb->prefix}rtr_email_tracking WHERE id = %d",
+            $this->tracking_id
+        ));
+    }
+
+    private function get_sends(): array
+    {
+        global $wpdb;
+
+        return $wpdb->get_results($wpdb->prepare(
+            "SELECT status, message_id FROM {$wpdb->prefix}rtr_email_sends WHERE email_tracking_id = %d",
+            $this->tracking_id
+        ), ARRAY_A);
+    }
+}
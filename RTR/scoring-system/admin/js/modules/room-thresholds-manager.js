@@ -9,11 +9,12 @@
  * @since 2.1.0
  */
 
+import APIClient from '../../../../campaign-builder/admin/js/utils/api-client.js';
+
 class RoomThresholdsManager {
     constructor(config) {
         this.config = config;
-        this.apiUrl = config.apiUrl;
-        this.nonce = config.nonce;
+        this.api = new APIClient(config.apiUrl, config.nonce);
         this.globalThresholds = config.globalThresholds;
         
         this.init();
@@ -148,20 +149,7 @@ class RoomThresholdsManager {
         };
         
         try {
-            const response = await fetch(`${this.apiUrl}/room-thresholds`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.nonce
-                },
-                body: JSON.stringify(formData)
-            });
-            
-            if (!response.ok) {
-                throw new Error('Failed to save thresholds');
-            }
-            
-            const data = await response.json();
+            await this.api.put('/room-thresholds', formData);
             
             // Update stored global thresholds
             this.globalThresholds = formData;
@@ -9,6 +9,8 @@
  * @since 2.1.0
  */
 
+import APIClient from '../../../../campaign-builder/admin/js/utils/api-client.js';
+
 class ScoringRulesManager {
     constructor(config) {
         this.config = config;
@@ -19,8 +21,7 @@ class ScoringRulesManager {
             validationError: 'Please fix validation errors before saving',
             resetConfirm: 'Reset rules to global defaults? This cannot be undone.'
         };
-        this.apiUrl = config.apiUrl.endsWith('/') ? config.apiUrl : config.apiUrl + '/';
-        this.nonce = config.nonce;
+        this.api = new APIClient(config.apiUrl.replace(/\/+$/, ''), config.nonce);
         this.currentRoom = 'problem';
         this.rules = {
             problem: config.globalRules.problem || {},
@@ -1243,24 +1244,11 @@ class ScoringRulesManager {
         btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
         
         try {
-            const response = await fetch(`${this.apiUrl}scoring-rules/${room}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-WP-Nonce': this.nonce
-                },
-                body: JSON.stringify({
-                    room_type: room,
-                    rules_config: this.rules[room]
-                })
+            const data = await this.api.put(`/scoring-rules/${room}`, {
+                room_type: room,
+                rules_config: this.rules[room]
             });
             
-            if (!response.ok) {
-                throw new Error('Failed to save rules');
-            }
-            
-            const data = await response.json();
-            
             if (data.success) {
                 this.showNotification('success', this.config.strings?.saveSuccess || 'Rules saved successfully');
             } else {
@@ -1285,18 +1273,7 @@ class ScoringRulesManager {
         }
         
         try {
-            const response = await fetch(`${this.apiUrl}scoring-rules/${room}`, {
-                method: 'DELETE',
-                headers: {
-                    'X-WP-Nonce': this.nonce
-                }
-            });
-            
-            if (!response.ok) {
-                throw new Error('Failed to reset rules');
-            }
-            
-            const data = await response.json();
+            const data = await this.api.delete(`/scoring-rules/${room}`);
             
             if (data.success) {
                 this.rules[room] = data.data.rules_config;
@@ -79,6 +79,48 @@ class RTR_Score_Calculator_Controller extends WP_REST_Controller {
             ),
         ));
 
+        // POST /simulate-score - Score what-if: changed rules/thresholds, nothing saved
+        register_rest_route($this->namespace, '/simulate-score', array(
+            array(
+                'methods'             => WP_REST_Server::CREATABLE,
+                'callback'            => array($this, 'simulate_score'),
+                'permission_callback' => array($this, 'check_admin_permissions'),
+                'args'                => array(
+                    'visitor_id' => array(
+                        'required'          => true,
+                        'type'              => 'integer',
+                        'sanitize_callback' => 'absint',
+                        'validate_callback' => array($this, 'validate_visitor_id'),
+                    ),
+                    'client_id' => array(
+                        'required'          => true,
+                        'type'              => 'integer',
+                        'sanitize_callback' => 'absint',
+                        'validate_callback' => array($this, 'validate_client_id'),
+                    ),
+                    'rules' => array(
+                        'required'    => false,
+                        'type'        => 'object',
+                        'default'     => array(),
+                        'description' => 'Rules config by room type (problem, solution, offer) to try instead of the client\'s',
+                    ),
+                    'thresholds' => array(
+                        'required'    => false,
+                        'type'        => 'object',
+                        'default'     => array(),
+                        'description' => 'problem_max / solution_max to try instead of the client\'s',
+                    ),
+                    'sample_size' => array(
+                        'required'          => false,
+                        'type'              => 'integer',
+                        'default'           => 25,
+                        'sanitize_callback' => 'absint',
+                        'validate_callback' => array($this, 'validate_sample_size'),
+                    ),
+                ),
+            ),
+        ));
+
         // POST /recalculate-all/{client_id} - Recalculate all visitors for client
         register_rest_route($this->namespace, '/recalculate-all/(?P<client_id>\d+)', array(
             array(
@@ -187,6 +229,152 @@ class RTR_Score_Calculator_Controller extends WP_REST_Controller {
         }
     }
 
+    /**
+     * Score a visitor, and a sample of the client's other prospects, under
+     * changed scoring rules and room thresholds without saving anything
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response|WP_Error
+     */
+    public function simulate_score($request) {
+        global $wpdb;
+
+        $visitor_id  = $request->get_param('visitor_id');
+        $client_id   = $request->get_param('client_id');
+        $rules       = (array) $request->get_param('rules');
+        $thresholds  = (array) $request->get_param('thresholds');
+        $sample_size = $request->get_param('sample_size');
+
+        try {
+            if (!$this->calculator) {
+                $this->calculator = new RTR_Score_Calculator();
+            }
+
+            if (!$this->verify_visitor_client_relationship($visitor_id, $client_id)) {
+                return new WP_Error(
+                    'invalid_relationship',
+                    'Visitor does not belong to specified client',
+                    array('status' => 400)
+                );
+            }
+
+            foreach ($rules as $room => $config) {
+                if (!in_array($room, array('problem', 'solution', 'offer'), true) || !is_array($config)) {
+                    return new WP_Error(
+                        'invalid_rules',
+                        'Rules must be rule configs keyed by problem, solution or offer',
+                        array('status' => 400)
+                    );
+                }
+            }
+
+            $effective = array_replace(
+                $this->calculator->get_room_thresholds($client_id),
+                array_map('intval', array_intersect_key($thresholds, array_flip(array('problem_max', 'solution_max'))))
+            );
+
+            if ($effective['problem_max'] < 0 || $effective['problem_max'] >= $effective['solution_max']) {
+                return new WP_Error(
+                    'invalid_thresholds',
+                    'Problem max must be less than Solution max',
+                    array('status' => 400)
+                );
+            }
+
+            // Sample: the client's most recently updated prospects
+            $sample = array();
+            if ($sample_size > 0) {
+                $sample = $wpdb->get_results($wpdb->prepare(
+                    "SELECT p.visitor_id, MAX(p.company_name) AS company_name
+                    FROM {$wpdb->prefix}rtr_prospects p
+                    INNER JOIN {$wpdb->prefix}dr_campaign_settings c ON c.id = p.campaign_id
+                    WHERE c.client_id = %d
+                    AND p.archived_at IS NULL
+                    AND p.visitor_id <> %d
+                    GROUP BY p.visitor_id
+                    ORDER BY MAX(p.updated_at) DESC
+                    LIMIT %d",
+                    $client_id,
+                    $visitor_id,
+                    $sample_size
+                ), ARRAY_A);
+            }
+
+            $company_names = array_column($sample, 'company_name', 'visitor_id');
+            $visitor_ids = array_merge(array($visitor_id), array_map('intval', array_keys($company_names)));
+            $results = $this->calculator->simulate_scores($visitor_ids, $client_id, $rules, $thresholds);
+
+            if (!isset($results[$visitor_id])) {
+                throw new Exception('Score simulation failed');
+            }
+
+            $summary = array(
+                'changed_score' => 0,
+                'changed_room'  => 0,
+                'current'       => array('problem' => 0, 'solution' => 0, 'offer' => 0, 'none' => 0, 'disqualified' => 0, 'hidden' => 0),
+                'simulated'     => array('problem' => 0, 'solution' => 0, 'offer' => 0, 'none' => 0, 'disqualified' => 0, 'hidden' => 0),
+            );
+
+            $rows = array();
+            foreach ($results as $id => $result) {
+                foreach (array('current', 'simulated') as $key) {
+                    if ($result[$key]['disqualified']) {
+                        $summary[$key]['disqualified']++;
+                    } elseif ($result[$key]['below_minimum']) {
+                        $summary[$key]['hidden']++;
+                    } elseif (!isset($summary[$key][$result[$key]['current_room']])) {
+                        // Zero score: determine_room() returns 'none'
+                        $summary[$key]['none']++;
+                    } else {
+                        $summary[$key][$result[$key]['current_room']]++;
+                    }
+                }
+
+                if ($result['current']['total_score'] !== $result['simulated']['total_score']) {
+                    $summary['changed_score']++;
+                }
+                if ($result['current']['current_room'] !== $result['simulated']['current_room']) {
+                    $summary['changed_room']++;
+                }
+
+                if ($id === $visitor_id) {
+                    continue;
+                }
+
+                // Rule details only for the visitor being looked at
+                unset($result['current']['details'], $result['simulated']['details']);
+
+                $rows[] = array(
+                    'visitor_id'   => $id,
+                    'company_name' => $company_names[$id] ?? '',
+                    'current'      => $result['current'],
+                    'simulated'    => $result['simulated'],
+                );
+            }
+
+            return rest_ensure_response(array(
+                'success' => true,
+                'data'    => array(
+                    'visitor'    => array(
+                        'visitor_id' => $visitor_id,
+                        'current'    => $results[$visitor_id]['current'],
+                        'simulated'  => $results[$visitor_id]['simulated'],
+                    ),
+                    'sample'     => $rows,
+                    'summary'    => $summary,
+                    'thresholds' => $effective,
+                ),
+            ));
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'simulation_error',
+                $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
     /**
      * Recalculate scores for all visitors of a client
      *
@@ -424,6 +612,16 @@ class RTR_Score_Calculator_Controller extends WP_REST_Controller {
         return $batch_size > 0 && $batch_size <= 200;
     }
 
+    /**
+     * Validate simulation sample size
+     *
+     * @param int $sample_size Sample size.
+     * @return bool
+     */
+    public function validate_sample_size($sample_size) {
+        return $sample_size >= 0 && $sample_size <= 50;
+    }
+
     /**
      * Verify visitor belongs to client
      *
@@ -499,6 +697,11 @@ class RTR_Score_Calculator_Controller extends WP_REST_Controller {
      */
     private function update_cached_score($visitor_id, $score_data) {
         global $wpdb;
+
+        $previous = $wpdb->get_row($wpdb->prepare(
+            "SELECT lead_score, current_room FROM {$wpdb->prefix}cpd_visitors WHERE id = %d",
+            $visitor_id
+        ));
         
         $result = $wpdb->update(
             $wpdb->prefix . 'cpd_visitors',
@@ -512,6 +715,18 @@ class RTR_Score_Calculator_Controller extends WP_REST_Controller {
             array('%d')
         );
 
+        if ($result !== false && $previous
+            && ((int) $previous->lead_score !== (int) $score_data['total_score'] || $previous->current_room !== $score_data['current_room'])) {
+            do_action('directreach_rtr_event', 'score-changed', array(
+                'visitor_id'     => (int) $visitor_id,
+                'previous_score' => (int) $previous->lead_score,
+                'score'          => (int) $score_data['total_score'],
+                'previous_room'  => $previous->current_room,
+                'room'           => $score_data['current_room'],
+                'rules'          => RTR_Score_Calculator::fired_rules($score_data['details'] ?? array()),
+            ));
+        }
+
         return $result !== false;
     }
 }
\ No newline at end of file
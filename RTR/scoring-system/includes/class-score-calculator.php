@@ -69,6 +69,7 @@ class RTR_Score_Calculator {
             'content_links'     => $wpdb->prefix . 'rtr_room_content_links',
             'thresholds'        => $wpdb->prefix . 'rtr_room_thresholds',
             'email_tracking'    => $wpdb->prefix . 'rtr_email_tracking',
+            'email_clicks'      => $wpdb->prefix . 'rtr_email_clicks',
             'visitor_campaigns' => $wpdb->prefix . 'cpd_visitor_campaigns',
             'action_logs'       => $wpdb->prefix . 'rtr_action_logs',
         );
@@ -83,16 +84,13 @@ class RTR_Score_Calculator {
      * @return array|false Array with total_score and component_scores, or false on error
      */
     public function calculate_visitor_score($visitor_id, $client_id, $return_breakdown = false) {
-        // Get visitor data
-        $visitor = $this->get_visitor_data($visitor_id);
-        if (!$visitor) {
+        // Get visitor data, campaign (for content links) and email stats
+        $inputs = $this->load_visitor_inputs($visitor_id);
+        if (!$inputs) {
             error_log("RTR Score Calculator: Visitor {$visitor_id} not found");
             return false;
         }
         
-        // Get campaign ID for this visitor (needed for content links lookup)
-        $campaign_id = $this->get_visitor_campaign_id($visitor_id);
-        
         // Load scoring rules
         $rules = $this->load_scoring_rules($client_id);
         if (!$rules) {
@@ -100,8 +98,94 @@ class RTR_Score_Calculator {
             return false;
         }
         
-        // Get email tracking stats for this visitor
-        $email_stats = $this->get_visitor_email_stats($visitor_id);
+        $result = $this->score_inputs($inputs, $rules, $this->get_room_thresholds($client_id));
+        $details = $result['details'];
+        
+        // Update score - never archive, just store the threshold status.
+        // Disqualified visitors keep their (negative) problem score.
+        $this->update_visitor_score($visitor_id, $result['total_score'], $result['current_room'], $result['disqualified'], self::fired_rules($details));
+        
+        unset($result['details'], $result['below_minimum']);
+        
+        // Add details if requested
+        if ($return_breakdown && !empty($details)) {
+            $result['details'] = $details;
+        }
+        
+        return $result;
+    }
+    
+    /**
+     * Score visitors under the client's rules and under changed rules,
+     * without saving anything (score what-if simulator)
+     * 
+     * @param int[] $visitor_ids Visitor IDs
+     * @param int $client_id Client ID
+     * @param array $rules_override Rules by room type replacing the client's (whole rooms)
+     * @param array $thresholds_override problem_max / solution_max replacing the client's
+     * @return array Keyed by visitor ID: array('current' => result, 'simulated' => result),
+     *               results as calculate_visitor_score() with details and below_minimum
+     */
+    public function simulate_scores($visitor_ids, $client_id, $rules_override = array(), $thresholds_override = array()) {
+        $rules = $this->load_scoring_rules($client_id) ?: array();
+        $thresholds = $this->get_room_thresholds($client_id);
+        
+        $simulated_rules = array_replace(
+            $rules,
+            array_intersect_key((array) $rules_override, array_flip(array('problem', 'solution', 'offer')))
+        );
+        $simulated_thresholds = array_replace(
+            $thresholds,
+            array_map('intval', array_intersect_key((array) $thresholds_override, array_flip(array('problem_max', 'solution_max'))))
+        );
+        
+        $results = array();
+        
+        foreach ($visitor_ids as $visitor_id) {
+            $inputs = $this->load_visitor_inputs($visitor_id);
+            if (!$inputs) {
+                continue;
+            }
+            
+            $results[$visitor_id] = array(
+                'current' => $this->score_inputs($inputs, $rules, $thresholds),
+                'simulated' => $this->score_inputs($inputs, $simulated_rules, $simulated_thresholds),
+            );
+        }
+        
+        return $results;
+    }
+    
+    /**
+     * Everything a visitor's score is calculated from
+     * 
+     * @param int $visitor_id Visitor ID
+     * @return array|null Array with visitor, campaign_id and email_stats, null if not found
+     */
+    private function load_visitor_inputs($visitor_id) {
+        $visitor = $this->get_visitor_data($visitor_id);
+        if (!$visitor) {
+            return null;
+        }
+        
+        return array(
+            'visitor' => $visitor,
+            'campaign_id' => $this->get_visitor_campaign_id($visitor_id),
+            'email_stats' => $this->get_visitor_email_stats($visitor_id),
+        );
+    }
+    
+    /**
+     * Score a visitor's inputs under a set of rules and thresholds
+     * 
+     * @param array $inputs As returned by load_visitor_inputs()
+     * @param array $rules Rules by room type
+     * @param array $thresholds problem_max, solution_max
+     * @return array total_score, breakdown, current_room, disqualified, details, below_minimum
+     */
+    private function score_inputs($inputs, $rules, $thresholds) {
+        $visitor = $inputs['visitor'];
+        $campaign_id = $inputs['campaign_id'];
         
         // Calculate score for each room type
         $breakdown = array(
@@ -111,81 +195,51 @@ class RTR_Score_Calculator {
         );
 
         $details = array();
-        $disqualified = false;
-
-        // Calculate problem score first - check for disqualification
-        if ($return_breakdown) {
-            $problem_result = $this->calculate_problem_score($visitor, $rules['problem'] ?? array(), $campaign_id, true);
-            $breakdown['problem'] = $problem_result['score'];
-            $details['problem'] = $problem_result['details'];
-            $disqualified = !empty($problem_result['disqualified']);
-        } else {
-            $problem_result = $this->calculate_problem_score($visitor, $rules['problem'] ?? array(), $campaign_id, true);
-            $breakdown['problem'] = $problem_result['score'];
-            $disqualified = !empty($problem_result['disqualified']);
-        }
 
-        // If disqualified, skip remaining scoring and mark visitor
-        if ($disqualified) {
-            $total_score = $breakdown['problem']; // Will be negative
-            $current_room = 'disqualified';
-            
-            // Update visitor with disqualified status
-            $this->update_visitor_score($visitor_id, $total_score, $current_room, true);
+        // Calculate problem score first - check for disqualification.
+        // Details are always collected: the rules that fired are recorded
+        // with the score change for the prospect timeline.
+        $problem_result = $this->calculate_problem_score($visitor, $rules['problem'] ?? array(), $campaign_id, true);
+        $breakdown['problem'] = $problem_result['score'];
+        $details['problem'] = $problem_result['details'];
 
-            $result = array(
-                'total_score' => $total_score,
+        // If disqualified, skip remaining scoring
+        if (!empty($problem_result['disqualified'])) {
+            return array(
+                'total_score' => $breakdown['problem'], // Will be negative
                 'breakdown' => $breakdown,
-                'current_room' => $current_room,
+                'current_room' => 'disqualified',
                 'disqualified' => true,
+                'details' => $details,
+                'below_minimum' => true,
             );
-
-            if ($return_breakdown && !empty($details)) {
-                $result['details'] = $details;
-            }
-
-            return $result;
         }
 
         // Continue with solution and offer scoring for non-disqualified visitors
-        if ($return_breakdown) {
-            $solution_result = $this->calculate_solution_score($visitor, $rules['solution'] ?? array(), $campaign_id, $email_stats, true);
-            $offer_result = $this->calculate_offer_score($visitor, $rules['offer'] ?? array(), $campaign_id, true);
-            
-            $breakdown['solution'] = $solution_result['score'];
-            $breakdown['offer'] = $offer_result['score'];
-            
-            $details['solution'] = $solution_result['details'];
-            $details['offer'] = $offer_result['details'];
-        } else {
-            $breakdown['solution'] = $this->calculate_solution_score($visitor, $rules['solution'] ?? array(), $campaign_id, $email_stats);
-            $breakdown['offer'] = $this->calculate_offer_score($visitor, $rules['offer'] ?? array(), $campaign_id);
-        }
+        $solution_result = $this->calculate_solution_score($visitor, $rules['solution'] ?? array(), $campaign_id, $inputs['email_stats'], true);
+        $offer_result = $this->calculate_offer_score($visitor, $rules['offer'] ?? array(), $campaign_id, true);
 
-        // Calculate total score
-        $total_score = array_sum($breakdown);
+        $breakdown['solution'] = $solution_result['score'];
+        $breakdown['offer'] = $offer_result['score'];
 
-        // Cap at 100
-        $total_score = min($total_score, 100);
+        $details['solution'] = $solution_result['details'];
+        $details['offer'] = $offer_result['details'];
 
-        $current_room = $this->determine_room($total_score, $client_id);
-        
-        // Update score - never archive, just store the threshold status
-        $this->update_visitor_score($visitor_id, $total_score, $current_room, false);
+        // Calculate total score, capped at 100
+        $total_score = min(array_sum($breakdown), 100);
 
-        $result = array(
+        // Below the problem room minimum the dashboard leaves the prospect out
+        $minimum = $rules['problem']['minimum_threshold'] ?? array();
+        $below_minimum = !empty($minimum['enabled']) && $total_score < intval($minimum['required_score'] ?? 0);
+
+        return array(
             'total_score' => $total_score,
             'breakdown' => $breakdown,
-            'current_room' => $current_room,
+            'current_room' => $this->determine_room($total_score, $thresholds),
             'disqualified' => false,
+            'details' => $details,
+            'below_minimum' => $below_minimum,
         );
-
-        // Add details if requested
-        if ($return_breakdown && !empty($details)) {
-            $result['details'] = $details;
-        }
-
-        return $result;
     }
     
     /**
@@ -246,6 +300,22 @@ class RTR_Score_Calculator {
                 'clicked_count' => 0,
             );
         }
+
+        // With click tracking, each distinct link clicked in each email
+        // counts (so email_multiple_click can fire on a single email)
+        $clicks_table = $this->wpdb->get_var(
+            "SHOW TABLES LIKE '{$this->tables['email_clicks']}'"
+        );
+
+        if ($clicks_table) {
+            $link_clicks = (int) $this->wpdb->get_var($this->wpdb->prepare(
+                "SELECT COUNT(DISTINCT email_tracking_id, url_hash)
+                 FROM {$this->tables['email_clicks']}
+                 WHERE visitor_id = %d",
+                $visitor_id
+            ));
+            $stats['clicked_count'] = max((int) $stats['clicked_count'], $link_clicks);
+        }
         
         return array(
             'total_emails'  => (int) ($stats['total_emails'] ?? 0),
@@ -1139,6 +1209,18 @@ class RTR_Score_Calculator {
      * Check if job title matches target roles
      */
     private function check_role_match($job_title, $rule_config) {
+        return $this->find_role_match($job_title, $rule_config) !== false;
+    }
+    
+    /**
+     * Find the first target role a job title matches
+     * 
+     * @param string $job_title Job title
+     * @param array $rule_config role_match rule (target_roles by category, match_type)
+     * @return array|false category, priority (the category's position among those with roles, 0 = first)
+     *                     and role; false if none
+     */
+    private function find_role_match($job_title, $rule_config) {
         if (empty($job_title)) {
             return false;
         }
@@ -1146,30 +1228,72 @@ class RTR_Score_Calculator {
         $job_title = strtolower(trim($job_title));
         $target_roles = $rule_config['target_roles'] ?? array();
         $match_type = $rule_config['match_type'] ?? 'contains';
+        $priority = 0;
         
         foreach ($target_roles as $category => $roles) {
             if (!is_array($roles)) {
                 continue;
             }
             
+            $roles = array_filter(array_map('trim', $roles));
+            if (empty($roles)) {
+                continue;
+            }
+            
             foreach ($roles as $role) {
-                $role = strtolower(trim($role));
+                $role = strtolower($role);
                 
                 if ($match_type === 'exact') {
-                    if ($job_title === $role) {
-                        return true;
-                    }
+                    $matched = $job_title === $role;
                 } else {
-                    if (stripos($job_title, $role) !== false) {
-                        return true;
-                    }
+                    $matched = stripos($job_title, $role) !== false;
+                }
+                
+                if ($matched) {
+                    return array(
+                        'category' => $category,
+                        'priority' => $priority,
+                        'role'     => $role,
+                    );
                 }
             }
+            
+            $priority++;
         }
         
         return false;
     }
     
+    /**
+     * Get a client's target roles (the Problem Room role_match rule),
+     * whether or not the rule is enabled for scoring
+     * 
+     * @param int $client_id Client ID
+     * @return array Roles by category, in priority order
+     */
+    public function get_target_roles($client_id) {
+        $rules = $this->load_scoring_rules($client_id);
+        $target_roles = $rules['problem']['role_match']['target_roles'] ?? array();
+        
+        return array_filter((array) $target_roles, function($roles) {
+            return is_array($roles) && !empty(array_filter(array_map('trim', $roles)));
+        });
+    }
+    
+    /**
+     * Match a job title against a client's target roles, e.g. to pick
+     * the contact to reach at a company
+     * 
+     * @param string $job_title Job title
+     * @param int $client_id Client ID
+     * @return array|false category, priority (0 = first category) and role; false if none
+     */
+    public function match_target_role($job_title, $client_id) {
+        $rules = $this->load_scoring_rules($client_id);
+        
+        return $this->find_role_match($job_title, $rules['problem']['role_match'] ?? array());
+    }
+    
     /**
      * Check for demo request
      */
@@ -1250,10 +1374,11 @@ class RTR_Score_Calculator {
     
     /**
      * Determine which room a visitor should be in based on score
+     *
+     * @param int $score Lead score
+     * @param array $thresholds problem_max, solution_max (see get_room_thresholds())
      */
-    private function determine_room($score, $client_id) {
-        $thresholds = $this->get_room_thresholds($client_id);
-        
+    private function determine_room($score, $thresholds) {
         if ($score === 0) {
             return 'none';
         } elseif ($score <= $thresholds['problem_max']) {
@@ -1268,7 +1393,7 @@ class RTR_Score_Calculator {
     /**
      * Get room thresholds for a client
      */
-    private function get_room_thresholds($client_id) {
+    public function get_room_thresholds($client_id) {
         $thresholds = $this->wpdb->get_row(
             $this->wpdb->prepare(
                 "SELECT problem_max, solution_max, offer_min FROM {$this->tables['thresholds']} WHERE client_id = %d",
@@ -1302,9 +1427,15 @@ class RTR_Score_Calculator {
      * @param int $score Lead score
      * @param string $current_room Current room assignment
      * @param bool $disqualified Whether visitor is disqualified
+     * @param array $rules_fired Rules that contributed points (see fired_rules())
      * @return bool Success
      */
-    private function update_visitor_score($visitor_id, $score, $current_room, $disqualified = false) {
+    private function update_visitor_score($visitor_id, $score, $current_room, $disqualified = false, $rules_fired = array()) {
+        $previous = $this->wpdb->get_row($this->wpdb->prepare(
+            "SELECT lead_score, current_room FROM {$this->tables['visitors']} WHERE id = %d",
+            $visitor_id
+        ));
+
         $result = $this->wpdb->update(
             $this->tables['visitors'],
             array(
@@ -1317,9 +1448,49 @@ class RTR_Score_Calculator {
             array('%d', '%s', '%d', '%s'),
             array('%d')
         );
+
+        // Let the RTR dashboard patch the prospect's score and room live
+        if ($result !== false && $previous
+            && ((int) $previous->lead_score !== (int) $score || $previous->current_room !== $current_room)) {
+            do_action('directreach_rtr_event', 'score-changed', array(
+                'visitor_id' => (int) $visitor_id,
+                'previous_score' => (int) $previous->lead_score,
+                'score' => (int) $score,
+                'previous_room' => $previous->current_room,
+                'room' => $current_room,
+                'rules' => $rules_fired,
+            ));
+        }
         
         return $result !== false;
     }
+
+    /**
+     * Flatten score details into the rules that changed the score
+     *
+     * @param array $details Details keyed by room, then rule (as returned with $return_breakdown)
+     * @return array List of array('room' => ..., 'rule' => ..., 'points' => ...)
+     */
+    public static function fired_rules($details) {
+        $fired = array();
+
+        foreach ((array) $details as $room => $rules) {
+            foreach ((array) $rules as $rule => $points) {
+                // Skip flags such as 'disqualified' and rules worth nothing
+                if (!is_numeric($points) || (int) $points === 0) {
+                    continue;
+                }
+
+                $fired[] = array(
+                    'room' => $room,
+                    'rule' => $rule,
+                    'points' => (int) $points,
+                );
+            }
+        }
+
+        return $fired;
+    }
     
     /**
      * Batch calculate scores for multiple visitors
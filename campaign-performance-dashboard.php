@@ -153,6 +153,9 @@ function cpd_dashboard_deactivate() {
     // Clear intelligence cleanup schedule
     wp_clear_scheduled_hook( 'cpd_intelligence_cleanup' );
     
+    // Clear the Campaign Builder link health check
+    wp_clear_scheduled_hook( 'dr_cb_link_health_check' );
+    
     error_log( 'CPD Dashboard deactivated' );
 }
 
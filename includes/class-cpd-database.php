@@ -717,7 +717,7 @@ class CPD_Database {
             sent_at DATETIME,
             opened_at DATETIME,
             clicked_at DATETIME,
-            status ENUM('pending', 'copied', 'sent', 'opened', 'clicked') DEFAULT 'pending',
+            status ENUM('pending', 'copied', 'sent', 'opened', 'clicked', 'bounced') DEFAULT 'pending',
             tracking_token VARCHAR(255) UNIQUE,
             INDEX idx_prospect (prospect_id),
             INDEX idx_status (status),